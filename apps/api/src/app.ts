@@ -26,7 +26,8 @@ import {
   generalLimiter, 
   authLimiter, 
   strictLimiter,
-  exportLimiter 
+  exportLimiter,
+  connectRateLimitStore
 } from './middleware/rate-limit.middleware';
 import { requireCsrf } from './middleware/auth.middleware';
 import { 
@@ -41,6 +42,26 @@ import organizationRoutes from './routes/organization.routes';
 import userRoutes from './routes/user.routes';
 import invitationRoutes from './routes/invitation.routes';
 import auditRoutes from './routes/audit.routes';
+import meetingRoutes from './routes/meeting.routes';
+import committeeRoutes from './routes/committee.routes';
+import taskRoutes from './routes/task.routes';
+import recruitmentRoutes from './routes/recruitment.routes';
+import platformRoutes from './routes/platform.routes';
+import billingRoutes from './routes/billing.routes';
+import documentRoutes from './routes/document.routes';
+import policyRoutes from './routes/policy.routes';
+import minutesRoutes from './routes/minutes.routes';
+import resolutionRoutes from './routes/resolution.routes';
+import interestRoutes from './routes/interest.routes';
+import { SchedulerService } from './services/scheduler.service';
+import { TaskService } from './services/task.service';
+import { TermService } from './services/term.service';
+import { SubscriptionService } from './services/subscription.service';
+import { PolicyService } from './services/policy.service';
+import { ResolutionService } from './services/resolution.service';
+import { InterestService } from './services/interest.service';
+import { SessionService } from './services/session.service';
+import { AccountErasureService } from './services/account-erasure.service';
 
 // Create Express app
 const app = express();
@@ -104,6 +125,8 @@ app.use(morgan('combined', {
 app.use(compression());
 
 // Body parsing
+// Billing webhooks are verified against the exact bytes sent, so keep that body raw
+app.use('/api/billing/webhook', express.raw({ type: 'application/json', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(cookieParser(process.env.COOKIE_SECRET));
@@ -165,12 +188,25 @@ app.get('/api/health', async (_req: Request, res: Response) => {
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
 app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/verify-email', authLimiter);
+app.use('/api/auth/resend-verification', authLimiter);
+app.use('/api/auth/confirm-email-change', authLimiter);
+app.use('/api/auth/cancel-email-change', authLimiter);
+app.use('/api/auth/cancel-account-deletion', authLimiter);
 app.use('/api/auth/reset-password', strictLimiter);
 app.use('/api/auth/change-password', strictLimiter);
+app.use('/api/users/change-email', strictLimiter);
+app.use('/api/users/account', strictLimiter);
+app.use('/api/invitations/accept', authLimiter);
 
 // Apply CSRF protection to state-changing routes
 app.use('/api/auth/logout', csrfProtection, requireCsrf);
+app.use('/api/auth/logout-all', csrfProtection, requireCsrf);
+app.use('/api/auth/sessions', csrfProtection, requireCsrf);
+app.use('/api/auth/switch-organization', csrfProtection, requireCsrf);
 app.use('/api/users/change-password', csrfProtection, requireCsrf);
+app.use('/api/users/change-email', csrfProtection, requireCsrf);
+app.use('/api/users/account', csrfProtection, requireCsrf);
 
 // API routes
 app.use('/api/auth', authRoutes);
@@ -178,6 +214,18 @@ app.use('/api/organizations', organizationRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/invitations', invitationRoutes);
 app.use('/api/audit', exportLimiter, auditRoutes);
+app.use('/api/meetings', meetingRoutes);
+app.use('/api/committees', committeeRoutes);
+app.use('/api/tasks', taskRoutes);
+app.use('/api/recruitment', recruitmentRoutes);
+app.use('/api/platform', platformRoutes);
+app.use('/api/billing', billingRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/policies', policyRoutes);
+app.use('/api/minutes', minutesRoutes);
+app.use('/api/resolutions', resolutionRoutes);
+app.use('/api/interests/register', exportLimiter);
+app.use('/api/interests', interestRoutes);
 
 // ==========================================
 // Error Handling
@@ -221,11 +269,36 @@ app.use((err: Error | AppError, _req: Request, res: Response, _next: NextFunctio
   }
 });
 
+// ==========================================
+// Background Jobs
+// ==========================================
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+SchedulerService.register('task-reminders', HOUR_MS, () => TaskService.sendDueReminders());
+SchedulerService.register('term-notifications', DAY_MS, () => TermService.sendRenewalNotifications());
+SchedulerService.register('trial-warnings', DAY_MS, () => SubscriptionService.sendTrialEndingWarnings());
+SchedulerService.register('policy-review-reminders', DAY_MS, () => PolicyService.sendReviewReminders());
+SchedulerService.register('written-resolution-closing', HOUR_MS, () => ResolutionService.closeExpiredWrittenResolutions());
+SchedulerService.register('interest-declaration-reminders', DAY_MS, () => InterestService.sendDeclarationReminders());
+SchedulerService.register('session-cleanup', DAY_MS, () => SessionService.cleanupEndedSessions());
+SchedulerService.register('account-erasure', DAY_MS, () => AccountErasureService.processDueErasures());
+
 // ==========================================
 // Server Startup
 // ==========================================
 
 async function startServer() {
+  // Rate limits must be shared when Redis is configured - don't start with per-instance counts
+  try {
+    const rateLimitStore = await connectRateLimitStore();
+    Logger.info(`Rate limit counts kept in ${rateLimitStore.name === 'redis' ? 'Redis' : 'memory'}`);
+  } catch (error) {
+    Logger.error('REDIS_URL is set but Redis could not be reached for rate limiting', error as Error);
+    process.exit(1);
+  }
+  
   try {
     // Check database connection
     const dbHealthy = await checkDatabaseHealth();
@@ -235,6 +308,11 @@ async function startServer() {
       Logger.warn('⚠️ Database health check failed - continuing anyway');
     }
     
+    // Start background jobs (disabled in tests and when explicitly turned off)
+    if (process.env.NODE_ENV !== 'test' && process.env.DISABLE_SCHEDULER !== 'true') {
+      SchedulerService.start();
+    }
+    
     // Start server
     app.listen(PORT, () => {
       Logger.info(`
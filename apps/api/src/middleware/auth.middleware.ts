@@ -4,20 +4,33 @@
  */
 
 import { Request, Response, NextFunction } from 'express';
-import crypto from 'crypto';
 import { supabase } from '../config/database';
-import { Errors } from '../utils/api-response';
+import { Errors, AppError } from '../utils/api-response';
 import { UserResponse, OrganizationMember, Role } from '../types';
 import { 
   extractAccessToken, 
   verifyAccessToken, 
-  verifyCsrfToken,
-  generateAccessToken,
-  extractRefreshToken,
-
-  setAuthCookies,
-  hashToken
+  verifyCsrfToken
 } from '../services/token.service';
+import { MfaService } from '../services/mfa.service';
+import { SessionService } from '../services/session.service';
+import { EmailVerificationService } from '../services/email-verification.service';
+
+// Routes a user can still reach before completing required MFA enrollment
+const MFA_ENROLLMENT_PATHS = ['/api/auth', '/api/users/me', '/api/users/mfa'];
+
+// Routes an unverified account can always reach (sign-in, verification and its own profile)
+const EMAIL_VERIFICATION_PATHS = [
+  '/api/auth',
+  '/api/users/me',
+  '/api/users/profile',
+  '/api/users/change-password',
+  '/api/users/change-email',
+  '/api/users/account',
+  '/api/users/mfa'
+];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 /**
  * Authenticate JWT token from httpOnly cookie
@@ -54,9 +67,20 @@ export const authenticate = async (
     }
     
     if (user.is_active === false) {
-      throw new (Errors as any).forbidden('Account has been deactivated');
+      throw Errors.forbidden('Account has been deactivated');
+    }
+    
+    // Signing out a session ends its access tokens too, not just its refresh token
+    // (every access token names its session; one without is from before sessions existed)
+    const session = decoded.sid ? await SessionService.getActiveSession(decoded.sid, user.id) : null;
+    
+    if (!session) {
+      throw new AppError(401, 'SESSION_REVOKED', 'This session has been signed out. Please sign in again');
     }
     
+    req.sessionId = session.id;
+    SessionService.touch(session);
+    
     // Set user on request
     req.user = {
       id: user.id,
@@ -66,11 +90,24 @@ export const authenticate = async (
       avatar: user.avatar,
       isSuperAdmin: user.is_super_admin,
       emailVerified: user.email_verified,
+      mfaEnabled: !!user.mfa_enabled,
       timezone: user.timezone,
       language: user.language,
       createdAt: user.created_at
     } as UserResponse;
     
+    // Unverified accounts are limited by EMAIL_VERIFICATION_POLICY once the grace period is over
+    const verificationRestriction = EmailVerificationService.getRestriction(user);
+    if (
+      verificationRestriction !== 'none' &&
+      !(verificationRestriction === 'read_only' && READ_METHODS.includes(req.method)) &&
+      !EMAIL_VERIFICATION_PATHS.some(path => req.originalUrl.startsWith(path))
+    ) {
+      throw new AppError(403, 'EMAIL_NOT_VERIFIED', 'Please verify your email address to continue', {
+        restriction: verificationRestriction
+      });
+    }
+    
     // Load organization membership if present
     if (decoded.organizationId) {
       const { data: membership } = await supabase
@@ -99,7 +136,7 @@ export const authenticate = async (
           updatedAt: membership.updated_at
         } as OrganizationMember;
       } else if (!user.is_super_admin) {
-        throw new (Errors as any).forbidden('Not a member of this organization');
+        throw Errors.forbidden('Not a member of this organization');
       }
       
       // Load organization
@@ -112,6 +149,16 @@ export const authenticate = async (
       if (organization) {
         req.organization = organization as any;
       }
+      
+      // Organization requires MFA for this role - only enrollment and profile routes stay open
+      if (
+        !user.mfa_enabled &&
+        !user.is_super_admin &&
+        MfaService.isMfaRequired(organization, req.member?.role) &&
+        !MFA_ENROLLMENT_PATHS.some(path => req.originalUrl.startsWith(path))
+      ) {
+        throw new AppError(403, 'MFA_ENROLLMENT_REQUIRED', 'Your organization requires multi-factor authentication. Please set it up to continue');
+      }
     }
     
     // Update last active (async) - fire and forget
@@ -128,73 +175,6 @@ export const authenticate = async (
   }
 };
 
-/**
- * Refresh access token using refresh token cookie
- */
-export const refreshAccessToken = async (
-  req: Request,
-  res: Response,
-  next: NextFunction
-): Promise<void> => {
-  try {
-    const refreshToken = extractRefreshToken(req);
-    
-    if (!refreshToken) {
-      throw Errors.unauthorized('No refresh token provided');
-    }
-    
-    const tokenHash = hashToken(refreshToken);
-    
-    // Find refresh token in database
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('*')
-      .eq('refresh_token_hash', tokenHash)
-      .single();
-    
-    if (error || !user) {
-      throw Errors.unauthorized('Invalid refresh token');
-    }
-    
-    // Check if refresh token is expired
-    if (user.refresh_token_expires_at && new Date(user.refresh_token_expires_at) < new Date()) {
-      throw Errors.unauthorized('Refresh token has expired');
-    }
-    
-    // Generate new token pair
-    const newAccessToken = generateAccessToken({
-      sub: user.id,
-      email: user.email,
-      isSuperAdmin: user.is_super_admin,
-      organizationId: req.body?.organizationId || undefined
-    });
-    
-    // Generate new refresh token (token rotation)
-    const newRefreshToken = crypto.randomBytes(64).toString('hex');
-    const newRefreshHash = hashToken(newRefreshToken);
-    const newRefreshExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    
-    // Update user's refresh token in database
-    await supabase
-      .from('users')
-      .update({
-        refresh_token_hash: newRefreshHash,
-        refresh_token_expires_at: newRefreshExpires.toISOString()
-      })
-      .eq('id', user.id);
-    
-    // Set new cookies
-    setAuthCookies(res, newAccessToken, newRefreshToken);
-    
-    res.json({
-      success: true,
-      message: 'Token refreshed successfully'
-    });
-  } catch (error) {
-    next(error);
-  }
-};
-
 /**
  * Require permission middleware factory
  */
@@ -212,7 +192,7 @@ export const requirePermission = (...permissions: string[]) => {
     }
     
     if (!req.member) {
-      next(new (Errors as any).forbidden('Organization membership required'));
+      next(Errors.forbidden('Organization membership required'));
       return;
     }
     
@@ -224,7 +204,7 @@ export const requirePermission = (...permissions: string[]) => {
     );
     
     if (!hasAllPermissions) {
-      next(new (Errors as any).forbidden(`Required permissions: ${permissions.join(', ')}`));
+      next(Errors.forbidden(`Required permissions: ${permissions.join(', ')}`));
       return;
     }
     
@@ -249,12 +229,12 @@ export const requireRole = (...roles: Role[]) => {
     }
     
     if (!req.member) {
-      next(new (Errors as any).forbidden('Organization membership required'));
+      next(Errors.forbidden('Organization membership required'));
       return;
     }
     
     if (!roles.includes(req.member.role)) {
-      next(new (Errors as any).forbidden(`Required role: ${roles.join(' or ')}`));
+      next(Errors.forbidden(`Required role: ${roles.join(' or ')}`));
       return;
     }
     
@@ -262,6 +242,24 @@ export const requireRole = (...roles: Role[]) => {
   };
 };
 
+/**
+ * Require an active organization context
+ * Used by org-scoped resources that take the organization from the token
+ */
+export const requireOrganization = (req: Request, _res: Response, next: NextFunction): void => {
+  if (!req.user) {
+    next(Errors.unauthorized());
+    return;
+  }
+
+  if (!req.organization) {
+    next(Errors.badRequest('ORGANIZATION_REQUIRED', 'Select an organization to continue'));
+    return;
+  }
+
+  next();
+};
+
 /**
  * Optional authentication
  */
@@ -291,7 +289,11 @@ export const optionalAuth = async (
       .eq('id', decoded.sub)
       .single();
     
-    if (user && user.is_active !== false) {
+    // A signed-out session's access token (or one naming no session) counts as anonymous
+    const session = user && decoded.sid ? await SessionService.getActiveSession(decoded.sid, user.id) : null;
+    
+    if (user && user.is_active !== false && session) {
+      req.sessionId = session.id;
       req.user = {
         id: user.id,
         email: user.email,
@@ -360,7 +362,7 @@ export const requireCsrf = (req: Request, _res: Response, next: NextFunction): v
   
   // Verify CSRF token
   if (!verifyCsrfToken(req)) {
-    next(new (Errors as any).forbidden('Invalid or missing CSRF token'));
+    next(Errors.forbidden('Invalid or missing CSRF token'));
     return;
   }
   
@@ -369,9 +371,9 @@ export const requireCsrf = (req: Request, _res: Response, next: NextFunction): v
 
 export default {
   authenticate,
-  refreshAccessToken,
   requirePermission,
   requireRole,
+  requireOrganization,
   optionalAuth,
   requireCsrf
 };
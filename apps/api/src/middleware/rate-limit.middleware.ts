@@ -1,14 +1,104 @@
 /**
  * Rate Limiting Middleware
- * Per-user and per-IP rate limiting for enhanced security
+ * Per-user, per-organization and per-IP rate limiting for enhanced security
+ *
+ * Counts live in a shared store (Redis when REDIS_URL is set, in-memory otherwise), so limits
+ * survive restarts and apply across instances. Every limited response carries the standard
+ * RateLimit-Policy, RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset headers.
  */
 
-import rateLimit from 'express-rate-limit';
+import rateLimit, { Options, Store, ClientRateLimitInfo } from 'express-rate-limit';
 import { Request, Response, NextFunction } from 'express';
+import Redis from 'ioredis';
+import { RateLimitStore } from '../services/rate-limit-store';
+import { InMemoryRateLimitStore } from '../services/in-memory-rate-limit.store';
+import { RedisRateLimitStore } from '../services/redis-rate-limit.store';
+import { SubscriptionService } from '../services/subscription.service';
+import { Logger } from '../utils/logger';
 
-// Simple in-memory store for user-based rate limiting
-// In production, use Redis for distributed rate limiting
-const userRequestCounts = new Map<string, { count: number; resetTime: number }>();
+const ACCOUNT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+
+// Super admins work across organizations, so get a higher per-user limit
+const SUPER_ADMIN_RATE_LIMIT = 500;
+
+let store: RateLimitStore | undefined;
+let redisClient: Redis | undefined;
+
+/**
+ * Redis store from REDIS_URL; connects when the server starts (see connectRateLimitStore)
+ */
+const createRedisStore = (url: string): RateLimitStore => {
+  redisClient = new Redis(url, { enableOfflineQueue: false, lazyConnect: true });
+  redisClient.on('error', err => Logger.error('Rate limit Redis connection error', err));
+  return new RedisRateLimitStore(redisClient);
+};
+
+/**
+ * The configured rate limit store (Redis when REDIS_URL is set, otherwise in-memory)
+ */
+export const getRateLimitStore = (): RateLimitStore => {
+  if (!store) {
+    store = process.env.REDIS_URL ? createRedisStore(process.env.REDIS_URL) : new InMemoryRateLimitStore();
+  }
+
+  return store;
+};
+
+/**
+ * Create the store and connect to Redis if it's configured
+ * Throws rather than falling back to per-instance counts, which would quietly loosen every limit
+ */
+export const connectRateLimitStore = async (): Promise<RateLimitStore> => {
+  const current = getRateLimitStore();
+
+  if (redisClient && redisClient.status === 'wait') {
+    try {
+      await redisClient.connect();
+    } catch (err) {
+      // Stop reconnecting in the background
+      redisClient.disconnect();
+      throw err;
+    }
+  }
+
+  return current;
+};
+
+/**
+ * Replace the store (tests, or a Redis client configured elsewhere); undefined re-reads the environment
+ */
+export const setRateLimitStore = (override: RateLimitStore | undefined): void => {
+  store = override;
+  redisClient = undefined;
+};
+
+/**
+ * express-rate-limit store backed by the shared rate limit store
+ * Each limiter gets its own instance so keys never collide between limiters
+ */
+class SharedStore implements Store {
+  private windowMs = ACCOUNT_WINDOW_MS;
+  readonly localKeys = false;
+
+  constructor(readonly prefix: string) {}
+
+  init(options: Options): void {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key: string): Promise<ClientRateLimitInfo> {
+    const hit = await getRateLimitStore().increment(`${this.prefix}${key}`, this.windowMs);
+    return { totalHits: hit.count, resetTime: hit.resetAt };
+  }
+
+  async decrement(key: string): Promise<void> {
+    await getRateLimitStore().decrement(`${this.prefix}${key}`, this.windowMs);
+  }
+
+  async resetKey(key: string): Promise<void> {
+    await getRateLimitStore().reset(`${this.prefix}${key}`, this.windowMs);
+  }
+}
 
 /**
  * Get rate limit key for a request
@@ -21,6 +111,74 @@ function getRateLimitKey(req: Request): string {
   return `ip:${req.ip}`;
 }
 
+/**
+ * Set the standard rate limit headers (IETF draft 6, as express-rate-limit sends them)
+ */
+export const setRateLimitHeaders = (
+  res: Response,
+  limit: number,
+  count: number,
+  resetAt: Date,
+  windowMs: number,
+  now: number = Date.now()
+): void => {
+  res.setHeader('RateLimit-Policy', `${limit};w=${Math.ceil(windowMs / 1000)}`);
+  res.setHeader('RateLimit-Limit', String(limit));
+  res.setHeader('RateLimit-Remaining', String(Math.max(0, limit - count)));
+  res.setHeader('RateLimit-Reset', String(Math.max(0, Math.ceil((resetAt.getTime() - now) / 1000))));
+};
+
+interface AccountLimiterOptions {
+  // Key prefix; keeps each limiter's counts separate
+  name: string;
+  windowMs: number;
+  key: (req: Request) => string | null;
+  limit: (req: Request) => Promise<number>;
+  code: string;
+  message: string;
+}
+
+/**
+ * Sliding-window limiter whose limit depends on the request (e.g. the organization's plan)
+ * Fails open if the store is unreachable, so an outage doesn't take the API down with it
+ */
+const createAccountLimiter = (options: AccountLimiterOptions) =>
+  async (req: Request, res: Response, next: NextFunction) => {
+    const key = options.key(req);
+    if (!key) {
+      return next();
+    }
+
+    let limit: number;
+    let hit: Awaited<ReturnType<RateLimitStore['increment']>>;
+
+    try {
+      limit = await options.limit(req);
+      hit = await getRateLimitStore().increment(`${options.name}:${key}`, options.windowMs);
+    } catch (err) {
+      Logger.error('Rate limit store unavailable - request allowed', err as Error, { limiter: options.name });
+      return next();
+    }
+
+    setRateLimitHeaders(res, limit, hit.count, hit.resetAt, options.windowMs);
+
+    if (hit.count > limit) {
+      const retryAfter = Math.max(1, Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000));
+      res.setHeader('Retry-After', String(retryAfter));
+      res.status(429).json({
+        success: false,
+        error: {
+          code: options.code,
+          message: options.message,
+          retryAfter
+        }
+      });
+      return;
+    }
+
+    next();
+  };
+
 /**
  * General API rate limiter
  * 100 requests per 15 minutes per user/IP
@@ -30,6 +188,8 @@ export const generalLimiter = rateLimit({
   max: 100,
   standardHeaders: true,
   legacyHeaders: false,
+  store: new SharedStore('general:'),
+  passOnStoreError: true,
   keyGenerator: getRateLimitKey,
   handler: (_req: Request, res: Response) => {
     res.status(429).json({
@@ -57,6 +217,8 @@ export const authLimiter = rateLimit({
   skipSuccessfulRequests: true,
   standardHeaders: true,
   legacyHeaders: false,
+  store: new SharedStore('auth:'),
+  passOnStoreError: true,
   keyGenerator: (req: Request) => {
     // Always use IP for auth endpoints to prevent brute force
     return `auth:${req.ip}`;
@@ -75,92 +237,46 @@ export const authLimiter = rateLimit({
 
 /**
  * Per-user authenticated rate limiter
- * Different limits based on user role
+ * Limit comes from the organization's plan; super admins get a higher limit
  */
-export const userRateLimiter = async (req: Request, res: Response, next: NextFunction) => {
+const accountUserLimiter = createAccountLimiter({
+  name: 'user',
+  windowMs: ACCOUNT_WINDOW_MS,
+  key: (req) => req.user ? req.user.id : null,
+  limit: async (req) => req.user!.isSuperAdmin
+    ? SUPER_ADMIN_RATE_LIMIT
+    : (await SubscriptionService.getPlanRateLimits((req.organization as any)?.plan_id)).user,
+  code: 'RATE_LIMITED',
+  message: 'Rate limit exceeded for your account'
+});
+
+export const userRateLimiter = (req: Request, res: Response, next: NextFunction) => {
   if (!req.user) {
     // Fall back to IP-based limiting
     return generalLimiter(req, res, next);
   }
 
-  const key = `user:${req.user.id}`;
-  const now = Date.now();
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const maxRequests = req.user.isSuperAdmin ? 500 : 100; // Higher limit for admins
-
-  const record = userRequestCounts.get(key);
-  
-  if (!record || now > record.resetTime) {
-    // New window
-    userRequestCounts.set(key, {
-      count: 1,
-      resetTime: now + windowMs
-    });
-    return next();
-  }
-
-  if (record.count >= maxRequests) {
-    // Rate limit exceeded
-    const retryAfter = Math.ceil((record.resetTime - now) / 1000);
-    res.status(429).json({
-      success: false,
-      error: {
-        code: 'RATE_LIMITED',
-        message: 'Rate limit exceeded for your account',
-        retryAfter
-      }
-    });
-    return;
-  }
-
-  // Increment count
-  record.count++;
-  next();
+  return accountUserLimiter(req, res, next);
 };
 
 /**
  * Organization-specific rate limiter
- * Prevents abuse of organization-level endpoints
+ * Shared by all of an organization's members; the limit comes from its plan
  */
-export const organizationLimiter = async (req: Request, res: Response, next: NextFunction) => {
-  const orgId = req.member?.organizationId || req.params.id;
-  
-  if (!orgId) {
-    return next();
-  }
-
-  // Use organization-specific key
-  const key = `org:${orgId}`;
-  const now = Date.now();
-  const windowMs = 15 * 60 * 1000;
-  const maxRequests = 200; // Per organization
-
-  const record = userRequestCounts.get(key);
-  
-  if (!record || now > record.resetTime) {
-    userRequestCounts.set(key, {
-      count: 1,
-      resetTime: now + windowMs
-    });
-    return next();
-  }
-
-  if (record.count >= maxRequests) {
-    const retryAfter = Math.ceil((record.resetTime - now) / 1000);
-    res.status(429).json({
-      success: false,
-      error: {
-        code: 'ORG_RATE_LIMITED',
-        message: 'Organization rate limit exceeded',
-        retryAfter
-      }
-    });
-    return;
-  }
+export const organizationLimiter = createAccountLimiter({
+  name: 'org',
+  windowMs: ACCOUNT_WINDOW_MS,
+  key: (req) => req.organization?.id || req.member?.organizationId || null,
+  limit: async (req) => (await SubscriptionService.getPlanRateLimits((req.organization as any)?.plan_id)).organization,
+  code: 'ORG_RATE_LIMITED',
+  message: 'Organization rate limit exceeded'
+});
 
-  record.count++;
-  next();
-};
+/**
+ * Per-user and per-organization limits for authenticated routes
+ * Mount after authenticate, which sets the user and organization
+ */
+export const accountRateLimiter = [userRateLimiter, organizationLimiter];
 
 /**
  * Strict rate limiter for sensitive operations
@@ -171,6 +287,8 @@ export const strictLimiter = rateLimit({
   max: 10,
   standardHeaders: true,
   legacyHeaders: false,
+  store: new SharedStore('strict:'),
+  passOnStoreError: true,
   keyGenerator: getRateLimitKey,
   handler: (_req: Request, res: Response) => {
     res.status(429).json({
@@ -192,6 +310,8 @@ export const exportLimiter = rateLimit({
   max: 10,
   standardHeaders: true,
   legacyHeaders: false,
+  store: new SharedStore('export:'),
+  passOnStoreError: true,
   keyGenerator: getRateLimitKey,
   handler: (_req: Request, res: Response) => {
     res.status(429).json({
@@ -205,23 +325,36 @@ export const exportLimiter = rateLimit({
 });
 
 /**
- * Cleanup old rate limit entries periodically
- * Run every 5 minutes
+ * Public job application limiter
+ * Unauthenticated submissions, keyed by IP
  */
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, record] of userRequestCounts.entries()) {
-    if (now > record.resetTime) {
-      userRequestCounts.delete(key);
-    }
+export const applicationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  standardHeaders: true,
+  legacyHeaders: false,
+  store: new SharedStore('apply:'),
+  passOnStoreError: true,
+  keyGenerator: (req: Request) => `apply:${req.ip}`,
+  handler: (_req: Request, res: Response) => {
+    res.status(429).json({
+      success: false,
+      error: {
+        code: 'APPLICATION_RATE_LIMITED',
+        message: 'Too many applications submitted. Please try again in 1 hour.',
+        retryAfter: Math.ceil(60 * 60)
+      }
+    });
   }
-}, 5 * 60 * 1000);
+});
 
 export default {
   generalLimiter,
   authLimiter,
   userRateLimiter,
   organizationLimiter,
+  accountRateLimiter,
   strictLimiter,
-  exportLimiter
+  exportLimiter,
+  applicationLimiter
 };
@@ -0,0 +1,62 @@
+/**
+ * Subscription Middleware
+ * Read-only and locked modes for organizations whose trial or subscription has lapsed
+ */
+
+import { Request, Response, NextFunction } from 'express';
+import { AppError } from '../utils/api-response';
+import { SubscriptionService } from '../services/subscription.service';
+
+// Requests a read-only organization can still make
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// A member's own account stays reachable whatever state the organization is in
+const SELF_SERVICE_PATHS = [
+  '/api/users/me',
+  '/api/users/profile',
+  '/api/users/change-password',
+  '/api/users/change-email',
+  '/api/users/account',
+  '/api/users/mfa',
+  '/api/organizations/my'
+];
+
+/**
+ * Enforce the organization's subscription access mode
+ * Must run after authenticate (needs req.organization). Super admins are never restricted.
+ * Read-only organizations get 402 on writes; locked organizations get 403 on everything.
+ */
+export const enforceSubscriptionStatus = (req: Request, _res: Response, next: NextFunction): void => {
+  if (!req.organization || req.user?.isSuperAdmin) {
+    next();
+    return;
+  }
+
+  const access = SubscriptionService.getAccess(req.organization as any);
+
+  if (access.mode === 'full' || access.mode === 'grace') {
+    next();
+    return;
+  }
+
+  if (SELF_SERVICE_PATHS.some(path => req.originalUrl.startsWith(path))) {
+    next();
+    return;
+  }
+
+  if (access.mode === 'read_only' && READ_METHODS.includes(req.method)) {
+    next();
+    return;
+  }
+
+  next(new AppError(
+    access.mode === 'locked' ? 403 : 402,
+    access.code!,
+    access.message!,
+    {
+      accessMode: access.mode,
+      subscriptionStatus: (req.organization as any).subscription_status,
+      graceEndsAt: access.graceEndsAt
+    }
+  ));
+};
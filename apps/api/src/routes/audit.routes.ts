@@ -6,12 +6,14 @@ import { Router } from 'express';
 import { asyncHandler, sendSuccess, sendPaginated } from '../utils/api-response';
 import type { Request, Response } from 'express';
 import { authenticate, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
 import { AuditService } from '../services/audit.service';
 import { Permission, AuditAction } from '../types';
 
 const router = Router();
 
-router.use(authenticate);
+router.use(authenticate, enforceSubscriptionStatus, ...accountRateLimiter);
 
 // GET /api/audit/organizations/:id/logs - Get audit logs for organization
 router.get('/organizations/:id/logs',
@@ -8,20 +8,28 @@ import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import { z } from 'zod';
 import { supabase } from '../config/database';
-import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
+import { asyncHandler, sendSuccess, Errors, AppError } from '../utils/api-response';
 import { AuditService } from '../services/audit.service';
 import { EmailService } from '../services/email.service';
 import { 
-  generateAccessToken, 
-  generateRefreshToken, 
-  setAuthCookies, 
   clearAuthCookies,
-  hashToken,
   extractAccessToken,
-  verifyAccessToken
+  extractRefreshToken,
+  verifyAccessToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
+  MFA_CHALLENGE_MAX_AGE
 } from '../services/token.service';
+import { MfaService } from '../services/mfa.service';
+import { SubscriptionService } from '../services/subscription.service';
+import { EmailVerificationService } from '../services/email-verification.service';
+import { EmailChangeService } from '../services/email-change.service';
+import { AccountErasureService } from '../services/account-erasure.service';
+import { OrganizationService } from '../services/organization.service';
+import { SessionService } from '../services/session.service';
+import { authenticate } from '../middleware/auth.middleware';
 
-import { Role, AuditAction } from '../types';
+import { Role, AuditAction, SessionRevokeReason } from '../types';
 import type { Request, Response } from 'express';
 
 const router = Router();
@@ -33,6 +41,15 @@ const loginSchema = z.object({
   organizationId: z.string().uuid().optional().nullable()
 });
 
+const mfaLoginSchema = z.object({
+  mfaToken: z.string().min(1, 'MFA token is required'),
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits').optional(),
+  recoveryCode: z.string().min(1).max(20).optional()
+}).refine(data => !!data.code !== !!data.recoveryCode, {
+  message: 'Provide either an authentication code or a recovery code',
+  path: ['code']
+});
+
 const registerSchema = z.object({
   email: z.string().email('Invalid email address'),
   password: z.string()
@@ -51,6 +68,22 @@ const registerSchema = z.object({
   language: z.string().default('en')
 });
 
+const switchOrganizationSchema = z.object({
+  organizationId: z.string().uuid('Invalid organization')
+});
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1, 'Token is required')
+});
+
+const emailChangeTokenSchema = z.object({
+  token: z.string().min(1, 'Token is required')
+});
+
+const cancelAccountDeletionSchema = z.object({
+  token: z.string().min(1, 'Token is required')
+});
+
 const forgotPasswordSchema = z.object({
   email: z.string().email('Invalid email address')
 });
@@ -65,6 +98,50 @@ const resetPasswordSchema = z.object({
     .regex(/[^A-Za-z0-9]/, 'Password must contain at least one special character')
 });
 
+// Response mappers
+// Signed-in user and organization, as returned by login and organization switching
+const formatSignIn = (user: any, organization: any, memberRole?: Role) => ({
+  user: {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    isSuperAdmin: user.is_super_admin,
+    emailVerified: user.email_verified,
+    // What an unverified account is currently limited to (none during the grace period)
+    emailVerificationRestriction: EmailVerificationService.getRestriction(user),
+    mfaEnabled: !!user.mfa_enabled
+  },
+  ...(organization && {
+    organization: {
+      id: organization.id,
+      name: organization.name,
+      slug: organization.slug,
+      subscriptionStatus: organization.subscription_status,
+      trialEndsAt: organization.trial_ends_at,
+      // Lapsed trials and subscriptions still sign in, but may be read-only or locked
+      access: SubscriptionService.getAccess(organization),
+      role: memberRole
+    }
+  }),
+  // Organization mandates MFA for this role but the user hasn't enrolled yet
+  ...(!user.mfa_enabled && !user.is_super_admin && MfaService.isMfaRequired(organization, memberRole) && {
+    mfaEnrollmentRequired: true
+  })
+});
+
+const formatSession = (session: any, currentSessionId?: string) => ({
+  id: session.id,
+  deviceName: session.device_name,
+  userAgent: session.user_agent,
+  ipAddress: session.ip_address,
+  organizationId: session.organization_id,
+  createdAt: session.created_at,
+  lastUsedAt: session.last_used_at,
+  expiresAt: session.expires_at,
+  current: session.id === currentSessionId
+});
+
 // POST /api/auth/register - Create organization with owner
 router.post('/register', asyncHandler(async (req: Request, res: Response) => {
   const validated = registerSchema.parse(req.body);
@@ -83,19 +160,13 @@ router.post('/register', asyncHandler(async (req: Request, res: Response) => {
       throw Errors.conflict('EMAIL_EXISTS', 'An account with this email already exists');
     }
     
-    // Check slug availability
-    const { data: existingOrg } = await supabase
-      .from('organizations')
-      .select('id')
-      .eq('slug', validated.organizationSlug)
-      .single();
-    
-    if (existingOrg) {
+    // Check slug availability (including slugs other organizations have moved off)
+    if (await OrganizationService.getSlugConflict(validated.organizationSlug)) {
       throw Errors.conflict('SLUG_EXISTS', 'This organization URL is already taken');
     }
     
-    // Generate verification token
-    const verificationToken = crypto.randomBytes(32).toString('hex');
+    // Generate verification token (only the hash is stored)
+    const verification = EmailVerificationService.generateToken();
     
     // Hash password
     const passwordHash = await bcrypt.hash(validated.password, 12);
@@ -114,7 +185,9 @@ router.post('/register', asyncHandler(async (req: Request, res: Response) => {
         last_name: validated.lastName,
         timezone: validated.timezone,
         language: validated.language,
-        verification_token: verificationToken,
+        verification_token: verification.hash,
+        verification_token_expires_at: verification.expiresAt.toISOString(),
+        verification_sent_at: new Date().toISOString(),
         email_verified: false,
         is_active: true,
         is_super_admin: false
@@ -179,28 +252,8 @@ router.post('/register', asyncHandler(async (req: Request, res: Response) => {
       throw Errors.internal('Failed to create organization membership');
     }
     
-    // Generate tokens
-    const accessToken = generateAccessToken({
-      sub: user.id,
-      email: user.email,
-      isSuperAdmin: user.is_super_admin,
-      organizationId: organization.id,
-      role: Role.OWNER
-    });
-    
-    const refreshTokenData = generateRefreshToken();
-    
-    // Store refresh token hash
-    await supabase
-      .from('users')
-      .update({
-        refresh_token_hash: refreshTokenData.hash,
-        refresh_token_expires_at: refreshTokenData.expiresAt.toISOString()
-      })
-      .eq('id', user.id);
-    
-    // Set httpOnly cookies
-    setAuthCookies(res, accessToken, refreshTokenData.token);
+    // Start a session and set httpOnly cookies
+    await SessionService.start(req, res, user, { organizationId: organization.id, role: Role.OWNER });
     
     // Audit log
     await AuditService.log({
@@ -218,7 +271,7 @@ router.post('/register', asyncHandler(async (req: Request, res: Response) => {
     
     // Send emails (async - don't block response)
     EmailService.sendWelcomeEmail(user, organization).catch(() => {});
-    EmailService.sendVerificationEmail(user.email, verificationToken).catch(() => {});
+    EmailService.sendVerificationEmail(user.email, verification.token).catch(() => {});
     
     // Response without tokens (they're in cookies)
     sendSuccess(res, {
@@ -248,83 +301,65 @@ router.post('/register', asyncHandler(async (req: Request, res: Response) => {
   }
 }));
 
-// POST /api/auth/login
-router.post('/login', asyncHandler(async (req: Request, res: Response) => {
-  const validated = loginSchema.parse(req.body);
-  
-  // Find user
-  const { data: user, error: userError } = await supabase
-    .from('users')
-    .select('*')
-    .eq('email', validated.email.toLowerCase())
-    .single();
-  
-  if (userError || !user) {
-    // Audit failed login attempt
+// Record a failed password or MFA attempt, locking the account after 5
+const recordFailedLogin = async (user: any, reason: string, req: Request) => {
+  const failedAttempts = (user.failed_login_attempts || 0) + 1;
+  let updates: any = { failed_login_attempts: failedAttempts };
+  
+  // Lock account after 5 failed attempts
+  if (failedAttempts >= 5) {
+    const lockUntil = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
+    updates.locked_until = lockUntil.toISOString();
+    
+    // Audit lockout
     await AuditService.log({
-      action: AuditAction.LOGIN_FAILED,
-      resourceType: 'session',
-      details: { 
-        reason: 'user_not_found',
-        email: validated.email.toLowerCase()
-      },
+      userId: user.id,
+      action: AuditAction.ACCOUNT_LOCKED,
+      resourceType: 'user',
+      resourceId: user.id,
+      details: { reason: 'too_many_failed_attempts', failedAttempts },
       ipAddress: req.ip
     });
-    throw Errors.unauthorized('Invalid email or password');
   }
   
+  await supabase
+    .from('users')
+    .update(updates)
+    .eq('id', user.id);
+  
+  // Audit failed login
+  await AuditService.log({
+    userId: user.id,
+    action: AuditAction.LOGIN_FAILED,
+    resourceType: 'session',
+    details: { reason, failedAttempts },
+    ipAddress: req.ip
+  });
+};
+
+const assertCanSignIn = (user: any) => {
   // Check if account is locked
   if (user.locked_until && new Date(user.locked_until) > new Date()) {
     const minutesLeft = Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 60000);
     throw Errors.badRequest('ACCOUNT_LOCKED', `Account is locked. Try again in ${minutesLeft} minutes`);
   }
-  
-  // Verify password
-  const isValidPassword = await bcrypt.compare(validated.password, user.password_hash);
-  
-  if (!isValidPassword) {
-    // Increment failed attempts
-    const failedAttempts = (user.failed_login_attempts || 0) + 1;
-    let updates: any = { failed_login_attempts: failedAttempts };
-    
-    // Lock account after 5 failed attempts
-    if (failedAttempts >= 5) {
-      const lockUntil = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
-      updates.locked_until = lockUntil.toISOString();
-      
-      // Audit lockout
-      await AuditService.log({
-        userId: user.id,
-        action: AuditAction.ACCOUNT_LOCKED,
-        resourceType: 'user',
-        resourceId: user.id,
-        details: { reason: 'too_many_failed_attempts', failedAttempts },
-        ipAddress: req.ip
-      });
-    }
-    
-    await supabase
-      .from('users')
-      .update(updates)
-      .eq('id', user.id);
-    
-    // Audit failed login
-    await AuditService.log({
-      userId: user.id,
-      action: AuditAction.LOGIN_FAILED,
-      resourceType: 'session',
-      details: { reason: 'invalid_password', failedAttempts },
-      ipAddress: req.ip
-    });
-    
-    throw Errors.unauthorized('Invalid email or password');
-  }
-  
-  // Check if account is active
-  if (!user.is_active) {
-    throw Errors.forbidden('Account has been deactivated');
+};
+
+// Accounts waiting to be erased stay signed out; the emailed link cancels the deletion
+const assertNotPendingDeletion = (user: any) => {
+  if (AccountErasureService.isPendingDeletion(user)) {
+    throw new AppError(403, 'ACCOUNT_PENDING_DELETION', 'This account is scheduled for deletion. Use the link in your email to keep it');
   }
-  
+};
+
+// Issue session cookies once every login factor has been verified
+const completeLogin = async (
+  req: Request,
+  res: Response,
+  user: any,
+  requestedOrganizationId?: string | null,
+  details: Record<string, any> = {}
+) => {
   // Clear failed attempts and update last login
   await supabase
     .from('users')
@@ -340,13 +375,14 @@ router.post('/login', asyncHandler(async (req: Request, res: Response) => {
   let organizationId: string | undefined;
   let memberRole: Role | undefined;
   let organization: any;
+  let selectableMemberships: any[] = [];
   
-  if (validated.organizationId) {
+  if (requestedOrganizationId) {
     // Validate membership
     const { data: membership } = await supabase
       .from('organization_members')
       .select('*')
-      .eq('organization_id', validated.organizationId)
+      .eq('organization_id', requestedOrganizationId)
       .eq('user_id', user.id)
       .eq('is_active', true)
       .single();
@@ -355,7 +391,7 @@ router.post('/login', asyncHandler(async (req: Request, res: Response) => {
       throw Errors.forbidden('You are not a member of this organization');
     }
     
-    organizationId = validated.organizationId;
+    organizationId = requestedOrganizationId;
     memberRole = membership.role as Role;
     
     const { data: org } = await supabase
@@ -372,42 +408,24 @@ router.post('/login', asyncHandler(async (req: Request, res: Response) => {
       .eq('user_id', user.id)
       .eq('is_active', true);
     
-    if (memberships && memberships.length === 1) {
-      organizationId = memberships[0].organization_id;
-      memberRole = memberships[0].role as Role;
-      organization = memberships[0].organizations;
+    // The only organization, or the one used last; otherwise the user picks one after signing in
+    const membership = OrganizationService.pickDefaultMembership(memberships || [], user.last_organization_id);
+    
+    if (membership) {
+      organizationId = membership.organization_id;
+      memberRole = membership.role as Role;
+      organization = membership.organizations;
+    } else if (memberships && memberships.length > 1) {
+      selectableMemberships = memberships;
     }
   }
   
-  // Check trial expiration
-  if (organization?.subscription_status === 'trial' && organization?.trial_ends_at) {
-    if (new Date(organization.trial_ends_at) < new Date()) {
-      throw Errors.forbidden('Trial period has expired');
-    }
+  if (organizationId && organizationId !== user.last_organization_id) {
+    await OrganizationService.rememberOrganization(user.id, organizationId);
   }
   
-  // Generate tokens
-  const accessToken = generateAccessToken({
-    sub: user.id,
-    email: user.email,
-    isSuperAdmin: user.is_super_admin,
-    organizationId,
-    role: memberRole
-  });
-  
-  const refreshTokenData = generateRefreshToken();
-  
-  // Store refresh token hash
-  await supabase
-    .from('users')
-    .update({
-      refresh_token_hash: refreshTokenData.hash,
-      refresh_token_expires_at: refreshTokenData.expiresAt.toISOString()
-    })
-    .eq('id', user.id);
-  
-  // Set httpOnly cookies
-  setAuthCookies(res, accessToken, refreshTokenData.token);
+  // Start a session and set httpOnly cookies
+  const sessionId = await SessionService.start(req, res, user, { organizationId, role: memberRole });
   
   // Audit log
   await AuditService.log({
@@ -415,54 +433,169 @@ router.post('/login', asyncHandler(async (req: Request, res: Response) => {
     userId: user.id,
     action: AuditAction.LOGIN,
     resourceType: 'session',
-    details: { ipAddress: req.ip, userAgent: req.headers['user-agent'] },
+    resourceId: sessionId,
+    details: { ipAddress: req.ip, userAgent: req.headers['user-agent'], ...details },
     ipAddress: req.ip
   });
   
   // Response without tokens (they're in cookies)
   sendSuccess(res, {
-    user: {
-      id: user.id,
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      isSuperAdmin: user.is_super_admin,
-      emailVerified: user.email_verified
-    },
-    ...(organization && {
-      organization: {
-        id: organization.id,
-        name: organization.name,
-        slug: organization.slug,
-        subscriptionStatus: organization.subscription_status,
-        trialEndsAt: organization.trial_ends_at,
-        role: memberRole
-      }
+    ...formatSignIn(user, organization, memberRole),
+    // Signed in without an organization - switch to one of these next
+    ...(selectableMemberships.length > 0 && {
+      requiresOrganizationSelection: true,
+      organizations: selectableMemberships.map(m => ({
+        id: m.organizations.id,
+        name: m.organizations.name,
+        slug: m.organizations.slug,
+        logoUrl: m.organizations.logo_url,
+        role: m.role
+      }))
     })
   });
+};
+
+// POST /api/auth/login
+// Step 1: email + password. If MFA is enabled the response is { mfaRequired, mfaToken }.
+// Step 2: mfaToken + TOTP code (or a recovery code) completes the sign-in.
+router.post('/login', asyncHandler(async (req: Request, res: Response) => {
+  if (req.body?.mfaToken) {
+    const validated = mfaLoginSchema.parse(req.body);
+    
+    const challenge = verifyMfaChallengeToken(validated.mfaToken);
+    if (!challenge) {
+      throw Errors.unauthorized('MFA challenge has expired. Please sign in again');
+    }
+    
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', challenge.sub)
+      .single();
+    
+    if (userError || !user || !user.mfa_enabled || !user.mfa_secret) {
+      throw Errors.unauthorized('MFA challenge is no longer valid. Please sign in again');
+    }
+    
+    assertCanSignIn(user);
+    
+    if (!user.is_active) {
+      throw Errors.forbidden('Account has been deactivated');
+    }
+    
+    assertNotPendingDeletion(user);
+    
+    if (validated.code) {
+      const step = MfaService.verifyCode(user.mfa_secret, validated.code);
+      
+      // Reject codes from a time step that has already been used
+      if (step === null || (user.mfa_last_used_step && step <= Number(user.mfa_last_used_step))) {
+        await recordFailedLogin(user, 'invalid_mfa_code', req);
+        throw Errors.unauthorized('Invalid authentication code');
+      }
+      
+      await supabase
+        .from('users')
+        .update({ mfa_last_used_step: step })
+        .eq('id', user.id);
+      
+      await completeLogin(req, res, user, challenge.organizationId, { mfaMethod: 'totp' });
+      return;
+    }
+    
+    const remaining = MfaService.consumeRecoveryCode(user.mfa_recovery_codes || [], validated.recoveryCode!);
+    
+    if (!remaining) {
+      await recordFailedLogin(user, 'invalid_recovery_code', req);
+      throw Errors.unauthorized('Invalid recovery code');
+    }
+    
+    await supabase
+      .from('users')
+      .update({ mfa_recovery_codes: remaining })
+      .eq('id', user.id);
+    
+    await completeLogin(req, res, user, challenge.organizationId, {
+      mfaMethod: 'recovery_code',
+      recoveryCodesRemaining: remaining.length
+    });
+    return;
+  }
+  
+  const validated = loginSchema.parse(req.body);
+  
+  // Find user
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('*')
+    .eq('email', validated.email.toLowerCase())
+    .single();
+  
+  if (userError || !user) {
+    // Audit failed login attempt
+    await AuditService.log({
+      action: AuditAction.LOGIN_FAILED,
+      resourceType: 'session',
+      details: { 
+        reason: 'user_not_found',
+        email: validated.email.toLowerCase()
+      },
+      ipAddress: req.ip
+    });
+    throw Errors.unauthorized('Invalid email or password');
+  }
+  
+  assertCanSignIn(user);
+  
+  // Verify password
+  const isValidPassword = await bcrypt.compare(validated.password, user.password_hash);
+  
+  if (!isValidPassword) {
+    await recordFailedLogin(user, 'invalid_password', req);
+    throw Errors.unauthorized('Invalid email or password');
+  }
+  
+  // Check if account is active
+  if (!user.is_active) {
+    throw Errors.forbidden('Account has been deactivated');
+  }
+  
+  assertNotPendingDeletion(user);
+  
+  // Second factor required - failed attempts are only cleared once it's verified
+  if (user.mfa_enabled && user.mfa_secret) {
+    sendSuccess(res, {
+      mfaRequired: true,
+      mfaToken: generateMfaChallengeToken(user.id, validated.organizationId),
+      expiresIn: MFA_CHALLENGE_MAX_AGE / 1000
+    });
+    return;
+  }
+  
+  await completeLogin(req, res, user, validated.organizationId);
 }));
 
 // POST /api/auth/logout
 router.post('/logout', asyncHandler(async (req: Request, res: Response) => {
   const token = extractAccessToken(req);
-  let userId: string | undefined;
-  
-  if (token) {
-    const decoded = verifyAccessToken(token);
-    if (decoded) {
-      userId = decoded.sub;
-      
-      // Clear refresh token in database
-      await supabase
-        .from('users')
-        .update({
-          refresh_token_hash: null,
-          refresh_token_expires_at: null
-        })
-        .eq('id', decoded.sub);
+  const decoded = token ? verifyAccessToken(token) : null;
+  let userId = decoded?.sub;
+  let sessionId = decoded?.sid;
+  
+  // The access token may already have expired - find the session from the refresh token instead
+  if (!sessionId) {
+    const refreshToken = extractRefreshToken(req);
+    const session = refreshToken ? await SessionService.findByRefreshToken(refreshToken) : null;
+    if (session) {
+      userId = session.user_id;
+      sessionId = session.id;
     }
   }
   
+  if (sessionId && userId) {
+    await SessionService.revoke(sessionId, SessionRevokeReason.LOGOUT, userId);
+  }
+  
   // Clear cookies
   clearAuthCookies(res);
   
@@ -472,6 +605,7 @@ router.post('/logout', asyncHandler(async (req: Request, res: Response) => {
       userId,
       action: AuditAction.LOGOUT,
       resourceType: 'session',
+      resourceId: sessionId,
       ipAddress: req.ip
     });
   }
@@ -479,93 +613,108 @@ router.post('/logout', asyncHandler(async (req: Request, res: Response) => {
   sendSuccess(res, { message: 'Logged out successfully' });
 }));
 
-// POST /api/auth/refresh - Refresh access token
+// POST /api/auth/refresh - Rotate the refresh token and issue a new access token
 router.post('/refresh', asyncHandler(async (req: Request, res: Response) => {
-  const refreshToken = req.signedCookies?.refresh_token || req.cookies?.refresh_token;
+  const refreshToken = extractRefreshToken(req);
   
   if (!refreshToken) {
     throw Errors.unauthorized('No refresh token provided');
   }
   
-  const tokenHash = hashToken(refreshToken);
+  const tokenSession = await SessionService.findByRefreshToken(refreshToken);
+  
+  if (!tokenSession) {
+    throw Errors.unauthorized('Invalid refresh token');
+  }
   
-  // Find user by refresh token hash
   const { data: user, error } = await supabase
     .from('users')
     .select('*')
-    .eq('refresh_token_hash', tokenHash)
+    .eq('id', tokenSession.user_id)
     .single();
   
   if (error || !user) {
     throw Errors.unauthorized('Invalid refresh token');
   }
   
-  // Check if refresh token is expired
-  if (user.refresh_token_expires_at && new Date(user.refresh_token_expires_at) < new Date()) {
-    throw Errors.unauthorized('Refresh token has expired');
+  // A requested organization must be one the user can switch to; checked before the token is spent
+  const requestedOrganizationId: string | undefined = req.body?.organizationId || undefined;
+  let requestedMembership: any = null;
+  
+  if (requestedOrganizationId) {
+    const { data: membership } = await supabase
+      .from('organization_members')
+      .select('*')
+      .eq('organization_id', requestedOrganizationId)
+      .eq('user_id', user.id)
+      .eq('is_active', true)
+      .maybeSingle();
+    
+    // Super admins can work in any organization without being a member
+    let organization: any = membership;
+    if (!membership && user.is_super_admin) {
+      const { data: org } = await supabase
+        .from('organizations')
+        .select('id')
+        .eq('id', requestedOrganizationId)
+        .maybeSingle();
+      organization = org;
+    }
+    
+    if (!organization) {
+      throw Errors.forbidden('You are not a member of this organization');
+    }
+    
+    requestedMembership = membership;
   }
   
+  // Reusing an old refresh token revokes its session here; a concurrent refresh keeps the
+  // refresh cookie the other request set and only gets a new access token
+  const rotated = await SessionService.rotate(refreshToken, req);
+  const session = rotated.session;
+  
   // Check account status
   if (!user.is_active) {
+    await SessionService.revoke(session.id, SessionRevokeReason.REVOKED);
     throw Errors.forbidden('Account has been deactivated');
   }
   
-  // Get organization context from request body or use previous
-  let organizationId: string | undefined = req.body?.organizationId;
+  // Organization context: the one requested, else the session's while still a member,
+  // else the one sign-in would pick (the only one, or the one used last)
+  let organizationId: string | undefined;
   let memberRole: Role | undefined;
   
-  if (!organizationId) {
-    // Get user's primary organization
-    const { data: membership } = await supabase
-      .from('organization_members')
-      .select('*')
-      .eq('user_id', user.id)
-      .eq('is_active', true)
-      .order('joined_at', { ascending: false })
-      .limit(1)
-      .single();
-    
-    if (membership) {
-      organizationId = membership.organization_id;
-      memberRole = membership.role as Role;
-    }
+  if (requestedOrganizationId) {
+    organizationId = requestedOrganizationId;
+    memberRole = requestedMembership?.role as Role | undefined;
   } else {
-    // Validate membership
-    const { data: membership } = await supabase
+    const { data: memberships } = await supabase
       .from('organization_members')
       .select('*')
-      .eq('organization_id', organizationId)
       .eq('user_id', user.id)
-      .eq('is_active', true)
-      .single();
+      .eq('is_active', true);
+    
+    const membership = (memberships || []).find(m => m.organization_id === session.organization_id)
+      || OrganizationService.pickDefaultMembership(memberships || [], user.last_organization_id);
     
     if (membership) {
+      organizationId = membership.organization_id;
       memberRole = membership.role as Role;
     }
   }
   
-  // Generate new tokens
-  const newAccessToken = generateAccessToken({
-    sub: user.id,
-    email: user.email,
-    isSuperAdmin: user.is_super_admin,
-    organizationId,
-    role: memberRole
-  });
-  
-  const newRefreshToken = generateRefreshToken();
+  if (requestedMembership && organizationId !== user.last_organization_id) {
+    await OrganizationService.rememberOrganization(user.id, organizationId!);
+  }
   
-  // Update refresh token in database (token rotation)
-  await supabase
-    .from('users')
-    .update({
-      refresh_token_hash: newRefreshToken.hash,
-      refresh_token_expires_at: newRefreshToken.expiresAt.toISOString()
-    })
-    .eq('id', user.id);
+  if ((organizationId || null) !== (session.organization_id || null)) {
+    await supabase
+      .from('user_sessions')
+      .update({ organization_id: organizationId || null })
+      .eq('id', session.id);
+  }
   
-  // Set new cookies
-  setAuthCookies(res, newAccessToken, newRefreshToken.token);
+  SessionService.setSessionCookies(res, user, session.id, rotated.refreshToken, { organizationId, role: memberRole });
   
   // Audit log
   await AuditService.log({
@@ -573,6 +722,7 @@ router.post('/refresh', asyncHandler(async (req: Request, res: Response) => {
     organizationId,
     action: AuditAction.TOKEN_REFRESH,
     resourceType: 'session',
+    resourceId: session.id,
     ipAddress: req.ip
   });
   
@@ -580,23 +730,11 @@ router.post('/refresh', asyncHandler(async (req: Request, res: Response) => {
 }));
 
 // GET /api/auth/me
-router.get('/me', asyncHandler(async (req: Request, res: Response) => {
-  const token = extractAccessToken(req);
-  
-  if (!token) {
-    throw Errors.unauthorized();
-  }
-  
-  const decoded = verifyAccessToken(token);
-  
-  if (!decoded) {
-    throw Errors.unauthorized('Invalid or expired token');
-  }
-  
+router.get('/me', authenticate, asyncHandler(async (req: Request, res: Response) => {
   const { data: user, error } = await supabase
     .from('users')
     .select('*')
-    .eq('id', decoded.sub)
+    .eq('id', req.user!.id)
     .single();
   
   if (error || !user) {
@@ -623,50 +761,161 @@ router.get('/me', asyncHandler(async (req: Request, res: Response) => {
       githubUrl: user.github_url,
       isSuperAdmin: user.is_super_admin,
       emailVerified: user.email_verified,
+      emailVerificationRestriction: EmailVerificationService.getRestriction(user),
+      mfaEnabled: !!user.mfa_enabled,
       createdAt: user.created_at
     }
   };
   
   // Include organization context if present
-  if (decoded.organizationId) {
-    const { data: member } = await supabase
-      .from('organization_members')
-      .select('*')
-      .eq('organization_id', decoded.organizationId)
-      .eq('user_id', user.id)
-      .single();
+  const member = req.member;
+  const organization = req.organization as any;
+  
+  if (member && organization) {
+    response.organization = {
+      id: organization.id,
+      name: organization.name,
+      slug: organization.slug,
+      logoUrl: organization.logo_url,
+      subscriptionStatus: organization.subscription_status,
+      trialEndsAt: organization.trial_ends_at,
+      access: SubscriptionService.getAccess(organization),
+      role: member.role
+    };
     
-    const { data: organization } = await supabase
-      .from('organizations')
-      .select('*')
-      .eq('id', decoded.organizationId)
-      .single();
-    
-    if (member && organization) {
-      response.organization = {
-        id: organization.id,
-        name: organization.name,
-        slug: organization.slug,
-        logoUrl: organization.logo_url,
-        subscriptionStatus: organization.subscription_status,
-        trialEndsAt: organization.trial_ends_at,
-        role: member.role
-      };
-      
-      response.membership = {
-        role: member.role,
-        department: member.department,
-        title: member.title,
-        joinedAt: member.joined_at,
-        termStartDate: member.term_start_date,
-        termEndDate: member.term_end_date
-      };
-    }
+    response.membership = {
+      role: member.role,
+      department: member.department,
+      title: member.title,
+      joinedAt: member.joinedAt,
+      termStartDate: member.termStartDate,
+      termEndDate: member.termEndDate
+    };
   }
   
   sendSuccess(res, response);
 }));
 
+// POST /api/auth/verify-email - Confirm an email address from the verification link
+router.post('/verify-email', asyncHandler(async (req: Request, res: Response) => {
+  const validated = verifyEmailSchema.parse(req.body);
+  
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('verification_token', EmailVerificationService.hashToken(validated.token))
+    .single();
+  
+  if (error || !user) {
+    throw Errors.badRequest('INVALID_TOKEN', 'Invalid or expired verification token');
+  }
+  
+  if (!user.verification_token_expires_at || new Date(user.verification_token_expires_at) < new Date()) {
+    throw Errors.badRequest('TOKEN_EXPIRED', 'Verification link has expired. Please request a new one');
+  }
+  
+  await supabase
+    .from('users')
+    .update({
+      email_verified: true,
+      email_verified_at: new Date().toISOString(),
+      verification_token: null,
+      verification_token_expires_at: null
+    })
+    .eq('id', user.id);
+  
+  await AuditService.log({
+    userId: user.id,
+    action: AuditAction.EMAIL_VERIFIED,
+    resourceType: 'user',
+    resourceId: user.id,
+    details: { email: user.email },
+    ipAddress: req.ip
+  });
+  
+  sendSuccess(res, { message: 'Email verified successfully', emailVerified: true });
+}));
+
+// POST /api/auth/resend-verification - Send a new verification link to the signed-in user
+router.post('/resend-verification', authenticate, asyncHandler(async (req: Request, res: Response) => {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('id, email, email_verified, verification_sent_at')
+    .eq('id', req.user!.id)
+    .single();
+  
+  if (error || !user) {
+    throw Errors.unauthorized('User not found');
+  }
+  
+  if (user.email_verified) {
+    throw Errors.badRequest('ALREADY_VERIFIED', 'Your email address is already verified');
+  }
+  
+  await EmailVerificationService.sendVerification(user);
+  
+  sendSuccess(res, { message: 'Verification email sent' });
+}));
+
+// POST /api/auth/confirm-email-change - Apply an email change from the link sent to the new address
+router.post('/confirm-email-change', asyncHandler(async (req: Request, res: Response) => {
+  const validated = emailChangeTokenSchema.parse(req.body);
+  
+  const { request, sessionsRevoked } = await EmailChangeService.confirm(validated.token);
+  
+  await AuditService.log({
+    userId: request.user_id,
+    action: AuditAction.EMAIL_CHANGED,
+    resourceType: 'user',
+    resourceId: request.user_id,
+    details: { from: request.old_email, to: request.new_email, sessionsRevoked },
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+  
+  sendSuccess(res, { message: 'Your email address has been changed', email: request.new_email });
+}));
+
+// POST /api/auth/cancel-email-change - Stop an email change from the notice sent to the old address
+router.post('/cancel-email-change', asyncHandler(async (req: Request, res: Response) => {
+  const validated = emailChangeTokenSchema.parse(req.body);
+  
+  const { request, cancelled } = await EmailChangeService.cancel(validated.token);
+  
+  if (cancelled) {
+    await AuditService.log({
+      userId: request.user_id,
+      action: AuditAction.EMAIL_CHANGE_CANCELLED,
+      resourceType: 'user',
+      resourceId: request.user_id,
+      details: { email: request.old_email, cancelledEmail: request.new_email },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+  }
+  
+  sendSuccess(res, { message: 'The email change has been cancelled. If you did not ask for it, change your password' });
+}));
+
+// POST /api/auth/cancel-account-deletion - Keep an account scheduled for deletion, from the emailed link
+router.post('/cancel-account-deletion', asyncHandler(async (req: Request, res: Response) => {
+  const validated = cancelAccountDeletionSchema.parse(req.body);
+  
+  const user = await AccountErasureService.cancelByToken(validated.token);
+  
+  await AuditService.log({
+    userId: user.id,
+    action: AuditAction.ACCOUNT_DELETION_CANCELLED,
+    resourceType: 'user',
+    resourceId: user.id,
+    details: { cancelledBy: 'user' },
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+  
+  sendSuccess(res, { message: 'Your account will not be deleted. You can sign in again' });
+}));
+
 // POST /api/auth/forgot-password
 router.post('/forgot-password', asyncHandler(async (req: Request, res: Response) => {
   const validated = forgotPasswordSchema.parse(req.body);
@@ -752,14 +1001,8 @@ router.post('/reset-password', asyncHandler(async (req: Request, res: Response)
     })
     .eq('id', user.id);
   
-  // Invalidate all refresh tokens
-  await supabase
-    .from('users')
-    .update({
-      refresh_token_hash: null,
-      refresh_token_expires_at: null
-    })
-    .eq('id', user.id);
+  // Sign out every session
+  await SessionService.revokeAll(user.id, SessionRevokeReason.PASSWORD_RESET);
   
   // Audit log
   await AuditService.log({
@@ -774,27 +1017,16 @@ router.post('/reset-password', asyncHandler(async (req: Request, res: Response)
 }));
 
 // POST /api/auth/change-password (for authenticated users)
-router.post('/change-password', asyncHandler(async (req: Request, res: Response) => {
+router.post('/change-password', authenticate, asyncHandler(async (req: Request, res: Response) => {
   const validated = resetPasswordSchema.omit({ token: true }).extend({
     currentPassword: z.string().min(1, 'Current password is required')
   }).parse(req.body);
   
-  // Get current user from token
-  const token = extractAccessToken(req);
-  if (!token) {
-    throw Errors.unauthorized();
-  }
-  
-  const decoded = verifyAccessToken(token);
-  if (!decoded) {
-    throw Errors.unauthorized();
-  }
-  
   // Get user
   const { data: user, error } = await supabase
     .from('users')
     .select('*')
-    .eq('id', decoded.sub)
+    .eq('id', req.user!.id)
     .single();
   
   if (error || !user) {
@@ -804,7 +1036,7 @@ router.post('/change-password', asyncHandler(async (req: Request, res: Response)
   // Verify current password
   const isValid = await bcrypt.compare(validated.currentPassword, user.password_hash);
   if (!isValid) {
-    throw new (Errors as any).unauthorized('Current password is incorrect');
+    throw Errors.unauthorized('Current password is incorrect');
   }
   
   // Hash new password
@@ -819,14 +1051,8 @@ router.post('/change-password', asyncHandler(async (req: Request, res: Response)
     })
     .eq('id', user.id);
   
-  // Invalidate all refresh tokens (force re-login)
-  await supabase
-    .from('users')
-    .update({
-      refresh_token_hash: null,
-      refresh_token_expires_at: null
-    })
-    .eq('id', user.id);
+  // Sign out every session (force re-login)
+  await SessionService.revokeAll(user.id, SessionRevokeReason.PASSWORD_CHANGE);
   
   // Clear cookies
   clearAuthCookies(res);
@@ -845,4 +1071,132 @@ router.post('/change-password', asyncHandler(async (req: Request, res: Response)
   });
 }));
 
+// POST /api/auth/switch-organization - Move this session to another of the user's organizations
+router.post('/switch-organization', authenticate, asyncHandler(async (req: Request, res: Response) => {
+  const { organizationId } = switchOrganizationSchema.parse(req.body);
+  
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', req.user!.id)
+    .single();
+  
+  if (userError || !user) {
+    throw Errors.unauthorized('User not found');
+  }
+  
+  const { data: membership } = await supabase
+    .from('organization_members')
+    .select('*, organizations(*)')
+    .eq('organization_id', organizationId)
+    .eq('user_id', user.id)
+    .eq('is_active', true)
+    .maybeSingle();
+  
+  let organization = membership?.organizations;
+  
+  // Super admins can work in any organization without being a member
+  if (!membership && user.is_super_admin) {
+    const { data: org } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('id', organizationId)
+      .maybeSingle();
+    organization = org;
+  }
+  
+  if (!organization) {
+    throw Errors.forbidden('You are not a member of this organization');
+  }
+  
+  const memberRole = membership?.role as Role | undefined;
+  const context = { organizationId, role: memberRole };
+  
+  // New cookies scoped to the organization; tokens from before this change have no session to reuse
+  if (req.sessionId) {
+    await SessionService.reissue(req, res, user, req.sessionId, context);
+  } else {
+    await SessionService.start(req, res, user, context);
+  }
+  
+  await OrganizationService.rememberOrganization(user.id, organizationId);
+  
+  await AuditService.log({
+    organizationId,
+    userId: user.id,
+    action: AuditAction.ORGANIZATION_SWITCH,
+    resourceType: 'session',
+    resourceId: req.sessionId,
+    details: { fromOrganizationId: req.member?.organizationId || null },
+    ipAddress: req.ip
+  });
+  
+  sendSuccess(res, formatSignIn(user, organization, memberRole));
+}));
+
+// GET /api/auth/sessions - The current user's signed-in sessions
+router.get('/sessions', authenticate, asyncHandler(async (req: Request, res: Response) => {
+  const sessions = await SessionService.list(req.user!.id);
+  
+  sendSuccess(res, {
+    sessions: sessions.map(session => formatSession(session, req.sessionId))
+  });
+}));
+
+// DELETE /api/auth/sessions/:id - Sign out one session
+router.delete('/sessions/:id', authenticate, asyncHandler(async (req: Request, res: Response) => {
+  const revoked = await SessionService.revoke(req.params.id, SessionRevokeReason.REVOKED, req.user!.id);
+  
+  if (!revoked) {
+    throw Errors.notFound('Session');
+  }
+  
+  if (req.params.id === req.sessionId) {
+    clearAuthCookies(res);
+  }
+  
+  await AuditService.log({
+    userId: req.user!.id,
+    action: AuditAction.SESSION_REVOKED,
+    resourceType: 'session',
+    resourceId: req.params.id,
+    details: { current: req.params.id === req.sessionId },
+    ipAddress: req.ip
+  });
+  
+  sendSuccess(res, { message: 'Session signed out' });
+}));
+
+// DELETE /api/auth/sessions - Sign out every other session
+router.delete('/sessions', authenticate, asyncHandler(async (req: Request, res: Response) => {
+  const revoked = await SessionService.revokeAll(req.user!.id, SessionRevokeReason.REVOKED, req.sessionId);
+  
+  await AuditService.log({
+    userId: req.user!.id,
+    action: AuditAction.SESSION_REVOKED,
+    resourceType: 'session',
+    details: { scope: 'others', revoked },
+    ipAddress: req.ip
+  });
+  
+  sendSuccess(res, { message: 'Other sessions signed out', revoked });
+}));
+
+// POST /api/auth/logout-all - Sign out every session, including this one
+router.post('/logout-all', authenticate, asyncHandler(async (req: Request, res: Response) => {
+  const revoked = await SessionService.revokeAll(req.user!.id, SessionRevokeReason.LOGOUT_ALL);
+  
+  clearAuthCookies(res);
+  
+  await AuditService.log({
+    userId: req.user!.id,
+    action: AuditAction.LOGOUT,
+    resourceType: 'session',
+    details: { scope: 'all', revoked },
+    ipAddress: req.ip
+  });
+  
+  sendSuccess(res, { message: 'Logged out of all devices', revoked });
+}));
+
 export default router;
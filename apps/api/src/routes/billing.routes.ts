@@ -0,0 +1,588 @@
+/**
+ * Billing Routes
+ * Organization subscriptions, plan changes, invoices, payment methods and provider webhooks
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { supabase } from '../config/database';
+import { asyncHandler, sendSuccess, Errors, AppError } from '../utils/api-response';
+import type { Request, Response } from 'express';
+import { authenticate, requireOrganization, requirePermission } from '../middleware/auth.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
+import { AuditService } from '../services/audit.service';
+import { BillingService, getPaymentProvider } from '../services/billing.service';
+import {
+  SubscriptionService, DEFAULT_USER_RATE_LIMIT, DEFAULT_ORGANIZATION_RATE_LIMIT
+} from '../services/subscription.service';
+import { WebhookSignatureError } from '../services/payment-provider';
+import { Permission, AuditAction, CommitteeStatus, SubscriptionStatus } from '../types';
+
+const router = Router();
+
+// Validation schemas
+const planSelectionSchema = z.object({
+  planId: z.string().uuid('Invalid plan ID'),
+  billingCycle: z.enum(['monthly', 'yearly']).default('monthly')
+});
+
+const cancelSchema = z.object({
+  atPeriodEnd: z.boolean().default(true),
+  reason: z.string().max(500).optional()
+});
+
+const defaultPaymentMethodSchema = z.object({
+  paymentMethodId: z.string().min(1, 'Payment method is required').max(255)
+});
+
+const portalSchema = z.object({
+  returnUrl: z.string().url().optional()
+});
+
+const listInvoicesSchema = z.object({
+  limit: z.string().optional().transform(v => Math.min(Math.max(parseInt(v || '24') || 24, 1), 100))
+});
+
+// Response mappers
+const formatPlan = (plan: any) => ({
+  id: plan.id,
+  name: plan.name,
+  slug: plan.slug,
+  description: plan.description,
+  priceMonthly: plan.price_monthly,
+  priceYearly: plan.price_yearly,
+  maxUsers: plan.max_users,
+  maxStorageMb: plan.max_storage_mb,
+  maxCommittees: plan.max_committees,
+  // API requests per 15 minutes
+  rateLimits: {
+    user: plan.api_rate_limit_user || DEFAULT_USER_RATE_LIMIT,
+    organization: plan.api_rate_limit_org || DEFAULT_ORGANIZATION_RATE_LIMIT
+  },
+  features: plan.features,
+  isPopular: plan.is_popular
+});
+
+const formatSubscription = (org: any) => ({
+  status: org.subscription_status,
+  planId: org.plan_id,
+  billingCycle: org.billing_cycle || 'monthly',
+  isComplimentary: !!org.is_complimentary,
+  hasPaymentSubscription: !!org.subscription_stripe_id,
+  trialEndsAt: org.trial_ends_at,
+  subscriptionStartedAt: org.subscription_started_at,
+  currentPeriodStart: org.current_period_start,
+  currentPeriodEnd: org.current_period_end,
+  cancelAtPeriodEnd: !!org.cancel_at_period_end,
+  subscriptionEndsAt: org.subscription_ends_at,
+  cancelledAt: org.cancelled_at
+});
+
+const formatInvoice = (invoice: any) => ({
+  id: invoice.id,
+  number: invoice.number,
+  amountDue: invoice.amountDue,
+  amountPaid: invoice.amountPaid,
+  currency: invoice.currency,
+  status: invoice.status,
+  hostedInvoiceUrl: invoice.hostedInvoiceUrl,
+  pdfUrl: invoice.pdfUrl,
+  periodStart: invoice.periodStart,
+  periodEnd: invoice.periodEnd,
+  createdAt: invoice.createdAt
+});
+
+// Current organization (with its plan)
+const getOrganization = async (id: string) => {
+  const { data: organization, error } = await supabase
+    .from('organizations')
+    .select('*, subscription_plans(*)')
+    .eq('id', id)
+    .single();
+
+  if (error || !organization) {
+    throw Errors.notFound('Organization');
+  }
+
+  return organization;
+};
+
+const getActivePlan = async (id: string) => {
+  const { data: plan, error } = await supabase
+    .from('subscription_plans')
+    .select('*')
+    .eq('id', id)
+    .eq('is_active', true)
+    .single();
+
+  if (error || !plan) {
+    throw Errors.notFound('Plan');
+  }
+
+  return plan;
+};
+
+const getActiveMemberCount = async (organizationId: string): Promise<number> => {
+  const { count } = await supabase
+    .from('organization_members')
+    .select('id', { count: 'exact', head: true })
+    .eq('organization_id', organizationId)
+    .eq('is_active', true);
+
+  return count || 0;
+};
+
+// Suspension is lifted by the platform, not by paying
+const assertNotSuspended = (organization: any): void => {
+  if (organization.subscription_status === SubscriptionStatus.SUSPENDED) {
+    throw new AppError(403, 'ORGANIZATION_SUSPENDED', 'This organization is suspended. Please contact support');
+  }
+};
+
+const assertWithinPlanLimits = async (organizationId: string, plan: any): Promise<void> => {
+  const memberCount = await getActiveMemberCount(organizationId);
+  if (memberCount > plan.max_users) {
+    throw Errors.badRequest(
+      'PLAN_LIMIT_EXCEEDED',
+      `Organization has ${memberCount} active members but the ${plan.name} plan allows ${plan.max_users}`,
+      { memberCount, maxUsers: plan.max_users }
+    );
+  }
+};
+
+// A provider subscription that can still be changed
+const hasLiveSubscription = (organization: any): boolean =>
+  !!organization.subscription_stripe_id && organization.subscription_status !== SubscriptionStatus.CANCELLED;
+
+// ==========================================
+// Webhooks (public - verified by signature)
+// ==========================================
+
+// POST /api/billing/webhook - Payment provider events (raw JSON body)
+router.post('/webhook', asyncHandler(async (req: Request, res: Response) => {
+  const paymentProvider = getPaymentProvider();
+
+  if (!Buffer.isBuffer(req.body)) {
+    throw Errors.badRequest('INVALID_PAYLOAD', 'Webhook body must be raw JSON');
+  }
+
+  let event;
+  try {
+    event = paymentProvider.parseWebhookEvent(req.body, req.get(paymentProvider.signatureHeader));
+  } catch (err) {
+    if (err instanceof WebhookSignatureError) {
+      throw Errors.badRequest('INVALID_SIGNATURE', err.message);
+    }
+    throw err;
+  }
+
+  const result = await BillingService.handleWebhookEvent(event, paymentProvider.name);
+
+  sendSuccess(res, { received: true, duplicate: result.duplicate });
+}));
+
+// Everything else is for signed-in members of the organization
+router.use(authenticate, requireOrganization, ...accountRateLimiter);
+
+// ==========================================
+// Subscription
+// ==========================================
+
+// GET /api/billing/config - Provider details the client needs
+router.get('/config', requirePermission(Permission.BILLING_VIEW), asyncHandler(async (_req: Request, res: Response) => {
+  const paymentProvider = getPaymentProvider();
+
+  sendSuccess(res, {
+    provider: paymentProvider.name,
+    publishableKey: paymentProvider.publishableKey
+  });
+}));
+
+// GET /api/billing/plans - Plans available to subscribe to
+router.get('/plans', asyncHandler(async (_req: Request, res: Response) => {
+  const { data: plans, error } = await supabase
+    .from('subscription_plans')
+    .select('*')
+    .eq('is_active', true)
+    .order('sort_order', { ascending: true });
+
+  if (error) {
+    throw Errors.internal('Failed to fetch plans');
+  }
+
+  sendSuccess(res, { plans: (plans || []).map(formatPlan) });
+}));
+
+// GET /api/billing/subscription - Current plan and subscription
+router.get('/subscription', requirePermission(Permission.BILLING_VIEW), asyncHandler(async (req: Request, res: Response) => {
+  const organization = await getOrganization(req.organization!.id);
+
+  sendSuccess(res, {
+    subscription: formatSubscription(organization),
+    plan: organization.subscription_plans ? formatPlan(organization.subscription_plans) : null,
+    access: SubscriptionService.getAccess(organization)
+  });
+}));
+
+// GET /api/billing/usage - Usage against plan limits
+router.get('/usage', requirePermission(Permission.BILLING_VIEW), asyncHandler(async (req: Request, res: Response) => {
+  const organization = await getOrganization(req.organization!.id);
+  const plan = organization.subscription_plans;
+
+  const [memberCount, { count: committeeCount }] = await Promise.all([
+    getActiveMemberCount(organization.id),
+    supabase
+      .from('committees')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', organization.id)
+      .neq('status', CommitteeStatus.ARCHIVED)
+  ]);
+
+  const usage = (current: number, limit: number | null | undefined) => ({
+    current,
+    limit: limit ?? null,
+    percentage: limit ? Math.min(Math.round((current / limit) * 100), 100) : 0
+  });
+
+  sendSuccess(res, {
+    users: usage(memberCount, plan?.max_users ?? organization.max_members),
+    storage: usage(organization.storage_used_mb || 0, plan?.max_storage_mb ?? organization.max_storage_mb),
+    committees: usage(committeeCount || 0, plan?.max_committees)
+  });
+}));
+
+// GET /api/billing/subscription/preview - Proration for switching plan now
+router.get('/subscription/preview', requirePermission(Permission.BILLING_MANAGE), asyncHandler(async (req: Request, res: Response) => {
+  const validated = planSelectionSchema.parse(req.query);
+  const organization = await getOrganization(req.organization!.id);
+  const plan = await getActivePlan(validated.planId);
+  const paymentProvider = getPaymentProvider();
+  const price = BillingService.getPlanPrice(plan, validated.billingCycle, paymentProvider.name);
+
+  // Without a live subscription the first period is charged in full
+  const preview = hasLiveSubscription(organization)
+    ? await paymentProvider.previewPriceChange(organization.subscription_stripe_id, price, new Date())
+    : { amountDue: price.amount, currency: 'usd', prorationDate: new Date() };
+
+  sendSuccess(res, {
+    planId: plan.id,
+    billingCycle: validated.billingCycle,
+    price: price.amount,
+    amountDue: preview.amountDue,
+    currency: preview.currency,
+    prorationDate: preview.prorationDate
+  });
+}));
+
+// POST /api/billing/subscription - Subscribe to a plan
+router.post('/subscription', requirePermission(Permission.BILLING_MANAGE), asyncHandler(async (req: Request, res: Response) => {
+  const validated = planSelectionSchema.parse(req.body);
+  const organization = await getOrganization(req.organization!.id);
+  assertNotSuspended(organization);
+
+  if (hasLiveSubscription(organization)) {
+    throw Errors.conflict('SUBSCRIPTION_EXISTS', 'Organization already has a subscription. Change plan instead');
+  }
+
+  const plan = await getActivePlan(validated.planId);
+  await assertWithinPlanLimits(organization.id, plan);
+
+  const paymentProvider = getPaymentProvider();
+  const price = BillingService.getPlanPrice(plan, validated.billingCycle, paymentProvider.name);
+  const customerId = await BillingService.ensureCustomer(organization, req.user!);
+
+  // Remaining trial time carries over to the paid subscription
+  const trialEnd = organization.subscription_status === SubscriptionStatus.TRIAL && organization.trial_ends_at
+    ? new Date(organization.trial_ends_at)
+    : null;
+  const inTrial = !!trialEnd && trialEnd.getTime() > Date.now();
+
+  if (!inTrial && price.amount > 0) {
+    const methods = await paymentProvider.listPaymentMethods(customerId);
+    if (!methods.some(m => m.isDefault)) {
+      throw new AppError(402, 'PAYMENT_METHOD_REQUIRED', 'Add a payment method before subscribing');
+    }
+  }
+
+  const subscription = await paymentProvider.createSubscription({
+    customerId,
+    price,
+    organizationId: organization.id,
+    trialEnd: inTrial ? trialEnd : null
+  });
+
+  const updated = await BillingService.syncSubscription(organization, subscription, {
+    plan_id: plan.id,
+    billing_cycle: validated.billingCycle,
+    is_complimentary: false,
+    max_members: plan.max_users,
+    max_storage_mb: plan.max_storage_mb
+  });
+
+  await AuditService.log({
+    organizationId: organization.id,
+    userId: req.user!.id,
+    action: AuditAction.UPDATE,
+    resourceType: 'subscription',
+    resourceId: organization.id,
+    details: {
+      action: 'subscribe',
+      planId: plan.id,
+      planName: plan.name,
+      billingCycle: validated.billingCycle,
+      status: updated.subscription_status
+    },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, {
+    message: `Subscribed to ${plan.name}`,
+    subscription: formatSubscription(updated),
+    plan: formatPlan(plan)
+  }, 201);
+}));
+
+// PUT /api/billing/subscription - Change plan or billing cycle (prorated)
+router.put('/subscription', requirePermission(Permission.BILLING_MANAGE), asyncHandler(async (req: Request, res: Response) => {
+  const validated = planSelectionSchema.parse(req.body);
+  const organization = await getOrganization(req.organization!.id);
+  assertNotSuspended(organization);
+
+  if (!hasLiveSubscription(organization)) {
+    throw Errors.badRequest('NO_SUBSCRIPTION', 'Organization has no subscription to change');
+  }
+
+  if (organization.plan_id === validated.planId && (organization.billing_cycle || 'monthly') === validated.billingCycle) {
+    throw Errors.badRequest('SAME_PLAN', 'Organization is already on this plan');
+  }
+
+  const plan = await getActivePlan(validated.planId);
+  await assertWithinPlanLimits(organization.id, plan);
+
+  const paymentProvider = getPaymentProvider();
+  const price = BillingService.getPlanPrice(plan, validated.billingCycle, paymentProvider.name);
+  const prorationDate = new Date();
+
+  const preview = await paymentProvider.previewPriceChange(organization.subscription_stripe_id, price, prorationDate);
+  const subscription = await paymentProvider.changeSubscriptionPrice(organization.subscription_stripe_id, price, prorationDate);
+
+  const updated = await BillingService.syncSubscription(organization, subscription, {
+    plan_id: plan.id,
+    billing_cycle: validated.billingCycle,
+    max_members: plan.max_users,
+    max_storage_mb: plan.max_storage_mb
+  });
+
+  await AuditService.log({
+    organizationId: organization.id,
+    userId: req.user!.id,
+    action: AuditAction.UPDATE,
+    resourceType: 'subscription',
+    resourceId: organization.id,
+    details: {
+      action: 'change_plan',
+      previousPlanId: organization.plan_id,
+      previousPlanName: organization.subscription_plans?.name,
+      previousBillingCycle: organization.billing_cycle,
+      newPlanId: plan.id,
+      newPlanName: plan.name,
+      billingCycle: validated.billingCycle,
+      prorationAmount: preview.amountDue
+    },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, {
+    message: `Plan changed to ${plan.name}`,
+    subscription: formatSubscription(updated),
+    plan: formatPlan(plan),
+    proration: { amountDue: preview.amountDue, currency: preview.currency }
+  });
+}));
+
+// POST /api/billing/subscription/cancel - Cancel now or at the end of the period
+router.post('/subscription/cancel', requirePermission(Permission.BILLING_MANAGE), asyncHandler(async (req: Request, res: Response) => {
+  const validated = cancelSchema.parse(req.body);
+  const organization = await getOrganization(req.organization!.id);
+
+  if (!hasLiveSubscription(organization)) {
+    throw Errors.badRequest('NO_SUBSCRIPTION', 'Organization has no subscription to cancel');
+  }
+
+  const subscription = await getPaymentProvider().cancelSubscription(organization.subscription_stripe_id, {
+    atPeriodEnd: validated.atPeriodEnd
+  });
+  const updated = await BillingService.syncSubscription(organization, subscription);
+
+  await AuditService.log({
+    organizationId: organization.id,
+    userId: req.user!.id,
+    action: AuditAction.UPDATE,
+    resourceType: 'subscription',
+    resourceId: organization.id,
+    details: {
+      action: 'cancel',
+      atPeriodEnd: validated.atPeriodEnd,
+      reason: validated.reason
+    },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, {
+    message: validated.atPeriodEnd
+      ? 'Subscription will cancel at the end of the billing period'
+      : 'Subscription cancelled',
+    subscription: formatSubscription(updated)
+  });
+}));
+
+// POST /api/billing/subscription/resume - Undo a pending cancellation
+router.post('/subscription/resume', requirePermission(Permission.BILLING_MANAGE), asyncHandler(async (req: Request, res: Response) => {
+  const organization = await getOrganization(req.organization!.id);
+
+  if (!hasLiveSubscription(organization) || !organization.cancel_at_period_end) {
+    throw Errors.badRequest('NOT_CANCELLING', 'Subscription is not set to cancel');
+  }
+
+  const subscription = await getPaymentProvider().resumeSubscription(organization.subscription_stripe_id);
+  const updated = await BillingService.syncSubscription(organization, subscription);
+
+  await AuditService.log({
+    organizationId: organization.id,
+    userId: req.user!.id,
+    action: AuditAction.UPDATE,
+    resourceType: 'subscription',
+    resourceId: organization.id,
+    details: { action: 'resume' },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, {
+    message: 'Subscription resumed',
+    subscription: formatSubscription(updated)
+  });
+}));
+
+// ==========================================
+// Invoices
+// ==========================================
+
+// GET /api/billing/invoices - Billing history, newest first
+router.get('/invoices', requirePermission(Permission.BILLING_VIEW), asyncHandler(async (req: Request, res: Response) => {
+  const { limit } = listInvoicesSchema.parse(req.query);
+  const organization = await getOrganization(req.organization!.id);
+
+  if (!organization.billing_customer_id) {
+    sendSuccess(res, { invoices: [] });
+    return;
+  }
+
+  const invoices = await getPaymentProvider().listInvoices(organization.billing_customer_id, limit);
+
+  sendSuccess(res, { invoices: invoices.map(formatInvoice) });
+}));
+
+// ==========================================
+// Payment Methods
+// ==========================================
+
+// GET /api/billing/payment-methods - Saved cards
+router.get('/payment-methods', requirePermission(Permission.BILLING_VIEW), asyncHandler(async (req: Request, res: Response) => {
+  const organization = await getOrganization(req.organization!.id);
+
+  if (!organization.billing_customer_id) {
+    sendSuccess(res, { paymentMethods: [] });
+    return;
+  }
+
+  const paymentMethods = await getPaymentProvider().listPaymentMethods(organization.billing_customer_id);
+
+  sendSuccess(res, { paymentMethods });
+}));
+
+// POST /api/billing/payment-methods/setup-intent - Start adding a card
+router.post('/payment-methods/setup-intent', requirePermission(Permission.BILLING_MANAGE), asyncHandler(async (req: Request, res: Response) => {
+  const organization = await getOrganization(req.organization!.id);
+  const customerId = await BillingService.ensureCustomer(organization, req.user!);
+
+  const { clientSecret } = await getPaymentProvider().createSetupIntent(customerId);
+
+  sendSuccess(res, { clientSecret });
+}));
+
+// PUT /api/billing/payment-methods/default - Card used for future invoices
+router.put('/payment-methods/default', requirePermission(Permission.BILLING_MANAGE), asyncHandler(async (req: Request, res: Response) => {
+  const { paymentMethodId } = defaultPaymentMethodSchema.parse(req.body);
+  const organization = await getOrganization(req.organization!.id);
+
+  if (!organization.billing_customer_id) {
+    throw Errors.notFound('Payment method');
+  }
+
+  await getPaymentProvider().setDefaultPaymentMethod(organization.billing_customer_id, paymentMethodId);
+
+  await AuditService.log({
+    organizationId: organization.id,
+    userId: req.user!.id,
+    action: AuditAction.UPDATE,
+    resourceType: 'payment_method',
+    resourceId: paymentMethodId,
+    details: { action: 'set_default' },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, { message: 'Default payment method updated' });
+}));
+
+// DELETE /api/billing/payment-methods/:id - Remove a card
+router.delete('/payment-methods/:id', requirePermission(Permission.BILLING_MANAGE), asyncHandler(async (req: Request, res: Response) => {
+  const organization = await getOrganization(req.organization!.id);
+
+  if (!organization.billing_customer_id) {
+    throw Errors.notFound('Payment method');
+  }
+
+  const paymentProvider = getPaymentProvider();
+  const methods = await paymentProvider.listPaymentMethods(organization.billing_customer_id);
+  const method = methods.find(m => m.id === req.params.id);
+
+  if (!method) {
+    throw Errors.notFound('Payment method');
+  }
+
+  // Keep a card on file while a paid subscription renews
+  if (method.isDefault && methods.length === 1 && hasLiveSubscription(organization) && !organization.cancel_at_period_end) {
+    throw Errors.badRequest('PAYMENT_METHOD_REQUIRED', 'Add another payment method before removing the last one');
+  }
+
+  await paymentProvider.detachPaymentMethod(organization.billing_customer_id, method.id);
+
+  await AuditService.log({
+    organizationId: organization.id,
+    userId: req.user!.id,
+    action: AuditAction.DELETE,
+    resourceType: 'payment_method',
+    resourceId: method.id,
+    details: { brand: method.brand, last4: method.last4 },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, { message: 'Payment method removed' });
+}));
+
+// POST /api/billing/portal - Provider-hosted billing portal
+router.post('/portal', requirePermission(Permission.BILLING_MANAGE), asyncHandler(async (req: Request, res: Response) => {
+  const validated = portalSchema.parse(req.body);
+  const organization = await getOrganization(req.organization!.id);
+  const customerId = await BillingService.ensureCustomer(organization, req.user!);
+
+  // Only send users back to our own frontend
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+  const returnUrl = validated.returnUrl?.startsWith(frontendUrl) ? validated.returnUrl : `${frontendUrl}/dashboard`;
+
+  const { url } = await getPaymentProvider().createPortalSession(customerId, returnUrl);
+
+  sendSuccess(res, { url });
+}));
+
+export default router;
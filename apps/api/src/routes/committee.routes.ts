@@ -0,0 +1,512 @@
+/**
+ * Committee Routes
+ * Org-scoped committees, membership and committee roles
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { supabase } from '../config/database';
+import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
+import type { Request, Response } from 'express';
+import { authenticate, requireOrganization, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
+import { AuditService } from '../services/audit.service';
+import { Permission, AuditAction, CommitteeStatus, CommitteeRole, MeetingStatus } from '../types';
+
+const router = Router();
+
+// Validation schemas
+const createCommitteeSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(150),
+  description: z.string().max(2000).optional(),
+  termsOfReference: z.string().optional(),
+  colorTheme: z.string().max(30).optional(),
+  chairUserId: z.string().uuid().optional()
+});
+
+const updateCommitteeSchema = z.object({
+  name: z.string().min(1).max(150).optional(),
+  description: z.string().max(2000).optional(),
+  termsOfReference: z.string().optional(),
+  colorTheme: z.string().max(30).optional(),
+  status: z.nativeEnum(CommitteeStatus).optional()
+});
+
+const addMemberSchema = z.object({
+  userId: z.string().uuid('Invalid user ID'),
+  roleInCommittee: z.nativeEnum(CommitteeRole).default(CommitteeRole.MEMBER)
+});
+
+const updateMemberSchema = z.object({
+  roleInCommittee: z.nativeEnum(CommitteeRole)
+});
+
+// Response mappers
+const formatCommittee = (committee: any) => ({
+  id: committee.id,
+  organizationId: committee.organization_id,
+  name: committee.name,
+  description: committee.description,
+  termsOfReference: committee.terms_of_reference,
+  termsOfReferenceUpdatedAt: committee.terms_of_reference_updated_at,
+  colorTheme: committee.color_theme,
+  status: committee.status,
+  createdBy: committee.created_by,
+  createdAt: committee.created_at,
+  updatedAt: committee.updated_at
+});
+
+const formatCommitteeMember = (member: any) => ({
+  id: member.id,
+  organizationMemberId: member.organization_member_id,
+  userId: member.organization_members?.users?.id,
+  email: member.organization_members?.users?.email,
+  firstName: member.organization_members?.users?.first_name,
+  lastName: member.organization_members?.users?.last_name,
+  avatar: member.organization_members?.users?.avatar,
+  organizationRole: member.organization_members?.role,
+  roleInCommittee: member.role,
+  joinedAt: member.joined_at
+});
+
+const MEMBER_SELECT = '*, organization_members(id, role, users(id, email, first_name, last_name, avatar))';
+
+// Load a committee that belongs to the organization
+const findCommittee = async (id: string, organizationId: string) => {
+  const { data: committee, error } = await supabase
+    .from('committees')
+    .select('*')
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !committee) {
+    throw Errors.notFound('Committee');
+  }
+
+  return committee;
+};
+
+// Resolve a user to their active organization membership
+const findOrganizationMember = async (organizationId: string, userId: string) => {
+  const { data: member } = await supabase
+    .from('organization_members')
+    .select('*')
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId)
+    .eq('is_active', true)
+    .single();
+
+  if (!member) {
+    throw Errors.badRequest('NOT_ORGANIZATION_MEMBER', 'User is not an active member of this organization');
+  }
+
+  return member;
+};
+
+// A committee has at most one chair; demote the current one before appointing another
+const demoteCurrentChair = async (committeeId: string, exceptMemberId?: string) => {
+  let query = supabase
+    .from('committee_members')
+    .update({ role: CommitteeRole.MEMBER })
+    .eq('committee_id', committeeId)
+    .eq('role', CommitteeRole.CHAIR);
+
+  if (exceptMemberId) {
+    query = query.neq('organization_member_id', exceptMemberId);
+  }
+
+  await query;
+};
+
+// All routes require authentication within an organization
+router.use(authenticate, requireOrganization, enforceSubscriptionStatus, ...accountRateLimiter);
+
+// GET /api/committees - List committees
+router.get('/',
+  requirePermission(Permission.COMMITTEE_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const status = req.query.status as string || CommitteeStatus.ACTIVE;
+
+    let query = supabase
+      .from('committees')
+      .select(`*, committee_members(${MEMBER_SELECT})`)
+      .eq('organization_id', organizationId);
+
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+
+    const { data: committees, error } = await query.order('name', { ascending: true });
+
+    if (error) {
+      throw Errors.internal('Failed to fetch committees');
+    }
+
+    sendSuccess(res, {
+      committees: (committees || []).map(c => {
+        const members = (c.committee_members || []).map(formatCommitteeMember);
+        return {
+          ...formatCommittee(c),
+          memberCount: members.length,
+          chair: members.find((m: any) => m.roleInCommittee === CommitteeRole.CHAIR) || null
+        };
+      })
+    });
+  })
+);
+
+// GET /api/committees/:id - Get committee with members and upcoming meetings
+router.get('/:id',
+  requirePermission(Permission.COMMITTEE_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const committee = await findCommittee(req.params.id, req.organization!.id);
+
+    const { data: members } = await supabase
+      .from('committee_members')
+      .select(MEMBER_SELECT)
+      .eq('committee_id', committee.id)
+      .order('joined_at', { ascending: true });
+
+    const { data: meetings } = await supabase
+      .from('meetings')
+      .select('id, title, meeting_type, meeting_date, location, status')
+      .eq('committee_id', committee.id)
+      .gte('meeting_date', new Date().toISOString())
+      .neq('status', MeetingStatus.CANCELLED)
+      .order('meeting_date', { ascending: true })
+      .limit(5);
+
+    const formattedMembers = (members || []).map(formatCommitteeMember);
+
+    sendSuccess(res, {
+      committee: {
+        ...formatCommittee(committee),
+        chair: formattedMembers.find(m => m.roleInCommittee === CommitteeRole.CHAIR) || null,
+        members: formattedMembers,
+        upcomingMeetings: (meetings || []).map(m => ({
+          id: m.id,
+          title: m.title,
+          meetingType: m.meeting_type,
+          meetingDate: m.meeting_date,
+          location: m.location,
+          status: m.status
+        }))
+      }
+    });
+  })
+);
+
+// POST /api/committees - Create committee
+router.post('/',
+  requirePermission(Permission.COMMITTEE_CREATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const validated = createCommitteeSchema.parse(req.body);
+
+    const { data: existing } = await supabase
+      .from('committees')
+      .select('id')
+      .eq('organization_id', organizationId)
+      .ilike('name', validated.name)
+      .neq('status', CommitteeStatus.ARCHIVED)
+      .single();
+
+    if (existing) {
+      throw Errors.conflict('COMMITTEE_EXISTS', 'A committee with this name already exists');
+    }
+
+    const chairMember = validated.chairUserId
+      ? await findOrganizationMember(organizationId, validated.chairUserId)
+      : null;
+
+    const { data: committee, error } = await supabase
+      .from('committees')
+      .insert({
+        organization_id: organizationId,
+        name: validated.name,
+        description: validated.description,
+        terms_of_reference: validated.termsOfReference,
+        terms_of_reference_updated_at: validated.termsOfReference ? new Date().toISOString() : null,
+        color_theme: validated.colorTheme,
+        status: CommitteeStatus.ACTIVE,
+        created_by: req.user!.id
+      })
+      .select()
+      .single();
+
+    if (error || !committee) {
+      throw Errors.internal('Failed to create committee');
+    }
+
+    if (chairMember) {
+      const { error: chairError } = await supabase
+        .from('committee_members')
+        .insert({
+          committee_id: committee.id,
+          organization_member_id: chairMember.id,
+          role: CommitteeRole.CHAIR
+        });
+
+      if (chairError) {
+        await supabase.from('committees').delete().eq('id', committee.id);
+        throw Errors.internal('Failed to appoint committee chair');
+      }
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'committee',
+      resourceId: committee.id,
+      details: {
+        name: committee.name,
+        chairUserId: validated.chairUserId
+      },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { committee: formatCommittee(committee) }, 201);
+  })
+);
+
+// PUT /api/committees/:id - Update committee
+router.put('/:id',
+  requirePermission(Permission.COMMITTEE_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const existing = await findCommittee(req.params.id, organizationId);
+    const validated = updateCommitteeSchema.parse(req.body);
+
+    const updateData: any = {};
+    if (validated.name !== undefined) updateData.name = validated.name;
+    if (validated.description !== undefined) updateData.description = validated.description;
+    if (validated.colorTheme !== undefined) updateData.color_theme = validated.colorTheme;
+    if (validated.status !== undefined) updateData.status = validated.status;
+    if (validated.termsOfReference !== undefined &&
+        validated.termsOfReference !== existing.terms_of_reference) {
+      updateData.terms_of_reference = validated.termsOfReference;
+      updateData.terms_of_reference_updated_at = new Date().toISOString();
+    }
+
+    const { data: committee, error } = await supabase
+      .from('committees')
+      .update(updateData)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error || !committee) {
+      throw Errors.internal('Failed to update committee');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'committee',
+      resourceId: committee.id,
+      details: {
+        fields: Object.keys(validated),
+        termsOfReferenceChanged: 'terms_of_reference' in updateData,
+        previousStatus: existing.status,
+        newStatus: validated.status
+      },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, {
+      message: 'Committee updated successfully',
+      committee: formatCommittee(committee)
+    });
+  })
+);
+
+// DELETE /api/committees/:id - Delete committee
+router.delete('/:id',
+  requirePermission(Permission.COMMITTEE_DELETE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const committee = await findCommittee(req.params.id, organizationId);
+
+    const { error } = await supabase
+      .from('committees')
+      .delete()
+      .eq('id', committee.id);
+
+    if (error) {
+      throw Errors.internal('Failed to delete committee');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'committee',
+      resourceId: committee.id,
+      details: { name: committee.name },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Committee deleted successfully' });
+  })
+);
+
+// POST /api/committees/:id/members - Add committee member
+router.post('/:id/members',
+  requirePermission(Permission.COMMITTEE_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const committee = await findCommittee(req.params.id, organizationId);
+    const { userId, roleInCommittee } = addMemberSchema.parse(req.body);
+
+    const orgMember = await findOrganizationMember(organizationId, userId);
+
+    const { data: existing } = await supabase
+      .from('committee_members')
+      .select('id')
+      .eq('committee_id', committee.id)
+      .eq('organization_member_id', orgMember.id)
+      .single();
+
+    if (existing) {
+      throw Errors.conflict('ALREADY_COMMITTEE_MEMBER', 'This user is already a member of the committee');
+    }
+
+    if (roleInCommittee === CommitteeRole.CHAIR) {
+      await demoteCurrentChair(committee.id);
+    }
+
+    const { data: member, error } = await supabase
+      .from('committee_members')
+      .insert({
+        committee_id: committee.id,
+        organization_member_id: orgMember.id,
+        role: roleInCommittee
+      })
+      .select(MEMBER_SELECT)
+      .single();
+
+    if (error || !member) {
+      throw Errors.internal('Failed to add committee member');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'committee_member',
+      resourceId: member.id,
+      details: { committeeId: committee.id, memberUserId: userId, roleInCommittee },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { member: formatCommitteeMember(member) }, 201);
+  })
+);
+
+// PUT /api/committees/:id/members/:userId - Change role in committee
+router.put('/:id/members/:userId',
+  requirePermission(Permission.COMMITTEE_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const committee = await findCommittee(req.params.id, organizationId);
+    const { roleInCommittee } = updateMemberSchema.parse(req.body);
+
+    const orgMember = await findOrganizationMember(organizationId, req.params.userId);
+
+    const { data: existing } = await supabase
+      .from('committee_members')
+      .select('*')
+      .eq('committee_id', committee.id)
+      .eq('organization_member_id', orgMember.id)
+      .single();
+
+    if (!existing) {
+      throw Errors.notFound('Committee member');
+    }
+
+    if (roleInCommittee === CommitteeRole.CHAIR) {
+      await demoteCurrentChair(committee.id, orgMember.id);
+    }
+
+    const { data: member, error } = await supabase
+      .from('committee_members')
+      .update({ role: roleInCommittee })
+      .eq('id', existing.id)
+      .select(MEMBER_SELECT)
+      .single();
+
+    if (error || !member) {
+      throw Errors.internal('Failed to update committee member');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.ROLE_CHANGE,
+      resourceType: 'committee_member',
+      resourceId: member.id,
+      details: {
+        committeeId: committee.id,
+        memberUserId: req.params.userId,
+        previousRole: existing.role,
+        newRole: roleInCommittee
+      },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { member: formatCommitteeMember(member) });
+  })
+);
+
+// DELETE /api/committees/:id/members/:userId - Remove committee member
+router.delete('/:id/members/:userId',
+  requirePermission(Permission.COMMITTEE_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const committee = await findCommittee(req.params.id, organizationId);
+
+    const { data: orgMember } = await supabase
+      .from('organization_members')
+      .select('id')
+      .eq('organization_id', organizationId)
+      .eq('user_id', req.params.userId)
+      .single();
+
+    const { data: member } = orgMember
+      ? await supabase
+          .from('committee_members')
+          .select('*')
+          .eq('committee_id', committee.id)
+          .eq('organization_member_id', orgMember.id)
+          .single()
+      : { data: null };
+
+    if (!member) {
+      throw Errors.notFound('Committee member');
+    }
+
+    await supabase
+      .from('committee_members')
+      .delete()
+      .eq('id', member.id);
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'committee_member',
+      resourceId: member.id,
+      details: { committeeId: committee.id, memberUserId: req.params.userId, roleInCommittee: member.role },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Committee member removed successfully' });
+  })
+);
+
+export default router;
@@ -0,0 +1,743 @@
+/**
+ * Document Routes
+ * Org-scoped document library with folders, immutable versions and storage quotas
+ */
+
+import { Router } from 'express';
+import crypto from 'crypto';
+import multer from 'multer';
+import { z } from 'zod';
+import { supabase } from '../config/database';
+import { asyncHandler, sendSuccess, Errors, AppError } from '../utils/api-response';
+import type { Request, Response, NextFunction } from 'express';
+import { authenticate, requireOrganization, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
+import { AuditService } from '../services/audit.service';
+import {
+  DocumentService,
+  DOCUMENT_MAX_BYTES,
+  DOCUMENT_MIME_TYPES,
+  getStorageProvider
+} from '../services/document.service';
+import { StorageObjectNotFoundError } from '../services/storage-provider';
+import { Logger } from '../utils/logger';
+import { Permission, AuditAction } from '../types';
+
+const router = Router();
+
+// Validation schemas
+const folderSchema = z.object({
+  name: z.string().trim().min(1, 'Folder name is required').max(100),
+  parentId: z.string().uuid().optional().nullable()
+});
+
+const updateFolderSchema = folderSchema.partial();
+
+// Multipart fields arrive as strings
+const uploadSchema = z.object({
+  name: z.string().trim().min(1).max(255).optional(),
+  description: z.string().max(2000).optional(),
+  folderId: z.string().uuid().optional().or(z.literal('').transform(() => undefined))
+});
+
+const versionSchema = z.object({
+  notes: z.string().max(2000).optional()
+});
+
+const updateDocumentSchema = z.object({
+  name: z.string().trim().min(1).max(255).optional(),
+  description: z.string().max(2000).optional().nullable(),
+  folderId: z.string().uuid().optional().nullable()
+});
+
+const listDocumentsSchema = z.object({
+  page: z.string().optional().transform(v => parseInt(v || '1')),
+  limit: z.string().optional().transform(v => Math.min(parseInt(v || '50'), 100)),
+  // A folder ID, or "root" for documents outside any folder
+  folderId: z.union([z.literal('root'), z.string().uuid()]).optional(),
+  search: z.string().max(100).optional()
+});
+
+const downloadSchema = z.object({
+  version: z.string().regex(/^\d+$/, 'version must be a number').optional().transform(v => v ? parseInt(v) : undefined)
+});
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: DOCUMENT_MAX_BYTES, files: 1 },
+  fileFilter: (_req, file, cb) => {
+    if (!DOCUMENT_MIME_TYPES[file.mimetype]) {
+      cb(new AppError(400, 'INVALID_FILE_TYPE', `Files of type '${file.mimetype}' can't be uploaded`));
+      return;
+    }
+    cb(null, true);
+  }
+});
+
+// Translate multer errors into API errors
+const uploadFile = (req: Request, res: Response, next: NextFunction) => {
+  documentUpload.single('file')(req, res, (err: any) => {
+    if (err instanceof multer.MulterError) {
+      next(err.code === 'LIMIT_FILE_SIZE'
+        ? Errors.badRequest('FILE_TOO_LARGE', `Files must be smaller than ${DOCUMENT_MAX_BYTES / (1024 * 1024)}MB`)
+        : Errors.badRequest('INVALID_UPLOAD', err.message));
+      return;
+    }
+    next(err);
+  });
+};
+
+const DOCUMENT_SELECT = '*, document_folders(id, name), creator:users!documents_created_by_fkey(id, first_name, last_name)';
+const VERSION_SELECT = '*, uploader:users!document_versions_uploaded_by_fkey(id, first_name, last_name)';
+
+// Response mappers
+const formatFolder = (folder: any) => ({
+  id: folder.id,
+  name: folder.name,
+  parentId: folder.parent_id,
+  createdAt: folder.created_at,
+  updatedAt: folder.updated_at
+});
+
+const formatDocument = (doc: any) => ({
+  id: doc.id,
+  name: doc.name,
+  description: doc.description,
+  folderId: doc.folder_id,
+  folderName: doc.document_folders?.name || null,
+  currentVersion: doc.current_version,
+  fileName: doc.file_name,
+  fileSize: doc.file_size,
+  mimeType: doc.mime_type,
+  createdBy: doc.creator ? { id: doc.creator.id, name: `${doc.creator.first_name} ${doc.creator.last_name}` } : null,
+  createdAt: doc.created_at,
+  updatedAt: doc.updated_at
+});
+
+const formatVersion = (version: any) => ({
+  id: version.id,
+  version: version.version_number,
+  fileName: version.file_name,
+  fileSize: version.file_size,
+  mimeType: version.mime_type,
+  checksum: version.checksum,
+  notes: version.notes,
+  uploadedBy: version.uploader ? { id: version.uploader.id, name: `${version.uploader.first_name} ${version.uploader.last_name}` } : null,
+  createdAt: version.created_at
+});
+
+const findFolder = async (id: string, organizationId: string) => {
+  const { data: folder, error } = await supabase
+    .from('document_folders')
+    .select('*')
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !folder) {
+    throw Errors.notFound('Folder');
+  }
+
+  return folder;
+};
+
+const findDocument = async (id: string, organizationId: string) => {
+  const { data: document, error } = await supabase
+    .from('documents')
+    .select(DOCUMENT_SELECT)
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !document) {
+    throw Errors.notFound('Document');
+  }
+
+  return document;
+};
+
+const listFolders = async (organizationId: string) => {
+  const { data: folders, error } = await supabase
+    .from('document_folders')
+    .select('*')
+    .eq('organization_id', organizationId);
+
+  if (error) {
+    throw Errors.internal('Failed to fetch folders');
+  }
+
+  return folders || [];
+};
+
+// Folder names are unique among their siblings
+const assertFolderNameAvailable = async (organizationId: string, parentId: string | null, name: string, excludeId?: string) => {
+  let query = supabase
+    .from('document_folders')
+    .select('id')
+    .eq('organization_id', organizationId)
+    .ilike('name', DocumentService.escapeLikePattern(name));
+
+  query = parentId ? query.eq('parent_id', parentId) : query.is('parent_id', null);
+  if (excludeId) query = query.neq('id', excludeId);
+
+  const { data: existing } = await query.limit(1);
+
+  if (existing && existing.length > 0) {
+    throw Errors.conflict('FOLDER_EXISTS', `A folder named '${name}' already exists here`);
+  }
+};
+
+// Check the quota, then write the file to storage
+const storeVersion = async (organization: any, documentId: string, version: number, file: Express.Multer.File) => {
+  const usedBytes = await DocumentService.getStorageUsedBytes(organization.id);
+  DocumentService.assertWithinQuota(usedBytes, file.size, organization.max_storage_mb);
+
+  const storageKey = DocumentService.createStorageKey(organization.id, documentId, version, file.mimetype);
+  await getStorageProvider().put(storageKey, file.buffer, file.mimetype);
+
+  return storageKey;
+};
+
+const refreshStorageUsage = (organizationId: string) => {
+  DocumentService.refreshStorageUsage(organizationId)
+    .catch(err => Logger.error('Failed to refresh storage usage', err as Error, { organizationId }));
+};
+
+// All routes require an organization
+router.use(authenticate, requireOrganization, enforceSubscriptionStatus, ...accountRateLimiter);
+
+// ==========================================
+// Folders
+// ==========================================
+
+// GET /api/documents/folders - Folder tree
+router.get('/folders',
+  requirePermission(Permission.DOC_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const folders = await listFolders(req.organization!.id);
+
+    sendSuccess(res, { folders: DocumentService.buildFolderTree(folders) });
+  })
+);
+
+// POST /api/documents/folders - Create folder
+router.post('/folders',
+  requirePermission(Permission.DOC_CREATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const validated = folderSchema.parse(req.body);
+    const parentId = validated.parentId || null;
+
+    if (parentId) {
+      await findFolder(parentId, organizationId);
+    }
+    await assertFolderNameAvailable(organizationId, parentId, validated.name);
+
+    const { data: folder, error } = await supabase
+      .from('document_folders')
+      .insert({
+        organization_id: organizationId,
+        parent_id: parentId,
+        name: validated.name,
+        created_by: req.user!.id
+      })
+      .select()
+      .single();
+
+    if (error || !folder) {
+      throw Errors.internal('Failed to create folder');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'document_folder',
+      resourceId: folder.id,
+      details: { name: folder.name, parentId },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { folder: formatFolder(folder) }, 201);
+  })
+);
+
+// PUT /api/documents/folders/:id - Rename or move folder
+router.put('/folders/:id',
+  requirePermission(Permission.DOC_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const folder = await findFolder(req.params.id, organizationId);
+    const validated = updateFolderSchema.parse(req.body);
+
+    const parentId = validated.parentId !== undefined ? validated.parentId : folder.parent_id;
+    const name = validated.name ?? folder.name;
+
+    if (validated.parentId !== undefined && parentId) {
+      await findFolder(parentId, organizationId);
+      if (DocumentService.wouldCreateCycle(await listFolders(organizationId), folder.id, parentId)) {
+        throw Errors.badRequest('INVALID_FOLDER_MOVE', 'A folder cannot be moved inside itself');
+      }
+    }
+    await assertFolderNameAvailable(organizationId, parentId, name, folder.id);
+
+    const { data: updated, error } = await supabase
+      .from('document_folders')
+      .update({ name, parent_id: parentId, updated_at: new Date().toISOString() })
+      .eq('id', folder.id)
+      .select()
+      .single();
+
+    if (error || !updated) {
+      throw Errors.internal('Failed to update folder');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'document_folder',
+      resourceId: folder.id,
+      details: {
+        ...(name !== folder.name && { name: { from: folder.name, to: name } }),
+        ...(parentId !== folder.parent_id && { parentId: { from: folder.parent_id, to: parentId } })
+      },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { folder: formatFolder(updated) });
+  })
+);
+
+// DELETE /api/documents/folders/:id - Delete an empty folder
+router.delete('/folders/:id',
+  requirePermission(Permission.DOC_DELETE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const folder = await findFolder(req.params.id, organizationId);
+
+    const [{ count: subfolders }, { count: documents }] = await Promise.all([
+      supabase.from('document_folders').select('id', { count: 'exact', head: true }).eq('parent_id', folder.id),
+      supabase.from('documents').select('id', { count: 'exact', head: true }).eq('folder_id', folder.id)
+    ]);
+
+    if ((subfolders || 0) > 0 || (documents || 0) > 0) {
+      throw Errors.conflict('FOLDER_NOT_EMPTY', 'Move or delete the folder\'s contents first');
+    }
+
+    const { error } = await supabase
+      .from('document_folders')
+      .delete()
+      .eq('id', folder.id);
+
+    if (error) {
+      throw Errors.internal('Failed to delete folder');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'document_folder',
+      resourceId: folder.id,
+      details: { name: folder.name },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Folder deleted successfully' });
+  })
+);
+
+// ==========================================
+// Documents
+// ==========================================
+
+// GET /api/documents/storage - Storage used against the plan limit
+router.get('/storage',
+  requirePermission(Permission.DOC_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organization = req.organization as any;
+    const usedBytes = await DocumentService.getStorageUsedBytes(organization.id);
+
+    sendSuccess(res, {
+      usedBytes,
+      usedMb: DocumentService.toMb(usedBytes),
+      maxStorageMb: organization.max_storage_mb,
+      maxUploadMb: DOCUMENT_MAX_BYTES / (1024 * 1024),
+      allowedTypes: Object.keys(DOCUMENT_MIME_TYPES)
+    });
+  })
+);
+
+// GET /api/documents - List documents
+router.get('/',
+  requirePermission(Permission.DOC_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { page, limit, folderId, search } = listDocumentsSchema.parse(req.query);
+
+    let query = supabase
+      .from('documents')
+      .select(DOCUMENT_SELECT, { count: 'exact' })
+      .eq('organization_id', req.organization!.id);
+
+    if (folderId === 'root') query = query.is('folder_id', null);
+    else if (folderId) query = query.eq('folder_id', folderId);
+    if (search) query = query.ilike('name', `%${search.replace(/[%_]/g, '')}%`);
+
+    const { data: documents, count, error } = await query
+      .order('name', { ascending: true })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) {
+      throw Errors.internal('Failed to fetch documents');
+    }
+
+    const totalPages = Math.ceil((count || 0) / limit);
+
+    sendSuccess(res, {
+      documents: (documents || []).map(formatDocument),
+      meta: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  })
+);
+
+// POST /api/documents - Upload a new document (multipart "file", optional name, description, folderId)
+router.post('/',
+  requirePermission(Permission.DOC_CREATE),
+  uploadFile,
+  asyncHandler(async (req: Request, res: Response) => {
+    const organization = req.organization as any;
+    const file = req.file;
+
+    if (!file) {
+      throw Errors.badRequest('FILE_REQUIRED', 'Attach a file to upload');
+    }
+
+    const validated = uploadSchema.parse(req.body);
+    if (validated.folderId) {
+      await findFolder(validated.folderId, organization.id);
+    }
+
+    const fileName = DocumentService.sanitizeFileName(file.originalname);
+    const documentId = crypto.randomUUID();
+    const storageKey = await storeVersion(organization, documentId, 1, file);
+
+    try {
+      const { error: documentError } = await supabase
+        .from('documents')
+        .insert({
+          id: documentId,
+          organization_id: organization.id,
+          folder_id: validated.folderId || null,
+          name: validated.name || fileName,
+          description: validated.description || null,
+          current_version: 1,
+          file_name: fileName,
+          file_size: file.size,
+          mime_type: file.mimetype,
+          created_by: req.user!.id,
+          updated_by: req.user!.id
+        });
+
+      if (documentError) {
+        throw Errors.internal('Failed to create document');
+      }
+
+      const { error: versionError } = await supabase
+        .from('document_versions')
+        .insert({
+          document_id: documentId,
+          organization_id: organization.id,
+          version_number: 1,
+          storage_key: storageKey,
+          file_name: fileName,
+          file_size: file.size,
+          mime_type: file.mimetype,
+          checksum: DocumentService.checksum(file.buffer),
+          uploaded_by: req.user!.id
+        });
+
+      if (versionError) {
+        await supabase.from('documents').delete().eq('id', documentId);
+        throw Errors.internal('Failed to save document version');
+      }
+    } catch (error) {
+      await getStorageProvider().delete(storageKey).catch(() => {});
+      throw error;
+    }
+
+    refreshStorageUsage(organization.id);
+
+    await AuditService.log({
+      organizationId: organization.id,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'document',
+      resourceId: documentId,
+      details: { name: validated.name || fileName, fileName, fileSize: file.size, folderId: validated.folderId || null },
+      ipAddress: req.ip
+    });
+
+    const document = await findDocument(documentId, organization.id);
+
+    sendSuccess(res, { document: formatDocument(document) }, 201);
+  })
+);
+
+// GET /api/documents/:id - Document with its version history
+router.get('/:id',
+  requirePermission(Permission.DOC_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const document = await findDocument(req.params.id, req.organization!.id);
+
+    const { data: versions, error } = await supabase
+      .from('document_versions')
+      .select(VERSION_SELECT)
+      .eq('document_id', document.id)
+      .order('version_number', { ascending: false });
+
+    if (error) {
+      throw Errors.internal('Failed to fetch document versions');
+    }
+
+    sendSuccess(res, {
+      document: formatDocument(document),
+      versions: (versions || []).map(formatVersion)
+    });
+  })
+);
+
+// PUT /api/documents/:id - Rename, describe or move a document
+router.put('/:id',
+  requirePermission(Permission.DOC_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const document = await findDocument(req.params.id, organizationId);
+    const validated = updateDocumentSchema.parse(req.body);
+
+    if (validated.folderId) {
+      await findFolder(validated.folderId, organizationId);
+    }
+
+    const updates: Record<string, any> = { updated_by: req.user!.id, updated_at: new Date().toISOString() };
+    if (validated.name !== undefined) updates.name = validated.name;
+    if (validated.description !== undefined) updates.description = validated.description;
+    if (validated.folderId !== undefined) updates.folder_id = validated.folderId;
+
+    const { error } = await supabase
+      .from('documents')
+      .update(updates)
+      .eq('id', document.id);
+
+    if (error) {
+      throw Errors.internal('Failed to update document');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'document',
+      resourceId: document.id,
+      details: { changes: validated },
+      ipAddress: req.ip
+    });
+
+    const updated = await findDocument(document.id, organizationId);
+
+    sendSuccess(res, { document: formatDocument(updated) });
+  })
+);
+
+// POST /api/documents/:id/versions - Upload a new version (multipart "file", optional notes)
+router.post('/:id/versions',
+  requirePermission(Permission.DOC_UPDATE),
+  uploadFile,
+  asyncHandler(async (req: Request, res: Response) => {
+    const organization = req.organization as any;
+    const file = req.file;
+
+    if (!file) {
+      throw Errors.badRequest('FILE_REQUIRED', 'Attach a file to upload');
+    }
+
+    const document = await findDocument(req.params.id, organization.id);
+    const validated = versionSchema.parse(req.body);
+    const versionNumber = document.current_version + 1;
+    const fileName = DocumentService.sanitizeFileName(file.originalname);
+    const storageKey = await storeVersion(organization, document.id, versionNumber, file);
+
+    // The (document_id, version_number) unique key rejects a concurrent upload of the same version
+    const { data: version, error } = await supabase
+      .from('document_versions')
+      .insert({
+        document_id: document.id,
+        organization_id: organization.id,
+        version_number: versionNumber,
+        storage_key: storageKey,
+        file_name: fileName,
+        file_size: file.size,
+        mime_type: file.mimetype,
+        checksum: DocumentService.checksum(file.buffer),
+        notes: validated.notes || null,
+        uploaded_by: req.user!.id
+      })
+      .select(VERSION_SELECT)
+      .single();
+
+    if (error || !version) {
+      await getStorageProvider().delete(storageKey).catch(() => {});
+      if (error?.code === '23505') {
+        throw Errors.conflict('VERSION_CONFLICT', 'Another version was uploaded at the same time. Please try again');
+      }
+      throw Errors.internal('Failed to save document version');
+    }
+
+    await supabase
+      .from('documents')
+      .update({
+        current_version: versionNumber,
+        file_name: fileName,
+        file_size: file.size,
+        mime_type: file.mimetype,
+        updated_by: req.user!.id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', document.id);
+
+    refreshStorageUsage(organization.id);
+
+    await AuditService.log({
+      organizationId: organization.id,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'document',
+      resourceId: document.id,
+      details: { action: 'new_version', version: versionNumber, fileName, fileSize: file.size },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { version: formatVersion(version) }, 201);
+  })
+);
+
+// GET /api/documents/:id/download - Download the current (or ?version=n) file
+router.get('/:id/download',
+  requirePermission(Permission.DOC_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const document = await findDocument(req.params.id, organizationId);
+    const { version: versionNumber } = downloadSchema.parse(req.query);
+
+    const { data: version, error } = await supabase
+      .from('document_versions')
+      .select('*')
+      .eq('document_id', document.id)
+      .eq('version_number', versionNumber ?? document.current_version)
+      .single();
+
+    if (error || !version) {
+      throw Errors.notFound('Document version');
+    }
+
+    let stream;
+    try {
+      stream = await getStorageProvider().getStream(version.storage_key);
+    } catch (err) {
+      if (err instanceof StorageObjectNotFoundError) {
+        Logger.error('Stored document file is missing', err, { documentId: document.id, version: version.version_number });
+        throw Errors.notFound('Document file');
+      }
+      throw err;
+    }
+
+    // Every download is recorded
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DATA_ACCESS,
+      resourceType: 'document',
+      resourceId: document.id,
+      details: { action: 'download', version: version.version_number, fileName: version.file_name },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    res.setHeader('Content-Type', version.mime_type);
+    res.setHeader('Content-Length', String(version.file_size));
+    res.setHeader('Content-Disposition', `attachment; filename="${version.file_name}"; filename*=UTF-8''${encodeURIComponent(version.file_name)}`);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    stream.on('error', err => {
+      Logger.error('Failed to stream document', err, { documentId: document.id });
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  })
+);
+
+// DELETE /api/documents/:id - Delete a document and every version
+router.delete('/:id',
+  requirePermission(Permission.DOC_DELETE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const document = await findDocument(req.params.id, organizationId);
+
+    // Papers in a published board pack are locked
+    const { count: lockedPapers } = await supabase
+      .from('agenda_item_papers')
+      .select('id', { count: 'exact', head: true })
+      .eq('document_id', document.id)
+      .not('document_version', 'is', null);
+
+    if (lockedPapers) {
+      throw Errors.conflict('DOCUMENT_IN_BOARD_PACK', 'This document is a paper in a published board pack');
+    }
+
+    const { data: versions } = await supabase
+      .from('document_versions')
+      .select('storage_key')
+      .eq('document_id', document.id);
+
+    // Versions go with the document (ON DELETE CASCADE)
+    const { error } = await supabase
+      .from('documents')
+      .delete()
+      .eq('id', document.id);
+
+    if (error) {
+      throw Errors.internal('Failed to delete document');
+    }
+
+    const storage = getStorageProvider();
+    await Promise.all((versions || []).map(v =>
+      storage.delete(v.storage_key).catch(err =>
+        Logger.error('Failed to delete stored document file', err as Error, { documentId: document.id, key: v.storage_key })
+      )
+    ));
+
+    refreshStorageUsage(organizationId);
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'document',
+      resourceId: document.id,
+      details: { name: document.name, versions: (versions || []).length },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Document deleted successfully' });
+  })
+);
+
+export default router;
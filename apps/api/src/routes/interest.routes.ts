@@ -0,0 +1,647 @@
+/**
+ * Interest Routes
+ * Register of interests, annual declarations and conflicts declared at meetings
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { supabase } from '../config/database';
+import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
+import type { Request, Response } from 'express';
+import { authenticate, requireOrganization, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
+import { AuditService } from '../services/audit.service';
+import { RBACService, BOARD_MEMBER_ROLES, COMPLIANCE_ROLES, requireCompliance } from '../services/rbac.service';
+import { InterestService } from '../services/interest.service';
+import { Permission, AuditAction, ConflictAction, InterestCategory, MeetingStatus, Role } from '../types';
+
+const router = Router();
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validation schemas
+const createInterestSchema = z.object({
+  category: z.nativeEnum(InterestCategory),
+  counterparty: z.string().trim().min(1, 'Say who the interest is with').max(300),
+  description: z.string().max(2000).optional(),
+  startDate: z.string().regex(DATE_REGEX, 'Start date must be YYYY-MM-DD').optional(),
+  endDate: z.string().regex(DATE_REGEX, 'End date must be YYYY-MM-DD').optional(),
+  // Defaults to you; adding entries for someone else needs a compliance role
+  userId: z.string().uuid('Invalid user ID').optional()
+});
+
+const updateInterestSchema = z.object({
+  category: z.nativeEnum(InterestCategory).optional(),
+  counterparty: z.string().trim().min(1).max(300).optional(),
+  description: z.string().max(2000).optional().nullable(),
+  startDate: z.string().regex(DATE_REGEX, 'Start date must be YYYY-MM-DD').optional().nullable(),
+  // Set when an interest ends; ended entries stay on the register
+  endDate: z.string().regex(DATE_REGEX, 'End date must be YYYY-MM-DD').optional().nullable()
+});
+
+const declarationSchema = z.object({
+  confirmed: z.literal(true, { errorMap: () => ({ message: 'Confirm that your register entries are complete' }) }),
+  notes: z.string().max(2000).optional()
+});
+
+const meetingDeclarationSchema = z.object({
+  // Omit to declare for the whole meeting
+  agendaItemId: z.string().uuid('Invalid agenda item ID').optional().nullable(),
+  interestId: z.string().uuid('Invalid interest ID').optional().nullable(),
+  nature: z.string().trim().min(1, 'Describe the interest').max(2000),
+  action: z.nativeEnum(ConflictAction),
+  // Defaults to you; recording someone else's declaration needs meeting:update
+  userId: z.string().uuid('Invalid user ID').optional()
+});
+
+const registerSchema = z.object({
+  format: z.enum(['json', 'csv']).default('json'),
+  includeEnded: z.enum(['true', 'false']).optional().transform(v => v === 'true'),
+  status: z.enum(['never', 'overdue', 'due_soon', 'current']).optional()
+});
+
+const MEMBER_SELECT = 'id, user_id, role, is_active, interests_declared_at, users(id, email, first_name, last_name)';
+
+const DECLARATION_SELECT = `
+  *,
+  agenda_items(id, position, title),
+  member:users!meeting_declarations_user_id_fkey(id, first_name, last_name),
+  recorder:users!meeting_declarations_recorded_by_fkey(id, first_name, last_name)
+`;
+
+const REGISTER_CSV_HEADER = [
+  'Member', 'Email', 'Role', 'Declaration status', 'Last declared', 'Next due',
+  'Category', 'Counterparty', 'Description', 'Start date', 'End date'
+];
+
+const fullName = (user: any) => user ? `${user.first_name} ${user.last_name}` : null;
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Response mappers
+const formatInterest = (interest: any) => ({
+  id: interest.id,
+  userId: interest.user_id,
+  category: interest.category,
+  counterparty: interest.counterparty,
+  description: interest.description,
+  startDate: interest.start_date,
+  endDate: interest.end_date,
+  isCurrent: !interest.end_date || interest.end_date >= today(),
+  createdBy: interest.created_by,
+  createdAt: interest.created_at,
+  updatedAt: interest.updated_at
+});
+
+const formatDeclaration = (declaration: any) => ({
+  id: declaration.id,
+  userId: declaration.user_id,
+  interestCount: (declaration.interests || []).length,
+  interests: declaration.interests || [],
+  notes: declaration.notes,
+  declaredAt: declaration.declared_at
+});
+
+const formatMeetingDeclaration = (declaration: any) => ({
+  id: declaration.id,
+  meetingId: declaration.meeting_id,
+  agendaItem: declaration.agenda_items ? {
+    id: declaration.agenda_items.id,
+    position: declaration.agenda_items.position,
+    title: declaration.agenda_items.title
+  } : null,
+  user: declaration.member ? { id: declaration.member.id, name: fullName(declaration.member) } : null,
+  interestId: declaration.interest_id,
+  nature: declaration.nature,
+  action: declaration.action,
+  recordedBy: declaration.recorder ? { id: declaration.recorder.id, name: fullName(declaration.recorder) } : null,
+  createdAt: declaration.created_at
+});
+
+const isComplianceUser = (req: Request) =>
+  req.user!.isSuperAdmin || (!!req.member && COMPLIANCE_ROLES.includes(req.member.role));
+
+// Members keep their own entries; compliance roles can keep anyone's
+const assertCanEditInterest = (req: Request, interest: any) => {
+  if (interest.user_id !== req.user!.id && !isComplianceUser(req)) {
+    throw Errors.forbidden(`Required roles: ${COMPLIANCE_ROLES.join(', ')}`);
+  }
+};
+
+// Load an active member of the organization
+const findActiveMember = async (organizationId: string, userId: string) => {
+  const { data: member } = await supabase
+    .from('organization_members')
+    .select(MEMBER_SELECT)
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  return member;
+};
+
+// Load a register entry that belongs to the organization
+const findInterest = async (id: string, organizationId: string) => {
+  const { data: interest, error } = await supabase
+    .from('member_interests')
+    .select('*')
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !interest) {
+    throw Errors.notFound('Interest');
+  }
+
+  return interest;
+};
+
+// Load a meeting that belongs to the organization
+const findMeeting = async (id: string, organizationId: string) => {
+  const { data: meeting, error } = await supabase
+    .from('meetings')
+    .select('id, title, meeting_date, status')
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !meeting) {
+    throw Errors.notFound('Meeting');
+  }
+
+  return meeting;
+};
+
+const assertDateRange = (startDate?: string | null, endDate?: string | null) => {
+  if (startDate && endDate && endDate < startDate) {
+    throw Errors.validation({ endDate: 'End date must be on or after the start date' });
+  }
+};
+
+// All routes require authentication and organization context
+router.use(authenticate, requireOrganization, enforceSubscriptionStatus, ...accountRateLimiter);
+
+// GET /api/interests/me - Your register entries and declaration status
+router.get('/me',
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+
+    const [member, { data: interests }, { data: declarations }] = await Promise.all([
+      findActiveMember(organizationId, req.user!.id),
+      supabase
+        .from('member_interests')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('user_id', req.user!.id)
+        .order('created_at', { ascending: true }),
+      supabase
+        .from('interest_declarations')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .eq('user_id', req.user!.id)
+        .order('declared_at', { ascending: false })
+        .limit(10)
+    ]);
+
+    sendSuccess(res, {
+      interests: (interests || []).map(formatInterest),
+      declaration: {
+        ...InterestService.getDeclarationStatus(member?.interests_declared_at),
+        required: !!member && BOARD_MEMBER_ROLES.includes(member.role as Role)
+      },
+      declarations: (declarations || []).map(formatDeclaration)
+    });
+  })
+);
+
+// GET /api/interests/register - Register of interests for the whole organization (JSON or CSV)
+router.get('/register',
+  requireCompliance,
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const { format, includeEnded, status } = registerSchema.parse(req.query);
+
+    let interestQuery = supabase
+      .from('member_interests')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .order('created_at', { ascending: true });
+
+    if (!includeEnded) {
+      interestQuery = interestQuery.or(`end_date.is.null,end_date.gte.${today()}`);
+    }
+
+    const [{ data: members, error }, { data: interests }] = await Promise.all([
+      supabase
+        .from('organization_members')
+        .select(MEMBER_SELECT)
+        .eq('organization_id', organizationId)
+        .eq('is_active', true),
+      interestQuery
+    ]);
+
+    if (error) {
+      throw Errors.internal('Failed to load register');
+    }
+
+    const byUser = new Map<string, any[]>();
+    for (const interest of interests || []) {
+      byUser.set(interest.user_id, [...(byUser.get(interest.user_id) || []), interest]);
+    }
+
+    // Board members must declare; other members appear once they have entries
+    const entries = ((members || []) as any[])
+      .filter(member => BOARD_MEMBER_ROLES.includes(member.role) || byUser.has(member.user_id))
+      .map(member => ({
+        member,
+        declaration: InterestService.getDeclarationStatus(member.interests_declared_at),
+        interests: byUser.get(member.user_id) || []
+      }))
+      .filter(entry => !status || entry.declaration.status === status)
+      .sort((a, b) => (fullName(a.member.users) || '').localeCompare(fullName(b.member.users) || ''));
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.EXPORT,
+      resourceType: 'interest_register',
+      details: { format, members: entries.length, includeEnded, status },
+      ipAddress: req.ip
+    });
+
+    if (format === 'csv') {
+      const rows = entries.flatMap(({ member, declaration, interests: memberInterests }) => {
+        const memberCells = [
+          fullName(member.users), member.users?.email, member.role,
+          declaration.status, declaration.lastDeclaredAt?.slice(0, 10), declaration.dueDate?.slice(0, 10)
+        ];
+
+        return memberInterests.length > 0
+          ? memberInterests.map(interest => [
+            ...memberCells,
+            interest.category, interest.counterparty, interest.description, interest.start_date, interest.end_date
+          ])
+          : [[...memberCells, 'none declared', '', '', '', '']];
+      });
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="register-of-interests-${today()}.csv"`);
+      res.send(InterestService.toCsv([REGISTER_CSV_HEADER, ...rows]));
+      return;
+    }
+
+    sendSuccess(res, {
+      members: entries.map(({ member, declaration, interests: memberInterests }) => ({
+        user: { id: member.user_id, email: member.users?.email, name: fullName(member.users) },
+        role: member.role,
+        declaration,
+        interests: memberInterests.map(formatInterest)
+      })),
+      summary: {
+        members: entries.length,
+        overdue: entries.filter(e => e.declaration.status === 'overdue' || e.declaration.status === 'never').length,
+        dueSoon: entries.filter(e => e.declaration.status === 'due_soon').length
+      }
+    });
+  })
+);
+
+// POST /api/interests/declarations - Confirm your register entries are complete (annual declaration)
+router.post('/declarations',
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const validated = declarationSchema.parse(req.body);
+
+    if (!req.member) {
+      throw Errors.forbidden('Organization membership required');
+    }
+
+    const { data: interests } = await supabase
+      .from('member_interests')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('user_id', req.user!.id)
+      .or(`end_date.is.null,end_date.gte.${today()}`)
+      .order('created_at', { ascending: true });
+
+    const declaredAt = new Date().toISOString();
+
+    // The snapshot keeps what was declared, whatever happens to the entries later
+    const { data: declaration, error } = await supabase
+      .from('interest_declarations')
+      .insert({
+        organization_id: organizationId,
+        user_id: req.user!.id,
+        interests: (interests || []).map(formatInterest),
+        notes: validated.notes || null,
+        declared_at: declaredAt
+      })
+      .select()
+      .single();
+
+    if (error || !declaration) {
+      throw Errors.internal('Failed to record declaration');
+    }
+
+    await supabase
+      .from('organization_members')
+      .update({ interests_declared_at: declaredAt, interest_reminder_sent_at: null })
+      .eq('id', req.member.id);
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'interest_declaration',
+      resourceId: declaration.id,
+      details: { interestCount: (interests || []).length },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, {
+      declaration: formatDeclaration(declaration),
+      status: InterestService.getDeclarationStatus(declaredAt)
+    }, 201);
+  })
+);
+
+// GET /api/interests/meetings/:meetingId/declarations - Conflicts declared at a meeting
+router.get('/meetings/:meetingId/declarations',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const meeting = await findMeeting(req.params.meetingId, req.organization!.id);
+
+    const { data: declarations, error } = await supabase
+      .from('meeting_declarations')
+      .select(DECLARATION_SELECT)
+      .eq('meeting_id', meeting.id)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw Errors.internal('Failed to load declarations');
+    }
+
+    sendSuccess(res, { declarations: (declarations || []).map(formatMeetingDeclaration) });
+  })
+);
+
+// POST /api/interests/meetings/:meetingId/declarations - Declare a conflict at a meeting
+router.post('/meetings/:meetingId/declarations',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const validated = meetingDeclarationSchema.parse(req.body);
+    const userId = validated.userId || req.user!.id;
+
+    if (userId !== req.user!.id && !req.user!.isSuperAdmin
+      && (!req.member || !RBACService.hasPermission(req.member.role, Permission.MEETING_UPDATE))) {
+      throw Errors.forbidden(`Required permissions: ${Permission.MEETING_UPDATE}`);
+    }
+
+    const meeting = await findMeeting(req.params.meetingId, organizationId);
+    if (meeting.status === MeetingStatus.CANCELLED) {
+      throw Errors.badRequest('MEETING_CANCELLED', 'Declarations cannot be made for a cancelled meeting');
+    }
+
+    if (!await findActiveMember(organizationId, userId)) {
+      throw Errors.validation({ userId: 'Declarations can only be made by active members' });
+    }
+
+    if (validated.agendaItemId) {
+      const { data: item } = await supabase
+        .from('agenda_items')
+        .select('id')
+        .eq('id', validated.agendaItemId)
+        .eq('meeting_id', meeting.id)
+        .maybeSingle();
+
+      if (!item) throw Errors.validation({ agendaItemId: 'Agenda item is not on this meeting' });
+    }
+
+    if (validated.interestId) {
+      const interest = await findInterest(validated.interestId, organizationId);
+      if (interest.user_id !== userId) {
+        throw Errors.validation({ interestId: 'Interest belongs to another member' });
+      }
+    }
+
+    const { data: declaration, error } = await supabase
+      .from('meeting_declarations')
+      .insert({
+        organization_id: organizationId,
+        meeting_id: meeting.id,
+        agenda_item_id: validated.agendaItemId || null,
+        user_id: userId,
+        interest_id: validated.interestId || null,
+        nature: validated.nature,
+        action: validated.action,
+        recorded_by: req.user!.id
+      })
+      .select(DECLARATION_SELECT)
+      .single();
+
+    if (error || !declaration) {
+      if (error?.code === '23505') {
+        throw Errors.conflict('DECLARATION_EXISTS', 'This conflict has already been declared for this item');
+      }
+      throw Errors.internal('Failed to record declaration');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'meeting_declaration',
+      resourceId: declaration.id,
+      details: {
+        meetingId: meeting.id,
+        agendaItemId: declaration.agenda_item_id,
+        declaredUserId: userId,
+        action: validated.action
+      },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { declaration: formatMeetingDeclaration(declaration) }, 201);
+  })
+);
+
+// DELETE /api/interests/meetings/:meetingId/declarations/:declarationId - Remove a declaration made in error
+router.delete('/meetings/:meetingId/declarations/:declarationId',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+
+    const { data: declaration } = await supabase
+      .from('meeting_declarations')
+      .select('*')
+      .eq('id', req.params.declarationId)
+      .eq('meeting_id', req.params.meetingId)
+      .eq('organization_id', organizationId)
+      .maybeSingle();
+
+    if (!declaration) {
+      throw Errors.notFound('Declaration');
+    }
+
+    if (declaration.user_id !== req.user!.id && declaration.recorded_by !== req.user!.id && !req.user!.isSuperAdmin
+      && (!req.member || !RBACService.hasPermission(req.member.role, Permission.MEETING_UPDATE))) {
+      throw Errors.forbidden(`Required permissions: ${Permission.MEETING_UPDATE}`);
+    }
+
+    const { error } = await supabase
+      .from('meeting_declarations')
+      .delete()
+      .eq('id', declaration.id);
+
+    if (error) {
+      throw Errors.internal('Failed to delete declaration');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'meeting_declaration',
+      resourceId: declaration.id,
+      details: {
+        meetingId: declaration.meeting_id,
+        declaredUserId: declaration.user_id,
+        nature: declaration.nature,
+        action: declaration.action
+      },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Declaration deleted' });
+  })
+);
+
+// POST /api/interests - Add a register entry
+router.post('/',
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const validated = createInterestSchema.parse(req.body);
+    const userId = validated.userId || req.user!.id;
+
+    if (userId !== req.user!.id && !isComplianceUser(req)) {
+      throw Errors.forbidden(`Required roles: ${COMPLIANCE_ROLES.join(', ')}`);
+    }
+
+    if (!await findActiveMember(organizationId, userId)) {
+      throw Errors.validation({ userId: 'Interests can only be registered for active members' });
+    }
+
+    assertDateRange(validated.startDate, validated.endDate);
+
+    const { data: interest, error } = await supabase
+      .from('member_interests')
+      .insert({
+        organization_id: organizationId,
+        user_id: userId,
+        category: validated.category,
+        counterparty: validated.counterparty,
+        description: validated.description || null,
+        start_date: validated.startDate || null,
+        end_date: validated.endDate || null,
+        created_by: req.user!.id
+      })
+      .select()
+      .single();
+
+    if (error || !interest) {
+      throw Errors.internal('Failed to add interest');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'member_interest',
+      resourceId: interest.id,
+      details: { memberUserId: userId, category: interest.category, counterparty: interest.counterparty },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { interest: formatInterest(interest) }, 201);
+  })
+);
+
+// PUT /api/interests/:id - Update a register entry
+router.put('/:id',
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const interest = await findInterest(req.params.id, organizationId);
+    assertCanEditInterest(req, interest);
+
+    const validated = updateInterestSchema.parse(req.body);
+    assertDateRange(
+      validated.startDate !== undefined ? validated.startDate : interest.start_date,
+      validated.endDate !== undefined ? validated.endDate : interest.end_date
+    );
+
+    const updateData: Record<string, any> = { updated_at: new Date().toISOString() };
+    if (validated.category !== undefined) updateData.category = validated.category;
+    if (validated.counterparty !== undefined) updateData.counterparty = validated.counterparty;
+    if (validated.description !== undefined) updateData.description = validated.description;
+    if (validated.startDate !== undefined) updateData.start_date = validated.startDate;
+    if (validated.endDate !== undefined) updateData.end_date = validated.endDate;
+
+    const { data: updated, error } = await supabase
+      .from('member_interests')
+      .update(updateData)
+      .eq('id', interest.id)
+      .select()
+      .single();
+
+    if (error || !updated) {
+      throw Errors.internal('Failed to update interest');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'member_interest',
+      resourceId: interest.id,
+      details: { memberUserId: interest.user_id, changes: validated },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { interest: formatInterest(updated) });
+  })
+);
+
+// DELETE /api/interests/:id - Remove a register entry added in error (set an end date for interests that have ended)
+router.delete('/:id',
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const interest = await findInterest(req.params.id, organizationId);
+    assertCanEditInterest(req, interest);
+
+    // Past declarations keep their own copy of the entry
+    const { error } = await supabase
+      .from('member_interests')
+      .delete()
+      .eq('id', interest.id);
+
+    if (error) {
+      throw Errors.internal('Failed to delete interest');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'member_interest',
+      resourceId: interest.id,
+      details: { memberUserId: interest.user_id, category: interest.category, counterparty: interest.counterparty },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Interest deleted' });
+  })
+);
+
+export default router;
@@ -3,26 +3,70 @@
  */
 
 import { Router } from 'express';
+import bcrypt from 'bcryptjs';
+import { z } from 'zod';
 import { supabase } from '../config/database';
-import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
+import { asyncHandler, sendSuccess, Errors, AppError } from '../utils/api-response';
 import { authenticate, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
 import { RBACService } from '../services/rbac.service';
 import { AuditService } from '../services/audit.service';
-import { Permission, AuditAction } from '../types';
+import { EmailService } from '../services/email.service';
+import { SubscriptionService } from '../services/subscription.service';
+import { TermService } from '../services/term.service';
+import { SessionService } from '../services/session.service';
+import { EmailVerificationService } from '../services/email-verification.service';
+import { extractAccessToken, verifyAccessToken } from '../services/token.service';
+import { Permission, AuditAction, Role, CommitteeRole } from '../types';
+import { Logger } from '../utils/logger';
+import type { Request, Response } from 'express';
 import crypto from 'crypto';
 
 const router = Router();
 
+// Validation schemas
+const acceptInvitationSchema = z.object({
+  token: z.string().min(1, 'Token is required'),
+  // Only needed when the invitee doesn't have an account yet
+  password: z.string()
+    .min(8, 'Password must be at least 8 characters')
+    .regex(/[A-Z]/, 'Password must contain at least one uppercase letter')
+    .regex(/[a-z]/, 'Password must contain at least one lowercase letter')
+    .regex(/[0-9]/, 'Password must contain at least one number')
+    .regex(/[^A-Za-z0-9]/, 'Password must contain at least one special character')
+    .optional(),
+  firstName: z.string().min(1, 'First name is required').max(100).optional(),
+  lastName: z.string().min(1, 'Last name is required').max(100).optional()
+});
+
 const hashToken = (token: string): string => {
   return crypto.createHash('sha256').update(token).digest('hex');
 };
 
-// All routes require authentication
-router.use(authenticate);
+// Pending, unexpired invitation for a token
+const findPendingInvitation = async (token: string, select = '*, organizations(id, name, slug)') => {
+  const { data: invitation, error } = await supabase
+    .from('organization_invitations')
+    .select(select)
+    .eq('token_hash', hashToken(token))
+    .is('accepted_at', null)
+    .is('cancelled_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .single();
+
+  if (error || !invitation) {
+    throw Errors.badRequest('INVALID_INVITATION', 'Invalid or expired invitation');
+  }
+
+  return invitation as any;
+};
 
-// GET /api/invitations/validate - Validate invitation token (public)
-import type { Request, Response } from 'express';
+// ==========================================
+// Public routes (the token is the credential)
+// ==========================================
 
+// GET /api/invitations/validate - Validate invitation token (public)
 router.get('/validate', asyncHandler(async (req: Request, res: Response) => {
   const token = req.query.token as string;
   
@@ -30,31 +74,301 @@ router.get('/validate', asyncHandler(async (req: Request, res: Response) => {
     throw Errors.badRequest('INVALID_TOKEN', 'Token is required');
   }
   
-  const tokenHash = hashToken(token);
-  const { data: invitation, error } = await supabase
-    .from('organization_invitations')
-    .select('*, organizations(id, name, slug)')
-    .eq('token_hash', tokenHash)
-    .is('accepted_at', null)
-    .is('cancelled_at', null)
-    .gt('expires_at', new Date().toISOString())
-    .single();
+  const invitation = await findPendingInvitation(token);
   
-  if (error || !invitation) {
-    throw Errors.badRequest('INVALID_INVITATION', 'Invalid or expired invitation');
-  }
+  // Tells the client whether to sign in or collect a name and password
+  const { data: existingUser } = await supabase
+    .from('users')
+    .select('id')
+    .eq('email', invitation.email.toLowerCase())
+    .maybeSingle();
   
   sendSuccess(res, {
     valid: true,
     invitation: {
       email: invitation.email,
+      firstName: invitation.first_name,
+      lastName: invitation.last_name,
       role: invitation.role,
       department: invitation.department,
       organization: invitation.organizations
-    }
+    },
+    accountExists: !!existingUser
   });
 }));
 
+// POST /api/invitations/accept - Accept an invitation (public)
+// New invitees supply a name and password; existing users must be signed in as the invited email.
+router.post('/accept', asyncHandler(async (req: Request, res: Response) => {
+  const validated = acceptInvitationSchema.parse(req.body);
+  const invitation = await findPendingInvitation(validated.token, '*, organizations(*)');
+  const organization = invitation.organizations;
+  const email = invitation.email.toLowerCase();
+  
+  if (!organization || organization.deleted_at) {
+    throw Errors.badRequest('INVALID_INVITATION', 'Invalid or expired invitation');
+  }
+  
+  // Adding members is a change, so read-only and locked organizations can't take new ones
+  const access = SubscriptionService.getAccess(organization);
+  if (access.mode === 'read_only' || access.mode === 'locked') {
+    throw new AppError(access.mode === 'locked' ? 403 : 402, access.code!, access.message!);
+  }
+  
+  const { data: existingUser } = await supabase
+    .from('users')
+    .select('*')
+    .eq('email', email)
+    .maybeSingle();
+  
+  if (existingUser) {
+    const session = extractAccessToken(req);
+    const payload = session ? verifyAccessToken(session) : null;
+    
+    if (!payload || payload.sub !== existingUser.id) {
+      throw new AppError(401, 'LOGIN_REQUIRED', `An account already exists for ${email}. Sign in to accept this invitation`);
+    }
+    
+    // Signing out a session ends its access tokens too, as in authenticate
+    if (!payload.sid || !await SessionService.getActiveSession(payload.sid, existingUser.id)) {
+      throw new AppError(401, 'SESSION_REVOKED', 'This session has been signed out. Please sign in again');
+    }
+    
+    if (!existingUser.is_active) {
+      throw Errors.forbidden('Account has been deactivated');
+    }
+  } else {
+    // Names from a bulk import are used unless the invitee gives their own
+    validated.firstName = validated.firstName || invitation.first_name || undefined;
+    validated.lastName = validated.lastName || invitation.last_name || undefined;
+    
+    const missing: Record<string, string> = {};
+    if (!validated.password) missing.password = 'Password is required';
+    if (!validated.firstName) missing.firstName = 'First name is required';
+    if (!validated.lastName) missing.lastName = 'Last name is required';
+    if (Object.keys(missing).length > 0) {
+      throw Errors.validation(missing);
+    }
+  }
+  
+  const { data: existingMember } = existingUser
+    ? await supabase
+      .from('organization_members')
+      .select('*')
+      .eq('organization_id', organization.id)
+      .eq('user_id', existingUser.id)
+      .maybeSingle()
+    : { data: null };
+  
+  if (existingMember?.is_active) {
+    throw Errors.conflict('ALREADY_MEMBER', 'You are already a member of this organization');
+  }
+  
+  const { count: memberCount } = await supabase
+    .from('organization_members')
+    .select('*', { count: 'exact', head: true })
+    .eq('organization_id', organization.id)
+    .eq('is_active', true);
+  
+  if (organization.max_members && (memberCount || 0) >= organization.max_members) {
+    throw Errors.forbidden('Organization has reached the maximum member limit');
+  }
+  
+  const rollbackOperations: (() => Promise<void>)[] = [];
+  
+  try {
+    // Claim the invitation first so it can only be accepted once
+    const acceptedAt = new Date().toISOString();
+    const { data: claimed } = await supabase
+      .from('organization_invitations')
+      .update({ accepted_at: acceptedAt })
+      .eq('id', invitation.id)
+      .is('accepted_at', null)
+      .select('id')
+      .maybeSingle();
+    
+    if (!claimed) {
+      throw Errors.conflict('ALREADY_ACCEPTED', 'Invitation has already been accepted');
+    }
+    
+    rollbackOperations.push(async () => {
+      await supabase.from('organization_invitations').update({ accepted_at: null }).eq('id', invitation.id);
+    });
+    
+    let user = existingUser;
+    let verificationToken: string | null = null;
+    
+    if (!user) {
+      // The inviter also gets the invitation link, so holding it doesn't prove the address:
+      // new accounts are verified like any other sign-up
+      const verification = EmailVerificationService.generateToken();
+      verificationToken = verification.token;
+      
+      const { data: created, error: userError } = await supabase
+        .from('users')
+        .insert({
+          email,
+          password_hash: await bcrypt.hash(validated.password!, 12),
+          first_name: validated.firstName,
+          last_name: validated.lastName,
+          verification_token: verification.hash,
+          verification_token_expires_at: verification.expiresAt.toISOString(),
+          verification_sent_at: new Date().toISOString(),
+          email_verified: false,
+          is_active: true,
+          is_super_admin: false
+        })
+        .select()
+        .single();
+      
+      if (userError || !created) {
+        throw Errors.internal('Failed to create user');
+      }
+      
+      user = created;
+      rollbackOperations.push(async () => {
+        await supabase.from('users').delete().eq('id', created.id);
+      });
+    }
+    
+    // Term dates carry over from the invitation
+    const termStartDate = invitation.term_start_date
+      || (invitation.term_length_years ? acceptedAt.slice(0, 10) : null);
+    const membership = {
+      role: invitation.role,
+      department: invitation.department,
+      title: invitation.title,
+      is_active: true,
+      joined_at: acceptedAt,
+      invited_by: invitation.invited_by,
+      invited_at: invitation.invited_at || invitation.created_at,
+      term_start_date: termStartDate,
+      term_length_years: invitation.term_length_years,
+      term_end_date: termStartDate && invitation.term_length_years
+        ? TermService.calculateTermEndDate(termStartDate, invitation.term_length_years)
+        : null
+    };
+    
+    // Former members are reactivated rather than duplicated
+    const { data: member, error: memberError } = existingMember
+      ? await supabase
+        .from('organization_members')
+        .update({ ...membership, updated_at: acceptedAt })
+        .eq('id', existingMember.id)
+        .select('id')
+        .single()
+      : await supabase
+        .from('organization_members')
+        .insert({ ...membership, organization_id: organization.id, user_id: user.id })
+        .select('id')
+        .single();
+    
+    if (memberError || !member) {
+      throw Errors.internal('Failed to add organization membership');
+    }
+    
+    rollbackOperations.push(existingMember
+      ? async () => {
+        const previous = Object.fromEntries(Object.keys(membership).map(key => [key, existingMember[key]]));
+        await supabase
+          .from('organization_members')
+          .update({ ...previous, updated_at: existingMember.updated_at })
+          .eq('id', existingMember.id);
+      }
+      : async () => {
+        await supabase.from('committee_members').delete().eq('organization_member_id', member.id);
+        await supabase.from('organization_members').delete().eq('id', member.id);
+      });
+    
+    // Committee named in a bulk import
+    if (invitation.committee_id) {
+      const { error: committeeError } = await supabase
+        .from('committee_members')
+        .insert({
+          committee_id: invitation.committee_id,
+          organization_member_id: member.id,
+          role: CommitteeRole.MEMBER
+        });
+      
+      if (committeeError) {
+        Logger.warn('Failed to add invitee to committee', {
+          invitationId: invitation.id,
+          committeeId: invitation.committee_id
+        });
+      }
+    }
+    
+    await supabase
+      .from('organization_invitations')
+      .update({ accepted_by: user.id })
+      .eq('id', invitation.id);
+    
+    // Sign the user in to the organization they just joined
+    await SessionService.start(req, res, user, {
+      organizationId: organization.id,
+      role: invitation.role as Role
+    });
+    
+    await AuditService.log({
+      organizationId: organization.id,
+      userId: user.id,
+      action: AuditAction.ACCEPT_INVITE,
+      resourceType: 'invitation',
+      resourceId: invitation.id,
+      details: {
+        email,
+        role: invitation.role,
+        department: invitation.department,
+        newAccount: !existingUser,
+        rejoined: !!existingMember
+      },
+      ipAddress: req.ip
+    });
+    
+    if (verificationToken) {
+      EmailService.sendVerificationEmail(email, verificationToken).catch(() => {});
+    }
+    
+    // Let the inviter know (async - don't block response)
+    const { data: inviter } = await supabase
+      .from('users')
+      .select('email')
+      .eq('id', invitation.invited_by)
+      .single();
+    
+    if (inviter?.email) {
+      EmailService.sendInvitationAcceptedNotification(inviter.email, email, organization.name).catch(() => {});
+    }
+    
+    sendSuccess(res, {
+      user: {
+        id: user.id,
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        emailVerified: !!user.email_verified
+      },
+      organization: {
+        id: organization.id,
+        name: organization.name,
+        slug: organization.slug,
+        subscriptionStatus: organization.subscription_status,
+        access,
+        role: invitation.role
+      }
+    }, existingUser ? 200 : 201);
+  } catch (error) {
+    await Promise.all(rollbackOperations.map(op => op().catch(() => {})));
+    throw error;
+  }
+}));
+
+// ==========================================
+// Managing invitations (signed-in members)
+// ==========================================
+
+router.use(authenticate, enforceSubscriptionStatus, ...accountRateLimiter);
+
 // DELETE /api/invitations/:id - Cancel invitation
 router.delete('/:id', requirePermission(Permission.USER_INVITE), asyncHandler(async (req: Request, res: Response) => {
   const { id } = req.params;
@@ -170,7 +484,6 @@ router.post('/:id/resend', requirePermission(Permission.USER_INVITE), asyncHandl
   const acceptUrl = `${process.env.FRONTEND_URL}/accept-invitation?token=${token}`;
   
   // Send email
-  const { EmailService } = await import('../services/email.service');
   EmailService.sendInvitationEmail({
     to: invitation.email,
     organizationName: organization?.name || 'Organization',
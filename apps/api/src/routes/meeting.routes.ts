@@ -0,0 +1,1215 @@
+/**
+ * Meeting Routes
+ * Org-scoped meetings, RSVPs, attendee management and structured agendas
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { supabase } from '../config/database';
+import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
+import type { Request, Response } from 'express';
+import { authenticate, requireOrganization, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
+import { AuditService } from '../services/audit.service';
+import { AgendaService } from '../services/agenda.service';
+import { EmailService } from '../services/email.service';
+import { Permission, AuditAction, MeetingType, MeetingStatus, RsvpStatus, AgendaItemType, AgendaTemplateItem } from '../types';
+
+const router = Router();
+
+// Validation schemas
+const createMeetingSchema = z.object({
+  title: z.string().min(1, 'Title is required').max(200),
+  meetingType: z.nativeEnum(MeetingType).optional(),
+  meetingDate: z.string().datetime('Meeting date must be an ISO date-time'),
+  durationMinutes: z.number().int().min(5).max(24 * 60).default(60),
+  location: z.string().max(500).optional(),
+  zoomLink: z.string().url().optional().or(z.literal('')),
+  agenda: z.string().optional(),
+  committeeId: z.string().uuid().optional().nullable(),
+  attendeeIds: z.array(z.string().uuid()).optional(),
+  // Copy the agenda template for the meeting type, if there is one
+  useTemplate: z.boolean().default(true)
+});
+
+const updateMeetingSchema = z.object({
+  title: z.string().min(1).max(200).optional(),
+  meetingType: z.nativeEnum(MeetingType).optional(),
+  meetingDate: z.string().datetime().optional(),
+  durationMinutes: z.number().int().min(5).max(24 * 60).optional(),
+  location: z.string().max(500).optional(),
+  zoomLink: z.string().url().optional().or(z.literal('')),
+  agenda: z.string().optional(),
+  committeeId: z.string().uuid().optional().nullable(),
+  status: z.nativeEnum(MeetingStatus).optional()
+});
+
+const listMeetingsSchema = z.object({
+  page: z.string().optional().transform(v => parseInt(v || '1')),
+  limit: z.string().optional().transform(v => Math.min(parseInt(v || '20'), 100)),
+  status: z.nativeEnum(MeetingStatus).optional(),
+  meetingType: z.nativeEnum(MeetingType).optional(),
+  committeeId: z.string().uuid().optional(),
+  from: z.string().datetime().optional(),
+  to: z.string().datetime().optional(),
+  upcoming: z.string().optional().transform(v => v === 'true')
+});
+
+const rsvpSchema = z.object({
+  status: z.enum([RsvpStatus.ATTENDING, RsvpStatus.DECLINED, RsvpStatus.TENTATIVE])
+});
+
+const addAttendeeSchema = z.object({
+  userId: z.string().uuid('Invalid user ID')
+});
+
+const updateAttendeeSchema = z.object({
+  attended: z.boolean().optional(),
+  notes: z.string().max(1000).optional()
+});
+
+const agendaItemSchema = z.object({
+  title: z.string().trim().min(1, 'Title is required').max(300),
+  description: z.string().max(5000).optional().nullable(),
+  itemType: z.nativeEnum(AgendaItemType).default(AgendaItemType.NOTING),
+  presenterId: z.string().uuid('Invalid user ID').optional().nullable(),
+  durationMinutes: z.number().int().min(0).max(600).default(10),
+  // Board papers from the document library; replaces the item's current papers
+  paperIds: z.array(z.string().uuid('Invalid document ID')).max(50).optional()
+});
+
+const updateAgendaItemSchema = agendaItemSchema.partial();
+
+const agendaOrderSchema = z.object({
+  itemIds: z.array(z.string().uuid()).min(1, 'List the agenda items in their new order')
+});
+
+const agendaTemplateSchema = z.object({
+  items: z.array(z.object({
+    title: z.string().trim().min(1, 'Title is required').max(300),
+    description: z.string().max(5000).optional(),
+    itemType: z.nativeEnum(AgendaItemType).default(AgendaItemType.NOTING),
+    durationMinutes: z.number().int().min(0).max(600).default(10)
+  })).max(100)
+});
+
+const meetingTypeSchema = z.nativeEnum(MeetingType);
+
+const AGENDA_ITEM_SELECT = `
+  *,
+  presenter:users!agenda_items_presenter_id_fkey(id, first_name, last_name),
+  agenda_item_papers(id, document_id, document_version, documents(id, name, current_version, mime_type))
+`;
+
+// Response mappers
+const formatMeeting = (meeting: any) => ({
+  id: meeting.id,
+  organizationId: meeting.organization_id,
+  committeeId: meeting.committee_id,
+  title: meeting.title,
+  meetingType: meeting.meeting_type,
+  meetingDate: meeting.meeting_date,
+  durationMinutes: meeting.duration_minutes,
+  location: meeting.location,
+  zoomLink: meeting.zoom_link,
+  agenda: meeting.agenda,
+  status: meeting.status,
+  boardPackPublishedAt: meeting.board_pack_published_at,
+  createdBy: meeting.created_by,
+  createdAt: meeting.created_at,
+  updatedAt: meeting.updated_at
+});
+
+const formatAttendee = (attendee: any) => ({
+  id: attendee.id,
+  userId: attendee.user_id,
+  email: attendee.users?.email,
+  firstName: attendee.users?.first_name,
+  lastName: attendee.users?.last_name,
+  avatar: attendee.users?.avatar,
+  rsvpStatus: attendee.rsvp_status,
+  attended: attendee.attended,
+  notes: attendee.notes
+});
+
+// Papers are pinned to the version current when the board pack was published
+const formatAgendaItem = (item: any, timing?: { startsAt: string; endsAt: string }) => ({
+  id: item.id,
+  position: item.position,
+  title: item.title,
+  description: item.description,
+  itemType: item.item_type,
+  presenter: item.presenter ? { id: item.presenter.id, name: `${item.presenter.first_name} ${item.presenter.last_name}` } : null,
+  durationMinutes: item.duration_minutes,
+  startsAt: timing?.startsAt,
+  endsAt: timing?.endsAt,
+  papers: (item.agenda_item_papers || []).map((paper: any) => ({
+    documentId: paper.document_id,
+    name: paper.documents?.name,
+    mimeType: paper.documents?.mime_type,
+    version: paper.document_version ?? paper.documents?.current_version,
+    locked: paper.document_version !== null
+  }))
+});
+
+const formatTemplate = (template: any) => ({
+  id: template.id,
+  meetingType: template.meeting_type,
+  items: template.items || [],
+  updatedAt: template.updated_at
+});
+
+// Load a meeting that belongs to the organization
+const findMeeting = async (id: string, organizationId: string) => {
+  const { data: meeting, error } = await supabase
+    .from('meetings')
+    .select('*')
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !meeting) {
+    throw Errors.notFound('Meeting');
+  }
+
+  return meeting;
+};
+
+// Ensure every user is an active member of the organization
+const assertActiveMembers = async (organizationId: string, userIds: string[]) => {
+  if (userIds.length === 0) return;
+
+  const { data: members } = await supabase
+    .from('organization_members')
+    .select('user_id')
+    .eq('organization_id', organizationId)
+    .eq('is_active', true)
+    .in('user_id', userIds);
+
+  const memberIds = new Set((members || []).map(m => m.user_id));
+  const missing = userIds.filter(id => !memberIds.has(id));
+
+  if (missing.length > 0) {
+    throw Errors.badRequest('NOT_ORGANIZATION_MEMBER', 'All attendees must be active members of the organization', {
+      userIds: missing
+    });
+  }
+};
+
+// Ensure a committee belongs to the organization
+const assertCommittee = async (organizationId: string, committeeId?: string | null) => {
+  if (!committeeId) return;
+
+  const { data: committee } = await supabase
+    .from('committees')
+    .select('id')
+    .eq('id', committeeId)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (!committee) {
+    throw Errors.notFound('Committee');
+  }
+};
+
+// Committee members' user IDs, used as the default invite list for committee meetings
+const getCommitteeUserIds = async (committeeId: string): Promise<string[]> => {
+  const { data: members } = await supabase
+    .from('committee_members')
+    .select('organization_members(user_id, is_active)')
+    .eq('committee_id', committeeId);
+
+  return (members || [])
+    .map((m: any) => m.organization_members)
+    .filter((m: any) => m?.is_active)
+    .map((m: any) => m.user_id);
+};
+
+// Agenda items in order, with presenters and papers
+const loadAgendaItems = async (meetingId: string) => {
+  const { data: items, error } = await supabase
+    .from('agenda_items')
+    .select(AGENDA_ITEM_SELECT)
+    .eq('meeting_id', meetingId)
+    .order('position', { ascending: true });
+
+  if (error) {
+    throw Errors.internal('Failed to fetch agenda');
+  }
+
+  return items || [];
+};
+
+const formatAgenda = (meeting: any, items: any[]) => {
+  const schedule = AgendaService.buildSchedule(meeting.meeting_date, meeting.duration_minutes, items);
+
+  return {
+    meetingId: meeting.id,
+    items: items.map((item, index) => formatAgendaItem(item, schedule.items[index])),
+    totalMinutes: schedule.totalMinutes,
+    overrunMinutes: schedule.overrunMinutes,
+    boardPack: {
+      published: !!meeting.board_pack_published_at,
+      publishedAt: meeting.board_pack_published_at,
+      publishedBy: meeting.board_pack_published_by
+    }
+  };
+};
+
+// The agenda can't change once the board pack has gone out
+const assertAgendaEditable = (meeting: any) => {
+  if (meeting.board_pack_published_at) {
+    throw Errors.conflict('AGENDA_LOCKED', 'The board pack has been published - withdraw it to change the agenda');
+  }
+};
+
+// Ensure every paper is a document in the organization's library
+const assertPapers = async (organizationId: string, documentIds: string[]) => {
+  if (documentIds.length === 0) return;
+
+  const { data: documents } = await supabase
+    .from('documents')
+    .select('id')
+    .eq('organization_id', organizationId)
+    .in('id', documentIds);
+
+  const found = new Set((documents || []).map(d => d.id));
+  const missing = documentIds.filter(id => !found.has(id));
+
+  if (missing.length > 0) {
+    throw Errors.badRequest('INVALID_PAPERS', 'Papers must be documents in the organization library', {
+      documentIds: missing
+    });
+  }
+};
+
+// Replace the papers linked to an agenda item
+const setPapers = async (item: any, documentIds: string[]) => {
+  await supabase
+    .from('agenda_item_papers')
+    .delete()
+    .eq('agenda_item_id', item.id);
+
+  if (documentIds.length === 0) return;
+
+  const { error } = await supabase
+    .from('agenda_item_papers')
+    .insert(documentIds.map(documentId => ({
+      organization_id: item.organization_id,
+      meeting_id: item.meeting_id,
+      agenda_item_id: item.id,
+      document_id: documentId
+    })));
+
+  if (error) {
+    throw Errors.internal('Failed to link papers');
+  }
+};
+
+// Copy the organization's template for a meeting type onto the end of a meeting's agenda
+const applyAgendaTemplate = async (meeting: any, startPosition = 1): Promise<number> => {
+  const { data: template } = await supabase
+    .from('agenda_templates')
+    .select('items')
+    .eq('organization_id', meeting.organization_id)
+    .eq('meeting_type', meeting.meeting_type)
+    .single();
+
+  const templateItems: AgendaTemplateItem[] = template?.items || [];
+  if (templateItems.length === 0) return 0;
+
+  const { error } = await supabase
+    .from('agenda_items')
+    .insert(AgendaService.itemsFromTemplate(templateItems, meeting, startPosition));
+
+  if (error) {
+    throw Errors.internal('Failed to apply agenda template');
+  }
+
+  return templateItems.length;
+};
+
+// Email attendees who haven't declined that the board pack is ready
+const notifyBoardPackPublished = async (req: Request, meeting: any, itemCount: number, paperCount: number) => {
+  const { data: attendees } = await supabase
+    .from('meeting_attendees')
+    .select('users(email)')
+    .eq('meeting_id', meeting.id)
+    .neq('rsvp_status', RsvpStatus.DECLINED);
+
+  await Promise.all((attendees || [])
+    .map((a: any) => a.users?.email)
+    .filter(Boolean)
+    .map((to: string) => EmailService.sendBoardPackPublishedEmail({
+      to,
+      organizationName: req.organization!.name,
+      meetingTitle: meeting.title,
+      meetingDate: meeting.meeting_date,
+      itemCount,
+      paperCount
+    })));
+};
+
+// All routes require authentication within an organization
+router.use(authenticate, requireOrganization, enforceSubscriptionStatus, ...accountRateLimiter);
+
+// GET /api/meetings - List meetings
+router.get('/',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const { page, limit, status, meetingType, committeeId, from, to, upcoming } = listMeetingsSchema.parse(req.query);
+
+    let query = supabase
+      .from('meetings')
+      .select('*', { count: 'exact' })
+      .eq('organization_id', organizationId);
+
+    if (status) query = query.eq('status', status);
+    if (meetingType) query = query.eq('meeting_type', meetingType);
+    if (committeeId) query = query.eq('committee_id', committeeId);
+    if (from) query = query.gte('meeting_date', from);
+    if (to) query = query.lte('meeting_date', to);
+    if (upcoming) {
+      query = query
+        .gte('meeting_date', new Date().toISOString())
+        .neq('status', MeetingStatus.CANCELLED);
+    }
+
+    const { data: meetings, count, error } = await query
+      .order('meeting_date', { ascending: upcoming })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) {
+      throw Errors.internal('Failed to fetch meetings');
+    }
+
+    const totalPages = Math.ceil((count || 0) / limit);
+
+    sendSuccess(res, {
+      meetings: (meetings || []).map(formatMeeting),
+      meta: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  })
+);
+
+// GET /api/meetings/agenda-templates - Agenda templates for each meeting type
+router.get('/agenda-templates',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { data: templates, error } = await supabase
+      .from('agenda_templates')
+      .select('*')
+      .eq('organization_id', req.organization!.id)
+      .order('meeting_type', { ascending: true });
+
+    if (error) {
+      throw Errors.internal('Failed to fetch agenda templates');
+    }
+
+    sendSuccess(res, { templates: (templates || []).map(formatTemplate) });
+  })
+);
+
+// PUT /api/meetings/agenda-templates/:meetingType - Create or replace a template
+router.put('/agenda-templates/:meetingType',
+  requirePermission(Permission.MEETING_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meetingType = meetingTypeSchema.parse(req.params.meetingType);
+    const { items } = agendaTemplateSchema.parse(req.body);
+
+    const { data: template, error } = await supabase
+      .from('agenda_templates')
+      .upsert({
+        organization_id: organizationId,
+        meeting_type: meetingType,
+        items,
+        updated_by: req.user!.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'organization_id,meeting_type' })
+      .select()
+      .single();
+
+    if (error || !template) {
+      throw Errors.internal('Failed to save agenda template');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'agenda_template',
+      resourceId: template.id,
+      details: { meetingType, itemCount: items.length },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { template: formatTemplate(template) });
+  })
+);
+
+// DELETE /api/meetings/agenda-templates/:meetingType - Remove a template
+router.delete('/agenda-templates/:meetingType',
+  requirePermission(Permission.MEETING_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meetingType = meetingTypeSchema.parse(req.params.meetingType);
+
+    const { data: deleted, error } = await supabase
+      .from('agenda_templates')
+      .delete()
+      .eq('organization_id', organizationId)
+      .eq('meeting_type', meetingType)
+      .select('id');
+
+    if (error) {
+      throw Errors.internal('Failed to delete agenda template');
+    }
+    if (!deleted || deleted.length === 0) {
+      throw Errors.notFound('Agenda template');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'agenda_template',
+      resourceId: deleted[0].id,
+      details: { meetingType },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Agenda template deleted successfully' });
+  })
+);
+
+// GET /api/meetings/:id - Get meeting with attendees
+router.get('/:id',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const meeting = await findMeeting(req.params.id, req.organization!.id);
+
+    const { data: attendees } = await supabase
+      .from('meeting_attendees')
+      .select('*, users(id, email, first_name, last_name, avatar)')
+      .eq('meeting_id', meeting.id);
+
+    sendSuccess(res, {
+      meeting: {
+        ...formatMeeting(meeting),
+        attendees: (attendees || []).map(formatAttendee)
+      }
+    });
+  })
+);
+
+// POST /api/meetings - Create meeting
+router.post('/',
+  requirePermission(Permission.MEETING_CREATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const validated = createMeetingSchema.parse(req.body);
+
+    await assertCommittee(organizationId, validated.committeeId);
+
+    // Committee meetings invite the committee by default
+    const requestedAttendees = validated.attendeeIds
+      ?? (validated.committeeId ? await getCommitteeUserIds(validated.committeeId) : []);
+    const attendeeIds = [...new Set(requestedAttendees)];
+    await assertActiveMembers(organizationId, attendeeIds);
+
+    const { data: meeting, error } = await supabase
+      .from('meetings')
+      .insert({
+        organization_id: organizationId,
+        committee_id: validated.committeeId || null,
+        title: validated.title,
+        meeting_type: validated.meetingType
+          ?? (validated.committeeId ? MeetingType.COMMITTEE : MeetingType.BOARD),
+        meeting_date: validated.meetingDate,
+        duration_minutes: validated.durationMinutes,
+        location: validated.location,
+        zoom_link: validated.zoomLink || null,
+        agenda: validated.agenda,
+        status: MeetingStatus.SCHEDULED,
+        created_by: req.user!.id
+      })
+      .select()
+      .single();
+
+    if (error || !meeting) {
+      throw Errors.internal('Failed to create meeting');
+    }
+
+    if (attendeeIds.length > 0) {
+      const { error: attendeeError } = await supabase
+        .from('meeting_attendees')
+        .insert(attendeeIds.map(userId => ({
+          meeting_id: meeting.id,
+          user_id: userId,
+          rsvp_status: RsvpStatus.PENDING
+        })));
+
+      if (attendeeError) {
+        await supabase.from('meetings').delete().eq('id', meeting.id);
+        throw Errors.internal('Failed to add meeting attendees');
+      }
+    }
+
+    let agendaItemCount = 0;
+    if (validated.useTemplate) {
+      try {
+        agendaItemCount = await applyAgendaTemplate(meeting);
+      } catch (err) {
+        await supabase.from('meetings').delete().eq('id', meeting.id);
+        throw err;
+      }
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'meeting',
+      resourceId: meeting.id,
+      details: {
+        title: meeting.title,
+        meetingType: meeting.meeting_type,
+        meetingDate: meeting.meeting_date,
+        attendeeCount: attendeeIds.length,
+        agendaItemCount
+      },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { meeting: formatMeeting(meeting) }, 201);
+  })
+);
+
+// PUT /api/meetings/:id - Update meeting
+router.put('/:id',
+  requirePermission(Permission.MEETING_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const existing = await findMeeting(req.params.id, organizationId);
+    const validated = updateMeetingSchema.parse(req.body);
+
+    if (validated.committeeId !== undefined) {
+      await assertCommittee(organizationId, validated.committeeId);
+    }
+
+    const updateData: any = {};
+    if (validated.title !== undefined) updateData.title = validated.title;
+    if (validated.meetingType !== undefined) updateData.meeting_type = validated.meetingType;
+    if (validated.meetingDate !== undefined) updateData.meeting_date = validated.meetingDate;
+    if (validated.durationMinutes !== undefined) updateData.duration_minutes = validated.durationMinutes;
+    if (validated.location !== undefined) updateData.location = validated.location;
+    if (validated.zoomLink !== undefined) updateData.zoom_link = validated.zoomLink || null;
+    if (validated.agenda !== undefined) updateData.agenda = validated.agenda;
+    if (validated.committeeId !== undefined) updateData.committee_id = validated.committeeId;
+    if (validated.status !== undefined) updateData.status = validated.status;
+
+    const { data: meeting, error } = await supabase
+      .from('meetings')
+      .update(updateData)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error || !meeting) {
+      throw Errors.internal('Failed to update meeting');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'meeting',
+      resourceId: meeting.id,
+      details: {
+        fields: Object.keys(validated),
+        previousStatus: existing.status,
+        newStatus: validated.status
+      },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, {
+      message: 'Meeting updated successfully',
+      meeting: formatMeeting(meeting)
+    });
+  })
+);
+
+// DELETE /api/meetings/:id - Delete meeting
+router.delete('/:id',
+  requirePermission(Permission.MEETING_DELETE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+
+    const { error } = await supabase
+      .from('meetings')
+      .delete()
+      .eq('id', meeting.id);
+
+    if (error) {
+      throw Errors.internal('Failed to delete meeting');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'meeting',
+      resourceId: meeting.id,
+      details: { title: meeting.title, meetingDate: meeting.meeting_date },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Meeting deleted successfully' });
+  })
+);
+
+// PUT /api/meetings/:id/rsvp - RSVP to a meeting as the current user
+router.put('/:id/rsvp',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+    const { status } = rsvpSchema.parse(req.body);
+
+    if (meeting.status === MeetingStatus.CANCELLED || meeting.status === MeetingStatus.COMPLETED) {
+      throw Errors.badRequest('MEETING_CLOSED', `Cannot RSVP to a ${meeting.status} meeting`);
+    }
+
+    await assertActiveMembers(organizationId, [req.user!.id]);
+
+    const { data: attendee, error } = await supabase
+      .from('meeting_attendees')
+      .upsert({
+        meeting_id: meeting.id,
+        user_id: req.user!.id,
+        rsvp_status: status
+      }, { onConflict: 'meeting_id,user_id' })
+      .select()
+      .single();
+
+    if (error || !attendee) {
+      throw Errors.internal('Failed to record RSVP');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'meeting_attendee',
+      resourceId: attendee.id,
+      details: { meetingId: meeting.id, rsvpStatus: status },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, {
+      message: 'RSVP recorded',
+      attendee: formatAttendee(attendee)
+    });
+  })
+);
+
+// POST /api/meetings/:id/attendees - Add attendee
+router.post('/:id/attendees',
+  requirePermission(Permission.MEETING_SCHEDULE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+    const { userId } = addAttendeeSchema.parse(req.body);
+
+    await assertActiveMembers(organizationId, [userId]);
+
+    const { data: existing } = await supabase
+      .from('meeting_attendees')
+      .select('id')
+      .eq('meeting_id', meeting.id)
+      .eq('user_id', userId)
+      .single();
+
+    if (existing) {
+      throw Errors.conflict('ALREADY_ATTENDEE', 'This user is already an attendee of the meeting');
+    }
+
+    const { data: attendee, error } = await supabase
+      .from('meeting_attendees')
+      .insert({
+        meeting_id: meeting.id,
+        user_id: userId,
+        rsvp_status: RsvpStatus.PENDING
+      })
+      .select('*, users(id, email, first_name, last_name, avatar)')
+      .single();
+
+    if (error || !attendee) {
+      throw Errors.internal('Failed to add attendee');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'meeting_attendee',
+      resourceId: attendee.id,
+      details: { meetingId: meeting.id, attendeeUserId: userId },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { attendee: formatAttendee(attendee) }, 201);
+  })
+);
+
+// PUT /api/meetings/:id/attendees/:userId - Record attendance
+router.put('/:id/attendees/:userId',
+  requirePermission(Permission.MEETING_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+    const validated = updateAttendeeSchema.parse(req.body);
+
+    const updateData: any = {};
+    if (validated.attended !== undefined) updateData.attended = validated.attended;
+    if (validated.notes !== undefined) updateData.notes = validated.notes;
+
+    const { data: attendee, error } = await supabase
+      .from('meeting_attendees')
+      .update(updateData)
+      .eq('meeting_id', meeting.id)
+      .eq('user_id', req.params.userId)
+      .select('*, users(id, email, first_name, last_name, avatar)')
+      .single();
+
+    if (error || !attendee) {
+      throw Errors.notFound('Attendee');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'meeting_attendee',
+      resourceId: attendee.id,
+      details: { meetingId: meeting.id, attendeeUserId: req.params.userId, ...validated },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { attendee: formatAttendee(attendee) });
+  })
+);
+
+// DELETE /api/meetings/:id/attendees/:userId - Remove attendee
+router.delete('/:id/attendees/:userId',
+  requirePermission(Permission.MEETING_SCHEDULE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+
+    const { data: attendee } = await supabase
+      .from('meeting_attendees')
+      .select('id')
+      .eq('meeting_id', meeting.id)
+      .eq('user_id', req.params.userId)
+      .single();
+
+    if (!attendee) {
+      throw Errors.notFound('Attendee');
+    }
+
+    await supabase
+      .from('meeting_attendees')
+      .delete()
+      .eq('id', attendee.id);
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'meeting_attendee',
+      resourceId: attendee.id,
+      details: { meetingId: meeting.id, attendeeUserId: req.params.userId },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Attendee removed successfully' });
+  })
+);
+
+// GET /api/meetings/:id/agenda - Agenda items with timings and papers
+router.get('/:id/agenda',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const meeting = await findMeeting(req.params.id, req.organization!.id);
+    const items = await loadAgendaItems(meeting.id);
+
+    sendSuccess(res, { agenda: formatAgenda(meeting, items) });
+  })
+);
+
+// POST /api/meetings/:id/agenda - Add an agenda item at the end
+router.post('/:id/agenda',
+  requirePermission(Permission.MEETING_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+    const validated = agendaItemSchema.parse(req.body);
+
+    assertAgendaEditable(meeting);
+    if (validated.presenterId) await assertActiveMembers(organizationId, [validated.presenterId]);
+    const paperIds = [...new Set(validated.paperIds || [])];
+    await assertPapers(organizationId, paperIds);
+
+    const { data: last } = await supabase
+      .from('agenda_items')
+      .select('position')
+      .eq('meeting_id', meeting.id)
+      .order('position', { ascending: false })
+      .limit(1)
+      .single();
+
+    const { data: item, error } = await supabase
+      .from('agenda_items')
+      .insert({
+        organization_id: organizationId,
+        meeting_id: meeting.id,
+        position: (last?.position || 0) + 1,
+        title: validated.title,
+        description: validated.description || null,
+        item_type: validated.itemType,
+        presenter_id: validated.presenterId || null,
+        duration_minutes: validated.durationMinutes,
+        created_by: req.user!.id
+      })
+      .select()
+      .single();
+
+    if (error || !item) {
+      throw Errors.internal('Failed to add agenda item');
+    }
+
+    await setPapers(item, paperIds);
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'agenda_item',
+      resourceId: item.id,
+      details: { meetingId: meeting.id, title: item.title, paperCount: paperIds.length },
+      ipAddress: req.ip
+    });
+
+    const items = await loadAgendaItems(meeting.id);
+
+    sendSuccess(res, { agenda: formatAgenda(meeting, items) }, 201);
+  })
+);
+
+// POST /api/meetings/:id/agenda/template - Append the template for the meeting's type
+router.post('/:id/agenda/template',
+  requirePermission(Permission.MEETING_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+
+    assertAgendaEditable(meeting);
+
+    const existing = await loadAgendaItems(meeting.id);
+    const added = await applyAgendaTemplate(meeting, existing.length + 1);
+
+    if (added === 0) {
+      throw Errors.notFound(`Agenda template for ${meeting.meeting_type} meetings`);
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'meeting',
+      resourceId: meeting.id,
+      details: { action: 'apply_agenda_template', meetingType: meeting.meeting_type, itemCount: added },
+      ipAddress: req.ip
+    });
+
+    const items = await loadAgendaItems(meeting.id);
+
+    sendSuccess(res, { agenda: formatAgenda(meeting, items) });
+  })
+);
+
+// PUT /api/meetings/:id/agenda/order - Reorder agenda items
+router.put('/:id/agenda/order',
+  requirePermission(Permission.MEETING_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+    const { itemIds } = agendaOrderSchema.parse(req.body);
+
+    assertAgendaEditable(meeting);
+
+    const existing = await loadAgendaItems(meeting.id);
+    AgendaService.assertCompleteOrder(existing.map(item => item.id), itemIds);
+
+    const results = await Promise.all(itemIds.map((id, index) =>
+      supabase
+        .from('agenda_items')
+        .update({ position: index + 1 })
+        .eq('id', id)
+        .eq('meeting_id', meeting.id)
+    ));
+
+    if (results.some(result => result.error)) {
+      throw Errors.internal('Failed to reorder agenda');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'meeting',
+      resourceId: meeting.id,
+      details: { action: 'reorder_agenda', itemIds },
+      ipAddress: req.ip
+    });
+
+    const items = await loadAgendaItems(meeting.id);
+
+    sendSuccess(res, { agenda: formatAgenda(meeting, items) });
+  })
+);
+
+// PUT /api/meetings/:id/agenda/:itemId - Update an agenda item
+router.put('/:id/agenda/:itemId',
+  requirePermission(Permission.MEETING_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+    const validated = updateAgendaItemSchema.parse(req.body);
+
+    assertAgendaEditable(meeting);
+    if (validated.presenterId) await assertActiveMembers(organizationId, [validated.presenterId]);
+    const paperIds = validated.paperIds && [...new Set(validated.paperIds)];
+    if (paperIds) await assertPapers(organizationId, paperIds);
+
+    const updateData: any = { updated_at: new Date().toISOString() };
+    if (validated.title !== undefined) updateData.title = validated.title;
+    if (validated.description !== undefined) updateData.description = validated.description;
+    if (validated.itemType !== undefined) updateData.item_type = validated.itemType;
+    if (validated.presenterId !== undefined) updateData.presenter_id = validated.presenterId;
+    if (validated.durationMinutes !== undefined) updateData.duration_minutes = validated.durationMinutes;
+
+    const { data: item, error } = await supabase
+      .from('agenda_items')
+      .update(updateData)
+      .eq('id', req.params.itemId)
+      .eq('meeting_id', meeting.id)
+      .select()
+      .single();
+
+    if (error || !item) {
+      throw Errors.notFound('Agenda item');
+    }
+
+    if (paperIds) await setPapers(item, paperIds);
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'agenda_item',
+      resourceId: item.id,
+      details: { meetingId: meeting.id, fields: Object.keys(validated) },
+      ipAddress: req.ip
+    });
+
+    const items = await loadAgendaItems(meeting.id);
+
+    sendSuccess(res, { agenda: formatAgenda(meeting, items) });
+  })
+);
+
+// DELETE /api/meetings/:id/agenda/:itemId - Remove an agenda item
+router.delete('/:id/agenda/:itemId',
+  requirePermission(Permission.MEETING_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+
+    assertAgendaEditable(meeting);
+
+    // Papers go with the item (ON DELETE CASCADE)
+    const { data: deleted, error } = await supabase
+      .from('agenda_items')
+      .delete()
+      .eq('id', req.params.itemId)
+      .eq('meeting_id', meeting.id)
+      .select('id, title');
+
+    if (error) {
+      throw Errors.internal('Failed to remove agenda item');
+    }
+    if (!deleted || deleted.length === 0) {
+      throw Errors.notFound('Agenda item');
+    }
+
+    // Close the gap left in the numbering
+    const remaining = await loadAgendaItems(meeting.id);
+    await Promise.all(remaining
+      .map((item, index) => ({ item, position: index + 1 }))
+      .filter(({ item, position }) => item.position !== position)
+      .map(({ item, position }) =>
+        supabase.from('agenda_items').update({ position }).eq('id', item.id)
+      ));
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'agenda_item',
+      resourceId: req.params.itemId,
+      details: { meetingId: meeting.id, title: deleted[0].title },
+      ipAddress: req.ip
+    });
+
+    const items = await loadAgendaItems(meeting.id);
+
+    sendSuccess(res, { agenda: formatAgenda(meeting, items) });
+  })
+);
+
+// POST /api/meetings/:id/board-pack - Publish the board pack: lock the agenda and papers, notify attendees
+router.post('/:id/board-pack',
+  requirePermission(Permission.MEETING_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+
+    if (meeting.status === MeetingStatus.CANCELLED || meeting.status === MeetingStatus.COMPLETED) {
+      throw Errors.badRequest('MEETING_CLOSED', `Cannot publish a board pack for a ${meeting.status} meeting`);
+    }
+    if (meeting.board_pack_published_at) {
+      throw Errors.conflict('BOARD_PACK_PUBLISHED', 'The board pack has already been published');
+    }
+
+    const items = await loadAgendaItems(meeting.id);
+    if (items.length === 0) {
+      throw Errors.badRequest('AGENDA_EMPTY', 'Add agenda items before publishing the board pack');
+    }
+
+    // Conditional on not yet published, so two publishes can't both send notifications
+    const { data: published, error } = await supabase
+      .from('meetings')
+      .update({
+        board_pack_published_at: new Date().toISOString(),
+        board_pack_published_by: req.user!.id
+      })
+      .eq('id', meeting.id)
+      .is('board_pack_published_at', null)
+      .select()
+      .single();
+
+    if (error || !published) {
+      throw Errors.conflict('BOARD_PACK_PUBLISHED', 'The board pack has already been published');
+    }
+
+    // Pin each paper to its current version; versions themselves are immutable
+    const papers = items.flatMap(item => item.agenda_item_papers || []);
+    const results = await Promise.all(papers.map((paper: any) =>
+      supabase
+        .from('agenda_item_papers')
+        .update({ document_version: paper.documents?.current_version })
+        .eq('id', paper.id)
+    ));
+
+    if (results.some(result => result.error)) {
+      await supabase
+        .from('agenda_item_papers')
+        .update({ document_version: null })
+        .eq('meeting_id', meeting.id);
+      await supabase
+        .from('meetings')
+        .update({ board_pack_published_at: null, board_pack_published_by: null })
+        .eq('id', meeting.id);
+      throw Errors.internal('Failed to lock board papers');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'meeting',
+      resourceId: meeting.id,
+      details: {
+        action: 'publish_board_pack',
+        itemCount: items.length,
+        papers: papers.map((paper: any) => ({ documentId: paper.document_id, version: paper.documents?.current_version }))
+      },
+      ipAddress: req.ip
+    });
+
+    notifyBoardPackPublished(req, published, items.length, papers.length).catch(() => {});
+
+    const agendaItems = await loadAgendaItems(meeting.id);
+
+    sendSuccess(res, { agenda: formatAgenda(published, agendaItems) });
+  })
+);
+
+// DELETE /api/meetings/:id/board-pack - Withdraw a published board pack so the agenda can change
+router.delete('/:id/board-pack',
+  requirePermission(Permission.MEETING_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const meeting = await findMeeting(req.params.id, organizationId);
+
+    if (!meeting.board_pack_published_at) {
+      throw Errors.badRequest('BOARD_PACK_NOT_PUBLISHED', 'The board pack has not been published');
+    }
+
+    const { data: withdrawn, error } = await supabase
+      .from('meetings')
+      .update({ board_pack_published_at: null, board_pack_published_by: null })
+      .eq('id', meeting.id)
+      .select()
+      .single();
+
+    if (error || !withdrawn) {
+      throw Errors.internal('Failed to withdraw board pack');
+    }
+
+    await supabase
+      .from('agenda_item_papers')
+      .update({ document_version: null })
+      .eq('meeting_id', meeting.id);
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'meeting',
+      resourceId: meeting.id,
+      details: { action: 'withdraw_board_pack', publishedAt: meeting.board_pack_published_at },
+      ipAddress: req.ip
+    });
+
+    const items = await loadAgendaItems(meeting.id);
+
+    sendSuccess(res, { agenda: formatAgenda(withdrawn, items) });
+  })
+);
+
+export default router;
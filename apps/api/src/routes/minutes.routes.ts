@@ -0,0 +1,573 @@
+/**
+ * Minutes Routes
+ * Meeting minutes drafting, chair approval and board adoption
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { supabase } from '../config/database';
+import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
+import type { Request, Response } from 'express';
+import { authenticate, requireOrganization, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
+import { AuditService } from '../services/audit.service';
+import { RBACService } from '../services/rbac.service';
+import { EmailService } from '../services/email.service';
+import { MinutesService } from '../services/minutes.service';
+import { Permission, AuditAction, MinutesStatus, MeetingStatus, MinutesContent, Role } from '../types';
+
+const router = Router();
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validation schemas
+const actionSchema = z.object({
+  description: z.string().trim().min(1, 'Action description is required').max(1000),
+  assigneeId: z.string().uuid('Invalid user ID').optional().nullable(),
+  dueDate: z.string().regex(DATE_REGEX, 'Due date must be YYYY-MM-DD').optional().nullable()
+});
+
+const sectionSchema = z.object({
+  title: z.string().trim().min(1, 'Section title is required').max(300),
+  notes: z.string().max(20000).default(''),
+  decisions: z.array(z.string().trim().min(1).max(2000)).max(50).default([]),
+  actions: z.array(actionSchema).max(50).default([])
+});
+
+const createMinutesSchema = z.object({
+  meetingId: z.string().uuid('Invalid meeting ID'),
+  summary: z.string().max(20000).optional().nullable(),
+  // Defaults to one section per agenda item
+  sections: z.array(sectionSchema).max(100).optional()
+});
+
+const updateMinutesSchema = z.object({
+  summary: z.string().max(20000).optional().nullable(),
+  sections: z.array(sectionSchema).max(100).optional()
+});
+
+const minutesStatusSchema = z.object({
+  status: z.nativeEnum(MinutesStatus),
+  comments: z.string().max(5000).optional(),
+  // Adoption only: the later meeting at which the board adopted the minutes
+  adoptedAtMeetingId: z.string().uuid('Invalid meeting ID').optional()
+});
+
+const listMinutesSchema = z.object({
+  page: z.string().optional().transform(v => parseInt(v || '1')),
+  limit: z.string().optional().transform(v => Math.min(parseInt(v || '20'), 100)),
+  meetingId: z.string().uuid().optional(),
+  status: z.nativeEnum(MinutesStatus).optional()
+});
+
+// What members who can't draft or approve minutes are allowed to see
+const PUBLIC_STATUSES = [MinutesStatus.APPROVED, MinutesStatus.ADOPTED];
+
+const MINUTES_SELECT = `
+  *,
+  meetings!minutes_meeting_id_fkey(id, title, meeting_date, meeting_type, committee_id),
+  adopted_meeting:meetings!minutes_adopted_at_meeting_id_fkey(id, title, meeting_date)
+`;
+
+const VERSION_SELECT = '*, approver:users!minutes_versions_approved_by_fkey(id, first_name, last_name)';
+
+const contentOf = (minutes: any): MinutesContent => ({
+  summary: minutes.summary ?? null,
+  sections: minutes.sections || []
+});
+
+// Response mappers
+const formatMinutes = (minutes: any) => ({
+  id: minutes.id,
+  organizationId: minutes.organization_id,
+  meeting: minutes.meetings ? {
+    id: minutes.meetings.id,
+    title: minutes.meetings.title,
+    meetingDate: minutes.meetings.meeting_date,
+    meetingType: minutes.meetings.meeting_type
+  } : { id: minutes.meeting_id },
+  status: minutes.status,
+  nextStatuses: MinutesService.getNextStatuses(minutes.status),
+  summary: minutes.summary,
+  sections: minutes.sections || [],
+  reviewComments: minutes.review_comments,
+  approvedVersion: minutes.approved_version,
+  contentHash: minutes.content_hash,
+  submittedAt: minutes.submitted_at,
+  approvedAt: minutes.approved_at,
+  adoptedAt: minutes.adopted_at,
+  adoptedAtMeeting: minutes.adopted_meeting ? {
+    id: minutes.adopted_meeting.id,
+    title: minutes.adopted_meeting.title,
+    meetingDate: minutes.adopted_meeting.meeting_date
+  } : null,
+  createdBy: minutes.created_by,
+  createdAt: minutes.created_at,
+  updatedAt: minutes.updated_at
+});
+
+const formatVersion = (version: any) => ({
+  version: version.version_number,
+  contentHash: version.content_hash,
+  comments: version.comments,
+  approvedBy: version.approver ? { id: version.approver.id, name: `${version.approver.first_name} ${version.approver.last_name}` } : null,
+  approvedAt: version.approved_at
+});
+
+// Members with drafting or approval rights see drafts; everyone else only sees approved minutes
+const canSeeDrafts = (req: Request) =>
+  req.user!.isSuperAdmin
+  || (!!req.member && (
+    RBACService.hasPermission(req.member.role, Permission.MINUTES_DRAFT)
+    || RBACService.hasPermission(req.member.role, Permission.MINUTES_APPROVE)
+  ));
+
+// Load minutes that belong to the organization
+const findMinutes = async (req: Request, id: string) => {
+  const { data: minutes, error } = await supabase
+    .from('minutes')
+    .select(MINUTES_SELECT)
+    .eq('id', id)
+    .eq('organization_id', req.organization!.id)
+    .single();
+
+  if (error || !minutes || (!PUBLIC_STATUSES.includes(minutes.status) && !canSeeDrafts(req))) {
+    throw Errors.notFound('Minutes');
+  }
+
+  return minutes;
+};
+
+// Load a meeting that belongs to the organization
+const findMeeting = async (id: string, organizationId: string) => {
+  const { data: meeting, error } = await supabase
+    .from('meetings')
+    .select('*')
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !meeting) {
+    throw Errors.notFound('Meeting');
+  }
+
+  return meeting;
+};
+
+// Ensure action assignees are active members of the organization
+const assertAssignees = async (organizationId: string, sections?: z.infer<typeof sectionSchema>[]) => {
+  const userIds = [...new Set((sections || [])
+    .flatMap(s => s.actions.map(a => a.assigneeId))
+    .filter((id): id is string => !!id))];
+
+  if (userIds.length === 0) return;
+
+  const { data: members } = await supabase
+    .from('organization_members')
+    .select('user_id')
+    .eq('organization_id', organizationId)
+    .eq('is_active', true)
+    .in('user_id', userIds);
+
+  const memberIds = new Set((members || []).map(m => m.user_id));
+  const missing = userIds.filter(id => !memberIds.has(id));
+
+  if (missing.length > 0) {
+    throw Errors.badRequest('NOT_ORGANIZATION_MEMBER', 'Actions can only be assigned to active members of the organization', {
+      userIds: missing
+    });
+  }
+};
+
+// Email everyone who can approve minutes that a draft is waiting for them
+const notifyApprovers = async (req: Request, minutes: any) => {
+  const { data: members } = await supabase
+    .from('organization_members')
+    .select('role, users(email)')
+    .eq('organization_id', req.organization!.id)
+    .eq('is_active', true);
+
+  const recipients = (members || [])
+    .filter((m: any) => RBACService.hasPermission(m.role as Role, Permission.MINUTES_APPROVE))
+    .map((m: any) => m.users?.email)
+    .filter((email: string) => email && email !== req.user!.email);
+
+  await Promise.all(recipients.map((to: string) =>
+    EmailService.sendMinutesApprovalRequestEmail({
+      to,
+      organizationName: req.organization!.name,
+      meetingTitle: minutes.meetings?.title || 'a meeting',
+      submittedBy: `${req.user!.firstName} ${req.user!.lastName}`
+    })
+  ));
+};
+
+// All routes require authentication within an organization
+router.use(authenticate, requireOrganization, enforceSubscriptionStatus, ...accountRateLimiter);
+
+// GET /api/minutes - List minutes
+router.get('/',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { page, limit, meetingId, status } = listMinutesSchema.parse(req.query);
+
+    let query = supabase
+      .from('minutes')
+      .select(MINUTES_SELECT, { count: 'exact' })
+      .eq('organization_id', req.organization!.id);
+
+    if (!canSeeDrafts(req)) query = query.in('status', PUBLIC_STATUSES);
+    if (meetingId) query = query.eq('meeting_id', meetingId);
+    if (status) query = query.eq('status', status);
+
+    const { data: minutes, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) {
+      throw Errors.internal('Failed to fetch minutes');
+    }
+
+    const totalPages = Math.ceil((count || 0) / limit);
+
+    sendSuccess(res, {
+      minutes: (minutes || []).map(formatMinutes),
+      meta: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  })
+);
+
+// GET /api/minutes/:id - Minutes with their approved versions
+router.get('/:id',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const minutes = await findMinutes(req, req.params.id);
+
+    const { data: versions } = await supabase
+      .from('minutes_versions')
+      .select(VERSION_SELECT)
+      .eq('minutes_id', minutes.id)
+      .order('version_number', { ascending: false });
+
+    sendSuccess(res, {
+      minutes: formatMinutes(minutes),
+      versions: (versions || []).map(formatVersion)
+    });
+  })
+);
+
+// GET /api/minutes/:id/versions/:version - An approved version, with a hash check
+router.get('/:id/versions/:version',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const minutes = await findMinutes(req, req.params.id);
+    const versionNumber = parseInt(req.params.version);
+
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      throw Errors.badRequest('INVALID_VERSION', 'Version must be a positive number');
+    }
+
+    const { data: version, error } = await supabase
+      .from('minutes_versions')
+      .select(VERSION_SELECT)
+      .eq('minutes_id', minutes.id)
+      .eq('version_number', versionNumber)
+      .single();
+
+    if (error || !version) {
+      throw Errors.notFound('Minutes version');
+    }
+
+    sendSuccess(res, {
+      version: {
+        ...formatVersion(version),
+        content: version.content,
+        verified: MinutesService.verifyContent(version.content, version.content_hash)
+      }
+    });
+  })
+);
+
+// POST /api/minutes - Start draft minutes for a meeting
+router.post('/',
+  requirePermission(Permission.MINUTES_DRAFT),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const validated = createMinutesSchema.parse(req.body);
+    const meeting = await findMeeting(validated.meetingId, organizationId);
+
+    if (meeting.status === MeetingStatus.CANCELLED) {
+      throw Errors.badRequest('MEETING_CANCELLED', 'Cancelled meetings have no minutes');
+    }
+
+    await assertAssignees(organizationId, validated.sections);
+
+    // Structured agenda items take precedence over the free-text agenda
+    const { data: agendaItems } = await supabase
+      .from('agenda_items')
+      .select('title')
+      .eq('meeting_id', meeting.id)
+      .order('position', { ascending: true });
+
+    const defaultSections = agendaItems && agendaItems.length > 0
+      ? agendaItems.map(item => ({ title: item.title, notes: '', decisions: [], actions: [] }))
+      : MinutesService.buildSectionsFromAgenda(meeting.agenda);
+
+    const { data: minutes, error } = await supabase
+      .from('minutes')
+      .insert({
+        organization_id: organizationId,
+        meeting_id: meeting.id,
+        status: MinutesStatus.DRAFT,
+        summary: validated.summary || null,
+        sections: validated.sections || defaultSections,
+        created_by: req.user!.id
+      })
+      .select('id')
+      .single();
+
+    if (error || !minutes) {
+      if (error?.code === '23505') {
+        throw Errors.conflict('MINUTES_EXIST', 'This meeting already has minutes');
+      }
+      throw Errors.internal('Failed to create minutes');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'minutes',
+      resourceId: minutes.id,
+      details: { meetingId: meeting.id, meetingTitle: meeting.title },
+      ipAddress: req.ip
+    });
+
+    const created = await findMinutes(req, minutes.id);
+
+    sendSuccess(res, { minutes: formatMinutes(created) }, 201);
+  })
+);
+
+// PUT /api/minutes/:id - Edit draft minutes
+router.put('/:id',
+  requirePermission(Permission.MINUTES_DRAFT),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const minutes = await findMinutes(req, req.params.id);
+    const validated = updateMinutesSchema.parse(req.body);
+
+    if (minutes.status !== MinutesStatus.DRAFT) {
+      throw Errors.conflict('MINUTES_LOCKED', `Minutes can only be edited as a draft (currently ${minutes.status})`);
+    }
+
+    await assertAssignees(organizationId, validated.sections);
+
+    const updates: Record<string, any> = { updated_at: new Date().toISOString() };
+    if (validated.summary !== undefined) updates.summary = validated.summary;
+    if (validated.sections !== undefined) updates.sections = validated.sections;
+
+    // Conditional on draft, so a concurrent submit can't be overwritten
+    const { data: updated, error } = await supabase
+      .from('minutes')
+      .update(updates)
+      .eq('id', minutes.id)
+      .eq('status', MinutesStatus.DRAFT)
+      .select('id')
+      .single();
+
+    if (error || !updated) {
+      throw Errors.conflict('MINUTES_STATUS_CHANGED', 'The minutes were updated by someone else - please refresh');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'minutes',
+      resourceId: minutes.id,
+      details: { meetingId: minutes.meeting_id, changes: Object.keys(validated) },
+      ipAddress: req.ip
+    });
+
+    const result = await findMinutes(req, minutes.id);
+
+    sendSuccess(res, { minutes: formatMinutes(result) });
+  })
+);
+
+// PUT /api/minutes/:id/status - Submit, return, approve, reopen or adopt
+router.put('/:id/status',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const minutes = await findMinutes(req, req.params.id);
+    const { status, comments, adoptedAtMeetingId } = minutesStatusSchema.parse(req.body);
+    const from = minutes.status as MinutesStatus;
+
+    MinutesService.assertTransition(from, status);
+
+    const required = MinutesService.getRequiredPermission(from, status);
+    if (!req.user!.isSuperAdmin && (!req.member || !RBACService.hasPermission(req.member.role, required))) {
+      throw Errors.forbidden(`Required permissions: ${required}`);
+    }
+
+    if (status === MinutesStatus.DRAFT && !comments) {
+      throw Errors.validation({ comments: 'Explain what needs to change' });
+    }
+
+    const now = new Date().toISOString();
+    const updates: Record<string, any> = {};
+    const details: Record<string, any> = {};
+    let version: { number: number; hash: string; content: MinutesContent } | null = null;
+
+    switch (status) {
+      case MinutesStatus.SUBMITTED:
+        updates.submitted_by = req.user!.id;
+        updates.submitted_at = now;
+        updates.review_comments = null;
+        break;
+
+      case MinutesStatus.DRAFT:
+        updates.review_comments = comments;
+        break;
+
+      case MinutesStatus.APPROVED: {
+        // Lock the content: the hash is stored with an immutable copy of this version
+        const content = contentOf(minutes);
+        version = { number: (minutes.approved_version || 0) + 1, hash: MinutesService.hashContent(content), content };
+        updates.approved_version = version.number;
+        updates.content_hash = version.hash;
+        updates.approved_by = req.user!.id;
+        updates.approved_at = now;
+        details.version = version.number;
+        details.contentHash = version.hash;
+        break;
+      }
+
+      case MinutesStatus.ADOPTED: {
+        if (!adoptedAtMeetingId) {
+          throw Errors.validation({ adoptedAtMeetingId: 'Choose the meeting at which the minutes were adopted' });
+        }
+
+        const adoptingMeeting = await findMeeting(adoptedAtMeetingId, organizationId);
+        if (adoptingMeeting.status === MeetingStatus.CANCELLED
+          || new Date(adoptingMeeting.meeting_date) <= new Date(minutes.meetings.meeting_date)) {
+          throw Errors.badRequest('INVALID_ADOPTION_MEETING', 'Minutes are adopted at a later meeting that has not been cancelled');
+        }
+
+        // The content being adopted must be exactly what the chair approved
+        if (!minutes.content_hash || !MinutesService.verifyContent(contentOf(minutes), minutes.content_hash)) {
+          throw Errors.conflict('MINUTES_HASH_MISMATCH', 'The minutes no longer match the approved version');
+        }
+
+        updates.adopted_at_meeting_id = adoptingMeeting.id;
+        updates.adopted_by = req.user!.id;
+        updates.adopted_at = now;
+        details.version = minutes.approved_version;
+        details.contentHash = minutes.content_hash;
+        details.adoptedAtMeetingId = adoptingMeeting.id;
+        break;
+      }
+    }
+
+    await MinutesService.transitionMinutes(minutes, status, updates);
+
+    if (version) {
+      const { error } = await supabase
+        .from('minutes_versions')
+        .insert({
+          minutes_id: minutes.id,
+          organization_id: organizationId,
+          version_number: version.number,
+          content: version.content,
+          content_hash: version.hash,
+          approved_by: req.user!.id,
+          approved_at: now,
+          comments: comments || null
+        });
+
+      if (error) {
+        // Put the minutes back so every approval has a locked version
+        await supabase
+          .from('minutes')
+          .update({
+            status: from,
+            approved_version: minutes.approved_version,
+            content_hash: minutes.content_hash,
+            approved_by: minutes.approved_by,
+            approved_at: minutes.approved_at
+          })
+          .eq('id', minutes.id);
+        throw Errors.internal('Failed to lock the approved minutes');
+      }
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'minutes',
+      resourceId: minutes.id,
+      details: {
+        meetingId: minutes.meeting_id,
+        from,
+        to: status,
+        ...(comments && { comments }),
+        ...details
+      },
+      ipAddress: req.ip
+    });
+
+    if (status === MinutesStatus.SUBMITTED) {
+      notifyApprovers(req, minutes).catch(() => {});
+    }
+
+    const result = await findMinutes(req, minutes.id);
+
+    sendSuccess(res, { minutes: formatMinutes(result) });
+  })
+);
+
+// DELETE /api/minutes/:id - Delete minutes that have never been approved
+router.delete('/:id',
+  requirePermission(Permission.MINUTES_DRAFT),
+  asyncHandler(async (req: Request, res: Response) => {
+    const minutes = await findMinutes(req, req.params.id);
+
+    if (minutes.approved_version > 0) {
+      throw Errors.conflict('MINUTES_APPROVED', 'Approved minutes are kept for the record');
+    }
+
+    const { error } = await supabase
+      .from('minutes')
+      .delete()
+      .eq('id', minutes.id);
+
+    if (error) {
+      throw Errors.internal('Failed to delete minutes');
+    }
+
+    await AuditService.log({
+      organizationId: req.organization!.id,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'minutes',
+      resourceId: minutes.id,
+      details: { meetingId: minutes.meeting_id },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Minutes deleted successfully' });
+  })
+);
+
+export default router;
@@ -8,10 +8,15 @@ import { supabase } from '../config/database';
 import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
 import type { Request, Response } from 'express';
 import { authenticate, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
 import { RBACService, ROLE_DISPLAY_NAMES } from '../services/rbac.service';
 import { AuditService } from '../services/audit.service';
 import { EmailService } from '../services/email.service';
-import { Role, Permission, AuditAction } from '../types';
+import { TermService } from '../services/term.service';
+import { MemberImportService } from '../services/member-import.service';
+import { OrganizationService, SLUG_REGEX } from '../services/organization.service';
+import { Role, Permission, AuditAction, CommitteeStatus } from '../types';
 import crypto from 'crypto';
 
 const router = Router();
@@ -29,6 +34,68 @@ const createInvitationSchema = z.object({
   termStartDate: z.string().datetime().optional()
 });
 
+const importMembersSchema = z.object({
+  csv: z.string().min(1, 'CSV content is required').max(1024 * 1024, 'CSV must be under 1MB'),
+  // Validate and report only - nothing is created unless dryRun is false
+  dryRun: z.boolean().default(true),
+  // Create the valid rows even when other rows have errors
+  skipInvalid: z.boolean().default(false),
+  sendEmails: z.boolean().default(true),
+  termLengthYears: z.number().int().min(1).max(10).optional(),
+  termStartDate: z.string().datetime().optional()
+});
+
+const hexColor = z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Must be a hex colour like #1a73e8');
+// Only web links - these end up in href and src attributes
+const optionalUrl = z.string().url('Invalid URL').max(500)
+  .refine(url => /^https?:$/.test(new URL(url).protocol), 'URL must start with http:// or https://')
+  .nullable()
+  .optional();
+
+const updateOrganizationSchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(200).optional(),
+  slug: z.string().trim().toLowerCase()
+    .min(3, 'Slug must be at least 3 characters')
+    .max(50)
+    .regex(SLUG_REGEX, 'Slug can only contain lowercase letters, numbers, and single hyphens')
+    .optional(),
+  description: z.string().max(2000).nullable().optional(),
+  websiteUrl: optionalUrl,
+  customDomain: z.string().trim().toLowerCase()
+    .regex(/^(?=.{4,253}$)([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/, 'Invalid domain')
+    .nullable()
+    .optional(),
+  contactEmail: z.string().email('Invalid email address').nullable().optional(),
+  contactPhone: z.string().max(50).nullable().optional(),
+  address: z.string().max(500).nullable().optional(),
+  // Branding
+  logoUrl: optionalUrl,
+  faviconUrl: optionalUrl,
+  primaryColor: hexColor.nullable().optional(),
+  secondaryColor: hexColor.nullable().optional(),
+  settings: z.object({
+    timezone: z.string().refine(OrganizationService.isValidTimezone, 'Unknown timezone').optional(),
+    dateFormat: z.enum(['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'D MMM YYYY']).optional(),
+    timeFormat: z.enum(['12h', '24h']).optional(),
+    language: z.string().regex(/^[a-z]{2}(-[A-Z]{2})?$/, 'Use a language code like "en" or "en-GB"').optional(),
+    emailNotifications: z.boolean().optional(),
+    meetingReminders: z.boolean().optional(),
+    taskReminders: z.boolean().optional(),
+    requireMfaForAdmins: z.boolean().optional()
+  }).strict().optional(),
+  termSettings: z.object({
+    defaultTermLengthYears: z.number().int().min(1).max(10).optional(),
+    maxConsecutiveTerms: z.number().int().min(1).max(10).nullable().optional(),
+    renewalNotificationDays: z.array(z.number().int().min(1).max(365)).min(1).max(5).optional(),
+    autoRenewalPolicy: z.enum(['opt_in', 'disabled', 'chair_approval', 'board_vote']).optional(),
+    enableTermTracking: z.boolean().optional()
+  }).strict().optional()
+}).refine(data => Object.values(data).some(value => value !== undefined), 'No changes provided');
+
+const mfaRequirementSchema = z.object({
+  requireMfaForAdmins: z.boolean()
+});
+
 const updateMemberSchema = z.object({
   role: z.nativeEnum(Role).optional(),
   department: z.string().optional(),
@@ -36,13 +103,77 @@ const updateMemberSchema = z.object({
   isActive: z.boolean().optional()
 });
 
+const renewTermSchema = z.object({
+  termLengthYears: z.number().int().min(1).max(10).optional(),
+  notes: z.string().max(2000).optional()
+});
+
 // Hash token helper
 const hashToken = (token: string): string => {
   return crypto.createHash('sha256').update(token).digest('hex');
 };
 
+// Members can only manage the organization they're signed in to
+const assertOrganizationAccess = (req: Request, organizationId: string) => {
+  if (!req.user!.isSuperAdmin && req.member?.organizationId !== organizationId) {
+    throw Errors.forbidden('Not a member of this organization');
+  }
+};
+
+// Requiring MFA without having it would lock the owner out of admin actions
+const assertCanRequireMfa = (req: Request, organization: any, requireMfaForAdmins?: boolean) => {
+  if (requireMfaForAdmins && !organization.settings?.requireMfaForAdmins && !req.user!.mfaEnabled) {
+    throw Errors.badRequest('MFA_NOT_ENABLED', 'Set up MFA on your own account before requiring it for administrators');
+  }
+};
+
+const formatOrganization = (organization: any) => ({
+  id: organization.id,
+  clientId: organization.client_id,
+  name: organization.name,
+  slug: organization.slug,
+  description: organization.description,
+  websiteUrl: organization.website_url,
+  customDomain: organization.custom_domain,
+  logoUrl: organization.logo_url,
+  faviconUrl: organization.favicon_url,
+  primaryColor: organization.primary_color,
+  secondaryColor: organization.secondary_color,
+  contactEmail: organization.contact_email,
+  contactPhone: organization.contact_phone,
+  address: organization.address,
+  subscriptionStatus: organization.subscription_status,
+  trialEndsAt: organization.trial_ends_at,
+  subscriptionEndsAt: organization.subscription_ends_at,
+  settings: organization.settings,
+  termSettings: {
+    defaultTermLengthYears: organization.default_term_length_years,
+    maxConsecutiveTerms: organization.max_consecutive_terms,
+    renewalNotificationDays: organization.renewal_notification_days,
+    autoRenewalPolicy: organization.auto_renewal_policy,
+    enableTermTracking: organization.enable_term_tracking
+  },
+  createdAt: organization.created_at,
+  updatedAt: organization.updated_at
+});
+
+const formatTermHistory = (h: any) => ({
+  id: h.id,
+  memberId: h.member_id,
+  userId: h.user_id,
+  previousTermStartDate: h.previous_term_start_date,
+  previousTermEndDate: h.previous_term_end_date,
+  termNumber: h.term_number,
+  termStartDate: h.term_start_date,
+  termEndDate: h.term_end_date,
+  termLengthYears: h.term_length_years,
+  notes: h.notes,
+  renewedBy: h.renewer ? `${h.renewer.first_name} ${h.renewer.last_name}` : null,
+  createdAt: h.created_at
+});
+
 // All routes require authentication
-router.use(authenticate);
+router.use(authenticate, enforceSubscriptionStatus, ...accountRateLimiter);
 
 // GET /api/organizations/my - Get user's organizations
 router.get('/my', asyncHandler(async (req: Request, res: Response) => {
@@ -68,12 +199,35 @@ router.get('/my', asyncHandler(async (req: Request, res: Response) => {
     trialEndsAt: m.organizations.trial_ends_at,
     userRole: m.role,
     joinedAt: m.joined_at,
+    // The organization this session is signed in to
+    current: m.organization_id === req.member?.organizationId,
     plan: null // Simplified for now
   })) || [];
   
   sendSuccess(res, { organizations });
 }));
 
+// GET /api/organizations/check-slug/:slug - Whether a slug is free for the current organization
+router.get('/check-slug/:slug', asyncHandler(async (req: Request, res: Response) => {
+  const availability = await OrganizationService.checkSlugAvailability(
+    req.params.slug,
+    req.member?.organizationId
+  );
+  
+  sendSuccess(res, availability);
+}));
+
+// GET /api/organizations/resolve/:slug - Current slug for a slug, following renames
+router.get('/resolve/:slug', asyncHandler(async (req: Request, res: Response) => {
+  const resolved = await OrganizationService.resolveSlug(req.params.slug);
+  
+  if (!resolved) {
+    throw Errors.notFound('Organization');
+  }
+  
+  sendSuccess(res, resolved);
+}));
+
 // GET /api/organizations/:id - Get organization details
 router.get('/:id', requirePermission(Permission.ORG_VIEW), asyncHandler(async (req: Request, res: Response) => {
   const { id } = req.params;
@@ -100,35 +254,16 @@ router.get('/:id', requirePermission(Permission.ORG_VIEW), asyncHandler(async (r
     return acc;
   }, {});
   
+  const { data: slugHistory } = await supabase
+    .from('organization_slug_history')
+    .select('slug')
+    .eq('organization_id', id)
+    .order('created_at', { ascending: false });
+  
   sendSuccess(res, {
     organization: {
-      id: organization.id,
-      clientId: organization.client_id,
-      name: organization.name,
-      slug: organization.slug,
-      description: organization.description,
-      websiteUrl: organization.website_url,
-      customDomain: organization.custom_domain,
-      logoUrl: organization.logo_url,
-      faviconUrl: organization.favicon_url,
-      primaryColor: organization.primary_color,
-      secondaryColor: organization.secondary_color,
-      contactEmail: organization.contact_email,
-      contactPhone: organization.contact_phone,
-      address: organization.address,
-      subscriptionStatus: organization.subscription_status,
-      trialEndsAt: organization.trial_ends_at,
-      subscriptionEndsAt: organization.subscription_ends_at,
-      settings: organization.settings,
-      termSettings: {
-        defaultTermLengthYears: organization.default_term_length_years,
-        maxConsecutiveTerms: organization.max_consecutive_terms,
-        renewalNotificationDays: organization.renewal_notification_days,
-        autoRenewalPolicy: organization.auto_renewal_policy,
-        enableTermTracking: organization.enable_term_tracking
-      },
-      createdAt: organization.created_at,
-      updatedAt: organization.updated_at
+      ...formatOrganization(organization),
+      previousSlugs: (slugHistory || []).map(h => h.slug)
     },
     usage: {
       totalMembers: Object.values(counts).reduce((a: number, b: number) => a + b, 0),
@@ -139,6 +274,158 @@ router.get('/:id', requirePermission(Permission.ORG_VIEW), asyncHandler(async (r
   });
 }));
 
+// PUT /api/organizations/:id - Update organization details, settings and branding
+router.put('/:id',
+  requirePermission(Permission.ORG_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id } = req.params;
+    assertOrganizationAccess(req, id);
+    const validated = updateOrganizationSchema.parse(req.body);
+    
+    const { data: organization, error: fetchError } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (fetchError || !organization) {
+      throw Errors.notFound('Organization');
+    }
+    
+    assertCanRequireMfa(req, organization, validated.settings?.requireMfaForAdmins);
+    
+    const updateData: Record<string, any> = {};
+    if (validated.name !== undefined) updateData.name = validated.name;
+    if (validated.description !== undefined) updateData.description = validated.description;
+    if (validated.websiteUrl !== undefined) updateData.website_url = validated.websiteUrl;
+    if (validated.customDomain !== undefined) updateData.custom_domain = validated.customDomain;
+    if (validated.contactEmail !== undefined) updateData.contact_email = validated.contactEmail;
+    if (validated.contactPhone !== undefined) updateData.contact_phone = validated.contactPhone;
+    if (validated.address !== undefined) updateData.address = validated.address;
+    if (validated.logoUrl !== undefined) updateData.logo_url = validated.logoUrl;
+    if (validated.faviconUrl !== undefined) updateData.favicon_url = validated.faviconUrl;
+    if (validated.primaryColor !== undefined) updateData.primary_color = validated.primaryColor;
+    if (validated.secondaryColor !== undefined) updateData.secondary_color = validated.secondaryColor;
+    
+    if (validated.settings) {
+      updateData.settings = { ...(organization.settings || {}), ...validated.settings };
+    }
+    
+    const terms = validated.termSettings;
+    if (terms?.defaultTermLengthYears !== undefined) updateData.default_term_length_years = terms.defaultTermLengthYears;
+    if (terms?.maxConsecutiveTerms !== undefined) updateData.max_consecutive_terms = terms.maxConsecutiveTerms;
+    if (terms?.renewalNotificationDays !== undefined) updateData.renewal_notification_days = terms.renewalNotificationDays;
+    if (terms?.autoRenewalPolicy !== undefined) updateData.auto_renewal_policy = terms.autoRenewalPolicy;
+    if (terms?.enableTermTracking !== undefined) updateData.enable_term_tracking = terms.enableTermTracking;
+    
+    const slugChanged = validated.slug !== undefined && validated.slug !== organization.slug;
+    if (slugChanged) {
+      const availability = await OrganizationService.checkSlugAvailability(validated.slug!, id);
+      if (!availability.available) {
+        throw Errors.conflict('SLUG_EXISTS', availability.reason === 'reserved'
+          ? 'This organization URL is reserved'
+          : 'This organization URL is already taken');
+      }
+      updateData.slug = availability.slug;
+    }
+    
+    const changes = OrganizationService.diff(organization, updateData);
+    
+    if (Object.keys(changes).length === 0) {
+      sendSuccess(res, {
+        message: 'No changes to save',
+        organization: formatOrganization(organization),
+        changes
+      });
+      return;
+    }
+    
+    const { data: updated, error: updateError } = await supabase
+      .from('organizations')
+      .update({ ...updateData, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (updateError?.code === '23505') {
+      throw Errors.conflict('SLUG_EXISTS', 'This organization URL is already taken');
+    }
+    if (updateError || !updated) {
+      throw Errors.internal('Failed to update organization');
+    }
+    
+    if (slugChanged) {
+      await OrganizationService.recordSlugChange(id, organization.slug, updated.slug, req.user!.id);
+    }
+    
+    await AuditService.log({
+      organizationId: id,
+      userId: req.user!.id,
+      action: AuditAction.SETTINGS_CHANGE,
+      resourceType: 'organization',
+      resourceId: id,
+      details: { changes },
+      ipAddress: req.ip
+    });
+    
+    sendSuccess(res, {
+      message: 'Organization updated successfully',
+      organization: formatOrganization(updated),
+      changes
+    });
+  })
+);
+
+// PUT /api/organizations/:id/mfa-requirement - Require MFA for owners and admins, or stop requiring it
+router.put('/:id/mfa-requirement',
+  requirePermission(Permission.ORG_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id } = req.params;
+    assertOrganizationAccess(req, id);
+    const { requireMfaForAdmins } = mfaRequirementSchema.parse(req.body);
+    
+    const { data: organization, error: fetchError } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (fetchError || !organization) {
+      throw Errors.notFound('Organization');
+    }
+    
+    assertCanRequireMfa(req, organization, requireMfaForAdmins);
+    
+    const changes = OrganizationService.diff(organization, { settings: { requireMfaForAdmins } });
+    
+    if (Object.keys(changes).length > 0) {
+      const { error: updateError } = await supabase
+        .from('organizations')
+        .update({
+          settings: { ...(organization.settings || {}), requireMfaForAdmins },
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', id);
+      
+      if (updateError) {
+        throw Errors.internal('Failed to update organization');
+      }
+      
+      await AuditService.log({
+        organizationId: id,
+        userId: req.user!.id,
+        action: AuditAction.SETTINGS_CHANGE,
+        resourceType: 'organization',
+        resourceId: id,
+        details: { changes },
+        ipAddress: req.ip
+      });
+    }
+    
+    sendSuccess(res, { requireMfaForAdmins, changes });
+  })
+);
+
 // GET /api/organizations/:id/members - List members
 router.get('/:id/members', requirePermission(Permission.USER_VIEW), asyncHandler(async (req: Request, res: Response) => {
   const { id } = req.params;
@@ -189,7 +476,8 @@ router.get('/:id/members', requirePermission(Permission.USER_VIEW), asyncHandler
     lastActiveAt: m.last_active_at,
     termStartDate: m.term_start_date,
     termEndDate: m.term_end_date,
-    termLengthYears: m.term_length_years
+    termLengthYears: m.term_length_years,
+    consecutiveTerms: m.consecutive_terms
   })) || [];
   
   sendSuccess(res, {
@@ -364,6 +652,146 @@ router.post('/:id/invitations',
   })
 );
 
+// POST /api/organizations/:id/members/import - Bulk invite from the member CSV template
+router.post('/:id/members/import',
+  requirePermission(Permission.USER_INVITE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id } = req.params;
+    assertOrganizationAccess(req, id);
+    const validated = importMembersSchema.parse(req.body);
+    
+    const rows = MemberImportService.parseMemberCsv(validated.csv);
+    
+    const { data: organization } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (!organization) {
+      throw Errors.notFound('Organization');
+    }
+    
+    const now = new Date().toISOString();
+    const [{ data: members }, { data: pendingInvitations }, { data: committees }] = await Promise.all([
+      supabase
+        .from('organization_members')
+        .select('users(email)')
+        .eq('organization_id', id)
+        .eq('is_active', true),
+      supabase
+        .from('organization_invitations')
+        .select('email')
+        .eq('organization_id', id)
+        .is('accepted_at', null)
+        .is('cancelled_at', null)
+        .gt('expires_at', now),
+      supabase
+        .from('committees')
+        .select('id, name')
+        .eq('organization_id', id)
+        .neq('status', CommitteeStatus.ARCHIVED)
+    ]);
+    
+    const memberEmails = ((members || []) as any[]).map(m => m.users?.email?.toLowerCase()).filter(Boolean);
+    const inviterRole = req.user!.isSuperAdmin ? Role.SUPER_ADMIN : req.member!.role;
+    
+    const report = MemberImportService.validateRows(rows, {
+      invitableRoles: RBACService.getInvitableRoles(inviterRole),
+      existingMemberEmails: new Set(memberEmails),
+      pendingInvitationEmails: new Set((pendingInvitations || []).map(i => i.email.toLowerCase())),
+      committees: new Map((committees || []).map(c => [c.name.toLowerCase(), c.id])),
+      availableSeats: organization.max_members ? Math.max(organization.max_members - memberEmails.length, 0) : null
+    });
+    const summary = MemberImportService.summarize(report);
+    
+    if (validated.dryRun) {
+      sendSuccess(res, { dryRun: true, summary, rows: report });
+      return;
+    }
+    
+    if (summary.invalid > 0 && !validated.skipInvalid) {
+      throw Errors.badRequest(
+        'IMPORT_INVALID',
+        `${summary.invalid} row(s) have errors. Fix them or import with skipInvalid`,
+        { summary, rows: report }
+      );
+    }
+    
+    const validRows = report.filter(r => r.status === 'valid');
+    if (validRows.length === 0) {
+      throw Errors.badRequest('NOTHING_TO_IMPORT', 'There are no new members to invite', { summary, rows: report });
+    }
+    
+    // One batch insert; raw tokens are only kept long enough to email them
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + 7);
+    const tokens = new Map<string, string>();
+    
+    const { data: invitations, error: inviteError } = await supabase
+      .from('organization_invitations')
+      .insert(validRows.map(row => {
+        const token = crypto.randomBytes(32).toString('hex');
+        tokens.set(row.email, token);
+        return {
+          organization_id: id,
+          email: row.email,
+          first_name: row.firstName || null,
+          last_name: row.lastName || null,
+          role: row.role,
+          committee_id: row.committeeId,
+          token_hash: hashToken(token),
+          invited_by: req.user!.id,
+          expires_at: expiresAt.toISOString(),
+          term_length_years: validated.termLengthYears,
+          term_start_date: validated.termStartDate
+        };
+      }))
+      .select();
+    
+    if (inviteError || !invitations) {
+      throw Errors.internal('Failed to create invitations');
+    }
+    
+    // The links only go to the invitees; the importer just gets the invitation ids
+    const created = invitations.map(invitation => ({
+      id: invitation.id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expires_at
+    }));
+    
+    if (validated.sendEmails) {
+      for (const invitation of created) {
+        EmailService.sendInvitationEmail({
+          to: invitation.email,
+          organizationName: organization.name,
+          inviterName: `${req.user!.firstName} ${req.user!.lastName}`,
+          role: ROLE_DISPLAY_NAMES[invitation.role as Role],
+          acceptUrl: `${process.env.FRONTEND_URL}/accept-invitation?token=${tokens.get(invitation.email)}`
+        }).catch(() => {});
+      }
+    }
+    
+    // One summary entry for the whole import
+    await AuditService.log({
+      organizationId: id,
+      userId: req.user!.id,
+      action: AuditAction.INVITE,
+      resourceType: 'invitation',
+      details: {
+        action: 'bulk_import',
+        ...summary,
+        invited: created.map(i => ({ email: i.email, role: i.role })),
+        emailsSent: validated.sendEmails
+      },
+      ipAddress: req.ip
+    });
+    
+    sendSuccess(res, { dryRun: false, summary, rows: report, invitations: created }, 201);
+  })
+);
+
 // PUT /api/organizations/:id/members/:memberId - Update member
 router.put('/:id/members/:memberId',
   requirePermission(Permission.USER_UPDATE),
@@ -456,6 +884,247 @@ router.put('/:id/members/:memberId',
   })
 );
 
+// GET /api/organizations/:id/term-notifications - Members whose terms are ending or have expired
+router.get('/:id/term-notifications', requirePermission(Permission.USER_VIEW), asyncHandler(async (req: Request, res: Response) => {
+  const { id } = req.params;
+  assertOrganizationAccess(req, id);
+  
+  const { data: organization, error } = await supabase
+    .from('organizations')
+    .select('*')
+    .eq('id', id)
+    .single();
+  
+  if (error || !organization) {
+    throw Errors.notFound('Organization');
+  }
+  
+  const thresholds = TermService.getNotificationThresholds(organization);
+  
+  if (organization.enable_term_tracking === false || thresholds.length === 0) {
+    sendSuccess(res, { notifications: [], thresholds });
+    return;
+  }
+  
+  const horizon = new Date(Date.now() + thresholds[0] * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  
+  const { data: members, error: memberError } = await supabase
+    .from('organization_members')
+    .select('*, users(id, email, first_name, last_name)')
+    .eq('organization_id', id)
+    .eq('is_active', true)
+    .not('term_end_date', 'is', null)
+    .lte('term_end_date', horizon)
+    .order('term_end_date', { ascending: true });
+  
+  if (memberError) {
+    throw Errors.internal('Failed to fetch term notifications');
+  }
+  
+  const maxConsecutiveTerms = organization.max_consecutive_terms;
+  
+  sendSuccess(res, {
+    notifications: (members || []).map(m => {
+      const daysUntilExpiry = TermService.getDaysUntilExpiry(m.term_end_date);
+      return {
+        memberId: m.id,
+        userId: m.user_id,
+        email: m.users?.email,
+        firstName: m.users?.first_name,
+        lastName: m.users?.last_name,
+        role: m.role,
+        termEndDate: m.term_end_date,
+        daysUntilExpiry,
+        status: daysUntilExpiry < 0 ? 'expired' : 'ending',
+        consecutiveTerms: m.consecutive_terms || 1,
+        canRenew: !maxConsecutiveTerms || (m.consecutive_terms || 1) < maxConsecutiveTerms,
+        renewalNotifiedAt: m.renewal_notified_at
+      };
+    }),
+    thresholds,
+    maxConsecutiveTerms
+  });
+}));
+
+// POST /api/organizations/:id/members/:memberId/renew-term - Renew a trustee's term
+router.post('/:id/members/:memberId/renew-term',
+  requirePermission(Permission.USER_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id, memberId } = req.params;
+    assertOrganizationAccess(req, id);
+    const validated = renewTermSchema.parse(req.body);
+    
+    const { data: organization, error: orgError } = await supabase
+      .from('organizations')
+      .select('*')
+      .eq('id', id)
+      .single();
+    
+    if (orgError || !organization) {
+      throw Errors.notFound('Organization');
+    }
+    
+    if (organization.enable_term_tracking === false) {
+      throw Errors.badRequest('TERM_TRACKING_DISABLED', 'Term tracking is disabled for this organization');
+    }
+    
+    const { data: member, error: memberError } = await supabase
+      .from('organization_members')
+      .select('*')
+      .eq('id', memberId)
+      .eq('organization_id', id)
+      .single();
+    
+    if (memberError || !member) {
+      throw Errors.notFound('Member');
+    }
+    
+    if (!member.is_active) {
+      throw Errors.badRequest('MEMBER_INACTIVE', 'Cannot renew the term of an inactive member');
+    }
+    
+    TermService.assertCanRenew(member, organization);
+    
+    const termLengthYears = validated.termLengthYears
+      || member.term_length_years
+      || organization.default_term_length_years
+      || 3;
+    
+    // New term follows on from the current one; an already-expired term restarts today
+    const today = new Date().toISOString().slice(0, 10);
+    const termStartDate = member.term_end_date && member.term_end_date >= today
+      ? member.term_end_date
+      : today;
+    const termEndDate = TermService.calculateTermEndDate(termStartDate, termLengthYears);
+    const consecutiveTerms = member.consecutive_terms + 1;
+    
+    // Conditional on the current count so a double submit can't renew twice
+    const { data: updatedMember, error: updateError } = await supabase
+      .from('organization_members')
+      .update({
+        term_start_date: termStartDate,
+        term_end_date: termEndDate,
+        term_length_years: termLengthYears,
+        consecutive_terms: consecutiveTerms,
+        renewal_notified_at: null
+      })
+      .eq('id', memberId)
+      .eq('consecutive_terms', member.consecutive_terms)
+      .select()
+      .single();
+    
+    if (updateError || !updatedMember) {
+      throw Errors.conflict('TERM_ALREADY_RENEWED', 'This term was just renewed by someone else - please refresh');
+    }
+    
+    const { data: history, error: historyError } = await supabase
+      .from('member_term_history')
+      .insert({
+        organization_id: id,
+        member_id: memberId,
+        user_id: member.user_id,
+        previous_term_start_date: member.term_start_date,
+        previous_term_end_date: member.term_end_date,
+        term_number: consecutiveTerms,
+        term_start_date: termStartDate,
+        term_end_date: termEndDate,
+        term_length_years: termLengthYears,
+        notes: validated.notes,
+        renewed_by: req.user!.id
+      })
+      .select()
+      .single();
+    
+    // Every renewal must be in the history - put the previous term back if it can't be
+    if (historyError || !history) {
+      await supabase
+        .from('organization_members')
+        .update({
+          term_start_date: member.term_start_date,
+          term_end_date: member.term_end_date,
+          term_length_years: member.term_length_years,
+          consecutive_terms: member.consecutive_terms,
+          renewal_notified_at: member.renewal_notified_at
+        })
+        .eq('id', memberId)
+        .eq('consecutive_terms', consecutiveTerms);
+      
+      throw Errors.internal('Failed to record term renewal');
+    }
+    
+    await AuditService.log({
+      organizationId: id,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'organization_member',
+      resourceId: memberId,
+      details: {
+        action: 'renew_term',
+        targetUserId: member.user_id,
+        previousTermEndDate: member.term_end_date,
+        termStartDate,
+        termEndDate,
+        termLengthYears,
+        consecutiveTerms
+      },
+      ipAddress: req.ip
+    });
+    
+    sendSuccess(res, {
+      message: 'Term renewed successfully',
+      member: {
+        id: updatedMember.id,
+        termStartDate: updatedMember.term_start_date,
+        termEndDate: updatedMember.term_end_date,
+        termLengthYears: updatedMember.term_length_years,
+        consecutiveTerms: updatedMember.consecutive_terms
+      },
+      history: formatTermHistory(history)
+    });
+  })
+);
+
+// GET /api/organizations/:id/members/:memberId/term-history - Term renewal history
+router.get('/:id/members/:memberId/term-history',
+  requirePermission(Permission.USER_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { id, memberId } = req.params;
+    assertOrganizationAccess(req, id);
+    
+    const { data: member, error: memberError } = await supabase
+      .from('organization_members')
+      .select('*')
+      .eq('id', memberId)
+      .eq('organization_id', id)
+      .single();
+    
+    if (memberError || !member) {
+      throw Errors.notFound('Member');
+    }
+    
+    const { data: history, error } = await supabase
+      .from('member_term_history')
+      .select('*, renewer:users!member_term_history_renewed_by_fkey(first_name, last_name)')
+      .eq('member_id', memberId)
+      .order('term_number', { ascending: false });
+    
+    if (error) {
+      throw Errors.internal('Failed to fetch term history');
+    }
+    
+    sendSuccess(res, {
+      currentTerm: {
+        termStartDate: member.term_start_date,
+        termEndDate: member.term_end_date,
+        termLengthYears: member.term_length_years,
+        consecutiveTerms: member.consecutive_terms || 1,
+        renewalNotifiedAt: member.renewal_notified_at
+      },
+      history: (history || []).map(formatTermHistory)
+    });
+  })
+);
+
 // DELETE /api/organizations/:id/members/:memberId - Remove member
 router.delete('/:id/members/:memberId',
   requirePermission(Permission.USER_DELETE),
@@ -0,0 +1,743 @@
+/**
+ * Platform Routes
+ * Super-admin console: tenant lifecycle, subscription plans and platform analytics
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { supabase } from '../config/database';
+import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
+import type { Request, Response } from 'express';
+import { authenticate } from '../middleware/auth.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
+import { requireSuperAdmin } from '../services/rbac.service';
+import { AuditService } from '../services/audit.service';
+import { AccountErasureService } from '../services/account-erasure.service';
+import { PlatformAnalyticsService } from '../services/platform-analytics.service';
+import { SubscriptionService } from '../services/subscription.service';
+import { AuditAction, Role, SubscriptionStatus } from '../types';
+
+const router = Router();
+
+// Validation schemas
+const listOrganizationsSchema = z.object({
+  page: z.string().optional().transform(v => Math.max(parseInt(v || '1') || 1, 1)),
+  limit: z.string().optional().transform(v => Math.min(parseInt(v || '20') || 20, 100)),
+  status: z.nativeEnum(SubscriptionStatus).optional(),
+  search: z.string().max(100).optional()
+});
+
+const suspendSchema = z.object({
+  reason: z.string().max(500).optional()
+});
+
+const erasureSchema = z.object({
+  reason: z.string().max(500).optional()
+});
+
+const renewSchema = z.object({
+  billingCycle: z.enum(['monthly', 'yearly']).optional()
+});
+
+const changePlanSchema = z.object({
+  planId: z.string().uuid('Invalid plan ID'),
+  billingCycle: z.enum(['monthly', 'yearly']).optional(),
+  changeType: z.enum(['upgrade', 'downgrade', 'manual', 'complimentary', 'promotional']).default('manual'),
+  reason: z.string().max(500).optional()
+});
+
+const planSchema = z.object({
+  name: z.string().min(1, 'Name is required').max(100),
+  slug: z.string().min(1).max(50).regex(/^[a-z0-9-]+$/, 'Slug can only contain lowercase letters, numbers and hyphens'),
+  description: z.string().max(1000).optional(),
+  // Prices are in cents
+  priceMonthly: z.number().int().min(0),
+  priceYearly: z.number().int().min(0),
+  maxUsers: z.number().int().min(1),
+  maxStorageMb: z.number().int().min(1),
+  maxCommittees: z.number().int().min(0),
+  // API requests per 15 minutes; null uses the defaults
+  apiRateLimitUser: z.number().int().min(1).nullable().optional(),
+  apiRateLimitOrg: z.number().int().min(1).nullable().optional(),
+  features: z.union([z.array(z.string()), z.record(z.any())]).optional(),
+  stripePriceIdMonthly: z.string().max(255).nullable().optional(),
+  stripePriceIdYearly: z.string().max(255).nullable().optional(),
+  isActive: z.boolean().optional(),
+  isPopular: z.boolean().optional(),
+  sortOrder: z.number().int().optional()
+});
+
+const analyticsWindowSchema = z.object({
+  days: z.string().optional().transform(v => Math.min(Math.max(parseInt(v || '30') || 30, 1), 365))
+});
+
+const formatPlan = (plan: any) => ({
+  id: plan.id,
+  name: plan.name,
+  slug: plan.slug,
+  description: plan.description,
+  priceMonthly: plan.price_monthly,
+  priceYearly: plan.price_yearly,
+  maxUsers: plan.max_users,
+  maxStorageMb: plan.max_storage_mb,
+  maxCommittees: plan.max_committees,
+  apiRateLimitUser: plan.api_rate_limit_user,
+  apiRateLimitOrg: plan.api_rate_limit_org,
+  features: plan.features,
+  stripePriceIdMonthly: plan.stripe_price_id_monthly,
+  stripePriceIdYearly: plan.stripe_price_id_yearly,
+  isActive: plan.is_active,
+  isPopular: plan.is_popular,
+  sortOrder: plan.sort_order,
+  createdAt: plan.created_at,
+  updatedAt: plan.updated_at
+});
+
+const formatOrganization = (org: any, extra: { memberCount?: number; owner?: any } = {}) => ({
+  id: org.id,
+  clientId: org.client_id,
+  name: org.name,
+  slug: org.slug,
+  contactEmail: org.contact_email,
+  planId: org.plan_id,
+  planName: org.subscription_plans?.name || null,
+  priceMonthly: org.subscription_plans?.price_monthly ?? null,
+  priceYearly: org.subscription_plans?.price_yearly ?? null,
+  subscriptionStatus: org.subscription_status,
+  billingCycle: org.billing_cycle || 'monthly',
+  isComplimentary: !!org.is_complimentary,
+  trialEndsAt: org.trial_ends_at,
+  subscriptionStartedAt: org.subscription_started_at,
+  currentPeriodStart: org.current_period_start,
+  currentPeriodEnd: org.current_period_end,
+  suspendedAt: org.suspended_at,
+  suspensionReason: org.suspension_reason,
+  cancelledAt: org.cancelled_at,
+  maxMembers: org.max_members,
+  storageUsedMb: org.storage_used_mb,
+  maxStorageMb: org.max_storage_mb,
+  isActive: org.is_active,
+  memberCount: extra.memberCount ?? 0,
+  owner: extra.owner
+    ? { name: `${extra.owner.first_name} ${extra.owner.last_name}`, email: extra.owner.email }
+    : null,
+  createdAt: org.created_at
+});
+
+// Load an organization (with its plan) or 404
+const getOrganization = async (id: string) => {
+  const { data: organization, error } = await supabase
+    .from('organizations')
+    .select('*, subscription_plans(*)')
+    .eq('id', id)
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !organization) {
+    throw Errors.notFound('Organization');
+  }
+
+  return organization;
+};
+
+const getActiveMemberCount = async (organizationId: string): Promise<number> => {
+  const { count } = await supabase
+    .from('organization_members')
+    .select('id', { count: 'exact', head: true })
+    .eq('organization_id', organizationId)
+    .eq('is_active', true);
+
+  return count || 0;
+};
+
+// Add one billing period to a date
+const addBillingPeriod = (from: Date, billingCycle: string): Date => {
+  const end = new Date(from);
+  if (billingCycle === 'yearly') {
+    end.setUTCFullYear(end.getUTCFullYear() + 1);
+  } else {
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  }
+  return end;
+};
+
+// Every platform route requires a super admin
+router.use(authenticate, requireSuperAdmin, ...accountRateLimiter);
+
+// ==========================================
+// Organizations
+// ==========================================
+
+// GET /api/platform/organizations - List all organizations
+router.get('/organizations', asyncHandler(async (req: Request, res: Response) => {
+  const { page, limit, status, search } = listOrganizationsSchema.parse(req.query);
+
+  let query = supabase
+    .from('organizations')
+    .select('*, subscription_plans(name, price_monthly, price_yearly)', { count: 'exact' })
+    .is('deleted_at', null);
+
+  if (status) query = query.eq('subscription_status', status);
+  if (search) {
+    const term = search.replace(/[%,()]/g, '');
+    query = query.or(`name.ilike.%${term}%,slug.ilike.%${term}%,client_id.ilike.%${term}%,contact_email.ilike.%${term}%`);
+  }
+
+  const { data: organizations, count, error } = await query
+    .order('created_at', { ascending: false })
+    .range((page - 1) * limit, page * limit - 1);
+
+  if (error) {
+    throw Errors.internal('Failed to fetch organizations');
+  }
+
+  const ids = (organizations || []).map(o => o.id);
+  const memberCounts = new Map<string, number>();
+  const owners = new Map<string, any>();
+
+  if (ids.length > 0) {
+    const { data: members } = await supabase
+      .from('organization_members')
+      .select('organization_id, role, users(first_name, last_name, email)')
+      .in('organization_id', ids)
+      .eq('is_active', true);
+
+    for (const member of (members || []) as any[]) {
+      memberCounts.set(member.organization_id, (memberCounts.get(member.organization_id) || 0) + 1);
+      if (member.role === Role.OWNER && !owners.has(member.organization_id)) {
+        owners.set(member.organization_id, member.users);
+      }
+    }
+  }
+
+  const total = count || 0;
+
+  sendSuccess(res, {
+    items: (organizations || []).map(o => formatOrganization(o, {
+      memberCount: memberCounts.get(o.id),
+      owner: owners.get(o.id)
+    })),
+    meta: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasNext: page < Math.ceil(total / limit),
+      hasPrev: page > 1
+    }
+  });
+}));
+
+// GET /api/platform/organizations/:id - Organization details
+router.get('/organizations/:id', asyncHandler(async (req: Request, res: Response) => {
+  const organization = await getOrganization(req.params.id);
+
+  const { data: owner } = await supabase
+    .from('organization_members')
+    .select('users(first_name, last_name, email)')
+    .eq('organization_id', organization.id)
+    .eq('role', Role.OWNER)
+    .eq('is_active', true)
+    .limit(1)
+    .maybeSingle();
+
+  sendSuccess(res, {
+    organization: formatOrganization(organization, {
+      memberCount: await getActiveMemberCount(organization.id),
+      owner: (owner as any)?.users
+    })
+  });
+}));
+
+// PUT /api/platform/organizations/:id/suspend - Suspend an organization
+router.put('/organizations/:id/suspend', asyncHandler(async (req: Request, res: Response) => {
+  const validated = suspendSchema.parse(req.body || {});
+  const organization = await getOrganization(req.params.id);
+
+  if (organization.subscription_status === SubscriptionStatus.SUSPENDED) {
+    throw Errors.conflict('ORGANIZATION_ALREADY_SUSPENDED', 'Organization is already suspended');
+  }
+
+  const { data: updated, error } = await supabase
+    .from('organizations')
+    .update({
+      subscription_status: SubscriptionStatus.SUSPENDED,
+      suspended_at: new Date().toISOString(),
+      suspension_reason: validated.reason || null
+    })
+    .eq('id', organization.id)
+    .select('*, subscription_plans(*)')
+    .single();
+
+  if (error || !updated) {
+    throw Errors.internal('Failed to suspend organization');
+  }
+
+  await AuditService.log({
+    organizationId: organization.id,
+    userId: req.user!.id,
+    action: AuditAction.UPDATE,
+    resourceType: 'organization',
+    resourceId: organization.id,
+    details: {
+      action: 'suspend',
+      previousStatus: organization.subscription_status,
+      reason: validated.reason
+    },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, { message: 'Organization suspended', organization: formatOrganization(updated) });
+}));
+
+// PUT /api/platform/organizations/:id/activate - Lift a suspension
+router.put('/organizations/:id/activate', asyncHandler(async (req: Request, res: Response) => {
+  const organization = await getOrganization(req.params.id);
+
+  if (organization.subscription_status !== SubscriptionStatus.SUSPENDED) {
+    throw Errors.conflict('ORGANIZATION_NOT_SUSPENDED', 'Organization is not suspended');
+  }
+
+  // Return to trial if it never converted and the trial is still running
+  const trialRunning = !organization.subscription_started_at &&
+    organization.trial_ends_at &&
+    new Date(organization.trial_ends_at) > new Date();
+
+  const { data: updated, error } = await supabase
+    .from('organizations')
+    .update({
+      subscription_status: trialRunning ? SubscriptionStatus.TRIAL : SubscriptionStatus.ACTIVE,
+      suspended_at: null,
+      suspension_reason: null
+    })
+    .eq('id', organization.id)
+    .select('*, subscription_plans(*)')
+    .single();
+
+  if (error || !updated) {
+    throw Errors.internal('Failed to activate organization');
+  }
+
+  await AuditService.log({
+    organizationId: organization.id,
+    userId: req.user!.id,
+    action: AuditAction.UPDATE,
+    resourceType: 'organization',
+    resourceId: organization.id,
+    details: {
+      action: 'activate',
+      previousStatus: organization.subscription_status,
+      newStatus: updated.subscription_status
+    },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, { message: 'Organization activated', organization: formatOrganization(updated) });
+}));
+
+// PUT /api/platform/organizations/:id/renew - Extend the subscription by one billing period
+router.put('/organizations/:id/renew', asyncHandler(async (req: Request, res: Response) => {
+  const validated = renewSchema.parse(req.body || {});
+  const organization = await getOrganization(req.params.id);
+
+  if (organization.subscription_status === SubscriptionStatus.SUSPENDED) {
+    throw Errors.badRequest('ORGANIZATION_SUSPENDED', 'Activate the organization before renewing it');
+  }
+
+  if (!organization.plan_id) {
+    throw Errors.badRequest('NO_PLAN', 'Assign a plan before renewing');
+  }
+
+  const billingCycle = validated.billingCycle || organization.billing_cycle || 'monthly';
+  const now = new Date();
+
+  // Renewals stack on an unexpired period; otherwise a new period starts today
+  const currentEnd = organization.current_period_end ? new Date(organization.current_period_end) : null;
+  const periodStart = currentEnd && currentEnd > now ? currentEnd : now;
+  const periodEnd = addBillingPeriod(periodStart, billingCycle);
+
+  const { data: updated, error } = await supabase
+    .from('organizations')
+    .update({
+      subscription_status: SubscriptionStatus.ACTIVE,
+      billing_cycle: billingCycle,
+      subscription_started_at: organization.subscription_started_at || now.toISOString(),
+      current_period_start: periodStart.toISOString(),
+      current_period_end: periodEnd.toISOString(),
+      cancel_at_period_end: false,
+      cancelled_at: null
+    })
+    .eq('id', organization.id)
+    .select('*, subscription_plans(*)')
+    .single();
+
+  if (error || !updated) {
+    throw Errors.internal('Failed to renew subscription');
+  }
+
+  await AuditService.log({
+    organizationId: organization.id,
+    userId: req.user!.id,
+    action: AuditAction.UPDATE,
+    resourceType: 'organization',
+    resourceId: organization.id,
+    details: {
+      action: 'renew',
+      previousStatus: organization.subscription_status,
+      previousPeriodEnd: organization.current_period_end,
+      billingCycle,
+      currentPeriodEnd: periodEnd.toISOString()
+    },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, { message: 'Subscription renewed', organization: formatOrganization(updated) });
+}));
+
+// PUT /api/platform/organizations/:id/plan - Change an organization's plan
+router.put('/organizations/:id/plan', asyncHandler(async (req: Request, res: Response) => {
+  const validated = changePlanSchema.parse(req.body);
+  const organization = await getOrganization(req.params.id);
+
+  const { data: plan, error: planError } = await supabase
+    .from('subscription_plans')
+    .select('*')
+    .eq('id', validated.planId)
+    .single();
+
+  if (planError || !plan) {
+    throw Errors.notFound('Plan');
+  }
+
+  // Don't strand an organization over its new member limit
+  const memberCount = await getActiveMemberCount(organization.id);
+  if (memberCount > plan.max_users) {
+    throw Errors.badRequest(
+      'PLAN_LIMIT_EXCEEDED',
+      `Organization has ${memberCount} active members but the ${plan.name} plan allows ${plan.max_users}`,
+      { memberCount, maxUsers: plan.max_users }
+    );
+  }
+
+  const { data: updated, error } = await supabase
+    .from('organizations')
+    .update({
+      plan_id: plan.id,
+      billing_cycle: validated.billingCycle || organization.billing_cycle || 'monthly',
+      is_complimentary: validated.changeType === 'complimentary',
+      max_members: plan.max_users,
+      max_storage_mb: plan.max_storage_mb
+    })
+    .eq('id', organization.id)
+    .select('*, subscription_plans(*)')
+    .single();
+
+  if (error || !updated) {
+    throw Errors.internal('Failed to change plan');
+  }
+
+  await AuditService.log({
+    organizationId: organization.id,
+    userId: req.user!.id,
+    action: AuditAction.UPDATE,
+    resourceType: 'organization',
+    resourceId: organization.id,
+    details: {
+      action: 'change_plan',
+      previousPlanId: organization.plan_id,
+      previousPlanName: organization.subscription_plans?.name,
+      newPlanId: plan.id,
+      newPlanName: plan.name,
+      billingCycle: updated.billing_cycle,
+      changeType: validated.changeType,
+      reason: validated.reason
+    },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, {
+    message: `Plan changed to ${plan.name}`,
+    organization: formatOrganization(updated, { memberCount })
+  });
+}));
+
+// ==========================================
+// Users
+// ==========================================
+
+// POST /api/platform/users/:id/erasure - Schedule a user's erasure on their behalf (e.g. an emailed GDPR request)
+router.post('/users/:id/erasure', asyncHandler(async (req: Request, res: Response) => {
+  const validated = erasureSchema.parse(req.body || {});
+
+  if (req.params.id === req.user!.id) {
+    throw Errors.badRequest('CANNOT_ERASE_SELF', 'Delete your own account from your account settings');
+  }
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('id, email, is_super_admin, deletion_scheduled_for, deleted_at')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (!user) {
+    throw Errors.notFound('User');
+  }
+
+  // Platform access has to be revoked before another super admin can be erased
+  if (user.is_super_admin) {
+    throw Errors.forbidden('Cannot schedule erasure of another super admin');
+  }
+
+  const scheduledFor = await AccountErasureService.requestErasure(user, req.user!.id);
+
+  await AuditService.log({
+    userId: req.user!.id,
+    action: AuditAction.ACCOUNT_DELETION_REQUESTED,
+    resourceType: 'user',
+    resourceId: user.id,
+    details: { requestedBy: 'platform_admin', scheduledFor: scheduledFor.toISOString(), reason: validated.reason },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, { message: 'Account scheduled for erasure', scheduledFor: scheduledFor.toISOString() });
+}));
+
+// DELETE /api/platform/users/:id/erasure - Cancel a pending erasure
+router.delete('/users/:id/erasure', asyncHandler(async (req: Request, res: Response) => {
+  const user = await AccountErasureService.cancelErasure(req.params.id);
+
+  if (!user) {
+    throw Errors.notFound('Pending erasure');
+  }
+
+  await AuditService.log({
+    userId: req.user!.id,
+    action: AuditAction.ACCOUNT_DELETION_CANCELLED,
+    resourceType: 'user',
+    resourceId: user.id,
+    details: { cancelledBy: 'platform_admin' },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, { message: 'Erasure cancelled' });
+}));
+
+// ==========================================
+// Subscription Plans
+// ==========================================
+
+// GET /api/platform/plans - List all plans, including inactive ones
+router.get('/plans', asyncHandler(async (_req: Request, res: Response) => {
+  const { data: plans, error } = await supabase
+    .from('subscription_plans')
+    .select('*')
+    .order('sort_order', { ascending: true })
+    .order('price_monthly', { ascending: true });
+
+  if (error) {
+    throw Errors.internal('Failed to fetch plans');
+  }
+
+  sendSuccess(res, { plans: (plans || []).map(formatPlan) });
+}));
+
+// POST /api/platform/plans - Create a plan
+router.post('/plans', asyncHandler(async (req: Request, res: Response) => {
+  const validated = planSchema.parse(req.body);
+
+  const { data: existing } = await supabase
+    .from('subscription_plans')
+    .select('id')
+    .eq('slug', validated.slug)
+    .maybeSingle();
+
+  if (existing) {
+    throw Errors.conflict('PLAN_SLUG_TAKEN', 'A plan with this slug already exists');
+  }
+
+  const { data: plan, error } = await supabase
+    .from('subscription_plans')
+    .insert({
+      name: validated.name,
+      slug: validated.slug,
+      description: validated.description,
+      price_monthly: validated.priceMonthly,
+      price_yearly: validated.priceYearly,
+      max_users: validated.maxUsers,
+      max_storage_mb: validated.maxStorageMb,
+      max_committees: validated.maxCommittees,
+      api_rate_limit_user: validated.apiRateLimitUser ?? null,
+      api_rate_limit_org: validated.apiRateLimitOrg ?? null,
+      features: validated.features,
+      stripe_price_id_monthly: validated.stripePriceIdMonthly,
+      stripe_price_id_yearly: validated.stripePriceIdYearly,
+      is_active: validated.isActive ?? true,
+      is_popular: validated.isPopular ?? false,
+      sort_order: validated.sortOrder ?? 0
+    })
+    .select()
+    .single();
+
+  if (error || !plan) {
+    throw Errors.internal('Failed to create plan');
+  }
+
+  await AuditService.log({
+    userId: req.user!.id,
+    action: AuditAction.CREATE,
+    resourceType: 'subscription_plan',
+    resourceId: plan.id,
+    details: { name: plan.name, slug: plan.slug, priceMonthly: plan.price_monthly },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, { plan: formatPlan(plan) }, 201);
+}));
+
+// PUT /api/platform/plans/:id - Update a plan
+router.put('/plans/:id', asyncHandler(async (req: Request, res: Response) => {
+  const validated = planSchema.partial().parse(req.body);
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('subscription_plans')
+    .select('*')
+    .eq('id', req.params.id)
+    .single();
+
+  if (fetchError || !existing) {
+    throw Errors.notFound('Plan');
+  }
+
+  if (validated.slug && validated.slug !== existing.slug) {
+    const { data: taken } = await supabase
+      .from('subscription_plans')
+      .select('id')
+      .eq('slug', validated.slug)
+      .maybeSingle();
+
+    if (taken) {
+      throw Errors.conflict('PLAN_SLUG_TAKEN', 'A plan with this slug already exists');
+    }
+  }
+
+  const updateData: any = {};
+  if (validated.name !== undefined) updateData.name = validated.name;
+  if (validated.slug !== undefined) updateData.slug = validated.slug;
+  if (validated.description !== undefined) updateData.description = validated.description;
+  if (validated.priceMonthly !== undefined) updateData.price_monthly = validated.priceMonthly;
+  if (validated.priceYearly !== undefined) updateData.price_yearly = validated.priceYearly;
+  if (validated.maxUsers !== undefined) updateData.max_users = validated.maxUsers;
+  if (validated.maxStorageMb !== undefined) updateData.max_storage_mb = validated.maxStorageMb;
+  if (validated.maxCommittees !== undefined) updateData.max_committees = validated.maxCommittees;
+  if (validated.apiRateLimitUser !== undefined) updateData.api_rate_limit_user = validated.apiRateLimitUser;
+  if (validated.apiRateLimitOrg !== undefined) updateData.api_rate_limit_org = validated.apiRateLimitOrg;
+  if (validated.features !== undefined) updateData.features = validated.features;
+  if (validated.stripePriceIdMonthly !== undefined) updateData.stripe_price_id_monthly = validated.stripePriceIdMonthly;
+  if (validated.stripePriceIdYearly !== undefined) updateData.stripe_price_id_yearly = validated.stripePriceIdYearly;
+  if (validated.isActive !== undefined) updateData.is_active = validated.isActive;
+  if (validated.isPopular !== undefined) updateData.is_popular = validated.isPopular;
+  if (validated.sortOrder !== undefined) updateData.sort_order = validated.sortOrder;
+
+  const { data: plan, error } = await supabase
+    .from('subscription_plans')
+    .update(updateData)
+    .eq('id', existing.id)
+    .select()
+    .single();
+
+  if (error || !plan) {
+    throw Errors.internal('Failed to update plan');
+  }
+
+  // New limits apply straight away on this instance; others pick them up when their cache expires
+  SubscriptionService.clearPlanRateLimitCache();
+
+  await AuditService.log({
+    userId: req.user!.id,
+    action: AuditAction.UPDATE,
+    resourceType: 'subscription_plan',
+    resourceId: plan.id,
+    details: { changes: Object.keys(updateData) },
+    ipAddress: req.ip
+  });
+
+  sendSuccess(res, { plan: formatPlan(plan) });
+}));
+
+// ==========================================
+// Analytics
+// ==========================================
+
+// GET /api/platform/analytics/dashboard - Headline numbers
+router.get('/analytics/dashboard', asyncHandler(async (_req: Request, res: Response) => {
+  const { organizations, plans } = await PlatformAnalyticsService.loadSnapshot();
+
+  const { count: totalUsers } = await supabase
+    .from('users')
+    .select('id', { count: 'exact', head: true })
+    .eq('is_active', true);
+
+  const byStatus = organizations.reduce((acc: Record<string, number>, org) => {
+    acc[org.subscription_status] = (acc[org.subscription_status] || 0) + 1;
+    return acc;
+  }, {});
+
+  const revenue = PlatformAnalyticsService.calculateRevenue(organizations, plans);
+  const growth = PlatformAnalyticsService.calculateGrowth(organizations, plans, 30);
+  const churn = PlatformAnalyticsService.calculateChurn(organizations, plans, 30);
+
+  sendSuccess(res, {
+    totals: {
+      organizations: organizations.length,
+      byStatus,
+      totalUsers: totalUsers || 0
+    },
+    revenue: {
+      totalMrr: revenue.totalMrr,
+      estimatedArr: revenue.estimatedArr,
+      payingOrganizations: revenue.payingOrganizations
+    },
+    growth: {
+      totalNewOrganizations: growth.totalNewOrganizations,
+      totalCancellations: growth.totalCancellations,
+      netGrowth: growth.netGrowth,
+      trialConversion: growth.trialConversion
+    },
+    churn: {
+      churnRatePercent: churn.churnRatePercent,
+      churnedCount: churn.churnedCount
+    }
+  });
+}));
+
+// GET /api/platform/analytics/revenue - MRR, ARR and revenue by plan
+router.get('/analytics/revenue', asyncHandler(async (_req: Request, res: Response) => {
+  const { organizations, plans } = await PlatformAnalyticsService.loadSnapshot();
+
+  sendSuccess(res, PlatformAnalyticsService.calculateRevenue(organizations, plans));
+}));
+
+// GET /api/platform/analytics/growth?days=30 - Signups and net growth
+router.get('/analytics/growth', asyncHandler(async (req: Request, res: Response) => {
+  const { days } = analyticsWindowSchema.parse(req.query);
+  const { organizations, plans } = await PlatformAnalyticsService.loadSnapshot();
+
+  sendSuccess(res, PlatformAnalyticsService.calculateGrowth(organizations, plans, days));
+}));
+
+// GET /api/platform/analytics/churn?days=30 - Cancellations and churn rate
+router.get('/analytics/churn', asyncHandler(async (req: Request, res: Response) => {
+  const { days } = analyticsWindowSchema.parse(req.query);
+  const { organizations, plans } = await PlatformAnalyticsService.loadSnapshot();
+
+  sendSuccess(res, PlatformAnalyticsService.calculateChurn(organizations, plans, days));
+}));
+
+// GET /api/platform/analytics/health - At-risk, past-due and inactive organizations
+router.get('/analytics/health', asyncHandler(async (_req: Request, res: Response) => {
+  const { organizations, plans, members } = await PlatformAnalyticsService.loadSnapshot({ includeMembers: true });
+
+  sendSuccess(res, PlatformAnalyticsService.calculateHealth(organizations, plans, members));
+}));
+
+export default router;
@@ -0,0 +1,517 @@
+/**
+ * Policy Routes
+ * Org-scoped policy register with approval workflow and review dates
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { supabase } from '../config/database';
+import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
+import type { Request, Response } from 'express';
+import { authenticate, requireOrganization, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
+import { AuditService } from '../services/audit.service';
+import { RBACService } from '../services/rbac.service';
+import { EmailService } from '../services/email.service';
+import { PolicyService, DEFAULT_REVIEW_FREQUENCY_MONTHS } from '../services/policy.service';
+import { Permission, AuditAction, PolicyStatus, PolicyDecision, Role } from '../types';
+
+const router = Router();
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validation schemas
+const createPolicySchema = z.object({
+  title: z.string().trim().min(1, 'Title is required').max(200),
+  description: z.string().max(2000).optional(),
+  category: z.string().max(100).optional(),
+  content: z.string().max(200000).optional(),
+  documentId: z.string().uuid().optional().nullable(),
+  ownerId: z.string().uuid('Invalid user ID').optional().nullable(),
+  reviewFrequencyMonths: z.number().int().min(1).max(60).default(DEFAULT_REVIEW_FREQUENCY_MONTHS)
+});
+
+const updatePolicySchema = z.object({
+  title: z.string().trim().min(1).max(200).optional(),
+  description: z.string().max(2000).optional().nullable(),
+  category: z.string().max(100).optional().nullable(),
+  content: z.string().max(200000).optional().nullable(),
+  documentId: z.string().uuid().optional().nullable(),
+  ownerId: z.string().uuid('Invalid user ID').optional().nullable(),
+  reviewFrequencyMonths: z.number().int().min(1).max(60).optional(),
+  nextReviewDate: z.string().regex(DATE_REGEX, 'Next review date must be YYYY-MM-DD').optional()
+});
+
+const policyStatusSchema = z.object({
+  status: z.nativeEnum(PolicyStatus),
+  comments: z.string().max(5000).optional(),
+  // Publishing only; defaults to today + the review frequency
+  nextReviewDate: z.string().regex(DATE_REGEX, 'Next review date must be YYYY-MM-DD').optional()
+});
+
+const listPoliciesSchema = z.object({
+  page: z.string().optional().transform(v => parseInt(v || '1')),
+  limit: z.string().optional().transform(v => Math.min(parseInt(v || '50'), 100)),
+  status: z.nativeEnum(PolicyStatus).optional(),
+  ownerId: z.union([z.literal('me'), z.string().uuid()]).optional(),
+  category: z.string().max(100).optional(),
+  // Published policies with a review due within this many days (including overdue)
+  reviewDueWithin: z.string().regex(/^\d+$/).optional().transform(v => v ? parseInt(v) : undefined),
+  search: z.string().max(100).optional()
+});
+
+// Fields that can only change while a policy is a draft
+const CONTENT_FIELDS = ['title', 'description', 'category', 'content', 'documentId'] as const;
+
+// What members who can't edit or approve policies are allowed to see
+const PUBLIC_STATUSES = [PolicyStatus.PUBLISHED, PolicyStatus.DUE_FOR_REVIEW];
+
+const POLICY_SELECT = `
+  *,
+  owner:users!policies_owner_id_fkey(id, email, first_name, last_name),
+  approver:users!policies_approved_by_fkey(id, first_name, last_name),
+  documents(id, name, current_version)
+`;
+
+const APPROVAL_SELECT = '*, users(id, first_name, last_name)';
+
+const fullName = (user: any) => user ? `${user.first_name} ${user.last_name}` : null;
+
+// Response mappers
+const formatPolicy = (policy: any) => ({
+  id: policy.id,
+  organizationId: policy.organization_id,
+  title: policy.title,
+  description: policy.description,
+  category: policy.category,
+  content: policy.content,
+  status: policy.status,
+  nextStatuses: PolicyService.getNextStatuses(policy.status).filter(s => s !== PolicyStatus.DUE_FOR_REVIEW),
+  document: policy.documents ? {
+    id: policy.documents.id,
+    name: policy.documents.name,
+    currentVersion: policy.documents.current_version
+  } : null,
+  owner: policy.owner ? { id: policy.owner.id, email: policy.owner.email, name: fullName(policy.owner) } : null,
+  reviewFrequencyMonths: policy.review_frequency_months,
+  nextReviewDate: policy.next_review_date,
+  daysUntilReview: policy.next_review_date ? PolicyService.getDaysUntilReview(policy.next_review_date) : null,
+  lastReviewedAt: policy.last_reviewed_at,
+  publishedVersion: policy.published_version,
+  submittedAt: policy.submitted_at,
+  approvedBy: policy.approver ? { id: policy.approver.id, name: fullName(policy.approver) } : null,
+  approvedAt: policy.approved_at,
+  publishedAt: policy.published_at,
+  createdBy: policy.created_by,
+  createdAt: policy.created_at,
+  updatedAt: policy.updated_at
+});
+
+const formatApproval = (approval: any) => ({
+  id: approval.id,
+  decision: approval.decision,
+  comments: approval.comments,
+  version: approval.version,
+  user: approval.users ? { id: approval.users.id, name: fullName(approval.users) } : null,
+  createdAt: approval.created_at
+});
+
+// Members with edit or approval rights see drafts; everyone else only sees policies in force
+const canSeeDrafts = (req: Request) =>
+  req.user!.isSuperAdmin
+  || (!!req.member && (
+    RBACService.hasPermission(req.member.role, Permission.DOC_UPDATE)
+    || RBACService.hasPermission(req.member.role, Permission.DOC_APPROVE)
+  ));
+
+// Load a policy that belongs to the organization
+const findPolicy = async (req: Request, id: string) => {
+  const { data: policy, error } = await supabase
+    .from('policies')
+    .select(POLICY_SELECT)
+    .eq('id', id)
+    .eq('organization_id', req.organization!.id)
+    .single();
+
+  if (error || !policy || (!PUBLIC_STATUSES.includes(policy.status) && !canSeeDrafts(req))) {
+    throw Errors.notFound('Policy');
+  }
+
+  return policy;
+};
+
+// Ensure the owner is an active member of the organization
+const assertOwner = async (organizationId: string, ownerId?: string | null) => {
+  if (!ownerId) return;
+
+  const { data: member } = await supabase
+    .from('organization_members')
+    .select('user_id')
+    .eq('organization_id', organizationId)
+    .eq('user_id', ownerId)
+    .eq('is_active', true)
+    .single();
+
+  if (!member) {
+    throw Errors.badRequest('NOT_ORGANIZATION_MEMBER', 'Policy owners must be active members of the organization');
+  }
+};
+
+// Ensure a linked document is in the organization's library
+const assertDocument = async (organizationId: string, documentId?: string | null) => {
+  if (!documentId) return;
+
+  const { data: document } = await supabase
+    .from('documents')
+    .select('id')
+    .eq('id', documentId)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (!document) {
+    throw Errors.notFound('Document');
+  }
+};
+
+// Email everyone who can approve policies that one is waiting for them
+const notifyApprovers = async (req: Request, policy: any) => {
+  const { data: members } = await supabase
+    .from('organization_members')
+    .select('role, users(email)')
+    .eq('organization_id', req.organization!.id)
+    .eq('is_active', true);
+
+  const recipients = (members || [])
+    .filter((m: any) => RBACService.hasPermission(m.role as Role, Permission.DOC_APPROVE))
+    .map((m: any) => m.users?.email)
+    .filter((email: string) => email && email !== req.user!.email);
+
+  await Promise.all(recipients.map((to: string) =>
+    EmailService.sendPolicyApprovalRequestEmail({
+      to,
+      organizationName: req.organization!.name,
+      policyTitle: policy.title,
+      submittedBy: `${req.user!.firstName} ${req.user!.lastName}`
+    })
+  ));
+};
+
+// All routes require an organization
+router.use(authenticate, requireOrganization, enforceSubscriptionStatus, ...accountRateLimiter);
+
+// GET /api/policies - Policy register
+router.get('/',
+  requirePermission(Permission.DOC_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { page, limit, status, ownerId, category, reviewDueWithin, search } = listPoliciesSchema.parse(req.query);
+
+    let query = supabase
+      .from('policies')
+      .select(POLICY_SELECT, { count: 'exact' })
+      .eq('organization_id', req.organization!.id);
+
+    if (!canSeeDrafts(req)) query = query.in('status', PUBLIC_STATUSES);
+    if (status) query = query.eq('status', status);
+    if (ownerId) query = query.eq('owner_id', ownerId === 'me' ? req.user!.id : ownerId);
+    if (category) query = query.eq('category', category);
+    if (search) query = query.ilike('title', `%${search.replace(/[%_]/g, '')}%`);
+    if (reviewDueWithin !== undefined) {
+      const horizon = new Date(Date.now() + reviewDueWithin * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      query = query.in('status', PUBLIC_STATUSES).lte('next_review_date', horizon);
+    }
+
+    const { data: policies, count, error } = await query
+      .order('next_review_date', { ascending: true, nullsFirst: false })
+      .order('title', { ascending: true })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) {
+      throw Errors.internal('Failed to fetch policies');
+    }
+
+    const totalPages = Math.ceil((count || 0) / limit);
+
+    sendSuccess(res, {
+      policies: (policies || []).map(formatPolicy),
+      meta: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  })
+);
+
+// GET /api/policies/:id - Policy with its sign-off history
+router.get('/:id',
+  requirePermission(Permission.DOC_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const policy = await findPolicy(req, req.params.id);
+
+    const { data: approvals } = await supabase
+      .from('policy_approvals')
+      .select(APPROVAL_SELECT)
+      .eq('policy_id', policy.id)
+      .order('created_at', { ascending: false });
+
+    sendSuccess(res, {
+      policy: formatPolicy(policy),
+      approvals: (approvals || []).map(formatApproval)
+    });
+  })
+);
+
+// POST /api/policies - Create a draft policy
+router.post('/',
+  requirePermission(Permission.DOC_CREATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const validated = createPolicySchema.parse(req.body);
+
+    await assertOwner(organizationId, validated.ownerId);
+    await assertDocument(organizationId, validated.documentId);
+
+    const { data: policy, error } = await supabase
+      .from('policies')
+      .insert({
+        organization_id: organizationId,
+        title: validated.title,
+        description: validated.description || null,
+        category: validated.category || null,
+        content: validated.content || null,
+        document_id: validated.documentId || null,
+        owner_id: validated.ownerId || req.user!.id,
+        review_frequency_months: validated.reviewFrequencyMonths,
+        status: PolicyStatus.DRAFT,
+        created_by: req.user!.id
+      })
+      .select('id')
+      .single();
+
+    if (error || !policy) {
+      throw Errors.internal('Failed to create policy');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'policy',
+      resourceId: policy.id,
+      details: { title: validated.title },
+      ipAddress: req.ip
+    });
+
+    const created = await findPolicy(req, policy.id);
+
+    sendSuccess(res, { policy: formatPolicy(created) }, 201);
+  })
+);
+
+// PUT /api/policies/:id - Update a policy
+// Content can only change in draft; owner and review schedule can change at any time
+router.put('/:id',
+  requirePermission(Permission.DOC_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const policy = await findPolicy(req, req.params.id);
+    const validated = updatePolicySchema.parse(req.body);
+
+    if (policy.status === PolicyStatus.ARCHIVED) {
+      throw Errors.conflict('POLICY_ARCHIVED', 'Archived policies cannot be changed');
+    }
+
+    const changedContent = CONTENT_FIELDS.filter(f => validated[f] !== undefined);
+    if (changedContent.length > 0 && policy.status !== PolicyStatus.DRAFT) {
+      throw Errors.conflict('POLICY_LOCKED', `Move the policy back to draft to change ${changedContent.join(', ')}`);
+    }
+
+    await assertOwner(organizationId, validated.ownerId);
+    await assertDocument(organizationId, validated.documentId);
+
+    const updates: Record<string, any> = { updated_at: new Date().toISOString() };
+    if (validated.title !== undefined) updates.title = validated.title;
+    if (validated.description !== undefined) updates.description = validated.description;
+    if (validated.category !== undefined) updates.category = validated.category;
+    if (validated.content !== undefined) updates.content = validated.content;
+    if (validated.documentId !== undefined) updates.document_id = validated.documentId;
+    if (validated.ownerId !== undefined) updates.owner_id = validated.ownerId;
+    if (validated.reviewFrequencyMonths !== undefined) updates.review_frequency_months = validated.reviewFrequencyMonths;
+    if (validated.nextReviewDate !== undefined) {
+      updates.next_review_date = validated.nextReviewDate;
+      // Reminders start again for the new date
+      updates.review_reminder_sent_at = null;
+    }
+
+    const { error } = await supabase
+      .from('policies')
+      .update(updates)
+      .eq('id', policy.id);
+
+    if (error) {
+      throw Errors.internal('Failed to update policy');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'policy',
+      resourceId: policy.id,
+      details: { changes: Object.keys(validated) },
+      ipAddress: req.ip
+    });
+
+    const updated = await findPolicy(req, policy.id);
+
+    sendSuccess(res, { policy: formatPolicy(updated) });
+  })
+);
+
+// PUT /api/policies/:id/status - Move a policy through its lifecycle
+router.put('/:id/status',
+  requirePermission(Permission.DOC_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const policy = await findPolicy(req, req.params.id);
+    const { status, comments, nextReviewDate } = policyStatusSchema.parse(req.body);
+    const from = policy.status as PolicyStatus;
+
+    // Only the daily review job marks policies as due for review
+    if (status === PolicyStatus.DUE_FOR_REVIEW) {
+      throw Errors.badRequest('INVALID_STATUS_TRANSITION', 'Policies become due for review automatically on their review date');
+    }
+
+    PolicyService.assertTransition(from, status);
+
+    const required = PolicyService.getRequiredPermission(from, status);
+    if (!req.user!.isSuperAdmin && (!req.member || !RBACService.hasPermission(req.member.role, required))) {
+      throw Errors.forbidden(`Required permissions: ${required}`);
+    }
+
+    const changesRequested = from === PolicyStatus.IN_REVIEW && status === PolicyStatus.DRAFT;
+    if (changesRequested && !comments) {
+      throw Errors.validation({ comments: 'Explain the changes needed' });
+    }
+
+    const now = new Date().toISOString();
+    const today = now.slice(0, 10);
+    const updates: Record<string, any> = {};
+
+    switch (status) {
+      case PolicyStatus.IN_REVIEW:
+        updates.submitted_by = req.user!.id;
+        updates.submitted_at = now;
+        updates.approved_by = null;
+        updates.approved_at = null;
+        break;
+      case PolicyStatus.APPROVED:
+        updates.approved_by = req.user!.id;
+        updates.approved_at = now;
+        break;
+      case PolicyStatus.PUBLISHED:
+        if (nextReviewDate && nextReviewDate <= today) {
+          throw Errors.validation({ nextReviewDate: 'Next review date must be in the future' });
+        }
+        updates.published_by = req.user!.id;
+        updates.published_at = now;
+        updates.published_version = (policy.published_version || 0) + 1;
+        updates.last_reviewed_at = now;
+        updates.next_review_date = nextReviewDate
+          || PolicyService.calculateNextReviewDate(today, policy.review_frequency_months || DEFAULT_REVIEW_FREQUENCY_MONTHS);
+        updates.review_reminder_sent_at = null;
+        break;
+    }
+
+    const updated = await PolicyService.transitionPolicy(policy, status, updates);
+
+    // Record the sign-off decision
+    if (status === PolicyStatus.APPROVED || changesRequested) {
+      const { error } = await supabase
+        .from('policy_approvals')
+        .insert({
+          policy_id: policy.id,
+          organization_id: organizationId,
+          user_id: req.user!.id,
+          decision: status === PolicyStatus.APPROVED ? PolicyDecision.APPROVED : PolicyDecision.CHANGES_REQUESTED,
+          comments: comments || null,
+          version: (policy.published_version || 0) + 1
+        });
+
+      if (error) {
+        // Put the policy back so every approval has a sign-off record
+        await supabase
+          .from('policies')
+          .update({ status: from, approved_by: policy.approved_by, approved_at: policy.approved_at })
+          .eq('id', policy.id);
+        throw Errors.internal('Failed to record policy sign-off');
+      }
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'policy',
+      resourceId: policy.id,
+      details: {
+        title: policy.title,
+        from,
+        to: status,
+        ...(comments && { comments }),
+        ...(status === PolicyStatus.PUBLISHED && {
+          version: updated.published_version,
+          nextReviewDate: updated.next_review_date
+        })
+      },
+      ipAddress: req.ip
+    });
+
+    if (status === PolicyStatus.IN_REVIEW) {
+      notifyApprovers(req, policy).catch(() => {});
+    }
+
+    const result = await findPolicy(req, policy.id);
+
+    sendSuccess(res, { policy: formatPolicy(result) });
+  })
+);
+
+// DELETE /api/policies/:id - Delete a policy that has never been published
+router.delete('/:id',
+  requirePermission(Permission.DOC_DELETE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const policy = await findPolicy(req, req.params.id);
+
+    if (policy.published_version > 0) {
+      throw Errors.conflict('POLICY_PUBLISHED', 'Published policies are kept for the record - archive it instead');
+    }
+
+    const { error } = await supabase
+      .from('policies')
+      .delete()
+      .eq('id', policy.id);
+
+    if (error) {
+      throw Errors.internal('Failed to delete policy');
+    }
+
+    await AuditService.log({
+      organizationId: req.organization!.id,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'policy',
+      resourceId: policy.id,
+      details: { title: policy.title },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Policy deleted successfully' });
+  })
+);
+
+export default router;
@@ -0,0 +1,1240 @@
+/**
+ * Recruitment Routes
+ * Board recruitment pipeline: job openings, applications, shortlist, interviews and selection
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import multer from 'multer';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { supabase } from '../config/database';
+import { asyncHandler, sendSuccess, Errors, AppError } from '../utils/api-response';
+import type { Request, Response, NextFunction } from 'express';
+import { authenticate, requireOrganization, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { applicationLimiter, accountRateLimiter } from '../middleware/rate-limit.middleware';
+import { sanitizeInput } from '../middleware/security.middleware';
+import { AuditService } from '../services/audit.service';
+import { RBACService } from '../services/rbac.service';
+import { EmailService } from '../services/email.service';
+import { RecruitmentService } from '../services/recruitment.service';
+import { SubscriptionService } from '../services/subscription.service';
+import { Logger } from '../utils/logger';
+import { Permission, AuditAction, JobStatus, ApplicationStatus, InterviewType, Role } from '../types';
+
+const router = Router();
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validation schemas
+const jobFields = {
+  title: z.string().min(1, 'Title is required').max(200),
+  department: z.string().max(200).optional(),
+  location: z.string().max(200).optional(),
+  timeCommitment: z.string().max(200).optional(),
+  salaryRange: z.string().max(200).optional(),
+  description: z.string().max(10000).optional(),
+  requirements: z.string().max(10000).optional(),
+  additionalInfo: z.string().max(10000).optional(),
+  expiryDate: z.string().regex(DATE_REGEX, 'Expiry date must be YYYY-MM-DD').optional().nullable()
+};
+
+const createJobSchema = z.object({
+  ...jobFields,
+  status: z.nativeEnum(JobStatus).default(JobStatus.ACTIVE)
+});
+
+const updateJobSchema = z.object({
+  ...jobFields,
+  title: jobFields.title.optional(),
+  status: z.nativeEnum(JobStatus).optional()
+});
+
+const paginationFields = {
+  page: z.string().optional().transform(v => parseInt(v || '1')),
+  limit: z.string().optional().transform(v => Math.min(parseInt(v || '20'), 100))
+};
+
+const listJobsSchema = z.object({
+  ...paginationFields,
+  status: z.nativeEnum(JobStatus).optional()
+});
+
+const listApplicationsSchema = z.object({
+  ...paginationFields,
+  jobId: z.string().uuid().optional(),
+  status: z.union([z.nativeEnum(ApplicationStatus), z.literal('all')]).optional()
+});
+
+const listPipelineSchema = z.object({
+  jobId: z.string().uuid().optional(),
+  status: z.nativeEnum(ApplicationStatus).optional()
+});
+
+// Later stages carry data and have their own endpoints
+const applicationStatusSchema = z.object({
+  status: z.enum([ApplicationStatus.SHORTLISTED, ApplicationStatus.REJECTED])
+});
+
+const interviewSchema = z.object({
+  interviewDate: z.string().datetime('Interview date must be an ISO date-time'),
+  interviewLocation: z.string().max(500).optional(),
+  interviewType: z.nativeEnum(InterviewType).default(InterviewType.IN_PERSON),
+  notes: z.string().max(5000).optional(),
+  interviewerIds: z.array(z.string().uuid()).optional()
+});
+
+const scoreSchema = z.object({
+  panelScore: z.number().int().min(0).max(100),
+  notes: z.string().max(5000).optional()
+});
+
+const selectCandidateSchema = z.object({
+  candidateId: z.string().uuid('Invalid candidate ID'),
+  startDate: z.string().regex(DATE_REGEX, 'Start date must be YYYY-MM-DD').optional().nullable()
+});
+
+const onboardingSchema = z.object({
+  status: z.enum(['initiated', 'completed'])
+});
+
+const publicApplicationSchema = z.object({
+  firstName: z.string().trim().min(1, 'First name is required').max(100),
+  lastName: z.string().trim().min(1, 'Last name is required').max(100),
+  email: z.string().trim().toLowerCase().email('Invalid email address'),
+  phone: z.string().trim().max(50).optional(),
+  coverLetter: z.string().trim().max(10000).optional()
+});
+
+// CV uploads for public applications
+const CV_MAX_BYTES = 5 * 1024 * 1024;
+const CV_MIME_TYPES: Record<string, string> = {
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx'
+};
+// Leading bytes of each format: PDF, OLE2 (.doc) and ZIP (.docx)
+const CV_SIGNATURES: Record<string, Buffer> = {
+  '.pdf': Buffer.from('%PDF-'),
+  '.doc': Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]),
+  '.docx': Buffer.from([0x50, 0x4b, 0x03, 0x04])
+};
+const CV_UPLOAD_DIR = path.join(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'), 'cvs');
+
+const cvUpload = multer({
+  storage: multer.diskStorage({
+    destination: (_req, _file, cb) => {
+      fs.mkdir(CV_UPLOAD_DIR, { recursive: true }, err => cb(err, CV_UPLOAD_DIR));
+    },
+    // Never trust the client's filename
+    filename: (_req, file, cb) => {
+      cb(null, `${crypto.randomUUID()}${CV_MIME_TYPES[file.mimetype]}`);
+    }
+  }),
+  limits: { fileSize: CV_MAX_BYTES, files: 1 },
+  // The extension has to agree with the type; the content is checked once the file is stored
+  fileFilter: (_req, file, cb) => {
+    if (!CV_MIME_TYPES[file.mimetype] || path.extname(file.originalname).toLowerCase() !== CV_MIME_TYPES[file.mimetype]) {
+      cb(new AppError(400, 'INVALID_FILE_TYPE', 'CV must be a PDF or Word document'));
+      return;
+    }
+    cb(null, true);
+  }
+});
+
+const removeUpload = async (file?: Express.Multer.File) => {
+  if (file) {
+    await fs.promises.unlink(file.path).catch(() => {});
+  }
+};
+
+// Whether a stored CV starts with the signature of the format its extension claims
+const hasCvSignature = async (file: Express.Multer.File): Promise<boolean> => {
+  const signature = CV_SIGNATURES[path.extname(file.filename)];
+  const header = Buffer.alloc(signature.length);
+  const handle = await fs.promises.open(file.path, 'r');
+  try {
+    const { bytesRead } = await handle.read(header, 0, signature.length, 0);
+    return bytesRead === signature.length && header.equals(signature);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Translate multer errors into API errors and drop files that aren't what they claim to be
+const uploadCv = (req: Request, res: Response, next: NextFunction) => {
+  cvUpload.single('cv')(req, res, (err: any) => {
+    if (err instanceof multer.MulterError) {
+      next(err.code === 'LIMIT_FILE_SIZE'
+        ? Errors.badRequest('FILE_TOO_LARGE', `CV must be smaller than ${CV_MAX_BYTES / (1024 * 1024)}MB`)
+        : Errors.badRequest('INVALID_UPLOAD', err.message));
+      return;
+    }
+    if (err || !req.file) {
+      next(err);
+      return;
+    }
+    const file = req.file;
+    hasCvSignature(file)
+      .then(valid => {
+        if (valid) {
+          next();
+          return;
+        }
+        removeUpload(file).then(() =>
+          next(new AppError(400, 'INVALID_FILE_TYPE', 'CV must be a PDF or Word document'))
+        );
+      })
+      .catch(error => {
+        removeUpload(file).then(() => next(error));
+      });
+  });
+};
+
+// Stored CVs are named "<uuid><ext>"; the uuid is the CV's id in responses, never the path
+const getCvId = (cvPath?: string | null): string | null =>
+  cvPath ? path.basename(cvPath, path.extname(cvPath)) : null;
+
+const APPLICATION_SELECT = '*, job_openings(id, title, department)';
+const SHORTLIST_SELECT = `*, applications!inner(${APPLICATION_SELECT}), shortlisted_interviewers(users(id, email, first_name, last_name))`;
+const SELECTED_SELECT = `*, shortlisted_candidates!inner(*, applications!inner(${APPLICATION_SELECT}))`;
+
+// Response mappers
+const formatJob = (job: any) => ({
+  id: job.id,
+  organizationId: job.organization_id,
+  title: job.title,
+  department: job.department,
+  location: job.location,
+  timeCommitment: job.time_commitment,
+  salaryRange: job.salary_range,
+  description: job.description,
+  requirements: job.requirements,
+  additionalInfo: job.additional_info,
+  status: job.status,
+  expiryDate: job.expiry_date,
+  isExpired: !!job.expiry_date && job.expiry_date < new Date().toISOString().slice(0, 10),
+  applicationCount: job.applications?.[0]?.count,
+  closedAt: job.closed_at,
+  createdBy: job.created_by,
+  createdAt: job.created_at,
+  updatedAt: job.updated_at
+});
+
+const formatApplication = (application: any) => ({
+  id: application.id,
+  jobId: application.job_id,
+  jobTitle: application.job_openings?.title,
+  department: application.job_openings?.department,
+  firstName: application.first_name,
+  lastName: application.last_name,
+  email: application.email,
+  phone: application.phone,
+  coverLetter: application.cover_letter,
+  cvId: getCvId(application.cv_path),
+  status: application.status,
+  nextStatuses: RecruitmentService.getNextStatuses(application.status),
+  statusChangedAt: application.status_changed_at,
+  reviewedBy: application.reviewed_by,
+  appliedAt: application.applied_at
+});
+
+const formatShortlisted = (candidate: any) => ({
+  id: candidate.id,
+  applicationId: candidate.application_id,
+  application: candidate.applications ? formatApplication(candidate.applications) : undefined,
+  shortlistedBy: candidate.shortlisted_by,
+  interviewDate: candidate.interview_date,
+  interviewLocation: candidate.interview_location,
+  interviewType: candidate.interview_type,
+  interviewNotes: candidate.interview_notes,
+  panelScore: candidate.panel_score,
+  interviewers: (candidate.shortlisted_interviewers || [])
+    .filter((i: any) => i.users)
+    .map((i: any) => ({
+      id: i.users.id,
+      email: i.users.email,
+      firstName: i.users.first_name,
+      lastName: i.users.last_name
+    })),
+  shortlistedAt: candidate.shortlisted_at
+});
+
+const formatSelected = (selected: any) => ({
+  id: selected.id,
+  candidateId: selected.candidate_id,
+  candidate: selected.shortlisted_candidates ? formatShortlisted(selected.shortlisted_candidates) : undefined,
+  selectedBy: selected.selected_by,
+  startDate: selected.start_date,
+  offerAccepted: selected.offer_accepted,
+  offerAcceptedAt: selected.offer_accepted_at,
+  onboardingInitiated: selected.onboarding_initiated,
+  onboardingInitiatedAt: selected.onboarding_initiated_at,
+  onboardingCompleted: selected.onboarding_completed,
+  onboardingCompletedAt: selected.onboarding_completed_at,
+  selectedAt: selected.selected_at
+});
+
+// Loaders scoped to the organization
+const findJob = async (id: string, organizationId: string) => {
+  const { data: job, error } = await supabase
+    .from('job_openings')
+    .select('*')
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !job) {
+    throw Errors.notFound('Job opening');
+  }
+
+  return job;
+};
+
+const findApplication = async (id: string, organizationId: string) => {
+  const { data: application, error } = await supabase
+    .from('applications')
+    .select(APPLICATION_SELECT)
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !application) {
+    throw Errors.notFound('Application');
+  }
+
+  return application as any;
+};
+
+const findShortlisted = async (id: string, organizationId: string) => {
+  const { data: candidate, error } = await supabase
+    .from('shortlisted_candidates')
+    .select(SHORTLIST_SELECT)
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !candidate) {
+    throw Errors.notFound('Shortlisted candidate');
+  }
+
+  return candidate as any;
+};
+
+const findSelected = async (id: string, organizationId: string) => {
+  const { data: selected, error } = await supabase
+    .from('selected_candidates')
+    .select(SELECTED_SELECT)
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !selected) {
+    throw Errors.notFound('Selected candidate');
+  }
+
+  return selected as any;
+};
+
+// Ensure every interviewer is an active member of the organization
+const assertActiveMembers = async (organizationId: string, userIds: string[]) => {
+  if (userIds.length === 0) return;
+
+  const { data: members } = await supabase
+    .from('organization_members')
+    .select('user_id')
+    .eq('organization_id', organizationId)
+    .eq('is_active', true)
+    .in('user_id', userIds);
+
+  const memberIds = new Set((members || []).map(m => m.user_id));
+  const missing = userIds.filter(id => !memberIds.has(id));
+
+  if (missing.length > 0) {
+    throw Errors.badRequest('NOT_ORGANIZATION_MEMBER', 'All interviewers must be active members of the organization', {
+      userIds: missing
+    });
+  }
+};
+
+// Job is accepting applications if active and not past its expiry date
+// Organizations in read-only or locked mode stop taking applications
+const isAcceptingApplications = (job: any) =>
+  job.status === JobStatus.ACTIVE
+  && (!job.expiry_date || job.expiry_date >= new Date().toISOString().slice(0, 10))
+  && ['full', 'grace'].includes(SubscriptionService.getAccess(job.organizations).mode);
+
+// Load an active job for the public apply page (no organization context)
+// Paused and closed jobs are 404s, like jobs that don't exist
+const findPublicJob = async (id: string) => {
+  if (!z.string().uuid().safeParse(id).success) {
+    throw Errors.notFound('Job opening');
+  }
+
+  const { data: job, error } = await supabase
+    .from('job_openings')
+    .select('*, organizations(id, name, logo_url, subscription_status, is_active, is_complimentary, trial_ends_at, current_period_end, subscription_ends_at)')
+    .eq('id', id)
+    .eq('status', JobStatus.ACTIVE)
+    .single();
+
+  if (error || !job) {
+    throw Errors.notFound('Job opening');
+  }
+
+  return job as any;
+};
+
+// Email everyone in the organization who can manage recruitment
+const notifyRecruiters = async (job: any, application: any) => {
+  const { data: members } = await supabase
+    .from('organization_members')
+    .select('role, users(email)')
+    .eq('organization_id', job.organization_id)
+    .eq('is_active', true);
+
+  const recipients = (members || [])
+    .filter((m: any) => RBACService.hasPermission(m.role as Role, Permission.RECRUITMENT_MANAGE))
+    .map((m: any) => m.users?.email)
+    .filter(Boolean);
+
+  await Promise.all(recipients.map((to: string) =>
+    EmailService.sendNewApplicationEmail({
+      to,
+      organizationName: job.organizations?.name || 'your organization',
+      jobTitle: job.title,
+      applicantName: `${application.first_name} ${application.last_name}`,
+      hasCv: !!application.cv_path
+    })
+  ));
+};
+
+const logTransition = (req: Request, application: any, to: ApplicationStatus, details: Record<string, any> = {}) =>
+  AuditService.log({
+    organizationId: req.organization!.id,
+    userId: req.user!.id,
+    action: AuditAction.UPDATE,
+    resourceType: 'application',
+    resourceId: application.id,
+    details: { jobId: application.job_id, from: application.status, to, ...details },
+    ipAddress: req.ip
+  });
+
+// ==========================================
+// Public (unauthenticated) application flow
+// ==========================================
+
+// GET /api/recruitment/public/jobs/:id - Job details for the public apply page
+router.get('/public/jobs/:id',
+  asyncHandler(async (req: Request, res: Response) => {
+    const job = await findPublicJob(req.params.id);
+
+    sendSuccess(res, {
+      job: {
+        id: job.id,
+        title: job.title,
+        department: job.department,
+        location: job.location,
+        timeCommitment: job.time_commitment,
+        description: job.description,
+        requirements: job.requirements,
+        additionalInfo: job.additional_info,
+        expiryDate: job.expiry_date,
+        organizationName: job.organizations?.name,
+        organizationLogoUrl: job.organizations?.logo_url,
+        acceptingApplications: isAcceptingApplications(job)
+      }
+    });
+  })
+);
+
+// POST /api/recruitment/public/jobs/:id/apply - Submit an application (multipart, optional "cv" file)
+router.post('/public/jobs/:id/apply',
+  applicationLimiter,
+  uploadCv,
+  sanitizeInput,
+  asyncHandler(async (req: Request, res: Response) => {
+    try {
+      const job = await findPublicJob(req.params.id);
+
+      if (!isAcceptingApplications(job)) {
+        throw Errors.badRequest('JOB_NOT_ACCEPTING_APPLICATIONS', 'This position is no longer accepting applications');
+      }
+
+      const parsed = publicApplicationSchema.safeParse(req.body);
+      if (!parsed.success) {
+        throw Errors.validation(Object.fromEntries(
+          parsed.error.errors.map(e => [e.path.join('.'), e.message])
+        ));
+      }
+      const validated = parsed.data;
+
+      const { data: existing } = await supabase
+        .from('applications')
+        .select('id')
+        .eq('job_id', job.id)
+        .eq('email', validated.email)
+        .maybeSingle();
+
+      if (existing) {
+        throw Errors.conflict('ALREADY_APPLIED', 'An application with this email address has already been submitted for this position');
+      }
+
+      const { data: application, error } = await supabase
+        .from('applications')
+        .insert({
+          organization_id: job.organization_id,
+          job_id: job.id,
+          first_name: validated.firstName,
+          last_name: validated.lastName,
+          email: validated.email,
+          phone: validated.phone || null,
+          cover_letter: validated.coverLetter || null,
+          cv_path: req.file ? path.relative(process.cwd(), req.file.path) : null,
+          status: ApplicationStatus.APPLIED
+        })
+        .select()
+        .single();
+
+      if (error || !application) {
+        throw Errors.internal('Failed to submit application');
+      }
+
+      await AuditService.log({
+        organizationId: job.organization_id,
+        action: AuditAction.CREATE,
+        resourceType: 'application',
+        resourceId: application.id,
+        details: { jobId: job.id, source: 'public', hasCv: !!req.file },
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent')
+      });
+
+      notifyRecruiters(job, application).catch(err =>
+        Logger.error('Failed to notify recruiters of new application', err as Error, { applicationId: application.id })
+      );
+
+      sendSuccess(res, {
+        message: 'Application submitted successfully',
+        application: { id: application.id, jobId: job.id, appliedAt: application.applied_at }
+      }, 201);
+    } catch (error) {
+      removeUpload(req.file);
+      throw error;
+    }
+  })
+);
+
+// All remaining routes require authentication within an organization
+router.use(authenticate, requireOrganization, enforceSubscriptionStatus, ...accountRateLimiter);
+
+// ==========================================
+// Job Openings
+// ==========================================
+
+// GET /api/recruitment/jobs - List job openings
+router.get('/jobs',
+  requirePermission(Permission.RECRUITMENT_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { page, limit, status } = listJobsSchema.parse(req.query);
+
+    let query = supabase
+      .from('job_openings')
+      .select('*, applications(count)', { count: 'exact' })
+      .eq('organization_id', req.organization!.id);
+
+    if (status) query = query.eq('status', status);
+
+    const { data: jobs, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) {
+      throw Errors.internal('Failed to fetch job openings');
+    }
+
+    const totalPages = Math.ceil((count || 0) / limit);
+
+    sendSuccess(res, {
+      jobs: (jobs || []).map(formatJob),
+      meta: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  })
+);
+
+// GET /api/recruitment/jobs/:id - Get job opening with pipeline counts
+router.get('/jobs/:id',
+  requirePermission(Permission.RECRUITMENT_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const job = await findJob(req.params.id, req.organization!.id);
+
+    const { data: applications } = await supabase
+      .from('applications')
+      .select('status')
+      .eq('job_id', job.id);
+
+    const pipeline = Object.values(ApplicationStatus).reduce((counts, status) => {
+      counts[status] = (applications || []).filter(a => a.status === status).length;
+      return counts;
+    }, {} as Record<ApplicationStatus, number>);
+
+    sendSuccess(res, {
+      job: {
+        ...formatJob(job),
+        applicationCount: (applications || []).length,
+        pipeline
+      }
+    });
+  })
+);
+
+// POST /api/recruitment/jobs - Create job opening
+router.post('/jobs',
+  requirePermission(Permission.RECRUITMENT_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const validated = createJobSchema.parse(req.body);
+
+    const { data: job, error } = await supabase
+      .from('job_openings')
+      .insert({
+        organization_id: organizationId,
+        title: validated.title,
+        department: validated.department,
+        location: validated.location,
+        time_commitment: validated.timeCommitment,
+        salary_range: validated.salaryRange,
+        description: validated.description,
+        requirements: validated.requirements,
+        additional_info: validated.additionalInfo,
+        expiry_date: validated.expiryDate || null,
+        status: validated.status,
+        closed_at: validated.status === JobStatus.CLOSED ? new Date().toISOString() : null,
+        created_by: req.user!.id
+      })
+      .select()
+      .single();
+
+    if (error || !job) {
+      throw Errors.internal('Failed to create job opening');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'job_opening',
+      resourceId: job.id,
+      details: { title: job.title, status: job.status, expiryDate: job.expiry_date },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { job: formatJob(job) }, 201);
+  })
+);
+
+// PUT /api/recruitment/jobs/:id - Update (or reopen) job opening
+router.put('/jobs/:id',
+  requirePermission(Permission.RECRUITMENT_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const existing = await findJob(req.params.id, organizationId);
+    const validated = updateJobSchema.parse(req.body);
+
+    const updateData: any = {};
+    if (validated.title !== undefined) updateData.title = validated.title;
+    if (validated.department !== undefined) updateData.department = validated.department;
+    if (validated.location !== undefined) updateData.location = validated.location;
+    if (validated.timeCommitment !== undefined) updateData.time_commitment = validated.timeCommitment;
+    if (validated.salaryRange !== undefined) updateData.salary_range = validated.salaryRange;
+    if (validated.description !== undefined) updateData.description = validated.description;
+    if (validated.requirements !== undefined) updateData.requirements = validated.requirements;
+    if (validated.additionalInfo !== undefined) updateData.additional_info = validated.additionalInfo;
+    if (validated.expiryDate !== undefined) updateData.expiry_date = validated.expiryDate;
+
+    if (validated.status !== undefined && validated.status !== existing.status) {
+      updateData.status = validated.status;
+      updateData.closed_at = validated.status === JobStatus.CLOSED ? new Date().toISOString() : null;
+    }
+
+    const { data: job, error } = await supabase
+      .from('job_openings')
+      .update(updateData)
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error || !job) {
+      throw Errors.internal('Failed to update job opening');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'job_opening',
+      resourceId: job.id,
+      details: {
+        fields: Object.keys(validated),
+        previousStatus: existing.status,
+        newStatus: validated.status
+      },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, {
+      message: 'Job opening updated successfully',
+      job: formatJob(job)
+    });
+  })
+);
+
+// POST /api/recruitment/jobs/:id/close - Close job opening
+router.post('/jobs/:id/close',
+  requirePermission(Permission.RECRUITMENT_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const existing = await findJob(req.params.id, organizationId);
+
+    if (existing.status === JobStatus.CLOSED) {
+      throw Errors.conflict('JOB_ALREADY_CLOSED', 'This position is already closed');
+    }
+
+    const { data: job, error } = await supabase
+      .from('job_openings')
+      .update({ status: JobStatus.CLOSED, closed_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error || !job) {
+      throw Errors.internal('Failed to close job opening');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'job_opening',
+      resourceId: job.id,
+      details: { previousStatus: existing.status, newStatus: JobStatus.CLOSED },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, {
+      message: 'Position closed',
+      job: formatJob(job)
+    });
+  })
+);
+
+// DELETE /api/recruitment/jobs/:id - Delete job opening and its applications
+router.delete('/jobs/:id',
+  requirePermission(Permission.RECRUITMENT_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const job = await findJob(req.params.id, organizationId);
+
+    const { error } = await supabase
+      .from('job_openings')
+      .delete()
+      .eq('id', job.id);
+
+    if (error) {
+      throw Errors.internal('Failed to delete job opening');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'job_opening',
+      resourceId: job.id,
+      details: { title: job.title },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Job opening deleted successfully' });
+  })
+);
+
+// ==========================================
+// Applications
+// ==========================================
+
+// GET /api/recruitment/applications - List applications
+router.get('/applications',
+  requirePermission(Permission.RECRUITMENT_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { page, limit, jobId, status } = listApplicationsSchema.parse(req.query);
+
+    let query = supabase
+      .from('applications')
+      .select(APPLICATION_SELECT, { count: 'exact' })
+      .eq('organization_id', req.organization!.id);
+
+    if (jobId) query = query.eq('job_id', jobId);
+    if (status && status !== 'all') query = query.eq('status', status);
+
+    const { data: applications, count, error } = await query
+      .order('applied_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) {
+      throw Errors.internal('Failed to fetch applications');
+    }
+
+    const totalPages = Math.ceil((count || 0) / limit);
+
+    sendSuccess(res, {
+      applications: (applications || []).map(formatApplication),
+      meta: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  })
+);
+
+// GET /api/recruitment/applications/:id - Get application
+router.get('/applications/:id',
+  requirePermission(Permission.RECRUITMENT_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const application = await findApplication(req.params.id, req.organization!.id);
+
+    sendSuccess(res, { application: formatApplication(application) });
+  })
+);
+
+// GET /api/recruitment/applications/:id/cv - Download the applicant's CV
+router.get('/applications/:id/cv',
+  requirePermission(Permission.RECRUITMENT_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const application = await findApplication(req.params.id, organizationId);
+
+    if (!application.cv_path) {
+      throw Errors.notFound('CV');
+    }
+
+    // Only ever read from the CV directory, whatever the stored path says
+    const fileName = path.basename(application.cv_path);
+    const filePath = path.join(CV_UPLOAD_DIR, fileName);
+    const extension = path.extname(fileName);
+    const mimeType = Object.keys(CV_MIME_TYPES).find(type => CV_MIME_TYPES[type] === extension);
+
+    let stat: fs.Stats;
+    try {
+      stat = await fs.promises.stat(filePath);
+    } catch (err) {
+      Logger.error('Stored CV file is missing', err as Error, { applicationId: application.id });
+      throw Errors.notFound('CV file');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DATA_ACCESS,
+      resourceType: 'application',
+      resourceId: application.id,
+      details: { action: 'download_cv' },
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    const downloadName = `CV - ${application.first_name} ${application.last_name}${extension}`.replace(/[\x00-\x1f\x7f"\\/]/g, '');
+
+    res.setHeader('Content-Type', mimeType || 'application/octet-stream');
+    res.setHeader('Content-Length', String(stat.size));
+    res.setHeader('Content-Disposition', `attachment; filename="${downloadName}"; filename*=UTF-8''${encodeURIComponent(downloadName)}`);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', err => {
+      Logger.error('Failed to stream CV', err, { applicationId: application.id });
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  })
+);
+
+// PUT /api/recruitment/applications/:id/status - Shortlist or reject an application
+router.put('/applications/:id/status',
+  requirePermission(Permission.RECRUITMENT_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const application = await findApplication(req.params.id, organizationId);
+    const { status } = applicationStatusSchema.parse(req.body);
+
+    const updated = await RecruitmentService.transitionApplication(application, status, req.user!.id);
+
+    let shortlisted = null;
+    if (status === ApplicationStatus.SHORTLISTED) {
+      const { data, error } = await supabase
+        .from('shortlisted_candidates')
+        .insert({
+          organization_id: organizationId,
+          application_id: application.id,
+          shortlisted_by: req.user!.id
+        })
+        .select()
+        .single();
+
+      if (error || !data) {
+        // Put the application back so the pipeline stays consistent
+        await supabase
+          .from('applications')
+          .update({ status: application.status })
+          .eq('id', application.id);
+        throw Errors.internal('Failed to shortlist application');
+      }
+
+      shortlisted = data;
+    }
+
+    await logTransition(req, application, status);
+
+    sendSuccess(res, {
+      message: status === ApplicationStatus.SHORTLISTED ? 'Application shortlisted' : 'Application rejected',
+      application: formatApplication({ ...updated, job_openings: application.job_openings }),
+      shortlisted: shortlisted ? formatShortlisted(shortlisted) : undefined
+    });
+  })
+);
+
+// ==========================================
+// Shortlist & Interviews
+// ==========================================
+
+// GET /api/recruitment/shortlisted - List shortlisted candidates
+router.get('/shortlisted',
+  requirePermission(Permission.RECRUITMENT_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { jobId, status } = listPipelineSchema.parse(req.query);
+
+    let query = supabase
+      .from('shortlisted_candidates')
+      .select(SHORTLIST_SELECT)
+      .eq('organization_id', req.organization!.id);
+
+    if (jobId) query = query.eq('applications.job_id', jobId);
+    if (status) query = query.eq('applications.status', status);
+
+    const { data: candidates, error } = await query.order('shortlisted_at', { ascending: false });
+
+    if (error) {
+      throw Errors.internal('Failed to fetch shortlisted candidates');
+    }
+
+    sendSuccess(res, { candidates: (candidates || []).map(formatShortlisted) });
+  })
+);
+
+// PUT /api/recruitment/shortlisted/:id/interview - Schedule (or reschedule) an interview
+router.put('/shortlisted/:id/interview',
+  requirePermission(Permission.RECRUITMENT_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const candidate = await findShortlisted(req.params.id, organizationId);
+    const application = candidate.applications;
+    const validated = interviewSchema.parse(req.body);
+
+    // Rescheduling keeps the candidate in the interviewing stage
+    if (application.status !== ApplicationStatus.INTERVIEWING) {
+      await RecruitmentService.transitionApplication(application, ApplicationStatus.INTERVIEWING, req.user!.id);
+    }
+
+    const interviewerIds = validated.interviewerIds ? [...new Set(validated.interviewerIds)] : undefined;
+    if (interviewerIds) {
+      await assertActiveMembers(organizationId, interviewerIds);
+    }
+
+    const { error } = await supabase
+      .from('shortlisted_candidates')
+      .update({
+        interview_date: validated.interviewDate,
+        interview_location: validated.interviewLocation,
+        interview_type: validated.interviewType,
+        interview_notes: validated.notes
+      })
+      .eq('id', candidate.id);
+
+    if (error) {
+      throw Errors.internal('Failed to schedule interview');
+    }
+
+    if (interviewerIds) {
+      await supabase
+        .from('shortlisted_interviewers')
+        .delete()
+        .eq('shortlisted_id', candidate.id);
+
+      if (interviewerIds.length > 0) {
+        await supabase
+          .from('shortlisted_interviewers')
+          .insert(interviewerIds.map(userId => ({ shortlisted_id: candidate.id, user_id: userId })));
+      }
+    }
+
+    if (application.status !== ApplicationStatus.INTERVIEWING) {
+      await logTransition(req, application, ApplicationStatus.INTERVIEWING, {
+        interviewDate: validated.interviewDate
+      });
+    } else {
+      await AuditService.log({
+        organizationId,
+        userId: req.user!.id,
+        action: AuditAction.UPDATE,
+        resourceType: 'shortlisted_candidate',
+        resourceId: candidate.id,
+        details: { rescheduled: true, interviewDate: validated.interviewDate },
+        ipAddress: req.ip
+      });
+    }
+
+    const updated = await findShortlisted(candidate.id, organizationId);
+
+    sendSuccess(res, {
+      message: 'Interview scheduled',
+      candidate: formatShortlisted(updated)
+    });
+  })
+);
+
+// PUT /api/recruitment/shortlisted/:id/score - Record the interview panel score
+router.put('/shortlisted/:id/score',
+  requirePermission(Permission.RECRUITMENT_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const candidate = await findShortlisted(req.params.id, organizationId);
+    const validated = scoreSchema.parse(req.body);
+
+    if (candidate.applications.status !== ApplicationStatus.INTERVIEWING) {
+      throw Errors.badRequest('NOT_INTERVIEWING', 'Only candidates at the interview stage can be scored');
+    }
+
+    const updateData: any = { panel_score: validated.panelScore };
+    if (validated.notes !== undefined) updateData.interview_notes = validated.notes;
+
+    const { error } = await supabase
+      .from('shortlisted_candidates')
+      .update(updateData)
+      .eq('id', candidate.id);
+
+    if (error) {
+      throw Errors.internal('Failed to record panel score');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'shortlisted_candidate',
+      resourceId: candidate.id,
+      details: { previousScore: candidate.panel_score, panelScore: validated.panelScore },
+      ipAddress: req.ip
+    });
+
+    const updated = await findShortlisted(candidate.id, organizationId);
+
+    sendSuccess(res, {
+      message: 'Panel score recorded',
+      candidate: formatShortlisted(updated)
+    });
+  })
+);
+
+// ==========================================
+// Selection & Onboarding
+// ==========================================
+
+// GET /api/recruitment/selected - List selected candidates
+router.get('/selected',
+  requirePermission(Permission.RECRUITMENT_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { jobId, status } = listPipelineSchema.parse(req.query);
+
+    let query = supabase
+      .from('selected_candidates')
+      .select(SELECTED_SELECT)
+      .eq('organization_id', req.organization!.id);
+
+    if (jobId) query = query.eq('shortlisted_candidates.applications.job_id', jobId);
+    if (status) query = query.eq('shortlisted_candidates.applications.status', status);
+
+    const { data: selected, error } = await query.order('selected_at', { ascending: false });
+
+    if (error) {
+      throw Errors.internal('Failed to fetch selected candidates');
+    }
+
+    sendSuccess(res, { selected: (selected || []).map(formatSelected) });
+  })
+);
+
+// POST /api/recruitment/selected - Select an interviewed candidate
+router.post('/selected',
+  requirePermission(Permission.RECRUITMENT_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const { candidateId, startDate } = selectCandidateSchema.parse(req.body);
+    const candidate = await findShortlisted(candidateId, organizationId);
+    const application = candidate.applications;
+
+    await RecruitmentService.transitionApplication(application, ApplicationStatus.SELECTED, req.user!.id);
+
+    const { data: selected, error } = await supabase
+      .from('selected_candidates')
+      .insert({
+        organization_id: organizationId,
+        candidate_id: candidate.id,
+        selected_by: req.user!.id,
+        start_date: startDate || null
+      })
+      .select()
+      .single();
+
+    if (error || !selected) {
+      await supabase
+        .from('applications')
+        .update({ status: application.status })
+        .eq('id', application.id);
+      throw Errors.internal('Failed to select candidate');
+    }
+
+    await logTransition(req, application, ApplicationStatus.SELECTED, {
+      selectedId: selected.id,
+      panelScore: candidate.panel_score,
+      startDate
+    });
+
+    const created = await findSelected(selected.id, organizationId);
+
+    sendSuccess(res, { selected: formatSelected(created) }, 201);
+  })
+);
+
+// PUT /api/recruitment/selected/:id/offer-accepted - Record offer acceptance
+router.put('/selected/:id/offer-accepted',
+  requirePermission(Permission.RECRUITMENT_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const selected = await findSelected(req.params.id, organizationId);
+    const application = selected.shortlisted_candidates.applications;
+
+    if (application.status !== ApplicationStatus.SELECTED) {
+      throw Errors.badRequest('NOT_SELECTED', `Cannot accept an offer for a candidate who is ${application.status}`);
+    }
+
+    if (selected.offer_accepted) {
+      throw Errors.conflict('OFFER_ALREADY_ACCEPTED', 'The offer has already been accepted');
+    }
+
+    const { error } = await supabase
+      .from('selected_candidates')
+      .update({ offer_accepted: true, offer_accepted_at: new Date().toISOString() })
+      .eq('id', selected.id);
+
+    if (error) {
+      throw Errors.internal('Failed to record offer acceptance');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'selected_candidate',
+      resourceId: selected.id,
+      details: { applicationId: application.id, offerAccepted: true },
+      ipAddress: req.ip
+    });
+
+    const updated = await findSelected(selected.id, organizationId);
+
+    sendSuccess(res, {
+      message: 'Offer accepted',
+      selected: formatSelected(updated)
+    });
+  })
+);
+
+// PUT /api/recruitment/selected/:id/onboarding - Start or complete onboarding
+router.put('/selected/:id/onboarding',
+  requirePermission(Permission.RECRUITMENT_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const selected = await findSelected(req.params.id, organizationId);
+    const application = selected.shortlisted_candidates.applications;
+    const { status } = onboardingSchema.parse(req.body);
+
+    if (!selected.offer_accepted) {
+      throw Errors.badRequest('OFFER_NOT_ACCEPTED', 'The candidate must accept the offer before onboarding');
+    }
+
+    const now = new Date().toISOString();
+    const updateData: any = {};
+
+    if (status === 'initiated') {
+      if (selected.onboarding_initiated) {
+        throw Errors.conflict('ONBOARDING_ALREADY_STARTED', 'Onboarding has already been started');
+      }
+      updateData.onboarding_initiated = true;
+      updateData.onboarding_initiated_at = now;
+    } else {
+      // Completing onboarding is the final pipeline step
+      await RecruitmentService.transitionApplication(application, ApplicationStatus.ONBOARDED, req.user!.id);
+
+      updateData.onboarding_completed = true;
+      updateData.onboarding_completed_at = now;
+      if (!selected.onboarding_initiated) {
+        updateData.onboarding_initiated = true;
+        updateData.onboarding_initiated_at = now;
+      }
+    }
+
+    const { error } = await supabase
+      .from('selected_candidates')
+      .update(updateData)
+      .eq('id', selected.id);
+
+    if (error) {
+      throw Errors.internal('Failed to update onboarding');
+    }
+
+    if (status === 'completed') {
+      await logTransition(req, application, ApplicationStatus.ONBOARDED, { selectedId: selected.id });
+    } else {
+      await AuditService.log({
+        organizationId,
+        userId: req.user!.id,
+        action: AuditAction.UPDATE,
+        resourceType: 'selected_candidate',
+        resourceId: selected.id,
+        details: { applicationId: application.id, onboarding: status },
+        ipAddress: req.ip
+      });
+    }
+
+    const updated = await findSelected(selected.id, organizationId);
+
+    sendSuccess(res, {
+      message: status === 'initiated' ? 'Onboarding started' : 'Onboarding completed',
+      selected: formatSelected(updated)
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,737 @@
+/**
+ * Resolution Routes
+ * Board resolutions raised in meetings or circulated in writing, and formal voting
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { supabase } from '../config/database';
+import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
+import type { Request, Response } from 'express';
+import { authenticate, requireOrganization, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
+import { AuditService } from '../services/audit.service';
+import { RBACService } from '../services/rbac.service';
+import { EmailService } from '../services/email.service';
+import { InterestService } from '../services/interest.service';
+import {
+  ResolutionService, DEFAULT_QUORUM_PERCENT, DEFAULT_WRITTEN_VOTING_DAYS
+} from '../services/resolution.service';
+import {
+  Permission, AuditAction, MeetingStatus, PassThreshold, ResolutionStatus, ResolutionType, VoteChoice
+} from '../types';
+
+const router = Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validation schemas
+const createResolutionSchema = z.object({
+  type: z.nativeEnum(ResolutionType).default(ResolutionType.MEETING),
+  title: z.string().trim().min(1, 'Title is required').max(300),
+  motion: z.string().trim().min(1, 'Motion text is required').max(10000),
+  meetingId: z.string().uuid('Invalid meeting ID').optional().nullable(),
+  agendaItemId: z.string().uuid('Invalid agenda item ID').optional().nullable(),
+  // Defaults to you; recording someone else's motion needs resolution:manage
+  proposerId: z.string().uuid('Invalid user ID').optional(),
+  seconderId: z.string().uuid('Invalid user ID').optional().nullable(),
+  passThreshold: z.nativeEnum(PassThreshold).default(PassThreshold.SIMPLE_MAJORITY),
+  quorumPercent: z.number().int().min(1).max(100).default(DEFAULT_QUORUM_PERCENT),
+  // Written resolutions only
+  votingClosesAt: z.string().datetime('Closing time must be an ISO date-time').optional()
+});
+
+const updateResolutionSchema = z.object({
+  title: z.string().trim().min(1).max(300).optional(),
+  motion: z.string().trim().min(1).max(10000).optional(),
+  agendaItemId: z.string().uuid('Invalid agenda item ID').optional().nullable(),
+  seconderId: z.string().uuid('Invalid user ID').optional().nullable(),
+  passThreshold: z.nativeEnum(PassThreshold).optional(),
+  quorumPercent: z.number().int().min(1).max(100).optional(),
+  votingClosesAt: z.string().datetime('Closing time must be an ISO date-time').optional()
+});
+
+const resolutionStatusSchema = z.object({
+  status: z.enum([ResolutionStatus.OPEN, ResolutionStatus.WITHDRAWN]),
+  reason: z.string().max(2000).optional()
+});
+
+const voteSchema = z.object({
+  vote: z.nativeEnum(VoteChoice)
+});
+
+const conflictSchema = z.object({
+  // Defaults to you; recording someone else's declaration needs resolution:manage
+  userId: z.string().uuid('Invalid user ID').optional(),
+  reason: z.string().trim().min(1, 'Describe the conflict').max(2000)
+});
+
+const listResolutionsSchema = z.object({
+  page: z.string().optional().transform(v => parseInt(v || '1')),
+  limit: z.string().optional().transform(v => Math.min(parseInt(v || '20'), 100)),
+  status: z.nativeEnum(ResolutionStatus).optional(),
+  type: z.nativeEnum(ResolutionType).optional(),
+  meetingId: z.string().uuid().optional()
+});
+
+const RESOLUTION_SELECT = `
+  *,
+  meetings(id, title, meeting_date),
+  proposer:users!resolutions_proposer_id_fkey(id, first_name, last_name),
+  seconder:users!resolutions_seconder_id_fkey(id, first_name, last_name)
+`;
+
+const CLOSED_STATUSES = [ResolutionStatus.PASSED, ResolutionStatus.FAILED];
+
+const nameOf = (user: any) => user ? { id: user.id, name: `${user.first_name} ${user.last_name}` } : null;
+
+// Response mappers
+const formatResolution = (resolution: any) => ({
+  id: resolution.id,
+  organizationId: resolution.organization_id,
+  type: resolution.type,
+  meeting: resolution.meetings ? {
+    id: resolution.meetings.id,
+    title: resolution.meetings.title,
+    meetingDate: resolution.meetings.meeting_date
+  } : null,
+  agendaItemId: resolution.agenda_item_id,
+  title: resolution.title,
+  motion: resolution.motion,
+  proposer: nameOf(resolution.proposer),
+  seconder: nameOf(resolution.seconder),
+  passThreshold: resolution.pass_threshold,
+  quorumPercent: resolution.quorum_percent,
+  status: resolution.status,
+  eligibleVoterCount: (resolution.eligible_voter_ids || []).length,
+  votingOpensAt: resolution.voting_opens_at,
+  votingClosesAt: resolution.voting_closes_at,
+  outcome: CLOSED_STATUSES.includes(resolution.status) ? {
+    votesFor: resolution.votes_for,
+    votesAgainst: resolution.votes_against,
+    abstentions: resolution.abstentions,
+    quorumRequired: resolution.quorum_required,
+    quorumMet: resolution.quorum_met,
+    closedAt: resolution.closed_at,
+    auditLogId: resolution.outcome_audit_log_id
+  } : null,
+  withdrawnReason: resolution.withdrawn_reason,
+  createdBy: resolution.created_by,
+  createdAt: resolution.created_at,
+  updatedAt: resolution.updated_at
+});
+
+const canManage = (req: Request) =>
+  req.user!.isSuperAdmin || (!!req.member && RBACService.hasPermission(req.member.role, Permission.RESOLUTION_MANAGE));
+
+const assertCanManage = (req: Request) => {
+  if (!canManage(req)) {
+    throw Errors.forbidden(`Required permissions: ${Permission.RESOLUTION_MANAGE}`);
+  }
+};
+
+// The proposer can change their own draft; anyone with resolution:manage can change any
+const assertCanEdit = (req: Request, resolution: any) => {
+  if (resolution.proposer_id !== req.user!.id && resolution.created_by !== req.user!.id) {
+    assertCanManage(req);
+  }
+};
+
+// Load a resolution that belongs to the organization
+const findResolution = async (id: string, organizationId: string) => {
+  const { data: resolution, error } = await supabase
+    .from('resolutions')
+    .select(RESOLUTION_SELECT)
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !resolution) {
+    throw Errors.notFound('Resolution');
+  }
+
+  return resolution;
+};
+
+// Proposers and seconders must be current trustees
+const assertEligible = async (organizationId: string, userIds: Record<string, string | null | undefined>) => {
+  const eligible = new Set(await ResolutionService.getEligibleVoterIds(organizationId));
+  const errors: Record<string, string> = {};
+
+  for (const [field, userId] of Object.entries(userIds)) {
+    if (userId && !eligible.has(userId)) {
+      errors[field] = 'Must be a current trustee';
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw Errors.validation(errors);
+  }
+};
+
+// Ensure the meeting (and agenda item, if given) belong to the organization
+const assertMeetingLink = async (organizationId: string, meetingId?: string | null, agendaItemId?: string | null) => {
+  if (!meetingId) {
+    if (agendaItemId) throw Errors.validation({ agendaItemId: 'Agenda items need a meeting' });
+    return;
+  }
+
+  const { data: meeting } = await supabase
+    .from('meetings')
+    .select('id, status')
+    .eq('id', meetingId)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (!meeting) {
+    throw Errors.notFound('Meeting');
+  }
+  if (meeting.status === MeetingStatus.CANCELLED) {
+    throw Errors.badRequest('MEETING_CANCELLED', 'Resolutions cannot be raised in a cancelled meeting');
+  }
+
+  if (agendaItemId) {
+    const { data: item } = await supabase
+      .from('agenda_items')
+      .select('id')
+      .eq('id', agendaItemId)
+      .eq('meeting_id', meetingId)
+      .single();
+
+    if (!item) {
+      throw Errors.notFound('Agenda item');
+    }
+  }
+};
+
+const assertFutureClose = (votingClosesAt: string) => {
+  if (new Date(votingClosesAt) <= new Date()) {
+    throw Errors.validation({ votingClosesAt: 'Voting must close in the future' });
+  }
+};
+
+// Email eligible voters that a written resolution is open
+const notifyVoters = async (req: Request, resolution: any) => {
+  const voterIds: string[] = resolution.eligible_voter_ids || [];
+  if (voterIds.length === 0) return;
+
+  const { data: users } = await supabase
+    .from('users')
+    .select('email')
+    .in('id', voterIds);
+
+  await Promise.all((users || []).map(user =>
+    EmailService.sendWrittenResolutionEmail({
+      to: user.email,
+      organizationName: req.organization!.name,
+      title: resolution.title,
+      motion: resolution.motion,
+      votingClosesAt: resolution.voting_closes_at
+    })
+  ));
+};
+
+// All routes require authentication within an organization
+router.use(authenticate, requireOrganization, enforceSubscriptionStatus, ...accountRateLimiter);
+
+// GET /api/resolutions - List resolutions
+router.get('/',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const { page, limit, status, type, meetingId } = listResolutionsSchema.parse(req.query);
+
+    let query = supabase
+      .from('resolutions')
+      .select(RESOLUTION_SELECT, { count: 'exact' })
+      .eq('organization_id', req.organization!.id);
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+    if (meetingId) query = query.eq('meeting_id', meetingId);
+
+    const { data: resolutions, count, error } = await query
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) {
+      throw Errors.internal('Failed to fetch resolutions');
+    }
+
+    const totalPages = Math.ceil((count || 0) / limit);
+
+    sendSuccess(res, {
+      resolutions: (resolutions || []).map(formatResolution),
+      meta: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  })
+);
+
+// GET /api/resolutions/:id - Resolution with votes and declared conflicts
+router.get('/:id',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const resolution = await findResolution(req.params.id, req.organization!.id);
+
+    const [{ data: votes }, { data: conflicts }, conflictedIds] = await Promise.all([
+      supabase
+        .from('resolution_votes')
+        .select('user_id, vote, voted_at, users(id, first_name, last_name)')
+        .eq('resolution_id', resolution.id),
+      supabase
+        .from('resolution_conflicts')
+        .select('user_id, reason, declared_at, users!resolution_conflicts_user_id_fkey(id, first_name, last_name)')
+        .eq('resolution_id', resolution.id),
+      InterestService.getConflictedUserIds(resolution)
+    ]);
+
+    const myVote = (votes || []).find(v => v.user_id === req.user!.id);
+    const closed = CLOSED_STATUSES.includes(resolution.status);
+
+    sendSuccess(res, {
+      resolution: formatResolution(resolution),
+      // Individual votes are shown once voting has closed
+      votes: closed
+        ? (votes || []).map((v: any) => ({ user: nameOf(v.users), vote: v.vote, votedAt: v.voted_at }))
+        : null,
+      votesCast: (votes || []).length,
+      conflicts: (conflicts || []).map((c: any) => ({ user: nameOf(c.users), reason: c.reason, declaredAt: c.declared_at })),
+      myVote: myVote?.vote || null,
+      canVote: resolution.status === ResolutionStatus.OPEN
+        && (resolution.eligible_voter_ids || []).includes(req.user!.id)
+        && !conflictedIds.has(req.user!.id)
+    });
+  })
+);
+
+// POST /api/resolutions - Propose a resolution
+router.post('/',
+  requirePermission(Permission.RESOLUTION_PROPOSE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const validated = createResolutionSchema.parse(req.body);
+    const proposerId = validated.proposerId || req.user!.id;
+
+    if (proposerId !== req.user!.id) assertCanManage(req);
+
+    if (validated.type === ResolutionType.MEETING && !validated.meetingId) {
+      throw Errors.validation({ meetingId: 'Meeting resolutions must be linked to a meeting' });
+    }
+    if (validated.type === ResolutionType.MEETING && validated.votingClosesAt) {
+      throw Errors.validation({ votingClosesAt: 'Only written resolutions have a closing time' });
+    }
+    if (validated.votingClosesAt) assertFutureClose(validated.votingClosesAt);
+    if (validated.seconderId && validated.seconderId === proposerId) {
+      throw Errors.validation({ seconderId: 'The seconder must be someone other than the proposer' });
+    }
+
+    await assertMeetingLink(organizationId, validated.meetingId, validated.agendaItemId);
+    await assertEligible(organizationId, { proposerId, seconderId: validated.seconderId });
+
+    const { data: resolution, error } = await supabase
+      .from('resolutions')
+      .insert({
+        organization_id: organizationId,
+        type: validated.type,
+        meeting_id: validated.meetingId || null,
+        agenda_item_id: validated.agendaItemId || null,
+        title: validated.title,
+        motion: validated.motion,
+        proposer_id: proposerId,
+        seconder_id: validated.seconderId || null,
+        pass_threshold: validated.passThreshold,
+        quorum_percent: validated.quorumPercent,
+        voting_closes_at: validated.votingClosesAt || null,
+        status: ResolutionStatus.DRAFT,
+        created_by: req.user!.id
+      })
+      .select('id')
+      .single();
+
+    if (error || !resolution) {
+      throw Errors.internal('Failed to create resolution');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'resolution',
+      resourceId: resolution.id,
+      details: {
+        type: validated.type,
+        title: validated.title,
+        meetingId: validated.meetingId,
+        proposerId,
+        seconderId: validated.seconderId
+      },
+      ipAddress: req.ip
+    });
+
+    const created = await findResolution(resolution.id, organizationId);
+
+    sendSuccess(res, { resolution: formatResolution(created) }, 201);
+  })
+);
+
+// PUT /api/resolutions/:id - Edit a draft resolution
+router.put('/:id',
+  requirePermission(Permission.RESOLUTION_PROPOSE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const resolution = await findResolution(req.params.id, organizationId);
+    const validated = updateResolutionSchema.parse(req.body);
+
+    assertCanEdit(req, resolution);
+
+    if (resolution.status !== ResolutionStatus.DRAFT) {
+      throw Errors.conflict('RESOLUTION_LOCKED', 'Only draft resolutions can be edited');
+    }
+    if (validated.votingClosesAt) {
+      if (resolution.type !== ResolutionType.WRITTEN) {
+        throw Errors.validation({ votingClosesAt: 'Only written resolutions have a closing time' });
+      }
+      assertFutureClose(validated.votingClosesAt);
+    }
+    if (validated.seconderId && validated.seconderId === resolution.proposer_id) {
+      throw Errors.validation({ seconderId: 'The seconder must be someone other than the proposer' });
+    }
+    if (validated.agendaItemId) {
+      await assertMeetingLink(organizationId, resolution.meeting_id, validated.agendaItemId);
+    }
+    if (validated.seconderId) {
+      await assertEligible(organizationId, { seconderId: validated.seconderId });
+    }
+
+    const updateData: any = { updated_at: new Date().toISOString() };
+    if (validated.title !== undefined) updateData.title = validated.title;
+    if (validated.motion !== undefined) updateData.motion = validated.motion;
+    if (validated.agendaItemId !== undefined) updateData.agenda_item_id = validated.agendaItemId;
+    if (validated.seconderId !== undefined) updateData.seconder_id = validated.seconderId;
+    if (validated.passThreshold !== undefined) updateData.pass_threshold = validated.passThreshold;
+    if (validated.quorumPercent !== undefined) updateData.quorum_percent = validated.quorumPercent;
+    if (validated.votingClosesAt !== undefined) updateData.voting_closes_at = validated.votingClosesAt;
+
+    const { data: updated, error } = await supabase
+      .from('resolutions')
+      .update(updateData)
+      .eq('id', resolution.id)
+      .eq('status', ResolutionStatus.DRAFT)
+      .select('id')
+      .single();
+
+    if (error || !updated) {
+      throw Errors.conflict('RESOLUTION_STATUS_CHANGED', 'The resolution was updated by someone else - please refresh');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'resolution',
+      resourceId: resolution.id,
+      details: { fields: Object.keys(validated) },
+      ipAddress: req.ip
+    });
+
+    const result = await findResolution(resolution.id, organizationId);
+
+    sendSuccess(res, { resolution: formatResolution(result) });
+  })
+);
+
+// POST /api/resolutions/:id/second - Second a draft resolution
+router.post('/:id/second',
+  requirePermission(Permission.RESOLUTION_PROPOSE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const resolution = await findResolution(req.params.id, organizationId);
+
+    if (resolution.status !== ResolutionStatus.DRAFT) {
+      throw Errors.conflict('RESOLUTION_LOCKED', 'Only draft resolutions can be seconded');
+    }
+    if (resolution.proposer_id === req.user!.id) {
+      throw Errors.badRequest('CANNOT_SECOND_OWN', 'You cannot second your own resolution');
+    }
+
+    await assertEligible(organizationId, { seconderId: req.user!.id });
+
+    const { data: seconded } = await supabase
+      .from('resolutions')
+      .update({ seconder_id: req.user!.id, updated_at: new Date().toISOString() })
+      .eq('id', resolution.id)
+      .eq('status', ResolutionStatus.DRAFT)
+      .is('seconder_id', null)
+      .select('id')
+      .single();
+
+    if (!seconded) {
+      throw Errors.conflict('ALREADY_SECONDED', 'This resolution has already been seconded');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'resolution',
+      resourceId: resolution.id,
+      details: { action: 'second', seconderId: req.user!.id },
+      ipAddress: req.ip
+    });
+
+    const result = await findResolution(resolution.id, organizationId);
+
+    sendSuccess(res, { resolution: formatResolution(result) });
+  })
+);
+
+// PUT /api/resolutions/:id/status - Open voting or withdraw
+router.put('/:id/status',
+  requirePermission(Permission.RESOLUTION_PROPOSE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const resolution = await findResolution(req.params.id, organizationId);
+    const { status, reason } = resolutionStatusSchema.parse(req.body);
+
+    ResolutionService.assertTransition(resolution.status, status);
+
+    const updates: Record<string, any> = {};
+    const details: Record<string, any> = {};
+
+    if (status === ResolutionStatus.OPEN) {
+      assertCanManage(req);
+
+      if (!resolution.seconder_id) {
+        throw Errors.badRequest('SECONDER_REQUIRED', 'A resolution must be seconded before voting opens');
+      }
+
+      // Voters are fixed when voting opens; conflicts declared later still exclude them
+      const eligibleVoterIds = await ResolutionService.getEligibleVoterIds(organizationId);
+      if (eligibleVoterIds.length === 0) {
+        throw Errors.badRequest('NO_ELIGIBLE_VOTERS', 'There are no current trustees to vote');
+      }
+
+      const now = new Date();
+      updates.eligible_voter_ids = eligibleVoterIds;
+      updates.voting_opens_at = now.toISOString();
+
+      if (resolution.type === ResolutionType.WRITTEN) {
+        if (resolution.voting_closes_at && new Date(resolution.voting_closes_at) <= now) {
+          throw Errors.validation({ votingClosesAt: 'Voting must close in the future' });
+        }
+        updates.voting_closes_at = resolution.voting_closes_at
+          || new Date(now.getTime() + DEFAULT_WRITTEN_VOTING_DAYS * DAY_MS).toISOString();
+      }
+
+      details.eligibleVoterCount = eligibleVoterIds.length;
+      details.votingClosesAt = updates.voting_closes_at;
+    } else {
+      assertCanEdit(req, resolution);
+      updates.withdrawn_reason = reason || null;
+      if (reason) details.reason = reason;
+    }
+
+    const updated = await ResolutionService.transitionResolution(resolution, status, updates);
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'resolution',
+      resourceId: resolution.id,
+      details: { from: resolution.status, to: status, ...details },
+      ipAddress: req.ip
+    });
+
+    if (status === ResolutionStatus.OPEN && resolution.type === ResolutionType.WRITTEN) {
+      notifyVoters(req, updated).catch(() => {});
+    }
+
+    const result = await findResolution(resolution.id, organizationId);
+
+    sendSuccess(res, { resolution: formatResolution(result) });
+  })
+);
+
+// PUT /api/resolutions/:id/vote - Cast or change your vote
+router.put('/:id/vote',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const resolution = await findResolution(req.params.id, organizationId);
+    const { vote } = voteSchema.parse(req.body);
+
+    if (resolution.status !== ResolutionStatus.OPEN
+      || (resolution.voting_closes_at && new Date(resolution.voting_closes_at) <= new Date())) {
+      throw Errors.conflict('VOTING_CLOSED', 'Voting is not open for this resolution');
+    }
+    if (!(resolution.eligible_voter_ids || []).includes(req.user!.id)) {
+      throw Errors.forbidden('You are not eligible to vote on this resolution');
+    }
+
+    // Includes conflicts declared at the meeting against this item
+    const conflicted = await InterestService.getConflictedUserIds(resolution);
+
+    if (conflicted.has(req.user!.id)) {
+      throw Errors.forbidden('You have declared a conflict of interest on this resolution');
+    }
+
+    const { error } = await supabase
+      .from('resolution_votes')
+      .upsert({
+        resolution_id: resolution.id,
+        organization_id: organizationId,
+        user_id: req.user!.id,
+        vote,
+        voted_at: new Date().toISOString()
+      }, { onConflict: 'resolution_id,user_id' });
+
+    if (error) {
+      throw Errors.internal('Failed to record vote');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'resolution',
+      resourceId: resolution.id,
+      details: { action: 'vote', vote },
+      ipAddress: req.ip
+    });
+
+    // Written resolutions close as soon as everyone who can vote has voted
+    let current = resolution;
+    if (resolution.type === ResolutionType.WRITTEN) {
+      const { data: votes } = await supabase.from('resolution_votes').select('user_id').eq('resolution_id', resolution.id);
+      const voted = new Set((votes || []).map(v => v.user_id));
+      const outstanding = (resolution.eligible_voter_ids as string[])
+        .filter(id => !conflicted.has(id) && !voted.has(id));
+
+      if (outstanding.length === 0) {
+        await ResolutionService.closeResolution(resolution, null, req.ip).catch(() => {});
+        current = await findResolution(resolution.id, organizationId);
+      }
+    }
+
+    sendSuccess(res, { message: 'Vote recorded', vote, resolution: formatResolution(current) });
+  })
+);
+
+// POST /api/resolutions/:id/conflicts - Declare a conflict of interest
+router.post('/:id/conflicts',
+  requirePermission(Permission.MEETING_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const resolution = await findResolution(req.params.id, organizationId);
+    const validated = conflictSchema.parse(req.body);
+    const userId = validated.userId || req.user!.id;
+
+    if (userId !== req.user!.id) assertCanManage(req);
+
+    if (resolution.status !== ResolutionStatus.DRAFT && resolution.status !== ResolutionStatus.OPEN) {
+      throw Errors.conflict('RESOLUTION_LOCKED', 'Conflicts can only be declared before voting closes');
+    }
+
+    const { error } = await supabase
+      .from('resolution_conflicts')
+      .insert({
+        resolution_id: resolution.id,
+        organization_id: organizationId,
+        user_id: userId,
+        reason: validated.reason,
+        recorded_by: req.user!.id
+      });
+
+    if (error) {
+      if (error.code === '23505') {
+        throw Errors.conflict('CONFLICT_ALREADY_DECLARED', 'This conflict has already been declared');
+      }
+      throw Errors.internal('Failed to record conflict');
+    }
+
+    // A conflicted member's vote doesn't count
+    await supabase
+      .from('resolution_votes')
+      .delete()
+      .eq('resolution_id', resolution.id)
+      .eq('user_id', userId);
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'resolution_conflict',
+      resourceId: resolution.id,
+      details: { conflictedUserId: userId, reason: validated.reason },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Conflict of interest recorded' }, 201);
+  })
+);
+
+// POST /api/resolutions/:id/close - Close voting and record the outcome
+router.post('/:id/close',
+  requirePermission(Permission.RESOLUTION_MANAGE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const resolution = await findResolution(req.params.id, organizationId);
+
+    if (resolution.status !== ResolutionStatus.OPEN) {
+      throw Errors.conflict('VOTING_CLOSED', 'Voting is not open for this resolution');
+    }
+
+    await ResolutionService.closeResolution(resolution, req.user!.id, req.ip);
+
+    const result = await findResolution(resolution.id, organizationId);
+
+    sendSuccess(res, { resolution: formatResolution(result) });
+  })
+);
+
+// DELETE /api/resolutions/:id - Delete a draft resolution
+router.delete('/:id',
+  requirePermission(Permission.RESOLUTION_PROPOSE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const resolution = await findResolution(req.params.id, organizationId);
+
+    assertCanEdit(req, resolution);
+
+    if (resolution.status !== ResolutionStatus.DRAFT) {
+      throw Errors.conflict('RESOLUTION_LOCKED', 'Only draft resolutions can be deleted - withdraw it instead');
+    }
+
+    const { error } = await supabase
+      .from('resolutions')
+      .delete()
+      .eq('id', resolution.id)
+      .eq('status', ResolutionStatus.DRAFT);
+
+    if (error) {
+      throw Errors.internal('Failed to delete resolution');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'resolution',
+      resourceId: resolution.id,
+      details: { title: resolution.title },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Resolution deleted successfully' });
+  })
+);
+
+export default router;
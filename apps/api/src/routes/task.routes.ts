@@ -0,0 +1,470 @@
+/**
+ * Task Routes
+ * Org-scoped tasks and action items with assignment and completion
+ */
+
+import { Router } from 'express';
+import { z } from 'zod';
+import { supabase } from '../config/database';
+import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
+import type { Request, Response } from 'express';
+import { authenticate, requireOrganization, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
+import { AuditService } from '../services/audit.service';
+import { RBACService } from '../services/rbac.service';
+import { EmailService } from '../services/email.service';
+import { Permission, AuditAction, TaskStatus, TaskPriority } from '../types';
+
+const router = Router();
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validation schemas
+const createTaskSchema = z.object({
+  title: z.string().min(1, 'Title is required').max(200),
+  description: z.string().max(5000).optional(),
+  priority: z.nativeEnum(TaskPriority).default(TaskPriority.MEDIUM),
+  dueDate: z.string().regex(DATE_REGEX, 'Due date must be YYYY-MM-DD').optional().nullable(),
+  assignedTo: z.string().uuid('Invalid user ID').optional().nullable(),
+  committeeId: z.string().uuid().optional().nullable(),
+  meetingId: z.string().uuid().optional().nullable()
+});
+
+const updateTaskSchema = z.object({
+  title: z.string().min(1).max(200).optional(),
+  description: z.string().max(5000).optional(),
+  status: z.nativeEnum(TaskStatus).optional(),
+  priority: z.nativeEnum(TaskPriority).optional(),
+  dueDate: z.string().regex(DATE_REGEX, 'Due date must be YYYY-MM-DD').optional().nullable(),
+  assignedTo: z.string().uuid('Invalid user ID').optional().nullable(),
+  committeeId: z.string().uuid().optional().nullable(),
+  meetingId: z.string().uuid().optional().nullable()
+});
+
+const listTasksSchema = z.object({
+  page: z.string().optional().transform(v => parseInt(v || '1')),
+  limit: z.string().optional().transform(v => Math.min(parseInt(v || '20'), 100)),
+  assignedTo: z.union([z.literal('me'), z.string().uuid()]).optional(),
+  status: z.nativeEnum(TaskStatus).optional(),
+  priority: z.nativeEnum(TaskPriority).optional(),
+  dueFrom: z.string().regex(DATE_REGEX, 'dueFrom must be YYYY-MM-DD').optional(),
+  dueTo: z.string().regex(DATE_REGEX, 'dueTo must be YYYY-MM-DD').optional(),
+  overdue: z.string().optional().transform(v => v === 'true'),
+  committeeId: z.string().uuid().optional(),
+  meetingId: z.string().uuid().optional()
+});
+
+const TASK_SELECT = '*, assignee:users!tasks_assigned_to_fkey(id, email, first_name, last_name, avatar)';
+
+// Response mapper
+const formatTask = (task: any) => ({
+  id: task.id,
+  organizationId: task.organization_id,
+  committeeId: task.committee_id,
+  meetingId: task.meeting_id,
+  title: task.title,
+  description: task.description,
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.due_date,
+  assignedTo: task.assigned_to,
+  assignee: task.assignee ? {
+    id: task.assignee.id,
+    email: task.assignee.email,
+    firstName: task.assignee.first_name,
+    lastName: task.assignee.last_name,
+    avatar: task.assignee.avatar
+  } : null,
+  assignedBy: task.assigned_by,
+  completedAt: task.completed_at,
+  completedBy: task.completed_by,
+  createdBy: task.created_by,
+  createdAt: task.created_at,
+  updatedAt: task.updated_at
+});
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Load a task that belongs to the organization
+const findTask = async (id: string, organizationId: string) => {
+  const { data: task, error } = await supabase
+    .from('tasks')
+    .select(TASK_SELECT)
+    .eq('id', id)
+    .eq('organization_id', organizationId)
+    .single();
+
+  if (error || !task) {
+    throw Errors.notFound('Task');
+  }
+
+  return task;
+};
+
+// Assigning work to someone else requires TASK_ASSIGN
+const assertCanAssign = (req: Request, assigneeId?: string | null) => {
+  if (!assigneeId || assigneeId === req.user!.id) return;
+  if (req.user!.isSuperAdmin) return;
+
+  if (!req.member || !RBACService.hasPermission(req.member.role, Permission.TASK_ASSIGN)) {
+    throw Errors.forbidden(`Required permissions: ${Permission.TASK_ASSIGN}`);
+  }
+};
+
+// Ensure the assignee is an active member of the organization
+const assertAssignee = async (organizationId: string, assigneeId?: string | null) => {
+  if (!assigneeId) return null;
+
+  const { data: member } = await supabase
+    .from('organization_members')
+    .select('user_id, users(email)')
+    .eq('organization_id', organizationId)
+    .eq('user_id', assigneeId)
+    .eq('is_active', true)
+    .single();
+
+  if (!member) {
+    throw Errors.badRequest('NOT_ORGANIZATION_MEMBER', 'Tasks can only be assigned to active members of the organization');
+  }
+
+  return member as any;
+};
+
+// Ensure linked committee/meeting belong to the organization
+const assertLinks = async (organizationId: string, committeeId?: string | null, meetingId?: string | null) => {
+  if (committeeId) {
+    const { data: committee } = await supabase
+      .from('committees')
+      .select('id')
+      .eq('id', committeeId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (!committee) {
+      throw Errors.notFound('Committee');
+    }
+  }
+
+  if (meetingId) {
+    const { data: meeting } = await supabase
+      .from('meetings')
+      .select('id')
+      .eq('id', meetingId)
+      .eq('organization_id', organizationId)
+      .single();
+
+    if (!meeting) {
+      throw Errors.notFound('Meeting');
+    }
+  }
+};
+
+const notifyAssignee = (req: Request, email: string | undefined, task: any) => {
+  if (!email || task.assigned_to === req.user!.id) return;
+
+  EmailService.sendTaskAssignedEmail({
+    to: email,
+    organizationName: req.organization!.name,
+    assignerName: `${req.user!.firstName || ''} ${req.user!.lastName || ''}`.trim() || req.user!.email,
+    taskTitle: task.title,
+    dueDate: task.due_date,
+    priority: task.priority
+  }).catch(() => {});
+};
+
+// All routes require authentication within an organization
+router.use(authenticate, requireOrganization, enforceSubscriptionStatus, ...accountRateLimiter);
+
+// GET /api/tasks - List tasks
+router.get('/',
+  requirePermission(Permission.TASK_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const {
+      page, limit, assignedTo, status, priority, dueFrom, dueTo, overdue, committeeId, meetingId
+    } = listTasksSchema.parse(req.query);
+
+    let query = supabase
+      .from('tasks')
+      .select(TASK_SELECT, { count: 'exact' })
+      .eq('organization_id', organizationId);
+
+    if (assignedTo) query = query.eq('assigned_to', assignedTo === 'me' ? req.user!.id : assignedTo);
+    if (status) query = query.eq('status', status);
+    if (priority) query = query.eq('priority', priority);
+    if (dueFrom) query = query.gte('due_date', dueFrom);
+    if (dueTo) query = query.lte('due_date', dueTo);
+    if (committeeId) query = query.eq('committee_id', committeeId);
+    if (meetingId) query = query.eq('meeting_id', meetingId);
+    if (overdue) {
+      query = query
+        .lt('due_date', today())
+        .in('status', [TaskStatus.PENDING, TaskStatus.IN_PROGRESS]);
+    }
+
+    const { data: tasks, count, error } = await query
+      .order('due_date', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: false })
+      .range((page - 1) * limit, page * limit - 1);
+
+    if (error) {
+      throw Errors.internal('Failed to fetch tasks');
+    }
+
+    const totalPages = Math.ceil((count || 0) / limit);
+
+    sendSuccess(res, {
+      tasks: (tasks || []).map(formatTask),
+      meta: {
+        page,
+        limit,
+        total: count || 0,
+        totalPages,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  })
+);
+
+// GET /api/tasks/:id - Get task
+router.get('/:id',
+  requirePermission(Permission.TASK_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const task = await findTask(req.params.id, req.organization!.id);
+
+    sendSuccess(res, { task: formatTask(task) });
+  })
+);
+
+// POST /api/tasks - Create task
+router.post('/',
+  requirePermission(Permission.TASK_CREATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const validated = createTaskSchema.parse(req.body);
+
+    assertCanAssign(req, validated.assignedTo);
+    const assignee = await assertAssignee(organizationId, validated.assignedTo);
+    await assertLinks(organizationId, validated.committeeId, validated.meetingId);
+
+    const { data: task, error } = await supabase
+      .from('tasks')
+      .insert({
+        organization_id: organizationId,
+        committee_id: validated.committeeId || null,
+        meeting_id: validated.meetingId || null,
+        title: validated.title,
+        description: validated.description,
+        priority: validated.priority,
+        status: TaskStatus.PENDING,
+        due_date: validated.dueDate || null,
+        assigned_to: validated.assignedTo || null,
+        assigned_by: validated.assignedTo ? req.user!.id : null,
+        created_by: req.user!.id
+      })
+      .select(TASK_SELECT)
+      .single();
+
+    if (error || !task) {
+      throw Errors.internal('Failed to create task');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.CREATE,
+      resourceType: 'task',
+      resourceId: task.id,
+      details: {
+        title: task.title,
+        priority: task.priority,
+        dueDate: task.due_date,
+        assignedTo: task.assigned_to
+      },
+      ipAddress: req.ip
+    });
+
+    notifyAssignee(req, assignee?.users?.email, task);
+
+    sendSuccess(res, { task: formatTask(task) }, 201);
+  })
+);
+
+// PUT /api/tasks/:id - Update task
+router.put('/:id',
+  requirePermission(Permission.TASK_UPDATE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const existing = await findTask(req.params.id, organizationId);
+    const validated = updateTaskSchema.parse(req.body);
+
+    const reassigned = validated.assignedTo !== undefined && validated.assignedTo !== existing.assigned_to;
+    let assignee: any = null;
+
+    if (reassigned) {
+      assertCanAssign(req, validated.assignedTo);
+      assignee = await assertAssignee(organizationId, validated.assignedTo);
+    }
+
+    await assertLinks(organizationId, validated.committeeId, validated.meetingId);
+
+    const updateData: any = {};
+    if (validated.title !== undefined) updateData.title = validated.title;
+    if (validated.description !== undefined) updateData.description = validated.description;
+    if (validated.priority !== undefined) updateData.priority = validated.priority;
+    if (validated.committeeId !== undefined) updateData.committee_id = validated.committeeId;
+    if (validated.meetingId !== undefined) updateData.meeting_id = validated.meetingId;
+
+    if (reassigned) {
+      updateData.assigned_to = validated.assignedTo || null;
+      updateData.assigned_by = validated.assignedTo ? req.user!.id : null;
+    }
+
+    // A new due date earns fresh reminders
+    if (validated.dueDate !== undefined && validated.dueDate !== existing.due_date) {
+      updateData.due_date = validated.dueDate || null;
+      updateData.due_reminder_sent_at = null;
+      updateData.overdue_reminder_sent_at = null;
+    }
+
+    if (validated.status !== undefined && validated.status !== existing.status) {
+      updateData.status = validated.status;
+      if (validated.status === TaskStatus.COMPLETED) {
+        updateData.completed_at = new Date().toISOString();
+        updateData.completed_by = req.user!.id;
+      } else if (existing.status === TaskStatus.COMPLETED) {
+        updateData.completed_at = null;
+        updateData.completed_by = null;
+      }
+    }
+
+    const { data: task, error } = await supabase
+      .from('tasks')
+      .update(updateData)
+      .eq('id', existing.id)
+      .select(TASK_SELECT)
+      .single();
+
+    if (error || !task) {
+      throw Errors.internal('Failed to update task');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'task',
+      resourceId: task.id,
+      details: {
+        fields: Object.keys(validated),
+        previousStatus: existing.status,
+        newStatus: validated.status,
+        previousAssignee: reassigned ? existing.assigned_to : undefined,
+        newAssignee: reassigned ? task.assigned_to : undefined
+      },
+      ipAddress: req.ip
+    });
+
+    if (reassigned) {
+      notifyAssignee(req, assignee?.users?.email, task);
+    }
+
+    sendSuccess(res, {
+      message: 'Task updated successfully',
+      task: formatTask(task)
+    });
+  })
+);
+
+// DELETE /api/tasks/:id - Delete task
+router.delete('/:id',
+  requirePermission(Permission.TASK_DELETE),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const task = await findTask(req.params.id, organizationId);
+
+    const { error } = await supabase
+      .from('tasks')
+      .delete()
+      .eq('id', task.id);
+
+    if (error) {
+      throw Errors.internal('Failed to delete task');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.DELETE,
+      resourceType: 'task',
+      resourceId: task.id,
+      details: { title: task.title },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, { message: 'Task deleted successfully' });
+  })
+);
+
+// POST /api/tasks/:id/complete - Mark task complete (assignee or TASK_UPDATE holder)
+router.post('/:id/complete',
+  requirePermission(Permission.TASK_VIEW),
+  asyncHandler(async (req: Request, res: Response) => {
+    const organizationId = req.organization!.id;
+    const existing = await findTask(req.params.id, organizationId);
+
+    const isAssignee = existing.assigned_to === req.user!.id;
+    const canUpdate = req.user!.isSuperAdmin
+      || (!!req.member && RBACService.hasPermission(req.member.role, Permission.TASK_UPDATE));
+
+    if (!isAssignee && !canUpdate) {
+      throw Errors.forbidden('Only the assignee or a task manager can complete this task');
+    }
+
+    if (existing.status === TaskStatus.COMPLETED) {
+      throw Errors.conflict('TASK_ALREADY_COMPLETED', 'This task has already been completed');
+    }
+
+    if (existing.status === TaskStatus.CANCELLED) {
+      throw Errors.badRequest('TASK_CANCELLED', 'Cancelled tasks cannot be completed');
+    }
+
+    const { data: task, error } = await supabase
+      .from('tasks')
+      .update({
+        status: TaskStatus.COMPLETED,
+        completed_at: new Date().toISOString(),
+        completed_by: req.user!.id
+      })
+      .eq('id', existing.id)
+      .select(TASK_SELECT)
+      .single();
+
+    if (error || !task) {
+      throw Errors.internal('Failed to complete task');
+    }
+
+    await AuditService.log({
+      organizationId,
+      userId: req.user!.id,
+      action: AuditAction.UPDATE,
+      resourceType: 'task',
+      resourceId: task.id,
+      details: {
+        previousStatus: existing.status,
+        newStatus: TaskStatus.COMPLETED,
+        completedAt: task.completed_at
+      },
+      ipAddress: req.ip
+    });
+
+    sendSuccess(res, {
+      message: 'Task completed',
+      task: formatTask(task)
+    });
+  })
+);
+
+export default router;
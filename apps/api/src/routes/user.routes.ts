@@ -6,11 +6,18 @@
 import { Router } from 'express';
 import { z } from 'zod';
 import { supabase } from '../config/database';
-import { asyncHandler, sendSuccess, Errors } from '../utils/api-response';
+import { asyncHandler, sendSuccess, Errors, AppError } from '../utils/api-response';
 import type { Request, Response } from 'express';
 import { authenticate, requirePermission } from '../middleware/auth.middleware';
+import { enforceSubscriptionStatus } from '../middleware/subscription.middleware';
+import { accountRateLimiter } from '../middleware/rate-limit.middleware';
 import { AuditService } from '../services/audit.service';
-import { AuditAction, Permission, Role } from '../types';
+import { MfaService } from '../services/mfa.service';
+import { EmailChangeService } from '../services/email-change.service';
+import { AccountErasureService } from '../services/account-erasure.service';
+import { SessionService } from '../services/session.service';
+import { clearAuthCookies } from '../services/token.service';
+import { AuditAction, Permission, Role, SessionRevokeReason } from '../types';
 import bcrypt from 'bcryptjs';
 
 const router = Router();
@@ -42,6 +49,24 @@ const changePasswordSchema = z.object({
     .regex(/[^A-Za-z0-9]/, 'Password must contain at least one special character')
 });
 
+const changeEmailSchema = z.object({
+  newEmail: z.string().trim().toLowerCase().email('Invalid email address'),
+  password: z.string().min(1, 'Password is required')
+});
+
+const deleteAccountSchema = z.object({
+  password: z.string().min(1, 'Password is required')
+});
+
+const mfaCodeSchema = z.object({
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits')
+});
+
+const disableMfaSchema = z.object({
+  password: z.string().min(1, 'Password is required'),
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits')
+});
+
 const listUsersSchema = z.object({
   page: z.string().optional().transform(v => parseInt(v || '1')),
   limit: z.string().optional().transform(v => Math.min(parseInt(v || '20'), 100)),
@@ -51,7 +76,7 @@ const listUsersSchema = z.object({
 });
 
 // All routes require authentication
-router.use(authenticate);
+router.use(authenticate, enforceSubscriptionStatus, ...accountRateLimiter);
 
 // GET /api/users - List users with pagination (requires USER_VIEW permission)
 router.get('/', 
@@ -130,9 +155,12 @@ router.get('/me', asyncHandler(async (req: Request, res: Response) => {
     throw Errors.notFound('User');
   }
   
+  const pendingEmailChange = await EmailChangeService.getPending(user.id);
+  
   sendSuccess(res, {
     id: user.id,
     email: user.email,
+    pendingEmail: pendingEmailChange?.new_email || null,
     firstName: user.first_name,
     lastName: user.last_name,
     avatar: user.avatar,
@@ -149,10 +177,51 @@ router.get('/me', asyncHandler(async (req: Request, res: Response) => {
     githubUrl: user.github_url,
     isSuperAdmin: user.is_super_admin,
     emailVerified: user.email_verified,
+    mfaEnabled: !!user.mfa_enabled,
     createdAt: user.created_at
   });
 }));
 
+// DELETE /api/users/account - Ask for own account to be erased (after a cooling-off period)
+router.delete('/account', asyncHandler(async (req: Request, res: Response) => {
+  const validated = deleteAccountSchema.parse(req.body);
+  
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('id, email, password_hash, deletion_scheduled_for, deleted_at')
+    .eq('id', req.user!.id)
+    .single();
+  
+  if (error || !user) {
+    throw Errors.notFound('User');
+  }
+  
+  const isValid = await bcrypt.compare(validated.password, user.password_hash);
+  
+  if (!isValid) {
+    throw Errors.unauthorized('Password is incorrect');
+  }
+  
+  const scheduledFor = await AccountErasureService.requestErasure(user, user.id);
+  
+  await AuditService.log({
+    userId: user.id,
+    action: AuditAction.ACCOUNT_DELETION_REQUESTED,
+    resourceType: 'user',
+    resourceId: user.id,
+    details: { requestedBy: 'user', scheduledFor: scheduledFor.toISOString() },
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+  
+  clearAuthCookies(res);
+  
+  sendSuccess(res, {
+    message: 'Your account will be deleted. Use the link we emailed you to cancel before then',
+    scheduledFor: scheduledFor.toISOString()
+  });
+}));
+
 // GET /api/users/:id - Get user by ID (requires USER_VIEW permission)
 router.get('/:id', 
   requirePermission(Permission.USER_VIEW),
@@ -427,6 +496,9 @@ router.post('/change-password', asyncHandler(async (req: Request, res: Response)
     })
     .eq('id', req.user!.id);
   
+  // Other devices have to sign in with the new password
+  await SessionService.revokeAll(req.user!.id, SessionRevokeReason.PASSWORD_CHANGE, req.sessionId);
+  
   await AuditService.log({
     userId: req.user!.id,
     action: AuditAction.PASSWORD_CHANGE,
@@ -438,6 +510,219 @@ router.post('/change-password', asyncHandler(async (req: Request, res: Response)
   sendSuccess(res, { message: 'Password changed successfully' });
 }));
 
+// POST /api/users/change-email - Ask to change own sign-in email (takes effect once the new address confirms)
+router.post('/change-email', asyncHandler(async (req: Request, res: Response) => {
+  const validated = changeEmailSchema.parse(req.body);
+  
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('id, email, password_hash')
+    .eq('id', req.user!.id)
+    .single();
+  
+  if (error || !user) {
+    throw Errors.notFound('User');
+  }
+  
+  const isValid = await bcrypt.compare(validated.password, user.password_hash);
+  
+  if (!isValid) {
+    throw Errors.unauthorized('Password is incorrect');
+  }
+  
+  const request = await EmailChangeService.request(user, validated.newEmail, {
+    sessionId: req.sessionId,
+    ipAddress: req.ip
+  });
+  
+  await AuditService.log({
+    userId: user.id,
+    action: AuditAction.EMAIL_CHANGE_REQUESTED,
+    resourceType: 'user',
+    resourceId: user.id,
+    details: { from: user.email, to: validated.newEmail },
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+  
+  sendSuccess(res, {
+    message: `We've sent a confirmation link to ${validated.newEmail}. Your email will change once you confirm it`,
+    pendingEmail: validated.newEmail,
+    expiresAt: request.expires_at
+  });
+}));
+
+// Load the current user's row and check a TOTP code against their active secret
+const verifyCurrentMfaCode = async (userId: string, code: string) => {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', userId)
+    .single();
+  
+  if (error || !user) {
+    throw Errors.notFound('User');
+  }
+  
+  if (!user.mfa_enabled || !user.mfa_secret) {
+    throw Errors.badRequest('MFA_NOT_ENABLED', 'Multi-factor authentication is not enabled');
+  }
+  
+  const step = MfaService.verifyCode(user.mfa_secret, code);
+  
+  if (step === null || (user.mfa_last_used_step && step <= Number(user.mfa_last_used_step))) {
+    throw Errors.badRequest('INVALID_MFA_CODE', 'Invalid authentication code');
+  }
+  
+  return { user, step };
+};
+
+// POST /api/users/mfa/setup - Start MFA enrollment (returns secret and otpauth URI for the QR code)
+router.post('/mfa/setup', asyncHandler(async (req: Request, res: Response) => {
+  if (req.user!.mfaEnabled) {
+    throw Errors.conflict('MFA_ALREADY_ENABLED', 'Multi-factor authentication is already enabled');
+  }
+  
+  const secret = MfaService.generateSecret();
+  
+  // Held as pending until the user proves their authenticator app works
+  await supabase
+    .from('users')
+    .update({ mfa_pending_secret: secret })
+    .eq('id', req.user!.id);
+  
+  sendSuccess(res, {
+    secret,
+    otpauthUrl: MfaService.getProvisioningUri(secret, req.user!.email)
+  });
+}));
+
+// POST /api/users/mfa/enable - Confirm enrollment with a code from the authenticator app
+router.post('/mfa/enable', asyncHandler(async (req: Request, res: Response) => {
+  const validated = mfaCodeSchema.parse(req.body);
+  
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('*')
+    .eq('id', req.user!.id)
+    .single();
+  
+  if (error || !user) {
+    throw Errors.notFound('User');
+  }
+  
+  if (user.mfa_enabled) {
+    throw Errors.conflict('MFA_ALREADY_ENABLED', 'Multi-factor authentication is already enabled');
+  }
+  
+  if (!user.mfa_pending_secret) {
+    throw Errors.badRequest('MFA_SETUP_REQUIRED', 'Start MFA setup before enabling it');
+  }
+  
+  const step = MfaService.verifyCode(user.mfa_pending_secret, validated.code);
+  
+  if (step === null) {
+    throw Errors.badRequest('INVALID_MFA_CODE', 'Invalid authentication code');
+  }
+  
+  const recovery = MfaService.generateRecoveryCodes();
+  
+  await supabase
+    .from('users')
+    .update({
+      mfa_enabled: true,
+      mfa_secret: user.mfa_pending_secret,
+      mfa_pending_secret: null,
+      mfa_recovery_codes: recovery.hashes,
+      mfa_enabled_at: new Date().toISOString(),
+      mfa_last_used_step: step
+    })
+    .eq('id', user.id);
+  
+  await AuditService.log({
+    organizationId: req.member?.organizationId,
+    userId: user.id,
+    action: AuditAction.MFA_ENABLED,
+    resourceType: 'user',
+    resourceId: user.id,
+    ipAddress: req.ip
+  });
+  
+  // Recovery codes are only ever shown here - we keep hashes
+  sendSuccess(res, {
+    message: 'Multi-factor authentication enabled',
+    recoveryCodes: recovery.codes
+  });
+}));
+
+// POST /api/users/mfa/disable - Turn off MFA (requires password and a current code)
+router.post('/mfa/disable', asyncHandler(async (req: Request, res: Response) => {
+  const validated = disableMfaSchema.parse(req.body);
+  
+  if (MfaService.isMfaRequired(req.organization, req.member?.role)) {
+    throw new AppError(403, 'MFA_REQUIRED_BY_ORGANIZATION', 'Your organization requires multi-factor authentication for your role');
+  }
+  
+  const { user } = await verifyCurrentMfaCode(req.user!.id, validated.code);
+  
+  const isValid = await bcrypt.compare(validated.password, user.password_hash);
+  
+  if (!isValid) {
+    throw Errors.unauthorized('Password is incorrect');
+  }
+  
+  await supabase
+    .from('users')
+    .update({
+      mfa_enabled: false,
+      mfa_secret: null,
+      mfa_pending_secret: null,
+      mfa_recovery_codes: [],
+      mfa_enabled_at: null,
+      mfa_last_used_step: null
+    })
+    .eq('id', user.id);
+  
+  await AuditService.log({
+    organizationId: req.member?.organizationId,
+    userId: user.id,
+    action: AuditAction.MFA_DISABLED,
+    resourceType: 'user',
+    resourceId: user.id,
+    ipAddress: req.ip
+  });
+  
+  sendSuccess(res, { message: 'Multi-factor authentication disabled' });
+}));
+
+// POST /api/users/mfa/recovery-codes - Replace all recovery codes
+router.post('/mfa/recovery-codes', asyncHandler(async (req: Request, res: Response) => {
+  const validated = mfaCodeSchema.parse(req.body);
+  
+  const { user, step } = await verifyCurrentMfaCode(req.user!.id, validated.code);
+  
+  const recovery = MfaService.generateRecoveryCodes();
+  
+  await supabase
+    .from('users')
+    .update({
+      mfa_recovery_codes: recovery.hashes,
+      mfa_last_used_step: step
+    })
+    .eq('id', user.id);
+  
+  await AuditService.log({
+    organizationId: req.member?.organizationId,
+    userId: user.id,
+    action: AuditAction.MFA_RECOVERY_CODES_REGENERATED,
+    resourceType: 'user',
+    resourceId: user.id,
+    ipAddress: req.ip
+  });
+  
+  sendSuccess(res, { recoveryCodes: recovery.codes });
+}));
+
 // POST /api/users/:id/deactivate - Deactivate user (requires USER_UPDATE permission)
 router.post('/:id/deactivate', 
   requirePermission(Permission.USER_UPDATE),
@@ -0,0 +1,360 @@
+/**
+ * Account Erasure Service
+ * Account deletion requests with a cooling-off period, then erasure of personal data
+ *
+ * Deleting an account (by its owner, or by a platform admin on their behalf) only schedules it.
+ * The account is signed out and can't sign in, but the emailed link cancels the request until
+ * the scheduled date. Then the profile is purged and the user's audit log entries are
+ * pseudonymised: they keep their actions, resources and times, and still point at the same
+ * (now anonymous) user row, so the history stays complete without naming anyone.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { supabase } from '../config/database';
+import { AppError, Errors } from '../utils/api-response';
+import { Logger } from '../utils/logger';
+import { AuditService } from './audit.service';
+import { EmailService } from './email.service';
+import { SessionService } from './session.service';
+import { hashToken } from './token.service';
+import { AuditAction, Role, SessionRevokeReason } from '../types';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days between a deletion request and erasure
+export const ERASURE_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30');
+
+// Audit records erasure leaves as they are (the database also refuses changes to their details)
+const IMMUTABLE_AUDIT_ACTIONS: string[] = [AuditAction.RESOLUTION_OUTCOME];
+
+interface OwnerMembership {
+  organization_id: string;
+  user_id: string;
+  organizations?: { name?: string } | null;
+}
+
+export class AccountErasureService {
+  /**
+   * When a request made now will be carried out
+   */
+  static getScheduledErasure(requestedAt: Date = new Date(), graceDays: number = ERASURE_GRACE_DAYS): Date {
+    return new Date(requestedAt.getTime() + graceDays * DAY_MS);
+  }
+
+  /**
+   * Whether a user has asked to be deleted and hasn't been erased yet
+   */
+  static isPendingDeletion(user: { deletion_scheduled_for?: string | null; deleted_at?: string | null }): boolean {
+    return !!user.deletion_scheduled_for && !user.deleted_at;
+  }
+
+  /**
+   * Stable stand-in for a user in pseudonymised records
+   */
+  static pseudonymFor(userId: string): string {
+    return `deleted-user-${crypto.createHash('sha256').update(userId).digest('hex').slice(0, 12)}`;
+  }
+
+  /**
+   * Organizations the user owns alone, given every active owner membership of their organizations
+   */
+  static findSoleOwnerships(userId: string, owners: OwnerMembership[]): Array<{ id: string; name: string | null }> {
+    const ownersByOrganization = new Map<string, OwnerMembership[]>();
+    for (const owner of owners) {
+      ownersByOrganization.set(owner.organization_id, [...(ownersByOrganization.get(owner.organization_id) || []), owner]);
+    }
+
+    return [...ownersByOrganization.entries()]
+      .filter(([, orgOwners]) => orgOwners.length === 1 && orgOwners[0].user_id === userId)
+      .map(([id, [owner]]) => ({ id, name: owner.organizations?.name || null }));
+  }
+
+  /**
+   * Replace a user's identifiers (email, name) anywhere in audit details with their pseudonym
+   * Matching ignores case; other values are left as they are.
+   */
+  static pseudonymiseDetails(value: unknown, identifiers: string[], pseudonym: string): unknown {
+    if (typeof value === 'string') {
+      return identifiers.reduce((text, identifier) => {
+        if (!identifier) return text;
+        const escaped = identifier.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return text.replace(new RegExp(escaped, 'gi'), pseudonym);
+      }, value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => AccountErasureService.pseudonymiseDetails(item, identifiers, pseudonym));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        AccountErasureService.pseudonymiseDetails(item, identifiers, pseudonym)
+      ]));
+    }
+    return value;
+  }
+
+  /**
+   * Organizations that would be left without an owner if the user went
+   */
+  static async getSoleOwnerships(userId: string): Promise<Array<{ id: string; name: string | null }>> {
+    const { data: owned } = await supabase
+      .from('organization_members')
+      .select('organization_id')
+      .eq('user_id', userId)
+      .eq('role', Role.OWNER)
+      .eq('is_active', true);
+
+    const organizationIds = (owned || []).map(m => m.organization_id);
+    if (organizationIds.length === 0) return [];
+
+    const { data: owners, error } = await supabase
+      .from('organization_members')
+      .select('organization_id, user_id, organizations(name)')
+      .in('organization_id', organizationIds)
+      .eq('role', Role.OWNER)
+      .eq('is_active', true);
+
+    if (error) {
+      throw Errors.internal('Failed to check organization ownership');
+    }
+
+    return AccountErasureService.findSoleOwnerships(userId, (owners || []) as any[]);
+  }
+
+  /**
+   * Schedule a user's erasure, sign them out everywhere and email them a cancel link
+   * Refused while they are the only owner of an organization.
+   */
+  static async requestErasure(
+    user: { id: string; email: string; deletion_scheduled_for?: string | null; deleted_at?: string | null },
+    requestedBy: string,
+    now: Date = new Date()
+  ): Promise<Date> {
+    if (user.deleted_at) {
+      throw Errors.badRequest('ACCOUNT_ERASED', 'This account has already been erased');
+    }
+    if (AccountErasureService.isPendingDeletion(user)) {
+      throw Errors.conflict('DELETION_ALREADY_REQUESTED', 'Deletion of this account has already been requested');
+    }
+
+    const soleOwnerships = await AccountErasureService.getSoleOwnerships(user.id);
+    if (soleOwnerships.length > 0) {
+      throw new AppError(
+        409,
+        'LAST_OWNER',
+        'Transfer ownership or add another owner before deleting this account',
+        { organizations: soleOwnerships }
+      );
+    }
+
+    const scheduledFor = AccountErasureService.getScheduledErasure(now);
+    const cancelToken = crypto.randomBytes(32).toString('hex');
+
+    const { error } = await supabase
+      .from('users')
+      .update({
+        deletion_requested_at: now.toISOString(),
+        deletion_requested_by: requestedBy,
+        deletion_scheduled_for: scheduledFor.toISOString(),
+        deletion_cancel_token_hash: hashToken(cancelToken)
+      })
+      .eq('id', user.id);
+
+    if (error) {
+      throw Errors.internal('Failed to request account deletion');
+    }
+
+    await SessionService.revokeAll(user.id, SessionRevokeReason.ACCOUNT_DELETION);
+
+    await EmailService.sendAccountDeletionScheduledEmail({
+      to: user.email,
+      scheduledFor,
+      requestedByAdmin: requestedBy !== user.id,
+      cancelUrl: `${process.env.FRONTEND_URL}/cancel-account-deletion?token=${cancelToken}`
+    });
+
+    return scheduledFor;
+  }
+
+  /**
+   * Withdraw a pending request; returns the user, or null if nothing was pending
+   */
+  static async cancelErasure(userId: string): Promise<any | null> {
+    const { data: user } = await supabase
+      .from('users')
+      .update({
+        deletion_requested_at: null,
+        deletion_requested_by: null,
+        deletion_scheduled_for: null,
+        deletion_cancel_token_hash: null
+      })
+      .eq('id', userId)
+      .not('deletion_scheduled_for', 'is', null)
+      .is('deleted_at', null)
+      .select('id, email')
+      .maybeSingle();
+
+    return user || null;
+  }
+
+  /**
+   * Withdraw a pending request from the emailed link
+   */
+  static async cancelByToken(token: string): Promise<any> {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id')
+      .eq('deletion_cancel_token_hash', hashToken(token))
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    const cancelled = user && await AccountErasureService.cancelErasure(user.id);
+    if (!cancelled) {
+      throw Errors.badRequest('INVALID_TOKEN', 'This link is no longer valid. The account may already have been deleted');
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Pseudonymise the user's audit log entries, purge their profile and end their memberships
+   */
+  static async erase(user: any, now: Date = new Date()): Promise<void> {
+    const pseudonym = AccountErasureService.pseudonymFor(user.id);
+    const identifiers = [user.email, `${user.first_name} ${user.last_name}`.trim()].filter(Boolean);
+
+    // Request context names the person's devices and network; drop it (immutable records keep theirs)
+    const { error: contextError } = await supabase
+      .from('audit_logs')
+      .update({ ip_address: null, user_agent: null })
+      .eq('user_id', user.id)
+      .not('action', 'in', `(${IMMUTABLE_AUDIT_ACTIONS.join(',')})`);
+
+    if (contextError) {
+      throw Errors.internal('Failed to pseudonymise audit logs');
+    }
+
+    // Entries by or about the user may name them in their details; one query per match so the
+    // email is passed as a value rather than spliced into a filter
+    const logs = new Map<string, { id: string; action: string; details: unknown }>();
+    const matches: Array<[string, string]> = [['user_id', user.id], ['resource_id', user.id], ['details->>email', user.email]];
+    for (const [column, value] of matches) {
+      const { data, error: logsError } = await supabase
+        .from('audit_logs')
+        .select('id, action, details')
+        .filter(column, 'eq', value);
+
+      if (logsError) {
+        throw Errors.internal('Failed to pseudonymise audit logs');
+      }
+
+      for (const log of data || []) logs.set(log.id, log);
+    }
+
+    for (const log of logs.values()) {
+      if (IMMUTABLE_AUDIT_ACTIONS.includes(log.action) || !log.details) continue;
+
+      const details = AccountErasureService.pseudonymiseDetails(log.details, identifiers, pseudonym);
+      if (JSON.stringify(details) === JSON.stringify(log.details)) continue;
+
+      await supabase.from('audit_logs').update({ details }).eq('id', log.id);
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({
+        email: `${pseudonym}@erased.invalid`,
+        password_hash: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12),
+        first_name: 'Deleted',
+        last_name: 'user',
+        avatar: null,
+        job_title: null,
+        bio: null,
+        phone: null,
+        location_city: null,
+        location_country: null,
+        website: null,
+        linkedin_url: null,
+        twitter_url: null,
+        github_url: null,
+        is_active: false,
+        email_verified: false,
+        verification_token: null,
+        verification_token_expires_at: null,
+        mfa_enabled: false,
+        mfa_secret: null,
+        mfa_recovery_codes: null,
+        password_reset_token: null,
+        password_reset_expires: null,
+        last_login_ip: null,
+        last_organization_id: null,
+        deletion_cancel_token_hash: null,
+        deleted_at: now.toISOString(),
+        updated_at: now.toISOString()
+      })
+      .eq('id', user.id);
+
+    if (error) {
+      throw Errors.internal('Failed to erase account');
+    }
+
+    await supabase.from('organization_members').update({ is_active: false }).eq('user_id', user.id);
+    await supabase.from('user_sessions').delete().eq('user_id', user.id);
+    await supabase.from('email_change_requests').delete().eq('user_id', user.id);
+
+    await AuditService.log({
+      userId: user.id,
+      action: AuditAction.ACCOUNT_ERASED,
+      resourceType: 'user',
+      resourceId: user.id,
+      details: {
+        pseudonym,
+        requestedAt: user.deletion_requested_at,
+        requestedByAdmin: !!user.deletion_requested_by && user.deletion_requested_by !== user.id
+      }
+    });
+  }
+
+  /**
+   * Erase every account whose cooling-off period has ended
+   * Accounts that have since become the only owner of an organization wait until that is fixed.
+   */
+  static async processDueErasures(now: Date = new Date()): Promise<{ erased: number }> {
+    const { data: users, error } = await supabase
+      .from('users')
+      .select('*')
+      .lte('deletion_scheduled_for', now.toISOString())
+      .is('deleted_at', null);
+
+    if (error) {
+      Logger.error('Failed to load accounts due for erasure', error as any);
+      return { erased: 0 };
+    }
+
+    let erased = 0;
+
+    for (const user of users || []) {
+      try {
+        const soleOwnerships = await AccountErasureService.getSoleOwnerships(user.id);
+        if (soleOwnerships.length > 0) {
+          Logger.warn('Account erasure postponed - user is the only owner of an organization', {
+            userId: user.id,
+            organizationIds: soleOwnerships.map(o => o.id)
+          });
+          continue;
+        }
+
+        await AccountErasureService.erase(user, now);
+        erased++;
+      } catch (err) {
+        Logger.error('Failed to erase account', err as Error, { userId: user.id });
+      }
+    }
+
+    Logger.info(`Erased ${erased} accounts`);
+    return { erased };
+  }
+}
+
+export default AccountErasureService;
@@ -0,0 +1,85 @@
+/**
+ * Agenda Service
+ * Agenda timing, ordering and templates for structured meeting agendas
+ */
+
+import { AgendaItemType, AgendaTemplateItem } from '../types';
+import { Errors } from '../utils/api-response';
+
+const MINUTE_MS = 60 * 1000;
+
+interface TimedItem {
+  id: string;
+  duration_minutes: number;
+}
+
+export interface AgendaSchedule {
+  items: { id: string; startsAt: string; endsAt: string }[];
+  totalMinutes: number;
+  // Minutes the agenda runs past the meeting's scheduled duration (0 if it fits)
+  overrunMinutes: number;
+}
+
+export class AgendaService {
+  /**
+   * Start and end times for each item, running back to back from the meeting start
+   */
+  static buildSchedule(meetingDate: string, meetingDurationMinutes: number, items: TimedItem[]): AgendaSchedule {
+    let cursor = new Date(meetingDate).getTime();
+    let totalMinutes = 0;
+
+    const scheduled = items.map(item => {
+      const startsAt = new Date(cursor).toISOString();
+      cursor += item.duration_minutes * MINUTE_MS;
+      totalMinutes += item.duration_minutes;
+      return { id: item.id, startsAt, endsAt: new Date(cursor).toISOString() };
+    });
+
+    return {
+      items: scheduled,
+      totalMinutes,
+      overrunMinutes: Math.max(0, totalMinutes - meetingDurationMinutes)
+    };
+  }
+
+  /**
+   * Throw unless the new order lists every current item exactly once
+   */
+  static assertCompleteOrder(currentIds: string[], orderedIds: string[]): void {
+    const current = new Set(currentIds);
+    const ordered = new Set(orderedIds);
+
+    const complete = ordered.size === orderedIds.length
+      && ordered.size === current.size
+      && orderedIds.every(id => current.has(id));
+
+    if (!complete) {
+      throw Errors.badRequest('INVALID_AGENDA_ORDER', 'The new order must list every agenda item exactly once', {
+        expected: currentIds.length,
+        received: orderedIds.length
+      });
+    }
+  }
+
+  /**
+   * Agenda item rows for a meeting, copied from a template
+   * Positions continue after any items the meeting already has
+   */
+  static itemsFromTemplate(
+    templateItems: AgendaTemplateItem[],
+    meeting: { id: string; organization_id: string },
+    startPosition = 1
+  ): Record<string, any>[] {
+    return templateItems.map((item, index) => ({
+      organization_id: meeting.organization_id,
+      meeting_id: meeting.id,
+      position: startPosition + index,
+      title: item.title,
+      description: item.description || null,
+      item_type: item.itemType || AgendaItemType.NOTING,
+      duration_minutes: item.durationMinutes
+    }));
+  }
+}
+
+export default AgendaService;
@@ -131,6 +131,7 @@ export class AuditService {
   
   /**
    * Clean up old audit logs
+   * Resolution outcomes are permanent records and are never removed
    */
   static async cleanupOldLogs(retentionDays: number = 365): Promise<number> {
     const cutoffDate = new Date();
@@ -139,7 +140,8 @@ export class AuditService {
     const { error, count } = await supabase
       .from('audit_logs')
       .delete()
-      .lt('created_at', cutoffDate.toISOString());
+      .lt('created_at', cutoffDate.toISOString())
+      .neq('action', AuditAction.RESOLUTION_OUTCOME);
     
     if (error) {
       Logger.error('Failed to cleanup old logs', error);
@@ -0,0 +1,381 @@
+/**
+ * Billing Service
+ * Subscriptions, plan changes and webhook-driven subscription status for organizations
+ */
+
+import { supabase } from '../config/database';
+import { AuditService } from './audit.service';
+import { EmailService } from './email.service';
+import { RBACService } from './rbac.service';
+import { StripePaymentProvider } from './stripe-payment.provider';
+import { InMemoryPaymentProvider } from './in-memory-payment.provider';
+import {
+  BillingEvent,
+  PaymentProvider,
+  PlanPrice,
+  ProviderSubscription,
+  ProviderSubscriptionStatus
+} from './payment-provider';
+import { AppError, Errors } from '../utils/api-response';
+import { Logger } from '../utils/logger';
+import { AuditAction, BillingCycle, Permission, Role, SubscriptionStatus } from '../types';
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+const PROVIDER_STATUS_MAP: Partial<Record<ProviderSubscriptionStatus, SubscriptionStatus>> = {
+  trialing: SubscriptionStatus.TRIAL,
+  active: SubscriptionStatus.ACTIVE,
+  past_due: SubscriptionStatus.PAST_DUE,
+  unpaid: SubscriptionStatus.PAST_DUE,
+  canceled: SubscriptionStatus.CANCELLED,
+  incomplete_expired: SubscriptionStatus.CANCELLED
+};
+
+let provider: PaymentProvider | null | undefined;
+
+/**
+ * Choose the provider from the environment
+ * PAYMENT_PROVIDER=stripe|memory, defaulting to Stripe when a secret key is set.
+ * The in-memory provider must be asked for explicitly, needs its own webhook secret
+ * and is never used in production.
+ */
+const createProvider = (): PaymentProvider | null => {
+  const configured = process.env.PAYMENT_PROVIDER || (process.env.STRIPE_SECRET_KEY ? 'stripe' : null);
+
+  if (configured === 'stripe') {
+    if (!process.env.STRIPE_SECRET_KEY || !process.env.STRIPE_WEBHOOK_SECRET) return null;
+    return new StripePaymentProvider(
+      process.env.STRIPE_SECRET_KEY,
+      process.env.STRIPE_WEBHOOK_SECRET,
+      process.env.STRIPE_PUBLISHABLE_KEY || null
+    );
+  }
+
+  if (configured === 'memory') {
+    if (process.env.NODE_ENV === 'production') {
+      Logger.warn('PAYMENT_PROVIDER=memory is ignored in production');
+      return null;
+    }
+    if (!process.env.BILLING_WEBHOOK_SECRET) {
+      Logger.warn('PAYMENT_PROVIDER=memory needs BILLING_WEBHOOK_SECRET');
+      return null;
+    }
+    return new InMemoryPaymentProvider(process.env.BILLING_WEBHOOK_SECRET);
+  }
+
+  return null;
+};
+
+/**
+ * The configured payment provider
+ * Throws 503 BILLING_NOT_CONFIGURED when billing isn't set up
+ */
+export const getPaymentProvider = (): PaymentProvider => {
+  if (provider === undefined) {
+    provider = createProvider();
+  }
+
+  if (!provider) {
+    throw new AppError(503, 'BILLING_NOT_CONFIGURED', 'Billing is not configured');
+  }
+
+  return provider;
+};
+
+/**
+ * Replace the provider (tests); undefined re-reads the environment
+ */
+export const setPaymentProvider = (override: PaymentProvider | null | undefined): void => {
+  provider = override;
+};
+
+export class BillingService {
+  /**
+   * Price for a plan and billing cycle
+   * Stripe needs a configured price ID; the in-memory provider makes one up
+   */
+  static getPlanPrice(plan: any, billingCycle: BillingCycle, providerName: PaymentProvider['name']): PlanPrice {
+    const yearly = billingCycle === 'yearly';
+    const priceId = yearly ? plan.stripe_price_id_yearly : plan.stripe_price_id_monthly;
+
+    if (!priceId && providerName === 'stripe') {
+      throw Errors.badRequest('PLAN_NOT_BILLABLE', `The ${plan.name} plan has no ${billingCycle} price configured`);
+    }
+
+    return {
+      priceId: priceId || `${plan.slug}-${billingCycle}`,
+      amount: (yearly ? plan.price_yearly : plan.price_monthly) || 0,
+      interval: yearly ? 'year' : 'month'
+    };
+  }
+
+  /**
+   * Our subscription status for a provider status (null = leave unchanged)
+   */
+  static mapProviderStatus(status: ProviderSubscriptionStatus): SubscriptionStatus | null {
+    return PROVIDER_STATUS_MAP[status] || null;
+  }
+
+  /**
+   * Status an organization should move to after a webhook event, or null for no change
+   * Suspension is a platform decision, so billing events never lift or replace it
+   */
+  static getStatusTransition(current: SubscriptionStatus, event: BillingEvent): SubscriptionStatus | null {
+    if (current === SubscriptionStatus.SUSPENDED) return null;
+
+    let next: SubscriptionStatus | null = null;
+
+    switch (event.type) {
+      case 'subscription.created':
+      case 'subscription.updated':
+        next = event.subscription ? BillingService.mapProviderStatus(event.subscription.status) : null;
+        break;
+      case 'subscription.deleted':
+        next = SubscriptionStatus.CANCELLED;
+        break;
+      case 'invoice.paid':
+        // Paying off an overdue invoice restores access; trials convert via subscription.updated
+        next = current === SubscriptionStatus.PAST_DUE ? SubscriptionStatus.ACTIVE : null;
+        break;
+      case 'invoice.payment_failed':
+        next = current === SubscriptionStatus.ACTIVE || current === SubscriptionStatus.TRIAL
+          ? SubscriptionStatus.PAST_DUE
+          : null;
+        break;
+    }
+
+    return next && next !== current ? next : null;
+  }
+
+  /**
+   * Organization columns that mirror a provider subscription
+   */
+  static getSubscriptionUpdate(
+    organization: any,
+    subscription: ProviderSubscription,
+    status: SubscriptionStatus | null,
+    now: Date = new Date()
+  ): Record<string, any> {
+    const update: Record<string, any> = {
+      subscription_stripe_id: subscription.id,
+      current_period_start: subscription.currentPeriodStart.toISOString(),
+      current_period_end: subscription.currentPeriodEnd.toISOString(),
+      cancel_at_period_end: subscription.cancelAtPeriodEnd,
+      subscription_ends_at: subscription.cancelAtPeriodEnd ? subscription.currentPeriodEnd.toISOString() : null
+    };
+
+    if (subscription.trialEnd) {
+      update.trial_ends_at = subscription.trialEnd.toISOString();
+    }
+
+    if (status) {
+      update.subscription_status = status;
+      if (status === SubscriptionStatus.ACTIVE && !organization.subscription_started_at) {
+        update.subscription_started_at = now.toISOString();
+      }
+      if (status === SubscriptionStatus.CANCELLED) {
+        update.cancelled_at = now.toISOString();
+      } else if (organization.cancelled_at) {
+        update.cancelled_at = null;
+      }
+    }
+
+    return update;
+  }
+
+  /**
+   * Provider customer for an organization, created on first use
+   * (or again if the organization was billed by a different provider)
+   */
+  static async ensureCustomer(organization: any, user: { email: string }): Promise<string> {
+    const paymentProvider = getPaymentProvider();
+
+    if (organization.billing_customer_id && (organization.billing_provider || paymentProvider.name) === paymentProvider.name) {
+      return organization.billing_customer_id;
+    }
+
+    const customerId = await paymentProvider.createCustomer({
+      email: organization.contact_email || user.email,
+      name: organization.name,
+      organizationId: organization.id
+    });
+
+    const { error } = await supabase
+      .from('organizations')
+      .update({ billing_customer_id: customerId, billing_provider: paymentProvider.name })
+      .eq('id', organization.id);
+
+    if (error) {
+      throw Errors.internal('Failed to save billing customer');
+    }
+
+    organization.billing_customer_id = customerId;
+    return customerId;
+  }
+
+  /**
+   * Write a provider subscription to the organization after a change we made
+   */
+  static async syncSubscription(organization: any, subscription: ProviderSubscription, extra: Record<string, any> = {}) {
+    const current = organization.subscription_status as SubscriptionStatus;
+    const mapped = BillingService.mapProviderStatus(subscription.status);
+    const status = current === SubscriptionStatus.SUSPENDED || mapped === current ? null : mapped;
+
+    const { data: updated, error } = await supabase
+      .from('organizations')
+      .update({ ...BillingService.getSubscriptionUpdate(organization, subscription, status), ...extra })
+      .eq('id', organization.id)
+      .select('*, subscription_plans(*)')
+      .single();
+
+    if (error || !updated) {
+      throw Errors.internal('Failed to update subscription');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Apply a verified webhook event
+   * Events are recorded by provider ID first so redelivered events are ignored;
+   * the record is removed again if the organization can't be updated.
+   */
+  static async handleWebhookEvent(
+    event: BillingEvent,
+    providerName: PaymentProvider['name']
+  ): Promise<{ duplicate: boolean; organizationId: string | null; status: SubscriptionStatus | null }> {
+    if (event.type === 'ignored') {
+      return { duplicate: false, organizationId: null, status: null };
+    }
+
+    const organization = await BillingService.findOrganizationForEvent(event);
+
+    const { error: recordError } = await supabase
+      .from('billing_events')
+      .insert({
+        provider: providerName,
+        provider_event_id: event.id,
+        event_type: event.providerType,
+        organization_id: organization?.id || null,
+        payload: event
+      });
+
+    if (recordError) {
+      if (recordError.code === UNIQUE_VIOLATION) {
+        return { duplicate: true, organizationId: organization?.id || null, status: null };
+      }
+      throw Errors.internal('Failed to record billing event');
+    }
+
+    if (!organization) {
+      Logger.warn('Billing event for unknown organization', { eventId: event.id, type: event.providerType });
+      return { duplicate: false, organizationId: null, status: null };
+    }
+
+    // Events for a subscription the organization has since replaced don't change anything
+    const subscriptionId = event.subscription?.id || event.invoice?.subscriptionId;
+    if (organization.subscription_stripe_id && subscriptionId && subscriptionId !== organization.subscription_stripe_id) {
+      return { duplicate: false, organizationId: organization.id, status: null };
+    }
+
+    const previous = organization.subscription_status as SubscriptionStatus;
+    const status = BillingService.getStatusTransition(previous, event);
+
+    const update = event.subscription
+      ? BillingService.getSubscriptionUpdate(organization, event.subscription, status)
+      : status ? { subscription_status: status } : null;
+
+    if (update) {
+      const { error } = await supabase
+        .from('organizations')
+        .update(update)
+        .eq('id', organization.id);
+
+      if (error) {
+        // Release the event so the provider's retry applies it, rather than being ignored as a duplicate
+        await supabase
+          .from('billing_events')
+          .delete()
+          .eq('provider', providerName)
+          .eq('provider_event_id', event.id);
+
+        throw Errors.internal('Failed to update subscription');
+      }
+    }
+
+    if (status) {
+      await AuditService.log({
+        organizationId: organization.id,
+        action: AuditAction.UPDATE,
+        resourceType: 'subscription',
+        resourceId: organization.id,
+        details: {
+          action: 'status_change',
+          previousStatus: previous,
+          newStatus: status,
+          eventType: event.providerType,
+          eventId: event.id
+        }
+      });
+    }
+
+    if (event.type === 'invoice.payment_failed' && event.invoice) {
+      BillingService.notifyPaymentFailed(organization, event.invoice.amountDue, event.invoice.currency)
+        .catch(err => Logger.error('Failed to send payment failed email', err as Error, { organizationId: organization.id }));
+    }
+
+    return { duplicate: false, organizationId: organization.id, status };
+  }
+
+  /**
+   * Organization an event belongs to: subscription metadata, then subscription ID, then customer ID
+   */
+  static async findOrganizationForEvent(event: BillingEvent): Promise<any | null> {
+    const lookups: Array<[string, string | null | undefined]> = [
+      ['id', event.subscription?.organizationId],
+      ['subscription_stripe_id', event.subscription?.id || event.invoice?.subscriptionId],
+      ['billing_customer_id', event.subscription?.customerId || event.invoice?.customerId]
+    ];
+
+    for (const [column, value] of lookups) {
+      if (!value) continue;
+
+      const { data } = await supabase
+        .from('organizations')
+        .select('*')
+        .eq(column, value)
+        .is('deleted_at', null)
+        .maybeSingle();
+
+      if (data) return data;
+    }
+
+    return null;
+  }
+
+  /**
+   * Email everyone who can manage billing that a payment failed
+   */
+  static async notifyPaymentFailed(organization: any, amountDue: number, currency: string): Promise<void> {
+    const { data: members } = await supabase
+      .from('organization_members')
+      .select('role, users(email)')
+      .eq('organization_id', organization.id)
+      .eq('is_active', true);
+
+    const recipients: string[] = ((members || []) as any[])
+      .filter(m => RBACService.hasPermission(m.role as Role, Permission.BILLING_MANAGE))
+      .map(m => m.users?.email)
+      .filter(Boolean);
+
+    await Promise.all(recipients.map(to => EmailService.sendPaymentFailedEmail({
+      to,
+      organizationName: organization.name,
+      amountDue,
+      currency
+    })));
+  }
+}
+
+export default BillingService;
@@ -0,0 +1,195 @@
+/**
+ * Document Service
+ * Document storage, folder trees, version keys and storage quotas
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import { supabase } from '../config/database';
+import { LocalStorageProvider } from './local-storage.provider';
+import { StorageProvider } from './storage-provider';
+import { AppError, Errors } from '../utils/api-response';
+
+const MB = 1024 * 1024;
+
+// Largest single upload
+export const DOCUMENT_MAX_BYTES = parseInt(process.env.DOCUMENT_MAX_UPLOAD_MB || '50') * MB;
+
+// Accepted upload types and the extension each is stored with
+export const DOCUMENT_MIME_TYPES: Record<string, string> = {
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.ms-powerpoint': '.ppt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': '.pptx',
+  'application/vnd.oasis.opendocument.text': '.odt',
+  'application/vnd.oasis.opendocument.spreadsheet': '.ods',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+export interface FolderNode {
+  id: string;
+  name: string;
+  parentId: string | null;
+  children: FolderNode[];
+}
+
+interface FolderRow {
+  id: string;
+  name: string;
+  parent_id: string | null;
+}
+
+let storage: StorageProvider | undefined;
+
+/**
+ * The configured storage backend (STORAGE_PROVIDER, default local)
+ * Throws 503 STORAGE_NOT_CONFIGURED for an unknown provider
+ */
+export const getStorageProvider = (): StorageProvider => {
+  if (!storage) {
+    const configured = process.env.STORAGE_PROVIDER || 'local';
+
+    if (configured !== 'local') {
+      throw new AppError(503, 'STORAGE_NOT_CONFIGURED', `Unknown storage provider '${configured}'`);
+    }
+
+    storage = new LocalStorageProvider(
+      path.join(process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads'), 'documents')
+    );
+  }
+
+  return storage;
+};
+
+/**
+ * Replace the storage backend (tests); undefined re-reads the environment
+ */
+export const setStorageProvider = (override: StorageProvider | undefined): void => {
+  storage = override;
+};
+
+export class DocumentService {
+  /**
+   * Nest a flat folder list into a tree, children sorted by name
+   * Folders whose parent is missing are treated as top-level
+   */
+  static buildFolderTree(folders: FolderRow[]): FolderNode[] {
+    const nodes = new Map<string, FolderNode>(
+      folders.map(f => [f.id, { id: f.id, name: f.name, parentId: f.parent_id, children: [] }])
+    );
+    const roots: FolderNode[] = [];
+
+    for (const node of nodes.values()) {
+      const parent = node.parentId ? nodes.get(node.parentId) : undefined;
+      (parent ? parent.children : roots).push(node);
+    }
+
+    const sort = (list: FolderNode[]) => {
+      list.sort((a, b) => a.name.localeCompare(b.name));
+      list.forEach(n => sort(n.children));
+    };
+    sort(roots);
+
+    return roots;
+  }
+
+  /**
+   * Whether moving a folder under a new parent would put it inside itself
+   */
+  static wouldCreateCycle(folders: FolderRow[], folderId: string, newParentId: string | null): boolean {
+    const parents = new Map(folders.map(f => [f.id, f.parent_id]));
+    let current = newParentId;
+
+    while (current) {
+      if (current === folderId) return true;
+      current = parents.get(current) ?? null;
+    }
+
+    return false;
+  }
+
+  /**
+   * Throw 413 STORAGE_QUOTA_EXCEEDED if an upload would take the organization over its limit
+   */
+  static assertWithinQuota(usedBytes: number, uploadBytes: number, maxStorageMb: number | null | undefined): void {
+    if (!maxStorageMb) return;
+
+    if (usedBytes + uploadBytes > maxStorageMb * MB) {
+      throw new AppError(413, 'STORAGE_QUOTA_EXCEEDED', `This upload would exceed your organization's ${maxStorageMb}MB storage limit`, {
+        usedMb: DocumentService.toMb(usedBytes),
+        uploadMb: DocumentService.toMb(uploadBytes),
+        maxStorageMb
+      });
+    }
+  }
+
+  static toMb(bytes: number): number {
+    return Math.round((bytes / MB) * 100) / 100;
+  }
+
+  /**
+   * A name as an ilike pattern that only matches itself (ignoring case)
+   */
+  static escapeLikePattern(value: string): string {
+    return value.replace(/[\\%_]/g, '\\$&');
+  }
+
+  /**
+   * File name safe to store and send back in Content-Disposition
+   */
+  static sanitizeFileName(name: string): string {
+    const base = path.basename(name || '').replace(/[\x00-\x1f\x7f"\\/]/g, '').trim();
+    return (base || 'document').slice(0, 255);
+  }
+
+  /**
+   * Storage key for a version - unique, so stored versions are never overwritten
+   */
+  static createStorageKey(organizationId: string, documentId: string, version: number, mimeType: string): string {
+    return `${organizationId}/${documentId}/v${version}-${crypto.randomUUID()}${DOCUMENT_MIME_TYPES[mimeType] || ''}`;
+  }
+
+  static checksum(data: Buffer): string {
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  /**
+   * Bytes stored by an organization across every document version
+   */
+  static async getStorageUsedBytes(organizationId: string): Promise<number> {
+    const { data, error } = await supabase
+      .from('document_versions')
+      .select('file_size')
+      .eq('organization_id', organizationId);
+
+    if (error) {
+      throw Errors.internal('Failed to calculate storage usage');
+    }
+
+    return (data || []).reduce((sum, v) => sum + (v.file_size || 0), 0);
+  }
+
+  /**
+   * Recalculate and save organizations.storage_used_mb after an upload or delete
+   */
+  static async refreshStorageUsage(organizationId: string): Promise<number> {
+    const usedBytes = await DocumentService.getStorageUsedBytes(organizationId);
+
+    await supabase
+      .from('organizations')
+      .update({ storage_used_mb: Math.ceil(usedBytes / MB) })
+      .eq('id', organizationId);
+
+    return usedBytes;
+  }
+}
+
+export default DocumentService;
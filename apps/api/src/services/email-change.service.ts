@@ -0,0 +1,259 @@
+/**
+ * Email Change Service
+ * Changing a user's sign-in email with confirmation from the new address
+ *
+ * A request sends a confirmation link to the new address and a notice with a cancel link
+ * to the old one. Nothing changes until the new address confirms, so a typo or a stolen
+ * session can't move the account, and the real owner hears about it either way.
+ */
+
+import crypto from 'crypto';
+import { supabase } from '../config/database';
+import { EmailService } from './email.service';
+import { SessionService } from './session.service';
+import { hashToken } from './token.service';
+import { Errors } from '../utils/api-response';
+import { SessionRevokeReason } from '../types';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long the confirmation link stays valid
+export const EMAIL_CHANGE_TOKEN_HOURS = 24;
+
+export type EmailChangeState = 'pending' | 'expired' | 'confirmed' | 'cancelled';
+
+interface EmailChangeRequestRow {
+  expires_at: string;
+  confirmed_at?: string | null;
+  cancelled_at?: string | null;
+}
+
+export class EmailChangeService {
+  /**
+   * Where a change request stands
+   */
+  static getState(request: EmailChangeRequestRow, now: Date = new Date()): EmailChangeState {
+    if (request.confirmed_at) return 'confirmed';
+    if (request.cancelled_at) return 'cancelled';
+    if (new Date(request.expires_at) <= now) return 'expired';
+    return 'pending';
+  }
+
+  /**
+   * Whether an address already signs in to another account
+   */
+  static async isEmailTaken(email: string, userId: string): Promise<boolean> {
+    const { data: existing } = await supabase
+      .from('users')
+      .select('id')
+      .eq('email', email)
+      .neq('id', userId)
+      .maybeSingle();
+
+    return !!existing;
+  }
+
+  /**
+   * The user's pending change, if any
+   */
+  static async getPending(userId: string): Promise<any | null> {
+    const { data: request } = await supabase
+      .from('email_change_requests')
+      .select('*')
+      .eq('user_id', userId)
+      .is('confirmed_at', null)
+      .is('cancelled_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    return request || null;
+  }
+
+  /**
+   * Start a change to a new address, replacing any pending one, and send both emails
+   */
+  static async request(
+    user: { id: string; email: string },
+    newEmail: string,
+    context: { sessionId?: string; ipAddress?: string } = {}
+  ): Promise<any> {
+    if (newEmail === user.email.toLowerCase()) {
+      throw Errors.badRequest('SAME_EMAIL', 'This is already your email address');
+    }
+
+    if (await EmailChangeService.isEmailTaken(newEmail, user.id)) {
+      throw Errors.conflict('EMAIL_EXISTS', 'An account with this email already exists');
+    }
+
+    const now = new Date();
+
+    await supabase
+      .from('email_change_requests')
+      .update({ cancelled_at: now.toISOString() })
+      .eq('user_id', user.id)
+      .is('confirmed_at', null)
+      .is('cancelled_at', null);
+
+    const confirmToken = crypto.randomBytes(32).toString('hex');
+    const cancelToken = crypto.randomBytes(32).toString('hex');
+
+    const { data: request, error } = await supabase
+      .from('email_change_requests')
+      .insert({
+        user_id: user.id,
+        old_email: user.email,
+        new_email: newEmail,
+        confirm_token_hash: hashToken(confirmToken),
+        cancel_token_hash: hashToken(cancelToken),
+        session_id: context.sessionId || null,
+        ip_address: context.ipAddress || null,
+        expires_at: new Date(now.getTime() + EMAIL_CHANGE_TOKEN_HOURS * HOUR_MS).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error || !request) {
+      throw Errors.internal('Failed to create email change request');
+    }
+
+    await EmailService.sendEmailChangeConfirmation({
+      to: newEmail,
+      confirmUrl: `${process.env.FRONTEND_URL}/confirm-email-change?token=${confirmToken}`,
+      expiresInHours: EMAIL_CHANGE_TOKEN_HOURS
+    });
+
+    await EmailService.sendEmailChangeNotice({
+      to: user.email,
+      newEmail,
+      cancelUrl: `${process.env.FRONTEND_URL}/cancel-email-change?token=${cancelToken}`
+    });
+
+    return request;
+  }
+
+  /**
+   * Apply a change from the new address's confirmation link
+   * The new address counts as verified, and every session except the one that asked is signed out.
+   */
+  static async confirm(token: string): Promise<{ request: any; sessionsRevoked: number }> {
+    const { data: request } = await supabase
+      .from('email_change_requests')
+      .select('*')
+      .eq('confirm_token_hash', hashToken(token))
+      .maybeSingle();
+
+    const state = request ? EmailChangeService.getState(request) : null;
+
+    if (!request || state === 'cancelled' || state === 'confirmed') {
+      throw Errors.badRequest('INVALID_TOKEN', 'Invalid or expired confirmation link');
+    }
+    if (state === 'expired') {
+      throw Errors.badRequest('TOKEN_EXPIRED', 'Confirmation link has expired. Please request the change again');
+    }
+
+    if (await EmailChangeService.isEmailTaken(request.new_email, request.user_id)) {
+      throw Errors.conflict('EMAIL_EXISTS', 'An account with this email already exists');
+    }
+
+    // Claim the request; a cancel from the old address may be racing us
+    const now = new Date().toISOString();
+    const { data: claimed } = await supabase
+      .from('email_change_requests')
+      .update({ confirmed_at: now })
+      .eq('id', request.id)
+      .is('confirmed_at', null)
+      .is('cancelled_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (!claimed) {
+      throw Errors.badRequest('INVALID_TOKEN', 'Invalid or expired confirmation link');
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({
+        email: request.new_email,
+        email_verified: true,
+        email_verified_at: now,
+        verification_token: null,
+        verification_token_expires_at: null
+      })
+      .eq('id', request.user_id);
+
+    if (error) {
+      await supabase.from('email_change_requests').update({ confirmed_at: null }).eq('id', request.id);
+      throw Errors.internal('Failed to change email');
+    }
+
+    const sessionsRevoked = await SessionService.revokeAll(
+      request.user_id,
+      SessionRevokeReason.EMAIL_CHANGE,
+      request.session_id || undefined
+    );
+
+    return { request, sessionsRevoked };
+  }
+
+  /**
+   * Cancel a pending change from the old address's notice
+   * Cancelling twice is harmless; a change that has already been confirmed can't be undone here.
+   */
+  static async cancel(token: string): Promise<{ request: any; cancelled: boolean }> {
+    const { data: request } = await supabase
+      .from('email_change_requests')
+      .select('*')
+      .eq('cancel_token_hash', hashToken(token))
+      .maybeSingle();
+
+    if (!request) {
+      throw Errors.badRequest('INVALID_TOKEN', 'Invalid cancellation link');
+    }
+
+    if (request.confirmed_at) {
+      throw Errors.conflict(
+        'ALREADY_CONFIRMED',
+        'This email change has already been confirmed. Reset your password and contact support if you did not make it'
+      );
+    }
+
+    if (request.cancelled_at) {
+      return { request, cancelled: false };
+    }
+
+    const { data: cancelled } = await supabase
+      .from('email_change_requests')
+      .update({ cancelled_at: new Date().toISOString() })
+      .eq('id', request.id)
+      .is('confirmed_at', null)
+      .is('cancelled_at', null)
+      .select('id')
+      .maybeSingle();
+
+    // Confirmed or cancelled since we read it; anything else means the update failed
+    if (!cancelled) {
+      const { data: current } = await supabase
+        .from('email_change_requests')
+        .select('*')
+        .eq('id', request.id)
+        .maybeSingle();
+
+      if (current?.confirmed_at) {
+        throw Errors.conflict(
+          'ALREADY_CONFIRMED',
+          'This email change has already been confirmed. Reset your password and contact support if you did not make it'
+        );
+      }
+      if (current?.cancelled_at) {
+        return { request: current, cancelled: false };
+      }
+      throw Errors.internal('Failed to cancel email change');
+    }
+
+    return { request, cancelled: true };
+  }
+}
+
+export default EmailChangeService;
@@ -0,0 +1,132 @@
+/**
+ * Email Verification Service
+ * Verification tokens and the policy for what unverified accounts can do
+ */
+
+import crypto from 'crypto';
+import { supabase } from '../config/database';
+import { EmailService } from './email.service';
+import { Errors } from '../utils/api-response';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How long a verification link stays valid
+export const VERIFICATION_TOKEN_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS || '48');
+
+// Minimum gap between verification emails for one account
+export const RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * What unverified accounts may do once the grace period is over
+ * - off: no restrictions
+ * - read_only: reads only (default)
+ * - blocked: nothing beyond their own account and sign-in
+ */
+export type VerificationPolicy = 'off' | 'read_only' | 'blocked';
+
+export type VerificationRestriction = 'none' | 'read_only' | 'blocked';
+
+const POLICIES: VerificationPolicy[] = ['off', 'read_only', 'blocked'];
+
+interface VerificationUserRow {
+  email_verified?: boolean | null;
+  is_super_admin?: boolean | null;
+  created_at?: string | null;
+}
+
+export class EmailVerificationService {
+  /**
+   * Policy from EMAIL_VERIFICATION_POLICY, falling back to read_only
+   */
+  static getPolicy(): VerificationPolicy {
+    const configured = process.env.EMAIL_VERIFICATION_POLICY as VerificationPolicy;
+    return POLICIES.includes(configured) ? configured : 'read_only';
+  }
+
+  /**
+   * Hours after sign-up an unverified account keeps full access
+   */
+  static getGraceHours(): number {
+    return parseInt(process.env.EMAIL_VERIFICATION_GRACE_HOURS || '24');
+  }
+
+  /**
+   * When the policy took effect, from EMAIL_VERIFICATION_REQUIRED_FROM
+   * Accounts created earlier are never restricted (without being marked verified).
+   */
+  static getRequiredFrom(): Date | null {
+    const configured = Date.parse(process.env.EMAIL_VERIFICATION_REQUIRED_FROM || '');
+    return Number.isNaN(configured) ? null : new Date(configured);
+  }
+
+  /**
+   * Restriction that applies to a user right now
+   */
+  static getRestriction(
+    user: VerificationUserRow,
+    policy: VerificationPolicy = EmailVerificationService.getPolicy(),
+    graceHours: number = EmailVerificationService.getGraceHours(),
+    now: Date = new Date(),
+    requiredFrom: Date | null = EmailVerificationService.getRequiredFrom()
+  ): VerificationRestriction {
+    if (policy === 'off' || user.email_verified || user.is_super_admin) return 'none';
+
+    if (requiredFrom && user.created_at && Date.parse(user.created_at) < requiredFrom.getTime()) {
+      return 'none';
+    }
+
+    if (user.created_at && now.getTime() < Date.parse(user.created_at) + graceHours * HOUR_MS) {
+      return 'none';
+    }
+
+    return policy;
+  }
+
+  /**
+   * New verification token; only the hash is stored
+   */
+  static generateToken(now: Date = new Date()): { token: string; hash: string; expiresAt: Date } {
+    const token = crypto.randomBytes(32).toString('hex');
+    return {
+      token,
+      hash: EmailVerificationService.hashToken(token),
+      expiresAt: new Date(now.getTime() + VERIFICATION_TOKEN_HOURS * HOUR_MS)
+    };
+  }
+
+  static hashToken(token: string): string {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue a fresh token (replacing any previous one) and email the link
+   * Throws 429 if a verification email was sent within the cooldown
+   */
+  static async sendVerification(
+    user: { id: string; email: string; verification_sent_at?: string | null },
+    now: Date = new Date()
+  ): Promise<void> {
+    if (user.verification_sent_at && now.getTime() - Date.parse(user.verification_sent_at) < RESEND_COOLDOWN_MS) {
+      throw Errors.tooManyRequests('A verification email was sent recently. Please wait a minute before trying again');
+    }
+
+    const { token, hash, expiresAt } = EmailVerificationService.generateToken(now);
+
+    const { error } = await supabase
+      .from('users')
+      .update({
+        verification_token: hash,
+        verification_token_expires_at: expiresAt.toISOString(),
+        verification_sent_at: now.toISOString()
+      })
+      .eq('id', user.id);
+
+    if (error) {
+      throw Errors.internal('Failed to create verification token');
+    }
+
+    await EmailService.sendVerificationEmail(user.email, token);
+  }
+}
+
+export default EmailVerificationService;
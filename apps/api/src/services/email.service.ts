@@ -266,6 +266,73 @@ class EmailServiceClass {
     await this.sendEmail({ to: email, subject, html });
   }
   
+  async sendEmailChangeConfirmation(options: {
+    to: string;
+    confirmUrl: string;
+    expiresInHours: number;
+  }): Promise<void> {
+    const subject = 'Confirm your new email address - Trustee Portal';
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>📧 Confirm Your New Email</h1>
+  <p>You asked to sign in to Trustee Portal with this email address. Confirm it to finish the change:</p>
+  <a href="${options.confirmUrl}" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Confirm Email Change</a>
+  <p>This link will expire in ${options.expiresInHours} hours. Your other devices will be signed out once you confirm.</p>
+  <p>If you didn't ask for this, you can ignore this email and nothing will change.</p>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+  
+  async sendEmailChangeNotice(options: {
+    to: string;
+    newEmail: string;
+    cancelUrl: string;
+  }): Promise<void> {
+    const subject = 'Your email address is being changed - Trustee Portal';
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>⚠️ Email Change Requested</h1>
+  <p>Someone signed in to your account asked to change its email address to <strong>${options.newEmail}</strong>.</p>
+  <p>The change takes effect once the new address is confirmed. If this wasn't you, cancel it now and change your password:</p>
+  <a href="${options.cancelUrl}" style="display: inline-block; background: #dc2626; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Cancel Email Change</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+  
+  async sendAccountDeletionScheduledEmail(options: {
+    to: string;
+    scheduledFor: Date;
+    requestedByAdmin: boolean;
+    cancelUrl: string;
+  }): Promise<void> {
+    const subject = 'Your account is scheduled for deletion - Trustee Portal';
+    const who = options.requestedByAdmin ? 'A platform administrator has' : 'You have';
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>🗑️ Account Deletion Scheduled</h1>
+  <p>${who} asked for your Trustee Portal account to be deleted. You have been signed out on all devices.</p>
+  <p>On <strong>${options.scheduledFor.toLocaleDateString('en-GB')}</strong> your personal details will be erased. Records of what you did, such as meeting and audit history, are kept without your name.</p>
+  <p>Changed your mind? Cancel before then:</p>
+  <a href="${options.cancelUrl}" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Keep My Account</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+  
   async sendSecurityAlert(email: string, type: string, details: any): Promise<void> {
     const subject = 'Security Alert - Trustee Portal';
     
@@ -330,6 +397,296 @@ class EmailServiceClass {
 
     await this.sendEmail({ to: inviterEmail, subject, html });
   }
+  async sendTaskAssignedEmail(options: {
+    to: string;
+    organizationName: string;
+    assignerName: string;
+    taskTitle: string;
+    dueDate?: string | null;
+    priority: string;
+  }): Promise<void> {
+    const subject = `New task assigned: ${options.taskTitle}`;
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>📋 New Task Assigned</h1>
+  <p><strong>${options.assignerName}</strong> assigned you a task in <strong>${options.organizationName}</strong>:</p>
+  <p><strong>${options.taskTitle}</strong></p>
+  <p>Priority: ${options.priority}</p>
+  ${options.dueDate ? `<p>Due: ${options.dueDate}</p>` : ''}
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">View Tasks</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+  
+  async sendTaskReminderEmail(options: {
+    to: string;
+    organizationName: string;
+    taskTitle: string;
+    dueDate: string;
+    overdue: boolean;
+  }): Promise<void> {
+    const subject = options.overdue
+      ? `Overdue task: ${options.taskTitle}`
+      : `Task due soon: ${options.taskTitle}`;
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>${options.overdue ? '⚠️ Task Overdue' : '⏰ Task Due Soon'}</h1>
+  <p>Your task in <strong>${options.organizationName}</strong> ${options.overdue ? 'was due' : 'is due'} on <strong>${options.dueDate}</strong>:</p>
+  <p><strong>${options.taskTitle}</strong></p>
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">View Tasks</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+  
+  async sendNewApplicationEmail(options: {
+    to: string;
+    organizationName: string;
+    jobTitle: string;
+    applicantName: string;
+    hasCv: boolean;
+  }): Promise<void> {
+    const subject = `New application: ${options.jobTitle}`;
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>📨 New Application Received</h1>
+  <p><strong>${options.applicantName}</strong> has applied for <strong>${options.jobTitle}</strong> at ${options.organizationName}.</p>
+  <p>${options.hasCv ? 'A CV was attached to the application.' : 'No CV was attached.'}</p>
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Review Applications</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+  
+  async sendTermExpiryEmail(options: {
+    to: string;
+    organizationName: string;
+    memberName: string;
+    termEndDate: string;
+    daysRemaining: number;
+    isAdminCopy: boolean;
+  }): Promise<void> {
+    const subject = options.isAdminCopy
+      ? `Trustee term ending: ${options.memberName}`
+      : `Your trustee term ends in ${options.daysRemaining} days`;
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>📅 Trustee Term Ending</h1>
+  <p>${options.isAdminCopy ? `<strong>${options.memberName}</strong>'s` : 'Your'} term as a trustee of <strong>${options.organizationName}</strong> ends on <strong>${options.termEndDate}</strong> (${options.daysRemaining} days).</p>
+  <p>${options.isAdminCopy ? 'Please review whether the term should be renewed.' : 'Please speak to your chair or administrator about renewal.'}</p>
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">View Trustees</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+  
+  async sendPaymentFailedEmail(options: {
+    to: string;
+    organizationName: string;
+    amountDue: number;
+    currency: string;
+  }): Promise<void> {
+    const subject = `Payment failed for ${options.organizationName}`;
+    const amount = `${(options.amountDue / 100).toFixed(2)} ${options.currency.toUpperCase()}`;
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>💳 Payment Failed</h1>
+  <p>We couldn't collect the payment of <strong>${amount}</strong> for <strong>${options.organizationName}</strong>'s subscription.</p>
+  <p>Please update your payment method to keep your account active.</p>
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Update Payment Method</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+  
+  async sendTrialEndingEmail(options: {
+    to: string;
+    organizationName: string;
+    trialEndsAt: string;
+    daysRemaining: number;
+    graceDays: number;
+  }): Promise<void> {
+    const subject = `Your free trial ends in ${options.daysRemaining} day${options.daysRemaining === 1 ? '' : 's'}`;
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>⏳ Your Trial Is Ending</h1>
+  <p>The free trial for <strong>${options.organizationName}</strong> ends on <strong>${options.trialEndsAt}</strong>.</p>
+  <p>Choose a plan to keep full access. After a ${options.graceDays}-day grace period your board's data becomes read-only until you subscribe.</p>
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Choose a Plan</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+  
+  async sendPolicyReviewEmail(options: {
+    to: string;
+    organizationName: string;
+    policyTitle: string;
+    nextReviewDate: string;
+    daysRemaining: number;
+  }): Promise<void> {
+    const due = options.daysRemaining <= 0;
+    const subject = due
+      ? `Policy due for review: ${options.policyTitle}`
+      : `Policy review in ${options.daysRemaining} days: ${options.policyTitle}`;
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>${due ? '📋 Policy Due for Review' : '📅 Policy Review Coming Up'}</h1>
+  <p>You own the <strong>${options.policyTitle}</strong> policy at <strong>${options.organizationName}</strong>. Its review ${due ? 'was due' : 'is due'} on <strong>${options.nextReviewDate}</strong>.</p>
+  <p>Please review the policy and submit it for approval, with any changes.</p>
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">View Policies</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+  
+  async sendPolicyApprovalRequestEmail(options: {
+    to: string;
+    organizationName: string;
+    policyTitle: string;
+    submittedBy: string;
+  }): Promise<void> {
+    const subject = `Policy awaiting approval: ${options.policyTitle}`;
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>✍️ Policy Awaiting Approval</h1>
+  <p><strong>${options.submittedBy}</strong> has submitted <strong>${options.policyTitle}</strong> at ${options.organizationName} for approval.</p>
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Review Policy</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+
+  async sendMinutesApprovalRequestEmail(options: {
+    to: string;
+    organizationName: string;
+    meetingTitle: string;
+    submittedBy: string;
+  }): Promise<void> {
+    const subject = `Minutes awaiting approval: ${options.meetingTitle}`;
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>📝 Minutes Awaiting Approval</h1>
+  <p><strong>${options.submittedBy}</strong> has submitted the draft minutes of <strong>${options.meetingTitle}</strong> at ${options.organizationName} for approval.</p>
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Review Minutes</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+
+  async sendBoardPackPublishedEmail(options: {
+    to: string;
+    organizationName: string;
+    meetingTitle: string;
+    meetingDate: string;
+    itemCount: number;
+    paperCount: number;
+  }): Promise<void> {
+    const subject = `Board pack published: ${options.meetingTitle}`;
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>📦 Board Pack Published</h1>
+  <p>The agenda and papers for <strong>${options.meetingTitle}</strong> at ${options.organizationName} are ready to read.</p>
+  <p>Meeting: ${new Date(options.meetingDate).toLocaleString('en-GB')}</p>
+  <p>${options.itemCount} agenda item(s), ${options.paperCount} paper(s)</p>
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">View Board Pack</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+
+  async sendWrittenResolutionEmail(options: {
+    to: string;
+    organizationName: string;
+    title: string;
+    motion: string;
+    votingClosesAt: string;
+  }): Promise<void> {
+    const subject = `Written resolution for your vote: ${options.title}`;
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>🗳️ Written Resolution</h1>
+  <p>The trustees of <strong>${options.organizationName}</strong> are asked to vote on the following resolution:</p>
+  <p><strong>${options.title}</strong></p>
+  <p style="background: #f3f4f6; padding: 12px; border-radius: 6px;">${options.motion}</p>
+  <p>Voting closes ${new Date(options.votingClosesAt).toLocaleString('en-GB')}.</p>
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Cast Your Vote</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
+
+  async sendInterestDeclarationReminderEmail(options: {
+    to: string;
+    organizationName: string;
+    dueDate: string | null;
+    overdue: boolean;
+  }): Promise<void> {
+    const subject = options.overdue
+      ? `Declaration of interests overdue - ${options.organizationName}`
+      : `Declaration of interests due soon - ${options.organizationName}`;
+    const when = options.dueDate
+      ? `${options.overdue ? 'was due' : 'is due'} on <strong>${new Date(options.dueDate).toLocaleDateString('en-GB')}</strong>`
+      : 'is due now';
+    
+    const html = `
+<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <h1>${options.overdue ? '⚠️ Declaration of Interests Overdue' : '📅 Declaration of Interests Due'}</h1>
+  <p>Your annual declaration of interests for <strong>${options.organizationName}</strong> ${when}.</p>
+  <p>Please check your entries in the register of interests, add anything new, and confirm they are complete.</p>
+  <a href="${process.env.FRONTEND_URL}/dashboard" style="display: inline-block; background: #4f46e5; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Review Your Interests</a>
+</body>
+</html>`;
+
+    await this.sendEmail({ to: options.to, subject, html });
+  }
 }
 
 export const EmailService = new EmailServiceClass();
@@ -0,0 +1,420 @@
+/**
+ * In-Memory Payment Provider
+ * PaymentProvider fake for tests and local development - no network, deterministic billing
+ */
+
+import crypto from 'crypto';
+import { AppError, Errors } from '../utils/api-response';
+import {
+  BillingEvent,
+  BillingEventType,
+  PaymentProvider,
+  PlanPrice,
+  ProrationPreview,
+  ProviderInvoice,
+  ProviderPaymentMethod,
+  ProviderSubscription,
+  WebhookSignatureError,
+  addBillingInterval,
+  calculateProration
+} from './payment-provider';
+
+// Reject signed payloads older than this (same default as Stripe)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// Date fields to revive when parsing a webhook payload
+const DATE_FIELDS = new Set(['createdAt', 'currentPeriodStart', 'currentPeriodEnd', 'trialEnd', 'periodStart', 'periodEnd']);
+
+interface FakePaymentMethod extends Omit<ProviderPaymentMethod, 'isDefault'> {
+  declines: boolean;
+}
+
+interface FakeCustomer {
+  id: string;
+  email: string;
+  name: string;
+  organizationId: string;
+  defaultPaymentMethodId: string | null;
+  paymentMethods: Map<string, FakePaymentMethod>;
+  // Credit from downgrades, applied to the next invoice
+  balance: number;
+}
+
+interface FakeSubscription extends ProviderSubscription {
+  price: PlanPrice;
+}
+
+const newId = (prefix: string): string => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const snapshot = (subscription: FakeSubscription): ProviderSubscription => {
+  const { price: _price, ...rest } = subscription;
+  return { ...rest };
+};
+
+export class InMemoryPaymentProvider implements PaymentProvider {
+  readonly name = 'in_memory' as const;
+  readonly publishableKey = null;
+  readonly signatureHeader = 'x-billing-signature';
+
+  private customers = new Map<string, FakeCustomer>();
+  private subscriptions = new Map<string, FakeSubscription>();
+  private invoices: ProviderInvoice[] = [];
+  private invoiceSequence = 0;
+
+  // Events a real provider would deliver by webhook, oldest first
+  readonly events: BillingEvent[] = [];
+
+  constructor(
+    private readonly webhookSecret: string,
+    private readonly clock: () => Date = () => new Date()
+  ) {}
+
+  // ==========================================
+  // Test helpers
+  // ==========================================
+
+  /**
+   * Attach a card as if the customer had completed a setup intent
+   * Cards created with declines: true fail every charge
+   */
+  addPaymentMethod(
+    customerId: string,
+    card: { brand?: string; last4?: string; expMonth?: number; expYear?: number; declines?: boolean } = {}
+  ): string {
+    const customer = this.getCustomer(customerId);
+    const id = newId('pm');
+
+    customer.paymentMethods.set(id, {
+      id,
+      brand: card.brand || 'visa',
+      last4: card.last4 || '4242',
+      expMonth: card.expMonth || 12,
+      expYear: card.expYear || this.clock().getUTCFullYear() + 3,
+      declines: !!card.declines
+    });
+
+    if (!customer.defaultPaymentMethodId) {
+      customer.defaultPaymentMethodId = id;
+    }
+
+    return id;
+  }
+
+  /**
+   * Bill the next period, as the provider would on the renewal date
+   * Subscriptions set to cancel at period end are cancelled instead
+   */
+  renewSubscription(subscriptionId: string): ProviderSubscription {
+    const subscription = this.getFakeSubscription(subscriptionId);
+
+    if (subscription.cancelAtPeriodEnd) {
+      subscription.status = 'canceled';
+      this.emit('subscription.deleted', { subscription: snapshot(subscription) });
+      return snapshot(subscription);
+    }
+
+    const periodStart = subscription.currentPeriodEnd;
+    const invoice = this.charge(subscription.customerId, subscription.id, subscription.price.amount, {
+      periodStart,
+      periodEnd: addBillingInterval(periodStart, subscription.price.interval)
+    });
+
+    if (invoice.status === 'paid') {
+      subscription.status = 'active';
+      subscription.currentPeriodStart = invoice.periodStart!;
+      subscription.currentPeriodEnd = invoice.periodEnd!;
+    } else {
+      subscription.status = 'past_due';
+    }
+
+    this.emit('subscription.updated', { subscription: snapshot(subscription) });
+    return snapshot(subscription);
+  }
+
+  /**
+   * Signed webhook request for an event (body plus signature header)
+   */
+  createWebhookRequest(event: BillingEvent, timestamp: Date = this.clock()): { payload: string; signature: string } {
+    const payload = JSON.stringify(event);
+    return { payload, signature: this.sign(payload, timestamp) };
+  }
+
+  sign(payload: string, timestamp: Date = this.clock()): string {
+    const t = Math.floor(timestamp.getTime() / 1000);
+    const digest = crypto.createHmac('sha256', this.webhookSecret).update(`${t}.${payload}`).digest('hex');
+    return `t=${t},v1=${digest}`;
+  }
+
+  // ==========================================
+  // Internals
+  // ==========================================
+
+  private getCustomer(customerId: string): FakeCustomer {
+    const customer = this.customers.get(customerId);
+    if (!customer) throw Errors.notFound('Customer');
+    return customer;
+  }
+
+  private getFakeSubscription(subscriptionId: string): FakeSubscription {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) throw Errors.notFound('Subscription');
+    return subscription;
+  }
+
+  private emit(type: BillingEventType, data: Pick<BillingEvent, 'subscription' | 'invoice'>): void {
+    this.events.push({
+      id: newId('evt'),
+      type,
+      providerType: type,
+      createdAt: this.clock(),
+      ...data
+    });
+  }
+
+  // Raise an invoice and try to collect it from the default card, using any credit first
+  private charge(
+    customerId: string,
+    subscriptionId: string | null,
+    amount: number,
+    period: { periodStart: Date; periodEnd: Date }
+  ): ProviderInvoice {
+    const customer = this.getCustomer(customerId);
+    const credit = Math.min(customer.balance, amount);
+    const amountDue = amount - credit;
+    customer.balance -= credit;
+
+    const method = customer.defaultPaymentMethodId
+      ? customer.paymentMethods.get(customer.defaultPaymentMethodId)
+      : undefined;
+    const paid = amountDue === 0 || (!!method && !method.declines);
+
+    const invoice: ProviderInvoice = {
+      id: newId('in'),
+      number: `INV-${String(++this.invoiceSequence).padStart(4, '0')}`,
+      customerId,
+      subscriptionId,
+      amountDue,
+      amountPaid: paid ? amountDue : 0,
+      currency: 'usd',
+      status: paid ? 'paid' : 'open',
+      hostedInvoiceUrl: null,
+      pdfUrl: null,
+      periodStart: period.periodStart,
+      periodEnd: period.periodEnd,
+      createdAt: this.clock()
+    };
+
+    this.invoices.push(invoice);
+    this.emit(paid ? 'invoice.paid' : 'invoice.payment_failed', { invoice: { ...invoice } });
+
+    return invoice;
+  }
+
+  // ==========================================
+  // PaymentProvider
+  // ==========================================
+
+  async createCustomer(params: { email: string; name: string; organizationId: string }): Promise<string> {
+    const id = newId('cus');
+    this.customers.set(id, {
+      id,
+      ...params,
+      defaultPaymentMethodId: null,
+      paymentMethods: new Map(),
+      balance: 0
+    });
+    return id;
+  }
+
+  async createSetupIntent(customerId: string): Promise<{ clientSecret: string }> {
+    this.getCustomer(customerId);
+    return { clientSecret: `${newId('seti')}_secret_${crypto.randomBytes(8).toString('hex')}` };
+  }
+
+  async listPaymentMethods(customerId: string): Promise<ProviderPaymentMethod[]> {
+    const customer = this.getCustomer(customerId);
+    return Array.from(customer.paymentMethods.values()).map(({ declines: _declines, ...method }) => ({
+      ...method,
+      isDefault: method.id === customer.defaultPaymentMethodId
+    }));
+  }
+
+  async setDefaultPaymentMethod(customerId: string, paymentMethodId: string): Promise<void> {
+    const customer = this.getCustomer(customerId);
+    if (!customer.paymentMethods.has(paymentMethodId)) throw Errors.notFound('Payment method');
+    customer.defaultPaymentMethodId = paymentMethodId;
+  }
+
+  async detachPaymentMethod(customerId: string, paymentMethodId: string): Promise<void> {
+    const customer = this.getCustomer(customerId);
+    if (!customer.paymentMethods.delete(paymentMethodId)) throw Errors.notFound('Payment method');
+    if (customer.defaultPaymentMethodId === paymentMethodId) {
+      customer.defaultPaymentMethodId = null;
+    }
+  }
+
+  async createSubscription(params: {
+    customerId: string;
+    price: PlanPrice;
+    organizationId: string;
+    trialEnd?: Date | null;
+  }): Promise<ProviderSubscription> {
+    const now = this.clock();
+    const trialEnd = params.trialEnd && params.trialEnd > now ? params.trialEnd : null;
+    const periodEnd = trialEnd || addBillingInterval(now, params.price.interval);
+
+    // Like Stripe's error_if_incomplete: a first payment that can't be taken creates nothing
+    if (!trialEnd && params.price.amount > 0) {
+      const customer = this.getCustomer(params.customerId);
+      const method = customer.defaultPaymentMethodId
+        ? customer.paymentMethods.get(customer.defaultPaymentMethodId)
+        : undefined;
+
+      if (!method) {
+        throw new AppError(402, 'PAYMENT_METHOD_REQUIRED', 'Add a payment method before subscribing');
+      }
+      if (method.declines && customer.balance < params.price.amount) {
+        throw new AppError(402, 'PAYMENT_FAILED', 'Your card was declined');
+      }
+    }
+
+    const subscription: FakeSubscription = {
+      id: newId('sub'),
+      customerId: params.customerId,
+      priceId: params.price.priceId,
+      price: params.price,
+      status: trialEnd ? 'trialing' : 'active',
+      currentPeriodStart: now,
+      currentPeriodEnd: periodEnd,
+      cancelAtPeriodEnd: false,
+      trialEnd,
+      organizationId: params.organizationId
+    };
+
+    this.charge(params.customerId, subscription.id, trialEnd ? 0 : params.price.amount, {
+      periodStart: now,
+      periodEnd
+    });
+
+    this.subscriptions.set(subscription.id, subscription);
+    this.emit('subscription.created', { subscription: snapshot(subscription) });
+
+    return snapshot(subscription);
+  }
+
+  async getSubscription(subscriptionId: string): Promise<ProviderSubscription> {
+    return snapshot(this.getFakeSubscription(subscriptionId));
+  }
+
+  async previewPriceChange(subscriptionId: string, price: PlanPrice, prorationDate: Date): Promise<ProrationPreview> {
+    const subscription = this.getFakeSubscription(subscriptionId);
+    const { amountDue } = calculateProration({
+      currentAmount: subscription.status === 'trialing' ? 0 : subscription.price.amount,
+      currentInterval: subscription.price.interval,
+      newPrice: price,
+      periodStart: subscription.currentPeriodStart,
+      periodEnd: subscription.currentPeriodEnd,
+      prorationDate
+    });
+    return { amountDue, currency: 'usd', prorationDate };
+  }
+
+  async changeSubscriptionPrice(subscriptionId: string, price: PlanPrice, prorationDate: Date): Promise<ProviderSubscription> {
+    const subscription = this.getFakeSubscription(subscriptionId);
+
+    // Trials stay trials; the new price applies from the first paid period
+    if (subscription.status !== 'trialing') {
+      const proration = calculateProration({
+        currentAmount: subscription.price.amount,
+        currentInterval: subscription.price.interval,
+        newPrice: price,
+        periodStart: subscription.currentPeriodStart,
+        periodEnd: subscription.currentPeriodEnd,
+        prorationDate
+      });
+
+      if (proration.amountDue > 0) {
+        const invoice = this.charge(subscription.customerId, subscription.id, proration.amountDue, proration);
+        if (invoice.status !== 'paid') subscription.status = 'past_due';
+      } else {
+        this.getCustomer(subscription.customerId).balance += -proration.amountDue;
+      }
+
+      subscription.currentPeriodStart = proration.periodStart;
+      subscription.currentPeriodEnd = proration.periodEnd;
+    }
+
+    subscription.price = price;
+    subscription.priceId = price.priceId;
+    subscription.cancelAtPeriodEnd = false;
+
+    this.emit('subscription.updated', { subscription: snapshot(subscription) });
+    return snapshot(subscription);
+  }
+
+  async cancelSubscription(subscriptionId: string, options: { atPeriodEnd: boolean }): Promise<ProviderSubscription> {
+    const subscription = this.getFakeSubscription(subscriptionId);
+
+    if (options.atPeriodEnd) {
+      subscription.cancelAtPeriodEnd = true;
+      this.emit('subscription.updated', { subscription: snapshot(subscription) });
+    } else {
+      subscription.status = 'canceled';
+      this.emit('subscription.deleted', { subscription: snapshot(subscription) });
+    }
+
+    return snapshot(subscription);
+  }
+
+  async resumeSubscription(subscriptionId: string): Promise<ProviderSubscription> {
+    const subscription = this.getFakeSubscription(subscriptionId);
+    subscription.cancelAtPeriodEnd = false;
+    this.emit('subscription.updated', { subscription: snapshot(subscription) });
+    return snapshot(subscription);
+  }
+
+  async listInvoices(customerId: string, limit: number): Promise<ProviderInvoice[]> {
+    return this.invoices
+      .filter(invoice => invoice.customerId === customerId)
+      .sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime())
+      .slice(0, limit)
+      .map(invoice => ({ ...invoice }));
+  }
+
+  async createPortalSession(customerId: string, returnUrl: string): Promise<{ url: string }> {
+    this.getCustomer(customerId);
+    // There is no hosted portal locally; send the user straight back
+    return { url: returnUrl };
+  }
+
+  parseWebhookEvent(payload: Buffer | string, signature: string | undefined): BillingEvent {
+    if (!signature) {
+      throw new WebhookSignatureError('Missing webhook signature');
+    }
+
+    const parts = Object.fromEntries(signature.split(',').map(part => part.split('=', 2)));
+    const timestamp = parseInt(parts.t, 10);
+    if (!parts.v1 || Number.isNaN(timestamp)) {
+      throw new WebhookSignatureError();
+    }
+
+    const age = Math.abs(this.clock().getTime() / 1000 - timestamp);
+    if (age > SIGNATURE_TOLERANCE_SECONDS) {
+      throw new WebhookSignatureError('Webhook signature has expired');
+    }
+
+    const body = payload.toString();
+    const expected = this.sign(body, new Date(timestamp * 1000)).split('v1=')[1];
+    const actual = String(parts.v1);
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected))) {
+      throw new WebhookSignatureError();
+    }
+
+    return JSON.parse(body, (key, value) =>
+      DATE_FIELDS.has(key) && typeof value === 'string' ? new Date(value) : value
+    ) as BillingEvent;
+  }
+}
+
+export default InMemoryPaymentProvider;
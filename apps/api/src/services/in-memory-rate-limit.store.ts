@@ -0,0 +1,84 @@
+/**
+ * In-Memory Rate Limit Store
+ * Process-local counts for tests, local dev and single-instance deployments
+ */
+
+import { RateLimitHit, RateLimitStore, getWindowStart, slidingWindowCount } from './rate-limit-store';
+
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+interface Counter {
+  windowMs: number;
+  windowStart: number;
+  previous: number;
+  current: number;
+}
+
+export class InMemoryRateLimitStore implements RateLimitStore {
+  readonly name = 'memory' as const;
+  private readonly counters = new Map<string, Counter>();
+  private readonly cleanup: NodeJS.Timeout;
+
+  constructor() {
+    // Drop keys that haven't been hit for two windows, so the map can't grow without bound
+    this.cleanup = setInterval(() => this.prune(), CLEANUP_INTERVAL_MS);
+    this.cleanup.unref();
+  }
+
+  // Counter for a key, rolled forward to the window `now` falls in
+  private counterFor(key: string, windowMs: number, now: number): Counter {
+    const windowStart = getWindowStart(now, windowMs);
+    const counter = this.counters.get(key);
+
+    if (!counter || counter.windowMs !== windowMs) {
+      const fresh = { windowMs, windowStart, previous: 0, current: 0 };
+      this.counters.set(key, fresh);
+      return fresh;
+    }
+
+    if (counter.windowStart !== windowStart) {
+      counter.previous = windowStart - counter.windowStart === windowMs ? counter.current : 0;
+      counter.current = 0;
+      counter.windowStart = windowStart;
+    }
+
+    return counter;
+  }
+
+  async increment(key: string, windowMs: number, now: number = Date.now()): Promise<RateLimitHit> {
+    const counter = this.counterFor(key, windowMs, now);
+    counter.current++;
+
+    return {
+      count: slidingWindowCount(counter.previous, counter.current, now, windowMs),
+      resetAt: new Date(counter.windowStart + windowMs)
+    };
+  }
+
+  async decrement(key: string, windowMs: number, now: number = Date.now()): Promise<void> {
+    const counter = this.counterFor(key, windowMs, now);
+    counter.current = Math.max(0, counter.current - 1);
+  }
+
+  async reset(key: string, _windowMs?: number): Promise<void> {
+    this.counters.delete(key);
+  }
+
+  /**
+   * Remove counters with nothing left in their sliding window
+   */
+  prune(now: number = Date.now()): void {
+    for (const [key, counter] of this.counters.entries()) {
+      if (now >= counter.windowStart + 2 * counter.windowMs) {
+        this.counters.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Number of keys being tracked
+   */
+  get size(): number {
+    return this.counters.size;
+  }
+}
@@ -0,0 +1,183 @@
+/**
+ * Interest Service
+ * Declaration cycle for the register of interests, reminders and register export
+ */
+
+import { supabase } from '../config/database';
+import { EmailService } from './email.service';
+import { BOARD_MEMBER_ROLES } from './rbac.service';
+import { ConflictAction } from '../types';
+import { Logger } from '../utils/logger';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Board members re-confirm their register entries this often
+export const DECLARATION_CYCLE_MONTHS = 12;
+
+// Reminders start this many days before a declaration is due, and repeat this often until it's made
+export const DECLARATION_REMINDER_DAYS = 30;
+
+// Conflicts that keep a member out of the vote
+export const VOTE_EXCLUDING_ACTIONS = [ConflictAction.LEFT_ROOM, ConflictAction.NO_VOTE];
+
+export type DeclarationState = 'never' | 'overdue' | 'due_soon' | 'current';
+
+export interface DeclarationStatus {
+  status: DeclarationState;
+  lastDeclaredAt: string | null;
+  // Null until the first declaration; a member who has never declared is due now
+  dueDate: string | null;
+}
+
+interface ReminderCandidate {
+  interests_declared_at?: string | null;
+  interest_reminder_sent_at?: string | null;
+}
+
+export class InterestService {
+  /**
+   * Date the next declaration is due, one cycle after the last
+   * 29 February rolls back to 28 February in years without one
+   */
+  static getDeclarationDueDate(lastDeclaredAt: string): Date {
+    const last = new Date(lastDeclaredAt);
+    const due = new Date(last);
+    due.setUTCMonth(last.getUTCMonth() + DECLARATION_CYCLE_MONTHS);
+
+    if (due.getUTCDate() !== last.getUTCDate()) {
+      due.setUTCDate(0);
+    }
+
+    return due;
+  }
+
+  /**
+   * Where a member is in the annual declaration cycle
+   */
+  static getDeclarationStatus(lastDeclaredAt?: string | null, now: Date = new Date()): DeclarationStatus {
+    if (!lastDeclaredAt) {
+      return { status: 'never', lastDeclaredAt: null, dueDate: null };
+    }
+
+    const due = InterestService.getDeclarationDueDate(lastDeclaredAt);
+    const msLeft = due.getTime() - now.getTime();
+
+    let status: DeclarationState = 'current';
+    if (msLeft <= 0) {
+      status = 'overdue';
+    } else if (msLeft <= DECLARATION_REMINDER_DAYS * DAY_MS) {
+      status = 'due_soon';
+    }
+
+    return { status, lastDeclaredAt, dueDate: due.toISOString() };
+  }
+
+  /**
+   * Whether a member should get a declaration reminder now
+   * The reminder timestamp is cleared on each declaration, so the first one goes out as soon as a declaration is due
+   */
+  static shouldSendReminder(member: ReminderCandidate, now: Date = new Date()): boolean {
+    const { status } = InterestService.getDeclarationStatus(member.interests_declared_at, now);
+    if (status === 'current') return false;
+    if (!member.interest_reminder_sent_at) return true;
+
+    return now.getTime() - Date.parse(member.interest_reminder_sent_at) >= DECLARATION_REMINDER_DAYS * DAY_MS;
+  }
+
+  /**
+   * Users excluded from a resolution's vote by a conflict
+   * Covers conflicts declared on the resolution itself, and meeting declarations made against
+   * the resolution's agenda item or the whole meeting
+   */
+  static async getConflictedUserIds(resolution: {
+    id: string;
+    meeting_id?: string | null;
+    agenda_item_id?: string | null;
+  }): Promise<Set<string>> {
+    const [{ data: conflicts }, { data: declarations }] = await Promise.all([
+      supabase.from('resolution_conflicts').select('user_id').eq('resolution_id', resolution.id),
+      resolution.meeting_id
+        ? supabase
+          .from('meeting_declarations')
+          .select('user_id, agenda_item_id')
+          .eq('meeting_id', resolution.meeting_id)
+          .in('action', VOTE_EXCLUDING_ACTIONS)
+        : Promise.resolve({ data: [] as { user_id: string; agenda_item_id: string | null }[] })
+    ]);
+
+    const conflicted = new Set((conflicts || []).map(c => c.user_id));
+
+    for (const declaration of declarations || []) {
+      if (!declaration.agenda_item_id || declaration.agenda_item_id === resolution.agenda_item_id) {
+        conflicted.add(declaration.user_id);
+      }
+    }
+
+    return conflicted;
+  }
+
+  /**
+   * CSV text from rows of cells
+   * Cells are quoted where needed, and ones that spreadsheets would run as formulas are prefixed with '
+   */
+  static toCsv(rows: (string | number | null | undefined)[][]): string {
+    const escape = (value: string | number | null | undefined): string => {
+      let text = value === null || value === undefined ? '' : String(value);
+      if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return rows.map(row => row.map(escape).join(',')).join('\r\n');
+  }
+
+  /**
+   * Email board members whose annual declaration is due or overdue
+   */
+  static async sendDeclarationReminders(now: Date = new Date()): Promise<{ sent: number }> {
+    const { data: members, error } = await supabase
+      .from('organization_members')
+      .select(`
+        id, interests_declared_at, interest_reminder_sent_at,
+        organizations(name, is_active),
+        users(email)
+      `)
+      .eq('is_active', true)
+      .in('role', BOARD_MEMBER_ROLES);
+
+    if (error) {
+      Logger.error('Failed to load members for declaration reminders', error as any);
+      return { sent: 0 };
+    }
+
+    let sent = 0;
+
+    for (const member of (members || []) as any[]) {
+      if (member.organizations?.is_active === false || !member.users?.email) continue;
+      if (!InterestService.shouldSendReminder(member, now)) continue;
+
+      const { status, dueDate } = InterestService.getDeclarationStatus(member.interests_declared_at, now);
+
+      try {
+        await EmailService.sendInterestDeclarationReminderEmail({
+          to: member.users.email,
+          organizationName: member.organizations?.name || 'your organization',
+          dueDate,
+          overdue: status !== 'due_soon'
+        });
+
+        await supabase
+          .from('organization_members')
+          .update({ interest_reminder_sent_at: now.toISOString() })
+          .eq('id', member.id);
+
+        sent++;
+      } catch (err) {
+        Logger.error('Failed to send declaration reminder', err as Error, { memberId: member.id });
+      }
+    }
+
+    return { sent };
+  }
+}
+
+export default InterestService;
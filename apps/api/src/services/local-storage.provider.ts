@@ -0,0 +1,54 @@
+/**
+ * Local Storage Provider
+ * Stores objects as files under a root directory (UPLOAD_DIR/documents by default)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import type { Readable } from 'stream';
+import { StorageProvider, StorageObjectNotFoundError } from './storage-provider';
+
+export class LocalStorageProvider implements StorageProvider {
+  readonly name = 'local' as const;
+  private readonly root: string;
+
+  constructor(root: string) {
+    this.root = path.resolve(root);
+  }
+
+  // Keys map to paths under the root; anything that would escape it is rejected
+  private resolve(key: string): string {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key: string, data: Buffer, _contentType: string): Promise<void> {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    // 'wx' fails if the file exists - stored versions are never overwritten
+    await fs.promises.writeFile(filePath, data, { flag: 'wx' });
+  }
+
+  async getStream(key: string): Promise<Readable> {
+    const filePath = this.resolve(key);
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch {
+      throw new StorageObjectNotFoundError(key);
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key: string): Promise<void> {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (err: any) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+}
+
+export default LocalStorageProvider;
@@ -0,0 +1,227 @@
+/**
+ * Member Import Service
+ * Parses and validates the member import CSV (the setup wizard's template)
+ */
+
+import { z } from 'zod';
+import { Role } from '../types';
+import { Errors } from '../utils/api-response';
+
+// Columns in the downloadable template; only email and role are required
+export const IMPORT_COLUMNS = ['first_name', 'last_name', 'email', 'role', 'committee'];
+
+export const MAX_IMPORT_ROWS = 500;
+
+export type ImportRowStatus = 'valid' | 'invalid' | 'skipped';
+
+export interface ImportRow {
+  // Line in the file (the header is line 1)
+  row: number;
+  firstName: string;
+  lastName: string;
+  email: string;
+  role: string;
+  committee: string;
+}
+
+export interface ImportReportRow extends ImportRow {
+  status: ImportRowStatus;
+  committeeId: string | null;
+  errors: string[];
+}
+
+export interface ImportContext {
+  invitableRoles: Role[];
+  // Lower-cased emails
+  existingMemberEmails: Set<string>;
+  pendingInvitationEmails: Set<string>;
+  // Lower-cased committee name → committee ID
+  committees: Map<string, string>;
+  // Seats left under the organization's member limit (null = unlimited)
+  availableSeats: number | null;
+}
+
+export interface ImportSummary {
+  total: number;
+  valid: number;
+  invalid: number;
+  skipped: number;
+}
+
+const emailSchema = z.string().email();
+
+// "Vice Chair", "vice-chair" and "vice_chair" all mean Role.VICE_CHAIR
+const normalizeRole = (value: string): string =>
+  value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+export class MemberImportService {
+  /**
+   * Split CSV text into rows of fields
+   * Handles quoted fields (with "" escapes and embedded commas/newlines), CRLF and a leading BOM
+   */
+  static parseCsv(text: string): string[][] {
+    const rows: string[][] = [];
+    let row: string[] = [];
+    let field = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (inQuotes) {
+        if (char === '"' && input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Rows from an import file, keyed by the template's header names
+   * Blank lines are ignored; throws INVALID_CSV if the header or size is wrong
+   */
+  static parseMemberCsv(text: string): ImportRow[] {
+    const [header, ...lines] = MemberImportService.parseCsv(text);
+
+    if (!header) {
+      throw Errors.badRequest('INVALID_CSV', 'The file is empty');
+    }
+
+    const columns = header.map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+    const missing = ['email', 'role'].filter(c => !columns.includes(c));
+    if (missing.length > 0) {
+      throw Errors.badRequest('INVALID_CSV', `Missing required column(s): ${missing.join(', ')}`, {
+        expectedColumns: IMPORT_COLUMNS
+      });
+    }
+
+    const rows: ImportRow[] = [];
+    lines.forEach((fields, index) => {
+      if (fields.every(f => f.trim() === '')) return;
+
+      const value = (column: string) => (fields[columns.indexOf(column)] ?? '').trim();
+      rows.push({
+        row: index + 2,
+        firstName: value('first_name'),
+        lastName: value('last_name'),
+        email: value('email').toLowerCase(),
+        role: value('role'),
+        committee: value('committee')
+      });
+    });
+
+    if (rows.length === 0) {
+      throw Errors.badRequest('INVALID_CSV', 'The file has no member rows');
+    }
+
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw Errors.badRequest('INVALID_CSV', `Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Check every row and report what an import would do with it
+   * - invalid: bad email, role the importer can't invite, unknown committee, duplicate, or over the member limit
+   * - skipped: already a member or already invited
+   */
+  static validateRows(rows: ImportRow[], context: ImportContext): ImportReportRow[] {
+    const seen = new Map<string, number>();
+    let seatsLeft = context.availableSeats;
+
+    return rows.map(row => {
+      const errors: string[] = [];
+      const role = normalizeRole(row.role);
+      let committeeId: string | null = null;
+
+      if (!row.email) {
+        errors.push('Email is required');
+      } else if (!emailSchema.safeParse(row.email).success) {
+        errors.push(`Invalid email address '${row.email}'`);
+      }
+
+      if (!row.role) {
+        errors.push('Role is required');
+      } else if (!Object.values(Role).includes(role as Role)) {
+        errors.push(`Unknown role '${row.role}'`);
+      } else if (!context.invitableRoles.includes(role as Role)) {
+        errors.push(`You cannot invite members with role '${role}'`);
+      }
+
+      if (row.committee) {
+        committeeId = context.committees.get(row.committee.toLowerCase()) || null;
+        if (!committeeId) {
+          errors.push(`Unknown committee '${row.committee}'`);
+        }
+      }
+
+      if (row.email && seen.has(row.email)) {
+        errors.push(`Duplicate of row ${seen.get(row.email)}`);
+      } else if (row.email) {
+        seen.set(row.email, row.row);
+      }
+
+      const report = { ...row, role: errors.length === 0 ? role : row.role, committeeId };
+
+      if (errors.length > 0) {
+        return { ...report, status: 'invalid' as const, errors };
+      }
+
+      if (context.existingMemberEmails.has(row.email)) {
+        return { ...report, status: 'skipped' as const, errors: ['Already a member of the organization'] };
+      }
+
+      if (context.pendingInvitationEmails.has(row.email)) {
+        return { ...report, status: 'skipped' as const, errors: ['An invitation is already pending'] };
+      }
+
+      if (seatsLeft !== null) {
+        if (seatsLeft <= 0) {
+          return { ...report, status: 'invalid' as const, errors: ['Organization has reached the maximum member limit'] };
+        }
+        seatsLeft--;
+      }
+
+      return { ...report, status: 'valid' as const, errors: [] };
+    });
+  }
+
+  static summarize(report: ImportReportRow[]): ImportSummary {
+    return {
+      total: report.length,
+      valid: report.filter(r => r.status === 'valid').length,
+      invalid: report.filter(r => r.status === 'invalid').length,
+      skipped: report.filter(r => r.status === 'skipped').length
+    };
+  }
+}
+
+export default MemberImportService;
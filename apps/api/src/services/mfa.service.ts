@@ -0,0 +1,174 @@
+/**
+ * MFA Service
+ * TOTP (RFC 6238) multi-factor authentication and recovery codes
+ */
+
+import crypto from 'crypto';
+import { hashToken } from './token.service';
+import { Role } from '../types';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept one step either side to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const MFA_ISSUER = process.env.MFA_ISSUER || 'Trustee Portal';
+
+// Roles that must use MFA when the organization requires it
+const MFA_ENFORCED_ROLES: Role[] = [Role.OWNER, Role.ADMIN];
+
+function base32Encode(buffer: Buffer): string {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input: string): Buffer {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes: number[] = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// Normalise recovery codes so "ABCD-1234" and "abcd1234" match
+function normalizeRecoveryCode(code: string): string {
+  return code.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+export class MfaService {
+  /**
+   * Generate a new random TOTP secret (base32)
+   */
+  static generateSecret(): string {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * otpauth:// URI for authenticator apps (rendered as a QR code by the client)
+   */
+  static getProvisioningUri(secret: string, accountName: string): string {
+    const label = encodeURIComponent(`${MFA_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: MFA_ISSUER,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Time step for a timestamp
+   */
+  static getTimeStep(now: number = Date.now()): number {
+    return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  }
+
+  /**
+   * Generate the TOTP code for a time step
+   */
+  static generateCode(secret: string, step: number = MfaService.getTimeStep()): string {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Verify a TOTP code
+   * Returns the matching time step (so callers can reject replays) or null
+   */
+  static verifyCode(secret: string, code: string, now: number = Date.now()): number | null {
+    const cleaned = code.replace(/\s/g, '');
+    if (!/^\d{6}$/.test(cleaned)) return null;
+
+    const currentStep = MfaService.getTimeStep(now);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+      const step = currentStep + offset;
+      const expected = MfaService.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleaned))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate one-time recovery codes
+   * Returns plaintext codes (shown once) and their hashes (stored)
+   */
+  static generateRecoveryCodes(count = RECOVERY_CODE_COUNT): { codes: string[]; hashes: string[] } {
+    const codes = Array.from({ length: count }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+    };
+  }
+
+  /**
+   * Use a recovery code
+   * Returns the remaining hashes if the code matched, otherwise null
+   */
+  static consumeRecoveryCode(hashes: string[], code: string): string[] | null {
+    const hash = hashToken(normalizeRecoveryCode(code));
+    const index = hashes.indexOf(hash);
+
+    if (index === -1) return null;
+
+    return [...hashes.slice(0, index), ...hashes.slice(index + 1)];
+  }
+
+  /**
+   * Whether an organization requires this role to use MFA
+   */
+  static isMfaRequired(organization: any, role?: Role): boolean {
+    if (!organization?.settings?.requireMfaForAdmins || !role) return false;
+    return MFA_ENFORCED_ROLES.includes(role);
+  }
+}
+
+export default MfaService;
@@ -0,0 +1,132 @@
+/**
+ * Minutes Service
+ * Minutes workflow state machine and content hashing for approved versions
+ */
+
+import crypto from 'crypto';
+import { supabase } from '../config/database';
+import { MinutesContent, MinutesSection, MinutesStatus, Permission } from '../types';
+import { Errors } from '../utils/api-response';
+
+/**
+ * Allowed minutes status transitions
+ * draft (secretary) → submitted → approved (chair) → adopted (board, at a later meeting)
+ */
+const MINUTES_TRANSITIONS: Record<MinutesStatus, MinutesStatus[]> = {
+  [MinutesStatus.DRAFT]: [MinutesStatus.SUBMITTED],
+  // Back to draft = returned with comments
+  [MinutesStatus.SUBMITTED]: [MinutesStatus.APPROVED, MinutesStatus.DRAFT],
+  // Back to draft = reopened for corrections before adoption; the approved version stays on record
+  [MinutesStatus.APPROVED]: [MinutesStatus.ADOPTED, MinutesStatus.DRAFT],
+  [MinutesStatus.ADOPTED]: []
+};
+
+// JSON with object keys sorted, so equal content always hashes the same
+const canonicalize = (value: unknown): string => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value as Record<string, unknown>)
+      .filter(key => (value as Record<string, unknown>)[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize((value as Record<string, unknown>)[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+export class MinutesService {
+  /**
+   * Check if minutes can move between two statuses
+   */
+  static canTransition(from: MinutesStatus, to: MinutesStatus): boolean {
+    return MINUTES_TRANSITIONS[from]?.includes(to) ?? false;
+  }
+
+  /**
+   * Statuses minutes can move to next
+   */
+  static getNextStatuses(from: MinutesStatus): MinutesStatus[] {
+    return MINUTES_TRANSITIONS[from] || [];
+  }
+
+  /**
+   * Throw if the transition isn't allowed
+   */
+  static assertTransition(from: MinutesStatus, to: MinutesStatus): void {
+    if (!MinutesService.canTransition(from, to)) {
+      throw Errors.badRequest(
+        'INVALID_STATUS_TRANSITION',
+        `Cannot move minutes from '${from}' to '${to}'`,
+        { from, to, allowed: MinutesService.getNextStatuses(from) }
+      );
+    }
+  }
+
+  /**
+   * Permission needed for a transition
+   * Submitting a draft needs MINUTES_DRAFT; every decision after that needs MINUTES_APPROVE
+   */
+  static getRequiredPermission(from: MinutesStatus, to: MinutesStatus): Permission {
+    return from === MinutesStatus.DRAFT && to === MinutesStatus.SUBMITTED
+      ? Permission.MINUTES_DRAFT
+      : Permission.MINUTES_APPROVE;
+  }
+
+  /**
+   * SHA-256 of the canonical JSON form of minutes content
+   */
+  static hashContent(content: MinutesContent): string {
+    return crypto.createHash('sha256').update(canonicalize(content)).digest('hex');
+  }
+
+  /**
+   * Whether stored content still matches the hash it was locked with
+   */
+  static verifyContent(content: MinutesContent, contentHash: string): boolean {
+    const actual = Buffer.from(MinutesService.hashContent(content), 'hex');
+    const expected = Buffer.from(contentHash || '', 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Starting sections for new minutes, one per line of the meeting's agenda
+   * Leading numbering ("1.", "2)", "-") is dropped
+   */
+  static buildSectionsFromAgenda(agenda?: string | null): MinutesSection[] {
+    return (agenda || '')
+      .split(/\r?\n/)
+      .map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, '').trim())
+      .filter(Boolean)
+      .map(title => ({ title: title.slice(0, 300), notes: '', decisions: [], actions: [] }));
+  }
+
+  /**
+   * Move minutes to a new status, enforcing the workflow
+   * The update is conditional on the current status so concurrent moves can't both win
+   */
+  static async transitionMinutes(
+    minutes: { id: string; status: MinutesStatus },
+    to: MinutesStatus,
+    updates: Record<string, any> = {}
+  ): Promise<any> {
+    MinutesService.assertTransition(minutes.status, to);
+
+    const { data: updated, error } = await supabase
+      .from('minutes')
+      .update({ ...updates, status: to, updated_at: new Date().toISOString() })
+      .eq('id', minutes.id)
+      .eq('status', minutes.status)
+      .select()
+      .single();
+
+    if (error || !updated) {
+      throw Errors.conflict('MINUTES_STATUS_CHANGED', 'The minutes were updated by someone else - please refresh');
+    }
+
+    return updated;
+  }
+}
+
+export default MinutesService;
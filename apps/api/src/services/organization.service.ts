@@ -0,0 +1,190 @@
+/**
+ * Organization Service
+ * Slug rules and availability, slug redirect history, settings change diffs
+ * and which organization a member of several lands in
+ */
+
+import { supabase } from '../config/database';
+import { Errors } from '../utils/api-response';
+import { Logger } from '../utils/logger';
+
+export const SLUG_REGEX = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Paths and names an organization can't take
+export const RESERVED_SLUGS = [
+  'admin', 'api', 'app', 'assets', 'auth', 'billing', 'dashboard', 'help', 'login',
+  'logout', 'platform', 'register', 'settings', 'signup', 'static', 'support', 'www'
+];
+
+export type SlugUnavailableReason = 'invalid' | 'reserved' | 'taken' | 'redirect';
+
+export interface SlugAvailability {
+  slug: string;
+  available: boolean;
+  reason: SlugUnavailableReason | null;
+}
+
+export type ChangeDiff = Record<string, { from: unknown; to: unknown }>;
+
+const isPlainObject = (value: unknown): value is Record<string, unknown> =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+
+export class OrganizationService {
+  /**
+   * Lowercase and trim a requested slug
+   */
+  static normalizeSlug(slug: string): string {
+    return slug.trim().toLowerCase();
+  }
+
+  /**
+   * Why a slug can't be used at all, whoever asks (null if the format is fine)
+   */
+  static getSlugFormatProblem(slug: string): 'invalid' | 'reserved' | null {
+    if (slug.length < 3 || slug.length > 50 || !SLUG_REGEX.test(slug)) return 'invalid';
+    if (RESERVED_SLUGS.includes(slug)) return 'reserved';
+    return null;
+  }
+
+  /**
+   * Whether a timezone is a known IANA name (e.g. "Europe/London")
+   */
+  static isValidTimezone(timezone: string): boolean {
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Whether another organization holds a slug, either now or as an old slug kept for redirects
+   * An organization can always take its own old slug back.
+   */
+  static async getSlugConflict(slug: string, organizationId?: string): Promise<'taken' | 'redirect' | null> {
+    const [{ data: current }, { data: previous }] = await Promise.all([
+      supabase.from('organizations').select('id').eq('slug', slug).maybeSingle(),
+      supabase.from('organization_slug_history').select('organization_id').eq('slug', slug).maybeSingle()
+    ]);
+
+    if (current && current.id !== organizationId) return 'taken';
+    if (previous && previous.organization_id !== organizationId) return 'redirect';
+    return null;
+  }
+
+  /**
+   * Whether an organization (or a new one, without an id) can use a slug
+   */
+  static async checkSlugAvailability(rawSlug: string, organizationId?: string): Promise<SlugAvailability> {
+    const slug = OrganizationService.normalizeSlug(rawSlug);
+    const reason = OrganizationService.getSlugFormatProblem(slug)
+      || await OrganizationService.getSlugConflict(slug, organizationId);
+
+    return { slug, available: !reason, reason };
+  }
+
+  /**
+   * Keep the old slug so links to it can be redirected, and release the new one if it was an old slug of ours
+   */
+  static async recordSlugChange(
+    organizationId: string,
+    oldSlug: string,
+    newSlug: string,
+    changedBy: string
+  ): Promise<void> {
+    await supabase
+      .from('organization_slug_history')
+      .delete()
+      .eq('organization_id', organizationId)
+      .eq('slug', newSlug);
+
+    const { error } = await supabase
+      .from('organization_slug_history')
+      .upsert({
+        organization_id: organizationId,
+        slug: oldSlug,
+        changed_by: changedBy,
+        created_at: new Date().toISOString()
+      }, { onConflict: 'slug' });
+
+    if (error) {
+      throw Errors.internal('Failed to record slug history');
+    }
+  }
+
+  /**
+   * Current slug for an old one, or null if it was never used
+   */
+  static async resolveSlug(slug: string): Promise<{ organizationId: string; slug: string; redirected: boolean } | null> {
+    const normalized = OrganizationService.normalizeSlug(slug);
+
+    const { data: current } = await supabase
+      .from('organizations')
+      .select('id, slug')
+      .eq('slug', normalized)
+      .maybeSingle();
+
+    if (current) return { organizationId: current.id, slug: current.slug, redirected: false };
+
+    const { data: previous } = await supabase
+      .from('organization_slug_history')
+      .select('organizations(id, slug)')
+      .eq('slug', normalized)
+      .maybeSingle();
+
+    const organization = (previous as any)?.organizations;
+    return organization ? { organizationId: organization.id, slug: organization.slug, redirected: true } : null;
+  }
+
+  /**
+   * The membership to sign in to without asking: the only one, or the one used last
+   * Null means a member of several organizations has to choose.
+   */
+  static pickDefaultMembership<T extends { organization_id: string }>(
+    memberships: T[],
+    lastOrganizationId?: string | null
+  ): T | null {
+    if (memberships.length === 1) return memberships[0];
+    return memberships.find(m => m.organization_id === lastOrganizationId) || null;
+  }
+
+  /**
+   * Remember the organization a user last worked in, for their next sign-in
+   */
+  static async rememberOrganization(userId: string, organizationId: string): Promise<void> {
+    const { error } = await supabase
+      .from('users')
+      .update({ last_organization_id: organizationId })
+      .eq('id', userId);
+
+    if (error) {
+      Logger.warn('Failed to remember last organization', { userId, organizationId });
+    }
+  }
+
+  /**
+   * Fields that change between two versions of a record, with their old and new values
+   * Nested objects (like settings) are compared key by key, as "settings.timezone".
+   * Only keys present in `after` are compared, so partial updates diff cleanly.
+   */
+  static diff(before: Record<string, unknown>, after: Record<string, unknown>, prefix = ''): ChangeDiff {
+    const changes: ChangeDiff = {};
+
+    for (const [key, to] of Object.entries(after)) {
+      if (to === undefined) continue;
+      const from = before?.[key];
+      const path = `${prefix}${key}`;
+
+      if (isPlainObject(to) && (isPlainObject(from) || from === null || from === undefined)) {
+        Object.assign(changes, OrganizationService.diff((from as Record<string, unknown>) || {}, to, `${path}.`));
+      } else if (JSON.stringify(from ?? null) !== JSON.stringify(to ?? null)) {
+        changes[path] = { from: from ?? null, to: to ?? null };
+      }
+    }
+
+    return changes;
+  }
+}
+
+export default OrganizationService;
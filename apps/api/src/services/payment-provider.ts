@@ -0,0 +1,179 @@
+/**
+ * Payment Provider
+ * Provider-neutral billing interface (Stripe in production, in-memory fake in tests and local dev)
+ */
+
+// All amounts are in cents
+
+export type ProviderSubscriptionStatus =
+  | 'trialing'
+  | 'active'
+  | 'past_due'
+  | 'unpaid'
+  | 'canceled'
+  | 'incomplete'
+  | 'incomplete_expired'
+  | 'paused';
+
+export interface PlanPrice {
+  priceId: string;
+  amount: number;
+  interval: 'month' | 'year';
+}
+
+export interface ProviderSubscription {
+  id: string;
+  customerId: string;
+  priceId: string | null;
+  status: ProviderSubscriptionStatus;
+  currentPeriodStart: Date;
+  currentPeriodEnd: Date;
+  cancelAtPeriodEnd: boolean;
+  trialEnd: Date | null;
+  organizationId: string | null;
+}
+
+export interface ProviderInvoice {
+  id: string;
+  number: string | null;
+  customerId: string;
+  subscriptionId: string | null;
+  amountDue: number;
+  amountPaid: number;
+  currency: string;
+  status: 'draft' | 'open' | 'paid' | 'void' | 'uncollectible';
+  hostedInvoiceUrl: string | null;
+  pdfUrl: string | null;
+  periodStart: Date | null;
+  periodEnd: Date | null;
+  createdAt: Date;
+}
+
+export interface ProviderPaymentMethod {
+  id: string;
+  brand: string;
+  last4: string;
+  expMonth: number;
+  expYear: number;
+  isDefault: boolean;
+}
+
+export interface ProrationPreview {
+  // Positive is charged now, negative is credited against future invoices
+  amountDue: number;
+  currency: string;
+  prorationDate: Date;
+}
+
+// Webhook events we act on; everything else is acknowledged and ignored
+export type BillingEventType =
+  | 'subscription.created'
+  | 'subscription.updated'
+  | 'subscription.deleted'
+  | 'invoice.paid'
+  | 'invoice.payment_failed'
+  | 'ignored';
+
+export interface BillingEvent {
+  id: string;
+  type: BillingEventType;
+  providerType: string;
+  createdAt: Date;
+  subscription?: ProviderSubscription;
+  invoice?: ProviderInvoice;
+}
+
+export interface PaymentProvider {
+  readonly name: 'stripe' | 'in_memory';
+  readonly publishableKey: string | null;
+  // Request header carrying the webhook signature
+  readonly signatureHeader: string;
+
+  createCustomer(params: { email: string; name: string; organizationId: string }): Promise<string>;
+  createSetupIntent(customerId: string): Promise<{ clientSecret: string }>;
+  listPaymentMethods(customerId: string): Promise<ProviderPaymentMethod[]>;
+  setDefaultPaymentMethod(customerId: string, paymentMethodId: string): Promise<void>;
+  detachPaymentMethod(customerId: string, paymentMethodId: string): Promise<void>;
+
+  createSubscription(params: {
+    customerId: string;
+    price: PlanPrice;
+    organizationId: string;
+    trialEnd?: Date | null;
+  }): Promise<ProviderSubscription>;
+  getSubscription(subscriptionId: string): Promise<ProviderSubscription>;
+  previewPriceChange(subscriptionId: string, price: PlanPrice, prorationDate: Date): Promise<ProrationPreview>;
+  changeSubscriptionPrice(subscriptionId: string, price: PlanPrice, prorationDate: Date): Promise<ProviderSubscription>;
+  cancelSubscription(subscriptionId: string, options: { atPeriodEnd: boolean }): Promise<ProviderSubscription>;
+  resumeSubscription(subscriptionId: string): Promise<ProviderSubscription>;
+
+  listInvoices(customerId: string, limit: number): Promise<ProviderInvoice[]>;
+  createPortalSession(customerId: string, returnUrl: string): Promise<{ url: string }>;
+
+  /**
+   * Verify a webhook signature against the raw request body and normalise the event
+   * Throws WebhookSignatureError if the signature is missing, stale or wrong
+   */
+  parseWebhookEvent(payload: Buffer | string, signature: string | undefined): BillingEvent;
+}
+
+export class WebhookSignatureError extends Error {
+  constructor(message = 'Invalid webhook signature') {
+    super(message);
+    this.name = 'WebhookSignatureError';
+  }
+}
+
+/**
+ * End of a billing period that starts at a date
+ */
+export const addBillingInterval = (from: Date, interval: PlanPrice['interval']): Date => {
+  const end = new Date(from);
+  if (interval === 'year') {
+    end.setUTCFullYear(end.getUTCFullYear() + 1);
+  } else {
+    end.setUTCMonth(end.getUTCMonth() + 1);
+  }
+  return end;
+};
+
+/**
+ * Proration for switching price part way through a billing period (cents)
+ * Same rules as Stripe: unused time on the old price is credited and the remaining time is charged
+ * at the new price. Switching between monthly and yearly restarts the period, so the new price is
+ * charged in full from the change date.
+ */
+export const calculateProration = (params: {
+  currentAmount: number;
+  currentInterval: PlanPrice['interval'];
+  newPrice: PlanPrice;
+  periodStart: Date;
+  periodEnd: Date;
+  prorationDate: Date;
+}): { credit: number; charge: number; amountDue: number; periodStart: Date; periodEnd: Date } => {
+  const total = params.periodEnd.getTime() - params.periodStart.getTime();
+  const remaining = params.periodEnd.getTime() - params.prorationDate.getTime();
+  const unused = total > 0 ? Math.min(Math.max(remaining / total, 0), 1) : 0;
+
+  const credit = Math.round(params.currentAmount * unused);
+
+  if (params.newPrice.interval !== params.currentInterval) {
+    const charge = params.newPrice.amount;
+    return {
+      credit,
+      charge,
+      amountDue: charge - credit,
+      periodStart: params.prorationDate,
+      periodEnd: addBillingInterval(params.prorationDate, params.newPrice.interval)
+    };
+  }
+
+  const charge = Math.round(params.newPrice.amount * unused);
+  return {
+    credit,
+    charge,
+    amountDue: charge - credit,
+    periodStart: params.periodStart,
+    periodEnd: params.periodEnd
+  };
+};
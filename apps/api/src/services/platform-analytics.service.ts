@@ -0,0 +1,335 @@
+/**
+ * Platform Analytics Service
+ * MRR, growth, churn and organization health across all tenants
+ */
+
+import { supabase } from '../config/database';
+import { Errors } from '../utils/api-response';
+import { SubscriptionStatus } from '../types';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trials ending within this many days are flagged as at risk
+export const TRIAL_AT_RISK_DAYS = 7;
+// Organizations with no member activity for this long are flagged as inactive
+export const INACTIVE_AFTER_DAYS = 30;
+
+// Statuses that are billed
+const PAYING_STATUSES: string[] = [SubscriptionStatus.ACTIVE, SubscriptionStatus.PAST_DUE];
+
+export interface PlanRow {
+  id: string;
+  name: string;
+  price_monthly: number;
+  price_yearly: number;
+}
+
+export interface OrganizationRow {
+  id: string;
+  name: string;
+  plan_id?: string | null;
+  subscription_status: string;
+  billing_cycle?: string | null;
+  is_complimentary?: boolean | null;
+  trial_ends_at?: string | null;
+  subscription_started_at?: string | null;
+  cancelled_at?: string | null;
+  created_at: string;
+}
+
+export interface MemberActivityRow {
+  organization_id: string;
+  last_active_at?: string | null;
+}
+
+// YYYY-MM-DD (UTC)
+const toDateString = (date: Date): string => date.toISOString().slice(0, 10);
+
+const round = (value: number, places = 1): number => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const isPaying = (org: OrganizationRow): boolean =>
+  PAYING_STATUSES.includes(org.subscription_status) && !org.is_complimentary;
+
+// Was the organization a paying customer at a point in time (best effort from timestamps)
+const wasPayingAt = (org: OrganizationRow, at: Date): boolean => {
+  if (org.is_complimentary || !org.subscription_started_at) return false;
+  if (Date.parse(org.subscription_started_at) > at.getTime()) return false;
+  if (org.cancelled_at && Date.parse(org.cancelled_at) <= at.getTime()) return false;
+  return true;
+};
+
+export class PlatformAnalyticsService {
+  /**
+   * Monthly recurring revenue (cents) for one organization
+   * Yearly billing is spread evenly across 12 months
+   */
+  static getOrganizationMrr(org: OrganizationRow, plansById: Map<string, PlanRow>): number {
+    const plan = org.plan_id ? plansById.get(org.plan_id) : undefined;
+    if (!plan) return 0;
+
+    return org.billing_cycle === 'yearly'
+      ? Math.round((plan.price_yearly || 0) / 12)
+      : plan.price_monthly || 0;
+  }
+
+  /**
+   * Revenue metrics: MRR, ARR, per plan, revenue churn and a 12 month breakdown
+   */
+  static calculateRevenue(
+    organizations: OrganizationRow[],
+    plans: PlanRow[],
+    now: Date = new Date(),
+    churnWindowDays = 30
+  ) {
+    const plansById = new Map(plans.map(p => [p.id, p]));
+    const paying = organizations.filter(isPaying);
+
+    const totalMrr = paying.reduce((sum, org) => sum + PlatformAnalyticsService.getOrganizationMrr(org, plansById), 0);
+
+    const byPlan = plans.map(plan => {
+      const orgs = paying.filter(o => o.plan_id === plan.id);
+      const monthlyRevenue = orgs.reduce((sum, org) => sum + PlatformAnalyticsService.getOrganizationMrr(org, plansById), 0);
+      return {
+        planId: plan.id,
+        planName: plan.name,
+        organizationCount: orgs.length,
+        monthlyRevenue,
+        avgRevenuePerOrg: orgs.length ? Math.round(monthlyRevenue / orgs.length) : 0
+      };
+    });
+
+    const churnSince = now.getTime() - churnWindowDays * DAY_MS;
+    const revenueChurn = organizations
+      .filter(o => o.cancelled_at && Date.parse(o.cancelled_at) >= churnSince && !o.is_complimentary)
+      .reduce((sum, org) => sum + PlatformAnalyticsService.getOrganizationMrr(org, plansById), 0);
+
+    // MRR at the end of each of the last 12 months, oldest first
+    const monthlyBreakdown = Array.from({ length: 12 }, (_, i) => {
+      const monthsAgo = 11 - i;
+      const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - monthsAgo, 1));
+      const monthEnd = new Date(Math.min(
+        Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - monthsAgo + 1, 1) - 1,
+        now.getTime()
+      ));
+      return {
+        month: monthStart.toISOString().slice(0, 7),
+        monthlyRecurringRevenue: organizations
+          .filter(o => wasPayingAt(o, monthEnd))
+          .reduce((sum, org) => sum + PlatformAnalyticsService.getOrganizationMrr(org, plansById), 0)
+      };
+    });
+
+    return {
+      totalMrr,
+      estimatedArr: totalMrr * 12,
+      payingOrganizations: paying.length,
+      revenueChurn,
+      byPlan,
+      monthlyBreakdown
+    };
+  }
+
+  /**
+   * Signups, cancellations and trial conversion over a window
+   */
+  static calculateGrowth(
+    organizations: OrganizationRow[],
+    plans: PlanRow[],
+    days = 30,
+    now: Date = new Date()
+  ) {
+    const since = now.getTime() - days * DAY_MS;
+    const planNames = new Map(plans.map(p => [p.id, p.name]));
+
+    const newOrgs = organizations.filter(o => Date.parse(o.created_at) >= since);
+    const cancellations = organizations.filter(o => o.cancelled_at && Date.parse(o.cancelled_at) >= since);
+
+    const signupsPerDay = new Map<string, number>();
+    for (const org of newOrgs) {
+      const day = org.created_at.slice(0, 10);
+      signupsPerDay.set(day, (signupsPerDay.get(day) || 0) + 1);
+    }
+
+    const dailySignups = Array.from({ length: days }, (_, i) => {
+      const date = toDateString(new Date(now.getTime() - (days - 1 - i) * DAY_MS));
+      return { date, newOrganizations: signupsPerDay.get(date) || 0 };
+    });
+
+    const signupCounts = new Map<string, number>();
+    for (const org of newOrgs) {
+      const planName = (org.plan_id && planNames.get(org.plan_id)) || 'No plan';
+      signupCounts.set(planName, (signupCounts.get(planName) || 0) + 1);
+    }
+
+    // Trials in the window that have since become paying customers
+    const converted = newOrgs.filter(o => !!o.subscription_started_at).length;
+
+    return {
+      days,
+      dailySignups,
+      totalNewOrganizations: newOrgs.length,
+      totalCancellations: cancellations.length,
+      netGrowth: newOrgs.length - cancellations.length,
+      signupsByPlan: Array.from(signupCounts, ([planName, signups]) => ({ planName, signups }))
+        .sort((a, b) => b.signups - a.signups),
+      trialConversion: {
+        trialsStarted: newOrgs.length,
+        converted,
+        ratePercent: newOrgs.length ? round((converted / newOrgs.length) * 100) : 0
+      }
+    };
+  }
+
+  /**
+   * Customer churn over a window
+   * Churn rate = cancellations / paying customers at the start of the window
+   */
+  static calculateChurn(
+    organizations: OrganizationRow[],
+    plans: PlanRow[],
+    days = 30,
+    now: Date = new Date()
+  ) {
+    const windowStart = new Date(now.getTime() - days * DAY_MS);
+    const planNames = new Map(plans.map(p => [p.id, p.name]));
+
+    const cancellations = organizations
+      .filter(o => o.cancelled_at && Date.parse(o.cancelled_at) >= windowStart.getTime())
+      .sort((a, b) => Date.parse(b.cancelled_at!) - Date.parse(a.cancelled_at!))
+      .map(o => ({
+        id: o.id,
+        name: o.name,
+        planName: (o.plan_id && planNames.get(o.plan_id)) || 'No plan',
+        cancellationDate: o.cancelled_at,
+        lifetimeDays: Math.round((Date.parse(o.cancelled_at!) - Date.parse(o.created_at)) / DAY_MS)
+      }));
+
+    const payingAtStart = organizations.filter(o => wasPayingAt(o, windowStart)).length;
+    const churned = organizations.filter(o =>
+      wasPayingAt(o, windowStart) && o.cancelled_at && Date.parse(o.cancelled_at) >= windowStart.getTime()
+    ).length;
+
+    return {
+      days,
+      cancellations,
+      churnedCount: churned,
+      payingAtStart,
+      churnRatePercent: payingAtStart ? round((churned / payingAtStart) * 100) : 0
+    };
+  }
+
+  /**
+   * Trials about to lapse, past-due accounts and member activity per organization
+   */
+  static calculateHealth(
+    organizations: OrganizationRow[],
+    plans: PlanRow[],
+    members: MemberActivityRow[],
+    now: Date = new Date()
+  ) {
+    const planNames = new Map(plans.map(p => [p.id, p.name]));
+    const atRiskBefore = now.getTime() + TRIAL_AT_RISK_DAYS * DAY_MS;
+    const activeSince = now.getTime() - INACTIVE_AFTER_DAYS * DAY_MS;
+
+    const summary = (o: OrganizationRow) => ({
+      id: o.id,
+      name: o.name,
+      planName: (o.plan_id && planNames.get(o.plan_id)) || 'No plan',
+      subscriptionStatus: o.subscription_status
+    });
+
+    const atRisk = organizations
+      .filter(o =>
+        o.subscription_status === SubscriptionStatus.TRIAL &&
+        o.trial_ends_at &&
+        Date.parse(o.trial_ends_at) >= now.getTime() &&
+        Date.parse(o.trial_ends_at) <= atRiskBefore
+      )
+      .sort((a, b) => Date.parse(a.trial_ends_at!) - Date.parse(b.trial_ends_at!))
+      .map(o => ({ ...summary(o), trialEndsAt: o.trial_ends_at }));
+
+    const pastDue = organizations
+      .filter(o => o.subscription_status === SubscriptionStatus.PAST_DUE)
+      .map(summary);
+
+    // Active members (seen within the window) per organization
+    const activeMembers = new Map<string, number>();
+    for (const member of members) {
+      if (member.last_active_at && Date.parse(member.last_active_at) >= activeSince) {
+        activeMembers.set(member.organization_id, (activeMembers.get(member.organization_id) || 0) + 1);
+      }
+    }
+
+    const live = organizations.filter(o =>
+      o.subscription_status !== SubscriptionStatus.CANCELLED &&
+      o.subscription_status !== SubscriptionStatus.SUSPENDED
+    );
+
+    const inactive = live
+      .filter(o => !activeMembers.get(o.id))
+      .map(summary);
+
+    const mostActive = live
+      .filter(o => activeMembers.get(o.id))
+      .map(o => ({ ...summary(o), activeMembers: activeMembers.get(o.id)! }))
+      .sort((a, b) => b.activeMembers - a.activeMembers)
+      .slice(0, 10);
+
+    return {
+      atRiskCount: atRisk.length,
+      atRiskOrganizations: atRisk,
+      pastDueCount: pastDue.length,
+      pastDueOrganizations: pastDue,
+      inactiveOrganizations: inactive,
+      mostActive
+    };
+  }
+
+  /**
+   * Load the data every metric is computed from
+   */
+  static async loadSnapshot(options: { includeMembers?: boolean } = {}): Promise<{
+    organizations: OrganizationRow[];
+    plans: PlanRow[];
+    members: MemberActivityRow[];
+  }> {
+    const [orgResult, planResult] = await Promise.all([
+      supabase
+        .from('organizations')
+        .select('id, name, plan_id, subscription_status, billing_cycle, is_complimentary, trial_ends_at, subscription_started_at, cancelled_at, created_at')
+        .is('deleted_at', null),
+      supabase
+        .from('subscription_plans')
+        .select('id, name, price_monthly, price_yearly')
+    ]);
+
+    if (orgResult.error || planResult.error) {
+      throw Errors.internal('Failed to load platform analytics');
+    }
+
+    let members: MemberActivityRow[] = [];
+
+    if (options.includeMembers) {
+      const { data, error } = await supabase
+        .from('organization_members')
+        .select('organization_id, last_active_at')
+        .eq('is_active', true);
+
+      if (error) {
+        throw Errors.internal('Failed to load platform analytics');
+      }
+      members = data || [];
+    }
+
+    return {
+      organizations: (orgResult.data || []) as OrganizationRow[],
+      plans: (planResult.data || []) as PlanRow[],
+      members
+    };
+  }
+}
+
+export default PlatformAnalyticsService;
@@ -0,0 +1,219 @@
+/**
+ * Policy Service
+ * Policy lifecycle state machine, review dates and review reminders
+ */
+
+import { supabase } from '../config/database';
+import { EmailService } from './email.service';
+import { Permission, PolicyStatus } from '../types';
+import { Errors } from '../utils/api-response';
+import { Logger } from '../utils/logger';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Owners are reminded this many days before a review is due, and again on the day
+export const POLICY_REVIEW_REMINDER_DAYS = [30, 7];
+
+export const DEFAULT_REVIEW_FREQUENCY_MONTHS = 12;
+
+/**
+ * Allowed policy status transitions
+ * draft → in_review → approved → published → due_for_review → in_review ...
+ */
+const POLICY_TRANSITIONS: Record<PolicyStatus, PolicyStatus[]> = {
+  [PolicyStatus.DRAFT]: [PolicyStatus.IN_REVIEW, PolicyStatus.ARCHIVED],
+  // Back to draft = changes requested
+  [PolicyStatus.IN_REVIEW]: [PolicyStatus.APPROVED, PolicyStatus.DRAFT],
+  [PolicyStatus.APPROVED]: [PolicyStatus.PUBLISHED, PolicyStatus.DRAFT],
+  // Published policies become due for review on their review date (set by the daily job)
+  [PolicyStatus.PUBLISHED]: [PolicyStatus.DUE_FOR_REVIEW, PolicyStatus.DRAFT, PolicyStatus.ARCHIVED],
+  // Re-approve unchanged, or revise first
+  [PolicyStatus.DUE_FOR_REVIEW]: [PolicyStatus.IN_REVIEW, PolicyStatus.DRAFT, PolicyStatus.ARCHIVED],
+  [PolicyStatus.ARCHIVED]: []
+};
+
+interface ReviewCandidate {
+  status: string;
+  next_review_date?: string | null;
+  review_reminder_sent_at?: string | null;
+}
+
+// YYYY-MM-DD (UTC)
+const toDateString = (date: Date): string => date.toISOString().slice(0, 10);
+
+export class PolicyService {
+  /**
+   * Check if a policy can move between two statuses
+   */
+  static canTransition(from: PolicyStatus, to: PolicyStatus): boolean {
+    return POLICY_TRANSITIONS[from]?.includes(to) ?? false;
+  }
+
+  /**
+   * Statuses a policy can move to next
+   */
+  static getNextStatuses(from: PolicyStatus): PolicyStatus[] {
+    return POLICY_TRANSITIONS[from] || [];
+  }
+
+  /**
+   * Throw if the transition isn't allowed
+   */
+  static assertTransition(from: PolicyStatus, to: PolicyStatus): void {
+    if (!PolicyService.canTransition(from, to)) {
+      throw Errors.badRequest(
+        'INVALID_STATUS_TRANSITION',
+        `Cannot move a policy from '${from}' to '${to}'`,
+        { from, to, allowed: PolicyService.getNextStatuses(from) }
+      );
+    }
+  }
+
+  /**
+   * Permission needed for a transition
+   * Sign-off decisions (approve, request changes, publish) need DOC_APPROVE; everything else DOC_UPDATE
+   */
+  static getRequiredPermission(from: PolicyStatus, to: PolicyStatus): Permission {
+    const isDecision = to === PolicyStatus.APPROVED
+      || to === PolicyStatus.PUBLISHED
+      || (from === PolicyStatus.IN_REVIEW && to === PolicyStatus.DRAFT);
+
+    return isDecision ? Permission.DOC_APPROVE : Permission.DOC_UPDATE;
+  }
+
+  /**
+   * Review date a number of months after a date
+   * Clamped to the end of shorter months (31 Jan + 1 month = 28/29 Feb)
+   */
+  static calculateNextReviewDate(fromDate: string, months: number): string {
+    const start = new Date(`${fromDate.slice(0, 10)}T00:00:00Z`);
+    const target = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+    return toDateString(target);
+  }
+
+  /**
+   * Whole days from today until a review is due (negative once overdue)
+   */
+  static getDaysUntilReview(nextReviewDate: string, now: Date = new Date()): number {
+    const due = Date.parse(`${nextReviewDate.slice(0, 10)}T00:00:00Z`);
+    const today = Date.parse(`${toDateString(now)}T00:00:00Z`);
+    return Math.round((due - today) / DAY_MS);
+  }
+
+  /**
+   * Decide which review reminder (if any) a published policy is owed
+   * Returns 'due' once the review date arrives, otherwise the threshold crossed.
+   * A threshold counts as sent if review_reminder_sent_at falls on or after the day it was crossed.
+   */
+  static classifyReviewReminder(
+    policy: ReviewCandidate,
+    thresholds: number[] = POLICY_REVIEW_REMINDER_DAYS,
+    now: Date = new Date()
+  ): 'due' | number | null {
+    if (policy.status !== PolicyStatus.PUBLISHED || !policy.next_review_date) return null;
+
+    const daysLeft = PolicyService.getDaysUntilReview(policy.next_review_date, now);
+    if (daysLeft <= 0) return 'due';
+
+    const crossed = thresholds.filter(t => daysLeft <= t);
+    if (crossed.length === 0) return null;
+    const threshold = Math.min(...crossed);
+
+    if (policy.review_reminder_sent_at) {
+      const crossedOn = Date.parse(`${policy.next_review_date.slice(0, 10)}T00:00:00Z`) - threshold * DAY_MS;
+      if (Date.parse(policy.review_reminder_sent_at) >= crossedOn) return null;
+    }
+
+    return threshold;
+  }
+
+  /**
+   * Move a policy to a new status, enforcing the lifecycle
+   * The update is conditional on the current status so concurrent moves can't both win
+   */
+  static async transitionPolicy(
+    policy: { id: string; status: PolicyStatus },
+    to: PolicyStatus,
+    updates: Record<string, any> = {}
+  ): Promise<any> {
+    PolicyService.assertTransition(policy.status, to);
+
+    const { data: updated, error } = await supabase
+      .from('policies')
+      .update({ ...updates, status: to, updated_at: new Date().toISOString() })
+      .eq('id', policy.id)
+      .eq('status', policy.status)
+      .select()
+      .single();
+
+    if (error || !updated) {
+      throw Errors.conflict('POLICY_STATUS_CHANGED', 'The policy was updated by someone else - please refresh');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Email policy owners as review dates approach, and mark policies due for review on the day
+   */
+  static async sendReviewReminders(now: Date = new Date()): Promise<{ sent: number }> {
+    const horizon = new Date(now.getTime() + Math.max(...POLICY_REVIEW_REMINDER_DAYS) * DAY_MS);
+
+    const { data: policies, error } = await supabase
+      .from('policies')
+      .select(`
+        id, title, status, next_review_date, review_reminder_sent_at,
+        organizations(name, is_active),
+        owner:users!policies_owner_id_fkey(email)
+      `)
+      .eq('status', PolicyStatus.PUBLISHED)
+      .lte('next_review_date', toDateString(horizon));
+
+    if (error) {
+      Logger.error('Failed to load policies for review reminders', error as any);
+      return { sent: 0 };
+    }
+
+    let sent = 0;
+
+    for (const policy of (policies || []) as any[]) {
+      const reminder = PolicyService.classifyReviewReminder(policy, POLICY_REVIEW_REMINDER_DAYS, now);
+      if (reminder === null || policy.organizations?.is_active === false) continue;
+
+      try {
+        if (reminder === 'due') {
+          await PolicyService.transitionPolicy(policy, PolicyStatus.DUE_FOR_REVIEW, {
+            review_reminder_sent_at: now.toISOString()
+          });
+        }
+
+        if (policy.owner?.email) {
+          await EmailService.sendPolicyReviewEmail({
+            to: policy.owner.email,
+            organizationName: policy.organizations?.name || 'your organization',
+            policyTitle: policy.title,
+            nextReviewDate: policy.next_review_date,
+            daysRemaining: reminder === 'due' ? 0 : PolicyService.getDaysUntilReview(policy.next_review_date, now)
+          });
+        }
+
+        if (reminder !== 'due') {
+          await supabase
+            .from('policies')
+            .update({ review_reminder_sent_at: now.toISOString() })
+            .eq('id', policy.id);
+        }
+
+        sent++;
+      } catch (err) {
+        Logger.error('Failed to send policy review reminder', err as Error, { policyId: policy.id });
+      }
+    }
+
+    return { sent };
+  }
+}
+
+export default PolicyService;
@@ -0,0 +1,47 @@
+/**
+ * Rate Limit Store
+ * Backend-neutral request counting for rate limiters (in-memory by default, Redis when configured)
+ *
+ * Counts use a sliding window: hits in the current fixed window, plus the previous window's hits
+ * weighted by how much of it still overlaps the sliding window. This avoids the burst that
+ * fixed windows allow at the boundary without storing a timestamp per request.
+ */
+
+export interface RateLimitHit {
+  // Requests in the sliding window, including this one
+  count: number;
+  // When the current fixed window ends
+  resetAt: Date;
+}
+
+export interface RateLimitStore {
+  name: 'memory' | 'redis';
+  /**
+   * Record a request for a key and return the sliding-window count
+   */
+  increment(key: string, windowMs: number, now?: number): Promise<RateLimitHit>;
+  /**
+   * Take back a request counted in the current window (e.g. successful logins)
+   */
+  decrement(key: string, windowMs: number, now?: number): Promise<void>;
+  /**
+   * Forget everything counted for a key
+   */
+  reset(key: string, windowMs: number, now?: number): Promise<void>;
+}
+
+/**
+ * Start of the fixed window a time falls in
+ * Windows are aligned to the epoch so every instance agrees on them
+ */
+export const getWindowStart = (now: number, windowMs: number): number =>
+  Math.floor(now / windowMs) * windowMs;
+
+/**
+ * Sliding-window count from the previous and current fixed-window counts
+ */
+export const slidingWindowCount = (previous: number, current: number, now: number, windowMs: number): number => {
+  const elapsed = now - getWindowStart(now, windowMs);
+  const overlap = (windowMs - elapsed) / windowMs;
+  return Math.floor(previous * overlap) + current;
+};
@@ -41,8 +41,11 @@ const PERMISSION_MATRIX: Record<Role, Permission[]> = {
     Permission.TASK_VIEW, Permission.TASK_ASSIGN,
     Permission.MEETING_CREATE, Permission.MEETING_UPDATE, Permission.MEETING_DELETE, 
     Permission.MEETING_VIEW, Permission.MEETING_SCHEDULE,
+    Permission.MINUTES_DRAFT, Permission.MINUTES_APPROVE,
+    Permission.RESOLUTION_PROPOSE, Permission.RESOLUTION_MANAGE,
     Permission.COMMITTEE_CREATE, Permission.COMMITTEE_UPDATE, Permission.COMMITTEE_DELETE, 
     Permission.COMMITTEE_VIEW,
+    Permission.RECRUITMENT_VIEW, Permission.RECRUITMENT_MANAGE,
     Permission.COMPLIANCE_VIEW, Permission.COMPLIANCE_MANAGE, Permission.AUDIT_VIEW,
     Permission.BILLING_VIEW, Permission.BILLING_MANAGE
   ],
@@ -55,7 +58,10 @@ const PERMISSION_MATRIX: Record<Role, Permission[]> = {
     Permission.TASK_CREATE, Permission.TASK_UPDATE, Permission.TASK_VIEW, Permission.TASK_ASSIGN,
     Permission.MEETING_CREATE, Permission.MEETING_UPDATE, Permission.MEETING_VIEW, 
     Permission.MEETING_SCHEDULE,
+    Permission.MINUTES_DRAFT,
+    Permission.RESOLUTION_PROPOSE, Permission.RESOLUTION_MANAGE,
     Permission.COMMITTEE_CREATE, Permission.COMMITTEE_UPDATE, Permission.COMMITTEE_VIEW,
+    Permission.RECRUITMENT_VIEW, Permission.RECRUITMENT_MANAGE,
     Permission.COMPLIANCE_VIEW, Permission.COMPLIANCE_MANAGE,
     Permission.BILLING_VIEW
   ],
@@ -67,8 +73,11 @@ const PERMISSION_MATRIX: Record<Role, Permission[]> = {
     Permission.TASK_CREATE, Permission.TASK_UPDATE, Permission.TASK_VIEW, Permission.TASK_ASSIGN,
     Permission.MEETING_CREATE, Permission.MEETING_UPDATE, Permission.MEETING_DELETE, 
     Permission.MEETING_VIEW, Permission.MEETING_SCHEDULE,
+    Permission.MINUTES_DRAFT, Permission.MINUTES_APPROVE,
+    Permission.RESOLUTION_PROPOSE, Permission.RESOLUTION_MANAGE,
     Permission.COMMITTEE_CREATE, Permission.COMMITTEE_UPDATE, Permission.COMMITTEE_DELETE, 
     Permission.COMMITTEE_VIEW,
+    Permission.RECRUITMENT_VIEW, Permission.RECRUITMENT_MANAGE,
     Permission.COMPLIANCE_VIEW, Permission.AUDIT_VIEW
   ],
   
@@ -79,7 +88,10 @@ const PERMISSION_MATRIX: Record<Role, Permission[]> = {
     Permission.TASK_CREATE, Permission.TASK_UPDATE, Permission.TASK_VIEW, Permission.TASK_ASSIGN,
     Permission.MEETING_CREATE, Permission.MEETING_UPDATE, Permission.MEETING_VIEW, 
     Permission.MEETING_SCHEDULE,
+    Permission.MINUTES_APPROVE,
+    Permission.RESOLUTION_PROPOSE, Permission.RESOLUTION_MANAGE,
     Permission.COMMITTEE_VIEW,
+    Permission.RECRUITMENT_VIEW,
     Permission.COMPLIANCE_VIEW
   ],
   
@@ -89,6 +101,7 @@ const PERMISSION_MATRIX: Record<Role, Permission[]> = {
     Permission.DOC_VIEW, Permission.DOC_APPROVE,
     Permission.TASK_VIEW,
     Permission.MEETING_VIEW,
+    Permission.RESOLUTION_PROPOSE,
     Permission.COMMITTEE_VIEW,
     Permission.COMPLIANCE_VIEW,
     Permission.BILLING_VIEW, Permission.BILLING_MANAGE
@@ -101,7 +114,10 @@ const PERMISSION_MATRIX: Record<Role, Permission[]> = {
     Permission.TASK_CREATE, Permission.TASK_UPDATE, Permission.TASK_VIEW, Permission.TASK_ASSIGN,
     Permission.MEETING_CREATE, Permission.MEETING_UPDATE, Permission.MEETING_VIEW, 
     Permission.MEETING_SCHEDULE,
+    Permission.MINUTES_DRAFT,
+    Permission.RESOLUTION_PROPOSE, Permission.RESOLUTION_MANAGE,
     Permission.COMMITTEE_VIEW,
+    Permission.RECRUITMENT_VIEW,
     Permission.COMPLIANCE_VIEW
   ],
   
@@ -134,6 +150,7 @@ const PERMISSION_MATRIX: Record<Role, Permission[]> = {
     Permission.DOC_VIEW,
     Permission.TASK_VIEW,
     Permission.MEETING_VIEW,
+    Permission.RESOLUTION_PROPOSE,
     Permission.COMMITTEE_VIEW,
     Permission.COMPLIANCE_VIEW
   ],
@@ -405,10 +422,14 @@ export const requireSuperAdmin = (req: any, _res: any, next: any): void => {
 
 export const requireAdmin = requireRole(Role.OWNER, Role.ADMIN);
 export const requireAdminOrChair = requireRole(Role.OWNER, Role.ADMIN, Role.CHAIR);
-export const requireBoardMember = requireRole(
+// Roles that sit on the board (and vote on resolutions)
+export const BOARD_MEMBER_ROLES: Role[] = [
   Role.OWNER, Role.ADMIN, Role.CHAIR, Role.VICE_CHAIR, 
   Role.TREASURER, Role.SECRETARY, Role.TRUSTEE
-);
-export const requireCompliance = requireRole(
-  Role.OWNER, Role.ADMIN, Role.MLRO, Role.COMPLIANCE_OFFICER
-);
+];
+
+export const requireBoardMember = requireRole(...BOARD_MEMBER_ROLES);
+// Roles that oversee compliance registers
+export const COMPLIANCE_ROLES: Role[] = [Role.OWNER, Role.ADMIN, Role.MLRO, Role.COMPLIANCE_OFFICER];
+
+export const requireCompliance = requireRole(...COMPLIANCE_ROLES);
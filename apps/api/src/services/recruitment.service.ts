@@ -0,0 +1,84 @@
+/**
+ * Recruitment Service
+ * Board recruitment pipeline state machine
+ */
+
+import { supabase } from '../config/database';
+import { ApplicationStatus } from '../types';
+import { Errors } from '../utils/api-response';
+
+/**
+ * Allowed application status transitions
+ * applied → shortlisted → interviewing → selected/rejected → onboarded
+ */
+const APPLICATION_TRANSITIONS: Record<ApplicationStatus, ApplicationStatus[]> = {
+  [ApplicationStatus.APPLIED]: [ApplicationStatus.SHORTLISTED, ApplicationStatus.REJECTED],
+  [ApplicationStatus.SHORTLISTED]: [ApplicationStatus.INTERVIEWING, ApplicationStatus.REJECTED],
+  [ApplicationStatus.INTERVIEWING]: [ApplicationStatus.SELECTED, ApplicationStatus.REJECTED],
+  // A selected candidate can still fall through (e.g. declines the offer)
+  [ApplicationStatus.SELECTED]: [ApplicationStatus.ONBOARDED, ApplicationStatus.REJECTED],
+  [ApplicationStatus.REJECTED]: [],
+  [ApplicationStatus.ONBOARDED]: []
+};
+
+export class RecruitmentService {
+  /**
+   * Check if an application can move between two statuses
+   */
+  static canTransition(from: ApplicationStatus, to: ApplicationStatus): boolean {
+    return APPLICATION_TRANSITIONS[from]?.includes(to) ?? false;
+  }
+
+  /**
+   * Statuses an application can move to next
+   */
+  static getNextStatuses(from: ApplicationStatus): ApplicationStatus[] {
+    return APPLICATION_TRANSITIONS[from] || [];
+  }
+
+  /**
+   * Throw if the transition isn't allowed
+   */
+  static assertTransition(from: ApplicationStatus, to: ApplicationStatus): void {
+    if (!RecruitmentService.canTransition(from, to)) {
+      throw Errors.badRequest(
+        'INVALID_STATUS_TRANSITION',
+        `Cannot move an application from '${from}' to '${to}'`,
+        { from, to, allowed: RecruitmentService.getNextStatuses(from) }
+      );
+    }
+  }
+
+  /**
+   * Move an application to a new status, enforcing the pipeline
+   * The update is conditional on the current status so concurrent moves can't both win
+   */
+  static async transitionApplication(
+    application: { id: string; status: ApplicationStatus },
+    to: ApplicationStatus,
+    userId: string
+  ): Promise<any> {
+    RecruitmentService.assertTransition(application.status, to);
+
+    const { data: updated, error } = await supabase
+      .from('applications')
+      .update({
+        status: to,
+        status_changed_at: new Date().toISOString(),
+        reviewed_by: userId,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', application.id)
+      .eq('status', application.status)
+      .select()
+      .single();
+
+    if (error || !updated) {
+      throw Errors.conflict('APPLICATION_STATUS_CHANGED', 'The application was updated by someone else - please refresh');
+    }
+
+    return updated;
+  }
+}
+
+export default RecruitmentService;
@@ -0,0 +1,65 @@
+/**
+ * Redis Rate Limit Store
+ * Counts shared by every API instance, kept in Redis (or anything that speaks its commands)
+ */
+
+import { RateLimitHit, RateLimitStore, getWindowStart, slidingWindowCount } from './rate-limit-store';
+
+/**
+ * The Redis commands the store needs
+ * ioredis clients match this as-is; other clients can be wrapped
+ */
+export interface RedisRateLimitClient {
+  incr(key: string): Promise<number>;
+  decr(key: string): Promise<number>;
+  get(key: string): Promise<string | null>;
+  pexpire(key: string, milliseconds: number): Promise<unknown>;
+  del(...keys: string[]): Promise<unknown>;
+}
+
+export class RedisRateLimitStore implements RateLimitStore {
+  readonly name = 'redis' as const;
+
+  constructor(
+    private readonly client: RedisRateLimitClient,
+    private readonly prefix = 'rate-limit:'
+  ) {}
+
+  // One counter per fixed window; windows are aligned to the epoch so every instance uses the same keys
+  private windowKey(key: string, windowStart: number): string {
+    return `${this.prefix}${key}:${windowStart}`;
+  }
+
+  async increment(key: string, windowMs: number, now: number = Date.now()): Promise<RateLimitHit> {
+    const windowStart = getWindowStart(now, windowMs);
+    const currentKey = this.windowKey(key, windowStart);
+
+    const current = await this.client.incr(currentKey);
+    if (current === 1) {
+      // Kept until it stops counting as the previous window
+      await this.client.pexpire(currentKey, windowStart + 2 * windowMs - now);
+    }
+
+    const previous = parseInt(await this.client.get(this.windowKey(key, windowStart - windowMs)) || '0');
+
+    return {
+      count: slidingWindowCount(previous, current, now, windowMs),
+      resetAt: new Date(windowStart + windowMs)
+    };
+  }
+
+  async decrement(key: string, windowMs: number, now: number = Date.now()): Promise<void> {
+    const currentKey = this.windowKey(key, getWindowStart(now, windowMs));
+
+    // DECR creates missing keys at -1 (with no expiry), so remove any it made
+    if (await this.client.decr(currentKey) < 0) {
+      await this.client.del(currentKey);
+    }
+  }
+
+  async reset(key: string, windowMs: number, now: number = Date.now()): Promise<void> {
+    // Only the current and previous windows can still count
+    const windowStart = getWindowStart(now, windowMs);
+    await this.client.del(this.windowKey(key, windowStart), this.windowKey(key, windowStart - windowMs));
+  }
+}
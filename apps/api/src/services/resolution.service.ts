@@ -0,0 +1,309 @@
+/**
+ * Resolution Service
+ * Resolution lifecycle, voter eligibility, quorum and outcome recording
+ */
+
+import crypto from 'crypto';
+import { supabase } from '../config/database';
+import { AuditService } from './audit.service';
+import { InterestService } from './interest.service';
+import { BOARD_MEMBER_ROLES } from './rbac.service';
+import {
+  AuditAction, PassThreshold, ResolutionOutcome, ResolutionStatus, ResolutionType, Role, VoteChoice
+} from '../types';
+import { Errors } from '../utils/api-response';
+import { Logger } from '../utils/logger';
+
+export const DEFAULT_QUORUM_PERCENT = 50;
+
+// Written resolutions stay open this long unless a closing date is given
+export const DEFAULT_WRITTEN_VOTING_DAYS = 14;
+
+/**
+ * Allowed resolution status transitions
+ * draft → open → passed/failed (set when voting closes)
+ */
+const RESOLUTION_TRANSITIONS: Record<ResolutionStatus, ResolutionStatus[]> = {
+  [ResolutionStatus.DRAFT]: [ResolutionStatus.OPEN, ResolutionStatus.WITHDRAWN],
+  [ResolutionStatus.OPEN]: [ResolutionStatus.PASSED, ResolutionStatus.FAILED, ResolutionStatus.WITHDRAWN],
+  [ResolutionStatus.PASSED]: [],
+  [ResolutionStatus.FAILED]: [],
+  [ResolutionStatus.WITHDRAWN]: []
+};
+
+interface VotingMember {
+  user_id: string;
+  role: Role | string;
+  is_active: boolean;
+  term_end_date?: string | null;
+}
+
+interface OutcomeInput {
+  eligibleCount: number;
+  quorumPercent: number;
+  passThreshold: PassThreshold;
+  votes: VoteChoice[];
+}
+
+export class ResolutionService {
+  /**
+   * Check if a resolution can move between two statuses
+   */
+  static canTransition(from: ResolutionStatus, to: ResolutionStatus): boolean {
+    return RESOLUTION_TRANSITIONS[from]?.includes(to) ?? false;
+  }
+
+  /**
+   * Throw if the transition isn't allowed
+   */
+  static assertTransition(from: ResolutionStatus, to: ResolutionStatus): void {
+    if (!ResolutionService.canTransition(from, to)) {
+      throw Errors.badRequest(
+        'INVALID_STATUS_TRANSITION',
+        `Cannot move a resolution from '${from}' to '${to}'`,
+        { from, to, allowed: RESOLUTION_TRANSITIONS[from] || [] }
+      );
+    }
+  }
+
+  /**
+   * Move a resolution to a new status, enforcing the lifecycle
+   * The update is conditional on the current status so concurrent moves can't both win
+   */
+  static async transitionResolution(
+    resolution: { id: string; status: ResolutionStatus },
+    to: ResolutionStatus,
+    updates: Record<string, any> = {}
+  ): Promise<any> {
+    ResolutionService.assertTransition(resolution.status, to);
+
+    const { data: updated, error } = await supabase
+      .from('resolutions')
+      .update({ ...updates, status: to, updated_at: new Date().toISOString() })
+      .eq('id', resolution.id)
+      .eq('status', resolution.status)
+      .select()
+      .single();
+
+    if (error || !updated) {
+      throw Errors.conflict('RESOLUTION_STATUS_CHANGED', 'The resolution was updated by someone else - please refresh');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Whether a member can vote: an active board member whose term hasn't ended
+   */
+  static isEligibleVoter(member: VotingMember, now: Date = new Date()): boolean {
+    if (!member.is_active || !BOARD_MEMBER_ROLES.includes(member.role as Role)) return false;
+    if (!member.term_end_date) return true;
+    return member.term_end_date.slice(0, 10) >= now.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Votes (including abstentions) needed for a quorum
+   * Always at least one, and never more than the number of eligible voters
+   */
+  static calculateQuorum(eligibleCount: number, quorumPercent: number): number {
+    if (eligibleCount <= 0) return 1;
+    return Math.min(eligibleCount, Math.max(1, Math.ceil((eligibleCount * quorumPercent) / 100)));
+  }
+
+  /**
+   * Count votes and decide the outcome
+   * Abstentions count toward the quorum but not the majority.
+   * Unanimous resolutions need every vote cast to be in favour, with no abstentions.
+   */
+  static decideOutcome({ eligibleCount, quorumPercent, passThreshold, votes }: OutcomeInput): ResolutionOutcome {
+    const votesFor = votes.filter(v => v === VoteChoice.FOR).length;
+    const votesAgainst = votes.filter(v => v === VoteChoice.AGAINST).length;
+    const abstentions = votes.filter(v => v === VoteChoice.ABSTAIN).length;
+    const votesCast = votes.length;
+    const quorumRequired = ResolutionService.calculateQuorum(eligibleCount, quorumPercent);
+    const quorumMet = eligibleCount > 0 && votesCast >= quorumRequired;
+
+    let carried: boolean;
+    switch (passThreshold) {
+      case PassThreshold.UNANIMOUS:
+        carried = votesFor > 0 && votesFor === votesCast;
+        break;
+      case PassThreshold.TWO_THIRDS:
+        carried = votesFor > 0 && votesFor * 3 >= (votesFor + votesAgainst) * 2;
+        break;
+      default:
+        carried = votesFor > votesAgainst;
+    }
+
+    return {
+      eligibleCount,
+      votesFor,
+      votesAgainst,
+      abstentions,
+      votesCast,
+      quorumRequired,
+      quorumMet,
+      passed: quorumMet && carried
+    };
+  }
+
+  /**
+   * User IDs of everyone who can currently vote in the organization
+   */
+  static async getEligibleVoterIds(organizationId: string, now: Date = new Date()): Promise<string[]> {
+    const { data: members, error } = await supabase
+      .from('organization_members')
+      .select('user_id, role, is_active, term_end_date')
+      .eq('organization_id', organizationId)
+      .eq('is_active', true)
+      .in('role', BOARD_MEMBER_ROLES);
+
+    if (error) {
+      throw Errors.internal('Failed to load eligible voters');
+    }
+
+    return (members || [])
+      .filter(member => ResolutionService.isEligibleVoter(member, now))
+      .map(member => member.user_id);
+  }
+
+  /**
+   * Close voting, decide the outcome and write it to the audit log
+   * The status update is conditional on the resolution still being open, so it can only close once.
+   * closedBy is null when the scheduler closes an expired written resolution.
+   */
+  static async closeResolution(resolution: any, closedBy: string | null, ipAddress?: string): Promise<any> {
+    ResolutionService.assertTransition(resolution.status, ResolutionStatus.PASSED);
+
+    const [{ data: votes }, conflicted] = await Promise.all([
+      supabase.from('resolution_votes').select('user_id, vote').eq('resolution_id', resolution.id),
+      InterestService.getConflictedUserIds(resolution)
+    ]);
+
+    const eligible: string[] = (resolution.eligible_voter_ids || []).filter((id: string) => !conflicted.has(id));
+    const counted = (votes || []).filter(v => eligible.includes(v.user_id));
+
+    const outcome = ResolutionService.decideOutcome({
+      eligibleCount: eligible.length,
+      quorumPercent: resolution.quorum_percent,
+      passThreshold: resolution.pass_threshold,
+      votes: counted.map(v => v.vote as VoteChoice)
+    });
+
+    const status = outcome.passed ? ResolutionStatus.PASSED : ResolutionStatus.FAILED;
+    const closedAt = new Date().toISOString();
+
+    const { data: closed, error } = await supabase
+      .from('resolutions')
+      .update({
+        status,
+        closed_at: closedAt,
+        closed_by: closedBy,
+        votes_for: outcome.votesFor,
+        votes_against: outcome.votesAgainst,
+        abstentions: outcome.abstentions,
+        quorum_required: outcome.quorumRequired,
+        quorum_met: outcome.quorumMet,
+        updated_at: closedAt
+      })
+      .eq('id', resolution.id)
+      .eq('status', ResolutionStatus.OPEN)
+      .select()
+      .single();
+
+    if (error || !closed) {
+      throw Errors.conflict('RESOLUTION_STATUS_CHANGED', 'The resolution was updated by someone else - please refresh');
+    }
+
+    const record = {
+      resolutionId: resolution.id,
+      type: resolution.type,
+      meetingId: resolution.meeting_id,
+      title: resolution.title,
+      motion: resolution.motion,
+      proposerId: resolution.proposer_id,
+      seconderId: resolution.seconder_id,
+      passThreshold: resolution.pass_threshold,
+      quorumPercent: resolution.quorum_percent,
+      eligibleVoterIds: eligible,
+      conflictedUserIds: [...conflicted],
+      votes: counted.map(v => ({ userId: v.user_id, vote: v.vote })),
+      ...outcome,
+      outcome: status,
+      closedAt
+    };
+
+    try {
+      // The audit row is the permanent record; the database refuses to change or delete it
+      const auditLog = await AuditService.log({
+        organizationId: resolution.organization_id,
+        userId: closedBy || undefined,
+        action: AuditAction.RESOLUTION_OUTCOME,
+        resourceType: 'resolution',
+        resourceId: resolution.id,
+        details: {
+          ...record,
+          recordHash: crypto.createHash('sha256').update(JSON.stringify(record)).digest('hex')
+        },
+        ipAddress
+      });
+
+      const { data: linked } = await supabase
+        .from('resolutions')
+        .update({ outcome_audit_log_id: auditLog.id })
+        .eq('id', resolution.id)
+        .select()
+        .single();
+
+      return linked || closed;
+    } catch (err) {
+      // No outcome without a record: reopen so voting can be closed again
+      await supabase
+        .from('resolutions')
+        .update({
+          status: ResolutionStatus.OPEN,
+          closed_at: null,
+          closed_by: null,
+          votes_for: null,
+          votes_against: null,
+          abstentions: null,
+          quorum_required: null,
+          quorum_met: null
+        })
+        .eq('id', resolution.id);
+      throw Errors.internal('Failed to record the resolution outcome');
+    }
+  }
+
+  /**
+   * Close written resolutions whose voting period has ended
+   */
+  static async closeExpiredWrittenResolutions(now: Date = new Date()): Promise<{ closed: number }> {
+    const { data: resolutions, error } = await supabase
+      .from('resolutions')
+      .select('*')
+      .eq('type', ResolutionType.WRITTEN)
+      .eq('status', ResolutionStatus.OPEN)
+      .lte('voting_closes_at', now.toISOString());
+
+    if (error) {
+      Logger.error('Failed to load expired written resolutions', error as any);
+      return { closed: 0 };
+    }
+
+    let closed = 0;
+
+    for (const resolution of resolutions || []) {
+      try {
+        await ResolutionService.closeResolution(resolution, null);
+        closed++;
+      } catch (err) {
+        Logger.error('Failed to close written resolution', err as Error, { resolutionId: resolution.id });
+      }
+    }
+
+    return { closed };
+  }
+}
+
+export default ResolutionService;
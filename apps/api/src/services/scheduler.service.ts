@@ -0,0 +1,108 @@
+/**
+ * Scheduler Service
+ * Runs recurring background jobs (reminders, notifications) in-process
+ */
+
+import { Logger } from '../utils/logger';
+
+interface ScheduledJob {
+  name: string;
+  intervalMs: number;
+  handler: () => Promise<unknown>;
+  timer?: NodeJS.Timeout;
+  running: boolean;
+}
+
+class SchedulerServiceClass {
+  private jobs = new Map<string, ScheduledJob>();
+  private started = false;
+
+  /**
+   * Register a recurring job
+   * Jobs registered after start() are scheduled immediately
+   */
+  register(name: string, intervalMs: number, handler: () => Promise<unknown>): void {
+    if (this.jobs.has(name)) {
+      throw new Error(`Scheduled job '${name}' is already registered`);
+    }
+
+    const job: ScheduledJob = { name, intervalMs, handler, running: false };
+    this.jobs.set(name, job);
+
+    if (this.started) {
+      this.schedule(job);
+    }
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start(): void {
+    if (this.started) return;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      this.schedule(job);
+    }
+
+    Logger.info(`⏱️ Scheduler started with ${this.jobs.size} job(s)`);
+  }
+
+  /**
+   * Stop all jobs (used on shutdown and in tests)
+   */
+  stop(): void {
+    for (const job of this.jobs.values()) {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = undefined;
+      }
+    }
+    this.started = false;
+  }
+
+  /**
+   * Run a job immediately
+   * Overlapping runs of the same job are skipped
+   */
+  async run(name: string): Promise<void> {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Scheduled job '${name}' is not registered`);
+    }
+
+    if (job.running) {
+      Logger.warn(`Scheduled job '${name}' is still running - skipping`);
+      return;
+    }
+
+    job.running = true;
+    try {
+      const result = await job.handler();
+      Logger.info(`Scheduled job '${name}' completed`, { result });
+    } catch (error) {
+      Logger.error(`Scheduled job '${name}' failed`, error as Error);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  /**
+   * Names of registered jobs
+   */
+  getJobNames(): string[] {
+    return [...this.jobs.keys()];
+  }
+
+  private schedule(job: ScheduledJob): void {
+    job.timer = setInterval(() => {
+      void this.run(job.name);
+    }, job.intervalMs);
+
+    // Don't keep the process alive just for background jobs
+    job.timer.unref();
+  }
+}
+
+export const SchedulerService = new SchedulerServiceClass();
+export default SchedulerService;
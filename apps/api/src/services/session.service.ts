@@ -0,0 +1,395 @@
+/**
+ * Session Service
+ * Sign-in sessions, one per refresh token family, with rotation and reuse detection
+ *
+ * Every sign-in starts a session. Each refresh swaps the session's refresh token for a new one
+ * and keeps the old one marked as rotated. A rotated token should never be seen again, so if it
+ * is, the token has been copied: the whole session is revoked and both holders must sign in again.
+ */
+
+import { Request, Response } from 'express';
+import { supabase } from '../config/database';
+import { AppError, Errors } from '../utils/api-response';
+import { Logger } from '../utils/logger';
+import { AuditService } from './audit.service';
+import { generateAccessToken, generateRefreshToken, hashToken, setAuthCookies } from './token.service';
+import { AuditAction, Role, SessionRevokeReason } from '../types';
+
+// Two tabs refreshing at once both present the same token; reuse this soon after rotation isn't theft
+export const REUSE_GRACE_MS = 30 * 1000;
+
+// Requests update a session's last use at most this often
+export const LAST_USED_UPDATE_MS = 5 * 60 * 1000;
+
+// Ended sessions stay listed in the database this long (for support and security reviews)
+export const SESSION_RETENTION_DAYS = 30;
+
+export type RefreshTokenState = 'valid' | 'expired' | 'revoked' | 'race' | 'reused';
+
+interface SessionContext {
+  organizationId?: string;
+  role?: Role;
+}
+
+// Browser and OS names, checked in order (Edge and Opera also claim to be Chrome)
+const BROWSERS: Array<[RegExp, string]> = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/Firefox\/|FxiOS\//, 'Firefox'],
+  [/Chrome\/|CriOS\//, 'Chrome'],
+  [/Safari\//, 'Safari']
+];
+
+const OPERATING_SYSTEMS: Array<[RegExp, string]> = [
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Android/, 'Android'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux']
+];
+
+export class SessionService {
+  /**
+   * Short device description from a user agent, e.g. "Chrome on Windows"
+   */
+  static describeDevice(userAgent?: string | null): string {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent))?.[1];
+    const os = OPERATING_SYSTEMS.find(([pattern]) => pattern.test(userAgent))?.[1];
+
+    if (browser && os) return `${browser} on ${os}`;
+    return browser || os || 'Unknown device';
+  }
+
+  /**
+   * What to do with a presented refresh token, given its row and its session
+   */
+  static getRefreshTokenState(
+    token: { rotated_at?: string | null },
+    session: { revoked_at?: string | null; expires_at: string },
+    now: Date = new Date()
+  ): RefreshTokenState {
+    if (session.revoked_at) return 'revoked';
+    if (new Date(session.expires_at) <= now) return 'expired';
+    if (!token.rotated_at) return 'valid';
+
+    return now.getTime() - new Date(token.rotated_at).getTime() < REUSE_GRACE_MS ? 'race' : 'reused';
+  }
+
+  /**
+   * Whether a request should update the session's last use
+   */
+  static isLastUsedStale(lastUsedAt: string | null | undefined, now: Date = new Date()): boolean {
+    return !lastUsedAt || now.getTime() - new Date(lastUsedAt).getTime() >= LAST_USED_UPDATE_MS;
+  }
+
+  /**
+   * Issue an access token for the session and set both cookies
+   */
+  static setSessionCookies(
+    res: Response,
+    user: any,
+    sessionId: string,
+    refreshToken: string | null,
+    context: SessionContext = {}
+  ): void {
+    const accessToken = generateAccessToken({
+      sub: user.id,
+      email: user.email,
+      isSuperAdmin: user.is_super_admin,
+      organizationId: context.organizationId,
+      role: context.role,
+      sid: sessionId
+    });
+
+    setAuthCookies(res, accessToken, refreshToken);
+  }
+
+  /**
+   * Start a session for a user who has just signed in, and set its cookies
+   */
+  static async start(req: Request, res: Response, user: any, context: SessionContext = {}): Promise<string> {
+    const refreshToken = generateRefreshToken();
+    const userAgent = req.headers['user-agent']?.slice(0, 500) || null;
+    const now = new Date().toISOString();
+
+    const { data: session, error } = await supabase
+      .from('user_sessions')
+      .insert({
+        user_id: user.id,
+        organization_id: context.organizationId || null,
+        device_name: SessionService.describeDevice(userAgent),
+        user_agent: userAgent,
+        ip_address: req.ip,
+        last_used_at: now,
+        expires_at: refreshToken.expiresAt.toISOString()
+      })
+      .select()
+      .single();
+
+    if (error || !session) {
+      throw Errors.internal('Failed to start session');
+    }
+
+    const { error: tokenError } = await supabase
+      .from('session_refresh_tokens')
+      .insert({ session_id: session.id, token_hash: refreshToken.hash });
+
+    if (tokenError) {
+      throw Errors.internal('Failed to start session');
+    }
+
+    SessionService.setSessionCookies(res, user, session.id, refreshToken.token, context);
+    return session.id;
+  }
+
+  /**
+   * Swap a refresh token for a new one in the same session
+   * Presenting an already-rotated token revokes the session. A concurrent refresh (same token,
+   * within the grace period) gets no new refresh token: the request that won carries it.
+   */
+  static async rotate(rawToken: string, req: Request): Promise<{ session: any; refreshToken: string | null }> {
+    const { data: token } = await supabase
+      .from('session_refresh_tokens')
+      .select('*, user_sessions(*)')
+      .eq('token_hash', hashToken(rawToken))
+      .maybeSingle();
+
+    const session = token?.user_sessions;
+    if (!token || !session) {
+      throw Errors.unauthorized('Invalid refresh token');
+    }
+
+    const now = new Date();
+    const state = SessionService.getRefreshTokenState(token, session, now);
+
+    if (state === 'revoked') {
+      throw Errors.unauthorized('This session has been signed out');
+    }
+    if (state === 'expired') {
+      throw Errors.unauthorized('Refresh token has expired');
+    }
+    if (state === 'reused') {
+      await SessionService.handleReuse(session, req);
+    }
+
+    // Claim the token; of two concurrent refreshes only one gets a new token
+    let claimed = false;
+    if (state === 'valid') {
+      const { data } = await supabase
+        .from('session_refresh_tokens')
+        .update({ rotated_at: now.toISOString() })
+        .eq('id', token.id)
+        .is('rotated_at', null)
+        .select('id')
+        .maybeSingle();
+      claimed = !!data;
+    }
+
+    if (!claimed) {
+      return { session, refreshToken: null };
+    }
+
+    const refreshToken = await SessionService.issueRefreshToken(session.id, req);
+    return { session, refreshToken };
+  }
+
+  /**
+   * Give a session new cookies for a different organization
+   * The session's current refresh token is retired, so only the new cookie can refresh.
+   */
+  static async reissue(req: Request, res: Response, user: any, sessionId: string, context: SessionContext = {}): Promise<void> {
+    await supabase
+      .from('session_refresh_tokens')
+      .update({ rotated_at: new Date().toISOString() })
+      .eq('session_id', sessionId)
+      .is('rotated_at', null);
+
+    const refreshToken = await SessionService.issueRefreshToken(sessionId, req, {
+      organization_id: context.organizationId || null
+    });
+
+    SessionService.setSessionCookies(res, user, sessionId, refreshToken, context);
+  }
+
+  /**
+   * Add a new refresh token to a session and push its expiry forward
+   */
+  private static async issueRefreshToken(
+    sessionId: string,
+    req: Request,
+    sessionUpdates: Record<string, unknown> = {}
+  ): Promise<string> {
+    const refreshToken = generateRefreshToken();
+
+    const { error: tokenError } = await supabase
+      .from('session_refresh_tokens')
+      .insert({ session_id: sessionId, token_hash: refreshToken.hash });
+
+    if (tokenError) {
+      throw Errors.internal('Failed to refresh session');
+    }
+
+    await supabase
+      .from('user_sessions')
+      .update({
+        ...sessionUpdates,
+        ip_address: req.ip,
+        last_used_at: new Date().toISOString(),
+        expires_at: refreshToken.expiresAt.toISOString()
+      })
+      .eq('id', sessionId);
+
+    return refreshToken.token;
+  }
+
+  /**
+   * A rotated token came back: revoke the session and record it
+   */
+  private static async handleReuse(session: any, req: Request): Promise<never> {
+    await SessionService.revoke(session.id, SessionRevokeReason.TOKEN_REUSE);
+
+    Logger.warn('Refresh token reuse detected - session revoked', {
+      sessionId: session.id,
+      userId: session.user_id
+    });
+
+    await AuditService.log({
+      userId: session.user_id,
+      action: AuditAction.REFRESH_TOKEN_REUSE,
+      resourceType: 'session',
+      resourceId: session.id,
+      details: { deviceName: session.device_name, sessionIpAddress: session.ip_address },
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+
+    throw new AppError(401, 'REFRESH_TOKEN_REUSED', 'This session was signed out for your security. Please sign in again');
+  }
+
+  /**
+   * The session a refresh token (current or rotated) belongs to, or null
+   */
+  static async findByRefreshToken(rawToken: string): Promise<any | null> {
+    const { data: token } = await supabase
+      .from('session_refresh_tokens')
+      .select('user_sessions(*)')
+      .eq('token_hash', hashToken(rawToken))
+      .maybeSingle();
+
+    return (token as any)?.user_sessions || null;
+  }
+
+  /**
+   * An unrevoked, unexpired session belonging to the user, or null
+   */
+  static async getActiveSession(sessionId: string, userId: string): Promise<any | null> {
+    const { data: session } = await supabase
+      .from('user_sessions')
+      .select('*')
+      .eq('id', sessionId)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (!session || new Date(session.expires_at) <= new Date()) return null;
+    return session;
+  }
+
+  /**
+   * Record that a session was just used (fire and forget; at most every few minutes)
+   */
+  static touch(session: { id: string; last_used_at?: string | null }): void {
+    if (!SessionService.isLastUsedStale(session.last_used_at)) return;
+
+    void supabase
+      .from('user_sessions')
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('id', session.id);
+  }
+
+  /**
+   * A user's active sessions, most recently used first
+   */
+  static async list(userId: string): Promise<any[]> {
+    const { data: sessions, error } = await supabase
+      .from('user_sessions')
+      .select('*')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('last_used_at', { ascending: false });
+
+    if (error) {
+      throw Errors.internal('Failed to fetch sessions');
+    }
+
+    return sessions || [];
+  }
+
+  /**
+   * Revoke one session (optionally only if it belongs to the user); false if it was already ended
+   */
+  static async revoke(sessionId: string, reason: SessionRevokeReason, userId?: string): Promise<boolean> {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('id', sessionId)
+      .is('revoked_at', null);
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data } = await query.select('id');
+    return !!data?.length;
+  }
+
+  /**
+   * Revoke all of a user's sessions, optionally keeping one (the caller's own)
+   */
+  static async revokeAll(userId: string, reason: SessionRevokeReason, exceptSessionId?: string): Promise<number> {
+    let query = supabase
+      .from('user_sessions')
+      .update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (exceptSessionId) {
+      query = query.neq('id', exceptSessionId);
+    }
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      throw Errors.internal('Failed to revoke sessions');
+    }
+
+    return data?.length || 0;
+  }
+
+  /**
+   * Delete sessions that ended more than SESSION_RETENTION_DAYS ago (their tokens go with them)
+   */
+  static async cleanupEndedSessions(now: Date = new Date()): Promise<number> {
+    const cutoff = new Date(now.getTime() - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const { data, error } = await supabase
+      .from('user_sessions')
+      .delete()
+      .or(`expires_at.lt.${cutoff},revoked_at.lt.${cutoff}`)
+      .select('id');
+
+    if (error) {
+      Logger.error('Failed to clean up ended sessions', error);
+      return 0;
+    }
+
+    Logger.info(`Cleaned up ${data?.length || 0} ended sessions`);
+    return data?.length || 0;
+  }
+}
+
+export default SessionService;
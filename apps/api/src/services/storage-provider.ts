@@ -0,0 +1,29 @@
+/**
+ * Storage Provider
+ * Backend-neutral file storage interface (local disk by default)
+ */
+
+import type { Readable } from 'stream';
+
+export interface StorageProvider {
+  name: 'local';
+  /**
+   * Store an object. Keys are never reused, so an existing key is an error rather than an overwrite.
+   */
+  put(key: string, data: Buffer, contentType: string): Promise<void>;
+  /**
+   * Stream an object's contents; throws StorageObjectNotFoundError if it's missing
+   */
+  getStream(key: string): Promise<Readable>;
+  /**
+   * Remove an object; missing objects are ignored
+   */
+  delete(key: string): Promise<void>;
+}
+
+export class StorageObjectNotFoundError extends Error {
+  constructor(key: string) {
+    super(`Stored object not found: ${key}`);
+    this.name = 'StorageObjectNotFoundError';
+  }
+}
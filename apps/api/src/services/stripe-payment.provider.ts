@@ -0,0 +1,253 @@
+/**
+ * Stripe Payment Provider
+ * PaymentProvider backed by the Stripe API
+ */
+
+import Stripe from 'stripe';
+import { AppError, Errors } from '../utils/api-response';
+import {
+  BillingEvent,
+  BillingEventType,
+  PaymentProvider,
+  PlanPrice,
+  ProrationPreview,
+  ProviderInvoice,
+  ProviderPaymentMethod,
+  ProviderSubscription,
+  WebhookSignatureError
+} from './payment-provider';
+
+const STRIPE_EVENT_TYPES: Record<string, BillingEventType> = {
+  'customer.subscription.created': 'subscription.created',
+  'customer.subscription.updated': 'subscription.updated',
+  'customer.subscription.deleted': 'subscription.deleted',
+  'invoice.paid': 'invoice.paid',
+  'invoice.payment_failed': 'invoice.payment_failed'
+};
+
+const fromUnix = (seconds: number): Date => new Date(seconds * 1000);
+const toUnix = (date: Date): number => Math.floor(date.getTime() / 1000);
+const idOf = (value: string | { id: string } | null | undefined): string | null =>
+  !value ? null : typeof value === 'string' ? value : value.id;
+
+const toSubscription = (subscription: Stripe.Subscription): ProviderSubscription => ({
+  id: subscription.id,
+  customerId: idOf(subscription.customer)!,
+  priceId: subscription.items.data[0]?.price.id || null,
+  status: subscription.status,
+  currentPeriodStart: fromUnix(subscription.current_period_start),
+  currentPeriodEnd: fromUnix(subscription.current_period_end),
+  cancelAtPeriodEnd: subscription.cancel_at_period_end,
+  trialEnd: subscription.trial_end ? fromUnix(subscription.trial_end) : null,
+  organizationId: subscription.metadata?.organization_id || null
+});
+
+const toInvoice = (invoice: Stripe.Invoice): ProviderInvoice => ({
+  id: invoice.id,
+  number: invoice.number,
+  customerId: idOf(invoice.customer)!,
+  subscriptionId: idOf(invoice.subscription),
+  amountDue: invoice.amount_due,
+  amountPaid: invoice.amount_paid,
+  currency: invoice.currency,
+  status: invoice.status || 'draft',
+  hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+  pdfUrl: invoice.invoice_pdf || null,
+  periodStart: invoice.period_start ? fromUnix(invoice.period_start) : null,
+  periodEnd: invoice.period_end ? fromUnix(invoice.period_end) : null,
+  createdAt: fromUnix(invoice.created)
+});
+
+export class StripePaymentProvider implements PaymentProvider {
+  readonly name = 'stripe' as const;
+  readonly signatureHeader = 'stripe-signature';
+  private readonly stripe: Stripe;
+
+  constructor(
+    secretKey: string,
+    private readonly webhookSecret: string,
+    readonly publishableKey: string | null
+  ) {
+    this.stripe = new Stripe(secretKey, { apiVersion: '2023-10-16' });
+  }
+
+  // Translate Stripe errors into API errors
+  private async call<T>(request: () => Promise<T>): Promise<T> {
+    try {
+      return await request();
+    } catch (err) {
+      if (err instanceof Stripe.errors.StripeCardError) {
+        throw new AppError(402, 'PAYMENT_FAILED', err.message);
+      }
+      if (err instanceof Stripe.errors.StripeError) {
+        throw new AppError(502, 'BILLING_PROVIDER_ERROR', 'The payment provider rejected the request', { type: err.type });
+      }
+      throw err;
+    }
+  }
+
+  private async getDefaultPaymentMethodId(customerId: string): Promise<string | null> {
+    const customer = await this.call(() => this.stripe.customers.retrieve(customerId));
+    if (customer.deleted) return null;
+    return idOf(customer.invoice_settings?.default_payment_method as string | Stripe.PaymentMethod | null);
+  }
+
+  private async assertOwnsPaymentMethod(customerId: string, paymentMethodId: string): Promise<void> {
+    const method = await this.call(() => this.stripe.paymentMethods.retrieve(paymentMethodId));
+    if (idOf(method.customer) !== customerId) {
+      throw Errors.notFound('Payment method');
+    }
+  }
+
+  async createCustomer(params: { email: string; name: string; organizationId: string }): Promise<string> {
+    const customer = await this.call(() => this.stripe.customers.create({
+      email: params.email,
+      name: params.name,
+      metadata: { organization_id: params.organizationId }
+    }));
+    return customer.id;
+  }
+
+  async createSetupIntent(customerId: string): Promise<{ clientSecret: string }> {
+    const intent = await this.call(() => this.stripe.setupIntents.create({
+      customer: customerId,
+      payment_method_types: ['card'],
+      usage: 'off_session'
+    }));
+    return { clientSecret: intent.client_secret! };
+  }
+
+  async listPaymentMethods(customerId: string): Promise<ProviderPaymentMethod[]> {
+    const [methods, defaultId] = await Promise.all([
+      this.call(() => this.stripe.customers.listPaymentMethods(customerId, { type: 'card' })),
+      this.getDefaultPaymentMethodId(customerId)
+    ]);
+
+    return methods.data.map(method => ({
+      id: method.id,
+      brand: method.card?.brand || 'card',
+      last4: method.card?.last4 || '',
+      expMonth: method.card?.exp_month || 0,
+      expYear: method.card?.exp_year || 0,
+      isDefault: method.id === defaultId
+    }));
+  }
+
+  async setDefaultPaymentMethod(customerId: string, paymentMethodId: string): Promise<void> {
+    await this.assertOwnsPaymentMethod(customerId, paymentMethodId);
+    await this.call(() => this.stripe.customers.update(customerId, {
+      invoice_settings: { default_payment_method: paymentMethodId }
+    }));
+  }
+
+  async detachPaymentMethod(customerId: string, paymentMethodId: string): Promise<void> {
+    await this.assertOwnsPaymentMethod(customerId, paymentMethodId);
+    await this.call(() => this.stripe.paymentMethods.detach(paymentMethodId));
+  }
+
+  async createSubscription(params: {
+    customerId: string;
+    price: PlanPrice;
+    organizationId: string;
+    trialEnd?: Date | null;
+  }): Promise<ProviderSubscription> {
+    const subscription = await this.call(() => this.stripe.subscriptions.create({
+      customer: params.customerId,
+      items: [{ price: params.price.priceId }],
+      metadata: { organization_id: params.organizationId },
+      trial_end: params.trialEnd && params.trialEnd.getTime() > Date.now() ? toUnix(params.trialEnd) : undefined,
+      payment_behavior: 'error_if_incomplete'
+    }));
+    return toSubscription(subscription);
+  }
+
+  async getSubscription(subscriptionId: string): Promise<ProviderSubscription> {
+    const subscription = await this.call(() => this.stripe.subscriptions.retrieve(subscriptionId));
+    return toSubscription(subscription);
+  }
+
+  async previewPriceChange(subscriptionId: string, price: PlanPrice, prorationDate: Date): Promise<ProrationPreview> {
+    const subscription = await this.call(() => this.stripe.subscriptions.retrieve(subscriptionId));
+
+    const upcoming = await this.call(() => this.stripe.invoices.retrieveUpcoming({
+      customer: idOf(subscription.customer)!,
+      subscription: subscription.id,
+      subscription_items: [{ id: subscription.items.data[0].id, price: price.priceId }],
+      subscription_proration_behavior: 'create_prorations',
+      subscription_proration_date: toUnix(prorationDate)
+    }));
+
+    // Only the proration lines are charged now; the rest is the next regular invoice
+    const amountDue = upcoming.lines.data
+      .filter(line => line.proration)
+      .reduce((sum, line) => sum + line.amount, 0);
+
+    return { amountDue, currency: upcoming.currency, prorationDate };
+  }
+
+  async changeSubscriptionPrice(subscriptionId: string, price: PlanPrice, prorationDate: Date): Promise<ProviderSubscription> {
+    const current = await this.call(() => this.stripe.subscriptions.retrieve(subscriptionId));
+
+    const subscription = await this.call(() => this.stripe.subscriptions.update(subscriptionId, {
+      items: [{ id: current.items.data[0].id, price: price.priceId }],
+      proration_behavior: 'always_invoice',
+      proration_date: toUnix(prorationDate),
+      cancel_at_period_end: false
+    }));
+    return toSubscription(subscription);
+  }
+
+  async cancelSubscription(subscriptionId: string, options: { atPeriodEnd: boolean }): Promise<ProviderSubscription> {
+    const subscription = options.atPeriodEnd
+      ? await this.call(() => this.stripe.subscriptions.update(subscriptionId, { cancel_at_period_end: true }))
+      : await this.call(() => this.stripe.subscriptions.cancel(subscriptionId));
+    return toSubscription(subscription);
+  }
+
+  async resumeSubscription(subscriptionId: string): Promise<ProviderSubscription> {
+    const subscription = await this.call(() => this.stripe.subscriptions.update(subscriptionId, {
+      cancel_at_period_end: false
+    }));
+    return toSubscription(subscription);
+  }
+
+  async listInvoices(customerId: string, limit: number): Promise<ProviderInvoice[]> {
+    const invoices = await this.call(() => this.stripe.invoices.list({ customer: customerId, limit }));
+    return invoices.data.map(toInvoice);
+  }
+
+  async createPortalSession(customerId: string, returnUrl: string): Promise<{ url: string }> {
+    const session = await this.call(() => this.stripe.billingPortal.sessions.create({
+      customer: customerId,
+      return_url: returnUrl
+    }));
+    return { url: session.url };
+  }
+
+  parseWebhookEvent(payload: Buffer | string, signature: string | undefined): BillingEvent {
+    if (!signature) {
+      throw new WebhookSignatureError('Missing webhook signature');
+    }
+
+    let event: Stripe.Event;
+    try {
+      event = this.stripe.webhooks.constructEvent(payload, signature, this.webhookSecret);
+    } catch {
+      throw new WebhookSignatureError();
+    }
+
+    const type = STRIPE_EVENT_TYPES[event.type] || 'ignored';
+    const object = event.data.object as any;
+
+    return {
+      id: event.id,
+      type,
+      providerType: event.type,
+      createdAt: fromUnix(event.created),
+      subscription: type.startsWith('subscription.') ? toSubscription(object as Stripe.Subscription) : undefined,
+      invoice: type.startsWith('invoice.') ? toInvoice(object as Stripe.Invoice) : undefined
+    };
+  }
+}
+
+export default StripePaymentProvider;
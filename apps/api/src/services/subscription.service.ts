@@ -0,0 +1,259 @@
+/**
+ * Subscription Service
+ * Access policy for lapsed trials and subscriptions, trial-ending warnings and per-plan rate limits
+ */
+
+import { supabase } from '../config/database';
+import { EmailService } from './email.service';
+import { RBACService } from './rbac.service';
+import { Logger } from '../utils/logger';
+import { Permission, Role, SubscriptionStatus } from '../types';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Full access continues for this long after a trial ends or a payment is missed
+export const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS || '7');
+
+// Days before the trial ends that billing managers are warned
+export const TRIAL_WARNING_DAYS = [7, 3, 1];
+
+// API requests per rate-limit window for organizations whose plan doesn't set its own
+export const DEFAULT_USER_RATE_LIMIT = 100;
+export const DEFAULT_ORGANIZATION_RATE_LIMIT = 200;
+
+// Plan limits change rarely; re-read them this often
+const PLAN_LIMITS_CACHE_MS = 5 * 60 * 1000;
+
+export type AccessMode = 'full' | 'grace' | 'read_only' | 'locked';
+
+export interface SubscriptionAccess {
+  mode: AccessMode;
+  // Error code returned for blocked requests
+  code: string | null;
+  message: string | null;
+  graceEndsAt: string | null;
+}
+
+interface OrganizationAccessRow {
+  subscription_status?: string | null;
+  is_active?: boolean | null;
+  is_complimentary?: boolean | null;
+  trial_ends_at?: string | null;
+  current_period_end?: string | null;
+  subscription_ends_at?: string | null;
+  trial_warning_sent_at?: string | null;
+}
+
+export interface PlanRateLimits {
+  user: number;
+  organization: number;
+}
+
+const DEFAULT_RATE_LIMITS: PlanRateLimits = {
+  user: DEFAULT_USER_RATE_LIMIT,
+  organization: DEFAULT_ORGANIZATION_RATE_LIMIT
+};
+
+const planLimitsCache = new Map<string, { limits: PlanRateLimits; expiresAt: number }>();
+
+const FULL_ACCESS: SubscriptionAccess = { mode: 'full', code: null, message: null, graceEndsAt: null };
+
+// Full access until a deadline, then a grace period, then read-only
+const lapsed = (
+  deadline: string | null | undefined,
+  now: Date,
+  code: string,
+  message: string
+): SubscriptionAccess => {
+  if (!deadline) return FULL_ACCESS;
+
+  const due = Date.parse(deadline);
+  if (now.getTime() < due) return FULL_ACCESS;
+
+  const graceEndsAt = new Date(due + GRACE_PERIOD_DAYS * DAY_MS);
+  if (now < graceEndsAt) {
+    return { mode: 'grace', code: null, message: null, graceEndsAt: graceEndsAt.toISOString() };
+  }
+
+  return { mode: 'read_only', code, message, graceEndsAt: graceEndsAt.toISOString() };
+};
+
+export class SubscriptionService {
+  /**
+   * What an organization's members may do given its subscription
+   * - suspended or deactivated: locked
+   * - trial ended / payment overdue: full access for the grace period, then read-only
+   * - cancelled: full access until the paid period ends, then read-only
+   * Complimentary plans are never restricted unless suspended.
+   */
+  static getAccess(organization: OrganizationAccessRow | null | undefined, now: Date = new Date()): SubscriptionAccess {
+    if (!organization) return FULL_ACCESS;
+
+    if (organization.subscription_status === SubscriptionStatus.SUSPENDED) {
+      return {
+        mode: 'locked',
+        code: 'ORGANIZATION_SUSPENDED',
+        message: 'This organization is suspended. Please contact support',
+        graceEndsAt: null
+      };
+    }
+
+    if (organization.is_active === false) {
+      return {
+        mode: 'locked',
+        code: 'ORGANIZATION_INACTIVE',
+        message: 'This organization has been deactivated',
+        graceEndsAt: null
+      };
+    }
+
+    if (organization.is_complimentary) return FULL_ACCESS;
+
+    switch (organization.subscription_status) {
+      case SubscriptionStatus.TRIAL:
+        return lapsed(organization.trial_ends_at, now, 'TRIAL_EXPIRED',
+          'Your free trial has ended. Choose a plan to keep making changes');
+      case SubscriptionStatus.PAST_DUE:
+        return lapsed(organization.current_period_end, now, 'PAYMENT_OVERDUE',
+          'Your subscription payment is overdue. Update your payment method to keep making changes');
+      case SubscriptionStatus.CANCELLED: {
+        const paidUntil = organization.subscription_ends_at || organization.current_period_end;
+        if (paidUntil && now.getTime() < Date.parse(paidUntil)) return FULL_ACCESS;
+        return {
+          mode: 'read_only',
+          code: 'SUBSCRIPTION_CANCELLED',
+          message: 'Your subscription has been cancelled. Resubscribe to keep making changes',
+          graceEndsAt: null
+        };
+      }
+      default:
+        return FULL_ACCESS;
+    }
+  }
+
+  /**
+   * API rate limits for a subscription plan (api_rate_limit_user / api_rate_limit_org)
+   * Organizations without a plan, and plans without limits set, get the defaults.
+   * Cached per plan; a failed lookup falls back to the defaults until the next refresh.
+   */
+  static async getPlanRateLimits(planId?: string | null, now: number = Date.now()): Promise<PlanRateLimits> {
+    if (!planId) return DEFAULT_RATE_LIMITS;
+
+    const cached = planLimitsCache.get(planId);
+    if (cached && cached.expiresAt > now) return cached.limits;
+
+    const { data: plan, error } = await supabase
+      .from('subscription_plans')
+      .select('api_rate_limit_user, api_rate_limit_org')
+      .eq('id', planId)
+      .maybeSingle();
+
+    if (error) {
+      Logger.warn('Failed to load plan rate limits', { planId, error: error.message });
+    }
+
+    const limits = {
+      user: plan?.api_rate_limit_user || DEFAULT_USER_RATE_LIMIT,
+      organization: plan?.api_rate_limit_org || DEFAULT_ORGANIZATION_RATE_LIMIT
+    };
+
+    planLimitsCache.set(planId, { limits, expiresAt: now + PLAN_LIMITS_CACHE_MS });
+    return limits;
+  }
+
+  /**
+   * Forget cached plan limits (after a plan is edited, and in tests)
+   */
+  static clearPlanRateLimitCache(): void {
+    planLimitsCache.clear();
+  }
+
+  /**
+   * Which warning threshold (if any) an organization is owed before its trial ends
+   * A threshold counts as sent if trial_warning_sent_at falls on or after the day it was crossed
+   */
+  static classifyTrialWarning(
+    organization: OrganizationAccessRow,
+    thresholds: number[] = TRIAL_WARNING_DAYS,
+    now: Date = new Date()
+  ): number | null {
+    if (organization.subscription_status !== SubscriptionStatus.TRIAL || !organization.trial_ends_at) return null;
+
+    const endsAt = Date.parse(organization.trial_ends_at);
+    const msLeft = endsAt - now.getTime();
+    if (msLeft <= 0) return null;
+
+    const crossed = thresholds.filter(days => msLeft <= days * DAY_MS);
+    if (crossed.length === 0) return null;
+    const threshold = Math.min(...crossed);
+
+    if (organization.trial_warning_sent_at) {
+      const crossedAt = endsAt - threshold * DAY_MS;
+      if (Date.parse(organization.trial_warning_sent_at) >= crossedAt) return null;
+    }
+
+    return threshold;
+  }
+
+  /**
+   * Email billing managers as their trial approaches its end
+   */
+  static async sendTrialEndingWarnings(now: Date = new Date()): Promise<{ sent: number }> {
+    const horizon = new Date(now.getTime() + Math.max(...TRIAL_WARNING_DAYS) * DAY_MS);
+
+    const { data: organizations, error } = await supabase
+      .from('organizations')
+      .select('id, name, subscription_status, trial_ends_at, trial_warning_sent_at')
+      .eq('subscription_status', SubscriptionStatus.TRIAL)
+      .eq('is_active', true)
+      .gt('trial_ends_at', now.toISOString())
+      .lte('trial_ends_at', horizon.toISOString());
+
+    if (error) {
+      Logger.error('Failed to load organizations for trial warnings', error as any);
+      return { sent: 0 };
+    }
+
+    let sent = 0;
+
+    for (const organization of (organizations || []) as any[]) {
+      if (SubscriptionService.classifyTrialWarning(organization, TRIAL_WARNING_DAYS, now) === null) continue;
+
+      const { data: members } = await supabase
+        .from('organization_members')
+        .select('role, users(email)')
+        .eq('organization_id', organization.id)
+        .eq('is_active', true);
+
+      const recipients: string[] = ((members || []) as any[])
+        .filter(m => RBACService.hasPermission(m.role as Role, Permission.BILLING_MANAGE))
+        .map(m => m.users?.email)
+        .filter(Boolean);
+
+      const daysRemaining = Math.ceil((Date.parse(organization.trial_ends_at) - now.getTime()) / DAY_MS);
+
+      try {
+        await Promise.all(recipients.map(to => EmailService.sendTrialEndingEmail({
+          to,
+          organizationName: organization.name,
+          trialEndsAt: organization.trial_ends_at.slice(0, 10),
+          daysRemaining,
+          graceDays: GRACE_PERIOD_DAYS
+        })));
+
+        await supabase
+          .from('organizations')
+          .update({ trial_warning_sent_at: now.toISOString() })
+          .eq('id', organization.id);
+
+        sent++;
+      } catch (err) {
+        Logger.error('Failed to send trial ending warning', err as Error, { organizationId: organization.id });
+      }
+    }
+
+    return { sent };
+  }
+}
+
+export default SubscriptionService;
@@ -0,0 +1,106 @@
+/**
+ * Task Service
+ * Due-date reminders for assigned tasks
+ */
+
+import { supabase } from '../config/database';
+import { EmailService } from './email.service';
+import { TaskStatus } from '../types';
+import { Logger } from '../utils/logger';
+
+// Tasks due within this many days get a "due soon" reminder
+export const TASK_DUE_SOON_DAYS = 1;
+
+export type TaskReminderType = 'due' | 'overdue';
+
+interface ReminderCandidate {
+  status: string;
+  due_date?: string | null;
+  due_reminder_sent_at?: string | null;
+  overdue_reminder_sent_at?: string | null;
+}
+
+// YYYY-MM-DD for a date, offset by a number of days (UTC)
+const toDateString = (date: Date, offsetDays = 0): string => {
+  const shifted = new Date(date.getTime() + offsetDays * 24 * 60 * 60 * 1000);
+  return shifted.toISOString().slice(0, 10);
+};
+
+export class TaskService {
+  /**
+   * Decide which reminder (if any) a task is owed
+   * Each reminder type is only sent once per due date
+   */
+  static classifyTaskReminder(task: ReminderCandidate, now: Date = new Date()): TaskReminderType | null {
+    if (!task.due_date) return null;
+    if (task.status !== TaskStatus.PENDING && task.status !== TaskStatus.IN_PROGRESS) return null;
+
+    const dueDate = task.due_date.slice(0, 10);
+    const today = toDateString(now);
+
+    if (dueDate < today) {
+      return task.overdue_reminder_sent_at ? null : 'overdue';
+    }
+
+    if (dueDate <= toDateString(now, TASK_DUE_SOON_DAYS)) {
+      return task.due_reminder_sent_at ? null : 'due';
+    }
+
+    return null;
+  }
+
+  /**
+   * Email assignees about tasks that are due soon or overdue
+   * Organizations can opt out with settings.taskReminders = false
+   */
+  static async sendDueReminders(now: Date = new Date()): Promise<{ sent: number }> {
+    const { data: tasks, error } = await supabase
+      .from('tasks')
+      .select(`
+        id, title, status, due_date, due_reminder_sent_at, overdue_reminder_sent_at,
+        organizations(name, settings),
+        assignee:users!tasks_assigned_to_fkey(email)
+      `)
+      .in('status', [TaskStatus.PENDING, TaskStatus.IN_PROGRESS])
+      .not('assigned_to', 'is', null)
+      .lte('due_date', toDateString(now, TASK_DUE_SOON_DAYS));
+
+    if (error) {
+      Logger.error('Failed to load tasks for reminders', error as any);
+      return { sent: 0 };
+    }
+
+    let sent = 0;
+
+    for (const task of (tasks || []) as any[]) {
+      const reminder = TaskService.classifyTaskReminder(task, now);
+      if (!reminder || !task.assignee?.email) continue;
+      if (task.organizations?.settings?.taskReminders === false) continue;
+
+      try {
+        await EmailService.sendTaskReminderEmail({
+          to: task.assignee.email,
+          organizationName: task.organizations?.name || 'your organization',
+          taskTitle: task.title,
+          dueDate: task.due_date,
+          overdue: reminder === 'overdue'
+        });
+
+        await supabase
+          .from('tasks')
+          .update(reminder === 'overdue'
+            ? { overdue_reminder_sent_at: now.toISOString() }
+            : { due_reminder_sent_at: now.toISOString() })
+          .eq('id', task.id);
+
+        sent++;
+      } catch (err) {
+        Logger.error('Failed to send task reminder', err as Error, { taskId: task.id });
+      }
+    }
+
+    return { sent };
+  }
+}
+
+export default TaskService;
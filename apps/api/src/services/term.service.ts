@@ -0,0 +1,193 @@
+/**
+ * Term Service
+ * Trustee term renewal rules and term-expiry notifications
+ */
+
+import { supabase } from '../config/database';
+import { EmailService } from './email.service';
+import { RBACService } from './rbac.service';
+import { Errors } from '../utils/api-response';
+import { Logger } from '../utils/logger';
+import { Permission, Role } from '../types';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used when an organization hasn't configured its own thresholds
+export const DEFAULT_RENEWAL_NOTIFICATION_DAYS = [90, 60, 30];
+
+interface TermCandidate {
+  term_end_date?: string | null;
+  renewal_notified_at?: string | null;
+}
+
+// YYYY-MM-DD (UTC)
+const toDateString = (date: Date): string => date.toISOString().slice(0, 10);
+
+export class TermService {
+  /**
+   * Notification thresholds for an organization, largest first
+   * Older schemas store a single integer rather than an array
+   */
+  static getNotificationThresholds(organization: any): number[] {
+    const raw = organization?.renewal_notification_days;
+    const days = Array.isArray(raw) ? raw : typeof raw === 'number' ? [raw] : DEFAULT_RENEWAL_NOTIFICATION_DAYS;
+
+    return [...new Set(days.map(Number).filter(d => Number.isInteger(d) && d > 0))]
+      .sort((a, b) => b - a);
+  }
+
+  /**
+   * Whole days from today until a term ends (negative once expired)
+   */
+  static getDaysUntilExpiry(termEndDate: string, now: Date = new Date()): number {
+    const end = Date.parse(`${termEndDate.slice(0, 10)}T00:00:00Z`);
+    const today = Date.parse(`${toDateString(now)}T00:00:00Z`);
+    return Math.round((end - today) / DAY_MS);
+  }
+
+  /**
+   * End date for a term of a number of years
+   */
+  static calculateTermEndDate(startDate: string, years: number): string {
+    const end = new Date(`${startDate.slice(0, 10)}T00:00:00Z`);
+    end.setUTCFullYear(end.getUTCFullYear() + years);
+    return toDateString(end);
+  }
+
+  /**
+   * Decide which threshold (if any) a member is owed a notification for
+   * A threshold counts as notified if renewal_notified_at falls on or after the day it was crossed,
+   * so each threshold is only emailed once per term
+   */
+  static classifyTermNotification(
+    member: TermCandidate,
+    thresholds: number[],
+    now: Date = new Date()
+  ): number | null {
+    if (!member.term_end_date || thresholds.length === 0) return null;
+
+    const daysLeft = TermService.getDaysUntilExpiry(member.term_end_date, now);
+    if (daysLeft < 0) return null;
+
+    // Smallest threshold already reached
+    const crossed = thresholds.filter(t => daysLeft <= t);
+    if (crossed.length === 0) return null;
+    const threshold = Math.min(...crossed);
+
+    if (member.renewal_notified_at) {
+      const crossedOn = Date.parse(`${member.term_end_date.slice(0, 10)}T00:00:00Z`) - threshold * DAY_MS;
+      if (Date.parse(member.renewal_notified_at) >= crossedOn) return null;
+    }
+
+    return threshold;
+  }
+
+  /**
+   * Throw if the member has already served the maximum consecutive terms
+   */
+  static assertCanRenew(member: { consecutive_terms?: number | null }, organization: any): void {
+    const max = organization?.max_consecutive_terms;
+    const current = member.consecutive_terms || 1;
+
+    if (max && current >= max) {
+      throw Errors.badRequest(
+        'MAX_CONSECUTIVE_TERMS_REACHED',
+        `Member has already served the maximum of ${max} consecutive terms`,
+        { maxConsecutiveTerms: max, consecutiveTerms: current }
+      );
+    }
+  }
+
+  /**
+   * Email trustees (and their admins) as terms approach each renewal threshold
+   * Organizations can opt out with enable_term_tracking = false
+   */
+  static async sendRenewalNotifications(now: Date = new Date()): Promise<{ sent: number }> {
+    const { data: organizations, error } = await supabase
+      .from('organizations')
+      .select('id, name, renewal_notification_days, enable_term_tracking')
+      .eq('is_active', true);
+
+    if (error) {
+      Logger.error('Failed to load organizations for term notifications', error as any);
+      return { sent: 0 };
+    }
+
+    let sent = 0;
+
+    for (const organization of (organizations || []) as any[]) {
+      if (organization.enable_term_tracking === false) continue;
+
+      const thresholds = TermService.getNotificationThresholds(organization);
+      if (thresholds.length === 0) continue;
+
+      const horizon = new Date(now.getTime() + thresholds[0] * DAY_MS);
+
+      const { data: members } = await supabase
+        .from('organization_members')
+        .select('id, role, term_end_date, renewal_notified_at, users(email, first_name, last_name)')
+        .eq('organization_id', organization.id)
+        .eq('is_active', true)
+        .gte('term_end_date', toDateString(now))
+        .lte('term_end_date', toDateString(horizon));
+
+      const due = ((members || []) as any[])
+        .filter(m => TermService.classifyTermNotification(m, thresholds, now) !== null);
+
+      if (due.length === 0) continue;
+
+      const { data: allMembers } = await supabase
+        .from('organization_members')
+        .select('role, users(email)')
+        .eq('organization_id', organization.id)
+        .eq('is_active', true);
+
+      const admins: string[] = ((allMembers || []) as any[])
+        .filter(m => RBACService.hasPermission(m.role as Role, Permission.USER_UPDATE))
+        .map(m => m.users?.email)
+        .filter(Boolean);
+
+      for (const member of due) {
+        if (!member.users?.email) continue;
+
+        const memberName = `${member.users.first_name} ${member.users.last_name}`;
+        const daysRemaining = TermService.getDaysUntilExpiry(member.term_end_date, now);
+
+        try {
+          await EmailService.sendTermExpiryEmail({
+            to: member.users.email,
+            organizationName: organization.name,
+            memberName,
+            termEndDate: member.term_end_date,
+            daysRemaining,
+            isAdminCopy: false
+          });
+
+          await Promise.all(admins
+            .filter(to => to !== member.users.email)
+            .map(to => EmailService.sendTermExpiryEmail({
+              to,
+              organizationName: organization.name,
+              memberName,
+              termEndDate: member.term_end_date,
+              daysRemaining,
+              isAdminCopy: true
+            })));
+
+          await supabase
+            .from('organization_members')
+            .update({ renewal_notified_at: now.toISOString() })
+            .eq('id', member.id);
+
+          sent++;
+        } catch (err) {
+          Logger.error('Failed to send term expiry notification', err as Error, { memberId: member.id });
+        }
+      }
+    }
+
+    return { sent };
+  }
+}
+
+export default TermService;
@@ -21,6 +21,10 @@ const CSRF_TOKEN_COOKIE = 'csrf_token';
 // Token expiration times
 const ACCESS_TOKEN_MAX_AGE = 15 * 60 * 1000; // 15 minutes
 const REFRESH_TOKEN_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+export const MFA_CHALLENGE_MAX_AGE = 5 * 60 * 1000; // 5 minutes
+
+// Audience for MFA challenge tokens - never accepted as an access token
+const MFA_CHALLENGE_AUDIENCE = 'trustee-portal-mfa';
 
 /**
  * Generate JWT access token
@@ -76,11 +80,12 @@ function getCookieConfig(isRefreshToken = false): { httpOnly: boolean; secure: b
 
 /**
  * Set authentication cookies
+ * Without a refresh token the current refresh cookie is left as it is.
  */
 export function setAuthCookies(
   res: Response, 
   accessToken: string, 
-  refreshToken: string
+  refreshToken: string | null
 ): void {
   const accessConfig = getCookieConfig(false);
   const refreshConfig = getCookieConfig(true);
@@ -89,7 +94,9 @@ export function setAuthCookies(
   res.cookie(ACCESS_TOKEN_COOKIE, accessToken, accessConfig);
 
   // Set refresh token cookie (httpOnly + signed)
-  res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, refreshConfig);
+  if (refreshToken) {
+    res.cookie(REFRESH_TOKEN_COOKIE, refreshToken, refreshConfig);
+  }
 
   // Generate and set CSRF token for non-GET requests
   const csrfToken = crypto.randomBytes(32).toString('hex');
@@ -160,6 +167,32 @@ export function verifyAccessToken(token: string): JWTPayload | null {
   }
 }
 
+/**
+ * Generate a short-lived MFA challenge token
+ * Issued after a correct password when the user still has to enter a TOTP code
+ */
+export function generateMfaChallengeToken(userId: string, organizationId?: string | null): string {
+  return jwt.sign({ sub: userId, organizationId: organizationId || undefined }, JWT_SECRET, {
+    expiresIn: Math.floor(MFA_CHALLENGE_MAX_AGE / 1000),
+    issuer: 'trustee-portal',
+    audience: MFA_CHALLENGE_AUDIENCE
+  });
+}
+
+/**
+ * Verify an MFA challenge token
+ */
+export function verifyMfaChallengeToken(token: string): { sub: string; organizationId?: string } | null {
+  try {
+    return jwt.verify(token, JWT_SECRET, {
+      issuer: 'trustee-portal',
+      audience: MFA_CHALLENGE_AUDIENCE
+    }) as { sub: string; organizationId?: string };
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Get CSRF token for client
  */
@@ -223,6 +256,8 @@ export default {
   extractAccessToken,
   extractRefreshToken,
   verifyAccessToken,
+  generateMfaChallengeToken,
+  verifyMfaChallengeToken,
   getCsrfToken,
   verifyCsrfToken,
   createTokenResponse,
@@ -60,6 +60,10 @@ export enum Permission {
   MEETING_DELETE = 'meeting:delete',
   MEETING_VIEW = 'meeting:view',
   MEETING_SCHEDULE = 'meeting:schedule',
+  MINUTES_DRAFT = 'minutes:draft',
+  MINUTES_APPROVE = 'minutes:approve',
+  RESOLUTION_PROPOSE = 'resolution:propose',
+  RESOLUTION_MANAGE = 'resolution:manage',
   
   // Committees
   COMMITTEE_CREATE = 'committee:create',
@@ -67,6 +71,10 @@ export enum Permission {
   COMMITTEE_DELETE = 'committee:delete',
   COMMITTEE_VIEW = 'committee:view',
   
+  // Recruitment
+  RECRUITMENT_VIEW = 'recruitment:view',
+  RECRUITMENT_MANAGE = 'recruitment:manage',
+  
   // Compliance
   COMPLIANCE_VIEW = 'compliance:view',
   COMPLIANCE_MANAGE = 'compliance:manage',
@@ -98,11 +106,24 @@ export enum AuditAction {
   ACCOUNT_LOCKED = 'account_locked',
   ACCOUNT_UNLOCKED = 'account_unlocked',
   EMAIL_VERIFIED = 'email_verified',
+  EMAIL_CHANGE_REQUESTED = 'email_change_requested',
+  EMAIL_CHANGED = 'email_changed',
+  EMAIL_CHANGE_CANCELLED = 'email_change_cancelled',
+  ACCOUNT_DELETION_REQUESTED = 'account_deletion_requested',
+  ACCOUNT_DELETION_CANCELLED = 'account_deletion_cancelled',
+  ACCOUNT_ERASED = 'account_erased',
+  MFA_ENABLED = 'mfa_enabled',
+  MFA_DISABLED = 'mfa_disabled',
+  MFA_RECOVERY_CODES_REGENERATED = 'mfa_recovery_codes_regenerated',
   TOKEN_REFRESH = 'token_refresh',
+  SESSION_REVOKED = 'session_revoked',
+  ORGANIZATION_SWITCH = 'organization_switch',
+  REFRESH_TOKEN_REUSE = 'refresh_token_reuse',
   EXPORT = 'export',
   SETTINGS_CHANGE = 'settings_change',
   PERMISSION_DENIED = 'permission_denied',
-  DATA_ACCESS = 'data_access'
+  DATA_ACCESS = 'data_access',
+  RESOLUTION_OUTCOME = 'resolution_outcome'
 }
 
 export enum SubscriptionStatus {
@@ -113,6 +134,162 @@ export enum SubscriptionStatus {
   SUSPENDED = 'suspended'
 }
 
+export enum MeetingType {
+  BOARD = 'board',
+  COMMITTEE = 'committee',
+  EXTRAORDINARY = 'extraordinary',
+  INTERVIEW = 'interview'
+}
+
+export enum MeetingStatus {
+  SCHEDULED = 'scheduled',
+  IN_PROGRESS = 'in_progress',
+  COMPLETED = 'completed',
+  CANCELLED = 'cancelled'
+}
+
+export enum AgendaItemType {
+  DECISION = 'decision',
+  NOTING = 'noting'
+}
+
+export enum ResolutionType {
+  MEETING = 'meeting',
+  // Circulated for votes between meetings
+  WRITTEN = 'written'
+}
+
+export enum ResolutionStatus {
+  DRAFT = 'draft',
+  OPEN = 'open',
+  PASSED = 'passed',
+  FAILED = 'failed',
+  WITHDRAWN = 'withdrawn'
+}
+
+export enum PassThreshold {
+  SIMPLE_MAJORITY = 'simple_majority',
+  TWO_THIRDS = 'two_thirds',
+  UNANIMOUS = 'unanimous'
+}
+
+export enum VoteChoice {
+  FOR = 'for',
+  AGAINST = 'against',
+  ABSTAIN = 'abstain'
+}
+
+export enum InterestCategory {
+  EMPLOYMENT = 'employment',
+  DIRECTORSHIP = 'directorship',
+  SHAREHOLDING = 'shareholding',
+  TRUSTEESHIP = 'trusteeship',
+  PROPERTY = 'property',
+  GIFT_HOSPITALITY = 'gift_hospitality',
+  FAMILY = 'family',
+  OTHER = 'other'
+}
+
+// What a member did about a conflict declared at a meeting
+export enum ConflictAction {
+  LEFT_ROOM = 'left_room',
+  // Stayed for the discussion but didn't vote
+  NO_VOTE = 'no_vote',
+  // The board agreed the interest doesn't prevent taking part
+  PERMITTED = 'permitted'
+}
+
+// Why a sign-in session ended before it expired
+export enum SessionRevokeReason {
+  LOGOUT = 'logout',
+  LOGOUT_ALL = 'logout_all',
+  // Signed out from another device's session list
+  REVOKED = 'revoked',
+  PASSWORD_CHANGE = 'password_change',
+  PASSWORD_RESET = 'password_reset',
+  EMAIL_CHANGE = 'email_change',
+  ACCOUNT_DELETION = 'account_deletion',
+  // An already-rotated refresh token was presented again, so the token was probably stolen
+  TOKEN_REUSE = 'token_reuse'
+}
+
+export enum MinutesStatus {
+  DRAFT = 'draft',
+  SUBMITTED = 'submitted',
+  APPROVED = 'approved',
+  ADOPTED = 'adopted'
+}
+
+export enum RsvpStatus {
+  PENDING = 'pending',
+  ATTENDING = 'attending',
+  DECLINED = 'declined',
+  TENTATIVE = 'tentative'
+}
+
+export enum CommitteeStatus {
+  ACTIVE = 'active',
+  INACTIVE = 'inactive',
+  ARCHIVED = 'archived'
+}
+
+export enum CommitteeRole {
+  CHAIR = 'chair',
+  VICE_CHAIR = 'vice_chair',
+  SECRETARY = 'secretary',
+  MEMBER = 'member'
+}
+
+export enum TaskStatus {
+  PENDING = 'pending',
+  IN_PROGRESS = 'in_progress',
+  COMPLETED = 'completed',
+  CANCELLED = 'cancelled'
+}
+
+export enum TaskPriority {
+  LOW = 'low',
+  MEDIUM = 'medium',
+  HIGH = 'high',
+  URGENT = 'urgent'
+}
+
+export enum JobStatus {
+  ACTIVE = 'active',
+  PAUSED = 'paused',
+  CLOSED = 'closed'
+}
+
+// Recruitment pipeline: applied → shortlisted → interviewing → selected/rejected → onboarded
+export enum ApplicationStatus {
+  APPLIED = 'applied',
+  SHORTLISTED = 'shortlisted',
+  INTERVIEWING = 'interviewing',
+  SELECTED = 'selected',
+  REJECTED = 'rejected',
+  ONBOARDED = 'onboarded'
+}
+
+export enum InterviewType {
+  IN_PERSON = 'in_person',
+  VIDEO = 'video',
+  PHONE = 'phone'
+}
+
+export enum PolicyStatus {
+  DRAFT = 'draft',
+  IN_REVIEW = 'in_review',
+  APPROVED = 'approved',
+  PUBLISHED = 'published',
+  DUE_FOR_REVIEW = 'due_for_review',
+  ARCHIVED = 'archived'
+}
+
+export enum PolicyDecision {
+  APPROVED = 'approved',
+  CHANGES_REQUESTED = 'changes_requested'
+}
+
 // ==========================================
 // User Types
 // ==========================================
@@ -149,8 +326,11 @@ export interface User {
   lockedUntil?: Date;
   lastLoginAt?: Date;
   lastLoginIp?: string;
-  refreshToken?: string;
-  refreshTokenExpiresAt?: Date;
+  // Organization signed in to by default when the user belongs to several
+  lastOrganizationId?: string;
+  // Erasure: requested, then personal data purged at deletionScheduledFor (deletedAt)
+  deletionRequestedAt?: Date;
+  deletionScheduledFor?: Date;
   createdAt: Date;
   updatedAt: Date;
   deletedAt?: Date;
@@ -176,6 +356,7 @@ export interface UserResponse {
   isActive: boolean;
   isSuperAdmin: boolean;
   emailVerified: boolean;
+  mfaEnabled?: boolean;
   createdAt: Date;
 }
 
@@ -230,12 +411,19 @@ export interface Organization {
   planId?: string;
   subscriptionStatus: SubscriptionStatus;
   subscriptionStripeId?: string;
+  billingCustomerId?: string;
+  billingProvider?: string;
   trialEndsAt?: Date;
   subscriptionStartedAt?: Date;
   subscriptionEndsAt?: Date;
   currentPeriodStart?: Date;
   currentPeriodEnd?: Date;
   cancelAtPeriodEnd: boolean;
+  billingCycle?: BillingCycle;
+  isComplimentary?: boolean;
+  suspendedAt?: Date;
+  suspensionReason?: string;
+  cancelledAt?: Date;
   maxMembers: number;
   storageUsedMb: number;
   maxStorageMb: number;
@@ -260,6 +448,7 @@ export interface OrganizationSettings {
   emailNotifications?: boolean;
   meetingReminders?: boolean;
   taskReminders?: boolean;
+  requireMfaForAdmins?: boolean;
   [key: string]: any;
 }
 
@@ -315,11 +504,30 @@ export interface OrganizationMember {
   termStartDate?: Date;
   termEndDate?: Date;
   termLengthYears?: number;
+  consecutiveTerms?: number;
   renewalNotifiedAt?: Date;
+  interestsDeclaredAt?: Date;
+  interestReminderSentAt?: Date;
   createdAt: Date;
   updatedAt: Date;
 }
 
+export interface MemberTermHistory {
+  id: string;
+  organizationId: string;
+  memberId: string;
+  userId: string;
+  previousTermStartDate?: string;
+  previousTermEndDate?: string;
+  termNumber: number;
+  termStartDate: string;
+  termEndDate: string;
+  termLengthYears: number;
+  notes?: string;
+  renewedBy?: string;
+  createdAt: Date;
+}
+
 export interface OrganizationMemberResponse {
   id: string;
   userId: string;
@@ -336,6 +544,7 @@ export interface OrganizationMemberResponse {
   termStartDate?: Date;
   termEndDate?: Date;
   termLengthYears?: number;
+  consecutiveTerms?: number;
 }
 
 export interface CreateOrganizationMemberInput {
@@ -397,9 +606,434 @@ export interface CreateInvitationInput {
 
 export interface AcceptInvitationInput {
   token: string;
-  password: string;
+  // Required for new accounts; existing users accept while signed in
+  password?: string;
+  firstName?: string;
+  lastName?: string;
+}
+
+// ==========================================
+// Committee Types
+// ==========================================
+
+export interface Committee {
+  id: string;
+  organizationId: string;
+  name: string;
+  description?: string;
+  termsOfReference?: string;
+  termsOfReferenceUpdatedAt?: Date;
+  colorTheme?: string;
+  status: CommitteeStatus;
+  createdBy?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface CommitteeMember {
+  id: string;
+  committeeId: string;
+  organizationMemberId: string;
+  role: CommitteeRole;
+  joinedAt: Date;
+}
+
+// ==========================================
+// Meeting Types
+// ==========================================
+
+export interface Meeting {
+  id: string;
+  organizationId: string;
+  committeeId?: string;
+  title: string;
+  meetingType: MeetingType;
+  meetingDate: Date;
+  durationMinutes: number;
+  location?: string;
+  zoomLink?: string;
+  agenda?: string;
+  status: MeetingStatus;
+  boardPackPublishedAt?: Date;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface MeetingAttendee {
+  id: string;
+  meetingId: string;
+  userId: string;
+  rsvpStatus: RsvpStatus;
+  attended: boolean;
+  notes?: string;
+}
+
+export interface AgendaItem {
+  id: string;
+  meetingId: string;
+  position: number;
+  title: string;
+  description?: string;
+  itemType: AgendaItemType;
+  presenterId?: string;
+  durationMinutes: number;
+  paperIds: string[];
+}
+
+export interface AgendaTemplateItem {
+  title: string;
+  description?: string;
+  itemType: AgendaItemType;
+  durationMinutes: number;
+}
+
+// One template per meeting type, copied into new meetings of that type
+export interface AgendaTemplate {
+  id: string;
+  organizationId: string;
+  meetingType: MeetingType;
+  items: AgendaTemplateItem[];
+  updatedAt: Date;
+}
+
+// Entry in the register of interests
+export interface MemberInterest {
+  id: string;
+  organizationId: string;
+  userId: string;
+  category: InterestCategory;
+  // The company, charity or person the interest relates to
+  counterparty: string;
+  description?: string;
+  startDate?: string;
+  endDate?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+// Annual confirmation that a member's register entries are complete
+export interface InterestDeclaration {
+  id: string;
+  organizationId: string;
+  userId: string;
+  interests: MemberInterest[];
+  notes?: string;
+  declaredAt: Date;
+}
+
+// Conflict declared at a meeting, for one agenda item or the whole meeting
+export interface MeetingDeclaration {
+  id: string;
+  organizationId: string;
+  meetingId: string;
+  agendaItemId?: string;
+  userId: string;
+  interestId?: string;
+  nature: string;
+  action: ConflictAction;
+  recordedBy: string;
+  createdAt: Date;
+}
+
+export interface UserSession {
+  id: string;
+  userId: string;
+  organizationId?: string;
+  deviceName: string;
+  userAgent?: string;
+  ipAddress?: string;
+  createdAt: Date;
+  lastUsedAt: Date;
+  expiresAt: Date;
+  revokedAt?: Date;
+  revokedReason?: SessionRevokeReason;
+}
+
+export interface MinutesAction {
+  description: string;
+  assigneeId?: string | null;
+  dueDate?: string | null;
+}
+
+// One section per agenda item
+export interface MinutesSection {
+  title: string;
+  notes?: string;
+  decisions: string[];
+  actions: MinutesAction[];
+}
+
+export interface MinutesContent {
+  summary?: string | null;
+  sections: MinutesSection[];
+}
+
+export interface Minutes {
+  id: string;
+  organizationId: string;
+  meetingId: string;
+  status: MinutesStatus;
+  content: MinutesContent;
+  approvedVersion: number;
+  contentHash?: string;
+  adoptedAtMeetingId?: string;
+  adoptedAt?: Date;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface MinutesVersion {
+  id: string;
+  minutesId: string;
+  versionNumber: number;
+  content: MinutesContent;
+  contentHash: string;
+  approvedBy: string;
+  approvedAt: Date;
+  comments?: string;
+}
+
+export interface Resolution {
+  id: string;
+  organizationId: string;
+  type: ResolutionType;
+  meetingId?: string;
+  agendaItemId?: string;
+  title: string;
+  motion: string;
+  proposerId: string;
+  seconderId?: string;
+  passThreshold: PassThreshold;
+  quorumPercent: number;
+  status: ResolutionStatus;
+  // Voters eligible when voting opened
+  eligibleVoterIds: string[];
+  votingOpensAt?: Date;
+  votingClosesAt?: Date;
+  closedAt?: Date;
+  outcomeAuditLogId?: string;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface ResolutionVote {
+  id: string;
+  resolutionId: string;
+  userId: string;
+  vote: VoteChoice;
+  votedAt: Date;
+}
+
+export interface ResolutionOutcome {
+  eligibleCount: number;
+  votesFor: number;
+  votesAgainst: number;
+  abstentions: number;
+  votesCast: number;
+  quorumRequired: number;
+  quorumMet: boolean;
+  passed: boolean;
+}
+
+// ==========================================
+// Task Types
+// ==========================================
+
+export interface Task {
+  id: string;
+  organizationId: string;
+  committeeId?: string;
+  meetingId?: string;
+  title: string;
+  description?: string;
+  status: TaskStatus;
+  priority: TaskPriority;
+  dueDate?: string;
+  assignedTo?: string;
+  assignedBy?: string;
+  completedAt?: Date;
+  completedBy?: string;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+// ==========================================
+// Document Types
+// ==========================================
+
+export interface DocumentFolder {
+  id: string;
+  organizationId: string;
+  parentId?: string;
+  name: string;
+  createdBy?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface Document {
+  id: string;
+  organizationId: string;
+  folderId?: string;
+  name: string;
+  description?: string;
+  currentVersion: number;
+  fileName: string;
+  fileSize: number;
+  mimeType: string;
+  createdBy?: string;
+  updatedBy?: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface DocumentVersion {
+  id: string;
+  documentId: string;
+  organizationId: string;
+  versionNumber: number;
+  storageKey: string;
+  fileName: string;
+  fileSize: number;
+  mimeType: string;
+  checksum: string;
+  notes?: string;
+  uploadedBy?: string;
+  createdAt: Date;
+}
+
+// ==========================================
+// Policy Types
+// ==========================================
+
+export interface Policy {
+  id: string;
+  organizationId: string;
+  title: string;
+  description?: string;
+  category?: string;
+  content?: string;
+  documentId?: string;
+  ownerId?: string;
+  status: PolicyStatus;
+  reviewFrequencyMonths: number;
+  nextReviewDate?: string;
+  lastReviewedAt?: Date;
+  publishedVersion: number;
+  submittedBy?: string;
+  submittedAt?: Date;
+  approvedBy?: string;
+  approvedAt?: Date;
+  publishedBy?: string;
+  publishedAt?: Date;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface PolicyApproval {
+  id: string;
+  policyId: string;
+  organizationId: string;
+  userId: string;
+  decision: PolicyDecision;
+  comments?: string;
+  version: number;
+  createdAt: Date;
+}
+
+// ==========================================
+// Recruitment Types
+// ==========================================
+
+export interface JobOpening {
+  id: string;
+  organizationId: string;
+  title: string;
+  department?: string;
+  location?: string;
+  timeCommitment?: string;
+  salaryRange?: string;
+  description?: string;
+  requirements?: string;
+  additionalInfo?: string;
+  status: JobStatus;
+  expiryDate?: string;
+  closedAt?: Date;
+  createdBy: string;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+export interface Application {
+  id: string;
+  organizationId: string;
+  jobId: string;
   firstName: string;
   lastName: string;
+  email: string;
+  phone?: string;
+  coverLetter?: string;
+  cvId?: string | null;
+  status: ApplicationStatus;
+  statusChangedAt?: Date;
+  reviewedBy?: string;
+  appliedAt: Date;
+}
+
+export interface ShortlistedCandidate {
+  id: string;
+  applicationId: string;
+  shortlistedBy?: string;
+  interviewDate?: Date;
+  interviewLocation?: string;
+  interviewType?: InterviewType;
+  interviewNotes?: string;
+  panelScore?: number;
+  shortlistedAt: Date;
+}
+
+export interface SelectedCandidate {
+  id: string;
+  candidateId: string;
+  selectedBy?: string;
+  startDate?: string;
+  offerAccepted: boolean;
+  offerAcceptedAt?: Date;
+  onboardingInitiated: boolean;
+  onboardingCompleted: boolean;
+  selectedAt: Date;
+}
+
+// ==========================================
+// Subscription Plan Types
+// ==========================================
+
+export type BillingCycle = 'monthly' | 'yearly';
+
+export interface SubscriptionPlan {
+  id: string;
+  name: string;
+  slug: string;
+  description?: string;
+  // Prices are in cents
+  priceMonthly: number;
+  priceYearly: number;
+  maxUsers: number;
+  maxStorageMb: number;
+  maxCommittees: number;
+  features?: Record<string, any>;
+  stripePriceIdMonthly?: string;
+  stripePriceIdYearly?: string;
+  isActive: boolean;
+  isPopular: boolean;
+  sortOrder: number;
+  createdAt: Date;
+  updatedAt: Date;
 }
 
 // ==========================================
@@ -466,6 +1100,8 @@ export interface JWTPayload {
   isSuperAdmin: boolean;
   organizationId?: string;
   role?: Role;
+  // Session the token was issued for
+  sid?: string;
   iat?: number;
   exp?: number;
 }
@@ -547,6 +1183,7 @@ declare global {
       user?: UserResponse;
       member?: OrganizationMember;
       organization?: Organization;
+      sessionId?: string;
     }
   }
 }
@@ -0,0 +1,420 @@
+/**
+ * In-memory stand-in for the Supabase client, for tests that exercise database flows
+ *
+ * Supports the query builder calls the services use (filters, ordering, single rows,
+ * embedded relations and returning writes). Tables are plain arrays of rows, so tests
+ * seed them directly and assert on them afterwards. `failNext` makes the next matching
+ * operation return an error, to test failure paths.
+ *
+ * Use with:
+ *   jest.mock('../../../src/config/database', () => require('../../helpers/supabase-fake').mockDatabaseModule());
+ */
+
+import crypto from 'crypto';
+
+type Row = Record<string, any>;
+type Operation = 'select' | 'insert' | 'update' | 'delete' | 'upsert';
+
+interface Relation {
+  table: string;
+  // Column on the queried row and on the related row that link them
+  localColumn: string;
+  foreignColumn: string;
+  many: boolean;
+}
+
+interface Failure {
+  table: string;
+  operation: Operation;
+  error: Row;
+}
+
+// Embeds whose foreign key doesn't follow the "<singular table>_id" convention
+const RELATIONS: Record<string, Relation> = {
+  'session_refresh_tokens.user_sessions': { table: 'user_sessions', localColumn: 'session_id', foreignColumn: 'id', many: false },
+  'organizations.subscription_plans': { table: 'subscription_plans', localColumn: 'plan_id', foreignColumn: 'id', many: false }
+};
+
+// Columns that must be unique, per table
+const UNIQUE_COLUMNS: Record<string, string[]> = {
+  users: ['email'],
+  organizations: ['slug'],
+  billing_events: ['provider_event_id'],
+  session_refresh_tokens: ['token_hash'],
+  email_change_requests: ['confirm_token_hash', 'cancel_token_hash'],
+  organization_slug_history: ['slug']
+};
+
+const singular = (table: string) => table.replace(/ies$/, 'y').replace(/s$/, '');
+
+const compare = (a: any, b: any): number => {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : 1;
+};
+
+// A column, or a JSON field as text ("details->>email")
+const field = (row: Row, column: string): any => {
+  const [name, key] = column.split('->>');
+  if (key === undefined) return row[name];
+  const value = row[name]?.[key];
+  return value === undefined || value === null ? null : String(value);
+};
+
+export class FakeSupabase {
+  tables: Record<string, Row[]> = {};
+  private failures: Failure[] = [];
+
+  from(table: string): FakeQuery {
+    this.tables[table] = this.tables[table] || [];
+    return new FakeQuery(this, table);
+  }
+
+  /**
+   * Empty every table and forget pending failures
+   */
+  reset(): void {
+    this.tables = {};
+    this.failures = [];
+  }
+
+  /**
+   * Add rows to a table (ids are generated when missing) and return them
+   */
+  seed(table: string, rows: Row[]): any[] {
+    const seeded = rows.map(row => ({ id: crypto.randomUUID(), ...row }));
+    this.tables[table] = [...(this.tables[table] || []), ...seeded];
+    return seeded;
+  }
+
+  rows(table: string): any[] {
+    return this.tables[table] || [];
+  }
+
+  /**
+   * Make the next operation of this kind on the table fail
+   */
+  failNext(table: string, operation: Operation, error: Row = { message: 'Simulated failure' }): void {
+    this.failures.push({ table, operation, error });
+  }
+
+  takeFailure(table: string, operation: Operation): Row | null {
+    const index = this.failures.findIndex(f => f.table === table && f.operation === operation);
+    if (index === -1) return null;
+    return this.failures.splice(index, 1)[0].error;
+  }
+
+  relation(table: string, embed: string, hint?: string): Relation | null {
+    if (RELATIONS[`${table}.${embed}`]) return RELATIONS[`${table}.${embed}`];
+
+    // "<table>_<column>_fkey" names the column on the queried row
+    const hinted = hint?.match(new RegExp(`^${table}_(\\w+)_fkey$`));
+    if (hinted) {
+      return { table: embed, localColumn: hinted[1], foreignColumn: 'id', many: false };
+    }
+
+    const sample = this.rows(table)[0];
+    const foreignKey = `${singular(embed)}_id`;
+    if (!sample || foreignKey in sample) {
+      return { table: embed, localColumn: foreignKey, foreignColumn: 'id', many: false };
+    }
+    return { table: embed, localColumn: 'id', foreignColumn: `${singular(table)}_id`, many: true };
+  }
+}
+
+export class FakeQuery implements PromiseLike<{ data: any; error: any; count?: number | null }> {
+  private operation: Operation = 'select';
+  private payload: Row | Row[] | null = null;
+  private filters: Array<(row: Row) => boolean> = [];
+  private columns = '*';
+  private returning = false;
+  private mode: 'many' | 'single' | 'maybeSingle' = 'many';
+  private ordering: Array<{ column: string; ascending: boolean }> = [];
+  private limitCount: number | null = null;
+  private rangeBounds: [number, number] | null = null;
+  private conflictColumn = 'id';
+  private countRequested = false;
+  private head = false;
+
+  constructor(private db: FakeSupabase, private table: string) {}
+
+  select(columns = '*', options: { count?: string; head?: boolean } = {}): this {
+    if (this.operation === 'select') {
+      this.columns = columns;
+      this.countRequested = !!options.count;
+      this.head = !!options.head;
+    } else {
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(payload: Row | Row[]): this {
+    this.operation = 'insert';
+    this.payload = payload;
+    return this;
+  }
+
+  update(payload: Row): this {
+    this.operation = 'update';
+    this.payload = payload;
+    return this;
+  }
+
+  upsert(payload: Row | Row[], options: { onConflict?: string } = {}): this {
+    this.operation = 'upsert';
+    this.payload = payload;
+    this.conflictColumn = options.onConflict || 'id';
+    return this;
+  }
+
+  delete(): this {
+    this.operation = 'delete';
+    return this;
+  }
+
+  eq(column: string, value: any): this { return this.where(row => field(row, column) === value); }
+  neq(column: string, value: any): this { return this.where(row => row[column] !== value); }
+  gt(column: string, value: any): this { return this.where(row => compare(row[column], value) > 0); }
+  gte(column: string, value: any): this { return this.where(row => compare(row[column], value) >= 0); }
+  lt(column: string, value: any): this { return this.where(row => row[column] != null && compare(row[column], value) < 0); }
+  lte(column: string, value: any): this { return this.where(row => row[column] != null && compare(row[column], value) <= 0); }
+  in(column: string, values: any[]): this { return this.where(row => values.includes(row[column])); }
+
+  is(column: string, value: null | boolean): this {
+    return this.where(row => (value === null ? row[column] == null : row[column] === value));
+  }
+
+  not(column: string, operator: string, value: any): this {
+    if (operator === 'in') {
+      // PostgREST list syntax: "(a,b)"
+      const values = String(value).replace(/^\(|\)$/g, '').split(',');
+      return this.where(row => !values.includes(String(row[column])));
+    }
+    if (operator !== 'is') throw new Error(`FakeSupabase: not(${operator}) is not supported`);
+    return this.where(row => (value === null ? row[column] != null : row[column] !== value));
+  }
+
+  filter(column: string, operator: string, value: any): this {
+    if (operator !== 'eq') throw new Error(`FakeSupabase: filter(${operator}) is not supported`);
+    return this.eq(column, value);
+  }
+
+  ilike(column: string, pattern: string): this {
+    // "%" and "_" are wildcards unless escaped with a backslash
+    const source = pattern.replace(/\\(.)|([%_])|([.*+?^${}()|[\]\\])/g, (_match, escaped, wildcard, special) => {
+      if (escaped !== undefined) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (wildcard) return wildcard === '%' ? '.*' : '.';
+      return `\\${special}`;
+    });
+    const regex = new RegExp(`^${source}$`, 'i');
+    return this.where(row => typeof row[column] === 'string' && regex.test(row[column]));
+  }
+
+  /**
+   * PostgREST "or" filters of the form "column.operator.value,..." (eq, neq, is, lt, lte, gt, gte)
+   */
+  or(expression: string): this {
+    const conditions = expression.split(',').map(part => {
+      const [column, operator, ...rest] = part.split('.');
+      const raw = rest.join('.');
+      const value = raw === 'null' ? null : raw;
+      return (row: Row) => {
+        switch (operator) {
+          case 'eq': return String(row[column]) === raw;
+          case 'neq': return String(row[column]) !== raw;
+          case 'is': return value === null ? row[column] == null : String(row[column]) === raw;
+          case 'lt': return row[column] != null && compare(row[column], raw) < 0;
+          case 'lte': return row[column] != null && compare(row[column], raw) <= 0;
+          case 'gt': return compare(row[column], raw) > 0;
+          case 'gte': return compare(row[column], raw) >= 0;
+          default: throw new Error(`FakeSupabase: or(${operator}) is not supported`);
+        }
+      };
+    });
+    return this.where(row => conditions.some(condition => condition(row)));
+  }
+
+  order(column: string, options: { ascending?: boolean } = {}): this {
+    this.ordering.push({ column, ascending: options.ascending !== false });
+    return this;
+  }
+
+  limit(count: number): this {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from: number, to: number): this {
+    this.rangeBounds = [from, to];
+    return this;
+  }
+
+  single(): this {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle(): this {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  then<TResult1 = any, TResult2 = never>(
+    onfulfilled?: ((value: { data: any; error: any; count?: number | null }) => TResult1 | PromiseLike<TResult1>) | null,
+    onrejected?: ((reason: any) => TResult2 | PromiseLike<TResult2>) | null
+  ): PromiseLike<TResult1 | TResult2> {
+    return Promise.resolve().then(() => this.execute()).then(onfulfilled, onrejected);
+  }
+
+  private where(predicate: (row: Row) => boolean): this {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  private matches(row: Row): boolean {
+    return this.filters.every(filter => filter(row));
+  }
+
+  private execute(): { data: any; error: any; count?: number | null } {
+    const failure = this.db.takeFailure(this.table, this.operation);
+    if (failure) return { data: null, error: failure };
+
+    const table = this.db.rows(this.table);
+    let affected: Row[];
+
+    switch (this.operation) {
+      case 'select':
+        affected = table.filter(row => this.matches(row));
+        break;
+      case 'insert': {
+        const rows = (Array.isArray(this.payload) ? this.payload : [this.payload!])
+          .map(row => ({ id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row }));
+        const violation = rows.find(row => this.violatesUnique(row, [...table, ...rows.filter(r => r !== row)]));
+        if (violation) return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint' } };
+        table.push(...rows);
+        affected = rows;
+        break;
+      }
+      case 'update':
+        affected = table.filter(row => this.matches(row));
+        affected.forEach(row => Object.assign(row, this.payload));
+        break;
+      case 'upsert': {
+        const rows = Array.isArray(this.payload) ? this.payload : [this.payload!];
+        affected = rows.map(row => {
+          const existing = table.find(r => row[this.conflictColumn] !== undefined && r[this.conflictColumn] === row[this.conflictColumn]);
+          if (existing) return Object.assign(existing, row);
+          const inserted = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row };
+          table.push(inserted);
+          return inserted;
+        });
+        break;
+      }
+      case 'delete':
+        affected = table.filter(row => this.matches(row));
+        this.db.tables[this.table] = table.filter(row => !affected.includes(row));
+        break;
+    }
+
+    if (this.operation !== 'select' && !this.returning) {
+      return { data: null, error: null };
+    }
+
+    for (const { column, ascending } of [...this.ordering].reverse()) {
+      affected = [...affected].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+    }
+
+    const count = affected.length;
+    if (this.rangeBounds) affected = affected.slice(this.rangeBounds[0], this.rangeBounds[1] + 1);
+    if (this.limitCount !== null) affected = affected.slice(0, this.limitCount);
+
+    const data = affected.map(row => this.project(row));
+
+    if (this.mode === 'single') {
+      return data.length === 1
+        ? { data: data[0], error: null }
+        : { data: null, error: { code: 'PGRST116', message: `Expected 1 row, found ${data.length}` } };
+    }
+    if (this.mode === 'maybeSingle') {
+      return data.length > 1
+        ? { data: null, error: { code: 'PGRST116', message: `Expected at most 1 row, found ${data.length}` } }
+        : { data: data[0] || null, error: null };
+    }
+
+    return { data: this.head ? null : data, error: null, count: this.countRequested ? count : null };
+  }
+
+  private violatesUnique(row: Row, others: Row[]): boolean {
+    return (UNIQUE_COLUMNS[this.table] || []).some(column =>
+      row[column] != null && others.some(other => other[column] === row[column])
+    );
+  }
+
+  /**
+   * Copy of a row with its embedded relations, e.g. "*, users(email)" or nested "a(*, b(id))"
+   */
+  private project(row: Row, table: string = this.table, columns: string = this.columns): Row {
+    const projected = { ...row };
+
+    for (const { key, embed, hint, inner } of parseEmbeds(columns)) {
+      const relation = this.db.relation(table, embed, hint);
+      if (!relation) continue;
+
+      const related = this.db.rows(relation.table)
+        .filter(r => r[relation.foreignColumn] === row[relation.localColumn])
+        .map(r => this.project(r, relation.table, inner));
+      projected[key] = relation.many ? related : (related[0] || null);
+    }
+
+    return projected;
+  }
+}
+
+interface Embed {
+  // Property name in the result (the alias, if any)
+  key: string;
+  embed: string;
+  // Foreign key constraint name, from "alias:table!constraint(...)"
+  hint?: string;
+  inner: string;
+}
+
+/**
+ * Top-level embeds of a select string with their own column lists
+ */
+const parseEmbeds = (columns: string): Embed[] => {
+  const embeds: Embed[] = [];
+  let depth = 0;
+  let start = 0;
+  let current: Omit<Embed, 'inner'> | null = null;
+
+  for (let i = 0; i < columns.length; i++) {
+    if (columns[i] === '(') {
+      if (depth === 0) {
+        const match = columns.slice(0, i).match(/(?:(\w+):)?(\w+)(?:!(\w+))?$/);
+        current = match ? { key: match[1] || match[2], embed: match[2], hint: match[3] } : null;
+        start = i + 1;
+      }
+      depth++;
+    } else if (columns[i] === ')') {
+      depth--;
+      if (depth === 0 && current) embeds.push({ ...current, inner: columns.slice(start, i) });
+    }
+  }
+
+  return embeds;
+};
+
+export const fakeSupabase = new FakeSupabase();
+
+/**
+ * Replacement for src/config/database
+ */
+export const mockDatabaseModule = () => ({
+  supabase: fakeSupabase,
+  checkDatabaseHealth: async () => true,
+  db: {}
+});
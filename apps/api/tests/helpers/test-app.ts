@@ -0,0 +1,51 @@
+/**
+ * Minimal Express app around one router, with the API's error responses, for route tests
+ */
+
+import express, { NextFunction, Request, Response, Router } from 'express';
+import cookieParser from 'cookie-parser';
+import { AppError, sendError } from '../../src/utils/api-response';
+import { generateAccessToken } from '../../src/services/token.service';
+import { Role } from '../../src/types';
+import { fakeSupabase } from './supabase-fake';
+
+export const createTestApp = (path: string, router: Router) => {
+  const app = express();
+  app.set('trust proxy', true);
+  app.use(express.json());
+  app.use(cookieParser('test-cookie-secret'));
+  app.use(path, router);
+
+  // Same responses as the global error handler in app.ts
+  app.use((err: Error | AppError, _req: Request, res: Response, _next: NextFunction) => {
+    sendError(res, err, 500);
+  });
+
+  return app;
+};
+
+/**
+ * Access token cookie for a user, optionally signed in to an organization
+ * Starts a session for the token in the fake database unless one is given.
+ */
+export const authCookie = (
+  user: { id: string; email: string; is_super_admin?: boolean },
+  context: { organizationId?: string; role?: Role; sessionId?: string } = {}
+): string => {
+  const sessionId = context.sessionId || fakeSupabase.seed('user_sessions', [{
+    user_id: user.id,
+    organization_id: context.organizationId || null,
+    last_used_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+  }])[0].id;
+
+  const token = generateAccessToken({
+    sub: user.id,
+    email: user.email,
+    isSuperAdmin: !!user.is_super_admin,
+    organizationId: context.organizationId,
+    role: context.role,
+    sid: sessionId
+  });
+  return `access_token=${token}`;
+};
@@ -0,0 +1,264 @@
+import bcrypt from 'bcryptjs';
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import authRoutes from '../../src/routes/auth.routes';
+import meetingRoutes from '../../src/routes/meeting.routes';
+import { generateAccessToken } from '../../src/services/token.service';
+import { Role } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/auth', authRoutes);
+const meetingsApp = createTestApp('/api/meetings', meetingRoutes);
+
+const PASSWORD = 'Correct-horse-1';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+const seedUser = (email: string, overrides: Record<string, any> = {}) => {
+  const [user] = fakeSupabase.seed('users', [{
+    email,
+    password_hash: passwordHash,
+    first_name: 'Test',
+    last_name: 'User',
+    is_active: true,
+    email_verified: true,
+    failed_login_attempts: 0,
+    ...overrides
+  }]);
+  return user;
+};
+
+const seedMembership = (organizationId: string, userId: string, role: Role) =>
+  fakeSupabase.seed('organization_members', [{ organization_id: organizationId, user_id: userId, role, is_active: true }])[0];
+
+const login = (email: string) => request(app).post('/api/auth/login').send({ email, password: PASSWORD });
+
+describe('Auth routes - organization MFA requirement', () => {
+  let organization: any;
+
+  beforeEach(() => {
+    fakeSupabase.reset();
+    [organization] = fakeSupabase.seed('organizations', [{
+      name: 'Riverside Trust',
+      slug: 'riverside-trust',
+      subscription_status: 'active',
+      is_active: true,
+      settings: { requireMfaForAdmins: true }
+    }]);
+  });
+
+  it('should tell administrators without MFA to enroll when they sign in', async () => {
+    const admin = seedUser('admin@riverside.org');
+    seedMembership(organization.id, admin.id, Role.ADMIN);
+
+    const res = await login('admin@riverside.org');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.mfaEnrollmentRequired).toBe(true);
+    expect(res.body.data.organization).toMatchObject({ id: organization.id, role: Role.ADMIN });
+  });
+
+  it('should only allow enrollment until an administrator has set up MFA', async () => {
+    const admin = seedUser('admin@riverside.org');
+    seedMembership(organization.id, admin.id, Role.ADMIN);
+
+    const res = await request(meetingsApp)
+      .get('/api/meetings')
+      .set('Cookie', authCookie(admin, { organizationId: organization.id, role: Role.ADMIN }));
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('MFA_ENROLLMENT_REQUIRED');
+  });
+
+  it('should challenge administrators who have MFA for a code', async () => {
+    const admin = seedUser('admin@riverside.org', { mfa_enabled: true, mfa_secret: 'JBSWY3DPEHPK3PXP' });
+    seedMembership(organization.id, admin.id, Role.ADMIN);
+
+    const res = await login('admin@riverside.org');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ mfaRequired: true });
+    expect(res.body.data.mfaToken).toEqual(expect.any(String));
+    expect(res.headers['set-cookie']).toBeUndefined();
+  });
+
+  it('should not require MFA from other roles', async () => {
+    const trustee = seedUser('trustee@riverside.org');
+    seedMembership(organization.id, trustee.id, Role.TRUSTEE);
+
+    const res = await login('trustee@riverside.org');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.mfaEnrollmentRequired).toBeUndefined();
+
+    const meetings = await request(meetingsApp)
+      .get('/api/meetings')
+      .set('Cookie', authCookie(trustee, { organizationId: organization.id, role: Role.TRUSTEE }));
+    expect(meetings.status).toBe(200);
+  });
+});
+
+describe('Auth routes - sessions', () => {
+  // name=value pairs of the cookies a response set
+  const cookiesFrom = (res: request.Response): string[] =>
+    ([] as string[]).concat(res.headers['set-cookie'] || []).map(cookie => cookie.split(';')[0]);
+
+  const refreshCookie = (res: request.Response) => cookiesFrom(res).find(cookie => cookie.startsWith('refresh_token='))!;
+
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should give a concurrent refresh a new access token without signing the session out', async () => {
+    seedUser('trustee@riverside.org');
+    const signIn = await login('trustee@riverside.org');
+    const cookie = refreshCookie(signIn);
+
+    const first = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+    const second = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(cookiesFrom(second).some(c => c.startsWith('access_token='))).toBe(true);
+    expect(cookiesFrom(second).some(c => c.startsWith('refresh_token='))).toBe(false);
+    expect(fakeSupabase.rows('user_sessions')[0].revoked_at).toBeFalsy();
+
+    const next = await request(app).post('/api/auth/refresh').set('Cookie', refreshCookie(first));
+    expect(next.status).toBe(200);
+  });
+
+  it('should sign the session out when a refresh token comes back after the grace period', async () => {
+    seedUser('trustee@riverside.org');
+    const signIn = await login('trustee@riverside.org');
+    const cookie = refreshCookie(signIn);
+
+    await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+    await fakeSupabase
+      .from('session_refresh_tokens')
+      .update({ rotated_at: new Date(Date.now() - 60 * 1000).toISOString() })
+      .not('rotated_at', 'is', null);
+
+    const res = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(fakeSupabase.rows('user_sessions')[0].revoked_at).toBeTruthy();
+  });
+
+  it('should refuse access tokens of a signed-out session', async () => {
+    const user = seedUser('trustee@riverside.org');
+    const [session] = fakeSupabase.seed('user_sessions', [{
+      user_id: user.id,
+      revoked_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    }]);
+    const cookie = authCookie(user, { sessionId: session.id });
+
+    const me = await request(app).get('/api/auth/me').set('Cookie', cookie);
+    expect(me.status).toBe(401);
+    expect(me.body.error.code).toBe('SESSION_REVOKED');
+
+    const resend = await request(app).post('/api/auth/resend-verification').set('Cookie', cookie);
+    expect(resend.status).toBe(401);
+
+    const changePassword = await request(app)
+      .post('/api/auth/change-password')
+      .set('Cookie', cookie)
+      .send({ currentPassword: PASSWORD, password: 'Another-horse-2', confirmPassword: 'Another-horse-2' });
+    expect(changePassword.status).toBe(401);
+    expect(await bcrypt.compare(PASSWORD, fakeSupabase.rows('users')[0].password_hash)).toBe(true);
+  });
+
+  it('should refuse access tokens that name no session', async () => {
+    const user = seedUser('trustee@riverside.org');
+    const token = generateAccessToken({ sub: user.id, email: user.email, isSuperAdmin: false });
+
+    const res = await request(app).get('/api/auth/me').set('Cookie', `access_token=${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_REVOKED');
+  });
+
+  it('should return the signed-in user and organization', async () => {
+    const user = seedUser('trustee@riverside.org');
+    const [organization] = fakeSupabase.seed('organizations', [{
+      name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true
+    }]);
+    seedMembership(organization.id, user.id, Role.TRUSTEE);
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Cookie', authCookie(user, { organizationId: organization.id, role: Role.TRUSTEE }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({ id: user.id, email: 'trustee@riverside.org' });
+    expect(res.body.data.organization).toMatchObject({ id: organization.id, role: Role.TRUSTEE });
+  });
+});
+
+describe('Auth routes - organization on refresh', () => {
+  let riverside: any;
+  let hillside: any;
+  let lakeside: any;
+
+  const refreshCookie = (res: request.Response): string =>
+    ([] as string[]).concat(res.headers['set-cookie'] || [])
+      .map(cookie => cookie.split(';')[0])
+      .find(cookie => cookie.startsWith('refresh_token='))!;
+
+  beforeEach(() => {
+    fakeSupabase.reset();
+    [riverside, hillside, lakeside] = fakeSupabase.seed('organizations', [
+      { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true },
+      { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true },
+      { name: 'Lakeside Trust', slug: 'lakeside-trust', subscription_status: 'active', is_active: true }
+    ]);
+  });
+
+  it('should refuse an organization the user is not a member of without spending the token', async () => {
+    const user = seedUser('trustee@riverside.org');
+    seedMembership(riverside.id, user.id, Role.TRUSTEE);
+    const cookie = refreshCookie(await login('trustee@riverside.org'));
+
+    const res = await request(app).post('/api/auth/refresh').set('Cookie', cookie).send({ organizationId: hillside.id });
+
+    expect(res.status).toBe(403);
+    expect(fakeSupabase.rows('user_sessions')[0].organization_id).toBe(riverside.id);
+    expect(fakeSupabase.rows('session_refresh_tokens')[0].rotated_at).toBeFalsy();
+
+    const retry = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+    expect(retry.status).toBe(200);
+  });
+
+  it('should move the session to a requested organization the user belongs to', async () => {
+    const user = seedUser('trustee@riverside.org');
+    seedMembership(riverside.id, user.id, Role.TRUSTEE);
+    seedMembership(hillside.id, user.id, Role.ADMIN);
+    fakeSupabase.rows('users')[0].last_organization_id = riverside.id;
+    const cookie = refreshCookie(await login('trustee@riverside.org'));
+
+    const res = await request(app).post('/api/auth/refresh').set('Cookie', cookie).send({ organizationId: hillside.id });
+
+    expect(res.status).toBe(200);
+    expect(fakeSupabase.rows('user_sessions')[0].organization_id).toBe(hillside.id);
+    expect(fakeSupabase.rows('users')[0].last_organization_id).toBe(hillside.id);
+  });
+
+  it('should fall back to the organization used last when the session\'s membership has ended', async () => {
+    const user = seedUser('trustee@riverside.org');
+    const ended = seedMembership(riverside.id, user.id, Role.TRUSTEE);
+    fakeSupabase.seed('organization_members', [
+      { organization_id: hillside.id, user_id: user.id, role: Role.TRUSTEE, is_active: true, joined_at: '2026-01-01T00:00:00Z' },
+      { organization_id: lakeside.id, user_id: user.id, role: Role.ADMIN, is_active: true, joined_at: '2026-06-01T00:00:00Z' }
+    ]);
+    fakeSupabase.rows('users')[0].last_organization_id = riverside.id;
+    const cookie = refreshCookie(await login('trustee@riverside.org'));
+
+    ended.is_active = false;
+    fakeSupabase.rows('users')[0].last_organization_id = hillside.id;
+
+    const res = await request(app).post('/api/auth/refresh').set('Cookie', cookie);
+
+    expect(res.status).toBe(200);
+    expect(fakeSupabase.rows('user_sessions')[0].organization_id).toBe(hillside.id);
+  });
+});
@@ -0,0 +1,102 @@
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import committeeRoutes from '../../src/routes/committee.routes';
+import { CommitteeRole, Role } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/committees', committeeRoutes);
+
+const seedOrganizations = () => {
+  const [orgA, orgB] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true },
+    { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true }
+  ]);
+  const [admin, trustee, outsider] = fakeSupabase.seed('users', [
+    { email: 'admin@riverside.org', first_name: 'Ada', last_name: 'Admin', is_active: true, email_verified: true },
+    { email: 'trustee@riverside.org', first_name: 'Tom', last_name: 'Trustee', is_active: true, email_verified: true },
+    { email: 'owner@hillside.org', first_name: 'Olive', last_name: 'Owner', is_active: true, email_verified: true }
+  ]);
+  const [, trusteeMember] = fakeSupabase.seed('organization_members', [
+    { organization_id: orgA.id, user_id: admin.id, role: Role.ADMIN, is_active: true },
+    { organization_id: orgA.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true },
+    { organization_id: orgB.id, user_id: outsider.id, role: Role.OWNER, is_active: true }
+  ]);
+  const [ours, theirs] = fakeSupabase.seed('committees', [
+    { organization_id: orgA.id, name: 'Finance', status: 'active' },
+    { organization_id: orgB.id, name: 'Audit', status: 'active' }
+  ]);
+
+  return { orgA, orgB, admin, trustee, outsider, trusteeMember, ours, theirs };
+};
+
+describe('Committee routes - organization scoping', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should ask for an organization when the session has none', async () => {
+    const { admin } = seedOrganizations();
+
+    const res = await request(app).get('/api/committees').set('Cookie', authCookie(admin));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('ORGANIZATION_REQUIRED');
+  });
+
+  it('should refuse a token for an organization the user does not belong to', async () => {
+    const { admin, orgB } = seedOrganizations();
+
+    const res = await request(app)
+      .get('/api/committees')
+      .set('Cookie', authCookie(admin, { organizationId: orgB.id, role: Role.ADMIN }));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should only list and load committees of the current organization', async () => {
+    const { admin, orgA, ours, theirs } = seedOrganizations();
+    const cookie = authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN });
+
+    const list = await request(app).get('/api/committees').set('Cookie', cookie);
+    expect(list.status).toBe(200);
+    expect(list.body.data.committees.map((c: any) => c.id)).toEqual([ours.id]);
+
+    const other = await request(app).get(`/api/committees/${theirs.id}`).set('Cookie', cookie);
+    expect(other.status).toBe(404);
+  });
+
+  it('should only add members of the current organization', async () => {
+    const { admin, trustee, outsider, orgA, ours, trusteeMember } = seedOrganizations();
+    const cookie = authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN });
+
+    const refused = await request(app)
+      .post(`/api/committees/${ours.id}/members`)
+      .set('Cookie', cookie)
+      .send({ userId: outsider.id });
+    expect(refused.status).toBe(400);
+    expect(refused.body.error.code).toBe('NOT_ORGANIZATION_MEMBER');
+
+    const added = await request(app)
+      .post(`/api/committees/${ours.id}/members`)
+      .set('Cookie', cookie)
+      .send({ userId: trustee.id, roleInCommittee: CommitteeRole.CHAIR });
+    expect(added.status).toBe(201);
+    expect(added.body.data.member).toMatchObject({
+      organizationMemberId: trusteeMember.id,
+      userId: trustee.id,
+      roleInCommittee: CommitteeRole.CHAIR
+    });
+  });
+
+  it('should not change committees of another organization', async () => {
+    const { admin, trustee, orgA, theirs } = seedOrganizations();
+
+    const res = await request(app)
+      .post(`/api/committees/${theirs.id}/members`)
+      .set('Cookie', authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN }))
+      .send({ userId: trustee.id });
+
+    expect(res.status).toBe(404);
+    expect(fakeSupabase.rows('committee_members')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,170 @@
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import documentRoutes from '../../src/routes/document.routes';
+import { Role } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/documents', documentRoutes);
+
+const seedOrganization = () => {
+  const [organization] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true }
+  ]);
+  const [admin] = fakeSupabase.seed('users', [
+    { email: 'admin@riverside.org', first_name: 'Ada', last_name: 'Admin', is_active: true, email_verified: true }
+  ]);
+  fakeSupabase.seed('organization_members', [
+    { organization_id: organization.id, user_id: admin.id, role: Role.ADMIN, is_active: true }
+  ]);
+
+  return { organization, admin, cookie: authCookie(admin, { organizationId: organization.id, role: Role.ADMIN }) };
+};
+
+const seedOrganizations = () => {
+  const { organization: orgA, admin, cookie: adminCookie } = seedOrganization();
+  const [orgB] = fakeSupabase.seed('organizations', [
+    { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true }
+  ]);
+  const [trustee] = fakeSupabase.seed('users', [
+    { email: 'trustee@riverside.org', first_name: 'Tom', last_name: 'Trustee', is_active: true, email_verified: true }
+  ]);
+  fakeSupabase.seed('organization_members', [
+    { organization_id: orgA.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true }
+  ]);
+  const [ourFolder, theirFolder] = fakeSupabase.seed('document_folders', [
+    { organization_id: orgA.id, parent_id: null, name: 'Policies' },
+    { organization_id: orgB.id, parent_id: null, name: 'Finance' }
+  ]);
+  const [ours, theirs] = fakeSupabase.seed('documents', [
+    { organization_id: orgA.id, name: 'Safeguarding policy', current_version: 1, file_name: 'safeguarding.pdf', mime_type: 'application/pdf' },
+    { organization_id: orgB.id, name: 'Budget', current_version: 1, file_name: 'budget.pdf', mime_type: 'application/pdf' }
+  ]);
+
+  return {
+    orgA, orgB, admin, trustee, adminCookie, ourFolder, theirFolder, ours, theirs,
+    trusteeCookie: authCookie(trustee, { organizationId: orgA.id, role: Role.TRUSTEE })
+  };
+};
+
+describe('Document routes - organization scoping', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should refuse a token for an organization the user does not belong to', async () => {
+    const { admin, orgB } = seedOrganizations();
+
+    const res = await request(app)
+      .get('/api/documents')
+      .set('Cookie', authCookie(admin, { organizationId: orgB.id, role: Role.ADMIN }));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should only list and load documents and folders of the current organization', async () => {
+    const { adminCookie, ours, theirs, ourFolder } = seedOrganizations();
+
+    const list = await request(app).get('/api/documents').set('Cookie', adminCookie);
+    expect(list.status).toBe(200);
+    expect(list.body.data.documents.map((d: any) => d.id)).toEqual([ours.id]);
+
+    const folders = await request(app).get('/api/documents/folders').set('Cookie', adminCookie);
+    expect(JSON.stringify(folders.body)).toContain(ourFolder.id);
+    expect(JSON.stringify(folders.body)).not.toContain('Finance');
+
+    const other = await request(app).get(`/api/documents/${theirs.id}`).set('Cookie', adminCookie);
+    const download = await request(app).get(`/api/documents/${theirs.id}/download`).set('Cookie', adminCookie);
+    expect([other.status, download.status]).toEqual([404, 404]);
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+
+  it('should not change documents or folders of another organization', async () => {
+    const { adminCookie, theirs, theirFolder } = seedOrganizations();
+    const before = { document: { ...theirs }, folder: { ...theirFolder } };
+
+    const rename = await request(app).put(`/api/documents/${theirs.id}`).set('Cookie', adminCookie).send({ name: 'Hijacked' });
+    const renameFolder = await request(app).put(`/api/documents/folders/${theirFolder.id}`).set('Cookie', adminCookie).send({ name: 'Hijacked' });
+
+    expect([rename.status, renameFolder.status]).toEqual([404, 404]);
+    expect(fakeSupabase.rows('documents').find(d => d.id === theirs.id)).toEqual(before.document);
+    expect(fakeSupabase.rows('document_folders').find(f => f.id === theirFolder.id)).toEqual(before.folder);
+  });
+
+  it('should not file anything in a folder of another organization', async () => {
+    const { adminCookie, ours, theirFolder } = seedOrganizations();
+
+    const folder = await request(app)
+      .post('/api/documents/folders')
+      .set('Cookie', adminCookie)
+      .send({ name: 'Minutes', parentId: theirFolder.id });
+    const move = await request(app)
+      .put(`/api/documents/${ours.id}`)
+      .set('Cookie', adminCookie)
+      .send({ folderId: theirFolder.id });
+    const upload = await request(app)
+      .post('/api/documents')
+      .set('Cookie', adminCookie)
+      .field('folderId', theirFolder.id)
+      .attach('file', Buffer.from('%PDF-1.4 minutes'), { filename: 'minutes.pdf', contentType: 'application/pdf' });
+
+    expect([folder.status, move.status, upload.status]).toEqual([404, 404, 404]);
+    expect(fakeSupabase.rows('document_folders')).toHaveLength(2);
+    expect(fakeSupabase.rows('documents').find(d => d.id === ours.id).folder_id).toBeUndefined();
+    expect(fakeSupabase.rows('documents')).toHaveLength(2);
+  });
+});
+
+describe('Document routes - permissions', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should let trustees read but not change the library', async () => {
+    const { trusteeCookie, ours, ourFolder } = seedOrganizations();
+
+    const list = await request(app).get('/api/documents').set('Cookie', trusteeCookie);
+    expect(list.status).toBe(200);
+
+    const responses = await Promise.all([
+      request(app).post('/api/documents/folders').set('Cookie', trusteeCookie).send({ name: 'Minutes' }),
+      request(app).delete(`/api/documents/folders/${ourFolder.id}`).set('Cookie', trusteeCookie),
+      request(app).put(`/api/documents/${ours.id}`).set('Cookie', trusteeCookie).send({ name: 'Renamed' }),
+      request(app).delete(`/api/documents/${ours.id}`).set('Cookie', trusteeCookie),
+      request(app)
+        .post('/api/documents')
+        .set('Cookie', trusteeCookie)
+        .attach('file', Buffer.from('%PDF-1.4 minutes'), { filename: 'minutes.pdf', contentType: 'application/pdf' })
+    ]);
+
+    expect(responses.map(r => r.status)).toEqual([403, 403, 403, 403, 403]);
+    expect(fakeSupabase.rows('document_folders')).toHaveLength(2);
+    expect(fakeSupabase.rows('documents')).toHaveLength(2);
+    expect(fakeSupabase.rows('documents').find(d => d.id === ours.id).name).toBe('Safeguarding policy');
+  });
+});
+
+describe('Document routes - folder names', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  const createFolder = (cookie: string, name: string) =>
+    request(app).post('/api/documents/folders').set('Cookie', cookie).send({ name });
+
+  it('should refuse a sibling with the same name in any case', async () => {
+    const { cookie } = seedOrganization();
+    await createFolder(cookie, 'Board Papers');
+
+    const res = await createFolder(cookie, 'board papers');
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('FOLDER_EXISTS');
+  });
+
+  it('should treat wildcard characters in a name literally', async () => {
+    const { cookie } = seedOrganization();
+    await createFolder(cookie, 'abc');
+    await createFolder(cookie, 'Minutes');
+
+    expect((await createFolder(cookie, '%')).status).toBe(201);
+    expect((await createFolder(cookie, 'a_c')).status).toBe(201);
+    expect((await createFolder(cookie, 'A_C')).status).toBe(409);
+    expect(fakeSupabase.rows('document_folders').map(f => f.name)).toEqual(['abc', 'Minutes', '%', 'a_c']);
+  });
+});
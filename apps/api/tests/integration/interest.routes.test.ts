@@ -0,0 +1,188 @@
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import interestRoutes from '../../src/routes/interest.routes';
+import { ConflictAction, InterestCategory, Role } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/interests', interestRoutes);
+
+const seedOrganizations = () => {
+  const [orgA, orgB] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true },
+    { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true }
+  ]);
+  const [admin, trustee, colleague, outsider] = fakeSupabase.seed('users', [
+    { email: 'admin@riverside.org', first_name: 'Ada', last_name: 'Admin', is_active: true, email_verified: true },
+    { email: 'trustee@riverside.org', first_name: 'Tom', last_name: 'Trustee', is_active: true, email_verified: true },
+    { email: 'colleague@riverside.org', first_name: 'Cat', last_name: 'Colleague', is_active: true, email_verified: true },
+    { email: 'owner@hillside.org', first_name: 'Olive', last_name: 'Owner', is_active: true, email_verified: true }
+  ]);
+  fakeSupabase.seed('organization_members', [
+    { organization_id: orgA.id, user_id: admin.id, role: Role.ADMIN, is_active: true },
+    { organization_id: orgA.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true },
+    { organization_id: orgA.id, user_id: colleague.id, role: Role.TRUSTEE, is_active: true },
+    { organization_id: orgB.id, user_id: outsider.id, role: Role.OWNER, is_active: true }
+  ]);
+  const [own, colleagues, theirs] = fakeSupabase.seed('member_interests', [
+    { organization_id: orgA.id, user_id: trustee.id, category: InterestCategory.DIRECTORSHIP, counterparty: 'Acme Ltd', created_by: trustee.id },
+    { organization_id: orgA.id, user_id: colleague.id, category: InterestCategory.EMPLOYMENT, counterparty: 'City Council', created_by: colleague.id },
+    { organization_id: orgB.id, user_id: outsider.id, category: InterestCategory.PROPERTY, counterparty: 'Hall lease', created_by: outsider.id }
+  ]);
+  const [ourMeeting, theirMeeting] = fakeSupabase.seed('meetings', [
+    { organization_id: orgA.id, title: 'Riverside board', meeting_date: '2026-09-01T18:00:00Z', status: 'scheduled' },
+    { organization_id: orgB.id, title: 'Hillside board', meeting_date: '2026-09-02T18:00:00Z', status: 'scheduled' }
+  ]);
+
+  return {
+    orgA, orgB, admin, trustee, colleague, outsider, own, colleagues, theirs, ourMeeting, theirMeeting,
+    adminCookie: authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN }),
+    trusteeCookie: authCookie(trustee, { organizationId: orgA.id, role: Role.TRUSTEE })
+  };
+};
+
+describe('Interest routes - organization scoping', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should refuse a token for an organization the user does not belong to', async () => {
+    const { trustee, orgB } = seedOrganizations();
+
+    const res = await request(app)
+      .get('/api/interests/me')
+      .set('Cookie', authCookie(trustee, { organizationId: orgB.id, role: Role.TRUSTEE }));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should only include register entries of the current organization', async () => {
+    const { adminCookie, trustee, colleague, outsider } = seedOrganizations();
+
+    const res = await request(app).get('/api/interests/register').set('Cookie', adminCookie);
+
+    expect(res.status).toBe(200);
+    const userIds = res.body.data.members.map((m: any) => m.user.id);
+    expect(userIds).toEqual(expect.arrayContaining([trustee.id, colleague.id]));
+    expect(userIds).not.toContain(outsider.id);
+    expect(res.body.data.members.flatMap((m: any) => m.interests.map((i: any) => i.counterparty)))
+      .not.toContain('Hall lease');
+  });
+
+  it('should not change register entries of another organization', async () => {
+    const { adminCookie, theirs } = seedOrganizations();
+    const before = { ...theirs };
+
+    const update = await request(app).put(`/api/interests/${theirs.id}`).set('Cookie', adminCookie).send({ counterparty: 'Hijacked' });
+    const remove = await request(app).delete(`/api/interests/${theirs.id}`).set('Cookie', adminCookie);
+
+    expect([update.status, remove.status]).toEqual([404, 404]);
+    expect(fakeSupabase.rows('member_interests').find(i => i.id === theirs.id)).toEqual(before);
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+
+  it('should not record or remove declarations on another organization\'s meeting', async () => {
+    const { adminCookie, outsider, theirMeeting, orgB } = seedOrganizations();
+    const [declaration] = fakeSupabase.seed('meeting_declarations', [
+      { organization_id: orgB.id, meeting_id: theirMeeting.id, user_id: outsider.id, nature: 'Leases the hall', action: ConflictAction.LEFT_ROOM, recorded_by: outsider.id }
+    ]);
+
+    const list = await request(app).get(`/api/interests/meetings/${theirMeeting.id}/declarations`).set('Cookie', adminCookie);
+    const record = await request(app)
+      .post(`/api/interests/meetings/${theirMeeting.id}/declarations`)
+      .set('Cookie', adminCookie)
+      .send({ nature: 'Knows the tenant', action: ConflictAction.NO_VOTE });
+    const remove = await request(app)
+      .delete(`/api/interests/meetings/${theirMeeting.id}/declarations/${declaration.id}`)
+      .set('Cookie', adminCookie);
+
+    expect([list.status, record.status, remove.status]).toEqual([404, 404, 404]);
+    expect(fakeSupabase.rows('meeting_declarations')).toHaveLength(1);
+  });
+
+  it('should only register interests for members of the current organization', async () => {
+    const { adminCookie, outsider } = seedOrganizations();
+
+    const res = await request(app).post('/api/interests').set('Cookie', adminCookie).send({
+      category: InterestCategory.GIFT_HOSPITALITY, counterparty: 'Supplier dinner', userId: outsider.id
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.errors).toHaveProperty('userId');
+    expect(fakeSupabase.rows('member_interests')).toHaveLength(3);
+  });
+});
+
+describe('Interest routes - permissions', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should only show members their own entries and keep the register for compliance roles', async () => {
+    const { trusteeCookie, own } = seedOrganizations();
+
+    const me = await request(app).get('/api/interests/me').set('Cookie', trusteeCookie);
+    expect(me.status).toBe(200);
+    expect(me.body.data.interests.map((i: any) => i.id)).toEqual([own.id]);
+
+    const register = await request(app).get('/api/interests/register').set('Cookie', trusteeCookie);
+    expect(register.status).toBe(403);
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+
+  it('should let members keep their own entries but not someone else\'s', async () => {
+    const { trusteeCookie, colleague, own, colleagues } = seedOrganizations();
+
+    const responses = await Promise.all([
+      request(app).post('/api/interests').set('Cookie', trusteeCookie).send({
+        category: InterestCategory.OTHER, counterparty: 'Rotary Club', userId: colleague.id
+      }),
+      request(app).put(`/api/interests/${colleagues.id}`).set('Cookie', trusteeCookie).send({ counterparty: 'Renamed' }),
+      request(app).delete(`/api/interests/${colleagues.id}`).set('Cookie', trusteeCookie)
+    ]);
+
+    expect(responses.map(r => r.status)).toEqual([403, 403, 403]);
+    expect(fakeSupabase.rows('member_interests')).toHaveLength(3);
+    expect(fakeSupabase.rows('member_interests').find(i => i.id === colleagues.id).counterparty).toBe('City Council');
+
+    const update = await request(app).put(`/api/interests/${own.id}`).set('Cookie', trusteeCookie).send({ endDate: '2026-06-30' });
+    expect(update.status).toBe(200);
+    expect(fakeSupabase.rows('member_interests').find(i => i.id === own.id).end_date).toBe('2026-06-30');
+  });
+
+  it('should let compliance roles keep anyone\'s entries', async () => {
+    const { adminCookie, trustee } = seedOrganizations();
+
+    const res = await request(app).post('/api/interests').set('Cookie', adminCookie).send({
+      category: InterestCategory.TRUSTEESHIP, counterparty: 'Food bank', userId: trustee.id
+    });
+
+    expect(res.status).toBe(201);
+    expect(fakeSupabase.rows('member_interests')).toContainEqual(
+      expect.objectContaining({ user_id: trustee.id, counterparty: 'Food bank' })
+    );
+  });
+
+  it('should only let meeting managers record declarations for someone else', async () => {
+    const { trusteeCookie, adminCookie, colleague, ourMeeting } = seedOrganizations();
+    const body = { nature: 'Employed by the council', action: ConflictAction.LEFT_ROOM, userId: colleague.id };
+
+    const trusteeRecord = await request(app)
+      .post(`/api/interests/meetings/${ourMeeting.id}/declarations`)
+      .set('Cookie', trusteeCookie)
+      .send(body);
+    expect(trusteeRecord.status).toBe(403);
+    expect(fakeSupabase.rows('meeting_declarations')).toHaveLength(0);
+
+    const adminRecord = await request(app)
+      .post(`/api/interests/meetings/${ourMeeting.id}/declarations`)
+      .set('Cookie', adminCookie)
+      .send(body);
+    expect(adminRecord.status).toBe(201);
+
+    const remove = await request(app)
+      .delete(`/api/interests/meetings/${ourMeeting.id}/declarations/${adminRecord.body.data.declaration.id}`)
+      .set('Cookie', trusteeCookie);
+    expect(remove.status).toBe(403);
+    expect(fakeSupabase.rows('meeting_declarations')).toEqual([
+      expect.objectContaining({ user_id: colleague.id, meeting_id: ourMeeting.id })
+    ]);
+  });
+});
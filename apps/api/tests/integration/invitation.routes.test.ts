@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import invitationRoutes from '../../src/routes/invitation.routes';
+import { EmailService } from '../../src/services/email.service';
+import { Role } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/invitations', invitationRoutes);
+
+const TOKEN = 'invitation-token';
+
+const seedInvitation = (email: string) => {
+  const [organization] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true }
+  ]);
+  const [invitation] = fakeSupabase.seed('organization_invitations', [{
+    organization_id: organization.id,
+    email,
+    role: Role.TRUSTEE,
+    token_hash: crypto.createHash('sha256').update(TOKEN).digest('hex'),
+    accepted_at: null,
+    cancelled_at: null,
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+  }]);
+  return { organization, invitation };
+};
+
+describe('Invitation routes - accepting', () => {
+  beforeEach(() => fakeSupabase.reset());
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should create the account and membership', async () => {
+    const { organization } = seedInvitation('new@riverside.org');
+
+    const res = await request(app)
+      .post('/api/invitations/accept')
+      .send({ token: TOKEN, password: 'Correct-horse-1', firstName: 'Nia', lastName: 'New' });
+
+    expect(res.status).toBe(201);
+    expect(fakeSupabase.rows('organization_members')).toEqual([
+      expect.objectContaining({ organization_id: organization.id, user_id: res.body.data.user.id, role: Role.TRUSTEE, is_active: true })
+    ]);
+  });
+
+  it('should leave the new account unverified until the invitee confirms their address', async () => {
+    seedInvitation('new@riverside.org');
+    const verification = jest.spyOn(EmailService, 'sendVerificationEmail');
+
+    const res = await request(app)
+      .post('/api/invitations/accept')
+      .send({ token: TOKEN, password: 'Correct-horse-1', firstName: 'Nia', lastName: 'New' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.user.emailVerified).toBe(false);
+    const [user] = fakeSupabase.rows('users');
+    expect(user.email_verified).toBe(false);
+    expect(verification).toHaveBeenCalledWith('new@riverside.org', expect.any(String));
+    expect(user.verification_token).toBe(crypto.createHash('sha256').update(verification.mock.calls[0][1]).digest('hex'));
+  });
+
+  it('should undo a new account and its membership if signing in fails', async () => {
+    const { invitation } = seedInvitation('new@riverside.org');
+    fakeSupabase.failNext('user_sessions', 'insert');
+
+    const res = await request(app)
+      .post('/api/invitations/accept')
+      .send({ token: TOKEN, password: 'Correct-horse-1', firstName: 'Nia', lastName: 'New' });
+
+    expect(res.status).toBe(500);
+    expect(fakeSupabase.rows('users')).toHaveLength(0);
+    expect(fakeSupabase.rows('organization_members')).toHaveLength(0);
+    expect(fakeSupabase.rows('organization_invitations').find(i => i.id === invitation.id).accepted_at).toBeNull();
+  });
+
+  it('should put a former member back as they were if signing in fails', async () => {
+    const { organization } = seedInvitation('former@riverside.org');
+    const [former] = fakeSupabase.seed('users', [
+      { email: 'former@riverside.org', first_name: 'Fay', last_name: 'Former', is_active: true, email_verified: true }
+    ]);
+    const [membership] = fakeSupabase.seed('organization_members', [{
+      organization_id: organization.id,
+      user_id: former.id,
+      role: Role.VOLUNTEER,
+      title: 'Fundraiser',
+      is_active: false,
+      joined_at: '2020-01-01T00:00:00Z',
+      updated_at: '2024-01-01T00:00:00Z'
+    }]);
+    const before = { ...membership };
+    fakeSupabase.failNext('user_sessions', 'insert');
+
+    const res = await request(app)
+      .post('/api/invitations/accept')
+      .set('Cookie', authCookie(former))
+      .send({ token: TOKEN });
+
+    expect(res.status).toBe(500);
+    expect(fakeSupabase.rows('organization_members')[0]).toEqual(expect.objectContaining({
+      role: before.role,
+      title: before.title,
+      is_active: false,
+      joined_at: before.joined_at,
+      updated_at: before.updated_at
+    }));
+  });
+
+  it('should not accept for an existing account from a signed-out session', async () => {
+    const { invitation } = seedInvitation('member@riverside.org');
+    const [member] = fakeSupabase.seed('users', [
+      { email: 'member@riverside.org', first_name: 'Mo', last_name: 'Member', is_active: true, email_verified: true }
+    ]);
+    const [session] = fakeSupabase.seed('user_sessions', [{
+      user_id: member.id,
+      revoked_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    }]);
+
+    const res = await request(app)
+      .post('/api/invitations/accept')
+      .set('Cookie', authCookie(member, { sessionId: session.id }))
+      .send({ token: TOKEN });
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('SESSION_REVOKED');
+    expect(fakeSupabase.rows('organization_members')).toHaveLength(0);
+    expect(fakeSupabase.rows('organization_invitations').find(i => i.id === invitation.id).accepted_at).toBeNull();
+  });
+});
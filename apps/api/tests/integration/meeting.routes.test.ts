@@ -0,0 +1,240 @@
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import meetingRoutes from '../../src/routes/meeting.routes';
+import { CommitteeRole, MeetingType, Role } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/meetings', meetingRoutes);
+
+const seedOrganizations = () => {
+  const [orgA, orgB] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true },
+    { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true }
+  ]);
+  const [admin, trustee, outsider] = fakeSupabase.seed('users', [
+    { email: 'admin@riverside.org', first_name: 'Ada', last_name: 'Admin', is_active: true, email_verified: true },
+    { email: 'trustee@riverside.org', first_name: 'Tom', last_name: 'Trustee', is_active: true, email_verified: true },
+    { email: 'owner@hillside.org', first_name: 'Olive', last_name: 'Owner', is_active: true, email_verified: true }
+  ]);
+  const [adminMember, trusteeMember] = fakeSupabase.seed('organization_members', [
+    { organization_id: orgA.id, user_id: admin.id, role: Role.ADMIN, is_active: true },
+    { organization_id: orgA.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true },
+    { organization_id: orgB.id, user_id: outsider.id, role: Role.OWNER, is_active: true }
+  ]);
+
+  return { orgA, orgB, admin, trustee, outsider, adminMember, trusteeMember };
+};
+
+describe('Meeting routes - organization scoping', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should ask for an organization when the session has none', async () => {
+    const { admin } = seedOrganizations();
+
+    const res = await request(app).get('/api/meetings').set('Cookie', authCookie(admin));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('ORGANIZATION_REQUIRED');
+  });
+
+  it('should refuse a token for an organization the user does not belong to', async () => {
+    const { admin, orgB } = seedOrganizations();
+
+    const res = await request(app)
+      .get('/api/meetings')
+      .set('Cookie', authCookie(admin, { organizationId: orgB.id, role: Role.ADMIN }));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should only list and load meetings of the current organization', async () => {
+    const { admin, orgA, orgB } = seedOrganizations();
+    const [ours, theirs] = fakeSupabase.seed('meetings', [
+      { organization_id: orgA.id, title: 'Riverside board', meeting_date: '2026-09-01T18:00:00Z', status: 'scheduled' },
+      { organization_id: orgB.id, title: 'Hillside board', meeting_date: '2026-09-02T18:00:00Z', status: 'scheduled' }
+    ]);
+    const cookie = authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN });
+
+    const list = await request(app).get('/api/meetings').set('Cookie', cookie);
+    expect(list.status).toBe(200);
+    expect(list.body.data.meetings.map((m: any) => m.id)).toEqual([ours.id]);
+
+    const other = await request(app).get(`/api/meetings/${theirs.id}`).set('Cookie', cookie);
+    expect(other.status).toBe(404);
+  });
+
+  it('should not invite people from another organization', async () => {
+    const { admin, outsider, orgA } = seedOrganizations();
+
+    const res = await request(app)
+      .post('/api/meetings')
+      .set('Cookie', authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN }))
+      .send({ title: 'Board meeting', meetingDate: '2026-09-01T18:00:00Z', attendeeIds: [outsider.id] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('NOT_ORGANIZATION_MEMBER');
+    expect(fakeSupabase.rows('meetings')).toHaveLength(0);
+  });
+});
+
+describe('Meeting routes - committee meetings', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should invite the active committee members by default', async () => {
+    const { admin, trustee, orgA, adminMember, trusteeMember } = seedOrganizations();
+    const [formerMember] = fakeSupabase.seed('organization_members', [
+      { organization_id: orgA.id, user_id: 'former-user', role: Role.TRUSTEE, is_active: false }
+    ]);
+    const [committee] = fakeSupabase.seed('committees', [
+      { organization_id: orgA.id, name: 'Finance', status: 'active' }
+    ]);
+    fakeSupabase.seed('committee_members', [
+      { committee_id: committee.id, organization_member_id: adminMember.id, role: CommitteeRole.MEMBER },
+      { committee_id: committee.id, organization_member_id: trusteeMember.id, role: CommitteeRole.CHAIR },
+      { committee_id: committee.id, organization_member_id: formerMember.id, role: CommitteeRole.MEMBER }
+    ]);
+
+    const res = await request(app)
+      .post('/api/meetings')
+      .set('Cookie', authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN }))
+      .send({ title: 'Finance committee', meetingDate: '2026-09-01T18:00:00Z', committeeId: committee.id });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.meeting).toMatchObject({ committeeId: committee.id, meetingType: MeetingType.COMMITTEE });
+    expect(fakeSupabase.rows('meeting_attendees').map(a => a.user_id).sort())
+      .toEqual([admin.id, trustee.id].sort());
+  });
+
+  it('should keep an explicit attendee list', async () => {
+    const { admin, orgA, adminMember, trusteeMember } = seedOrganizations();
+    const [committee] = fakeSupabase.seed('committees', [
+      { organization_id: orgA.id, name: 'Finance', status: 'active' }
+    ]);
+    fakeSupabase.seed('committee_members', [
+      { committee_id: committee.id, organization_member_id: adminMember.id, role: CommitteeRole.MEMBER },
+      { committee_id: committee.id, organization_member_id: trusteeMember.id, role: CommitteeRole.CHAIR }
+    ]);
+
+    const res = await request(app)
+      .post('/api/meetings')
+      .set('Cookie', authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN }))
+      .send({ title: 'Finance committee', meetingDate: '2026-09-01T18:00:00Z', committeeId: committee.id, attendeeIds: [admin.id] });
+
+    expect(res.status).toBe(201);
+    expect(fakeSupabase.rows('meeting_attendees').map(a => a.user_id)).toEqual([admin.id]);
+  });
+
+  it('should not use a committee of another organization', async () => {
+    const { admin, orgA, orgB } = seedOrganizations();
+    const [committee] = fakeSupabase.seed('committees', [
+      { organization_id: orgB.id, name: 'Audit', status: 'active' }
+    ]);
+
+    const res = await request(app)
+      .post('/api/meetings')
+      .set('Cookie', authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN }))
+      .send({ title: 'Audit committee', meetingDate: '2026-09-01T18:00:00Z', committeeId: committee.id });
+
+    expect(res.status).toBe(404);
+    expect(fakeSupabase.rows('meetings')).toHaveLength(0);
+  });
+});
+
+describe('Meeting routes - agendas and board packs', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  const seedAgendas = () => {
+    const seeded = seedOrganizations();
+    const [ourMeeting, theirMeeting] = fakeSupabase.seed('meetings', [
+      { organization_id: seeded.orgA.id, title: 'Riverside board', meeting_date: '2026-09-01T18:00:00Z', status: 'scheduled' },
+      { organization_id: seeded.orgB.id, title: 'Hillside board', meeting_date: '2026-09-02T18:00:00Z', status: 'scheduled' }
+    ]);
+    const [ourItem, theirItem] = fakeSupabase.seed('agenda_items', [
+      { organization_id: seeded.orgA.id, meeting_id: ourMeeting.id, position: 1, title: 'Apologies', item_type: 'noting', duration_minutes: 5 },
+      { organization_id: seeded.orgB.id, meeting_id: theirMeeting.id, position: 1, title: 'Budget', item_type: 'decision', duration_minutes: 20 }
+    ]);
+    fakeSupabase.seed('agenda_templates', [
+      { organization_id: seeded.orgB.id, meeting_type: MeetingType.BOARD, items: [{ title: 'Hillside apologies' }] }
+    ]);
+
+    return {
+      ...seeded, ourMeeting, theirMeeting, ourItem, theirItem,
+      adminCookie: authCookie(seeded.admin, { organizationId: seeded.orgA.id, role: Role.ADMIN }),
+      trusteeCookie: authCookie(seeded.trustee, { organizationId: seeded.orgA.id, role: Role.TRUSTEE })
+    };
+  };
+
+  it('should not show or change the agenda of another organization\'s meeting', async () => {
+    const { adminCookie, theirMeeting, theirItem } = seedAgendas();
+    const before = { ...theirItem };
+
+    const responses = await Promise.all([
+      request(app).get(`/api/meetings/${theirMeeting.id}/agenda`).set('Cookie', adminCookie),
+      request(app).post(`/api/meetings/${theirMeeting.id}/agenda`).set('Cookie', adminCookie).send({ title: 'Any other business' }),
+      request(app).put(`/api/meetings/${theirMeeting.id}/agenda/${theirItem.id}`).set('Cookie', adminCookie).send({ title: 'Hijacked' }),
+      request(app).post(`/api/meetings/${theirMeeting.id}/board-pack`).set('Cookie', adminCookie)
+    ]);
+
+    expect(responses.map(r => r.status)).toEqual([404, 404, 404, 404]);
+    expect(fakeSupabase.rows('agenda_items')).toHaveLength(2);
+    expect(fakeSupabase.rows('agenda_items').find(i => i.id === theirItem.id)).toEqual(before);
+    expect(fakeSupabase.rows('meetings').find(m => m.id === theirMeeting.id).board_pack_published_at).toBeUndefined();
+  });
+
+  it('should not reach another meeting\'s items through one of ours', async () => {
+    const { adminCookie, ourMeeting, theirItem } = seedAgendas();
+    const before = { ...theirItem };
+
+    const update = await request(app).put(`/api/meetings/${ourMeeting.id}/agenda/${theirItem.id}`).set('Cookie', adminCookie).send({ title: 'Hijacked' });
+    const remove = await request(app).delete(`/api/meetings/${ourMeeting.id}/agenda/${theirItem.id}`).set('Cookie', adminCookie);
+
+    expect([update.status, remove.status]).toEqual([404, 404]);
+    expect(fakeSupabase.rows('agenda_items').find(i => i.id === theirItem.id)).toEqual(before);
+  });
+
+  it('should only link papers from the organization\'s own library', async () => {
+    const { adminCookie, ourMeeting, orgB } = seedAgendas();
+    const [document] = fakeSupabase.seed('documents', [{ organization_id: orgB.id, name: 'Hillside accounts' }]);
+
+    const res = await request(app)
+      .post(`/api/meetings/${ourMeeting.id}/agenda`)
+      .set('Cookie', adminCookie)
+      .send({ title: 'Accounts', paperIds: [document.id] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_PAPERS');
+    expect(fakeSupabase.rows('agenda_item_papers')).toHaveLength(0);
+  });
+
+  it('should only list the organization\'s own agenda templates', async () => {
+    const { adminCookie } = seedAgendas();
+
+    const res = await request(app).get('/api/meetings/agenda-templates').set('Cookie', adminCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.templates).toEqual([]);
+  });
+
+  it('should let trustees read the agenda but not change it or publish the board pack', async () => {
+    const { trusteeCookie, ourMeeting, ourItem } = seedAgendas();
+
+    const read = await request(app).get(`/api/meetings/${ourMeeting.id}/agenda`).set('Cookie', trusteeCookie);
+    expect(read.status).toBe(200);
+    expect(read.body.data.agenda.items.map((i: any) => i.id)).toEqual([ourItem.id]);
+
+    const responses = await Promise.all([
+      request(app).post(`/api/meetings/${ourMeeting.id}/agenda`).set('Cookie', trusteeCookie).send({ title: 'Any other business' }),
+      request(app).put(`/api/meetings/${ourMeeting.id}/agenda/${ourItem.id}`).set('Cookie', trusteeCookie).send({ title: 'Renamed' }),
+      request(app).post(`/api/meetings/${ourMeeting.id}/board-pack`).set('Cookie', trusteeCookie),
+      request(app).put(`/api/meetings/agenda-templates/${MeetingType.BOARD}`).set('Cookie', trusteeCookie).send({ items: [] })
+    ]);
+
+    expect(responses.map(r => r.status)).toEqual([403, 403, 403, 403]);
+    expect(fakeSupabase.rows('agenda_items')).toHaveLength(2);
+    expect(fakeSupabase.rows('agenda_items').find(i => i.id === ourItem.id).title).toBe('Apologies');
+    expect(fakeSupabase.rows('meetings').find(m => m.id === ourMeeting.id).board_pack_published_at).toBeUndefined();
+    expect(fakeSupabase.rows('agenda_templates')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,149 @@
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import minutesRoutes from '../../src/routes/minutes.routes';
+import { MinutesStatus, Role } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/minutes', minutesRoutes);
+
+const seedOrganizations = () => {
+  const [orgA, orgB] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true },
+    { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true }
+  ]);
+  const [chair, secretary, trustee, outsider] = fakeSupabase.seed('users', [
+    { email: 'chair@riverside.org', first_name: 'Cara', last_name: 'Chair', is_active: true, email_verified: true },
+    { email: 'secretary@riverside.org', first_name: 'Sam', last_name: 'Secretary', is_active: true, email_verified: true },
+    { email: 'trustee@riverside.org', first_name: 'Tom', last_name: 'Trustee', is_active: true, email_verified: true },
+    { email: 'owner@hillside.org', first_name: 'Olive', last_name: 'Owner', is_active: true, email_verified: true }
+  ]);
+  fakeSupabase.seed('organization_members', [
+    { organization_id: orgA.id, user_id: chair.id, role: Role.CHAIR, is_active: true },
+    { organization_id: orgA.id, user_id: secretary.id, role: Role.SECRETARY, is_active: true },
+    { organization_id: orgA.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true },
+    { organization_id: orgB.id, user_id: outsider.id, role: Role.OWNER, is_active: true }
+  ]);
+  const [ourMeeting, theirMeeting] = fakeSupabase.seed('meetings', [
+    { organization_id: orgA.id, title: 'Riverside board', meeting_date: '2026-09-01T18:00:00Z', status: 'completed' },
+    { organization_id: orgB.id, title: 'Hillside board', meeting_date: '2026-09-02T18:00:00Z', status: 'completed' }
+  ]);
+  const section = { title: 'Finance', notes: 'Accounts reviewed', decisions: [], actions: [] };
+  const [draft, approved, theirs] = fakeSupabase.seed('minutes', [
+    { organization_id: orgA.id, meeting_id: ourMeeting.id, status: MinutesStatus.DRAFT, summary: null, sections: [section] },
+    { organization_id: orgA.id, meeting_id: ourMeeting.id, status: MinutesStatus.APPROVED, summary: null, sections: [section], approved_version: 1 },
+    { organization_id: orgB.id, meeting_id: theirMeeting.id, status: MinutesStatus.DRAFT, summary: null, sections: [section] }
+  ]);
+
+  return {
+    orgA, orgB, chair, secretary, trustee, outsider, ourMeeting, theirMeeting, draft, approved, theirs,
+    chairCookie: authCookie(chair, { organizationId: orgA.id, role: Role.CHAIR }),
+    secretaryCookie: authCookie(secretary, { organizationId: orgA.id, role: Role.SECRETARY }),
+    trusteeCookie: authCookie(trustee, { organizationId: orgA.id, role: Role.TRUSTEE })
+  };
+};
+
+describe('Minutes routes - organization scoping', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should refuse a token for an organization the user does not belong to', async () => {
+    const { chair, orgB } = seedOrganizations();
+
+    const res = await request(app)
+      .get('/api/minutes')
+      .set('Cookie', authCookie(chair, { organizationId: orgB.id, role: Role.CHAIR }));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should only list and load minutes of the current organization', async () => {
+    const { chairCookie, draft, approved, theirs } = seedOrganizations();
+
+    const list = await request(app).get('/api/minutes').set('Cookie', chairCookie);
+    expect(list.status).toBe(200);
+    expect(list.body.data.minutes.map((m: any) => m.id).sort()).toEqual([draft.id, approved.id].sort());
+
+    const other = await request(app).get(`/api/minutes/${theirs.id}`).set('Cookie', chairCookie);
+    expect(other.status).toBe(404);
+  });
+
+  it('should not change minutes of another organization', async () => {
+    const { chairCookie, theirs } = seedOrganizations();
+    const before = { ...theirs };
+
+    const update = await request(app).put(`/api/minutes/${theirs.id}`).set('Cookie', chairCookie).send({ summary: 'Hijacked' });
+    const submit = await request(app).put(`/api/minutes/${theirs.id}/status`).set('Cookie', chairCookie).send({ status: MinutesStatus.SUBMITTED });
+    const remove = await request(app).delete(`/api/minutes/${theirs.id}`).set('Cookie', chairCookie);
+
+    expect([update.status, submit.status, remove.status]).toEqual([404, 404, 404]);
+    expect(fakeSupabase.rows('minutes').find(m => m.id === theirs.id)).toEqual(before);
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+
+  it('should not take minutes of another organization\'s meeting or assign its members', async () => {
+    const { chairCookie, ourMeeting, theirMeeting, outsider } = seedOrganizations();
+
+    const meeting = await request(app).post('/api/minutes').set('Cookie', chairCookie).send({ meetingId: theirMeeting.id });
+    const assignee = await request(app).post('/api/minutes').set('Cookie', chairCookie).send({
+      meetingId: ourMeeting.id,
+      sections: [{ title: 'Finance', actions: [{ description: 'Send the accounts', assigneeId: outsider.id }] }]
+    });
+
+    expect(meeting.status).toBe(404);
+    expect(assignee.status).toBe(400);
+    expect(assignee.body.error.code).toBe('NOT_ORGANIZATION_MEMBER');
+    expect(fakeSupabase.rows('minutes')).toHaveLength(3);
+  });
+});
+
+describe('Minutes routes - permissions', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should only show trustees approved minutes', async () => {
+    const { trusteeCookie, draft, approved } = seedOrganizations();
+
+    const list = await request(app).get('/api/minutes').set('Cookie', trusteeCookie);
+    expect(list.status).toBe(200);
+    expect(list.body.data.minutes.map((m: any) => m.id)).toEqual([approved.id]);
+
+    const hidden = await request(app).get(`/api/minutes/${draft.id}`).set('Cookie', trusteeCookie);
+    expect(hidden.status).toBe(404);
+  });
+
+  it('should not let trustees draft minutes', async () => {
+    const { trusteeCookie, ourMeeting } = seedOrganizations();
+
+    const res = await request(app).post('/api/minutes').set('Cookie', trusteeCookie).send({ meetingId: ourMeeting.id });
+
+    expect(res.status).toBe(403);
+    expect(fakeSupabase.rows('minutes')).toHaveLength(3);
+  });
+
+  it('should let the secretary submit minutes but only the chair approve them', async () => {
+    const { secretaryCookie, chairCookie, chair, draft } = seedOrganizations();
+
+    const submit = await request(app)
+      .put(`/api/minutes/${draft.id}/status`)
+      .set('Cookie', secretaryCookie)
+      .send({ status: MinutesStatus.SUBMITTED });
+    expect(submit.status).toBe(200);
+
+    const approveOwn = await request(app)
+      .put(`/api/minutes/${draft.id}/status`)
+      .set('Cookie', secretaryCookie)
+      .send({ status: MinutesStatus.APPROVED });
+    expect(approveOwn.status).toBe(403);
+    expect(fakeSupabase.rows('minutes').find(m => m.id === draft.id).status).toBe(MinutesStatus.SUBMITTED);
+    expect(fakeSupabase.rows('minutes_versions')).toHaveLength(0);
+
+    const approve = await request(app)
+      .put(`/api/minutes/${draft.id}/status`)
+      .set('Cookie', chairCookie)
+      .send({ status: MinutesStatus.APPROVED });
+    expect(approve.status).toBe(200);
+    expect(fakeSupabase.rows('minutes_versions')).toEqual([
+      expect.objectContaining({ minutes_id: draft.id, version_number: 1, approved_by: chair.id })
+    ]);
+  });
+});
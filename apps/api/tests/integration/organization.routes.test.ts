@@ -0,0 +1,429 @@
+import crypto from 'crypto';
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import organizationRoutes from '../../src/routes/organization.routes';
+import { EmailService } from '../../src/services/email.service';
+import { AuditAction, Role } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/organizations', organizationRoutes);
+
+const seedOwner = (userOverrides: Record<string, any> = {}) => {
+  const [organization] = fakeSupabase.seed('organizations', [{
+    name: 'Riverside Trust',
+    slug: 'riverside-trust',
+    subscription_status: 'active',
+    is_active: true,
+    settings: { timezone: 'Europe/London' }
+  }]);
+  const [owner] = fakeSupabase.seed('users', [{
+    email: 'owner@riverside.org',
+    first_name: 'Olive',
+    last_name: 'Owner',
+    is_active: true,
+    email_verified: true,
+    ...userOverrides
+  }]);
+  fakeSupabase.seed('organization_members', [{ organization_id: organization.id, user_id: owner.id, role: Role.OWNER, is_active: true }]);
+
+  return { organization, owner, cookie: authCookie(owner, { organizationId: organization.id, role: Role.OWNER }) };
+};
+
+describe('Organization routes - requiring MFA for administrators', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should turn the requirement on and record the change', async () => {
+    const { organization, owner, cookie } = seedOwner({ mfa_enabled: true, mfa_secret: 'JBSWY3DPEHPK3PXP' });
+
+    const res = await request(app)
+      .put(`/api/organizations/${organization.id}`)
+      .set('Cookie', cookie)
+      .send({ settings: { requireMfaForAdmins: true } });
+
+    expect(res.status).toBe(200);
+    expect(fakeSupabase.rows('organizations')[0].settings).toEqual({ timezone: 'Europe/London', requireMfaForAdmins: true });
+    expect(fakeSupabase.rows('audit_logs')).toEqual([expect.objectContaining({
+      action: AuditAction.SETTINGS_CHANGE,
+      user_id: owner.id,
+      details: { changes: { 'settings.requireMfaForAdmins': { from: null, to: true } } }
+    })]);
+  });
+
+  it('should not let someone without MFA require it', async () => {
+    const { organization, cookie } = seedOwner();
+
+    const res = await request(app)
+      .put(`/api/organizations/${organization.id}`)
+      .set('Cookie', cookie)
+      .send({ settings: { requireMfaForAdmins: true } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('MFA_NOT_ENABLED');
+    expect(fakeSupabase.rows('organizations')[0].settings.requireMfaForAdmins).toBeUndefined();
+  });
+
+  it('should only accept true or false', async () => {
+    const { organization, cookie } = seedOwner({ mfa_enabled: true, mfa_secret: 'JBSWY3DPEHPK3PXP' });
+
+    const res = await request(app)
+      .put(`/api/organizations/${organization.id}`)
+      .set('Cookie', cookie)
+      .send({ settings: { requireMfaForAdmins: 'yes' } });
+
+    expect(res.status).not.toBe(200);
+    expect(fakeSupabase.rows('organizations')[0].settings.requireMfaForAdmins).toBeUndefined();
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+});
+
+describe('Organization routes - MFA requirement endpoint', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should turn the requirement on and off and record each change', async () => {
+    const { organization, cookie } = seedOwner({ mfa_enabled: true, mfa_secret: 'JBSWY3DPEHPK3PXP' });
+
+    const on = await request(app)
+      .put(`/api/organizations/${organization.id}/mfa-requirement`)
+      .set('Cookie', cookie)
+      .send({ requireMfaForAdmins: true });
+
+    expect(on.status).toBe(200);
+    expect(fakeSupabase.rows('organizations')[0].settings).toEqual({ timezone: 'Europe/London', requireMfaForAdmins: true });
+
+    const off = await request(app)
+      .put(`/api/organizations/${organization.id}/mfa-requirement`)
+      .set('Cookie', cookie)
+      .send({ requireMfaForAdmins: false });
+
+    expect(off.status).toBe(200);
+    expect(fakeSupabase.rows('organizations')[0].settings.requireMfaForAdmins).toBe(false);
+    expect(fakeSupabase.rows('audit_logs').map(log => log.details.changes)).toEqual([
+      { 'settings.requireMfaForAdmins': { from: null, to: true } },
+      { 'settings.requireMfaForAdmins': { from: true, to: false } }
+    ]);
+  });
+
+  it('should not let someone without MFA require it', async () => {
+    const { organization, cookie } = seedOwner();
+
+    const res = await request(app)
+      .put(`/api/organizations/${organization.id}/mfa-requirement`)
+      .set('Cookie', cookie)
+      .send({ requireMfaForAdmins: true });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('MFA_NOT_ENABLED');
+  });
+
+  it('should only let organization managers change it', async () => {
+    const { organization } = seedOwner();
+    const [trustee] = fakeSupabase.seed('users', [{
+      email: 'trustee@riverside.org', is_active: true, email_verified: true, mfa_enabled: true
+    }]);
+    fakeSupabase.seed('organization_members', [{ organization_id: organization.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true }]);
+
+    const res = await request(app)
+      .put(`/api/organizations/${organization.id}/mfa-requirement`)
+      .set('Cookie', authCookie(trustee, { organizationId: organization.id, role: Role.TRUSTEE }))
+      .send({ requireMfaForAdmins: true });
+
+    expect(res.status).toBe(403);
+    expect(fakeSupabase.rows('organizations')[0].settings.requireMfaForAdmins).toBeUndefined();
+  });
+});
+
+describe('Organization routes - renewing terms', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  const seedTrustee = () => {
+    const { organization, owner, cookie } = seedOwner();
+    const [trustee] = fakeSupabase.seed('users', [{ email: 'trustee@riverside.org', is_active: true, email_verified: true }]);
+    const [member] = fakeSupabase.seed('organization_members', [{
+      organization_id: organization.id,
+      user_id: trustee.id,
+      role: Role.TRUSTEE,
+      is_active: true,
+      term_start_date: '2024-01-01',
+      term_end_date: '2099-01-01',
+      term_length_years: 3,
+      consecutive_terms: 1,
+      renewal_notified_at: '2098-11-01T09:00:00Z'
+    }]);
+    return { organization, owner, cookie, member };
+  };
+
+  it('should renew the term and record it in the history', async () => {
+    const { organization, owner, cookie, member } = seedTrustee();
+
+    const res = await request(app)
+      .post(`/api/organizations/${organization.id}/members/${member.id}/renew-term`)
+      .set('Cookie', cookie)
+      .send({ notes: 'Renewed at AGM' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.member).toMatchObject({ termStartDate: '2099-01-01', consecutiveTerms: 2 });
+    expect(fakeSupabase.rows('member_term_history')).toEqual([expect.objectContaining({
+      member_id: member.id,
+      term_number: 2,
+      previous_term_end_date: '2099-01-01',
+      renewed_by: owner.id
+    })]);
+  });
+
+  it('should count each renewal from the current term', async () => {
+    const { organization, cookie, member } = seedTrustee();
+    const renew = () => request(app)
+      .post(`/api/organizations/${organization.id}/members/${member.id}/renew-term`)
+      .set('Cookie', cookie)
+      .send({});
+
+    expect((await renew()).status).toBe(200);
+    expect((await renew()).status).toBe(200);
+
+    expect(fakeSupabase.rows('member_term_history').map(h => h.term_number)).toEqual([2, 3]);
+    expect(fakeSupabase.rows('organization_members').find(m => m.id === member.id).consecutive_terms).toBe(3);
+  });
+
+  it('should put the previous term back if the history can\'t be recorded', async () => {
+    const { organization, cookie, member } = seedTrustee();
+    const before = { ...member };
+    fakeSupabase.failNext('member_term_history', 'insert');
+
+    const res = await request(app)
+      .post(`/api/organizations/${organization.id}/members/${member.id}/renew-term`)
+      .set('Cookie', cookie)
+      .send({});
+
+    expect(res.status).toBe(500);
+    expect(fakeSupabase.rows('organization_members').find(m => m.id === member.id)).toEqual(before);
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+});
+
+describe('Organization routes - bulk member import', () => {
+  beforeEach(() => fakeSupabase.reset());
+  afterEach(() => jest.restoreAllMocks());
+
+  const csv = 'first_name,last_name,email,role\nTara,Trustee,tara@riverside.org,trustee\nVic,Viewer,vic@riverside.org,viewer';
+
+  it('should only email the accept links and return the invitation ids', async () => {
+    const { organization, cookie } = seedOwner();
+    const invitationEmail = jest.spyOn(EmailService, 'sendInvitationEmail').mockResolvedValue(undefined as any);
+
+    const res = await request(app)
+      .post(`/api/organizations/${organization.id}/members/import`)
+      .set('Cookie', cookie)
+      .send({ csv, dryRun: false });
+
+    expect(res.status).toBe(201);
+    const invitations = fakeSupabase.rows('organization_invitations');
+    expect(invitations).toHaveLength(2);
+    expect(res.body.data.invitations.map((i: any) => i.id).sort()).toEqual(invitations.map(i => i.id).sort());
+    expect(JSON.stringify(res.body)).not.toContain('token');
+    res.body.data.invitations.forEach((i: any) => expect(i.acceptUrl).toBeUndefined());
+
+    expect(invitationEmail).toHaveBeenCalledTimes(2);
+    invitationEmail.mock.calls.forEach(([options]: any[]) => {
+      const [, token] = options.acceptUrl.match(/accept-invitation\?token=(\w+)$/);
+      const invitation = invitations.find(i => i.email === options.to);
+      expect(invitation.token_hash).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    });
+  });
+
+  it('should only let members who can invite import', async () => {
+    const { organization } = seedOwner();
+    const [trustee] = fakeSupabase.seed('users', [{ email: 'trustee@riverside.org', is_active: true, email_verified: true }]);
+    fakeSupabase.seed('organization_members', [{ organization_id: organization.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true }]);
+
+    const res = await request(app)
+      .post(`/api/organizations/${organization.id}/members/import`)
+      .set('Cookie', authCookie(trustee, { organizationId: organization.id, role: Role.TRUSTEE }))
+      .send({ csv, dryRun: true });
+
+    expect(res.status).toBe(403);
+    expect(fakeSupabase.rows('organization_invitations')).toHaveLength(0);
+  });
+
+  it('should not import into another organization', async () => {
+    const { cookie } = seedOwner();
+    const [other] = fakeSupabase.seed('organizations', [
+      { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true }
+    ]);
+
+    const res = await request(app)
+      .post(`/api/organizations/${other.id}/members/import`)
+      .set('Cookie', cookie)
+      .send({ csv, dryRun: false });
+
+    expect(res.status).toBe(403);
+    expect(fakeSupabase.rows('organization_invitations')).toHaveLength(0);
+  });
+
+  it('should not let an admin import owners', async () => {
+    const { organization } = seedOwner();
+    const [admin] = fakeSupabase.seed('users', [{ email: 'admin@riverside.org', is_active: true, email_verified: true }]);
+    fakeSupabase.seed('organization_members', [{ organization_id: organization.id, user_id: admin.id, role: Role.ADMIN, is_active: true }]);
+
+    const res = await request(app)
+      .post(`/api/organizations/${organization.id}/members/import`)
+      .set('Cookie', authCookie(admin, { organizationId: organization.id, role: Role.ADMIN }))
+      .send({ csv: 'email,role\nnew-owner@riverside.org,owner', dryRun: false });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('IMPORT_INVALID');
+    expect(fakeSupabase.rows('organization_invitations')).toHaveLength(0);
+  });
+
+  it('should not return links when the emails are held back', async () => {
+    const { organization, cookie } = seedOwner();
+    const invitationEmail = jest.spyOn(EmailService, 'sendInvitationEmail');
+
+    const res = await request(app)
+      .post(`/api/organizations/${organization.id}/members/import`)
+      .set('Cookie', cookie)
+      .send({ csv, dryRun: false, sendEmails: false });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.invitations).toHaveLength(2);
+    expect(JSON.stringify(res.body)).not.toContain('accept-invitation');
+    expect(invitationEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('Organization routes - branding links', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it.each(['javascript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'ftp://files.riverside.org/logo.png'])(
+    'should reject %s as a logo',
+    async logoUrl => {
+      const { organization, cookie } = seedOwner();
+
+      const res = await request(app)
+        .put(`/api/organizations/${organization.id}`)
+        .set('Cookie', cookie)
+        .send({ logoUrl });
+
+      expect(res.status).not.toBe(200);
+      expect(fakeSupabase.rows('organizations')[0].logo_url).toBeUndefined();
+    }
+  );
+
+  it('should accept web links', async () => {
+    const { organization, cookie } = seedOwner();
+
+    const res = await request(app)
+      .put(`/api/organizations/${organization.id}`)
+      .set('Cookie', cookie)
+      .send({ logoUrl: 'https://cdn.riverside.org/logo.png', websiteUrl: 'http://riverside.org' });
+
+    expect(res.status).toBe(200);
+    expect(fakeSupabase.rows('organizations')[0]).toMatchObject({
+      logo_url: 'https://cdn.riverside.org/logo.png',
+      website_url: 'http://riverside.org'
+    });
+  });
+});
+
+describe('Organization routes - settings and branding', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  const seedOrganizations = () => {
+    const { organization, owner, cookie } = seedOwner();
+    const [other] = fakeSupabase.seed('organizations', [
+      { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true, settings: {} }
+    ]);
+    const [trustee] = fakeSupabase.seed('users', [
+      { email: 'trustee@riverside.org', first_name: 'Tom', last_name: 'Trustee', is_active: true, email_verified: true }
+    ]);
+    fakeSupabase.seed('organization_members', [{ organization_id: organization.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true }]);
+
+    return {
+      organization, other, owner, trustee, cookie,
+      trusteeCookie: authCookie(trustee, { organizationId: organization.id, role: Role.TRUSTEE })
+    };
+  };
+
+  it('should only let organization managers change settings', async () => {
+    const { organization, trusteeCookie } = seedOrganizations();
+
+    const res = await request(app)
+      .put(`/api/organizations/${organization.id}`)
+      .set('Cookie', trusteeCookie)
+      .send({ name: 'Renamed Trust', primaryColor: '#000000' });
+
+    expect(res.status).toBe(403);
+    expect(fakeSupabase.rows('organizations')[0].name).toBe('Riverside Trust');
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+
+  it('should not change another organization', async () => {
+    const { other, cookie } = seedOrganizations();
+    const before = { ...other };
+
+    const res = await request(app)
+      .put(`/api/organizations/${other.id}`)
+      .set('Cookie', cookie)
+      .send({ name: 'Hijacked', slug: 'hijacked' });
+
+    expect(res.status).toBe(403);
+    expect(fakeSupabase.rows('organizations').find(o => o.id === other.id)).toEqual(before);
+    expect(fakeSupabase.rows('organization_slug_history')).toHaveLength(0);
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+
+  it('should not take another organization\'s slug', async () => {
+    const { organization, cookie } = seedOrganizations();
+
+    const check = await request(app).get('/api/organizations/check-slug/hillside-trust').set('Cookie', cookie);
+    expect(check.status).toBe(200);
+    expect(check.body.data).toMatchObject({ available: false, reason: 'taken' });
+
+    const res = await request(app)
+      .put(`/api/organizations/${organization.id}`)
+      .set('Cookie', cookie)
+      .send({ slug: 'hillside-trust' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('SLUG_EXISTS');
+    expect(fakeSupabase.rows('organizations')[0].slug).toBe('riverside-trust');
+  });
+
+  it('should keep the old slug as a redirect that other organizations can\'t claim', async () => {
+    const { organization, other, owner, cookie } = seedOrganizations();
+
+    const res = await request(app)
+      .put(`/api/organizations/${organization.id}`)
+      .set('Cookie', cookie)
+      .send({ slug: 'riverside-charity' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.changes).toEqual({ slug: { from: 'riverside-trust', to: 'riverside-charity' } });
+    expect(fakeSupabase.rows('audit_logs')).toEqual([expect.objectContaining({
+      action: AuditAction.SETTINGS_CHANGE,
+      user_id: owner.id,
+      details: { changes: { slug: { from: 'riverside-trust', to: 'riverside-charity' } } }
+    })]);
+
+    const resolved = await request(app).get('/api/organizations/resolve/riverside-trust').set('Cookie', cookie);
+    expect(resolved.status).toBe(200);
+    expect(resolved.body.data).toEqual({ organizationId: organization.id, slug: 'riverside-charity', redirected: true });
+
+    const [otherOwner] = fakeSupabase.seed('users', [
+      { email: 'owner@hillside.org', first_name: 'Ola', last_name: 'Owner', is_active: true, email_verified: true }
+    ]);
+    fakeSupabase.seed('organization_members', [{ organization_id: other.id, user_id: otherOwner.id, role: Role.OWNER, is_active: true }]);
+    const otherCookie = authCookie(otherOwner, { organizationId: other.id, role: Role.OWNER });
+
+    const check = await request(app).get('/api/organizations/check-slug/riverside-trust').set('Cookie', otherCookie);
+    expect(check.body.data).toMatchObject({ available: false, reason: 'redirect' });
+
+    const claim = await request(app)
+      .put(`/api/organizations/${other.id}`)
+      .set('Cookie', otherCookie)
+      .send({ slug: 'riverside-trust' });
+    expect(claim.status).toBe(409);
+    expect(fakeSupabase.rows('organizations').find(o => o.id === other.id).slug).toBe('hillside-trust');
+  });
+});
@@ -0,0 +1,130 @@
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import platformRoutes from '../../src/routes/platform.routes';
+import { AuditAction, Role, SubscriptionStatus } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/platform', platformRoutes);
+
+let userCount = 0;
+const seedUser = (overrides: Record<string, any> = {}) => fakeSupabase.seed('users', [{
+  email: `user${++userCount}@riverside.org`,
+  first_name: 'Pat',
+  last_name: 'Person',
+  is_active: true,
+  email_verified: true,
+  ...overrides
+}])[0];
+
+describe('Platform routes - scheduling erasure', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should schedule erasure of an ordinary user', async () => {
+    const admin = seedUser({ is_super_admin: true });
+    const user = seedUser();
+
+    const res = await request(app)
+      .post(`/api/platform/users/${user.id}/erasure`)
+      .set('Cookie', authCookie(admin))
+      .send({ reason: 'Emailed request' });
+
+    expect(res.status).toBe(200);
+    expect(fakeSupabase.rows('users').find(u => u.id === user.id).deletion_scheduled_for).toBeTruthy();
+    expect(fakeSupabase.rows('audit_logs').map(l => l.action)).toEqual([AuditAction.ACCOUNT_DELETION_REQUESTED]);
+  });
+
+  it('should not schedule erasure of another super admin', async () => {
+    const admin = seedUser({ is_super_admin: true });
+    const otherAdmin = seedUser({ is_super_admin: true });
+
+    const res = await request(app)
+      .post(`/api/platform/users/${otherAdmin.id}/erasure`)
+      .set('Cookie', authCookie(admin))
+      .send({});
+
+    expect(res.status).toBe(403);
+    expect(fakeSupabase.rows('users').find(u => u.id === otherAdmin.id).deletion_scheduled_for).toBeUndefined();
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+
+  it('should only let super admins schedule erasure', async () => {
+    const user = seedUser();
+    const target = seedUser();
+
+    const res = await request(app)
+      .post(`/api/platform/users/${target.id}/erasure`)
+      .set('Cookie', authCookie(user))
+      .send({});
+
+    expect(res.status).toBe(403);
+    expect(fakeSupabase.rows('users').find(u => u.id === target.id).deletion_scheduled_for).toBeUndefined();
+  });
+});
+
+describe('Platform routes - super admin access', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  const seedOrganization = () => {
+    const [organization] = fakeSupabase.seed('organizations', [
+      { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: SubscriptionStatus.ACTIVE, is_active: true }
+    ]);
+    const owner = seedUser();
+    fakeSupabase.seed('organization_members', [{ organization_id: organization.id, user_id: owner.id, role: Role.OWNER, is_active: true }]);
+    return { organization, owner };
+  };
+
+  it('should refuse organization owners', async () => {
+    const { organization, owner } = seedOrganization();
+    const cookie = authCookie(owner, { organizationId: organization.id, role: Role.OWNER });
+
+    const list = await request(app).get('/api/platform/organizations').set('Cookie', cookie);
+    const suspend = await request(app).put(`/api/platform/organizations/${organization.id}/suspend`).set('Cookie', cookie).send({});
+    const plan = await request(app).post('/api/platform/plans').set('Cookie', cookie).send({ name: 'Free for me' });
+
+    expect([list.status, suspend.status, plan.status]).toEqual([403, 403, 403]);
+    expect(suspend.body.error.code).toBe('SUPER_ADMIN_REQUIRED');
+    expect(fakeSupabase.rows('organizations')[0].subscription_status).toBe(SubscriptionStatus.ACTIVE);
+    expect(fakeSupabase.rows('subscription_plans')).toHaveLength(0);
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+
+  it('should go by the account rather than the token', async () => {
+    const { organization, owner } = seedOrganization();
+    // A token claiming super admin for an account that isn't one
+    const cookie = authCookie({ ...owner, is_super_admin: true });
+
+    const res = await request(app).put(`/api/platform/organizations/${organization.id}/suspend`).set('Cookie', cookie).send({});
+
+    expect(res.status).toBe(403);
+    expect(fakeSupabase.rows('organizations')[0].subscription_status).toBe(SubscriptionStatus.ACTIVE);
+  });
+
+  it('should refuse requests without a session', async () => {
+    const { organization } = seedOrganization();
+
+    const res = await request(app).get(`/api/platform/organizations/${organization.id}`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should let super admins suspend an organization', async () => {
+    const { organization } = seedOrganization();
+    const admin = seedUser({ is_super_admin: true });
+
+    const res = await request(app)
+      .put(`/api/platform/organizations/${organization.id}/suspend`)
+      .set('Cookie', authCookie(admin))
+      .send({ reason: 'Unpaid invoices' });
+
+    expect(res.status).toBe(200);
+    expect(fakeSupabase.rows('organizations')[0]).toMatchObject({
+      subscription_status: SubscriptionStatus.SUSPENDED,
+      suspension_reason: 'Unpaid invoices'
+    });
+    expect(fakeSupabase.rows('audit_logs')).toEqual([
+      expect.objectContaining({ user_id: admin.id, organization_id: organization.id, action: AuditAction.UPDATE })
+    ]);
+  });
+});
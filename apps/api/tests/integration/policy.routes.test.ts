@@ -0,0 +1,146 @@
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import policyRoutes from '../../src/routes/policy.routes';
+import { PolicyStatus, Role } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/policies', policyRoutes);
+
+const seedOrganizations = () => {
+  const [orgA, orgB] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true },
+    { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true }
+  ]);
+  const [admin, secretary, trustee, outsider] = fakeSupabase.seed('users', [
+    { email: 'admin@riverside.org', first_name: 'Ada', last_name: 'Admin', is_active: true, email_verified: true },
+    { email: 'secretary@riverside.org', first_name: 'Sam', last_name: 'Secretary', is_active: true, email_verified: true },
+    { email: 'trustee@riverside.org', first_name: 'Tom', last_name: 'Trustee', is_active: true, email_verified: true },
+    { email: 'owner@hillside.org', first_name: 'Olive', last_name: 'Owner', is_active: true, email_verified: true }
+  ]);
+  fakeSupabase.seed('organization_members', [
+    { organization_id: orgA.id, user_id: admin.id, role: Role.ADMIN, is_active: true },
+    { organization_id: orgA.id, user_id: secretary.id, role: Role.SECRETARY, is_active: true },
+    { organization_id: orgA.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true },
+    { organization_id: orgB.id, user_id: outsider.id, role: Role.OWNER, is_active: true }
+  ]);
+  const [draft, published, theirs] = fakeSupabase.seed('policies', [
+    { organization_id: orgA.id, title: 'Safeguarding', status: PolicyStatus.DRAFT, review_frequency_months: 12 },
+    { organization_id: orgA.id, title: 'Reserves', status: PolicyStatus.PUBLISHED, review_frequency_months: 12, next_review_date: '2099-01-01' },
+    { organization_id: orgB.id, title: 'Whistleblowing', status: PolicyStatus.DRAFT, review_frequency_months: 12 }
+  ]);
+
+  return {
+    orgA, orgB, admin, secretary, trustee, outsider, draft, published, theirs,
+    adminCookie: authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN }),
+    secretaryCookie: authCookie(secretary, { organizationId: orgA.id, role: Role.SECRETARY }),
+    trusteeCookie: authCookie(trustee, { organizationId: orgA.id, role: Role.TRUSTEE })
+  };
+};
+
+describe('Policy routes - organization scoping', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should refuse a token for an organization the user does not belong to', async () => {
+    const { admin, orgB } = seedOrganizations();
+
+    const res = await request(app)
+      .get('/api/policies')
+      .set('Cookie', authCookie(admin, { organizationId: orgB.id, role: Role.ADMIN }));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should only list and load policies of the current organization', async () => {
+    const { adminCookie, draft, published, theirs } = seedOrganizations();
+
+    const list = await request(app).get('/api/policies').set('Cookie', adminCookie);
+    expect(list.status).toBe(200);
+    expect(list.body.data.policies.map((p: any) => p.id).sort()).toEqual([draft.id, published.id].sort());
+
+    const other = await request(app).get(`/api/policies/${theirs.id}`).set('Cookie', adminCookie);
+    expect(other.status).toBe(404);
+  });
+
+  it('should not change policies of another organization', async () => {
+    const { adminCookie, theirs } = seedOrganizations();
+    const before = { ...theirs };
+
+    const update = await request(app).put(`/api/policies/${theirs.id}`).set('Cookie', adminCookie).send({ title: 'Hijacked' });
+    const submit = await request(app).put(`/api/policies/${theirs.id}/status`).set('Cookie', adminCookie).send({ status: PolicyStatus.IN_REVIEW });
+
+    expect([update.status, submit.status]).toEqual([404, 404]);
+    expect(fakeSupabase.rows('policies').find(p => p.id === theirs.id)).toEqual(before);
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+
+  it('should only link owners and documents of the current organization', async () => {
+    const { adminCookie, outsider, orgB } = seedOrganizations();
+    const [document] = fakeSupabase.seed('documents', [{ organization_id: orgB.id, name: 'Budget' }]);
+
+    const owner = await request(app).post('/api/policies').set('Cookie', adminCookie).send({ title: 'Data protection', ownerId: outsider.id });
+    const linked = await request(app).post('/api/policies').set('Cookie', adminCookie).send({ title: 'Data protection', documentId: document.id });
+
+    expect(owner.status).toBe(400);
+    expect(owner.body.error.code).toBe('NOT_ORGANIZATION_MEMBER');
+    expect(linked.status).toBe(404);
+    expect(fakeSupabase.rows('policies')).toHaveLength(3);
+  });
+});
+
+describe('Policy routes - permissions', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should only show trustees policies in force', async () => {
+    const { trusteeCookie, draft, published } = seedOrganizations();
+
+    const list = await request(app).get('/api/policies').set('Cookie', trusteeCookie);
+    expect(list.status).toBe(200);
+    expect(list.body.data.policies.map((p: any) => p.id)).toEqual([published.id]);
+
+    const hidden = await request(app).get(`/api/policies/${draft.id}`).set('Cookie', trusteeCookie);
+    expect(hidden.status).toBe(404);
+  });
+
+  it('should not let trustees create, edit or delete policies', async () => {
+    const { trusteeCookie, draft } = seedOrganizations();
+
+    const responses = await Promise.all([
+      request(app).post('/api/policies').set('Cookie', trusteeCookie).send({ title: 'Data protection' }),
+      request(app).put(`/api/policies/${draft.id}`).set('Cookie', trusteeCookie).send({ title: 'Renamed' }),
+      request(app).delete(`/api/policies/${draft.id}`).set('Cookie', trusteeCookie)
+    ]);
+
+    expect(responses.map(r => r.status)).toEqual([403, 403, 403]);
+    expect(fakeSupabase.rows('policies')).toHaveLength(3);
+    expect(fakeSupabase.rows('policies').find(p => p.id === draft.id).title).toBe('Safeguarding');
+  });
+
+  it('should let editors submit a policy but only approvers sign it off', async () => {
+    const { secretaryCookie, adminCookie, admin, draft } = seedOrganizations();
+
+    const submit = await request(app)
+      .put(`/api/policies/${draft.id}/status`)
+      .set('Cookie', secretaryCookie)
+      .send({ status: PolicyStatus.IN_REVIEW });
+    expect(submit.status).toBe(200);
+
+    const approveOwn = await request(app)
+      .put(`/api/policies/${draft.id}/status`)
+      .set('Cookie', secretaryCookie)
+      .send({ status: PolicyStatus.APPROVED });
+    expect(approveOwn.status).toBe(403);
+    expect(fakeSupabase.rows('policies').find(p => p.id === draft.id).status).toBe(PolicyStatus.IN_REVIEW);
+    expect(fakeSupabase.rows('policy_approvals')).toHaveLength(0);
+
+    const approve = await request(app)
+      .put(`/api/policies/${draft.id}/status`)
+      .set('Cookie', adminCookie)
+      .send({ status: PolicyStatus.APPROVED });
+    expect(approve.status).toBe(200);
+    expect(fakeSupabase.rows('policy_approvals')).toEqual([
+      expect.objectContaining({ policy_id: draft.id, user_id: admin.id, decision: 'approved' })
+    ]);
+  });
+});
@@ -0,0 +1,120 @@
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import taskRoutes from '../../src/routes/task.routes';
+import { setRateLimitStore } from '../../src/middleware/rate-limit.middleware';
+import { InMemoryRateLimitStore } from '../../src/services/in-memory-rate-limit.store';
+import { SubscriptionService } from '../../src/services/subscription.service';
+import { Role } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/tasks', taskRoutes);
+
+const seedOrganizations = (limits: { user: number; organization: number }) => {
+  const [plan] = fakeSupabase.seed('subscription_plans', [
+    { name: 'Starter', api_rate_limit_user: limits.user, api_rate_limit_org: limits.organization }
+  ]);
+  const [orgA, orgB] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true, plan_id: plan.id },
+    { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true, plan_id: plan.id }
+  ]);
+  const [admin, trustee, outsider] = fakeSupabase.seed('users', [
+    { email: 'admin@riverside.org', first_name: 'Ada', last_name: 'Admin', is_active: true, email_verified: true },
+    { email: 'trustee@riverside.org', first_name: 'Tom', last_name: 'Trustee', is_active: true, email_verified: true },
+    { email: 'owner@hillside.org', first_name: 'Olive', last_name: 'Owner', is_active: true, email_verified: true }
+  ]);
+  fakeSupabase.seed('organization_members', [
+    { organization_id: orgA.id, user_id: admin.id, role: Role.ADMIN, is_active: true },
+    { organization_id: orgA.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true },
+    { organization_id: orgB.id, user_id: outsider.id, role: Role.OWNER, is_active: true }
+  ]);
+
+  return {
+    orgA, orgB, admin, trustee, outsider,
+    adminCookie: authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN }),
+    trusteeCookie: authCookie(trustee, { organizationId: orgA.id, role: Role.TRUSTEE }),
+    outsiderCookie: authCookie(outsider, { organizationId: orgB.id, role: Role.OWNER })
+  };
+};
+
+describe('Rate limiting - organization routes', () => {
+  beforeEach(() => {
+    fakeSupabase.reset();
+    SubscriptionService.clearPlanRateLimitCache();
+    setRateLimitStore(new InMemoryRateLimitStore());
+  });
+
+  afterAll(() => setRateLimitStore(undefined));
+
+  it('should send the plan\'s limits in RateLimit headers', async () => {
+    const { adminCookie } = seedOrganizations({ user: 5, organization: 20 });
+
+    const res = await request(app).get('/api/tasks').set('Cookie', adminCookie);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['ratelimit-limit']).toBe('20');
+    expect(res.headers['ratelimit-remaining']).toBe('19');
+    expect(res.headers['ratelimit-reset']).toBeDefined();
+    expect(res.headers['ratelimit-policy']).toBe('20;w=900');
+  });
+
+  it('should limit each user to their plan\'s allowance', async () => {
+    const { adminCookie, trusteeCookie } = seedOrganizations({ user: 2, organization: 20 });
+
+    const allowed = [
+      await request(app).get('/api/tasks').set('Cookie', adminCookie),
+      await request(app).get('/api/tasks').set('Cookie', adminCookie)
+    ];
+    const limited = await request(app).get('/api/tasks').set('Cookie', adminCookie);
+
+    expect(allowed.map(r => r.status)).toEqual([200, 200]);
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.code).toBe('RATE_LIMITED');
+    expect(limited.headers['retry-after']).toBeDefined();
+    expect(limited.headers['ratelimit-remaining']).toBe('0');
+
+    // Other members keep their own allowance
+    const colleague = await request(app).get('/api/tasks').set('Cookie', trusteeCookie);
+    expect(colleague.status).toBe(200);
+  });
+
+  it('should share the organization allowance between its members only', async () => {
+    const { adminCookie, trusteeCookie, outsiderCookie } = seedOrganizations({ user: 10, organization: 2 });
+
+    await request(app).get('/api/tasks').set('Cookie', adminCookie);
+    await request(app).get('/api/tasks').set('Cookie', trusteeCookie);
+    const limited = await request(app).get('/api/tasks').set('Cookie', trusteeCookie);
+
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.code).toBe('ORG_RATE_LIMITED');
+
+    // Another organization on the same plan is counted separately
+    const other = await request(app).get('/api/tasks').set('Cookie', outsiderCookie);
+    expect(other.status).toBe(200);
+  });
+
+  it('should not create anything once a request is limited', async () => {
+    const { adminCookie } = seedOrganizations({ user: 1, organization: 20 });
+
+    await request(app).get('/api/tasks').set('Cookie', adminCookie);
+    const res = await request(app).post('/api/tasks').set('Cookie', adminCookie).send({ title: 'File the annual return' });
+
+    expect(res.status).toBe(429);
+    expect(fakeSupabase.rows('tasks')).toHaveLength(0);
+  });
+
+  it('should let requests through when the store is unavailable', async () => {
+    const { adminCookie } = seedOrganizations({ user: 1, organization: 1 });
+    const failing = new InMemoryRateLimitStore();
+    jest.spyOn(failing, 'increment').mockRejectedValue(new Error('connection refused'));
+    setRateLimitStore(failing);
+
+    const responses = [
+      await request(app).get('/api/tasks').set('Cookie', adminCookie),
+      await request(app).get('/api/tasks').set('Cookie', adminCookie)
+    ];
+
+    expect(responses.map(r => r.status)).toEqual([200, 200]);
+  });
+});
@@ -0,0 +1,198 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import { Role } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+// CVs are stored under UPLOAD_DIR, read when the routes load
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recruitment-test-'));
+process.env.UPLOAD_DIR = uploadDir;
+const recruitmentRoutes = require('../../src/routes/recruitment.routes').default;
+
+const app = createTestApp('/api/recruitment', recruitmentRoutes);
+
+afterAll(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+const CV_ID = '3f0c2a58-7d4e-4b8e-9c57-2f1e6d0b9a11';
+
+const seedApplication = () => {
+  const [org] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true }
+  ]);
+  const [admin, trustee] = fakeSupabase.seed('users', [
+    { email: 'admin@riverside.org', first_name: 'Ada', last_name: 'Admin', is_active: true, email_verified: true },
+    { email: 'trustee@riverside.org', first_name: 'Tom', last_name: 'Trustee', is_active: true, email_verified: true }
+  ]);
+  fakeSupabase.seed('organization_members', [
+    { organization_id: org.id, user_id: admin.id, role: Role.ADMIN, is_active: true },
+    { organization_id: org.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true }
+  ]);
+  const [job] = fakeSupabase.seed('job_openings', [{ organization_id: org.id, title: 'Treasurer', status: 'active' }]);
+  const [application] = fakeSupabase.seed('applications', [{
+    organization_id: org.id,
+    job_id: job.id,
+    first_name: 'Jane',
+    last_name: 'Applicant',
+    email: 'jane@example.org',
+    status: 'applied',
+    cv_path: path.join('uploads', 'cvs', `${CV_ID}.pdf`)
+  }]);
+
+  return { org, admin, trustee, application };
+};
+
+describe('Recruitment routes - CVs', () => {
+  beforeAll(() => {
+    fs.mkdirSync(path.join(uploadDir, 'cvs'), { recursive: true });
+    fs.writeFileSync(path.join(uploadDir, 'cvs', `${CV_ID}.pdf`), '%PDF-1.4 test cv');
+  });
+
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should identify the CV without exposing where it is stored', async () => {
+    const { org, admin, application } = seedApplication();
+
+    const res = await request(app)
+      .get(`/api/recruitment/applications/${application.id}`)
+      .set('Cookie', authCookie(admin, { organizationId: org.id, role: Role.ADMIN }));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.application.cvId).toBe(CV_ID);
+    expect(JSON.stringify(res.body)).not.toContain('uploads');
+  });
+
+  it('should stream the CV to recruiters and record the download', async () => {
+    const { org, admin, application } = seedApplication();
+
+    const res = await request(app)
+      .get(`/api/recruitment/applications/${application.id}/cv`)
+      .set('Cookie', authCookie(admin, { organizationId: org.id, role: Role.ADMIN }))
+      .buffer(true)
+      .parse((response, callback) => {
+        const chunks: Buffer[] = [];
+        response.on('data', (chunk: Buffer) => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toContain('attachment; filename="CV - Jane Applicant.pdf"');
+    expect(res.body.toString()).toBe('%PDF-1.4 test cv');
+    expect(fakeSupabase.rows('audit_logs')).toEqual([
+      expect.objectContaining({ action: 'data_access', resource_id: application.id, user_id: admin.id })
+    ]);
+  });
+
+  it('should refuse members without recruitment access', async () => {
+    const { org, trustee, application } = seedApplication();
+
+    const res = await request(app)
+      .get(`/api/recruitment/applications/${application.id}/cv`)
+      .set('Cookie', authCookie(trustee, { organizationId: org.id, role: Role.TRUSTEE }));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 when the application has no CV', async () => {
+    const { org, admin } = seedApplication();
+    const [application] = fakeSupabase.seed('applications', [{
+      organization_id: org.id,
+      first_name: 'Sam',
+      last_name: 'NoCv',
+      email: 'sam@example.org',
+      status: 'applied',
+      cv_path: null
+    }]);
+
+    const res = await request(app)
+      .get(`/api/recruitment/applications/${application.id}/cv`)
+      .set('Cookie', authCookie(admin, { organizationId: org.id, role: Role.ADMIN }));
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Recruitment routes - public applications', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  const seedJob = (status = 'active') => {
+    const [org] = fakeSupabase.seed('organizations', [
+      { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true }
+    ]);
+    const [job] = fakeSupabase.seed('job_openings', [{ organization_id: org.id, title: 'Treasurer', status }]);
+    return job;
+  };
+
+  const apply = (jobId: string, cv: Buffer, filename: string, contentType: string) => request(app)
+    .post(`/api/recruitment/public/jobs/${jobId}/apply`)
+    .field('firstName', 'Jane')
+    .field('lastName', 'Applicant')
+    .field('email', 'jane@example.org')
+    .attach('cv', cv, { filename, contentType });
+
+  const storedCvs = () => fs.readdirSync(path.join(uploadDir, 'cvs'));
+
+  it('should show active jobs', async () => {
+    const job = seedJob();
+
+    const res = await request(app).get(`/api/recruitment/public/jobs/${job.id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.job).toMatchObject({ id: job.id, title: 'Treasurer', acceptingApplications: true });
+  });
+
+  it.each(['paused', 'closed'])('should not show %s jobs', async status => {
+    const job = seedJob(status);
+
+    const res = await request(app).get(`/api/recruitment/public/jobs/${job.id}`);
+
+    expect(res.status).toBe(404);
+    expect(JSON.stringify(res.body)).not.toContain('Treasurer');
+  });
+
+  it('should not take applications for closed jobs', async () => {
+    const job = seedJob('closed');
+
+    const res = await apply(job.id, Buffer.from('%PDF-1.4 cv'), 'cv.pdf', 'application/pdf');
+
+    expect(res.status).toBe(404);
+    expect(fakeSupabase.rows('applications')).toHaveLength(0);
+  });
+
+  it('should accept a PDF CV', async () => {
+    const job = seedJob();
+
+    const res = await apply(job.id, Buffer.from('%PDF-1.4 cv'), 'cv.pdf', 'application/pdf');
+
+    expect(res.status).toBe(201);
+    expect(fakeSupabase.rows('applications')[0].cv_path).toMatch(/\.pdf$/);
+  });
+
+  it('should refuse a CV whose extension does not match its type', async () => {
+    const job = seedJob();
+    const before = storedCvs();
+
+    const res = await apply(job.id, Buffer.from('%PDF-1.4 cv'), 'cv.html', 'application/pdf');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_FILE_TYPE');
+    expect(fakeSupabase.rows('applications')).toHaveLength(0);
+    expect(storedCvs()).toEqual(before);
+  });
+
+  it('should refuse and remove a CV whose contents are not the claimed format', async () => {
+    const job = seedJob();
+    const before = storedCvs();
+
+    const res = await apply(job.id, Buffer.from('<script>alert(1)</script>'), 'cv.pdf', 'application/pdf');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_FILE_TYPE');
+    expect(fakeSupabase.rows('applications')).toHaveLength(0);
+    expect(storedCvs()).toEqual(before);
+  });
+});
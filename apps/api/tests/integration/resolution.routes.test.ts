@@ -0,0 +1,147 @@
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import resolutionRoutes from '../../src/routes/resolution.routes';
+import { PassThreshold, ResolutionStatus, ResolutionType, Role, VoteChoice } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/resolutions', resolutionRoutes);
+
+const inAWeek = () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
+
+const seedOrganizations = () => {
+  const [orgA, orgB] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true },
+    { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true }
+  ]);
+  const [chair, trustee, colleague, viewer, outsider] = fakeSupabase.seed('users', [
+    { email: 'chair@riverside.org', first_name: 'Cara', last_name: 'Chair', is_active: true, email_verified: true },
+    { email: 'trustee@riverside.org', first_name: 'Tom', last_name: 'Trustee', is_active: true, email_verified: true },
+    { email: 'colleague@riverside.org', first_name: 'Cat', last_name: 'Colleague', is_active: true, email_verified: true },
+    { email: 'viewer@riverside.org', first_name: 'Vic', last_name: 'Viewer', is_active: true, email_verified: true },
+    { email: 'owner@hillside.org', first_name: 'Olive', last_name: 'Owner', is_active: true, email_verified: true }
+  ]);
+  fakeSupabase.seed('organization_members', [
+    { organization_id: orgA.id, user_id: chair.id, role: Role.CHAIR, is_active: true },
+    { organization_id: orgA.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true },
+    { organization_id: orgA.id, user_id: colleague.id, role: Role.TRUSTEE, is_active: true },
+    { organization_id: orgA.id, user_id: viewer.id, role: Role.VIEWER, is_active: true },
+    { organization_id: orgB.id, user_id: outsider.id, role: Role.OWNER, is_active: true }
+  ]);
+  const written = { type: ResolutionType.WRITTEN, pass_threshold: PassThreshold.SIMPLE_MAJORITY, quorum_percent: 50 };
+  const [draft, open, theirs] = fakeSupabase.seed('resolutions', [
+    { ...written, organization_id: orgA.id, title: 'Adopt reserves policy', motion: 'That the board adopts the policy', status: ResolutionStatus.DRAFT, proposer_id: colleague.id, created_by: colleague.id },
+    { ...written, organization_id: orgA.id, title: 'Approve accounts', motion: 'That the accounts are approved', status: ResolutionStatus.OPEN, proposer_id: chair.id, seconder_id: colleague.id, eligible_voter_ids: [chair.id, colleague.id], voting_opens_at: new Date().toISOString(), voting_closes_at: inAWeek() },
+    { ...written, organization_id: orgB.id, title: 'Sell the hall', motion: 'That the hall is sold', status: ResolutionStatus.OPEN, proposer_id: outsider.id, eligible_voter_ids: [outsider.id], voting_opens_at: new Date().toISOString(), voting_closes_at: inAWeek() }
+  ]);
+
+  return {
+    orgA, orgB, chair, trustee, colleague, viewer, outsider, draft, open, theirs,
+    chairCookie: authCookie(chair, { organizationId: orgA.id, role: Role.CHAIR }),
+    trusteeCookie: authCookie(trustee, { organizationId: orgA.id, role: Role.TRUSTEE }),
+    viewerCookie: authCookie(viewer, { organizationId: orgA.id, role: Role.VIEWER })
+  };
+};
+
+describe('Resolution routes - organization scoping', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should refuse a token for an organization the user does not belong to', async () => {
+    const { chair, orgB } = seedOrganizations();
+
+    const res = await request(app)
+      .get('/api/resolutions')
+      .set('Cookie', authCookie(chair, { organizationId: orgB.id, role: Role.CHAIR }));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should only list and load resolutions of the current organization', async () => {
+    const { chairCookie, draft, open, theirs } = seedOrganizations();
+
+    const list = await request(app).get('/api/resolutions').set('Cookie', chairCookie);
+    expect(list.status).toBe(200);
+    expect(list.body.data.resolutions.map((r: any) => r.id).sort()).toEqual([draft.id, open.id].sort());
+
+    const other = await request(app).get(`/api/resolutions/${theirs.id}`).set('Cookie', chairCookie);
+    expect(other.status).toBe(404);
+  });
+
+  it('should not vote on or close resolutions of another organization', async () => {
+    const { chairCookie, theirs } = seedOrganizations();
+    const before = { ...theirs };
+
+    const vote = await request(app).put(`/api/resolutions/${theirs.id}/vote`).set('Cookie', chairCookie).send({ vote: VoteChoice.FOR });
+    const close = await request(app).post(`/api/resolutions/${theirs.id}/close`).set('Cookie', chairCookie);
+
+    expect([vote.status, close.status]).toEqual([404, 404]);
+    expect(fakeSupabase.rows('resolutions').find(r => r.id === theirs.id)).toEqual(before);
+    expect(fakeSupabase.rows('resolution_votes')).toHaveLength(0);
+  });
+
+  it('should only link meetings and seconders of the current organization', async () => {
+    const { chairCookie, outsider, orgB } = seedOrganizations();
+    const [meeting] = fakeSupabase.seed('meetings', [
+      { organization_id: orgB.id, title: 'Hillside board', meeting_date: '2026-09-02T18:00:00Z', status: 'scheduled' }
+    ]);
+
+    const linked = await request(app).post('/api/resolutions').set('Cookie', chairCookie).send({
+      type: ResolutionType.MEETING, title: 'Sell the hall', motion: 'That the hall is sold', meetingId: meeting.id
+    });
+    const seconded = await request(app).post('/api/resolutions').set('Cookie', chairCookie).send({
+      type: ResolutionType.WRITTEN, title: 'Sell the hall', motion: 'That the hall is sold', seconderId: outsider.id
+    });
+
+    expect(linked.status).toBe(404);
+    expect(seconded.status).toBe(400);
+    expect(seconded.body.error.details.errors).toHaveProperty('seconderId');
+    expect(fakeSupabase.rows('resolutions')).toHaveLength(3);
+  });
+});
+
+describe('Resolution routes - permissions', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should not let viewers propose resolutions', async () => {
+    const { viewerCookie } = seedOrganizations();
+
+    const res = await request(app).post('/api/resolutions').set('Cookie', viewerCookie).send({
+      type: ResolutionType.WRITTEN, title: 'Buy a minibus', motion: 'That a minibus is bought'
+    });
+
+    expect(res.status).toBe(403);
+    expect(fakeSupabase.rows('resolutions')).toHaveLength(3);
+  });
+
+  it('should not let trustees edit someone else\'s draft, open voting or close it', async () => {
+    const { trusteeCookie, draft, open } = seedOrganizations();
+
+    const responses = await Promise.all([
+      request(app).put(`/api/resolutions/${draft.id}`).set('Cookie', trusteeCookie).send({ title: 'Renamed' }),
+      request(app).put(`/api/resolutions/${draft.id}/status`).set('Cookie', trusteeCookie).send({ status: ResolutionStatus.OPEN }),
+      request(app).post(`/api/resolutions/${open.id}/close`).set('Cookie', trusteeCookie)
+    ]);
+
+    expect(responses.map(r => r.status)).toEqual([403, 403, 403]);
+    expect(fakeSupabase.rows('resolutions').find(r => r.id === draft.id)).toMatchObject({
+      title: 'Adopt reserves policy',
+      status: ResolutionStatus.DRAFT
+    });
+    expect(fakeSupabase.rows('resolutions').find(r => r.id === open.id).status).toBe(ResolutionStatus.OPEN);
+  });
+
+  it('should only take votes from the trustees eligible when voting opened', async () => {
+    const { trusteeCookie, chairCookie, chair, open } = seedOrganizations();
+
+    const ineligible = await request(app).put(`/api/resolutions/${open.id}/vote`).set('Cookie', trusteeCookie).send({ vote: VoteChoice.FOR });
+    expect(ineligible.status).toBe(403);
+    expect(fakeSupabase.rows('resolution_votes')).toHaveLength(0);
+
+    const eligible = await request(app).put(`/api/resolutions/${open.id}/vote`).set('Cookie', chairCookie).send({ vote: VoteChoice.FOR });
+    expect(eligible.status).toBe(200);
+    expect(fakeSupabase.rows('resolution_votes')).toEqual([
+      expect.objectContaining({ resolution_id: open.id, user_id: chair.id, vote: VoteChoice.FOR })
+    ]);
+  });
+});
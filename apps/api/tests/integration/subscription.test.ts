@@ -0,0 +1,79 @@
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import billingRoutes from '../../src/routes/billing.routes';
+import taskRoutes from '../../src/routes/task.routes';
+import { Role, SubscriptionStatus } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const tasksApp = createTestApp('/api/tasks', taskRoutes);
+const billingApp = createTestApp('/api/billing', billingRoutes);
+
+const daysAgo = (days: number) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const seedOrganization = (organization: Record<string, any>) => {
+  const [org] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', is_active: true, ...organization }
+  ]);
+  const [owner] = fakeSupabase.seed('users', [
+    { email: 'owner@riverside.org', first_name: 'Olive', last_name: 'Owner', is_active: true, email_verified: true }
+  ]);
+  fakeSupabase.seed('organization_members', [{ organization_id: org.id, user_id: owner.id, role: Role.OWNER, is_active: true }]);
+
+  return { org, owner, cookie: authCookie(owner, { organizationId: org.id, role: Role.OWNER }) };
+};
+
+describe('Subscription access - organization routes', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should keep full access during the grace period', async () => {
+    const { cookie } = seedOrganization({ subscription_status: SubscriptionStatus.TRIAL, trial_ends_at: daysAgo(1) });
+
+    const res = await request(tasksApp).post('/api/tasks').set('Cookie', cookie).send({ title: 'Choose a plan' });
+
+    expect(res.status).toBe(201);
+  });
+
+  it('should make an organization read-only once the grace period is over', async () => {
+    const { cookie } = seedOrganization({ subscription_status: SubscriptionStatus.TRIAL, trial_ends_at: daysAgo(30) });
+
+    const read = await request(tasksApp).get('/api/tasks').set('Cookie', cookie);
+    expect(read.status).toBe(200);
+
+    const write = await request(tasksApp).post('/api/tasks').set('Cookie', cookie).send({ title: 'Choose a plan' });
+    expect(write.status).toBe(402);
+    expect(write.body.error.code).toBe('TRIAL_EXPIRED');
+    expect(write.body.error.details).toMatchObject({ accessMode: 'read_only', subscriptionStatus: SubscriptionStatus.TRIAL });
+    expect(fakeSupabase.rows('tasks')).toHaveLength(0);
+  });
+
+  it('should lock a suspended organization', async () => {
+    const { cookie } = seedOrganization({ subscription_status: SubscriptionStatus.SUSPENDED });
+
+    const res = await request(tasksApp).get('/api/tasks').set('Cookie', cookie);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error.code).toBe('ORGANIZATION_SUSPENDED');
+  });
+
+  it('should not restrict super admins', async () => {
+    const { org } = seedOrganization({ subscription_status: SubscriptionStatus.SUSPENDED });
+    const [admin] = fakeSupabase.seed('users', [{ email: 'admin@platform.org', is_active: true, email_verified: true, is_super_admin: true }]);
+
+    const res = await request(tasksApp)
+      .get('/api/tasks')
+      .set('Cookie', authCookie(admin, { organizationId: org.id }));
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should keep billing open so a lapsed organization can pay', async () => {
+    const { cookie } = seedOrganization({ subscription_status: SubscriptionStatus.PAST_DUE, current_period_end: daysAgo(30) });
+
+    const res = await request(billingApp).get('/api/billing/subscription').set('Cookie', cookie);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.access).toMatchObject({ mode: 'read_only', code: 'PAYMENT_OVERDUE' });
+  });
+});
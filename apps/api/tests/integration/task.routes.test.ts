@@ -0,0 +1,122 @@
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import taskRoutes from '../../src/routes/task.routes';
+import { Role, TaskStatus } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/tasks', taskRoutes);
+
+const seedOrganizations = () => {
+  const [orgA, orgB] = fakeSupabase.seed('organizations', [
+    { name: 'Riverside Trust', slug: 'riverside-trust', subscription_status: 'active', is_active: true },
+    { name: 'Hillside Trust', slug: 'hillside-trust', subscription_status: 'active', is_active: true }
+  ]);
+  const [admin, trustee, outsider] = fakeSupabase.seed('users', [
+    { email: 'admin@riverside.org', first_name: 'Ada', last_name: 'Admin', is_active: true, email_verified: true },
+    { email: 'trustee@riverside.org', first_name: 'Tom', last_name: 'Trustee', is_active: true, email_verified: true },
+    { email: 'owner@hillside.org', first_name: 'Olive', last_name: 'Owner', is_active: true, email_verified: true }
+  ]);
+  fakeSupabase.seed('organization_members', [
+    { organization_id: orgA.id, user_id: admin.id, role: Role.ADMIN, is_active: true },
+    { organization_id: orgA.id, user_id: trustee.id, role: Role.TRUSTEE, is_active: true },
+    { organization_id: orgB.id, user_id: outsider.id, role: Role.OWNER, is_active: true }
+  ]);
+  const [ours, theirs] = fakeSupabase.seed('tasks', [
+    { organization_id: orgA.id, title: 'File the annual return', status: TaskStatus.PENDING, priority: 'medium', created_by: admin.id },
+    { organization_id: orgB.id, title: 'Renew insurance', status: TaskStatus.PENDING, priority: 'medium', created_by: outsider.id }
+  ]);
+
+  return {
+    orgA, orgB, admin, trustee, outsider, ours, theirs,
+    adminCookie: authCookie(admin, { organizationId: orgA.id, role: Role.ADMIN }),
+    trusteeCookie: authCookie(trustee, { organizationId: orgA.id, role: Role.TRUSTEE })
+  };
+};
+
+describe('Task routes - organization scoping', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should refuse a token for an organization the user does not belong to', async () => {
+    const { admin, orgB } = seedOrganizations();
+
+    const res = await request(app)
+      .get('/api/tasks')
+      .set('Cookie', authCookie(admin, { organizationId: orgB.id, role: Role.ADMIN }));
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should only list and load tasks of the current organization', async () => {
+    const { adminCookie, ours, theirs } = seedOrganizations();
+
+    const list = await request(app).get('/api/tasks').set('Cookie', adminCookie);
+    expect(list.status).toBe(200);
+    expect(list.body.data.tasks.map((t: any) => t.id)).toEqual([ours.id]);
+
+    const other = await request(app).get(`/api/tasks/${theirs.id}`).set('Cookie', adminCookie);
+    expect(other.status).toBe(404);
+  });
+
+  it('should not change tasks of another organization', async () => {
+    const { orgA, theirs } = seedOrganizations();
+    const before = { ...theirs };
+    // Owners are the only role that can delete tasks
+    const [owner] = fakeSupabase.seed('users', [{ email: 'owner@riverside.org', is_active: true, email_verified: true }]);
+    fakeSupabase.seed('organization_members', [{ organization_id: orgA.id, user_id: owner.id, role: Role.OWNER, is_active: true }]);
+    const cookie = authCookie(owner, { organizationId: orgA.id, role: Role.OWNER });
+
+    const update = await request(app).put(`/api/tasks/${theirs.id}`).set('Cookie', cookie).send({ title: 'Hijacked' });
+    const complete = await request(app).post(`/api/tasks/${theirs.id}/complete`).set('Cookie', cookie);
+    const remove = await request(app).delete(`/api/tasks/${theirs.id}`).set('Cookie', cookie);
+
+    expect([update.status, complete.status, remove.status]).toEqual([404, 404, 404]);
+    expect(fakeSupabase.rows('tasks').find(t => t.id === theirs.id)).toEqual(before);
+    expect(fakeSupabase.rows('audit_logs')).toHaveLength(0);
+  });
+
+  it('should only assign tasks to members of the current organization', async () => {
+    const { adminCookie, outsider } = seedOrganizations();
+
+    const res = await request(app)
+      .post('/api/tasks')
+      .set('Cookie', adminCookie)
+      .send({ title: 'Review accounts', assignedTo: outsider.id });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('NOT_ORGANIZATION_MEMBER');
+    expect(fakeSupabase.rows('tasks')).toHaveLength(2);
+  });
+});
+
+describe('Task routes - permissions', () => {
+  beforeEach(() => fakeSupabase.reset());
+
+  it('should let trustees see tasks but not create or delete them', async () => {
+    const { trusteeCookie, ours } = seedOrganizations();
+
+    const list = await request(app).get('/api/tasks').set('Cookie', trusteeCookie);
+    const create = await request(app).post('/api/tasks').set('Cookie', trusteeCookie).send({ title: 'Review accounts' });
+    const remove = await request(app).delete(`/api/tasks/${ours.id}`).set('Cookie', trusteeCookie);
+
+    expect(list.status).toBe(200);
+    expect([create.status, remove.status]).toEqual([403, 403]);
+    expect(fakeSupabase.rows('tasks')).toHaveLength(2);
+  });
+
+  it('should only let the assignee or a task manager complete a task', async () => {
+    const { trusteeCookie, trustee, ours, orgA } = seedOrganizations();
+    const [assigned] = fakeSupabase.seed('tasks', [
+      { organization_id: orgA.id, title: 'Read the board pack', status: TaskStatus.PENDING, priority: 'low', assigned_to: trustee.id }
+    ]);
+
+    const notTheirs = await request(app).post(`/api/tasks/${ours.id}/complete`).set('Cookie', trusteeCookie);
+    expect(notTheirs.status).toBe(403);
+    expect(fakeSupabase.rows('tasks').find(t => t.id === ours.id).status).toBe(TaskStatus.PENDING);
+
+    const theirOwn = await request(app).post(`/api/tasks/${assigned.id}/complete`).set('Cookie', trusteeCookie);
+    expect(theirOwn.status).toBe(200);
+    expect(theirOwn.body.data.task).toMatchObject({ status: TaskStatus.COMPLETED, completedBy: trustee.id });
+  });
+});
@@ -0,0 +1,74 @@
+import bcrypt from 'bcryptjs';
+import request from 'supertest';
+import { fakeSupabase } from '../helpers/supabase-fake';
+import { authCookie, createTestApp } from '../helpers/test-app';
+import userRoutes from '../../src/routes/user.routes';
+import { Role, SubscriptionStatus } from '../../src/types';
+
+jest.mock('../../src/config/database', () => require('../helpers/supabase-fake').mockDatabaseModule());
+
+const app = createTestApp('/api/users', userRoutes);
+
+const PASSWORD = 'Correct-horse-1';
+
+// An unverified account past its grace period, signed in to a suspended organization
+const seedRestrictedUser = () => {
+  const [organization] = fakeSupabase.seed('organizations', [{
+    name: 'Riverside Trust',
+    slug: 'riverside-trust',
+    subscription_status: SubscriptionStatus.SUSPENDED,
+    is_active: true
+  }]);
+  const [user] = fakeSupabase.seed('users', [{
+    email: 'trustee@riverside.org',
+    password_hash: bcrypt.hashSync(PASSWORD, 4),
+    first_name: 'Tom',
+    last_name: 'Trustee',
+    is_active: true,
+    email_verified: false,
+    created_at: '2026-01-01T00:00:00Z'
+  }]);
+  fakeSupabase.seed('organization_members', [
+    { organization_id: organization.id, user_id: user.id, role: Role.TRUSTEE, is_active: true }
+  ]);
+
+  return authCookie(user, { organizationId: organization.id, role: Role.TRUSTEE });
+};
+
+describe('User routes - account changes for restricted users', () => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY;
+
+  beforeEach(() => {
+    process.env.EMAIL_VERIFICATION_POLICY = 'blocked';
+    process.env.FRONTEND_URL = 'https://app.example.org';
+    fakeSupabase.reset();
+  });
+
+  afterAll(() => {
+    process.env.EMAIL_VERIFICATION_POLICY = policy;
+  });
+
+  it('should still let them change their email address', async () => {
+    const cookie = seedRestrictedUser();
+
+    const res = await request(app)
+      .post('/api/users/change-email')
+      .set('Cookie', cookie)
+      .send({ newEmail: 'tom@hillside.org', password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(fakeSupabase.rows('email_change_requests')).toHaveLength(1);
+  });
+
+  it('should still let them ask for their account to be deleted', async () => {
+    const cookie = seedRestrictedUser();
+
+    const res = await request(app)
+      .delete('/api/users/account')
+      .set('Cookie', cookie)
+      .send({ password: PASSWORD });
+
+    expect(res.status).toBe(200);
+    expect(fakeSupabase.rows('users')[0].deletion_scheduled_for).toBe(res.body.data.scheduledFor);
+  });
+});
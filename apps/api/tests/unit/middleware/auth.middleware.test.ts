@@ -0,0 +1,68 @@
+import { fakeSupabase } from '../../helpers/supabase-fake';
+import { optionalAuth, requireOrganization } from '../../../src/middleware/auth.middleware';
+import { generateAccessToken } from '../../../src/services/token.service';
+import { AppError } from '../../../src/utils/api-response';
+
+jest.mock('../../../src/config/database', () => require('../../helpers/supabase-fake').mockDatabaseModule());
+
+describe('requireOrganization', () => {
+  const run = (req: any) => {
+    const next = jest.fn();
+    requireOrganization(req, {} as any, next);
+    return next.mock.calls[0][0];
+  };
+
+  it('should pass requests signed in to an organization', () => {
+    expect(run({ user: { id: 'user-1' }, organization: { id: 'org-a' } })).toBeUndefined();
+  });
+
+  it('should ask users without an organization to pick one', () => {
+    const error = run({ user: { id: 'user-1' } });
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toMatchObject({ statusCode: 400, code: 'ORGANIZATION_REQUIRED' });
+  });
+
+  it('should reject unauthenticated requests', () => {
+    expect(run({ organization: { id: 'org-a' } })).toMatchObject({ statusCode: 401 });
+  });
+});
+
+describe('optionalAuth', () => {
+  let user: any;
+
+  const run = async (sid?: string) => {
+    const token = generateAccessToken({ sub: user.id, email: user.email, isSuperAdmin: false, sid });
+    const req: any = { cookies: { access_token: token }, headers: {} };
+    const next = jest.fn();
+    await optionalAuth(req, {} as any, next);
+    expect(next).toHaveBeenCalledWith();
+    return req;
+  };
+
+  const seedSession = (overrides: Record<string, any> = {}) => fakeSupabase.seed('user_sessions', [{
+    user_id: user.id,
+    expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    ...overrides
+  }])[0];
+
+  beforeEach(() => {
+    fakeSupabase.reset();
+    [user] = fakeSupabase.seed('users', [{ email: 'trustee@charity.org', is_active: true }]);
+  });
+
+  it('should sign in requests from an active session', async () => {
+    const session = seedSession();
+
+    const req = await run(session.id);
+
+    expect(req.user).toMatchObject({ id: user.id });
+    expect(req.sessionId).toBe(session.id);
+  });
+
+  it('should treat signed-out sessions and tokens without one as anonymous', async () => {
+    const revoked = seedSession({ revoked_at: new Date().toISOString() });
+
+    expect((await run(revoked.id)).user).toBeUndefined();
+    expect((await run()).user).toBeUndefined();
+  });
+});
@@ -0,0 +1,32 @@
+import { connectRateLimitStore, getRateLimitStore, setRateLimitStore } from '../../../src/middleware/rate-limit.middleware';
+
+describe('rate limit store', () => {
+  const redisUrl = process.env.REDIS_URL;
+
+  afterEach(() => {
+    if (redisUrl === undefined) delete process.env.REDIS_URL;
+    else process.env.REDIS_URL = redisUrl;
+    setRateLimitStore(undefined);
+  });
+
+  it('should count in memory when Redis is not configured', async () => {
+    delete process.env.REDIS_URL;
+    setRateLimitStore(undefined);
+
+    expect((await connectRateLimitStore()).name).toBe('memory');
+  });
+
+  it('should use Redis when REDIS_URL is set', () => {
+    process.env.REDIS_URL = 'redis://127.0.0.1:6379';
+    setRateLimitStore(undefined);
+
+    expect(getRateLimitStore().name).toBe('redis');
+  });
+
+  it('should fail rather than fall back to memory when Redis is unreachable', async () => {
+    process.env.REDIS_URL = 'redis://127.0.0.1:1';
+    setRateLimitStore(undefined);
+
+    await expect(connectRateLimitStore()).rejects.toThrow();
+  });
+});
@@ -0,0 +1,129 @@
+import { fakeSupabase } from '../../helpers/supabase-fake';
+import { AccountErasureService } from '../../../src/services/account-erasure.service';
+import { AuditAction } from '../../../src/types';
+
+jest.mock('../../../src/config/database', () => require('../../helpers/supabase-fake').mockDatabaseModule());
+
+describe('AccountErasureService.getScheduledErasure', () => {
+  it('should add the cooling-off period to the request time', () => {
+    expect(AccountErasureService.getScheduledErasure(new Date('2026-06-01T12:00:00Z'), 30).toISOString())
+      .toBe('2026-07-01T12:00:00.000Z');
+  });
+});
+
+describe('AccountErasureService.isPendingDeletion', () => {
+  it('should only count scheduled accounts that have not been erased yet', () => {
+    expect(AccountErasureService.isPendingDeletion({ deletion_scheduled_for: '2026-07-01T12:00:00Z' })).toBe(true);
+    expect(AccountErasureService.isPendingDeletion({ deletion_scheduled_for: null })).toBe(false);
+    expect(AccountErasureService.isPendingDeletion({
+      deletion_scheduled_for: '2026-07-01T12:00:00Z',
+      deleted_at: '2026-07-01T13:00:00Z'
+    })).toBe(false);
+  });
+});
+
+describe('AccountErasureService.pseudonymFor', () => {
+  it('should give the same user the same pseudonym', () => {
+    const pseudonym = AccountErasureService.pseudonymFor('user-1');
+    expect(pseudonym).toMatch(/^deleted-user-[0-9a-f]{12}$/);
+    expect(AccountErasureService.pseudonymFor('user-1')).toBe(pseudonym);
+    expect(AccountErasureService.pseudonymFor('user-2')).not.toBe(pseudonym);
+  });
+});
+
+describe('AccountErasureService.findSoleOwnerships', () => {
+  it('should list organizations where the user is the only owner', () => {
+    const owners = [
+      { organization_id: 'org-a', user_id: 'user-1', organizations: { name: 'Riverside Trust' } },
+      { organization_id: 'org-b', user_id: 'user-1', organizations: { name: 'Hillside Trust' } },
+      { organization_id: 'org-b', user_id: 'user-2', organizations: { name: 'Hillside Trust' } }
+    ];
+
+    expect(AccountErasureService.findSoleOwnerships('user-1', owners)).toEqual([{ id: 'org-a', name: 'Riverside Trust' }]);
+    expect(AccountErasureService.findSoleOwnerships('user-2', owners)).toEqual([]);
+  });
+});
+
+describe('AccountErasureService.pseudonymiseDetails', () => {
+  const identifiers = ['jane@charity.org', 'Jane Smith'];
+
+  it('should replace the user\'s email and name wherever they appear', () => {
+    expect(AccountErasureService.pseudonymiseDetails({
+      targetUserEmail: 'Jane@Charity.org',
+      note: 'Removed Jane Smith from the board',
+      changes: [{ from: 'jane@charity.org', to: 'new@charity.org' }]
+    }, identifiers, 'deleted-user-1')).toEqual({
+      targetUserEmail: 'deleted-user-1',
+      note: 'Removed deleted-user-1 from the board',
+      changes: [{ from: 'deleted-user-1', to: 'new@charity.org' }]
+    });
+  });
+
+  it('should leave other values alone', () => {
+    const details = { count: 3, approved: true, reason: null, email: 'other@charity.org' };
+    expect(AccountErasureService.pseudonymiseDetails(details, identifiers, 'deleted-user-1')).toEqual(details);
+  });
+});
+
+describe('AccountErasureService.erase', () => {
+  const email = "jane.o'neil+board@charity.org";
+  let user: any;
+
+  beforeEach(() => {
+    fakeSupabase.reset();
+    [user] = fakeSupabase.seed('users', [{
+      email,
+      first_name: 'Jane',
+      last_name: "O'Neil",
+      is_active: true,
+      deletion_requested_at: '2026-06-01T12:00:00Z',
+      deletion_scheduled_for: '2026-07-01T12:00:00Z'
+    }]);
+  });
+
+  const context = { ip_address: '203.0.113.7', user_agent: 'Firefox' };
+
+  it('should drop the request context of the user\'s entries except immutable ones', async () => {
+    const [login, outcome, other] = fakeSupabase.seed('audit_logs', [
+      { user_id: user.id, action: AuditAction.LOGIN, ...context },
+      { user_id: user.id, action: AuditAction.RESOLUTION_OUTCOME, details: { outcome: 'passed' }, ...context },
+      { user_id: 'user-2', action: AuditAction.LOGIN, ...context }
+    ]);
+
+    await AccountErasureService.erase(user);
+
+    expect(login).toMatchObject({ ip_address: null, user_agent: null });
+    expect(outcome).toMatchObject(context);
+    expect(other).toMatchObject(context);
+  });
+
+  it('should pseudonymise entries by, about or naming the user, and leave others alone', async () => {
+    const pseudonym = AccountErasureService.pseudonymFor(user.id);
+    const [own, about, naming, unrelated, outcome] = fakeSupabase.seed('audit_logs', [
+      { user_id: user.id, action: AuditAction.LOGIN, details: { email } },
+      { user_id: 'admin-1', action: AuditAction.ROLE_CHANGE, resource_id: user.id, details: { note: "Made Jane O'Neil chair" } },
+      { user_id: 'admin-1', action: AuditAction.INVITE, resource_id: 'invitation-1', details: { email } },
+      { user_id: 'admin-1', action: AuditAction.INVITE, resource_id: 'invitation-2', details: { email: 'other@charity.org' } },
+      { user_id: user.id, action: AuditAction.RESOLUTION_OUTCOME, details: { proposer: email } }
+    ]);
+
+    await AccountErasureService.erase(user);
+
+    expect(own.details).toEqual({ email: pseudonym });
+    expect(about.details).toEqual({ note: `Made ${pseudonym} chair` });
+    expect(naming.details).toEqual({ email: pseudonym });
+    expect(unrelated.details).toEqual({ email: 'other@charity.org' });
+    expect(outcome.details).toEqual({ proposer: email });
+  });
+
+  it('should purge the profile', async () => {
+    await AccountErasureService.erase(user);
+
+    expect(fakeSupabase.rows('users')[0]).toMatchObject({
+      email: `${AccountErasureService.pseudonymFor(user.id)}@erased.invalid`,
+      first_name: 'Deleted',
+      is_active: false
+    });
+    expect(fakeSupabase.rows('users')[0].deleted_at).toBeTruthy();
+  });
+});
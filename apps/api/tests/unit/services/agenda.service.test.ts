@@ -0,0 +1,54 @@
+import { AgendaService } from '../../../src/services/agenda.service';
+import { AgendaItemType } from '../../../src/types';
+
+describe('AgendaService.buildSchedule', () => {
+  const items = [
+    { id: 'a', duration_minutes: 10 },
+    { id: 'b', duration_minutes: 30 },
+    { id: 'c', duration_minutes: 0 }
+  ];
+
+  it('should run items back to back from the meeting start', () => {
+    const schedule = AgendaService.buildSchedule('2026-03-10T18:00:00.000Z', 60, items);
+
+    expect(schedule.items).toEqual([
+      { id: 'a', startsAt: '2026-03-10T18:00:00.000Z', endsAt: '2026-03-10T18:10:00.000Z' },
+      { id: 'b', startsAt: '2026-03-10T18:10:00.000Z', endsAt: '2026-03-10T18:40:00.000Z' },
+      { id: 'c', startsAt: '2026-03-10T18:40:00.000Z', endsAt: '2026-03-10T18:40:00.000Z' }
+    ]);
+    expect(schedule.totalMinutes).toBe(40);
+    expect(schedule.overrunMinutes).toBe(0);
+  });
+
+  it('should report an agenda that runs past the meeting duration', () => {
+    expect(AgendaService.buildSchedule('2026-03-10T18:00:00.000Z', 30, items).overrunMinutes).toBe(10);
+  });
+});
+
+describe('AgendaService.assertCompleteOrder', () => {
+  it('should accept every item exactly once', () => {
+    expect(() => AgendaService.assertCompleteOrder(['a', 'b', 'c'], ['c', 'a', 'b'])).not.toThrow();
+  });
+
+  it('should reject missing, unknown or repeated items', () => {
+    const invalid = expect.objectContaining({ code: 'INVALID_AGENDA_ORDER' });
+
+    expect(() => AgendaService.assertCompleteOrder(['a', 'b', 'c'], ['a', 'b'])).toThrow(invalid);
+    expect(() => AgendaService.assertCompleteOrder(['a', 'b'], ['a', 'x'])).toThrow(invalid);
+    expect(() => AgendaService.assertCompleteOrder(['a', 'b'], ['a', 'a'])).toThrow(invalid);
+  });
+});
+
+describe('AgendaService.itemsFromTemplate', () => {
+  it('should number copied items after the existing agenda', () => {
+    const rows = AgendaService.itemsFromTemplate([
+      { title: 'Apologies', itemType: AgendaItemType.NOTING, durationMinutes: 5 },
+      { title: 'Budget', description: 'Approve the budget', itemType: AgendaItemType.DECISION, durationMinutes: 20 }
+    ], { id: 'meeting-1', organization_id: 'org-1' }, 3);
+
+    expect(rows).toEqual([
+      expect.objectContaining({ meeting_id: 'meeting-1', organization_id: 'org-1', position: 3, title: 'Apologies', description: null, item_type: 'noting' }),
+      expect.objectContaining({ position: 4, title: 'Budget', item_type: 'decision', duration_minutes: 20 })
+    ]);
+  });
+});
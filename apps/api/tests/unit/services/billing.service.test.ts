@@ -0,0 +1,409 @@
+import { BillingService, getPaymentProvider, setPaymentProvider } from '../../../src/services/billing.service';
+import { InMemoryPaymentProvider } from '../../../src/services/in-memory-payment.provider';
+import { BillingEvent, WebhookSignatureError, calculateProration } from '../../../src/services/payment-provider';
+import { SubscriptionStatus } from '../../../src/types';
+import { fakeSupabase } from '../../helpers/supabase-fake';
+
+jest.mock('../../../src/config/database', () => require('../../helpers/supabase-fake').mockDatabaseModule());
+
+const monthly = { priceId: 'standard-monthly', amount: 3000, interval: 'month' as const };
+const premium = { priceId: 'premium-monthly', amount: 6000, interval: 'month' as const };
+const yearly = { priceId: 'standard-yearly', amount: 30000, interval: 'year' as const };
+
+describe('calculateProration', () => {
+  const periodStart = new Date('2026-04-01T00:00:00Z');
+  const periodEnd = new Date('2026-05-01T00:00:00Z');
+  const halfway = new Date('2026-04-16T00:00:00Z');
+
+  it('should charge the difference for the unused half of the period on upgrade', () => {
+    const result = calculateProration({
+      currentAmount: 3000,
+      currentInterval: 'month',
+      newPrice: premium,
+      periodStart,
+      periodEnd,
+      prorationDate: halfway
+    });
+
+    expect(result.credit).toBe(1500);
+    expect(result.charge).toBe(3000);
+    expect(result.amountDue).toBe(1500);
+    expect(result.periodEnd).toEqual(periodEnd);
+  });
+
+  it('should credit the difference on downgrade', () => {
+    const result = calculateProration({
+      currentAmount: 6000,
+      currentInterval: 'month',
+      newPrice: monthly,
+      periodStart,
+      periodEnd,
+      prorationDate: halfway
+    });
+
+    expect(result.amountDue).toBe(-1500);
+  });
+
+  it('should restart the period and charge in full when the interval changes', () => {
+    const result = calculateProration({
+      currentAmount: 3000,
+      currentInterval: 'month',
+      newPrice: yearly,
+      periodStart,
+      periodEnd,
+      prorationDate: halfway
+    });
+
+    expect(result.charge).toBe(30000);
+    expect(result.amountDue).toBe(28500);
+    expect(result.periodStart).toEqual(halfway);
+    expect(result.periodEnd).toEqual(new Date('2027-04-16T00:00:00Z'));
+  });
+});
+
+describe('InMemoryPaymentProvider', () => {
+  let now: Date;
+  let provider: InMemoryPaymentProvider;
+  let customerId: string;
+
+  beforeEach(async () => {
+    now = new Date('2026-04-01T00:00:00Z');
+    provider = new InMemoryPaymentProvider('whsec_test', () => now);
+    customerId = await provider.createCustomer({ email: 'billing@example.org', name: 'Example Trust', organizationId: 'org-1' });
+  });
+
+  it('should require a payment method to start a paid subscription', async () => {
+    await expect(provider.createSubscription({ customerId, price: monthly, organizationId: 'org-1' }))
+      .rejects.toMatchObject({ statusCode: 402, code: 'PAYMENT_METHOD_REQUIRED' });
+  });
+
+  it('should not create a subscription when the first payment is declined', async () => {
+    provider.addPaymentMethod(customerId, { declines: true });
+
+    await expect(provider.createSubscription({ customerId, price: monthly, organizationId: 'org-1' }))
+      .rejects.toMatchObject({ code: 'PAYMENT_FAILED' });
+    expect(await provider.listInvoices(customerId, 10)).toHaveLength(0);
+  });
+
+  it('should charge the first period and emit subscription.created', async () => {
+    provider.addPaymentMethod(customerId);
+
+    const subscription = await provider.createSubscription({ customerId, price: monthly, organizationId: 'org-1' });
+
+    expect(subscription.status).toBe('active');
+    expect(subscription.organizationId).toBe('org-1');
+    expect(subscription.currentPeriodEnd).toEqual(new Date('2026-05-01T00:00:00Z'));
+
+    const [invoice] = await provider.listInvoices(customerId, 10);
+    expect(invoice).toMatchObject({ amountPaid: 3000, status: 'paid' });
+    expect(provider.events.map(e => e.type)).toEqual(['invoice.paid', 'subscription.created']);
+  });
+
+  it('should start a trial without a payment method', async () => {
+    const trialEnd = new Date('2026-04-15T00:00:00Z');
+
+    const subscription = await provider.createSubscription({ customerId, price: monthly, organizationId: 'org-1', trialEnd });
+
+    expect(subscription.status).toBe('trialing');
+    expect(subscription.currentPeriodEnd).toEqual(trialEnd);
+  });
+
+  it('should invoice the proration immediately on upgrade', async () => {
+    provider.addPaymentMethod(customerId);
+    const subscription = await provider.createSubscription({ customerId, price: monthly, organizationId: 'org-1' });
+    now = new Date('2026-04-16T00:00:00Z');
+
+    const preview = await provider.previewPriceChange(subscription.id, premium, now);
+    const changed = await provider.changeSubscriptionPrice(subscription.id, premium, now);
+
+    expect(preview.amountDue).toBe(1500);
+    expect(changed.priceId).toBe('premium-monthly');
+    const [latest] = await provider.listInvoices(customerId, 1);
+    expect(latest.amountPaid).toBe(1500);
+  });
+
+  it('should apply downgrade credit to the next renewal', async () => {
+    provider.addPaymentMethod(customerId);
+    const subscription = await provider.createSubscription({ customerId, price: premium, organizationId: 'org-1' });
+    now = new Date('2026-04-16T00:00:00Z');
+
+    await provider.changeSubscriptionPrice(subscription.id, monthly, now);
+    now = new Date('2026-05-01T00:00:00Z');
+    provider.renewSubscription(subscription.id);
+
+    const [renewal] = await provider.listInvoices(customerId, 1);
+    expect(renewal.amountDue).toBe(1500);
+  });
+
+  it('should go past due when a renewal payment fails', async () => {
+    const cardId = provider.addPaymentMethod(customerId);
+    const subscription = await provider.createSubscription({ customerId, price: monthly, organizationId: 'org-1' });
+    const decliningCard = provider.addPaymentMethod(customerId, { declines: true });
+    await provider.setDefaultPaymentMethod(customerId, decliningCard);
+
+    const renewed = provider.renewSubscription(subscription.id);
+
+    expect(renewed.status).toBe('past_due');
+    expect(provider.events.slice(-2).map(e => e.type)).toEqual(['invoice.payment_failed', 'subscription.updated']);
+    expect((await provider.listPaymentMethods(customerId)).find(m => m.id === cardId)?.isDefault).toBe(false);
+  });
+
+  it('should cancel at period end on renewal', async () => {
+    provider.addPaymentMethod(customerId);
+    const subscription = await provider.createSubscription({ customerId, price: monthly, organizationId: 'org-1' });
+
+    await provider.cancelSubscription(subscription.id, { atPeriodEnd: true });
+    const renewed = provider.renewSubscription(subscription.id);
+
+    expect(renewed.status).toBe('canceled');
+    expect(provider.events[provider.events.length - 1].type).toBe('subscription.deleted');
+  });
+
+  describe('parseWebhookEvent', () => {
+    let event: BillingEvent;
+
+    beforeEach(async () => {
+      provider.addPaymentMethod(customerId);
+      await provider.createSubscription({ customerId, price: monthly, organizationId: 'org-1' });
+      event = provider.events[provider.events.length - 1];
+    });
+
+    it('should accept a correctly signed payload and restore dates', () => {
+      const { payload, signature } = provider.createWebhookRequest(event);
+
+      const parsed = provider.parseWebhookEvent(Buffer.from(payload), signature);
+
+      expect(parsed.id).toBe(event.id);
+      expect(parsed.subscription?.currentPeriodEnd).toEqual(event.subscription?.currentPeriodEnd);
+    });
+
+    it('should reject a tampered payload', () => {
+      const { payload, signature } = provider.createWebhookRequest(event);
+
+      expect(() => provider.parseWebhookEvent(payload.replace('active', 'canceled'), signature))
+        .toThrow(WebhookSignatureError);
+    });
+
+    it('should reject a missing or stale signature', () => {
+      const { payload, signature } = provider.createWebhookRequest(event, new Date('2026-03-31T23:50:00Z'));
+
+      expect(() => provider.parseWebhookEvent(payload, undefined)).toThrow(WebhookSignatureError);
+      expect(() => provider.parseWebhookEvent(payload, signature)).toThrow('Webhook signature has expired');
+    });
+
+    it('should reject a payload signed with another secret', () => {
+      const other = new InMemoryPaymentProvider('whsec_other', () => now);
+      const { payload, signature } = other.createWebhookRequest(event);
+
+      expect(() => provider.parseWebhookEvent(payload, signature)).toThrow(WebhookSignatureError);
+    });
+  });
+});
+
+describe('BillingService', () => {
+  const subscriptionEvent = (type: BillingEvent['type'], status: any): BillingEvent => ({
+    id: 'evt_1',
+    type,
+    providerType: type,
+    createdAt: new Date(),
+    subscription: {
+      id: 'sub_1',
+      customerId: 'cus_1',
+      priceId: 'standard-monthly',
+      status,
+      currentPeriodStart: new Date('2026-04-01T00:00:00Z'),
+      currentPeriodEnd: new Date('2026-05-01T00:00:00Z'),
+      cancelAtPeriodEnd: false,
+      trialEnd: null,
+      organizationId: 'org-1'
+    }
+  });
+
+  const invoiceEvent = (type: BillingEvent['type']): BillingEvent => ({
+    id: 'evt_2',
+    type,
+    providerType: type,
+    createdAt: new Date(),
+    invoice: {
+      id: 'in_1',
+      number: 'INV-0001',
+      customerId: 'cus_1',
+      subscriptionId: 'sub_1',
+      amountDue: 3000,
+      amountPaid: 0,
+      currency: 'usd',
+      status: 'open',
+      hostedInvoiceUrl: null,
+      pdfUrl: null,
+      periodStart: null,
+      periodEnd: null,
+      createdAt: new Date()
+    }
+  });
+
+  describe('getPlanPrice', () => {
+    const plan = { name: 'Standard', slug: 'standard', price_monthly: 3000, price_yearly: 30000, stripe_price_id_yearly: 'price_123' };
+
+    it('should use the configured price for the billing cycle', () => {
+      expect(BillingService.getPlanPrice(plan, 'yearly', 'stripe'))
+        .toEqual({ priceId: 'price_123', amount: 30000, interval: 'year' });
+    });
+
+    it('should require a price ID for Stripe', () => {
+      expect(() => BillingService.getPlanPrice(plan, 'monthly', 'stripe')).toThrow('no monthly price');
+    });
+
+    it('should make up a price ID for the in-memory provider', () => {
+      expect(BillingService.getPlanPrice(plan, 'monthly', 'in_memory').priceId).toBe('standard-monthly');
+    });
+  });
+
+  describe('getStatusTransition', () => {
+    it('should follow the provider status on subscription updates', () => {
+      expect(BillingService.getStatusTransition(SubscriptionStatus.TRIAL, subscriptionEvent('subscription.updated', 'active')))
+        .toBe(SubscriptionStatus.ACTIVE);
+      expect(BillingService.getStatusTransition(SubscriptionStatus.ACTIVE, subscriptionEvent('subscription.updated', 'unpaid')))
+        .toBe(SubscriptionStatus.PAST_DUE);
+    });
+
+    it('should ignore provider statuses with no equivalent', () => {
+      expect(BillingService.getStatusTransition(SubscriptionStatus.ACTIVE, subscriptionEvent('subscription.updated', 'incomplete')))
+        .toBeNull();
+    });
+
+    it('should cancel on subscription deletion', () => {
+      expect(BillingService.getStatusTransition(SubscriptionStatus.PAST_DUE, subscriptionEvent('subscription.deleted', 'canceled')))
+        .toBe(SubscriptionStatus.CANCELLED);
+    });
+
+    it('should move to past due when a payment fails and back when it is paid', () => {
+      expect(BillingService.getStatusTransition(SubscriptionStatus.ACTIVE, invoiceEvent('invoice.payment_failed')))
+        .toBe(SubscriptionStatus.PAST_DUE);
+      expect(BillingService.getStatusTransition(SubscriptionStatus.PAST_DUE, invoiceEvent('invoice.paid')))
+        .toBe(SubscriptionStatus.ACTIVE);
+    });
+
+    it('should not reactivate a trial or cancelled organization from an invoice', () => {
+      expect(BillingService.getStatusTransition(SubscriptionStatus.TRIAL, invoiceEvent('invoice.paid'))).toBeNull();
+      expect(BillingService.getStatusTransition(SubscriptionStatus.CANCELLED, invoiceEvent('invoice.payment_failed'))).toBeNull();
+    });
+
+    it('should never change a suspended organization', () => {
+      expect(BillingService.getStatusTransition(SubscriptionStatus.SUSPENDED, subscriptionEvent('subscription.updated', 'active')))
+        .toBeNull();
+      expect(BillingService.getStatusTransition(SubscriptionStatus.SUSPENDED, invoiceEvent('invoice.paid'))).toBeNull();
+    });
+  });
+
+  describe('getSubscriptionUpdate', () => {
+    const now = new Date('2026-04-01T12:00:00Z');
+
+    it('should mirror the billing period and record the first activation', () => {
+      const update = BillingService.getSubscriptionUpdate(
+        { subscription_started_at: null },
+        subscriptionEvent('subscription.created', 'active').subscription!,
+        SubscriptionStatus.ACTIVE,
+        now
+      );
+
+      expect(update).toMatchObject({
+        subscription_stripe_id: 'sub_1',
+        current_period_end: '2026-05-01T00:00:00.000Z',
+        cancel_at_period_end: false,
+        subscription_ends_at: null,
+        subscription_status: SubscriptionStatus.ACTIVE,
+        subscription_started_at: now.toISOString()
+      });
+    });
+
+    it('should stamp cancellations', () => {
+      const update = BillingService.getSubscriptionUpdate(
+        { subscription_started_at: '2026-01-01T00:00:00Z' },
+        subscriptionEvent('subscription.deleted', 'canceled').subscription!,
+        SubscriptionStatus.CANCELLED,
+        now
+      );
+
+      expect(update.cancelled_at).toBe(now.toISOString());
+      expect(update.subscription_started_at).toBeUndefined();
+    });
+  });
+
+  describe('handleWebhookEvent', () => {
+    beforeEach(() => {
+      fakeSupabase.reset();
+      fakeSupabase.seed('organizations', [{
+        id: 'org-1',
+        name: 'Example Trust',
+        subscription_status: SubscriptionStatus.TRIAL,
+        billing_customer_id: 'cus_1',
+        subscription_stripe_id: 'sub_1'
+      }]);
+    });
+
+    it('should apply an event once and ignore redeliveries', async () => {
+      const event = subscriptionEvent('subscription.updated', 'active');
+
+      expect(await BillingService.handleWebhookEvent(event, 'in_memory'))
+        .toEqual({ duplicate: false, organizationId: 'org-1', status: SubscriptionStatus.ACTIVE });
+      expect(await BillingService.handleWebhookEvent(event, 'in_memory'))
+        .toMatchObject({ duplicate: true, status: null });
+      expect(fakeSupabase.rows('billing_events')).toHaveLength(1);
+    });
+
+    it('should apply the retry of an event whose organization update failed', async () => {
+      const event = subscriptionEvent('subscription.updated', 'active');
+      fakeSupabase.failNext('organizations', 'update');
+
+      await expect(BillingService.handleWebhookEvent(event, 'in_memory')).rejects.toMatchObject({ statusCode: 500 });
+      expect(fakeSupabase.rows('billing_events')).toHaveLength(0);
+      expect(fakeSupabase.rows('organizations')[0].subscription_status).toBe(SubscriptionStatus.TRIAL);
+
+      expect(await BillingService.handleWebhookEvent(event, 'in_memory'))
+        .toEqual({ duplicate: false, organizationId: 'org-1', status: SubscriptionStatus.ACTIVE });
+      expect(fakeSupabase.rows('organizations')[0].subscription_status).toBe(SubscriptionStatus.ACTIVE);
+      expect(fakeSupabase.rows('billing_events')).toHaveLength(1);
+    });
+  });
+});
+
+describe('getPaymentProvider', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.PAYMENT_PROVIDER;
+    delete process.env.STRIPE_SECRET_KEY;
+    delete process.env.BILLING_WEBHOOK_SECRET;
+    setPaymentProvider(undefined);
+  });
+
+  afterAll(() => {
+    process.env = env;
+    setPaymentProvider(undefined);
+  });
+
+  it('should leave billing off when nothing is configured', () => {
+    expect(() => getPaymentProvider()).toThrow(expect.objectContaining({ code: 'BILLING_NOT_CONFIGURED' }));
+  });
+
+  it('should only use the in-memory provider when asked to, with its own webhook secret', () => {
+    process.env.PAYMENT_PROVIDER = 'memory';
+    expect(() => getPaymentProvider()).toThrow(expect.objectContaining({ code: 'BILLING_NOT_CONFIGURED' }));
+
+    setPaymentProvider(undefined);
+    process.env.BILLING_WEBHOOK_SECRET = 'whsec_local';
+    expect(getPaymentProvider().name).toBe('in_memory');
+  });
+
+  it('should never use the in-memory provider in production', () => {
+    process.env.PAYMENT_PROVIDER = 'memory';
+    process.env.BILLING_WEBHOOK_SECRET = 'whsec_local';
+    process.env.NODE_ENV = 'production';
+
+    try {
+      expect(() => getPaymentProvider()).toThrow(expect.objectContaining({ code: 'BILLING_NOT_CONFIGURED' }));
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+});
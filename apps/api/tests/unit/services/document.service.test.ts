@@ -0,0 +1,136 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DocumentService } from '../../../src/services/document.service';
+import { LocalStorageProvider } from '../../../src/services/local-storage.provider';
+import { StorageObjectNotFoundError } from '../../../src/services/storage-provider';
+
+const MB = 1024 * 1024;
+
+const folders = [
+  { id: 'reports', name: 'Reports', parent_id: null },
+  { id: 'annual', name: 'Annual', parent_id: 'reports' },
+  { id: '2025', name: '2025', parent_id: 'annual' },
+  { id: 'board', name: 'Board Papers', parent_id: null },
+  { id: 'orphan', name: 'Orphan', parent_id: 'deleted' }
+];
+
+describe('DocumentService', () => {
+  describe('buildFolderTree', () => {
+    it('should nest folders under their parents, sorted by name', () => {
+      const tree = DocumentService.buildFolderTree(folders);
+
+      expect(tree.map(f => f.name)).toEqual(['Board Papers', 'Orphan', 'Reports']);
+      expect(tree[2].children[0].name).toBe('Annual');
+      expect(tree[2].children[0].children[0].id).toBe('2025');
+    });
+  });
+
+  describe('wouldCreateCycle', () => {
+    it('should reject moving a folder into itself or a descendant', () => {
+      expect(DocumentService.wouldCreateCycle(folders, 'reports', 'reports')).toBe(true);
+      expect(DocumentService.wouldCreateCycle(folders, 'reports', '2025')).toBe(true);
+    });
+
+    it('should allow moves elsewhere', () => {
+      expect(DocumentService.wouldCreateCycle(folders, 'annual', 'board')).toBe(false);
+      expect(DocumentService.wouldCreateCycle(folders, '2025', null)).toBe(false);
+    });
+  });
+
+  describe('assertWithinQuota', () => {
+    it('should allow uploads up to the limit', () => {
+      expect(() => DocumentService.assertWithinQuota(90 * MB, 10 * MB, 100)).not.toThrow();
+    });
+
+    it('should reject uploads over the limit with usage details', () => {
+      expect(() => DocumentService.assertWithinQuota(95 * MB, 10 * MB, 100)).toThrow(
+        expect.objectContaining({
+          statusCode: 413,
+          code: 'STORAGE_QUOTA_EXCEEDED',
+          details: { usedMb: 95, uploadMb: 10, maxStorageMb: 100 }
+        })
+      );
+    });
+
+    it('should not limit organizations without a storage limit', () => {
+      expect(() => DocumentService.assertWithinQuota(500 * MB, 500 * MB, null)).not.toThrow();
+    });
+  });
+
+  describe('escapeLikePattern', () => {
+    it('should escape wildcards and backslashes', () => {
+      expect(DocumentService.escapeLikePattern('100%_done\\')).toBe('100\\%\\_done\\\\');
+      expect(DocumentService.escapeLikePattern('Board Papers')).toBe('Board Papers');
+    });
+  });
+
+  describe('sanitizeFileName', () => {
+    it('should strip paths, quotes and control characters', () => {
+      expect(DocumentService.sanitizeFileName('../../etc/"minutes"\n.pdf')).toBe('minutes.pdf');
+    });
+
+    it('should fall back to a default name', () => {
+      expect(DocumentService.sanitizeFileName('')).toBe('document');
+    });
+  });
+
+  describe('createStorageKey', () => {
+    it('should create a unique key for each upload of a version', () => {
+      const key = DocumentService.createStorageKey('org-1', 'doc-1', 2, 'application/pdf');
+
+      expect(key).toMatch(/^org-1\/doc-1\/v2-[0-9a-f-]{36}\.pdf$/);
+      expect(DocumentService.createStorageKey('org-1', 'doc-1', 2, 'application/pdf')).not.toBe(key);
+    });
+  });
+});
+
+describe('LocalStorageProvider', () => {
+  let root: string;
+  let storage: LocalStorageProvider;
+
+  const read = async (key: string) => {
+    const chunks: Buffer[] = [];
+    for await (const chunk of await storage.getStream(key)) chunks.push(chunk as Buffer);
+    return Buffer.concat(chunks).toString();
+  };
+
+  beforeEach(async () => {
+    root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'documents-'));
+    storage = new LocalStorageProvider(root);
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  it('should store and stream objects', async () => {
+    await storage.put('org/doc/v1.txt', Buffer.from('minutes'), 'text/plain');
+
+    expect(await read('org/doc/v1.txt')).toBe('minutes');
+  });
+
+  it('should never overwrite an existing object', async () => {
+    await storage.put('org/doc/v1.txt', Buffer.from('original'), 'text/plain');
+
+    await expect(storage.put('org/doc/v1.txt', Buffer.from('changed'), 'text/plain')).rejects.toThrow();
+    expect(await read('org/doc/v1.txt')).toBe('original');
+  });
+
+  it('should reject keys outside the storage root', async () => {
+    await expect(storage.put('../escape.txt', Buffer.from('x'), 'text/plain')).rejects.toThrow('Invalid storage key');
+  });
+
+  it('should report missing objects', async () => {
+    await expect(storage.getStream('org/missing.txt')).rejects.toBeInstanceOf(StorageObjectNotFoundError);
+  });
+
+  it('should delete objects and ignore missing ones', async () => {
+    await storage.put('org/doc/v1.txt', Buffer.from('minutes'), 'text/plain');
+
+    await storage.delete('org/doc/v1.txt');
+    await storage.delete('org/doc/v1.txt');
+
+    await expect(storage.getStream('org/doc/v1.txt')).rejects.toBeInstanceOf(StorageObjectNotFoundError);
+  });
+});
@@ -0,0 +1,149 @@
+import { fakeSupabase } from '../../helpers/supabase-fake';
+import { EmailChangeService } from '../../../src/services/email-change.service';
+import { EmailService } from '../../../src/services/email.service';
+import { SessionRevokeReason } from '../../../src/types';
+
+jest.mock('../../../src/config/database', () => require('../../helpers/supabase-fake').mockDatabaseModule());
+
+describe('EmailChangeService.getState', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const request = { expires_at: '2026-06-02T12:00:00Z', confirmed_at: null, cancelled_at: null };
+
+  it('should be pending until the link expires', () => {
+    expect(EmailChangeService.getState(request, now)).toBe('pending');
+    expect(EmailChangeService.getState({ ...request, expires_at: '2026-06-01T12:00:00Z' }, now)).toBe('expired');
+  });
+
+  it('should report confirmed and cancelled requests whatever their expiry', () => {
+    expect(EmailChangeService.getState({ ...request, confirmed_at: '2026-06-01T11:00:00Z' }, now)).toBe('confirmed');
+    expect(EmailChangeService.getState({
+      ...request,
+      expires_at: '2026-05-31T12:00:00Z',
+      cancelled_at: '2026-05-31T11:00:00Z'
+    }, now)).toBe('cancelled');
+  });
+});
+
+describe('EmailChangeService.request', () => {
+  it('should refuse a change to the current address without a lookup', async () => {
+    await expect(EmailChangeService.request({ id: 'user-1', email: 'Trustee@Charity.org' }, 'trustee@charity.org'))
+      .rejects.toMatchObject({ code: 'SAME_EMAIL' });
+  });
+});
+
+describe('EmailChangeService confirmation and cancellation', () => {
+  let user: any;
+  let sessions: any[];
+
+  const tokenFrom = (url: string) => new URL(url).searchParams.get('token')!;
+
+  // Request a change from the first session; returns the tokens from both emails
+  const requestChange = async (newEmail = 'new@charity.org') => {
+    const confirmation = jest.spyOn(EmailService, 'sendEmailChangeConfirmation');
+    const notice = jest.spyOn(EmailService, 'sendEmailChangeNotice');
+
+    await EmailChangeService.request(user, newEmail, { sessionId: sessions[0].id });
+
+    return {
+      confirmToken: tokenFrom(confirmation.mock.calls[0][0].confirmUrl),
+      cancelToken: tokenFrom(notice.mock.calls[0][0].cancelUrl)
+    };
+  };
+
+  beforeEach(() => {
+    process.env.FRONTEND_URL = 'https://app.example.org';
+    fakeSupabase.reset();
+    [user] = fakeSupabase.seed('users', [{ email: 'old@charity.org', email_verified: false, is_active: true }]);
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    sessions = fakeSupabase.seed('user_sessions', [
+      { user_id: user.id, expires_at: expiresAt },
+      { user_id: user.id, expires_at: expiresAt }
+    ]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should send the confirmation to the new address and the notice to the old one', async () => {
+    const confirmation = jest.spyOn(EmailService, 'sendEmailChangeConfirmation');
+    const notice = jest.spyOn(EmailService, 'sendEmailChangeNotice');
+
+    await EmailChangeService.request(user, 'new@charity.org');
+
+    expect(confirmation.mock.calls[0][0].to).toBe('new@charity.org');
+    expect(notice.mock.calls[0][0]).toMatchObject({ to: 'old@charity.org', newEmail: 'new@charity.org' });
+    expect(fakeSupabase.rows('users')[0].email).toBe('old@charity.org');
+  });
+
+  it('should change the address from the new address\'s link and sign out the other sessions', async () => {
+    const { confirmToken } = await requestChange();
+
+    const result = await EmailChangeService.confirm(confirmToken);
+
+    expect(result.sessionsRevoked).toBe(1);
+    expect(fakeSupabase.rows('users')[0]).toMatchObject({ email: 'new@charity.org', email_verified: true });
+    const [asking, other] = fakeSupabase.rows('user_sessions');
+    expect(asking.revoked_at).toBeFalsy();
+    expect(other).toMatchObject({ revoked_reason: SessionRevokeReason.EMAIL_CHANGE });
+    expect(other.revoked_at).toBeTruthy();
+
+    await expect(EmailChangeService.confirm(confirmToken)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  it('should let the old address cancel the change', async () => {
+    const { confirmToken, cancelToken } = await requestChange();
+
+    await expect(EmailChangeService.cancel(cancelToken)).resolves.toMatchObject({ cancelled: true });
+    await expect(EmailChangeService.cancel(cancelToken)).resolves.toMatchObject({ cancelled: false });
+    await expect(EmailChangeService.confirm(confirmToken)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+
+    expect(fakeSupabase.rows('users')[0].email).toBe('old@charity.org');
+    expect(fakeSupabase.rows('user_sessions').every(session => !session.revoked_at)).toBe(true);
+  });
+
+  it('should not cancel a change that has been confirmed', async () => {
+    const { confirmToken, cancelToken } = await requestChange();
+    await EmailChangeService.confirm(confirmToken);
+
+    await expect(EmailChangeService.cancel(cancelToken)).rejects.toMatchObject({ code: 'ALREADY_CONFIRMED' });
+  });
+
+  it('should report a change confirmed while it was being cancelled', async () => {
+    const { cancelToken } = await requestChange();
+    // The new address confirms between the cancel's read and its update
+    const takeFailure = fakeSupabase.takeFailure.bind(fakeSupabase);
+    jest.spyOn(fakeSupabase, 'takeFailure').mockImplementation((table, operation) => {
+      if (table === 'email_change_requests' && operation === 'update') {
+        fakeSupabase.rows('email_change_requests')[0].confirmed_at = new Date().toISOString();
+      }
+      return takeFailure(table, operation);
+    });
+
+    await expect(EmailChangeService.cancel(cancelToken)).rejects.toMatchObject({ code: 'ALREADY_CONFIRMED' });
+  });
+
+  it('should fail rather than retry when the cancellation can\'t be saved', async () => {
+    const { cancelToken } = await requestChange();
+    fakeSupabase.failNext('email_change_requests', 'update');
+
+    await expect(EmailChangeService.cancel(cancelToken)).rejects.toMatchObject({ statusCode: 500 });
+    expect(fakeSupabase.rows('email_change_requests')[0].cancelled_at).toBeFalsy();
+  });
+
+  it('should refuse an expired confirmation link', async () => {
+    const { confirmToken } = await requestChange();
+    fakeSupabase.rows('email_change_requests')[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+    await expect(EmailChangeService.confirm(confirmToken)).rejects.toMatchObject({ code: 'TOKEN_EXPIRED' });
+    expect(fakeSupabase.rows('users')[0].email).toBe('old@charity.org');
+  });
+
+  it('should replace a pending change with a new request', async () => {
+    const first = await requestChange('first@charity.org');
+    jest.restoreAllMocks();
+    const second = await requestChange('second@charity.org');
+
+    await expect(EmailChangeService.confirm(first.confirmToken)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+    await EmailChangeService.confirm(second.confirmToken);
+    expect(fakeSupabase.rows('users')[0].email).toBe('second@charity.org');
+  });
+});
@@ -0,0 +1,113 @@
+import { EmailVerificationService, VERIFICATION_TOKEN_HOURS } from '../../../src/services/email-verification.service';
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-03-01T12:00:00Z');
+const hoursAgo = (hours: number) => new Date(now.getTime() - hours * HOUR_MS).toISOString();
+
+describe('EmailVerificationService.getRestriction', () => {
+  const unverified = (createdHoursAgo: number) => ({ email_verified: false, created_at: hoursAgo(createdHoursAgo) });
+
+  it('should not restrict verified users', () => {
+    expect(EmailVerificationService.getRestriction({ email_verified: true, created_at: hoursAgo(100) }, 'blocked', 24, now))
+      .toBe('none');
+  });
+
+  it('should not restrict unverified users during the grace period', () => {
+    expect(EmailVerificationService.getRestriction(unverified(2), 'read_only', 24, now)).toBe('none');
+  });
+
+  it('should apply the policy once the grace period is over', () => {
+    expect(EmailVerificationService.getRestriction(unverified(25), 'read_only', 24, now)).toBe('read_only');
+    expect(EmailVerificationService.getRestriction(unverified(25), 'blocked', 24, now)).toBe('blocked');
+  });
+
+  it('should apply the policy immediately with no grace period', () => {
+    expect(EmailVerificationService.getRestriction(unverified(0.1), 'read_only', 0, now)).toBe('read_only');
+  });
+
+  it('should never restrict when the policy is off', () => {
+    expect(EmailVerificationService.getRestriction(unverified(1000), 'off', 24, now)).toBe('none');
+  });
+
+  it('should never restrict super admins', () => {
+    expect(EmailVerificationService.getRestriction(
+      { email_verified: false, is_super_admin: true, created_at: hoursAgo(1000) },
+      'blocked',
+      24,
+      now
+    )).toBe('none');
+  });
+});
+
+describe('EmailVerificationService.getRestriction with a policy start date', () => {
+  const requiredFrom = new Date(now.getTime() - 30 * 24 * HOUR_MS);
+
+  it('should not restrict accounts created before the policy', () => {
+    expect(EmailVerificationService.getRestriction(
+      { email_verified: false, created_at: hoursAgo(31 * 24) }, 'blocked', 24, now, requiredFrom
+    )).toBe('none');
+  });
+
+  it('should restrict accounts created since', () => {
+    expect(EmailVerificationService.getRestriction(
+      { email_verified: false, created_at: hoursAgo(29 * 24) }, 'blocked', 24, now, requiredFrom
+    )).toBe('blocked');
+  });
+});
+
+describe('EmailVerificationService.getRequiredFrom', () => {
+  const original = process.env.EMAIL_VERIFICATION_REQUIRED_FROM;
+
+  afterEach(() => {
+    process.env.EMAIL_VERIFICATION_REQUIRED_FROM = original;
+  });
+
+  it('should read a configured date', () => {
+    process.env.EMAIL_VERIFICATION_REQUIRED_FROM = '2026-06-01';
+    expect(EmailVerificationService.getRequiredFrom()?.toISOString()).toBe('2026-06-01T00:00:00.000Z');
+  });
+
+  it('should be null when missing or invalid', () => {
+    process.env.EMAIL_VERIFICATION_REQUIRED_FROM = '';
+    expect(EmailVerificationService.getRequiredFrom()).toBeNull();
+
+    process.env.EMAIL_VERIFICATION_REQUIRED_FROM = 'soon';
+    expect(EmailVerificationService.getRequiredFrom()).toBeNull();
+  });
+});
+
+describe('EmailVerificationService.getPolicy', () => {
+  const original = process.env.EMAIL_VERIFICATION_POLICY;
+
+  afterEach(() => {
+    process.env.EMAIL_VERIFICATION_POLICY = original;
+  });
+
+  it('should default to read_only for missing or unknown values', () => {
+    delete process.env.EMAIL_VERIFICATION_POLICY;
+    expect(EmailVerificationService.getPolicy()).toBe('read_only');
+
+    process.env.EMAIL_VERIFICATION_POLICY = 'strict';
+    expect(EmailVerificationService.getPolicy()).toBe('read_only');
+  });
+
+  it('should use a configured policy', () => {
+    process.env.EMAIL_VERIFICATION_POLICY = 'blocked';
+    expect(EmailVerificationService.getPolicy()).toBe('blocked');
+  });
+});
+
+describe('EmailVerificationService.generateToken', () => {
+  it('should return a token with its hash and expiry', () => {
+    const { token, hash, expiresAt } = EmailVerificationService.generateToken(now);
+
+    expect(token).toMatch(/^[a-f0-9]{64}$/);
+    expect(hash).toBe(EmailVerificationService.hashToken(token));
+    expect(hash).not.toBe(token);
+    expect(expiresAt.getTime()).toBe(now.getTime() + VERIFICATION_TOKEN_HOURS * HOUR_MS);
+  });
+
+  it('should generate a different token each time', () => {
+    expect(EmailVerificationService.generateToken(now).token).not.toBe(EmailVerificationService.generateToken(now).token);
+  });
+});
@@ -0,0 +1,63 @@
+import { InterestService } from '../../../src/services/interest.service';
+
+describe('InterestService.getDeclarationDueDate', () => {
+  it('should fall due a year after the last declaration', () => {
+    expect(InterestService.getDeclarationDueDate('2026-03-15T10:00:00Z').toISOString()).toBe('2027-03-15T10:00:00.000Z');
+  });
+
+  it('should roll 29 February back to 28 February', () => {
+    expect(InterestService.getDeclarationDueDate('2028-02-29T09:00:00Z').toISOString()).toBe('2029-02-28T09:00:00.000Z');
+  });
+});
+
+describe('InterestService.getDeclarationStatus', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+
+  it('should treat members who have never declared as due now', () => {
+    expect(InterestService.getDeclarationStatus(null, now)).toEqual({ status: 'never', lastDeclaredAt: null, dueDate: null });
+  });
+
+  it('should be current until the reminder window opens', () => {
+    expect(InterestService.getDeclarationStatus('2025-09-01T12:00:00Z', now).status).toBe('current');
+    expect(InterestService.getDeclarationStatus('2025-06-20T12:00:00Z', now).status).toBe('due_soon');
+  });
+
+  it('should be overdue once the due date has passed', () => {
+    const status = InterestService.getDeclarationStatus('2025-05-31T12:00:00Z', now);
+    expect(status.status).toBe('overdue');
+    expect(status.dueDate).toBe('2026-05-31T12:00:00.000Z');
+  });
+});
+
+describe('InterestService.shouldSendReminder', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+
+  it('should not remind members whose declaration is current', () => {
+    expect(InterestService.shouldSendReminder({ interests_declared_at: '2026-01-10T00:00:00Z' }, now)).toBe(false);
+  });
+
+  it('should remind as soon as a declaration is due', () => {
+    expect(InterestService.shouldSendReminder({ interests_declared_at: null }, now)).toBe(true);
+    expect(InterestService.shouldSendReminder({ interests_declared_at: '2025-06-20T12:00:00Z' }, now)).toBe(true);
+  });
+
+  it('should repeat reminders monthly until the member declares', () => {
+    const member = { interests_declared_at: '2025-04-01T00:00:00Z', interest_reminder_sent_at: '2026-05-10T12:00:00Z' };
+    expect(InterestService.shouldSendReminder(member, now)).toBe(false);
+    expect(InterestService.shouldSendReminder(member, new Date('2026-06-09T12:00:00Z'))).toBe(true);
+  });
+});
+
+describe('InterestService.toCsv', () => {
+  it('should quote cells with commas, quotes and line breaks', () => {
+    expect(InterestService.toCsv([['a', 'b,c', 'say "hi"', 'x\ny', null]])).toBe('a,"b,c","say ""hi""","x\ny",');
+  });
+
+  it('should stop spreadsheets running cells as formulas', () => {
+    expect(InterestService.toCsv([['=SUM(A1)', '@cmd', 'safe']])).toBe("'=SUM(A1),'@cmd,safe");
+  });
+
+  it('should separate rows with CRLF', () => {
+    expect(InterestService.toCsv([['h1', 'h2'], [1, 2]])).toBe('h1,h2\r\n1,2');
+  });
+});
@@ -0,0 +1,125 @@
+import { MemberImportService, ImportContext, MAX_IMPORT_ROWS } from '../../../src/services/member-import.service';
+import { Role } from '../../../src/types';
+
+const TEMPLATE_HEADER = 'first_name,last_name,email,role,committee';
+
+const context = (overrides: Partial<ImportContext> = {}): ImportContext => ({
+  invitableRoles: [Role.CHAIR, Role.TRUSTEE, Role.VICE_CHAIR, Role.VIEWER],
+  existingMemberEmails: new Set(),
+  pendingInvitationEmails: new Set(),
+  committees: new Map([['finance & audit', 'committee-1']]),
+  availableSeats: null,
+  ...overrides
+});
+
+describe('MemberImportService', () => {
+  describe('parseCsv', () => {
+    it('should split rows and fields', () => {
+      expect(MemberImportService.parseCsv('a,b\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('should handle quoted fields with commas, escaped quotes and newlines', () => {
+      expect(MemberImportService.parseCsv('"Smith, Jr","say ""hi""","two\nlines"')).toEqual([
+        ['Smith, Jr', 'say "hi"', 'two\nlines']
+      ]);
+    });
+
+    it('should handle CRLF line endings and a byte order mark', () => {
+      expect(MemberImportService.parseCsv('\uFEFFa,b\r\nc,d\r\n')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+  });
+
+  describe('parseMemberCsv', () => {
+    it('should read the setup wizard template', () => {
+      const rows = MemberImportService.parseMemberCsv(
+        `${TEMPLATE_HEADER}\nJohn,Smith,John@Example.com,chair,Board of Trustees\n\nJane,Doe,jane@example.com,trustee,`
+      );
+
+      expect(rows).toEqual([
+        { row: 2, firstName: 'John', lastName: 'Smith', email: 'john@example.com', role: 'chair', committee: 'Board of Trustees' },
+        { row: 4, firstName: 'Jane', lastName: 'Doe', email: 'jane@example.com', role: 'trustee', committee: '' }
+      ]);
+    });
+
+    it('should accept columns in any order', () => {
+      const [row] = MemberImportService.parseMemberCsv('Role,Email\ntrustee,a@example.com');
+
+      expect(row.email).toBe('a@example.com');
+      expect(row.role).toBe('trustee');
+      expect(row.firstName).toBe('');
+    });
+
+    it('should reject files without email and role columns', () => {
+      expect(() => MemberImportService.parseMemberCsv('first_name,last_name\nJohn,Smith'))
+        .toThrow('Missing required column(s): email, role');
+    });
+
+    it('should reject files with no rows or too many rows', () => {
+      expect(() => MemberImportService.parseMemberCsv(`${TEMPLATE_HEADER}\n`)).toThrow('no member rows');
+
+      const tooMany = Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => `,,m${i}@example.com,trustee,`);
+      expect(() => MemberImportService.parseMemberCsv([TEMPLATE_HEADER, ...tooMany].join('\n'))).toThrow('limited');
+    });
+  });
+
+  describe('validateRows', () => {
+    const parse = (...lines: string[]) => MemberImportService.parseMemberCsv([TEMPLATE_HEADER, ...lines].join('\n'));
+
+    it('should accept valid rows and normalize roles', () => {
+      const [row] = MemberImportService.validateRows(parse('Ann,Lee,ann@example.com,Vice Chair,Finance & Audit'), context());
+
+      expect(row.status).toBe('valid');
+      expect(row.role).toBe(Role.VICE_CHAIR);
+      expect(row.committeeId).toBe('committee-1');
+      expect(row.errors).toEqual([]);
+    });
+
+    it('should report every problem with a row', () => {
+      const [row] = MemberImportService.validateRows(parse('Ann,Lee,not-an-email,owner,Nope'), context());
+
+      expect(row.status).toBe('invalid');
+      expect(row.errors).toEqual([
+        "Invalid email address 'not-an-email'",
+        "You cannot invite members with role 'owner'",
+        "Unknown committee 'Nope'"
+      ]);
+    });
+
+    it('should reject unknown roles and missing values', () => {
+      const [unknown, missing] = MemberImportService.validateRows(parse(',,a@example.com,president,', 'Ann,Lee,,,'), context());
+
+      expect(unknown.errors).toEqual(["Unknown role 'president'"]);
+      expect(missing.errors).toEqual(['Email is required', 'Role is required']);
+    });
+
+    it('should flag duplicate emails within the file', () => {
+      const report = MemberImportService.validateRows(parse(',,a@example.com,trustee,', ',,A@example.com,viewer,'), context());
+
+      expect(report[0].status).toBe('valid');
+      expect(report[1].status).toBe('invalid');
+      expect(report[1].errors).toEqual(['Duplicate of row 2']);
+    });
+
+    it('should skip existing members and pending invitations', () => {
+      const report = MemberImportService.validateRows(
+        parse(',,member@example.com,trustee,', ',,pending@example.com,trustee,'),
+        context({
+          existingMemberEmails: new Set(['member@example.com']),
+          pendingInvitationEmails: new Set(['pending@example.com'])
+        })
+      );
+
+      expect(report.map(r => r.status)).toEqual(['skipped', 'skipped']);
+    });
+
+    it('should mark rows beyond the member limit invalid', () => {
+      const report = MemberImportService.validateRows(
+        parse(',,a@example.com,trustee,', ',,member@example.com,trustee,', ',,b@example.com,trustee,'),
+        context({ availableSeats: 1, existingMemberEmails: new Set(['member@example.com']) })
+      );
+
+      expect(report.map(r => r.status)).toEqual(['valid', 'skipped', 'invalid']);
+      expect(MemberImportService.summarize(report)).toEqual({ total: 3, valid: 1, invalid: 1, skipped: 1 });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { MfaService } from '../../../src/services/mfa.service';
+import { Role } from '../../../src/types';
+
+describe('MfaService', () => {
+  // RFC 6238 test secret: ASCII "12345678901234567890"
+  const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 SHA1 test vectors', () => {
+      expect(MfaService.generateCode(RFC_SECRET, MfaService.getTimeStep(59 * 1000))).toBe('287082');
+      expect(MfaService.generateCode(RFC_SECRET, MfaService.getTimeStep(1111111109 * 1000))).toBe('081804');
+      expect(MfaService.generateCode(RFC_SECRET, MfaService.getTimeStep(1234567890 * 1000))).toBe('005924');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const now = 1234567890 * 1000;
+
+    it('should return the matching time step for a valid code', () => {
+      expect(MfaService.verifyCode(RFC_SECRET, '005924', now)).toBe(MfaService.getTimeStep(now));
+    });
+
+    it('should accept codes from the adjacent time step', () => {
+      const previous = MfaService.generateCode(RFC_SECRET, MfaService.getTimeStep(now) - 1);
+      expect(MfaService.verifyCode(RFC_SECRET, previous, now)).toBe(MfaService.getTimeStep(now) - 1);
+    });
+
+    it('should reject codes outside the window', () => {
+      const stale = MfaService.generateCode(RFC_SECRET, MfaService.getTimeStep(now) - 3);
+      expect(MfaService.verifyCode(RFC_SECRET, stale, now)).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(MfaService.verifyCode(RFC_SECRET, '12345', now)).toBeNull();
+      expect(MfaService.verifyCode(RFC_SECRET, 'abcdef', now)).toBeNull();
+    });
+  });
+
+  describe('generateSecret', () => {
+    it('should generate a base32 secret that round-trips through verifyCode', () => {
+      const secret = MfaService.generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(MfaService.verifyCode(secret, MfaService.generateCode(secret))).not.toBeNull();
+    });
+  });
+
+  describe('recovery codes', () => {
+    it('should store hashes rather than plaintext codes', () => {
+      const { codes, hashes } = MfaService.generateRecoveryCodes();
+      expect(codes).toHaveLength(10);
+      expect(hashes).toHaveLength(10);
+      expect(hashes).not.toContain(codes[0]);
+    });
+
+    it('should consume a code once, ignoring case and dashes', () => {
+      const { codes, hashes } = MfaService.generateRecoveryCodes(3);
+
+      const remaining = MfaService.consumeRecoveryCode(hashes, codes[1].toUpperCase().replace('-', ''));
+      expect(remaining).toHaveLength(2);
+      expect(MfaService.consumeRecoveryCode(remaining!, codes[1])).toBeNull();
+    });
+
+    it('should return null for unknown codes', () => {
+      const { hashes } = MfaService.generateRecoveryCodes(3);
+      expect(MfaService.consumeRecoveryCode(hashes, 'aaaaa-bbbbb')).toBeNull();
+    });
+  });
+
+  describe('isMfaRequired', () => {
+    const organization = { settings: { requireMfaForAdmins: true } };
+
+    it('should require MFA for owners and admins when the setting is on', () => {
+      expect(MfaService.isMfaRequired(organization, Role.OWNER)).toBe(true);
+      expect(MfaService.isMfaRequired(organization, Role.ADMIN)).toBe(true);
+    });
+
+    it('should not require MFA for other roles', () => {
+      expect(MfaService.isMfaRequired(organization, Role.TRUSTEE)).toBe(false);
+    });
+
+    it('should not require MFA when the setting is off', () => {
+      expect(MfaService.isMfaRequired({ settings: {} }, Role.OWNER)).toBe(false);
+      expect(MfaService.isMfaRequired(undefined, Role.OWNER)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+import { MinutesService } from '../../../src/services/minutes.service';
+import { MinutesContent, MinutesStatus, Permission } from '../../../src/types';
+
+const content: MinutesContent = {
+  summary: 'Quarterly board meeting',
+  sections: [
+    {
+      title: 'Finance report',
+      notes: 'Treasurer presented Q1 accounts',
+      decisions: ['Accounts approved'],
+      actions: [{ description: 'File accounts', assigneeId: null, dueDate: '2026-04-30' }]
+    }
+  ]
+};
+
+describe('MinutesService transitions', () => {
+  it('should follow draft, approval and adoption', () => {
+    expect(MinutesService.canTransition(MinutesStatus.DRAFT, MinutesStatus.SUBMITTED)).toBe(true);
+    expect(MinutesService.canTransition(MinutesStatus.SUBMITTED, MinutesStatus.APPROVED)).toBe(true);
+    expect(MinutesService.canTransition(MinutesStatus.APPROVED, MinutesStatus.ADOPTED)).toBe(true);
+  });
+
+  it('should not allow skipping chair approval', () => {
+    expect(MinutesService.canTransition(MinutesStatus.DRAFT, MinutesStatus.APPROVED)).toBe(false);
+    expect(MinutesService.canTransition(MinutesStatus.SUBMITTED, MinutesStatus.ADOPTED)).toBe(false);
+  });
+
+  it('should treat adopted minutes as final', () => {
+    expect(MinutesService.getNextStatuses(MinutesStatus.ADOPTED)).toEqual([]);
+    expect(() => MinutesService.assertTransition(MinutesStatus.ADOPTED, MinutesStatus.DRAFT)).toThrow(
+      expect.objectContaining({ code: 'INVALID_STATUS_TRANSITION' })
+    );
+  });
+
+  it('should only need MINUTES_DRAFT to submit', () => {
+    expect(MinutesService.getRequiredPermission(MinutesStatus.DRAFT, MinutesStatus.SUBMITTED)).toBe(Permission.MINUTES_DRAFT);
+    expect(MinutesService.getRequiredPermission(MinutesStatus.SUBMITTED, MinutesStatus.APPROVED)).toBe(Permission.MINUTES_APPROVE);
+    expect(MinutesService.getRequiredPermission(MinutesStatus.SUBMITTED, MinutesStatus.DRAFT)).toBe(Permission.MINUTES_APPROVE);
+    expect(MinutesService.getRequiredPermission(MinutesStatus.APPROVED, MinutesStatus.ADOPTED)).toBe(Permission.MINUTES_APPROVE);
+  });
+});
+
+describe('MinutesService content hashing', () => {
+  it('should hash the same content the same regardless of key order', () => {
+    const reordered = JSON.parse(JSON.stringify({
+      sections: content.sections.map(s => ({ actions: s.actions, decisions: s.decisions, notes: s.notes, title: s.title })),
+      summary: content.summary
+    }));
+
+    expect(MinutesService.hashContent(reordered)).toBe(MinutesService.hashContent(content));
+    expect(MinutesService.hashContent(content)).toMatch(/^[a-f0-9]{64}$/);
+  });
+
+  it('should detect changed content', () => {
+    const hash = MinutesService.hashContent(content);
+    const edited = { ...content, sections: [{ ...content.sections[0], decisions: ['Accounts rejected'] }] };
+
+    expect(MinutesService.verifyContent(content, hash)).toBe(true);
+    expect(MinutesService.verifyContent(edited, hash)).toBe(false);
+  });
+
+  it('should reject malformed hashes', () => {
+    expect(MinutesService.verifyContent(content, '')).toBe(false);
+    expect(MinutesService.verifyContent(content, 'not-a-hash')).toBe(false);
+  });
+});
+
+describe('MinutesService.buildSectionsFromAgenda', () => {
+  it('should create one section per agenda item', () => {
+    const sections = MinutesService.buildSectionsFromAgenda('1. Apologies\n2) Minutes of last meeting\n\n- Any other business');
+
+    expect(sections.map(s => s.title)).toEqual(['Apologies', 'Minutes of last meeting', 'Any other business']);
+    expect(sections[0]).toEqual({ title: 'Apologies', notes: '', decisions: [], actions: [] });
+  });
+
+  it('should handle meetings without an agenda', () => {
+    expect(MinutesService.buildSectionsFromAgenda(null)).toEqual([]);
+  });
+});
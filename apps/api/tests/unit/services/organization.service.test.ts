@@ -0,0 +1,81 @@
+import { OrganizationService } from '../../../src/services/organization.service';
+
+describe('OrganizationService.getSlugFormatProblem', () => {
+  it('should accept lowercase words joined by single hyphens', () => {
+    expect(OrganizationService.getSlugFormatProblem('st-marys-trust')).toBeNull();
+    expect(OrganizationService.getSlugFormatProblem('trust2026')).toBeNull();
+  });
+
+  it('should reject slugs that are too short or badly formed', () => {
+    expect(OrganizationService.getSlugFormatProblem('ab')).toBe('invalid');
+    expect(OrganizationService.getSlugFormatProblem('-trust')).toBe('invalid');
+    expect(OrganizationService.getSlugFormatProblem('my--trust')).toBe('invalid');
+    expect(OrganizationService.getSlugFormatProblem('My Trust')).toBe('invalid');
+  });
+
+  it('should reject reserved slugs', () => {
+    expect(OrganizationService.getSlugFormatProblem('admin')).toBe('reserved');
+  });
+});
+
+describe('OrganizationService.checkSlugAvailability', () => {
+  it('should normalise the slug and reject bad formats without a lookup', async () => {
+    expect(await OrganizationService.checkSlugAvailability('  API ')).toEqual({ slug: 'api', available: false, reason: 'reserved' });
+  });
+});
+
+describe('OrganizationService.isValidTimezone', () => {
+  it('should accept IANA names only', () => {
+    expect(OrganizationService.isValidTimezone('Europe/London')).toBe(true);
+    expect(OrganizationService.isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+  });
+});
+
+describe('OrganizationService.diff', () => {
+  it('should list changed fields with their old and new values', () => {
+    const before = { name: 'Old Trust', slug: 'old-trust', primary_color: '#000000' };
+    const after = { name: 'New Trust', slug: 'old-trust', primary_color: null };
+
+    expect(OrganizationService.diff(before, after)).toEqual({
+      name: { from: 'Old Trust', to: 'New Trust' },
+      primary_color: { from: '#000000', to: null }
+    });
+  });
+
+  it('should compare nested settings key by key', () => {
+    const before = { settings: { timezone: 'UTC', meetingReminders: true } };
+    const after = { settings: { timezone: 'Europe/London', meetingReminders: true, language: 'en-GB' } };
+
+    expect(OrganizationService.diff(before, after)).toEqual({
+      'settings.timezone': { from: 'UTC', to: 'Europe/London' },
+      'settings.language': { from: null, to: 'en-GB' }
+    });
+  });
+
+  it('should ignore fields that were not updated', () => {
+    expect(OrganizationService.diff({ name: 'Trust', address: '1 High St' }, { address: undefined })).toEqual({});
+  });
+
+  it('should compare arrays by value', () => {
+    expect(OrganizationService.diff({ days: [90, 60] }, { days: [90, 60] })).toEqual({});
+    expect(OrganizationService.diff({ days: [90, 60] }, { days: [30] })).toEqual({ days: { from: [90, 60], to: [30] } });
+  });
+});
+
+describe('OrganizationService.pickDefaultMembership', () => {
+  const memberships = [{ organization_id: 'org-a' }, { organization_id: 'org-b' }];
+
+  it('should sign in to the only organization', () => {
+    expect(OrganizationService.pickDefaultMembership([memberships[0]], 'org-z')).toBe(memberships[0]);
+  });
+
+  it('should sign in to the organization used last', () => {
+    expect(OrganizationService.pickDefaultMembership(memberships, 'org-b')).toBe(memberships[1]);
+  });
+
+  it('should ask when the last organization is unknown or no longer available', () => {
+    expect(OrganizationService.pickDefaultMembership(memberships, null)).toBeNull();
+    expect(OrganizationService.pickDefaultMembership(memberships, 'org-z')).toBeNull();
+    expect(OrganizationService.pickDefaultMembership([], 'org-a')).toBeNull();
+  });
+});
@@ -0,0 +1,131 @@
+import { PlatformAnalyticsService, OrganizationRow, PlanRow } from '../../../src/services/platform-analytics.service';
+
+describe('PlatformAnalyticsService', () => {
+  const now = new Date('2026-06-15T12:00:00Z');
+
+  const plans: PlanRow[] = [
+    { id: 'starter', name: 'Starter', price_monthly: 2900, price_yearly: 29000 },
+    { id: 'pro', name: 'Professional', price_monthly: 7900, price_yearly: 79200 }
+  ];
+
+  const org = (overrides: Partial<OrganizationRow>): OrganizationRow => ({
+    id: Math.random().toString(36).slice(2),
+    name: 'Org',
+    plan_id: 'starter',
+    subscription_status: 'active',
+    billing_cycle: 'monthly',
+    subscription_started_at: '2026-01-01T00:00:00Z',
+    created_at: '2026-01-01T00:00:00Z',
+    ...overrides
+  });
+
+  describe('calculateRevenue', () => {
+    it('should sum MRR for paying organizations only', () => {
+      const revenue = PlatformAnalyticsService.calculateRevenue([
+        org({}),
+        org({ plan_id: 'pro', subscription_status: 'past_due' }),
+        org({ subscription_status: 'trial', subscription_started_at: null }),
+        org({ subscription_status: 'suspended' }),
+        org({ is_complimentary: true })
+      ], plans, now);
+
+      expect(revenue.totalMrr).toBe(2900 + 7900);
+      expect(revenue.estimatedArr).toBe((2900 + 7900) * 12);
+      expect(revenue.payingOrganizations).toBe(2);
+    });
+
+    it('should spread yearly billing across 12 months', () => {
+      const revenue = PlatformAnalyticsService.calculateRevenue([
+        org({ plan_id: 'pro', billing_cycle: 'yearly' })
+      ], plans, now);
+
+      expect(revenue.totalMrr).toBe(6600);
+    });
+
+    it('should break revenue down by plan', () => {
+      const revenue = PlatformAnalyticsService.calculateRevenue([org({}), org({})], plans, now);
+      const starter = revenue.byPlan.find(p => p.planId === 'starter')!;
+
+      expect(starter.organizationCount).toBe(2);
+      expect(starter.monthlyRevenue).toBe(5800);
+      expect(starter.avgRevenuePerOrg).toBe(2900);
+    });
+
+    it('should report MRR lost to recent cancellations', () => {
+      const revenue = PlatformAnalyticsService.calculateRevenue([
+        org({ subscription_status: 'cancelled', cancelled_at: '2026-06-01T00:00:00Z' }),
+        org({ subscription_status: 'cancelled', cancelled_at: '2026-03-01T00:00:00Z' })
+      ], plans, now);
+
+      expect(revenue.revenueChurn).toBe(2900);
+    });
+
+    it('should reconstruct MRR for each of the last 12 months', () => {
+      const revenue = PlatformAnalyticsService.calculateRevenue([
+        org({ subscription_started_at: '2026-04-10T00:00:00Z' })
+      ], plans, now);
+
+      expect(revenue.monthlyBreakdown).toHaveLength(12);
+      expect(revenue.monthlyBreakdown[11].month).toBe('2026-06');
+      expect(revenue.monthlyBreakdown.find(m => m.month === '2026-03')!.monthlyRecurringRevenue).toBe(0);
+      expect(revenue.monthlyBreakdown.find(m => m.month === '2026-04')!.monthlyRecurringRevenue).toBe(2900);
+    });
+  });
+
+  describe('calculateGrowth', () => {
+    it('should count signups, cancellations and trial conversion in the window', () => {
+      const growth = PlatformAnalyticsService.calculateGrowth([
+        org({ created_at: '2026-06-10T09:00:00Z', subscription_status: 'trial', subscription_started_at: null }),
+        org({ created_at: '2026-06-12T09:00:00Z', subscription_started_at: '2026-06-14T00:00:00Z' }),
+        org({ created_at: '2026-01-01T00:00:00Z', cancelled_at: '2026-06-05T00:00:00Z' })
+      ], plans, 30, now);
+
+      expect(growth.totalNewOrganizations).toBe(2);
+      expect(growth.totalCancellations).toBe(1);
+      expect(growth.netGrowth).toBe(1);
+      expect(growth.trialConversion).toEqual({ trialsStarted: 2, converted: 1, ratePercent: 50 });
+      expect(growth.dailySignups).toHaveLength(30);
+      expect(growth.dailySignups.find(d => d.date === '2026-06-10')!.newOrganizations).toBe(1);
+      expect(growth.signupsByPlan).toEqual([{ planName: 'Starter', signups: 2 }]);
+    });
+  });
+
+  describe('calculateChurn', () => {
+    it('should divide cancellations by paying customers at the start of the window', () => {
+      const churn = PlatformAnalyticsService.calculateChurn([
+        org({}),
+        org({}),
+        org({}),
+        org({ cancelled_at: '2026-06-01T00:00:00Z', subscription_status: 'cancelled' })
+      ], plans, 30, now);
+
+      expect(churn.payingAtStart).toBe(4);
+      expect(churn.churnedCount).toBe(1);
+      expect(churn.churnRatePercent).toBe(25);
+      expect(churn.cancellations[0].lifetimeDays).toBe(151);
+    });
+
+    it('should return zero when there were no paying customers', () => {
+      expect(PlatformAnalyticsService.calculateChurn([], plans, 30, now).churnRatePercent).toBe(0);
+    });
+  });
+
+  describe('calculateHealth', () => {
+    it('should flag expiring trials, past-due and inactive organizations', () => {
+      const trial = org({ id: 'trial', subscription_status: 'trial', trial_ends_at: '2026-06-18T00:00:00Z' });
+      const pastDue = org({ id: 'past-due', subscription_status: 'past_due' });
+      const busy = org({ id: 'busy' });
+
+      const health = PlatformAnalyticsService.calculateHealth([trial, pastDue, busy], plans, [
+        { organization_id: 'busy', last_active_at: '2026-06-14T00:00:00Z' },
+        { organization_id: 'busy', last_active_at: '2026-06-13T00:00:00Z' },
+        { organization_id: 'past-due', last_active_at: '2026-01-01T00:00:00Z' }
+      ], now);
+
+      expect(health.atRiskOrganizations.map(o => o.id)).toEqual(['trial']);
+      expect(health.pastDueCount).toBe(1);
+      expect(health.inactiveOrganizations.map(o => o.id).sort()).toEqual(['past-due', 'trial']);
+      expect(health.mostActive).toEqual([expect.objectContaining({ id: 'busy', activeMembers: 2 })]);
+    });
+  });
+});
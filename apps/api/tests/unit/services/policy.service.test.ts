@@ -0,0 +1,93 @@
+import { PolicyService, POLICY_REVIEW_REMINDER_DAYS } from '../../../src/services/policy.service';
+import { Permission, PolicyStatus } from '../../../src/types';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-01T12:00:00Z');
+const daysFromNow = (days: number) => new Date(now.getTime() + days * DAY_MS).toISOString().slice(0, 10);
+
+describe('PolicyService transitions', () => {
+  it('should follow the approval lifecycle', () => {
+    expect(PolicyService.canTransition(PolicyStatus.DRAFT, PolicyStatus.IN_REVIEW)).toBe(true);
+    expect(PolicyService.canTransition(PolicyStatus.IN_REVIEW, PolicyStatus.APPROVED)).toBe(true);
+    expect(PolicyService.canTransition(PolicyStatus.APPROVED, PolicyStatus.PUBLISHED)).toBe(true);
+    expect(PolicyService.canTransition(PolicyStatus.PUBLISHED, PolicyStatus.DUE_FOR_REVIEW)).toBe(true);
+    expect(PolicyService.canTransition(PolicyStatus.DUE_FOR_REVIEW, PolicyStatus.IN_REVIEW)).toBe(true);
+  });
+
+  it('should not allow skipping approval', () => {
+    expect(PolicyService.canTransition(PolicyStatus.DRAFT, PolicyStatus.PUBLISHED)).toBe(false);
+    expect(PolicyService.canTransition(PolicyStatus.IN_REVIEW, PolicyStatus.PUBLISHED)).toBe(false);
+    expect(PolicyService.canTransition(PolicyStatus.DUE_FOR_REVIEW, PolicyStatus.APPROVED)).toBe(false);
+  });
+
+  it('should treat archived as final', () => {
+    expect(PolicyService.getNextStatuses(PolicyStatus.ARCHIVED)).toEqual([]);
+  });
+
+  it('should report allowed statuses on an invalid transition', () => {
+    expect(() => PolicyService.assertTransition(PolicyStatus.DRAFT, PolicyStatus.APPROVED)).toThrow(
+      expect.objectContaining({
+        code: 'INVALID_STATUS_TRANSITION',
+        details: expect.objectContaining({ allowed: [PolicyStatus.IN_REVIEW, PolicyStatus.ARCHIVED] })
+      })
+    );
+  });
+
+  it('should require DOC_APPROVE for sign-off decisions', () => {
+    expect(PolicyService.getRequiredPermission(PolicyStatus.IN_REVIEW, PolicyStatus.APPROVED)).toBe(Permission.DOC_APPROVE);
+    expect(PolicyService.getRequiredPermission(PolicyStatus.IN_REVIEW, PolicyStatus.DRAFT)).toBe(Permission.DOC_APPROVE);
+    expect(PolicyService.getRequiredPermission(PolicyStatus.APPROVED, PolicyStatus.PUBLISHED)).toBe(Permission.DOC_APPROVE);
+    expect(PolicyService.getRequiredPermission(PolicyStatus.DRAFT, PolicyStatus.IN_REVIEW)).toBe(Permission.DOC_UPDATE);
+    expect(PolicyService.getRequiredPermission(PolicyStatus.PUBLISHED, PolicyStatus.DRAFT)).toBe(Permission.DOC_UPDATE);
+  });
+});
+
+describe('PolicyService.calculateNextReviewDate', () => {
+  it('should add months', () => {
+    expect(PolicyService.calculateNextReviewDate('2026-03-15', 12)).toBe('2027-03-15');
+    expect(PolicyService.calculateNextReviewDate('2026-11-10', 3)).toBe('2027-02-10');
+  });
+
+  it('should clamp to the end of shorter months', () => {
+    expect(PolicyService.calculateNextReviewDate('2026-01-31', 1)).toBe('2026-02-28');
+    expect(PolicyService.calculateNextReviewDate('2028-02-29', 12)).toBe('2029-02-28');
+  });
+});
+
+describe('PolicyService.classifyReviewReminder', () => {
+  const published = (daysLeft: number, sentAt: string | null = null) => ({
+    status: PolicyStatus.PUBLISHED,
+    next_review_date: daysFromNow(daysLeft),
+    review_reminder_sent_at: sentAt
+  });
+
+  it('should not remind before the first threshold', () => {
+    expect(PolicyService.classifyReviewReminder(published(45), POLICY_REVIEW_REMINDER_DAYS, now)).toBeNull();
+  });
+
+  it('should remind at each threshold once', () => {
+    expect(PolicyService.classifyReviewReminder(published(30), POLICY_REVIEW_REMINDER_DAYS, now)).toBe(30);
+    expect(PolicyService.classifyReviewReminder(published(20, now.toISOString()), POLICY_REVIEW_REMINDER_DAYS, now)).toBeNull();
+
+    const sentAtThirty = new Date(now.getTime() - 23 * DAY_MS).toISOString();
+    expect(PolicyService.classifyReviewReminder(published(7, sentAtThirty), POLICY_REVIEW_REMINDER_DAYS, now)).toBe(7);
+  });
+
+  it('should report due on or after the review date', () => {
+    expect(PolicyService.classifyReviewReminder(published(0, now.toISOString()), POLICY_REVIEW_REMINDER_DAYS, now)).toBe('due');
+    expect(PolicyService.classifyReviewReminder(published(-3), POLICY_REVIEW_REMINDER_DAYS, now)).toBe('due');
+  });
+
+  it('should ignore policies that are not published', () => {
+    expect(PolicyService.classifyReviewReminder(
+      { status: PolicyStatus.DUE_FOR_REVIEW, next_review_date: daysFromNow(-3) },
+      POLICY_REVIEW_REMINDER_DAYS,
+      now
+    )).toBeNull();
+    expect(PolicyService.classifyReviewReminder(
+      { status: PolicyStatus.DRAFT, next_review_date: daysFromNow(5) },
+      POLICY_REVIEW_REMINDER_DAYS,
+      now
+    )).toBeNull();
+  });
+});
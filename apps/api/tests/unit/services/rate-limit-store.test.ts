@@ -0,0 +1,124 @@
+import { slidingWindowCount, getWindowStart } from '../../../src/services/rate-limit-store';
+import { InMemoryRateLimitStore } from '../../../src/services/in-memory-rate-limit.store';
+import { RedisRateLimitClient, RedisRateLimitStore } from '../../../src/services/redis-rate-limit.store';
+
+const WINDOW = 60 * 1000;
+const START = 1_000 * WINDOW;
+
+// Just enough of Redis for the store: counters with expiry times
+class FakeRedis implements RedisRateLimitClient {
+  values = new Map<string, number>();
+  expiries = new Map<string, number>();
+
+  async incr(key: string) {
+    const value = (this.values.get(key) || 0) + 1;
+    this.values.set(key, value);
+    return value;
+  }
+
+  async decr(key: string) {
+    const value = (this.values.get(key) || 0) - 1;
+    this.values.set(key, value);
+    return value;
+  }
+
+  async get(key: string) {
+    return this.values.has(key) ? String(this.values.get(key)) : null;
+  }
+
+  async pexpire(key: string, ms: number) {
+    this.expiries.set(key, ms);
+    return 1;
+  }
+
+  async del(...keys: string[]) {
+    keys.forEach(key => this.values.delete(key));
+    return keys.length;
+  }
+}
+
+describe('slidingWindowCount', () => {
+  it('should weight the previous window by how much of it still overlaps', () => {
+    expect(slidingWindowCount(10, 2, START, WINDOW)).toBe(12);
+    expect(slidingWindowCount(10, 2, START + WINDOW / 2, WINDOW)).toBe(7);
+    expect(slidingWindowCount(10, 2, START + WINDOW - 1, WINDOW)).toBe(2);
+  });
+
+  it('should align windows to the epoch', () => {
+    expect(getWindowStart(START + 1234, WINDOW)).toBe(START);
+  });
+});
+
+describe('InMemoryRateLimitStore', () => {
+  it('should count hits within a window', async () => {
+    const store = new InMemoryRateLimitStore();
+    await store.increment('k', WINDOW, START);
+    const hit = await store.increment('k', WINDOW, START + 10);
+
+    expect(hit.count).toBe(2);
+    expect(hit.resetAt.getTime()).toBe(START + WINDOW);
+  });
+
+  it('should carry the previous window into the next one', async () => {
+    const store = new InMemoryRateLimitStore();
+    for (let i = 0; i < 10; i++) await store.increment('k', WINDOW, START + i);
+
+    // A quarter of the way into the next window, 75% of the previous 10 still count
+    expect((await store.increment('k', WINDOW, START + WINDOW * 1.25)).count).toBe(8);
+    // Two windows later nothing is left
+    expect((await store.increment('k', WINDOW, START + WINDOW * 3)).count).toBe(1);
+  });
+
+  it('should keep keys separate and support decrement and reset', async () => {
+    const store = new InMemoryRateLimitStore();
+    await store.increment('a', WINDOW, START);
+    await store.increment('a', WINDOW, START);
+    await store.decrement('a', WINDOW, START);
+
+    expect((await store.increment('b', WINDOW, START)).count).toBe(1);
+    expect((await store.increment('a', WINDOW, START)).count).toBe(2);
+
+    await store.reset('a', WINDOW);
+    expect((await store.increment('a', WINDOW, START)).count).toBe(1);
+  });
+
+  it('should prune keys with nothing left in their window', async () => {
+    const store = new InMemoryRateLimitStore();
+    await store.increment('old', WINDOW, START);
+    await store.increment('new', WINDOW, START + 2 * WINDOW);
+
+    store.prune(START + 2 * WINDOW);
+    expect(store.size).toBe(1);
+  });
+});
+
+describe('RedisRateLimitStore', () => {
+  it('should count with one expiring key per window', async () => {
+    const redis = new FakeRedis();
+    const store = new RedisRateLimitStore(redis, 'rl:');
+
+    await store.increment('user:1', WINDOW, START + 1000);
+    const hit = await store.increment('user:1', WINDOW, START + 2000);
+
+    expect(hit.count).toBe(2);
+    expect(redis.values.get(`rl:user:1:${START}`)).toBe(2);
+    // Expires when it stops counting as the previous window
+    expect(redis.expiries.get(`rl:user:1:${START}`)).toBe(2 * WINDOW - 1000);
+  });
+
+  it('should include the weighted previous window', async () => {
+    const redis = new FakeRedis();
+    const store = new RedisRateLimitStore(redis);
+    for (let i = 0; i < 4; i++) await store.increment('k', WINDOW, START + i);
+
+    expect((await store.increment('k', WINDOW, START + WINDOW * 1.5)).count).toBe(3);
+  });
+
+  it('should not leave negative counters behind on decrement', async () => {
+    const redis = new FakeRedis();
+    const store = new RedisRateLimitStore(redis);
+
+    await store.decrement('k', WINDOW, START);
+    expect(redis.values.size).toBe(0);
+  });
+});
@@ -0,0 +1,44 @@
+import { RecruitmentService } from '../../../src/services/recruitment.service';
+import { ApplicationStatus } from '../../../src/types';
+
+describe('RecruitmentService', () => {
+  describe('canTransition', () => {
+    it('should allow the forward pipeline', () => {
+      expect(RecruitmentService.canTransition(ApplicationStatus.APPLIED, ApplicationStatus.SHORTLISTED)).toBe(true);
+      expect(RecruitmentService.canTransition(ApplicationStatus.SHORTLISTED, ApplicationStatus.INTERVIEWING)).toBe(true);
+      expect(RecruitmentService.canTransition(ApplicationStatus.INTERVIEWING, ApplicationStatus.SELECTED)).toBe(true);
+      expect(RecruitmentService.canTransition(ApplicationStatus.SELECTED, ApplicationStatus.ONBOARDED)).toBe(true);
+    });
+
+    it('should allow rejection from any open stage', () => {
+      expect(RecruitmentService.canTransition(ApplicationStatus.APPLIED, ApplicationStatus.REJECTED)).toBe(true);
+      expect(RecruitmentService.canTransition(ApplicationStatus.SHORTLISTED, ApplicationStatus.REJECTED)).toBe(true);
+      expect(RecruitmentService.canTransition(ApplicationStatus.INTERVIEWING, ApplicationStatus.REJECTED)).toBe(true);
+      expect(RecruitmentService.canTransition(ApplicationStatus.SELECTED, ApplicationStatus.REJECTED)).toBe(true);
+    });
+
+    it('should not allow skipping stages', () => {
+      expect(RecruitmentService.canTransition(ApplicationStatus.APPLIED, ApplicationStatus.INTERVIEWING)).toBe(false);
+      expect(RecruitmentService.canTransition(ApplicationStatus.SHORTLISTED, ApplicationStatus.SELECTED)).toBe(false);
+      expect(RecruitmentService.canTransition(ApplicationStatus.INTERVIEWING, ApplicationStatus.ONBOARDED)).toBe(false);
+    });
+
+    it('should treat rejected and onboarded as terminal', () => {
+      expect(RecruitmentService.getNextStatuses(ApplicationStatus.REJECTED)).toEqual([]);
+      expect(RecruitmentService.getNextStatuses(ApplicationStatus.ONBOARDED)).toEqual([]);
+      expect(RecruitmentService.canTransition(ApplicationStatus.REJECTED, ApplicationStatus.SHORTLISTED)).toBe(false);
+    });
+  });
+
+  describe('assertTransition', () => {
+    it('should throw INVALID_STATUS_TRANSITION for disallowed moves', () => {
+      expect(() => RecruitmentService.assertTransition(ApplicationStatus.APPLIED, ApplicationStatus.SELECTED))
+        .toThrow(expect.objectContaining({ code: 'INVALID_STATUS_TRANSITION', statusCode: 400 }));
+    });
+
+    it('should not throw for allowed moves', () => {
+      expect(() => RecruitmentService.assertTransition(ApplicationStatus.APPLIED, ApplicationStatus.SHORTLISTED))
+        .not.toThrow();
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { ResolutionService } from '../../../src/services/resolution.service';
+import { PassThreshold, ResolutionStatus, Role, VoteChoice } from '../../../src/types';
+
+const { FOR, AGAINST, ABSTAIN } = VoteChoice;
+
+describe('ResolutionService transitions', () => {
+  it('should open drafts and close open resolutions', () => {
+    expect(ResolutionService.canTransition(ResolutionStatus.DRAFT, ResolutionStatus.OPEN)).toBe(true);
+    expect(ResolutionService.canTransition(ResolutionStatus.OPEN, ResolutionStatus.PASSED)).toBe(true);
+    expect(ResolutionService.canTransition(ResolutionStatus.OPEN, ResolutionStatus.FAILED)).toBe(true);
+    expect(ResolutionService.canTransition(ResolutionStatus.DRAFT, ResolutionStatus.PASSED)).toBe(false);
+  });
+
+  it('should treat closed resolutions as final', () => {
+    expect(() => ResolutionService.assertTransition(ResolutionStatus.PASSED, ResolutionStatus.WITHDRAWN)).toThrow(
+      expect.objectContaining({ code: 'INVALID_STATUS_TRANSITION' })
+    );
+  });
+});
+
+describe('ResolutionService.isEligibleVoter', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const member = (overrides: Record<string, any> = {}) => ({
+    user_id: 'u1', role: Role.TRUSTEE, is_active: true, term_end_date: null, ...overrides
+  });
+
+  it('should allow active board members', () => {
+    expect(ResolutionService.isEligibleVoter(member(), now)).toBe(true);
+    expect(ResolutionService.isEligibleVoter(member({ role: Role.CHAIR }), now)).toBe(true);
+  });
+
+  it('should exclude inactive members and non-board roles', () => {
+    expect(ResolutionService.isEligibleVoter(member({ is_active: false }), now)).toBe(false);
+    expect(ResolutionService.isEligibleVoter(member({ role: Role.VOLUNTEER }), now)).toBe(false);
+    expect(ResolutionService.isEligibleVoter(member({ role: Role.MLRO }), now)).toBe(false);
+  });
+
+  it('should exclude trustees whose term has ended', () => {
+    expect(ResolutionService.isEligibleVoter(member({ term_end_date: '2026-03-01' }), now)).toBe(true);
+    expect(ResolutionService.isEligibleVoter(member({ term_end_date: '2026-02-28' }), now)).toBe(false);
+  });
+});
+
+describe('ResolutionService.calculateQuorum', () => {
+  it('should round up a percentage of eligible voters', () => {
+    expect(ResolutionService.calculateQuorum(9, 50)).toBe(5);
+    expect(ResolutionService.calculateQuorum(10, 50)).toBe(5);
+    expect(ResolutionService.calculateQuorum(7, 100)).toBe(7);
+  });
+
+  it('should always need at least one vote', () => {
+    expect(ResolutionService.calculateQuorum(3, 1)).toBe(1);
+    expect(ResolutionService.calculateQuorum(0, 50)).toBe(1);
+  });
+});
+
+describe('ResolutionService.decideOutcome', () => {
+  const decide = (votes: VoteChoice[], passThreshold = PassThreshold.SIMPLE_MAJORITY, eligibleCount = 5) =>
+    ResolutionService.decideOutcome({ eligibleCount, quorumPercent: 50, passThreshold, votes });
+
+  it('should pass a simple majority of votes for and against', () => {
+    expect(decide([FOR, FOR, AGAINST])).toEqual(expect.objectContaining({
+      votesFor: 2, votesAgainst: 1, abstentions: 0, votesCast: 3, quorumRequired: 3, quorumMet: true, passed: true
+    }));
+    expect(decide([FOR, AGAINST, ABSTAIN]).passed).toBe(false);
+  });
+
+  it('should count abstentions toward the quorum only', () => {
+    expect(decide([FOR, ABSTAIN, ABSTAIN])).toEqual(expect.objectContaining({ quorumMet: true, passed: true }));
+  });
+
+  it('should fail without a quorum', () => {
+    expect(decide([FOR, FOR])).toEqual(expect.objectContaining({ quorumMet: false, passed: false }));
+  });
+
+  it('should apply two-thirds and unanimous thresholds', () => {
+    expect(decide([FOR, FOR, AGAINST], PassThreshold.TWO_THIRDS).passed).toBe(true);
+    expect(decide([FOR, FOR, AGAINST, AGAINST], PassThreshold.TWO_THIRDS).passed).toBe(false);
+    expect(decide([FOR, FOR, FOR], PassThreshold.UNANIMOUS).passed).toBe(true);
+    expect(decide([FOR, FOR, ABSTAIN], PassThreshold.UNANIMOUS).passed).toBe(false);
+  });
+
+  it('should never pass with no eligible voters', () => {
+    expect(decide([], PassThreshold.SIMPLE_MAJORITY, 0)).toEqual(expect.objectContaining({ quorumMet: false, passed: false }));
+  });
+});
@@ -0,0 +1,57 @@
+import { SessionService, REUSE_GRACE_MS, LAST_USED_UPDATE_MS } from '../../../src/services/session.service';
+
+describe('SessionService.describeDevice', () => {
+  it('should name the browser and operating system', () => {
+    expect(SessionService.describeDevice(
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36'
+    )).toBe('Chrome on Windows');
+    expect(SessionService.describeDevice(
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1'
+    )).toBe('Safari on iOS');
+  });
+
+  it('should not mistake Edge for Chrome', () => {
+    expect(SessionService.describeDevice(
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36 Edg/126.0'
+    )).toBe('Edge on macOS');
+  });
+
+  it('should fall back for missing or unrecognised agents', () => {
+    expect(SessionService.describeDevice(undefined)).toBe('Unknown device');
+    expect(SessionService.describeDevice('curl/8.4.0')).toBe('Unknown device');
+  });
+});
+
+describe('SessionService.getRefreshTokenState', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+  const session = { revoked_at: null, expires_at: '2026-06-05T12:00:00Z' };
+
+  it('should accept the newest token of a live session', () => {
+    expect(SessionService.getRefreshTokenState({ rotated_at: null }, session, now)).toBe('valid');
+  });
+
+  it('should reject tokens of revoked or expired sessions', () => {
+    expect(SessionService.getRefreshTokenState({}, { ...session, revoked_at: '2026-05-31T00:00:00Z' }, now)).toBe('revoked');
+    expect(SessionService.getRefreshTokenState({}, { ...session, expires_at: '2026-06-01T11:59:59Z' }, now)).toBe('expired');
+  });
+
+  it('should treat a rotated token presented straight away as a concurrent refresh', () => {
+    const rotatedAt = new Date(now.getTime() - REUSE_GRACE_MS + 1000).toISOString();
+    expect(SessionService.getRefreshTokenState({ rotated_at: rotatedAt }, session, now)).toBe('race');
+  });
+
+  it('should treat a rotated token presented later as reuse', () => {
+    const rotatedAt = new Date(now.getTime() - REUSE_GRACE_MS).toISOString();
+    expect(SessionService.getRefreshTokenState({ rotated_at: rotatedAt }, session, now)).toBe('reused');
+  });
+});
+
+describe('SessionService.isLastUsedStale', () => {
+  const now = new Date('2026-06-01T12:00:00Z');
+
+  it('should only update last use every few minutes', () => {
+    expect(SessionService.isLastUsedStale(null, now)).toBe(true);
+    expect(SessionService.isLastUsedStale(new Date(now.getTime() - 1000).toISOString(), now)).toBe(false);
+    expect(SessionService.isLastUsedStale(new Date(now.getTime() - LAST_USED_UPDATE_MS).toISOString(), now)).toBe(true);
+  });
+});
@@ -0,0 +1,136 @@
+import { SubscriptionService, GRACE_PERIOD_DAYS } from '../../../src/services/subscription.service';
+import { SubscriptionStatus } from '../../../src/types';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-01T12:00:00Z');
+const daysFromNow = (days: number) => new Date(now.getTime() + days * DAY_MS).toISOString();
+
+describe('SubscriptionService.getAccess', () => {
+  it('should give full access to active organizations', () => {
+    const access = SubscriptionService.getAccess({ subscription_status: SubscriptionStatus.ACTIVE, is_active: true }, now);
+
+    expect(access.mode).toBe('full');
+    expect(access.code).toBeNull();
+  });
+
+  it('should give full access to a trial that has not ended', () => {
+    const access = SubscriptionService.getAccess({
+      subscription_status: SubscriptionStatus.TRIAL,
+      trial_ends_at: daysFromNow(3)
+    }, now);
+
+    expect(access.mode).toBe('full');
+  });
+
+  it('should allow a grace period after the trial ends', () => {
+    const access = SubscriptionService.getAccess({
+      subscription_status: SubscriptionStatus.TRIAL,
+      trial_ends_at: daysFromNow(-1)
+    }, now);
+
+    expect(access.mode).toBe('grace');
+    expect(access.graceEndsAt).toBe(daysFromNow(GRACE_PERIOD_DAYS - 1));
+  });
+
+  it('should make an expired trial read-only once the grace period is over', () => {
+    const access = SubscriptionService.getAccess({
+      subscription_status: SubscriptionStatus.TRIAL,
+      trial_ends_at: daysFromNow(-GRACE_PERIOD_DAYS - 1)
+    }, now);
+
+    expect(access.mode).toBe('read_only');
+    expect(access.code).toBe('TRIAL_EXPIRED');
+  });
+
+  it('should make an overdue subscription read-only after the grace period', () => {
+    const grace = SubscriptionService.getAccess({
+      subscription_status: SubscriptionStatus.PAST_DUE,
+      current_period_end: daysFromNow(-2)
+    }, now);
+    const readOnly = SubscriptionService.getAccess({
+      subscription_status: SubscriptionStatus.PAST_DUE,
+      current_period_end: daysFromNow(-GRACE_PERIOD_DAYS - 2)
+    }, now);
+
+    expect(grace.mode).toBe('grace');
+    expect(readOnly.mode).toBe('read_only');
+    expect(readOnly.code).toBe('PAYMENT_OVERDUE');
+  });
+
+  it('should keep a cancelled subscription usable until the paid period ends', () => {
+    const paid = SubscriptionService.getAccess({
+      subscription_status: SubscriptionStatus.CANCELLED,
+      subscription_ends_at: daysFromNow(10)
+    }, now);
+    const ended = SubscriptionService.getAccess({
+      subscription_status: SubscriptionStatus.CANCELLED,
+      subscription_ends_at: daysFromNow(-1)
+    }, now);
+
+    expect(paid.mode).toBe('full');
+    expect(ended.mode).toBe('read_only');
+    expect(ended.code).toBe('SUBSCRIPTION_CANCELLED');
+  });
+
+  it('should lock suspended organizations, even complimentary ones', () => {
+    const access = SubscriptionService.getAccess({
+      subscription_status: SubscriptionStatus.SUSPENDED,
+      is_complimentary: true
+    }, now);
+
+    expect(access.mode).toBe('locked');
+    expect(access.code).toBe('ORGANIZATION_SUSPENDED');
+  });
+
+  it('should lock deactivated organizations', () => {
+    const access = SubscriptionService.getAccess({ subscription_status: SubscriptionStatus.ACTIVE, is_active: false }, now);
+
+    expect(access.mode).toBe('locked');
+    expect(access.code).toBe('ORGANIZATION_INACTIVE');
+  });
+
+  it('should never restrict complimentary organizations for lapsed trials', () => {
+    const access = SubscriptionService.getAccess({
+      subscription_status: SubscriptionStatus.TRIAL,
+      is_complimentary: true,
+      trial_ends_at: daysFromNow(-30)
+    }, now);
+
+    expect(access.mode).toBe('full');
+  });
+});
+
+describe('SubscriptionService.classifyTrialWarning', () => {
+  const trial = (endsInDays: number, sentAt: string | null = null) => ({
+    subscription_status: SubscriptionStatus.TRIAL,
+    trial_ends_at: daysFromNow(endsInDays),
+    trial_warning_sent_at: sentAt
+  });
+
+  it('should not warn while the trial is further out than the first threshold', () => {
+    expect(SubscriptionService.classifyTrialWarning(trial(10), [7, 3, 1], now)).toBeNull();
+  });
+
+  it('should pick the smallest threshold crossed', () => {
+    expect(SubscriptionService.classifyTrialWarning(trial(6), [7, 3, 1], now)).toBe(7);
+    expect(SubscriptionService.classifyTrialWarning(trial(2.5), [7, 3, 1], now)).toBe(3);
+    expect(SubscriptionService.classifyTrialWarning(trial(0.5), [7, 3, 1], now)).toBe(1);
+  });
+
+  it('should not repeat a warning already sent for the current threshold', () => {
+    expect(SubscriptionService.classifyTrialWarning(trial(6, daysFromNow(-0.5)), [7, 3, 1], now)).toBeNull();
+  });
+
+  it('should warn again once the next threshold is crossed', () => {
+    expect(SubscriptionService.classifyTrialWarning(trial(2, daysFromNow(-4)), [7, 3, 1], now)).toBe(3);
+  });
+
+  it('should not warn once the trial has ended or for other statuses', () => {
+    expect(SubscriptionService.classifyTrialWarning(trial(-1), [7, 3, 1], now)).toBeNull();
+    expect(SubscriptionService.classifyTrialWarning(
+      { subscription_status: SubscriptionStatus.ACTIVE, trial_ends_at: daysFromNow(2) },
+      [7, 3, 1],
+      now
+    )).toBeNull();
+  });
+});
@@ -0,0 +1,53 @@
+import { TaskService } from '../../../src/services/task.service';
+import { TaskStatus } from '../../../src/types';
+
+describe('TaskService', () => {
+  describe('classifyTaskReminder', () => {
+    const now = new Date('2026-03-10T09:00:00Z');
+
+    it('should return null for tasks without a due date', () => {
+      expect(TaskService.classifyTaskReminder({ status: TaskStatus.PENDING, due_date: null }, now)).toBeNull();
+    });
+
+    it('should return null for completed or cancelled tasks', () => {
+      expect(TaskService.classifyTaskReminder({ status: TaskStatus.COMPLETED, due_date: '2026-03-01' }, now)).toBeNull();
+      expect(TaskService.classifyTaskReminder({ status: TaskStatus.CANCELLED, due_date: '2026-03-10' }, now)).toBeNull();
+    });
+
+    it('should flag tasks due today or tomorrow as due', () => {
+      expect(TaskService.classifyTaskReminder({ status: TaskStatus.PENDING, due_date: '2026-03-10' }, now)).toBe('due');
+      expect(TaskService.classifyTaskReminder({ status: TaskStatus.IN_PROGRESS, due_date: '2026-03-11' }, now)).toBe('due');
+    });
+
+    it('should ignore tasks due further out', () => {
+      expect(TaskService.classifyTaskReminder({ status: TaskStatus.PENDING, due_date: '2026-03-12' }, now)).toBeNull();
+    });
+
+    it('should flag tasks past their due date as overdue', () => {
+      expect(TaskService.classifyTaskReminder({ status: TaskStatus.PENDING, due_date: '2026-03-09' }, now)).toBe('overdue');
+    });
+
+    it('should not repeat a reminder that was already sent', () => {
+      expect(TaskService.classifyTaskReminder({
+        status: TaskStatus.PENDING,
+        due_date: '2026-03-10',
+        due_reminder_sent_at: '2026-03-09T09:00:00Z'
+      }, now)).toBeNull();
+
+      expect(TaskService.classifyTaskReminder({
+        status: TaskStatus.PENDING,
+        due_date: '2026-03-09',
+        due_reminder_sent_at: '2026-03-08T09:00:00Z',
+        overdue_reminder_sent_at: '2026-03-10T08:00:00Z'
+      }, now)).toBeNull();
+    });
+
+    it('should still send an overdue reminder after a due reminder', () => {
+      expect(TaskService.classifyTaskReminder({
+        status: TaskStatus.IN_PROGRESS,
+        due_date: '2026-03-09',
+        due_reminder_sent_at: '2026-03-08T09:00:00Z'
+      }, now)).toBe('overdue');
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import { TermService, DEFAULT_RENEWAL_NOTIFICATION_DAYS } from '../../../src/services/term.service';
+
+describe('TermService', () => {
+  describe('getNotificationThresholds', () => {
+    it('should sort thresholds largest first and drop invalid values', () => {
+      expect(TermService.getNotificationThresholds({ renewal_notification_days: [30, 90, 0, 60, 30] }))
+        .toEqual([90, 60, 30]);
+    });
+
+    it('should accept the legacy single integer column', () => {
+      expect(TermService.getNotificationThresholds({ renewal_notification_days: 30 })).toEqual([30]);
+    });
+
+    it('should fall back to the defaults', () => {
+      expect(TermService.getNotificationThresholds({})).toEqual(DEFAULT_RENEWAL_NOTIFICATION_DAYS);
+    });
+  });
+
+  describe('calculateTermEndDate', () => {
+    it('should add whole years', () => {
+      expect(TermService.calculateTermEndDate('2026-04-01', 3)).toBe('2029-04-01');
+    });
+  });
+
+  describe('classifyTermNotification', () => {
+    const thresholds = [90, 60, 30];
+    const now = new Date('2026-03-01T09:00:00Z');
+
+    it('should ignore members without a term end date', () => {
+      expect(TermService.classifyTermNotification({ term_end_date: null }, thresholds, now)).toBeNull();
+    });
+
+    it('should ignore terms outside every threshold', () => {
+      expect(TermService.classifyTermNotification({ term_end_date: '2026-07-01' }, thresholds, now)).toBeNull();
+    });
+
+    it('should ignore expired terms', () => {
+      expect(TermService.classifyTermNotification({ term_end_date: '2026-02-28' }, thresholds, now)).toBeNull();
+    });
+
+    it('should return the most recently crossed threshold', () => {
+      // 80 days left
+      expect(TermService.classifyTermNotification({ term_end_date: '2026-05-20' }, thresholds, now)).toBe(90);
+      // 25 days left
+      expect(TermService.classifyTermNotification({ term_end_date: '2026-03-26' }, thresholds, now)).toBe(30);
+    });
+
+    it('should not repeat a threshold that was already notified', () => {
+      expect(TermService.classifyTermNotification({
+        term_end_date: '2026-05-20',
+        renewal_notified_at: '2026-02-25T09:00:00Z'
+      }, thresholds, now)).toBeNull();
+    });
+
+    it('should notify again once the next threshold is crossed', () => {
+      // 55 days left, last notified at the 90 day mark
+      expect(TermService.classifyTermNotification({
+        term_end_date: '2026-04-25',
+        renewal_notified_at: '2026-01-26T09:00:00Z'
+      }, thresholds, now)).toBe(60);
+    });
+  });
+
+  describe('assertCanRenew', () => {
+    it('should allow renewal below the maximum', () => {
+      expect(() => TermService.assertCanRenew({ consecutive_terms: 1 }, { max_consecutive_terms: 2 })).not.toThrow();
+    });
+
+    it('should throw MAX_CONSECUTIVE_TERMS_REACHED at the maximum', () => {
+      expect(() => TermService.assertCanRenew({ consecutive_terms: 2 }, { max_consecutive_terms: 2 }))
+        .toThrow(expect.objectContaining({ code: 'MAX_CONSECUTIVE_TERMS_REACHED', statusCode: 400 }));
+    });
+
+    it('should allow unlimited renewals when no maximum is set', () => {
+      expect(() => TermService.assertCanRenew({ consecutive_terms: 8 }, { max_consecutive_terms: null })).not.toThrow();
+    });
+  });
+});
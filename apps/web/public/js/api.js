@@ -90,7 +90,11 @@ class ApiClient {
             }
         }
 
-        if (data) {
+        // File uploads: the browser sets the multipart Content-Type (with boundary)
+        if (data instanceof FormData) {
+            delete options.headers['Content-Type'];
+            options.body = data;
+        } else if (data) {
             options.body = JSON.stringify(data);
         }
 
@@ -213,8 +217,8 @@ class ApiClient {
     }
 
     // DELETE request
-    delete(endpoint) {
-        return this.request('DELETE', endpoint);
+    delete(endpoint, data = null) {
+        return this.request('DELETE', endpoint, data);
     }
 
     // PATCH request
@@ -259,6 +263,21 @@ const authAPI = {
         throw new Error(result.error?.message || 'Login failed');
     },
 
+    // Second login step when MFA is enabled - pass a TOTP code or a recovery code
+    verifyMfa: async (mfaToken, code) => {
+        const body = /^\d{6}$/.test(code) ? { mfaToken, code } : { mfaToken, recoveryCode: code };
+        const result = await api.post('/auth/login', body);
+        
+        if (result.success && result.data) {
+            if (result.data.organization) {
+                sessionStorage.setItem('current_organization', JSON.stringify(result.data.organization));
+                sessionStorage.setItem('user_role', result.data.organization.role);
+            }
+            return result.data;
+        }
+        throw new Error(result.error?.message || 'Verification failed');
+    },
+
     // Registration
     register: async (userData) => {
         const result = await api.post('/auth/register', userData);
@@ -270,6 +289,20 @@ const authAPI = {
         return result;
     },
 
+    // Move the signed-in session to another organization (no password needed)
+    switchOrganization: async (organizationId) => {
+        const result = await api.post('/auth/switch-organization', { organizationId });
+        
+        if (result.success && result.data) {
+            if (result.data.organization) {
+                sessionStorage.setItem('current_organization', JSON.stringify(result.data.organization));
+                sessionStorage.setItem('user_role', result.data.organization.role);
+            }
+            return result.data;
+        }
+        throw new Error(result.error?.message || 'Failed to switch organization');
+    },
+
     // Get current organization
     getCurrentOrganization: () => {
         const org = sessionStorage.getItem('current_organization');
@@ -294,6 +327,24 @@ const authAPI = {
         window.location.href = '/index.html';
     },
 
+    // Signed-in sessions (devices)
+    getSessions: () => {
+        return api.get('/auth/sessions');
+    },
+
+    revokeSession: (id) => {
+        return api.delete(`/auth/sessions/${id}`);
+    },
+
+    // Sign out everywhere except this device
+    revokeOtherSessions: () => {
+        return api.delete('/auth/sessions');
+    },
+
+    logoutAll: () => {
+        return api.post('/auth/logout-all', {});
+    },
+
     // Get current user
     getCurrentUser: async () => {
         const result = await api.get('/auth/me');
@@ -323,6 +374,41 @@ const authAPI = {
         return api.post('/auth/reset-password', { token, password });
     },
 
+    // Confirm email address from the verification link
+    verifyEmail: (token) => {
+        return api.post('/auth/verify-email', { token });
+    },
+
+    // Send a new verification link
+    resendVerification: () => {
+        return api.post('/auth/resend-verification');
+    },
+
+    // Ask to change the sign-in email (a link is sent to the new address)
+    changeEmail: (newEmail, password) => {
+        return api.post('/users/change-email', { newEmail, password });
+    },
+
+    // Finish an email change from the link sent to the new address
+    confirmEmailChange: (token) => {
+        return api.post('/auth/confirm-email-change', { token });
+    },
+
+    // Stop an email change from the notice sent to the old address
+    cancelEmailChange: (token) => {
+        return api.post('/auth/cancel-email-change', { token });
+    },
+
+    // Ask for the account to be erased (after a cooling-off period)
+    deleteAccount: (password) => {
+        return api.delete('/users/account', { password });
+    },
+
+    // Keep an account scheduled for deletion, from the emailed link
+    cancelAccountDeletion: (token) => {
+        return api.post('/auth/cancel-account-deletion', { token });
+    },
+
     // Check if authenticated
     checkAuth: () => {
         return api.isAuthenticated();
@@ -337,7 +423,11 @@ const organizationsAPI = {
     },
 
     checkSlug: (slug) => {
-        return api.get(`/organizations/check-slug/${slug}`);
+        return api.get(`/organizations/check-slug/${encodeURIComponent(slug)}`);
+    },
+
+    resolveSlug: (slug) => {
+        return api.get(`/organizations/resolve/${encodeURIComponent(slug)}`);
     },
 
     getMyOrganizations: () => {
@@ -352,6 +442,10 @@ const organizationsAPI = {
         return api.put(`/organizations/${id}`, data);
     },
 
+    setMfaRequirement: (id, requireMfaForAdmins) => {
+        return api.put(`/organizations/${id}/mfa-requirement`, { requireMfaForAdmins });
+    },
+
     getMembers: (id, page = 1, limit = 20) => {
         return api.get(`/organizations/${id}/members?page=${page}&limit=${limit}`);
     },
@@ -360,6 +454,11 @@ const organizationsAPI = {
         return api.post(`/organizations/${id}/invitations`, data);
     },
 
+    // Bulk invite from the member CSV template (dry run unless dryRun is false)
+    importMembers: (id, data) => {
+        return api.post(`/organizations/${id}/members/import`, data);
+    },
+
     updateMember: (orgId, memberId, data) => {
         return api.put(`/organizations/${orgId}/members/${memberId}`, data);
     },
@@ -472,6 +571,46 @@ const meetingsAPI = {
 
     addAttendee: (meetingId, userId) => {
         return api.post(`/meetings/${meetingId}/attendees`, { userId });
+    },
+
+    getAgenda: (meetingId) => {
+        return api.get(`/meetings/${meetingId}/agenda`);
+    },
+
+    addAgendaItem: (meetingId, data) => {
+        return api.post(`/meetings/${meetingId}/agenda`, data);
+    },
+
+    updateAgendaItem: (meetingId, itemId, data) => {
+        return api.put(`/meetings/${meetingId}/agenda/${itemId}`, data);
+    },
+
+    removeAgendaItem: (meetingId, itemId) => {
+        return api.delete(`/meetings/${meetingId}/agenda/${itemId}`);
+    },
+
+    reorderAgenda: (meetingId, itemIds) => {
+        return api.put(`/meetings/${meetingId}/agenda/order`, { itemIds });
+    },
+
+    applyAgendaTemplate: (meetingId) => {
+        return api.post(`/meetings/${meetingId}/agenda/template`);
+    },
+
+    publishBoardPack: (meetingId) => {
+        return api.post(`/meetings/${meetingId}/board-pack`);
+    },
+
+    withdrawBoardPack: (meetingId) => {
+        return api.delete(`/meetings/${meetingId}/board-pack`);
+    },
+
+    getAgendaTemplates: () => {
+        return api.get('/meetings/agenda-templates');
+    },
+
+    saveAgendaTemplate: (meetingType, items) => {
+        return api.put(`/meetings/agenda-templates/${meetingType}`, { items });
     }
 };
 
@@ -546,14 +685,18 @@ const recruitmentAPI = {
         return api.get(`/recruitment/applications?${params}`);
     },
 
-    submitApplication: (data) => {
-        return api.post('/recruitment/apply', data);
+    submitApplication: (jobId, data) => {
+        return api.post(`/recruitment/public/jobs/${jobId}/apply`, data);
     },
 
     updateApplicationStatus: (id, status) => {
         return api.put(`/recruitment/applications/${id}/status`, { status });
     },
 
+    getCvDownloadUrl: (applicationId) => {
+        return `${API_BASE_URL}/recruitment/applications/${applicationId}/cv`;
+    },
+
     getShortlisted: () => {
         return api.get('/recruitment/shortlisted');
     },
@@ -587,6 +730,220 @@ const recruitmentAPI = {
     }
 };
 
+// ==================== DOCUMENTS API ====================
+
+const documentsAPI = {
+    getDocuments: (filters = {}) => {
+        const params = new URLSearchParams(filters).toString();
+        return api.get(`/documents?${params}`);
+    },
+
+    getDocument: (id) => {
+        return api.get(`/documents/${id}`);
+    },
+
+    upload: (file, details = {}) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        Object.entries(details).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) formData.append(key, value);
+        });
+        return api.post('/documents', formData);
+    },
+
+    uploadVersion: (id, file, notes) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (notes) formData.append('notes', notes);
+        return api.post(`/documents/${id}/versions`, formData);
+    },
+
+    updateDocument: (id, data) => {
+        return api.put(`/documents/${id}`, data);
+    },
+
+    deleteDocument: (id) => {
+        return api.delete(`/documents/${id}`);
+    },
+
+    getDownloadUrl: (id, version) => {
+        return `${API_BASE_URL}/documents/${id}/download${version ? `?version=${version}` : ''}`;
+    },
+
+    getFolders: () => {
+        return api.get('/documents/folders');
+    },
+
+    createFolder: (name, parentId) => {
+        return api.post('/documents/folders', { name, parentId });
+    },
+
+    updateFolder: (id, data) => {
+        return api.put(`/documents/folders/${id}`, data);
+    },
+
+    deleteFolder: (id) => {
+        return api.delete(`/documents/folders/${id}`);
+    },
+
+    getStorage: () => {
+        return api.get('/documents/storage');
+    }
+};
+
+// ==================== POLICIES API ====================
+
+const policiesAPI = {
+    getPolicies: (filters = {}) => {
+        const params = new URLSearchParams(filters).toString();
+        return api.get(`/policies?${params}`);
+    },
+
+    getPolicy: (id) => {
+        return api.get(`/policies/${id}`);
+    },
+
+    createPolicy: (data) => {
+        return api.post('/policies', data);
+    },
+
+    updatePolicy: (id, data) => {
+        return api.put(`/policies/${id}`, data);
+    },
+
+    changeStatus: (id, status, details = {}) => {
+        return api.put(`/policies/${id}/status`, { status, ...details });
+    },
+
+    deletePolicy: (id) => {
+        return api.delete(`/policies/${id}`);
+    }
+};
+
+// ==================== MINUTES API ====================
+
+const minutesAPI = {
+    getMinutes: (filters = {}) => {
+        const params = new URLSearchParams(filters).toString();
+        return api.get(`/minutes?${params}`);
+    },
+
+    getById: (id) => {
+        return api.get(`/minutes/${id}`);
+    },
+
+    getVersion: (id, version) => {
+        return api.get(`/minutes/${id}/versions/${version}`);
+    },
+
+    create: (data) => {
+        return api.post('/minutes', data);
+    },
+
+    update: (id, data) => {
+        return api.put(`/minutes/${id}`, data);
+    },
+
+    changeStatus: (id, status, details = {}) => {
+        return api.put(`/minutes/${id}/status`, { status, ...details });
+    },
+
+    delete: (id) => {
+        return api.delete(`/minutes/${id}`);
+    }
+};
+
+// ==================== RESOLUTIONS API ====================
+
+const resolutionsAPI = {
+    getResolutions: (filters = {}) => {
+        const params = new URLSearchParams(filters).toString();
+        return api.get(`/resolutions?${params}`);
+    },
+
+    getById: (id) => {
+        return api.get(`/resolutions/${id}`);
+    },
+
+    create: (data) => {
+        return api.post('/resolutions', data);
+    },
+
+    update: (id, data) => {
+        return api.put(`/resolutions/${id}`, data);
+    },
+
+    second: (id) => {
+        return api.post(`/resolutions/${id}/second`);
+    },
+
+    changeStatus: (id, status, details = {}) => {
+        return api.put(`/resolutions/${id}/status`, { status, ...details });
+    },
+
+    vote: (id, vote) => {
+        return api.put(`/resolutions/${id}/vote`, { vote });
+    },
+
+    declareConflict: (id, reason, userId) => {
+        return api.post(`/resolutions/${id}/conflicts`, { reason, userId });
+    },
+
+    close: (id) => {
+        return api.post(`/resolutions/${id}/close`);
+    },
+
+    delete: (id) => {
+        return api.delete(`/resolutions/${id}`);
+    }
+};
+
+// ==================== INTERESTS API ====================
+
+const interestsAPI = {
+    getMine: () => {
+        return api.get('/interests/me');
+    },
+
+    create: (data) => {
+        return api.post('/interests', data);
+    },
+
+    update: (id, data) => {
+        return api.put(`/interests/${id}`, data);
+    },
+
+    delete: (id) => {
+        return api.delete(`/interests/${id}`);
+    },
+
+    declare: (notes) => {
+        return api.post('/interests/declarations', { confirmed: true, notes });
+    },
+
+    getRegister: (filters = {}) => {
+        const params = new URLSearchParams(filters).toString();
+        return api.get(`/interests/register?${params}`);
+    },
+
+    getRegisterCsvUrl: (filters = {}) => {
+        const params = new URLSearchParams({ ...filters, format: 'csv' }).toString();
+        return `${API_BASE_URL}/interests/register?${params}`;
+    },
+
+    getMeetingDeclarations: (meetingId) => {
+        return api.get(`/interests/meetings/${meetingId}/declarations`);
+    },
+
+    declareAtMeeting: (meetingId, data) => {
+        return api.post(`/interests/meetings/${meetingId}/declarations`, data);
+    },
+
+    deleteMeetingDeclaration: (meetingId, declarationId) => {
+        return api.delete(`/interests/meetings/${meetingId}/declarations/${declarationId}`);
+    }
+};
+
 // ==================== DASHBOARD API ====================
 
 const dashboardAPI = {
@@ -614,6 +971,11 @@ if (typeof module !== 'undefined' && module.exports) {
         meetingsAPI,
         tasksAPI,
         recruitmentAPI,
+        documentsAPI,
+        policiesAPI,
+        minutesAPI,
+        resolutionsAPI,
+        interestsAPI,
         dashboardAPI
     };
 }
@@ -91,15 +91,22 @@ async function login() {
         
         // Call backend API for authentication
         // api.js returns unwrapped data: { user, accessToken, organization }
-        const result = await authAPI.login(email, password);
+        let result = await authAPI.login(email, password);
+        
+        // MFA enabled - ask for a code from the authenticator app
+        if (result?.mfaRequired) {
+            const code = prompt('Enter the 6-digit code from your authenticator app (or a recovery code):');
+            if (!code) return;
+            result = await authAPI.verifyMfa(result.mfaToken, code.trim());
+        }
         
         if (!result || !result.user) {
             throw new Error('Invalid response from server');
         }
         
-        // Handle multiple organizations
+        // Member of several organizations and none used before - already signed in, just pick one
         if (result.requiresOrganizationSelection && result.organizations) {
-            showOrganizationSelector(result.organizations, email, password);
+            showOrganizationSelector(result.organizations);
             return;
         }
         
@@ -113,7 +120,7 @@ async function login() {
 }
 
 // Show organization selector for users with multiple orgs
-function showOrganizationSelector(organizations, email, password) {
+function showOrganizationSelector(organizations) {
     // Hide login form, show organization selector
     document.getElementById('loginForm').style.display = 'none';
     document.getElementById('organizationSelector').style.display = 'block';
@@ -121,7 +128,7 @@ function showOrganizationSelector(organizations, email, password) {
     // Populate organization list
     const orgList = document.getElementById('organizationList');
     orgList.innerHTML = organizations.map(org => `
-        <button onclick="selectOrganization(${org.id}, '${email}', '${password}')" 
+        <button onclick="selectOrganization('${org.id}')" 
             style="padding: 1rem; text-align: left; background: var(--bg-light); 
                    border: 2px solid var(--border); border-radius: 8px; cursor: pointer;
                    display: flex; align-items: center; gap: 1rem; width: 100%;
@@ -133,9 +140,9 @@ function showOrganizationSelector(organizations, email, password) {
                 <i class="fas fa-building" style="color: white; font-size: 1.25rem;"></i>
             </div>
             <div style="flex: 1;">
-                <div style="font-weight: 600; font-size: 1rem;">${org.name}</div>
+                <div style="font-weight: 600; font-size: 1rem;">${escapeHtml(org.name)}</div>
                 <div style="font-size: 0.85rem; color: var(--text-light); margin-top: 2px;">
-                    ${org.slug} • You are ${org.role}
+                    ${escapeHtml(org.slug)} • You are ${escapeHtml(org.role)}
                 </div>
             </div>
             <i class="fas fa-chevron-right" style="color: var(--text-light);"></i>
@@ -143,13 +150,13 @@ function showOrganizationSelector(organizations, email, password) {
     `).join('');
 }
 
-// Select organization and login
-async function selectOrganization(orgId, email, password) {
+// Select organization - the session is already signed in, so no password is needed
+async function selectOrganization(orgId) {
     try {
         closeModal();
         showToast('Selecting organization...', 'info');
         
-        const result = await authAPI.selectOrganization(orgId);
+        const result = await authAPI.switchOrganization(orgId);
         
         if (!result.user) {
             throw new Error('Invalid response from server');
@@ -561,6 +568,10 @@ async function showModule(moduleName, element) {
         await updateRecruitmentBadges();
     } else if (moduleName === 'trustees') {
         await loadTrustees();
+    } else if (moduleName === 'policies') {
+        await loadPolicies();
+    } else if (moduleName === 'minutes') {
+        await loadMinutes();
     } else if (moduleName === 'platformAdmin') {
         await loadPlatformStats();
         await loadOrganizations();
@@ -731,12 +742,21 @@ function openModal(type, data) {
     const body = document.getElementById('modalBody');
     
     modal.classList.add('active');
+    document.getElementById('modalFooter').style.display = '';
     
     const modalContent = getModalContent(type, data);
     title.textContent = modalContent.title;
     body.innerHTML = modalContent.body;
 }
 
+// Modal with its own buttons (no Cancel/Confirm footer)
+function showModal(titleText, bodyHtml) {
+    document.getElementById('modalTitle').textContent = titleText;
+    document.getElementById('modalBody').innerHTML = bodyHtml;
+    document.getElementById('modalFooter').style.display = 'none';
+    document.getElementById('modalOverlay').classList.add('active');
+}
+
 function getModalContent(type, data) {
     const modals = {
         createCommittee: {
@@ -1047,17 +1067,300 @@ function handleDragLeave(e) {
     document.getElementById('uploadZone').classList.remove('dragover');
 }
 
-function handleFiles(files) {
+async function handleFiles(files) {
     const container = document.getElementById('uploadedFiles');
-    
-    Array.from(files).forEach(file => {
+    let uploaded = 0;
+
+    for (const file of Array.from(files)) {
         const fileDiv = document.createElement('div');
         fileDiv.style.cssText = 'display: flex; align-items: center; gap: 0.5rem; padding: 0.5rem; background: var(--bg); border-radius: 8px; margin-bottom: 0.5rem;';
-        fileDiv.innerHTML = '<i class="fas fa-file" style="color: var(--primary);"></i><span style="flex: 1; font-size: 0.85rem;">' + file.name + '</span><i class="fas fa-check-circle" style="color: var(--success);"></i>';
+        fileDiv.innerHTML = '<i class="fas fa-file" style="color: var(--primary);"></i><span style="flex: 1; font-size: 0.85rem;">' + escapeHtml(file.name) + '</span><i class="fas fa-spinner fa-spin" style="color: var(--text-light);"></i>';
         container.appendChild(fileDiv);
-    });
-    
-    showToast(files.length + ' file(s) uploaded successfully', 'success');
+
+        try {
+            await documentsAPI.upload(file);
+            uploaded++;
+            fileDiv.lastElementChild.outerHTML = '<i class="fas fa-check-circle" style="color: var(--success);"></i>';
+        } catch (error) {
+            console.error('Document upload error:', error);
+            fileDiv.lastElementChild.outerHTML = '<span style="font-size: 0.75rem; color: var(--danger);">' + escapeHtml(error.message || 'Upload failed') + '</span><i class="fas fa-times-circle" style="color: var(--danger);"></i>';
+        }
+    }
+
+    if (uploaded === files.length) {
+        showToast(uploaded + ' file(s) uploaded successfully', 'success');
+    } else {
+        showToast((files.length - uploaded) + ' of ' + files.length + ' file(s) could not be uploaded', 'error');
+    }
+}
+
+// ==========================================
+// Policies
+// ==========================================
+const POLICY_STATUS_LABELS = {
+    draft: 'Draft',
+    in_review: 'In Review',
+    approved: 'Approved',
+    published: 'Published',
+    due_for_review: 'Due for Review',
+    archived: 'Archived'
+};
+
+const POLICY_STATUS_CLASSES = {
+    draft: 'status-completed',
+    in_review: 'status-review',
+    approved: 'status-active',
+    published: 'status-open',
+    due_for_review: 'status-past_due',
+    archived: 'status-suspended'
+};
+
+function formatPolicyDate(value) {
+    return value ? new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' }) : '-';
+}
+
+function getPolicyActionLabel(policy, status) {
+    if (status === 'draft') return policy.status === 'in_review' ? 'Request Changes' : 'Revise';
+    return {
+        in_review: 'Submit for Review',
+        approved: 'Approve',
+        published: 'Publish',
+        archived: 'Archive'
+    }[status] || status;
+}
+
+async function loadPolicies() {
+    // Wait for the module HTML to load
+    let retries = 0;
+    while (!document.getElementById('policiesTableBody') && retries < 10) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        retries++;
+    }
+
+    const tbody = document.getElementById('policiesTableBody');
+    const emptyMsg = document.getElementById('noPoliciesMsg');
+    if (!tbody) return;
+
+    try {
+        const result = await policiesAPI.getPolicies();
+        const policies = result.data?.policies || [];
+
+        if (emptyMsg) emptyMsg.style.display = policies.length ? 'none' : 'block';
+
+        tbody.innerHTML = policies.map(policy => {
+            const overdue = policy.daysUntilReview !== null && policy.daysUntilReview <= 0 && policy.status !== 'archived';
+            const actions = policy.nextStatuses.map(status =>
+                '<button class="btn btn-secondary btn-xs" onclick="changePolicyStatus(\'' + policy.id + '\', \'' + status + '\', \'' + policy.status + '\')">' + getPolicyActionLabel(policy, status) + '</button>'
+            ).join(' ');
+
+            return '<tr>' +
+                '<td><strong>' + escapeHtml(policy.title) + '</strong>' + (policy.category ? '<div style="font-size: 0.75rem; color: var(--text-light);">' + escapeHtml(policy.category) + '</div>' : '') + '</td>' +
+                '<td>' + escapeHtml(policy.owner?.name || '-') + '</td>' +
+                '<td>' + formatPolicyDate(policy.lastReviewedAt) + '</td>' +
+                '<td' + (overdue ? ' style="color: var(--danger); font-weight: 600;"' : '') + '>' + formatPolicyDate(policy.nextReviewDate) + '</td>' +
+                '<td><span class="status-badge ' + (POLICY_STATUS_CLASSES[policy.status] || '') + '">' + (POLICY_STATUS_LABELS[policy.status] || policy.status) + '</span></td>' +
+                '<td style="white-space: nowrap;">' + actions + '</td>' +
+                '</tr>';
+        }).join('');
+    } catch (error) {
+        console.error('Failed to load policies:', error);
+        showToast(error.message || 'Failed to load policies', 'error');
+    }
+}
+
+function showCreatePolicy() {
+    const modalHtml = `
+        <div style="max-width: 450px;">
+            <div class="form-group">
+                <label>Policy Name</label>
+                <input type="text" id="policyTitle" placeholder="e.g., Safeguarding Policy">
+            </div>
+            <div class="form-group">
+                <label>Category</label>
+                <input type="text" id="policyCategory" placeholder="e.g., Safeguarding">
+            </div>
+            <div class="form-group">
+                <label>Review Every (months)</label>
+                <input type="number" id="policyReviewMonths" min="1" max="60" value="12">
+            </div>
+            <button class="btn btn-primary" onclick="submitCreatePolicy()" style="width: 100%;">
+                Create Draft
+            </button>
+        </div>
+    `;
+    showModal('New Policy', modalHtml);
+}
+
+async function submitCreatePolicy() {
+    const title = document.getElementById('policyTitle').value.trim();
+    const category = document.getElementById('policyCategory').value.trim();
+    const reviewFrequencyMonths = parseInt(document.getElementById('policyReviewMonths').value) || 12;
+
+    if (!title) {
+        showToast('Please enter a policy name', 'error');
+        return;
+    }
+
+    try {
+        await policiesAPI.createPolicy({ title, category: category || undefined, reviewFrequencyMonths });
+        closeModal();
+        showToast('Policy created as a draft', 'success');
+        await loadPolicies();
+    } catch (error) {
+        showToast(error.message || 'Failed to create policy', 'error');
+    }
+}
+
+async function changePolicyStatus(id, status, currentStatus) {
+    const details = {};
+
+    if (currentStatus === 'in_review' && status === 'draft') {
+        const comments = prompt('What changes are needed?');
+        if (!comments) return;
+        details.comments = comments;
+    } else if (status === 'approved') {
+        const comments = prompt('Approval comments (optional)');
+        if (comments === null) return;
+        if (comments) details.comments = comments;
+    } else if (status === 'archived' && !confirm('Archive this policy? Archived policies cannot be changed.')) {
+        return;
+    }
+
+    try {
+        await policiesAPI.changeStatus(id, status, details);
+        showToast('Policy ' + (POLICY_STATUS_LABELS[status] || status).toLowerCase(), 'success');
+        await loadPolicies();
+    } catch (error) {
+        showToast(error.message || 'Failed to update policy', 'error');
+    }
+}
+
+// ==========================================
+// Minutes
+// ==========================================
+const MINUTES_STATUS_LABELS = {
+    draft: 'Draft',
+    submitted: 'Awaiting Approval',
+    approved: 'Approved',
+    adopted: 'Adopted'
+};
+
+const MINUTES_STATUS_CLASSES = {
+    draft: 'status-completed',
+    submitted: 'status-review',
+    approved: 'status-active',
+    adopted: 'status-open'
+};
+
+function getMinutesActionLabel(minutes, status) {
+    if (status === 'draft') return minutes.status === 'submitted' ? 'Return' : 'Reopen';
+    return {
+        submitted: 'Submit',
+        approved: 'Approve',
+        adopted: 'Record Adoption'
+    }[status] || status;
+}
+
+async function loadMinutes() {
+    // Wait for the module HTML to load
+    let retries = 0;
+    while (!document.getElementById('minutesList') && retries < 10) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        retries++;
+    }
+
+    const list = document.getElementById('minutesList');
+    if (!list) return;
+
+    try {
+        const result = await minutesAPI.getMinutes();
+        const minutes = result.data?.minutes || [];
+
+        if (minutes.length === 0) {
+            list.innerHTML = '<div style="grid-column: 1 / -1; padding: 3rem; text-align: center; color: var(--text-light);">' +
+                '<i class="fas fa-file-alt" style="font-size: 2rem; margin-bottom: 1rem; opacity: 0.5;"></i>' +
+                '<p>No minutes yet</p></div>';
+            return;
+        }
+
+        list.innerHTML = minutes.map(item => {
+            const actions = item.nextStatuses.map(status =>
+                '<button class="btn btn-secondary btn-xs" onclick="event.stopPropagation(); changeMinutesStatus(\'' + item.id + '\', \'' + status + '\', \'' + item.status + '\', \'' + item.meeting.meetingDate + '\')">' + getMinutesActionLabel(item, status) + '</button>'
+            ).join(' ');
+
+            return '<div class="document-card">' +
+                '<div class="doc-icon doc"><i class="fas fa-file-signature"></i></div>' +
+                '<strong>' + escapeHtml(item.meeting.title || 'Meeting') + '</strong>' +
+                '<div style="font-size: 0.75rem; color: var(--text-light); margin: 0.25rem 0 0.5rem;">' + formatPolicyDate(item.meeting.meetingDate) +
+                (item.approvedVersion ? ' &middot; v' + item.approvedVersion : '') + '</div>' +
+                '<span class="status-badge ' + (MINUTES_STATUS_CLASSES[item.status] || '') + '">' + (MINUTES_STATUS_LABELS[item.status] || item.status) + '</span>' +
+                (item.reviewComments && item.status === 'draft' ? '<p style="font-size: 0.8rem; margin-top: 0.5rem;">' + escapeHtml(item.reviewComments) + '</p>' : '') +
+                (actions ? '<div style="margin-top: 0.75rem;">' + actions + '</div>' : '') +
+                '</div>';
+        }).join('');
+    } catch (error) {
+        console.error('Failed to load minutes:', error);
+        showToast(error.message || 'Failed to load minutes', 'error');
+    }
+}
+
+async function changeMinutesStatus(id, status, currentStatus, meetingDate) {
+    const details = {};
+
+    if (status === 'draft') {
+        const comments = prompt(currentStatus === 'submitted' ? 'What changes are needed?' : 'Why are the minutes being reopened?');
+        if (!comments) return;
+        details.comments = comments;
+    } else if (status === 'approved') {
+        const comments = prompt('Approval comments (optional)');
+        if (comments === null) return;
+        if (comments) details.comments = comments;
+    } else if (status === 'adopted') {
+        showAdoptMinutes(id, meetingDate);
+        return;
+    }
+
+    await submitMinutesStatus(id, status, details);
+}
+
+async function showAdoptMinutes(id, meetingDate) {
+    try {
+        const result = await meetingsAPI.getAll({ from: meetingDate, limit: 50 });
+        const meetings = (result.data?.meetings || []).filter(m => m.status !== 'cancelled' && new Date(m.meetingDate) > new Date(meetingDate));
+
+        if (meetings.length === 0) {
+            showToast('Minutes are adopted at a later meeting - schedule one first', 'error');
+            return;
+        }
+
+        const modalHtml = `
+            <div style="max-width: 450px;">
+                <div class="form-group">
+                    <label>Adopted At</label>
+                    <select id="adoptedAtMeetingId">
+                        ${meetings.map(m => '<option value="' + m.id + '">' + escapeHtml(m.title) + ' (' + formatPolicyDate(m.meetingDate) + ')</option>').join('')}
+                    </select>
+                </div>
+                <button class="btn btn-primary" onclick="submitMinutesStatus('${id}', 'adopted', { adoptedAtMeetingId: document.getElementById('adoptedAtMeetingId').value })" style="width: 100%;">
+                    Record Adoption
+                </button>
+            </div>
+        `;
+        showModal('Adopt Minutes', modalHtml);
+    } catch (error) {
+        showToast(error.message || 'Failed to load meetings', 'error');
+    }
+}
+
+async function submitMinutesStatus(id, status, details) {
+    try {
+        await minutesAPI.changeStatus(id, status, details);
+        if (status === 'adopted') closeModal();
+        showToast('Minutes ' + (MINUTES_STATUS_LABELS[status] || status).toLowerCase(), 'success');
+        await loadMinutes();
+    } catch (error) {
+        showToast(error.message || 'Failed to update minutes', 'error');
+    }
 }
 
 // ==========================================
@@ -1086,7 +1389,8 @@ async function restartSetupWizard() {
         organization: {},
         committees: [],
         members: [],
-        csvMembers: null
+        csvMembers: null,
+        csvText: null
     };
     currentSetupStep = 1;
     
@@ -2642,11 +2946,9 @@ async function viewApplication(appId) {
         
         // Show/hide CV section
         const cvSection = document.getElementById('viewAppCVSection');
-        if (application.cv_path) {
+        if (application.cvId) {
             cvSection.style.display = 'block';
-            // Prepend backend URL to the CV path
-            const cvUrl = 'http://localhost:3001' + application.cv_path;
-            document.getElementById('viewAppCV').href = cvUrl;
+            document.getElementById('viewAppCV').href = recruitmentAPI.getCvDownloadUrl(appId);
         } else {
             cvSection.style.display = 'none';
         }
@@ -3139,19 +3441,23 @@ async function saveStep1() {
 
     setupData.organization = {
         name,
-        website_url: website || null,
-        billing_email: email,
-        phone: phone || null,
-        billing_address: address || null,
-        custom_domain: domain || null,
-        slug: slug || null,
+        websiteUrl: website || null,
+        contactEmail: email,
+        contactPhone: phone || null,
+        address: address || null,
+        customDomain: domain || null,
         description: description || null,
-        default_term_length: parseInt(defaultTermLength),
-        max_consecutive_terms: parseInt(maxConsecutiveTerms),
-        renewal_notification_days: parseInt(renewalNotificationDays),
-        auto_renewal_policy: autoRenewalPolicy,
-        enable_term_tracking: enableTermTracking ? 1 : 0
+        termSettings: {
+            defaultTermLengthYears: parseInt(defaultTermLength),
+            maxConsecutiveTerms: parseInt(maxConsecutiveTerms),
+            renewalNotificationDays: [parseInt(renewalNotificationDays)],
+            autoRenewalPolicy,
+            enableTermTracking
+        }
     };
+    if (slug) {
+        setupData.organization.slug = slug;
+    }
 
     console.log('Setup data prepared:', setupData.organization);
 
@@ -3210,7 +3516,7 @@ async function saveStep2() {
             selectedCommittees.push({
                 name: preset.name,
                 description: getCommitteeDescription(preset.id),
-                color_theme: preset.color
+                colorTheme: preset.color
             });
         }
     });
@@ -3225,7 +3531,7 @@ async function saveStep2() {
             selectedCommittees.push({
                 name,
                 description: description || '',
-                color_theme: 'primary'
+                colorTheme: 'primary'
             });
         }
     });
@@ -3318,7 +3624,7 @@ async function saveStep3() {
         return;
     }
 
-    if (members.length === 0 && !setupData.csvMembers) {
+    if (members.length === 0 && !setupData.csvText) {
         showToast('Please add at least one member or skip this step', 'error');
         return;
     }
@@ -3353,6 +3659,25 @@ async function saveStep3() {
             }
         }
 
+        // Bulk import - rows with errors were shown in the preview and are left out
+        if (setupData.csvText) {
+            try {
+                const result = await organizationsAPI.importMembers(org.id, {
+                    csv: setupData.csvText,
+                    dryRun: false,
+                    skipInvalid: true,
+                    sendEmails: sendEmail
+                });
+                invitedCount += result.data.summary.valid;
+                errorCount += result.data.summary.invalid;
+                setupData.csvText = null;
+            } catch (importError) {
+                console.error('Bulk import failed:', importError);
+                showToast(importError.message || 'Failed to import members', 'error');
+                return;
+            }
+        }
+
         if (errorCount > 0) {
             showToast(`${invitedCount} members invited, ${errorCount} failed`, 'warning');
         } else {
@@ -3528,11 +3853,14 @@ async function checkSlugAvailability() {
     
     try {
         const result = await organizationsAPI.checkSlug(slug);
-        if (result.available) {
+        const availability = result.data || {};
+        if (availability.available) {
             statusEl.textContent = '✓ Available';
             statusEl.className = 'slug-status available';
         } else {
-            statusEl.textContent = '✗ Already taken';
+            statusEl.textContent = availability.reason === 'invalid'
+                ? '✗ Use lowercase letters, numbers and single hyphens'
+                : availability.reason === 'reserved' ? '✗ Reserved' : '✗ Already taken';
             statusEl.className = 'slug-status taken';
         }
     } catch (error) {
@@ -3559,46 +3887,39 @@ function handleCSVUpload(event) {
     if (!file) return;
     
     const reader = new FileReader();
-    reader.onload = function(e) {
-        const text = e.target.result;
-        const lines = text.split('\n');
-        const members = [];
-        
-        // Parse CSV (skip header)
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (line) {
-                const cols = line.split(',');
-                if (cols.length >= 4) {
-                    members.push({
-                        firstName: cols[0],
-                        lastName: cols[1],
-                        email: cols[2],
-                        role: cols[3],
-                        committee: cols[4] || ''
-                    });
-                }
-            }
-        }
-        
-        setupData.csvMembers = members;
-        
-        // Show preview
-        document.getElementById('csvPreview').style.display = 'block';
-        document.getElementById('csvRowCount').textContent = members.length;
-        
-        // Build preview table
-        const tbody = document.getElementById('csvPreviewTable');
-        tbody.innerHTML = members.slice(0, 5).map(m => `
-            <tr>
-                <td>${m.firstName} ${m.lastName}</td>
-                <td>${m.email}</td>
-                <td>${m.role}</td>
-            </tr>
-        `).join('');
+    reader.onload = async function(e) {
+        const org = authAPI.getCurrentOrganization();
         
-        if (members.length > 5) {
-            tbody.innerHTML += `<tr><td colspan="3" style="text-align: center; color: var(--text-light);">... and ${members.length - 5} more</td></tr>`;
+        // The server validates every row without inviting anyone (dry run)
+        try {
+            const result = await organizationsAPI.importMembers(org.id, { csv: e.target.result, dryRun: true });
+            const { summary, rows } = result.data;
+            
+            setupData.csvText = summary.valid > 0 ? e.target.result : null;
+            setupData.csvMembers = rows.filter(r => r.status === 'valid');
+            
+            // Show report
+            document.getElementById('csvPreview').style.display = 'block';
+            document.getElementById('csvRowCount').textContent =
+                `${summary.valid} of ${summary.total}` +
+                (summary.invalid ? `, ${summary.invalid} with errors` : '') +
+                (summary.skipped ? `, ${summary.skipped} already invited` : '');
+            
+            const tbody = document.getElementById('csvPreviewTable');
+            tbody.innerHTML = rows.map(r => `
+                <tr>
+                    <td>${escapeHtml(`${r.firstName} ${r.lastName}`)}</td>
+                    <td>${escapeHtml(r.email)}</td>
+                    <td>${escapeHtml(r.role)}</td>
+                    <td style="color: ${r.status === 'valid' ? 'var(--success)' : r.status === 'invalid' ? 'var(--danger)' : 'var(--text-light)'};">
+                        ${r.status === 'valid' ? '✓' : escapeHtml(`Row ${r.row}: ${r.errors.join('; ')}`)}
+                    </td>
+                </tr>
+            `).join('');
+        } catch (error) {
+            setupData.csvText = null;
+            setupData.csvMembers = null;
+            showToast(error.message || 'Could not read CSV file', 'error');
         }
     };
     reader.readAsText(file);
@@ -79,7 +79,7 @@ async function updateServiceIndicators() {
 
 async function loadDashboardSummary() {
     try {
-        const summary = await api.get('/platform/analytics/dashboard');
+        const summary = (await api.get('/platform/analytics/dashboard')).data || {};
         
         // Update analytics cards
         const totalUsersEl = document.getElementById('analyticsTotalUsers');
@@ -87,11 +87,11 @@ async function loadDashboardSummary() {
         const conversionEl = document.getElementById('analyticsConversionRate');
         const netGrowthEl = document.getElementById('analyticsNetGrowth');
         
-        if (totalUsersEl) totalUsersEl.textContent = (summary.totals?.total_users || 0).toLocaleString();
-        if (churnRateEl) churnRateEl.textContent = (summary.churn?.churn_rate_percent || 0).toFixed(1) + '%';
-        if (conversionEl) conversionEl.textContent = (summary.growth?.trial_conversion?.rate_percent || 0).toFixed(1) + '%';
+        if (totalUsersEl) totalUsersEl.textContent = (summary.totals?.totalUsers || 0).toLocaleString();
+        if (churnRateEl) churnRateEl.textContent = (summary.churn?.churnRatePercent || 0).toFixed(1) + '%';
+        if (conversionEl) conversionEl.textContent = (summary.growth?.trialConversion?.ratePercent || 0).toFixed(1) + '%';
         if (netGrowthEl) {
-            const growth = summary.growth?.net_growth || 0;
+            const growth = summary.growth?.netGrowth || 0;
             netGrowthEl.textContent = (growth > 0 ? '+' : '') + growth;
             netGrowthEl.style.color = growth >= 0 ? 'var(--success)' : 'var(--danger)';
         }
@@ -104,29 +104,29 @@ async function loadDashboardSummary() {
 
 async function loadRevenueAnalytics() {
     try {
-        const revenue = await api.get('/platform/analytics/revenue');
+        const revenue = (await api.get('/platform/analytics/revenue')).data || {};
         
         // Update revenue cards
         const mrrEl = document.getElementById('revenueMRR');
         const arrEl = document.getElementById('revenueARR');
         const churnEl = document.getElementById('revenueChurn');
         
-        if (mrrEl) mrrEl.textContent = formatCurrency(revenue.total_mrr || 0);
-        if (arrEl) arrEl.textContent = formatCurrency(revenue.estimated_arr || 0);
-        if (churnEl) churnEl.textContent = formatCurrency(revenue.revenue_churn || 0);
+        if (mrrEl) mrrEl.textContent = formatCurrency((revenue.totalMrr || 0) / 100);
+        if (arrEl) arrEl.textContent = formatCurrency((revenue.estimatedArr || 0) / 100);
+        if (churnEl) churnEl.textContent = formatCurrency((revenue.revenueChurn || 0) / 100);
         
         // Revenue by plan
         const byPlanContainer = document.getElementById('revenueByPlan');
-        if (byPlanContainer && revenue.by_plan) {
-            byPlanContainer.innerHTML = revenue.by_plan.map(plan => `
+        if (byPlanContainer && revenue.byPlan) {
+            byPlanContainer.innerHTML = revenue.byPlan.map(plan => `
                 <div style="display: flex; justify-content: space-between; align-items: center; padding: 1rem; border-bottom: 1px solid var(--border);">
                     <div>
-                        <strong>${plan.plan_name}</strong>
-                        <div style="font-size: 0.85rem; color: var(--text-light);">${plan.organization_count} organizations</div>
+                        <strong>${plan.planName}</strong>
+                        <div style="font-size: 0.85rem; color: var(--text-light);">${plan.organizationCount} organizations</div>
                     </div>
                     <div style="text-align: right;">
-                        <div style="font-weight: 600; color: var(--success);">${formatCurrency(plan.monthly_revenue || 0)}/mo</div>
-                        <div style="font-size: 0.85rem; color: var(--text-light);">avg ${formatCurrency(plan.avg_revenue_per_org || 0)}/mo</div>
+                        <div style="font-weight: 600; color: var(--success);">${formatCurrency((plan.monthlyRevenue || 0) / 100)}/mo</div>
+                        <div style="font-size: 0.85rem; color: var(--text-light);">avg ${formatCurrency((plan.avgRevenuePerOrg || 0) / 100)}/mo</div>
                     </div>
                 </div>
             `).join('');
@@ -134,11 +134,11 @@ async function loadRevenueAnalytics() {
         
         // Monthly breakdown
         const monthlyContainer = document.getElementById('monthlyRevenueList');
-        if (monthlyContainer && revenue.monthly_breakdown) {
-            monthlyContainer.innerHTML = revenue.monthly_breakdown.map(m => `
+        if (monthlyContainer && revenue.monthlyBreakdown) {
+            monthlyContainer.innerHTML = revenue.monthlyBreakdown.map(m => `
                 <div style="display: flex; justify-content: space-between; padding: 0.75rem 1rem; border-bottom: 1px solid var(--border);">
                     <span>${m.month}</span>
-                    <span style="font-weight: 600;">${formatCurrency(m.monthly_recurring_revenue || 0)}</span>
+                    <span style="font-weight: 600;">${formatCurrency((m.monthlyRecurringRevenue || 0) / 100)}</span>
                 </div>
             `).join('');
         }
@@ -152,42 +152,42 @@ async function loadRevenueAnalytics() {
 async function loadGrowthMetrics() {
     try {
         const period = document.getElementById('growthPeriod')?.value || 30;
-        const growth = await api.get(`/platform/analytics/growth?days=${period}`);
+        const growth = (await api.get(`/platform/analytics/growth?days=${period}`)).data || {};
         
         // Growth chart (simple HTML representation)
         const chartContainer = document.getElementById('growthChart');
-        if (chartContainer && growth.daily_signups) {
-            const maxSignups = Math.max(...growth.daily_signups.map(d => d.new_organizations), 1);
+        if (chartContainer && growth.dailySignups) {
+            const maxSignups = Math.max(...growth.dailySignups.map(d => d.newOrganizations), 1);
             
             chartContainer.innerHTML = `
                 <div style="display: flex; align-items: flex-end; gap: 2px; height: 250px; padding: 1rem 0;">
-                    ${growth.daily_signups.map(day => {
-                        const height = (day.new_organizations / maxSignups) * 100;
+                    ${growth.dailySignups.map(day => {
+                        const height = (day.newOrganizations / maxSignups) * 100;
                         return `
                             <div style="flex: 1; display: flex; flex-direction: column; align-items: center; gap: 4px;">
-                                <div style="width: 100%; height: ${Math.max(height, 2)}%; background: linear-gradient(to top, var(--primary), var(--secondary)); border-radius: 2px; min-height: 2px;" title="${day.date}: ${day.new_organizations} signups"></div>
+                                <div style="width: 100%; height: ${Math.max(height, 2)}%; background: linear-gradient(to top, var(--primary), var(--secondary)); border-radius: 2px; min-height: 2px;" title="${day.date}: ${day.newOrganizations} signups"></div>
                             </div>
                         `;
                     }).join('')}
                 </div>
                 <div style="display: flex; justify-content: space-between; margin-top: 0.5rem; font-size: 0.75rem; color: var(--text-light);">
-                    <span>${growth.daily_signups[0]?.date}</span>
-                    <span>${growth.daily_signups[growth.daily_signups.length - 1]?.date}</span>
+                    <span>${growth.dailySignups[0]?.date}</span>
+                    <span>${growth.dailySignups[growth.dailySignups.length - 1]?.date}</span>
                 </div>
                 <div style="text-align: center; margin-top: 1rem;">
-                    <strong>Total New: ${growth.total_new_organizations}</strong> | 
-                    <span style="color: var(--danger);">Cancelled: ${growth.total_cancellations}</span> | 
-                    <span style="color: ${growth.net_growth >= 0 ? 'var(--success)' : 'var(--danger)'};">Net: ${growth.net_growth > 0 ? '+' : ''}${growth.net_growth}</span>
+                    <strong>Total New: ${growth.totalNewOrganizations}</strong> | 
+                    <span style="color: var(--danger);">Cancelled: ${growth.totalCancellations}</span> | 
+                    <span style="color: ${growth.netGrowth >= 0 ? 'var(--success)' : 'var(--danger)'};">Net: ${growth.netGrowth > 0 ? '+' : ''}${growth.netGrowth}</span>
                 </div>
             `;
         }
         
         // Signups by plan
         const signupsContainer = document.getElementById('signupsByPlan');
-        if (signupsContainer && growth.signups_by_plan) {
-            signupsContainer.innerHTML = growth.signups_by_plan.map(plan => `
+        if (signupsContainer && growth.signupsByPlan) {
+            signupsContainer.innerHTML = growth.signupsByPlan.map(plan => `
                 <div style="display: flex; justify-content: space-between; padding: 0.75rem 0; border-bottom: 1px solid var(--border);">
-                    <span>${plan.plan_name}</span>
+                    <span>${plan.planName}</span>
                     <span class="badge badge-primary">${plan.signups}</span>
                 </div>
             `).join('');
@@ -201,7 +201,7 @@ async function loadGrowthMetrics() {
 
 async function loadOrganizationHealth() {
     try {
-        const health = await api.get('/platform/analytics/health');
+        const health = (await api.get('/platform/analytics/health')).data || {};
         
         // Update health cards
         const atRiskEl = document.getElementById('healthAtRisk');
@@ -209,32 +209,32 @@ async function loadOrganizationHealth() {
         const inactiveEl = document.getElementById('healthInactive');
         const activeEl = document.getElementById('healthActive');
         
-        if (atRiskEl) atRiskEl.textContent = health.at_risk_count || 0;
-        if (pastDueEl) pastDueEl.textContent = health.past_due_count || 0;
-        if (inactiveEl) inactiveEl.textContent = health.inactive_organizations?.length || 0;
-        if (activeEl) activeEl.textContent = health.most_active?.length || 0;
+        if (atRiskEl) atRiskEl.textContent = health.atRiskCount || 0;
+        if (pastDueEl) pastDueEl.textContent = health.pastDueCount || 0;
+        if (inactiveEl) inactiveEl.textContent = health.inactiveOrganizations?.length || 0;
+        if (activeEl) activeEl.textContent = health.mostActive?.length || 0;
         
         // Update health badge
         const healthBadge = document.getElementById('healthBadge');
         if (healthBadge) {
-            const totalIssues = (health.at_risk_count || 0) + (health.past_due_count || 0);
+            const totalIssues = (health.atRiskCount || 0) + (health.pastDueCount || 0);
             healthBadge.textContent = totalIssues;
             healthBadge.style.display = totalIssues > 0 ? 'inline-block' : 'none';
         }
         
         // Trials expiring
         const trialsContainer = document.getElementById('trialsExpiring');
-        if (trialsContainer && health.at_risk_organizations) {
-            if (health.at_risk_organizations.length === 0) {
+        if (trialsContainer && health.atRiskOrganizations) {
+            if (health.atRiskOrganizations.length === 0) {
                 trialsContainer.innerHTML = `<div class="empty-state"><i class="fas fa-check-circle"></i><p>No trials expiring soon</p></div>`;
             } else {
-                trialsContainer.innerHTML = health.at_risk_organizations.map(org => {
-                    const daysLeft = Math.ceil((new Date(org.trial_ends_at) - new Date()) / (1000 * 60 * 60 * 24));
+                trialsContainer.innerHTML = health.atRiskOrganizations.map(org => {
+                    const daysLeft = Math.ceil((new Date(org.trialEndsAt) - new Date()) / (1000 * 60 * 60 * 24));
                     return `
                         <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.75rem; border-bottom: 1px solid var(--border);">
                             <div>
                                 <strong>${org.name}</strong>
-                                <div style="font-size: 0.8rem; color: var(--text-light);">${org.plan_name}</div>
+                                <div style="font-size: 0.8rem; color: var(--text-light);">${org.planName}</div>
                             </div>
                             <span class="badge badge-warning">${daysLeft} days left</span>
                         </div>
@@ -253,7 +253,7 @@ async function loadOrganizationHealth() {
 
 async function loadRecentCancellations() {
     try {
-        const churn = await api.get('/platform/analytics/churn?days=30');
+        const churn = (await api.get('/platform/analytics/churn?days=30')).data || {};
         
         const container = document.getElementById('recentCancellations');
         if (container && churn.cancellations) {
@@ -264,10 +264,10 @@ async function loadRecentCancellations() {
                     <div style="padding: 0.75rem; border-bottom: 1px solid var(--border);">
                         <div style="display: flex; justify-content: space-between;">
                             <strong>${org.name}</strong>
-                            <span style="font-size: 0.8rem; color: var(--text-light);">${new Date(org.cancellation_date).toLocaleDateString()}</span>
+                            <span style="font-size: 0.8rem; color: var(--text-light);">${new Date(org.cancellationDate).toLocaleDateString()}</span>
                         </div>
                         <div style="font-size: 0.8rem; color: var(--text-light);">
-                            ${org.plan_name} • ${Math.round(org.lifetime_days)} days
+                            ${org.planName} • ${Math.round(org.lifetimeDays)} days
                         </div>
                     </div>
                 `).join('');
@@ -374,7 +374,7 @@ async function loadWhiteLabelStats() {
                                 ${org.logo_url ? '<span class="badge badge-success"><i class="fas fa-check"></i> Custom</span>' : '<span class="badge badge-secondary">Default</span>'}
                             </div>
                             <div class="client-actions">
-                                <button class="btn btn-sm btn-secondary" onclick="viewOrganization(${org.id})">
+                                <button class="btn btn-sm btn-secondary" onclick="viewOrganization('${org.id}')">
                                     <i class="fas fa-eye"></i>
                                 </button>
                             </div>
@@ -408,11 +408,12 @@ async function loadOrganizations() {
         let url = '/platform/organizations';
         const params = new URLSearchParams();
         if (statusFilter) params.append('status', statusFilter);
+        params.append('limit', '100');
         params.append('_t', Date.now()); // Cache buster
         url += '?' + params.toString();
         
         const result = await api.get(url);
-        allOrganizations = result.organizations || [];
+        allOrganizations = result.data?.items || [];
         
         displayClients(allOrganizations);
     } catch (error) {
@@ -435,14 +436,13 @@ function displayClients(organizations) {
     let filtered = organizations;
     if (searchTerm) {
         filtered = organizations.filter(org => 
-            org.client_id?.toLowerCase().includes(searchTerm.replace(/[^a-z0-9]/g, '')) ||
-            org.client_id_formatted?.toLowerCase().includes(searchTerm) ||
+            org.clientId?.toLowerCase().includes(searchTerm.replace(/[^a-z0-9]/g, '')) ||
             org.id?.toString().includes(searchTerm) ||
             org.name?.toLowerCase().includes(searchTerm) ||
             org.slug?.toLowerCase().includes(searchTerm) ||
-            org.billing_email?.toLowerCase().includes(searchTerm) ||
-            org.admin_name?.toLowerCase().includes(searchTerm) ||
-            org.admin_email?.toLowerCase().includes(searchTerm)
+            org.contactEmail?.toLowerCase().includes(searchTerm) ||
+            org.owner?.name?.toLowerCase().includes(searchTerm) ||
+            org.owner?.email?.toLowerCase().includes(searchTerm)
         );
     }
     
@@ -478,18 +478,18 @@ function displayClients(organizations) {
     `;
     
     filtered.forEach(org => {
-        const status = org.subscription_status || 'trial';
+        const status = org.subscriptionStatus || 'trial';
         const statusClass = `status-${status}`;
         const statusLabel = status.replace('_', ' ').toUpperCase();
         
-        const billingCycle = org.billing_cycle || 'monthly';
-        const paymentMethod = org.payment_method || 'Not Set';
-        const createdDate = org.created_at ? new Date(org.created_at).toLocaleDateString() : 'N/A';
-        const renewalDate = org.current_period_end ? new Date(org.current_period_end).toLocaleDateString() : 'N/A';
+        const billingCycle = org.billingCycle || 'monthly';
+        const paymentMethod = org.isComplimentary ? 'Complimentary' : 'Not Set';
+        const createdDate = org.createdAt ? new Date(org.createdAt).toLocaleDateString() : 'N/A';
+        const renewalDate = org.currentPeriodEnd ? new Date(org.currentPeriodEnd).toLocaleDateString() : 'N/A';
         const lastPayment = org.last_payment_date ? new Date(org.last_payment_date).toLocaleDateString() : 'N/A';
         
         // Format client ID for display (ABC-DEF-GHI-JKL)
-        const clientIdDisplay = org.client_id_formatted || (org.client_id ? org.client_id.match(/.{1,3}/g).join('-') : 'N/A');
+        const clientIdDisplay = org.clientId ? org.clientId.match(/.{1,3}/g).join('-') : 'N/A';
         
         tableHTML += `
             <tr style="border-bottom: 1px solid var(--border);" onmouseover="this.style.background='var(--bg-light)'" onmouseout="this.style.background='transparent'">
@@ -497,9 +497,9 @@ function displayClients(organizations) {
                     <span style="background: var(--bg-light); padding: 0.25rem 0.5rem; border-radius: 4px; font-size: 0.85rem; letter-spacing: 0.5px;">${clientIdDisplay}</span>
                 </td>
                 <td style="padding: 0.5rem;">${org.name || 'Unknown'}</td>
-                <td style="padding: 0.5rem;">${org.admin_name || 'N/A'}</td>
-                <td style="padding: 0.5rem; font-size: 0.75rem;">${org.admin_email || 'N/A'}</td>
-                <td style="padding: 0.5rem;">${org.plan_name || 'Unknown'}</td>
+                <td style="padding: 0.5rem;">${org.owner?.name || 'N/A'}</td>
+                <td style="padding: 0.5rem; font-size: 0.75rem;">${org.owner?.email || 'N/A'}</td>
+                <td style="padding: 0.5rem;">${org.planName || 'Unknown'}</td>
                 <td style="padding: 0.5rem;"><span class="badge badge-secondary" style="font-size: 0.7rem;">${billingCycle.toUpperCase()}</span></td>
                 <td style="padding: 0.5rem; font-size: 0.75rem;">${paymentMethod}</td>
                 <td style="padding: 0.5rem; white-space: nowrap;">${createdDate}</td>
@@ -511,18 +511,18 @@ function displayClients(organizations) {
                         <button class="btn btn-xs btn-secondary" onclick="viewOrganization(${org.id})" title="View" style="padding: 2px 5px; font-size: 0.7rem;">
                             <i class="fas fa-eye"></i>
                         </button>
-                        <button class="btn btn-xs btn-info" onclick="openChangePlanModal(${org.id})" title="Change Plan" style="padding: 2px 5px; font-size: 0.7rem;">
+                        <button class="btn btn-xs btn-info" onclick="openChangePlanModal('${org.id}')" title="Change Plan" style="padding: 2px 5px; font-size: 0.7rem;">
                             <i class="fas fa-exchange-alt"></i>
                         </button>
-                        <button class="btn btn-xs btn-primary" onclick="renewOrganization(${org.id})" title="Renew" style="padding: 2px 5px; font-size: 0.7rem;">
+                        <button class="btn btn-xs btn-primary" onclick="renewOrganization('${org.id}')" title="Renew" style="padding: 2px 5px; font-size: 0.7rem;">
                             <i class="fas fa-sync"></i>
                         </button>
                         ${status === 'suspended' ? `
-                            <button class="btn btn-xs btn-success" onclick="activateOrganization(${org.id})" title="Activate" style="padding: 2px 5px; font-size: 0.7rem;">
+                            <button class="btn btn-xs btn-success" onclick="activateOrganization('${org.id}')" title="Activate" style="padding: 2px 5px; font-size: 0.7rem;">
                                 <i class="fas fa-play"></i>
                             </button>
                         ` : `
-                            <button class="btn btn-xs btn-warning" onclick="suspendOrganization(${org.id})" title="Suspend" style="padding: 2px 5px; font-size: 0.7rem;">
+                            <button class="btn btn-xs btn-warning" onclick="suspendOrganization('${org.id}')" title="Suspend" style="padding: 2px 5px; font-size: 0.7rem;">
                                 <i class="fas fa-pause"></i>
                             </button>
                         `}
@@ -549,8 +549,8 @@ function viewOrganization(orgId) {
     const content = document.getElementById('viewOrgContent');
     if (!content) return;
     
-    const status = org.subscription_status || 'trial';
-    const clientIdFormatted = org.client_id_formatted || (org.client_id ? org.client_id.match(/.{1,3}/g).join('-') : 'N/A');
+    const status = org.subscriptionStatus || 'trial';
+    const clientIdFormatted = org.clientId ? org.clientId.match(/.{1,3}/g).join('-') : 'N/A';
     
     content.innerHTML = `
         <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1.5rem; margin-bottom: 1.5rem;">
@@ -560,22 +560,22 @@ function viewOrganization(orgId) {
                 <p><strong>Internal ID:</strong> <span style="font-family: monospace; color: var(--text-light); font-size: 0.85rem;">#${org.id}</span></p>
                 <p><strong>Name:</strong> ${org.name}</p>
                 <p><strong>Slug:</strong> ${org.slug || 'N/A'}</p>
-                <p><strong>Created:</strong> ${new Date(org.created_at).toLocaleDateString()}</p>
-                <p><strong>Members:</strong> ${org.member_count || 0}</p>
+                <p><strong>Created:</strong> ${new Date(org.createdAt).toLocaleDateString()}</p>
+                <p><strong>Members:</strong> ${org.memberCount || 0}</p>
             </div>
             <div>
                 <h4 style="color: var(--primary); margin-bottom: 0.5rem;">Subscription</h4>
-                <p><strong>Plan:</strong> ${org.plan_name || 'Starter'}</p>
+                <p><strong>Plan:</strong> ${org.planName || 'None'}</p>
                 <p><strong>Status:</strong> <span class="status-badge status-${status}">${status.toUpperCase()}</span></p>
-                <p><strong>Price:</strong> ${formatCurrency(org.price_monthly || 0)}/month</p>
-                <p><strong>Trial Ends:</strong> ${org.trial_ends_at ? new Date(org.trial_ends_at).toLocaleDateString() : 'N/A'}</p>
-                <p><strong>Billing Cycle:</strong> ${org.billing_cycle || 'monthly'}</p>
+                <p><strong>Price:</strong> ${formatCurrency((org.priceMonthly || 0) / 100)}/month</p>
+                <p><strong>Trial Ends:</strong> ${org.trialEndsAt ? new Date(org.trialEndsAt).toLocaleDateString() : 'N/A'}</p>
+                <p><strong>Billing Cycle:</strong> ${org.billingCycle || 'monthly'}</p>
             </div>
         </div>
         <div style="margin-top: 1rem;">
             <h4 style="color: var(--primary); margin-bottom: 0.5rem;">Contact</h4>
-            <p><strong>Admin:</strong> ${org.admin_name || 'N/A'}</p>
-            <p><strong>Email:</strong> ${org.admin_email || org.billing_email || 'N/A'}</p>
+            <p><strong>Admin:</strong> ${org.owner?.name || 'N/A'}</p>
+            <p><strong>Email:</strong> ${org.owner?.email || org.contactEmail || 'N/A'}</p>
         </div>
     `;
     
@@ -654,13 +654,13 @@ let availablePlans = [];
 
 async function loadPlansForDropdown() {
     try {
-        const result = await api.get('/saas/info');
-        availablePlans = result.plans || [];
+        const result = await api.get('/platform/plans');
+        availablePlans = (result.data?.plans || []).filter(plan => plan.isActive);
         
         const select = document.getElementById('changePlanNewPlan');
         if (select) {
             select.innerHTML = availablePlans.map(plan => 
-                `<option value="${plan.id}">${plan.name} - ${formatCurrency(plan.price?.monthly || plan.price_monthly)}/mo (${formatCurrency(plan.price?.yearly || plan.price_yearly || (plan.price_monthly * 10))}/yr)</option>`
+                `<option value="${plan.id}">${plan.name} - ${formatCurrency(plan.priceMonthly / 100)}/mo (${formatCurrency(plan.priceYearly / 100)}/yr)</option>`
             ).join('');
         }
     } catch (error) {
@@ -678,7 +678,7 @@ function openChangePlanModal(orgId) {
     // Set organization details
     document.getElementById('changePlanOrgId').value = orgId;
     document.getElementById('changePlanOrgName').value = org.name;
-    document.getElementById('changePlanCurrentPlan').value = `${org.plan_name || 'Unknown'} (${formatCurrency(org.price_monthly || 0)}/mo)`;
+    document.getElementById('changePlanCurrentPlan').value = `${org.planName || 'Unknown'} (${formatCurrency((org.priceMonthly || 0) / 100)}/mo)`;
     
     // Reset form
     document.getElementById('changePlanBillingCycle').value = 'monthly';
@@ -707,8 +707,8 @@ async function submitPlanChange() {
         return;
     }
     
-    const org = allOrganizations.find(o => o.id === parseInt(orgId));
-    const selectedPlan = availablePlans.find(p => p.id === parseInt(planId));
+    const org = allOrganizations.find(o => o.id === orgId);
+    const selectedPlan = availablePlans.find(p => p.id === planId);
     
     let confirmMessage = `Change plan for ${org?.name || 'this organization'} to ${selectedPlan?.name || 'selected plan'}?`;
     if (changeType === 'complimentary') {
@@ -721,13 +721,13 @@ async function submitPlanChange() {
         showToast('Updating plan...', 'info');
         
         const result = await api.put(`/platform/organizations/${orgId}/plan`, {
-            plan_id: parseInt(planId),
-            billing_cycle: billingCycle,
-            change_type: changeType,
-            reason: reason
+            planId,
+            billingCycle,
+            changeType,
+            reason: reason || undefined
         });
         
-        showToast(`Plan changed to ${result.organization.plan_name}`, 'success');
+        showToast(`Plan changed to ${result.data.organization.planName}`, 'success');
         closeChangePlanModal();
         loadOrganizations();
         loadPlatformStats();
@@ -1163,16 +1163,16 @@ async function submitAddPlan() {
         name,
         slug,
         description,
-        price_monthly: priceMonthly,
-        price_yearly: priceYearly,
-        max_users: maxUsers,
-        max_committees: maxCommittees,
-        max_storage_mb: maxStorage,
-        stripe_price_id_monthly: stripeMonthly || null,
-        stripe_price_id_yearly: stripeYearly || null,
-        is_popular: isPopular,
-        is_active: isActive,
-        features: JSON.stringify(features)
+        priceMonthly: Math.round(priceMonthly * 100),
+        priceYearly: Math.round((priceYearly || 0) * 100),
+        maxUsers,
+        maxCommittees: maxCommittees || 0,
+        maxStorageMb: maxStorage,
+        stripePriceIdMonthly: stripeMonthly || null,
+        stripePriceIdYearly: stripeYearly || null,
+        isPopular,
+        isActive,
+        features
     };
     
     try {
@@ -1195,7 +1195,7 @@ async function loadPlans() {
     try {
         // Use platform admin endpoint to get all plans (including inactive)
         const result = await api.get('/platform/plans');
-        allPlans = result.plans || [];
+        allPlans = result.data?.plans || [];
         
         const grid = document.getElementById('plansGrid');
         if (!grid) return;
@@ -1206,28 +1206,28 @@ async function loadPlans() {
         }
         
         grid.innerHTML = allPlans.map(plan => `
-            <div class="plan-card-platform ${plan.is_popular ? 'popular' : ''}">
-                ${plan.is_popular ? '<span class="plan-popular-badge">POPULAR</span>' : ''}
+            <div class="plan-card-platform ${plan.isPopular ? 'popular' : ''}">
+                ${plan.isPopular ? '<span class="plan-popular-badge">POPULAR</span>' : ''}
                 <h4>${plan.name}</h4>
-                <div class="plan-price-platform">${formatCurrency(plan.price?.monthly || plan.price_monthly || 0)}<span>/month</span></div>
+                <div class="plan-price-platform">${formatCurrency((plan.priceMonthly || 0) / 100)}<span>/month</span></div>
                 <p style="color: var(--text-light); font-size: 0.9rem; margin-bottom: 1rem;">${plan.description || ''}</p>
                 <ul style="list-style: none; padding: 0; margin-bottom: 1.5rem;">
                     <li style="padding: 0.5rem 0; border-bottom: 1px solid var(--border);">
                         <i class="fas fa-users" style="color: var(--primary); margin-right: 0.5rem;"></i>
-                        Up to ${plan.limits?.users || plan.max_users || '-'} users
+                        Up to ${plan.maxUsers || '-'} users
                     </li>
                     <li style="padding: 0.5rem 0; border-bottom: 1px solid var(--border);">
                         <i class="fas fa-users-cog" style="color: var(--primary); margin-right: 0.5rem;"></i>
-                        Up to ${plan.limits?.committees || plan.max_committees || '-'} committees
+                        Up to ${plan.maxCommittees || '-'} committees
                     </li>
                     <li style="padding: 0.5rem 0;">
                         <i class="fas fa-hdd" style="color: var(--primary); margin-right: 0.5rem;"></i>
-                        ${(plan.limits?.storage_mb || plan.max_storage_mb || 0) >= 1024 ? 
-                            ((plan.limits?.storage_mb || plan.max_storage_mb || 0)/1024) + 'GB' : 
-                            (plan.limits?.storage_mb || plan.max_storage_mb || 0) + 'MB'} storage
+                        ${(plan.maxStorageMb || 0) >= 1024 ? 
+                            ((plan.maxStorageMb || 0)/1024) + 'GB' : 
+                            (plan.maxStorageMb || 0) + 'MB'} storage
                     </li>
                 </ul>
-                <button class="btn btn-sm btn-secondary" style="width: 100%;" onclick="editPlan(${plan.id})">
+                <button class="btn btn-sm btn-secondary" style="width: 100%;" onclick="editPlan('${plan.id}')">
                     <i class="fas fa-edit"></i> Edit Plan
                 </button>
             </div>
@@ -1237,7 +1237,7 @@ async function loadPlans() {
         const planSelect = document.getElementById('newOrgPlan');
         if (planSelect) {
             planSelect.innerHTML = allPlans.map(plan => 
-                `<option value="${plan.id}">${plan.name} (${formatCurrency(plan.price?.monthly || plan.price_monthly)}/mo)</option>`
+                `<option value="${plan.id}">${plan.name} (${formatCurrency(plan.priceMonthly / 100)}/mo)</option>`
             ).join('');
         }
     } catch (error) {
@@ -1264,15 +1264,15 @@ function editPlan(planId) {
     document.getElementById('editPlanName').value = plan.name || '';
     document.getElementById('editPlanSlug').value = plan.slug || '';
     document.getElementById('editPlanDescription').value = plan.description || '';
-    document.getElementById('editPlanPriceMonthly').value = plan.price?.monthly || plan.price_monthly || '';
-    document.getElementById('editPlanPriceYearly').value = plan.price?.yearly || plan.price_yearly || '';
-    document.getElementById('editPlanMaxUsers').value = plan.limits?.users || plan.max_users || '';
-    document.getElementById('editPlanMaxCommittees').value = plan.limits?.committees || plan.max_committees || '';
-    document.getElementById('editPlanMaxStorage').value = plan.limits?.storage_mb || plan.max_storage_mb || '';
-    document.getElementById('editPlanStripeMonthly').value = plan.stripe_price_id_monthly || '';
-    document.getElementById('editPlanStripeYearly').value = plan.stripe_price_id_yearly || '';
-    document.getElementById('editPlanIsPopular').checked = plan.is_popular || false;
-    document.getElementById('editPlanIsActive').checked = plan.is_active !== false;
+    document.getElementById('editPlanPriceMonthly').value = (plan.priceMonthly || 0) / 100;
+    document.getElementById('editPlanPriceYearly').value = (plan.priceYearly || 0) / 100;
+    document.getElementById('editPlanMaxUsers').value = plan.maxUsers || '';
+    document.getElementById('editPlanMaxCommittees').value = plan.maxCommittees || '';
+    document.getElementById('editPlanMaxStorage').value = plan.maxStorageMb || '';
+    document.getElementById('editPlanStripeMonthly').value = plan.stripePriceIdMonthly || '';
+    document.getElementById('editPlanStripeYearly').value = plan.stripePriceIdYearly || '';
+    document.getElementById('editPlanIsPopular').checked = plan.isPopular || false;
+    document.getElementById('editPlanIsActive').checked = plan.isActive !== false;
     
     // Format features as text
     const features = plan.features || [];
@@ -1317,15 +1317,15 @@ async function submitEditPlan() {
         name,
         slug,
         description,
-        price_monthly: priceMonthly,
-        price_yearly: priceYearly,
-        max_users: maxUsers,
-        max_committees: maxCommittees,
-        max_storage_mb: maxStorage,
-        stripe_price_id_monthly: stripeMonthly,
-        stripe_price_id_yearly: stripeYearly,
-        is_popular: isPopular,
-        is_active: isActive,
+        priceMonthly: Math.round(priceMonthly * 100),
+        priceYearly: Math.round(priceYearly * 100),
+        maxUsers,
+        maxCommittees,
+        maxStorageMb: maxStorage,
+        stripePriceIdMonthly: stripeMonthly || null,
+        stripePriceIdYearly: stripeYearly || null,
+        isPopular,
+        isActive,
         features
     };
     
@@ -231,6 +231,7 @@ function updateHeaderAvatar(avatarUrl) {
 
 function initAccountModule() {
     loadAccountData();
+    loadSessions();
 }
 
 async function loadAccountData() {
@@ -246,7 +247,7 @@ async function loadAccountData() {
         // MFA status
         const mfaStatus = document.getElementById('mfaStatus');
         if (mfaStatus) {
-            if (user.mfa_enabled) {
+            if (user.mfaEnabled || user.mfa_enabled) {
                 mfaStatus.textContent = 'Enabled';
                 mfaStatus.style.background = '#10b981';
             } else {
@@ -304,14 +305,11 @@ async function submitEmailChange() {
     }
     
     try {
-        await api.post('/users/change-email', { 
-            new_email: newEmail, 
-            password 
-        });
+        await authAPI.changeEmail(newEmail, password);
         
-        showToast('Email updated! Please verify your new email.', 'success');
+        // Nothing changes until the new address confirms
+        showToast(`Check ${newEmail} for a confirmation link to finish the change.`, 'success');
         closeChangeEmailModal();
-        loadAccountData();
         
     } catch (error) {
         showToast(error.message || 'Failed to update email', 'error');
@@ -376,11 +374,20 @@ async function submitPasswordChange() {
 // MFA SETUP
 // ==========================================
 
-function openMFASetupModal() {
+async function openMFASetupModal() {
     const modal = document.getElementById('mfaSetupModal');
-    if (modal) {
-        modal.style.display = 'flex';
-        document.getElementById('mfaCode').value = '';
+    if (!modal) return;
+    
+    modal.style.display = 'flex';
+    document.getElementById('mfaCode').value = '';
+    
+    try {
+        const result = await api.post('/users/mfa/setup', {});
+        document.getElementById('mfaSecret').textContent = result.data.secret;
+        document.getElementById('mfaSetupLink').href = result.data.otpauthUrl;
+    } catch (error) {
+        showToast(error.message || 'Failed to start MFA setup', 'error');
+        closeMFASetupModal();
     }
 }
 
@@ -398,12 +405,16 @@ async function submitMFASetup() {
     }
     
     try {
-        await api.post('/users/mfa/enable', { code });
+        const result = await api.post('/users/mfa/enable', { code });
         
         showToast('Two-factor authentication enabled!', 'success');
         closeMFASetupModal();
         loadAccountData();
         
+        // Recovery codes are only returned once
+        alert('Save these recovery codes somewhere safe. Each can be used once if you lose your device:\n\n' +
+            result.data.recoveryCodes.join('\n'));
+        
     } catch (error) {
         showToast(error.message || 'Invalid code', 'error');
     }
@@ -413,13 +424,80 @@ async function submitMFASetup() {
 // ACCOUNT ACTIONS
 // ==========================================
 
+// ==========================================
+// SESSIONS
+// ==========================================
+
+async function loadSessions() {
+    const list = document.getElementById('sessionsList');
+    if (!list) return;
+    
+    try {
+        const result = await authAPI.getSessions();
+        const sessions = result.data?.sessions || [];
+        
+        if (sessions.length === 0) {
+            list.innerHTML = '<p style="padding: 0 1.5rem; color: var(--text-light);">No active sessions</p>';
+            return;
+        }
+        
+        list.innerHTML = sessions.map(session => {
+            const icon = /iOS|Android/.test(session.deviceName) ? 'fa-mobile-alt' : 'fa-desktop';
+            const lastUsed = session.current ? 'Active now' : 'Last active ' + formatDate(session.lastUsedAt);
+            
+            return `
+                <div class="session-item">
+                    <div class="session-info">
+                        <div class="session-icon">
+                            <i class="fas ${icon}"></i>
+                        </div>
+                        <div class="session-details">
+                            <h4>${escapeHtml(session.deviceName)}</h4>
+                            <p>IP: ${escapeHtml(session.ipAddress || 'Unknown')} • Signed in ${formatDate(session.createdAt)}</p>
+                            <span class="session-status">
+                                <i class="fas fa-circle"></i> ${lastUsed}
+                            </span>
+                        </div>
+                    </div>
+                    ${session.current
+                        ? '<span class="badge badge-success">This Device</span>'
+                        : `<button class="btn btn-secondary btn-sm" onclick="revokeSession('${session.id}')">Sign out</button>`}
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        list.innerHTML = '<p style="padding: 0 1.5rem; color: var(--text-light);">Could not load sessions</p>';
+    }
+}
+
+async function revokeSession(id) {
+    try {
+        await authAPI.revokeSession(id);
+        showToast('Session signed out', 'success');
+        loadSessions();
+    } catch (error) {
+        showToast(error.message || 'Failed to sign out session', 'error');
+    }
+}
+
+async function logoutOtherDevices() {
+    try {
+        const result = await authAPI.revokeOtherSessions();
+        const count = result.data?.revoked || 0;
+        showToast(`Signed out of ${count} other ${count === 1 ? 'device' : 'devices'}`, 'success');
+        loadSessions();
+    } catch (error) {
+        showToast(error.message || 'Failed to sign out other devices', 'error');
+    }
+}
+
 async function logoutAllDevices() {
     if (!confirm('This will log you out of all devices. Continue?')) {
         return;
     }
     
     try {
-        await api.post('/auth/logout-all', {});
+        await authAPI.logoutAll();
         showToast('Logged out of all devices', 'success');
         setTimeout(() => logout(), 1500);
     } catch (error) {
@@ -428,22 +506,29 @@ async function logoutAllDevices() {
 }
 
 function openDeleteAccountModal() {
-    const confirmed = confirm('⚠️ WARNING: This will permanently delete your account and all data.\n\nThis action CANNOT be undone.\n\nAre you sure you want to continue?');
+    const confirmed = confirm('⚠️ WARNING: This will delete your account and erase your personal details.\n\nYou will be signed out everywhere straight away, and can cancel from the link we email you until the deletion date.\n\nAre you sure you want to continue?');
     
     if (confirmed) {
         const confirmText = prompt('Type "DELETE MY ACCOUNT" to confirm:');
-        if (confirmText === 'DELETE MY ACCOUNT') {
-            deleteAccount();
+        if (confirmText !== 'DELETE MY ACCOUNT') {
+            showToast('Account deletion cancelled', 'info');
+            return;
+        }
+        
+        const password = prompt('Enter your password to confirm:');
+        if (password) {
+            deleteAccount(password);
         } else {
             showToast('Account deletion cancelled', 'info');
         }
     }
 }
 
-async function deleteAccount() {
+async function deleteAccount(password) {
     try {
-        await api.delete('/users/account', {});
-        showToast('Account deleted. Redirecting...', 'success');
+        const result = await authAPI.deleteAccount(password);
+        const scheduledFor = result.data?.scheduledFor;
+        showToast(`Account scheduled for deletion${scheduledFor ? ` on ${formatDate(scheduledFor)}` : ''}. Redirecting...`, 'success');
         setTimeout(() => {
             localStorage.clear();
             window.location.href = '/login';
@@ -508,5 +593,7 @@ function updateUserDisplay() {
 // Export for global access
 window.updateUserDisplay = updateUserDisplay;
 
+window.revokeSession = revokeSession;
+window.logoutOtherDevices = logoutOtherDevices;
 window.logoutAllDevices = logoutAllDevices;
 window.openDeleteAccountModal = openDeleteAccountModal;
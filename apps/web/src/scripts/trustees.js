@@ -489,18 +489,19 @@ async function checkTermNotifications() {
         if (!org) return;
 
         const response = await api.get(`/organizations/${org.id}/term-notifications`);
+        const notifications = response.data?.notifications || [];
         
-        if (response.notifications && response.notifications.length > 0) {
+        if (notifications.length > 0) {
             // Show notification badge
             const trusteesNav = document.querySelector('[data-module="trustees"]');
             if (trusteesNav) {
                 const existingBadge = trusteesNav.querySelector('.nav-badge');
                 if (existingBadge) {
-                    existingBadge.textContent = response.notifications.length;
+                    existingBadge.textContent = notifications.length;
                 } else {
                     const badge = document.createElement('span');
                     badge.className = 'nav-badge';
-                    badge.textContent = response.notifications.length;
+                    badge.textContent = notifications.length;
                     trusteesNav.appendChild(badge);
                 }
             }
@@ -542,8 +543,8 @@ async function submitTermRenewal() {
     try {
         const org = authAPI.getCurrentOrganization();
         const response = await api.post(`/organizations/${org.id}/members/${renewTrusteeId}/renew-term`, {
-            term_length_years: parseInt(termLength),
-            notes: notes
+            termLengthYears: parseInt(termLength),
+            notes: notes || undefined
         });
         
         showToast(`Term renewed successfully`, 'success');
@@ -0,0 +1,25 @@
+-- ==========================================
+-- ACCOUNT ERASURE
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-email-change-requests.sql
+-- ==========================================
+
+-- Deleting an account is a request first. Until deletion_scheduled_for the user can
+-- cancel it from the emailed link (or an admin can); after that the profile is purged,
+-- the user's audit log entries are pseudonymised and deleted_at is set.
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deletion_requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS deletion_cancel_token_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled ON users(deletion_scheduled_for)
+    WHERE deletion_scheduled_for IS NOT NULL AND deleted_at IS NULL;
+
+-- Requesting deletion signs the account out everywhere
+ALTER TABLE user_sessions DROP CONSTRAINT IF EXISTS user_sessions_revoked_reason_check;
+ALTER TABLE user_sessions ADD CONSTRAINT user_sessions_revoked_reason_check CHECK (revoked_reason IN (
+    'logout', 'logout_all', 'revoked', 'password_change', 'password_reset', 'email_change',
+    'account_deletion', 'token_reuse'
+));
@@ -0,0 +1,82 @@
+-- ==========================================
+-- STRUCTURED MEETING AGENDAS
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-minutes-tables.sql
+-- ==========================================
+
+-- Board pack publication locks the agenda and its papers
+ALTER TABLE meetings
+    ADD COLUMN IF NOT EXISTS board_pack_published_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS board_pack_published_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS agenda_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    meeting_id UUID NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+
+    -- 1-based order within the meeting
+    position INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    item_type TEXT NOT NULL DEFAULT 'noting' CHECK (item_type IN ('decision', 'noting')),
+    presenter_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    duration_minutes INTEGER NOT NULL DEFAULT 10 CHECK (duration_minutes BETWEEN 0 AND 600),
+
+    created_by UUID REFERENCES users(id),
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_agenda_items_meeting_id ON agenda_items(meeting_id, position);
+
+-- Board papers from the document library
+CREATE TABLE IF NOT EXISTS agenda_item_papers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    meeting_id UUID NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    agenda_item_id UUID NOT NULL REFERENCES agenda_items(id) ON DELETE CASCADE,
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    -- Pinned when the board pack is published; NULL means the latest version
+    document_version INTEGER,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(agenda_item_id, document_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_agenda_item_papers_meeting_id ON agenda_item_papers(meeting_id);
+CREATE INDEX IF NOT EXISTS idx_agenda_item_papers_document_id ON agenda_item_papers(document_id);
+
+-- One template per meeting type, copied into new meetings
+CREATE TABLE IF NOT EXISTS agenda_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    meeting_type TEXT NOT NULL CHECK (meeting_type IN ('board', 'committee', 'extraordinary', 'interview')),
+    -- [{ title, description, itemType, durationMinutes }]
+    items JSONB NOT NULL DEFAULT '[]',
+
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(organization_id, meeting_type)
+);
+
+ALTER TABLE agenda_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agenda_item_papers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agenda_templates ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_agenda_items_updated_at ON agenda_items;
+CREATE TRIGGER update_agenda_items_updated_at BEFORE UPDATE ON agenda_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_agenda_templates_updated_at ON agenda_templates;
+CREATE TRIGGER update_agenda_templates_updated_at BEFORE UPDATE ON agenda_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,37 @@
+-- ==========================================
+-- SUBSCRIPTION BILLING
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-platform-admin-columns.sql
+-- ==========================================
+
+-- Link organizations to their customer record at the payment provider
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS billing_customer_id TEXT,
+ADD COLUMN IF NOT EXISTS billing_provider TEXT;
+
+COMMENT ON COLUMN organizations.billing_customer_id IS 'Customer ID at the payment provider (Stripe cus_...)';
+COMMENT ON COLUMN organizations.billing_provider IS 'Payment provider that owns billing_customer_id (stripe or in_memory)';
+COMMENT ON COLUMN organizations.subscription_stripe_id IS 'Subscription ID at the payment provider';
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organizations_billing_customer_id ON organizations(billing_customer_id) WHERE billing_customer_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_organizations_subscription_stripe_id ON organizations(subscription_stripe_id);
+
+-- Webhook events already applied, so redelivered events are ignored
+CREATE TABLE IF NOT EXISTS billing_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    provider TEXT NOT NULL,
+    provider_event_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL,
+    payload JSONB DEFAULT '{}',
+
+    -- Timestamps
+    processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(provider, provider_event_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_billing_events_org_id ON billing_events(organization_id);
+
+ALTER TABLE billing_events ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,62 @@
+-- ==========================================
+-- COMMITTEES & COMMITTEE MEMBERS
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-meetings-tables.sql
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS committees (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+    -- Details
+    name TEXT NOT NULL,
+    description TEXT,
+    color_theme TEXT,
+
+    -- Governance
+    terms_of_reference TEXT,
+    terms_of_reference_updated_at TIMESTAMP WITH TIME ZONE,
+
+    -- Status
+    status TEXT DEFAULT 'active' CHECK (status IN ('active', 'inactive', 'archived')),
+
+    -- Relations
+    created_by UUID REFERENCES users(id),
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_committees_org_id ON committees(organization_id);
+
+CREATE TABLE IF NOT EXISTS committee_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    committee_id UUID NOT NULL REFERENCES committees(id) ON DELETE CASCADE,
+    organization_member_id UUID NOT NULL REFERENCES organization_members(id) ON DELETE CASCADE,
+
+    role TEXT DEFAULT 'member' CHECK (role IN ('chair', 'vice_chair', 'secretary', 'member')),
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(committee_id, organization_member_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_committee_members_committee_id ON committee_members(committee_id);
+
+-- Only one chair per committee
+CREATE UNIQUE INDEX IF NOT EXISTS idx_committee_members_single_chair
+    ON committee_members(committee_id) WHERE role = 'chair';
+
+-- Meetings can be scoped to a committee
+ALTER TABLE meetings DROP CONSTRAINT IF EXISTS meetings_committee_id_fkey;
+ALTER TABLE meetings ADD CONSTRAINT meetings_committee_id_fkey
+    FOREIGN KEY (committee_id) REFERENCES committees(id) ON DELETE SET NULL;
+
+ALTER TABLE committees ENABLE ROW LEVEL SECURITY;
+ALTER TABLE committee_members ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_committees_updated_at ON committees;
+CREATE TRIGGER update_committees_updated_at BEFORE UPDATE ON committees
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
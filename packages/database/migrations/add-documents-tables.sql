@@ -0,0 +1,103 @@
+-- ==========================================
+-- DOCUMENT LIBRARY
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-invitation-import-columns.sql
+-- ==========================================
+
+-- Databases created from the legacy complete-schema.sql have integer-keyed
+-- document_folders/documents tables; drop those first, they are not used by v2.
+
+CREATE TABLE IF NOT EXISTS document_folders (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES document_folders(id) ON DELETE RESTRICT,
+
+    name TEXT NOT NULL,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Folder names are unique among their siblings
+CREATE UNIQUE INDEX IF NOT EXISTS idx_document_folders_unique_name
+    ON document_folders(organization_id, COALESCE(parent_id, '00000000-0000-0000-0000-000000000000'::uuid), LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_document_folders_parent_id ON document_folders(parent_id);
+
+CREATE TABLE IF NOT EXISTS documents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    folder_id UUID REFERENCES document_folders(id) ON DELETE RESTRICT,
+
+    -- Details
+    name TEXT NOT NULL,
+    description TEXT,
+
+    -- Current version (copied from document_versions for listing)
+    current_version INTEGER NOT NULL DEFAULT 1,
+    file_name TEXT NOT NULL,
+    file_size BIGINT NOT NULL,
+    mime_type TEXT NOT NULL,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_documents_org_id ON documents(organization_id);
+CREATE INDEX IF NOT EXISTS idx_documents_folder_id ON documents(folder_id);
+
+-- Every uploaded file; rows are never changed once written
+CREATE TABLE IF NOT EXISTS document_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    document_id UUID NOT NULL REFERENCES documents(id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+
+    -- Stored file
+    storage_key TEXT NOT NULL UNIQUE,
+    file_name TEXT NOT NULL,
+    file_size BIGINT NOT NULL,
+    mime_type TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+
+    notes TEXT,
+    uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(document_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_versions_org_id ON document_versions(organization_id);
+
+CREATE OR REPLACE FUNCTION prevent_document_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'document_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS document_versions_immutable ON document_versions;
+CREATE TRIGGER document_versions_immutable BEFORE UPDATE ON document_versions
+    FOR EACH ROW EXECUTE FUNCTION prevent_document_version_update();
+
+ALTER TABLE document_folders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_versions ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_document_folders_updated_at ON document_folders;
+CREATE TRIGGER update_document_folders_updated_at BEFORE UPDATE ON document_folders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_documents_updated_at ON documents;
+CREATE TRIGGER update_documents_updated_at BEFORE UPDATE ON documents
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,39 @@
+-- ==========================================
+-- EMAIL CHANGE REQUESTS
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-last-organization.sql
+-- ==========================================
+
+-- A pending change of sign-in email. The new address confirms it; the old address
+-- is told about it and can cancel it. Only one request per user is pending at a time.
+CREATE TABLE IF NOT EXISTS email_change_requests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    old_email VARCHAR(255) NOT NULL,
+    new_email VARCHAR(255) NOT NULL,
+
+    -- Hashes of the links sent to the new and old addresses
+    confirm_token_hash TEXT NOT NULL UNIQUE,
+    cancel_token_hash TEXT NOT NULL UNIQUE,
+
+    -- The session that asked for the change stays signed in when it is confirmed
+    session_id UUID REFERENCES user_sessions(id) ON DELETE SET NULL,
+    ip_address TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_change_requests_user ON email_change_requests(user_id)
+    WHERE confirmed_at IS NULL AND cancelled_at IS NULL;
+
+ALTER TABLE email_change_requests ENABLE ROW LEVEL SECURITY;
+
+-- Sessions are also ended when the sign-in email changes
+ALTER TABLE user_sessions DROP CONSTRAINT IF EXISTS user_sessions_revoked_reason_check;
+ALTER TABLE user_sessions ADD CONSTRAINT user_sessions_revoked_reason_check CHECK (revoked_reason IN (
+    'logout', 'logout_all', 'revoked', 'password_change', 'password_reset', 'email_change', 'token_reuse'
+));
@@ -0,0 +1,18 @@
+-- ==========================================
+-- EMAIL VERIFICATION EXPIRY
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-trial-warning-column.sql
+-- ==========================================
+
+-- verification_token now holds a SHA-256 hash of the emailed token.
+-- Tokens issued before this migration were stored in plain text and
+-- will no longer match - affected users can request a new link.
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS verification_token_expires_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS verification_sent_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN users.verification_token_expires_at IS 'When the current email verification link stops working';
+COMMENT ON COLUMN users.verification_sent_at IS 'When the last verification email was sent (resend cooldown)';
+
+-- Existing accounts are not marked verified here: set EMAIL_VERIFICATION_REQUIRED_FROM to the
+-- date this is deployed and accounts created before it are exempt from the policy instead.
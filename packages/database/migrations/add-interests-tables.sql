@@ -0,0 +1,95 @@
+-- ==========================================
+-- REGISTER OF INTERESTS
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-resolutions-tables.sql
+-- ==========================================
+
+-- Annual declaration cycle
+ALTER TABLE organization_members
+    ADD COLUMN IF NOT EXISTS interests_declared_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS interest_reminder_sent_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS member_interests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    category TEXT NOT NULL CHECK (category IN (
+        'employment', 'directorship', 'shareholding', 'trusteeship',
+        'property', 'gift_hospitality', 'family', 'other'
+    )),
+    -- The company, charity or person the interest relates to
+    counterparty TEXT NOT NULL,
+    description TEXT,
+    start_date DATE,
+    -- Ended interests stay on the register
+    end_date DATE,
+
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CHECK (end_date IS NULL OR start_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_interests_org_user ON member_interests(organization_id, user_id);
+
+CREATE TABLE IF NOT EXISTS interest_declarations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Copy of the member's current entries when they declared
+    interests JSONB NOT NULL DEFAULT '[]',
+    notes TEXT,
+    declared_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_interest_declarations_org_user ON interest_declarations(organization_id, user_id);
+
+CREATE TABLE IF NOT EXISTS meeting_declarations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    meeting_id UUID NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    -- NULL = the whole meeting
+    agenda_item_id UUID REFERENCES agenda_items(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    interest_id UUID REFERENCES member_interests(id) ON DELETE SET NULL,
+
+    nature TEXT NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('left_room', 'no_vote', 'permitted')),
+    recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_declarations_meeting_id ON meeting_declarations(meeting_id);
+-- One declaration per member per item (or per meeting)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_meeting_declarations_unique ON meeting_declarations(
+    meeting_id, user_id, COALESCE(agenda_item_id, '00000000-0000-0000-0000-000000000000'::uuid)
+);
+
+-- Declarations are a record of what was declared at the time
+CREATE OR REPLACE FUNCTION prevent_interest_declaration_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'interest_declarations rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS interest_declarations_immutable ON interest_declarations;
+CREATE TRIGGER interest_declarations_immutable BEFORE UPDATE ON interest_declarations
+    FOR EACH ROW EXECUTE FUNCTION prevent_interest_declaration_update();
+
+ALTER TABLE member_interests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE interest_declarations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE meeting_declarations ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_member_interests_updated_at ON member_interests;
+CREATE TRIGGER update_member_interests_updated_at BEFORE UPDATE ON member_interests
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
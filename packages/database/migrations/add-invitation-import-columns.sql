@@ -0,0 +1,15 @@
+-- ==========================================
+-- BULK MEMBER IMPORT
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-email-verification-expiry.sql
+-- ==========================================
+
+-- Details carried over from the import CSV to the accepted membership
+ALTER TABLE organization_invitations
+ADD COLUMN IF NOT EXISTS first_name TEXT,
+ADD COLUMN IF NOT EXISTS last_name TEXT,
+ADD COLUMN IF NOT EXISTS committee_id UUID REFERENCES committees(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN organization_invitations.first_name IS 'Suggested first name for the new account (from bulk import)';
+COMMENT ON COLUMN organization_invitations.last_name IS 'Suggested last name for the new account (from bulk import)';
+COMMENT ON COLUMN organization_invitations.committee_id IS 'Committee the invitee joins on acceptance (from bulk import)';
@@ -0,0 +1,9 @@
+-- ==========================================
+-- LAST-USED ORGANIZATION
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-user-sessions.sql
+-- ==========================================
+
+-- Members of several organizations sign in to the one they used last
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS last_organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
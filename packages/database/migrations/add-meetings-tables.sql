@@ -0,0 +1,58 @@
+-- ==========================================
+-- MEETINGS & ATTENDEES
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after complete_database_reset.sql
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS meetings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    committee_id UUID,
+
+    -- Details
+    title TEXT NOT NULL,
+    meeting_type TEXT DEFAULT 'board' CHECK (meeting_type IN ('board', 'committee', 'extraordinary', 'interview')),
+    meeting_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    duration_minutes INTEGER DEFAULT 60,
+    location TEXT,
+    zoom_link TEXT,
+    agenda TEXT,
+
+    -- Status
+    status TEXT DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'in_progress', 'completed', 'cancelled')),
+
+    -- Relations
+    created_by UUID REFERENCES users(id),
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_meetings_org_id ON meetings(organization_id);
+CREATE INDEX IF NOT EXISTS idx_meetings_date ON meetings(meeting_date);
+CREATE INDEX IF NOT EXISTS idx_meetings_committee_id ON meetings(committee_id);
+
+CREATE TABLE IF NOT EXISTS meeting_attendees (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    meeting_id UUID NOT NULL REFERENCES meetings(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    rsvp_status TEXT DEFAULT 'pending' CHECK (rsvp_status IN ('pending', 'attending', 'declined', 'tentative')),
+    attended BOOLEAN DEFAULT false,
+    notes TEXT,
+
+    UNIQUE(meeting_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_meeting_attendees_meeting_id ON meeting_attendees(meeting_id);
+CREATE INDEX IF NOT EXISTS idx_meeting_attendees_user_id ON meeting_attendees(user_id);
+
+ALTER TABLE meetings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE meeting_attendees ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_meetings_updated_at ON meetings;
+CREATE TRIGGER update_meetings_updated_at BEFORE UPDATE ON meetings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,48 @@
+-- ==========================================
+-- TRUSTEE TERM HISTORY
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-mfa-columns.sql
+-- ==========================================
+
+-- Count of back-to-back terms, checked against organizations.max_consecutive_terms
+ALTER TABLE organization_members
+ADD COLUMN IF NOT EXISTS consecutive_terms INTEGER DEFAULT 1;
+
+-- Renewals lock on the current count, which can't match NULL
+UPDATE organization_members SET consecutive_terms = 1 WHERE consecutive_terms IS NULL;
+
+ALTER TABLE organization_members
+ALTER COLUMN consecutive_terms SET NOT NULL;
+
+COMMENT ON COLUMN organization_members.consecutive_terms IS 'Number of consecutive terms served including the current one';
+COMMENT ON COLUMN organization_members.renewal_notified_at IS 'When the last term-expiry notification was sent (cleared on renewal)';
+
+-- One row per renewal
+CREATE TABLE IF NOT EXISTS member_term_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    member_id UUID NOT NULL REFERENCES organization_members(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Term that was renewed
+    previous_term_start_date DATE,
+    previous_term_end_date DATE,
+
+    -- New term
+    term_number INTEGER NOT NULL,
+    term_start_date DATE NOT NULL,
+    term_end_date DATE NOT NULL,
+    term_length_years INTEGER NOT NULL,
+
+    notes TEXT,
+    renewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_member_term_history_member_id ON member_term_history(member_id);
+CREATE INDEX IF NOT EXISTS idx_member_term_history_org_id ON member_term_history(organization_id);
+
+ALTER TABLE member_term_history ENABLE ROW LEVEL SECURITY;
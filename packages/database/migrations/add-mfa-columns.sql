@@ -0,0 +1,14 @@
+-- Add TOTP multi-factor authentication columns to users table
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS mfa_enabled BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS mfa_secret TEXT,
+ADD COLUMN IF NOT EXISTS mfa_pending_secret TEXT,
+ADD COLUMN IF NOT EXISTS mfa_recovery_codes TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS mfa_enabled_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS mfa_last_used_step BIGINT;
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.mfa_secret IS 'Base32 TOTP secret (set once enrolment is verified)';
+COMMENT ON COLUMN users.mfa_pending_secret IS 'TOTP secret awaiting first code verification during enrolment';
+COMMENT ON COLUMN users.mfa_recovery_codes IS 'SHA-256 hashes of unused one-time recovery codes';
+COMMENT ON COLUMN users.mfa_last_used_step IS 'Last accepted TOTP time step, prevents code replay';
@@ -0,0 +1,100 @@
+-- ==========================================
+-- MEETING MINUTES
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-policies-tables.sql
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS minutes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    -- One set of minutes per meeting
+    meeting_id UUID NOT NULL UNIQUE REFERENCES meetings(id) ON DELETE CASCADE,
+
+    -- Content: [{ title, notes, decisions: [], actions: [{ description, assigneeId, dueDate }] }]
+    summary TEXT,
+    sections JSONB NOT NULL DEFAULT '[]',
+
+    -- Workflow
+    status TEXT NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'submitted', 'approved', 'adopted')),
+    -- Latest feedback when minutes are returned or reopened
+    review_comments TEXT,
+    submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP WITH TIME ZONE,
+    -- Number of times the minutes have been approved, and the SHA-256 of the latest approved content
+    approved_version INTEGER NOT NULL DEFAULT 0,
+    content_hash TEXT,
+
+    -- Adoption by the board at a later meeting
+    adopted_at_meeting_id UUID REFERENCES meetings(id) ON DELETE SET NULL,
+    adopted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    adopted_at TIMESTAMP WITH TIME ZONE,
+
+    created_by UUID REFERENCES users(id),
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_minutes_org_id ON minutes(organization_id);
+CREATE INDEX IF NOT EXISTS idx_minutes_status ON minutes(status);
+
+-- Locked copy of each approved version
+CREATE TABLE IF NOT EXISTS minutes_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    minutes_id UUID NOT NULL REFERENCES minutes(id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+    version_number INTEGER NOT NULL,
+    -- { summary, sections } exactly as approved
+    content JSONB NOT NULL,
+    content_hash TEXT NOT NULL,
+    comments TEXT,
+
+    approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(minutes_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_minutes_versions_minutes_id ON minutes_versions(minutes_id);
+
+-- Approved versions are never changed
+CREATE OR REPLACE FUNCTION prevent_minutes_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'minutes_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS minutes_versions_immutable ON minutes_versions;
+CREATE TRIGGER minutes_versions_immutable BEFORE UPDATE ON minutes_versions
+    FOR EACH ROW EXECUTE FUNCTION prevent_minutes_version_update();
+
+-- Content is locked once approved; reopen to draft to change it
+CREATE OR REPLACE FUNCTION prevent_locked_minutes_edit()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status IN ('approved', 'adopted')
+        AND (NEW.summary IS DISTINCT FROM OLD.summary OR NEW.sections IS DISTINCT FROM OLD.sections) THEN
+        RAISE EXCEPTION 'approved minutes cannot be edited';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS minutes_content_locked ON minutes;
+CREATE TRIGGER minutes_content_locked BEFORE UPDATE ON minutes
+    FOR EACH ROW EXECUTE FUNCTION prevent_locked_minutes_edit();
+
+ALTER TABLE minutes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE minutes_versions ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_minutes_updated_at ON minutes;
+CREATE TRIGGER update_minutes_updated_at BEFORE UPDATE ON minutes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,23 @@
+-- ==========================================
+-- ORGANIZATION SLUG HISTORY
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-plan-rate-limits.sql
+-- ==========================================
+
+-- Slugs an organization used before, so old links can redirect to the current one.
+-- A slug stays reserved for its organization until that organization takes it back.
+CREATE TABLE IF NOT EXISTS organization_slug_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    slug TEXT NOT NULL UNIQUE,
+
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- When the organization moved off this slug
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_organization_slug_history_org ON organization_slug_history(organization_id);
+
+ALTER TABLE organization_slug_history ENABLE ROW LEVEL SECURITY;
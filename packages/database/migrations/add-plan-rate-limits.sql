@@ -0,0 +1,17 @@
+-- ==========================================
+-- PER-PLAN API RATE LIMITS
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-interests-tables.sql
+-- ==========================================
+
+-- Requests allowed per 15-minute sliding window; NULL uses the API defaults (100 per user, 200 per organization)
+ALTER TABLE subscription_plans
+ADD COLUMN IF NOT EXISTS api_rate_limit_user INTEGER CHECK (api_rate_limit_user > 0),
+ADD COLUMN IF NOT EXISTS api_rate_limit_org INTEGER CHECK (api_rate_limit_org > 0);
+
+COMMENT ON COLUMN subscription_plans.api_rate_limit_user IS 'API requests per member per 15 minutes';
+COMMENT ON COLUMN subscription_plans.api_rate_limit_org IS 'API requests per organization per 15 minutes, shared by all members';
+
+UPDATE subscription_plans SET api_rate_limit_user = 150, api_rate_limit_org = 500 WHERE slug = 'starter';
+UPDATE subscription_plans SET api_rate_limit_user = 300, api_rate_limit_org = 2000 WHERE slug = 'professional';
+UPDATE subscription_plans SET api_rate_limit_user = 600, api_rate_limit_org = 10000 WHERE slug = 'enterprise';
@@ -0,0 +1,21 @@
+-- ==========================================
+-- PLATFORM ADMINISTRATION
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-member-term-history.sql
+-- ==========================================
+
+-- Tenant lifecycle and billing details used by the platform console and analytics
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS billing_cycle TEXT DEFAULT 'monthly' CHECK (billing_cycle IN ('monthly', 'yearly')),
+ADD COLUMN IF NOT EXISTS is_complimentary BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS suspension_reason TEXT,
+ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN organizations.billing_cycle IS 'monthly or yearly - yearly plans count as price_yearly / 12 towards MRR';
+COMMENT ON COLUMN organizations.is_complimentary IS 'Plan granted free of charge by a platform admin (excluded from revenue)';
+COMMENT ON COLUMN organizations.suspended_at IS 'When a platform admin suspended the organization';
+COMMENT ON COLUMN organizations.cancelled_at IS 'When the subscription was cancelled (used for churn metrics)';
+
+CREATE INDEX IF NOT EXISTS idx_organizations_subscription_status ON organizations(subscription_status);
+CREATE INDEX IF NOT EXISTS idx_organizations_created_at ON organizations(created_at);
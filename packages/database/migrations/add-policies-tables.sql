@@ -0,0 +1,73 @@
+-- ==========================================
+-- POLICY REGISTER
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-documents-tables.sql
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+    -- Details
+    title TEXT NOT NULL,
+    description TEXT,
+    category TEXT,
+    content TEXT,
+    document_id UUID REFERENCES documents(id) ON DELETE SET NULL,
+    owner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Lifecycle
+    status TEXT NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'in_review', 'approved', 'published', 'due_for_review', 'archived')),
+    submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP WITH TIME ZONE,
+    published_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    published_at TIMESTAMP WITH TIME ZONE,
+    -- Number of times the policy has been published
+    published_version INTEGER NOT NULL DEFAULT 0,
+
+    -- Review schedule
+    review_frequency_months INTEGER NOT NULL DEFAULT 12 CHECK (review_frequency_months BETWEEN 1 AND 60),
+    last_reviewed_at TIMESTAMP WITH TIME ZONE,
+    next_review_date DATE,
+    -- Reset whenever the review date changes
+    review_reminder_sent_at TIMESTAMP WITH TIME ZONE,
+
+    created_by UUID REFERENCES users(id),
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_policies_org_id ON policies(organization_id);
+CREATE INDEX IF NOT EXISTS idx_policies_status ON policies(status);
+CREATE INDEX IF NOT EXISTS idx_policies_next_review_date ON policies(next_review_date);
+
+-- Approver sign-off history
+CREATE TABLE IF NOT EXISTS policy_approvals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    policy_id UUID NOT NULL REFERENCES policies(id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    decision TEXT NOT NULL CHECK (decision IN ('approved', 'changes_requested')),
+    comments TEXT,
+    -- The published version this decision led to
+    version INTEGER NOT NULL,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_policy_approvals_policy_id ON policy_approvals(policy_id);
+
+ALTER TABLE policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE policy_approvals ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_policies_updated_at ON policies;
+CREATE TRIGGER update_policies_updated_at BEFORE UPDATE ON policies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,124 @@
+-- ==========================================
+-- BOARD RECRUITMENT PIPELINE
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-tasks-table.sql
+--
+-- Application status pipeline (enforced by the API):
+--   applied → shortlisted → interviewing → selected/rejected → onboarded
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS job_openings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+    -- Details
+    title TEXT NOT NULL,
+    department TEXT,
+    location TEXT,
+    time_commitment TEXT,
+    salary_range TEXT,
+    description TEXT,
+    requirements TEXT,
+    additional_info TEXT,
+
+    -- Status
+    status TEXT DEFAULT 'active' CHECK (status IN ('active', 'paused', 'closed')),
+    expiry_date DATE,
+    closed_at TIMESTAMP WITH TIME ZONE,
+
+    created_by UUID REFERENCES users(id),
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_openings_org_id ON job_openings(organization_id);
+CREATE INDEX IF NOT EXISTS idx_job_openings_status ON job_openings(status);
+
+CREATE TABLE IF NOT EXISTS applications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    job_id UUID NOT NULL REFERENCES job_openings(id) ON DELETE CASCADE,
+
+    -- Applicant
+    first_name TEXT NOT NULL,
+    last_name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    phone TEXT,
+    cover_letter TEXT,
+    cv_path TEXT,
+
+    -- Pipeline
+    status TEXT DEFAULT 'applied' CHECK (status IN ('applied', 'shortlisted', 'interviewing', 'selected', 'rejected', 'onboarded')),
+    status_changed_at TIMESTAMP WITH TIME ZONE,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_applications_org_id ON applications(organization_id);
+CREATE INDEX IF NOT EXISTS idx_applications_job_id ON applications(job_id);
+CREATE INDEX IF NOT EXISTS idx_applications_status ON applications(status);
+
+CREATE TABLE IF NOT EXISTS shortlisted_candidates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    application_id UUID NOT NULL UNIQUE REFERENCES applications(id) ON DELETE CASCADE,
+    shortlisted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Interview
+    interview_date TIMESTAMP WITH TIME ZONE,
+    interview_location TEXT,
+    interview_type TEXT DEFAULT 'in_person' CHECK (interview_type IN ('in_person', 'video', 'phone')),
+    interview_notes TEXT,
+    panel_score INTEGER CHECK (panel_score BETWEEN 0 AND 100),
+
+    shortlisted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_shortlisted_candidates_org_id ON shortlisted_candidates(organization_id);
+
+CREATE TABLE IF NOT EXISTS shortlisted_interviewers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    shortlisted_id UUID NOT NULL REFERENCES shortlisted_candidates(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    UNIQUE(shortlisted_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS selected_candidates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    candidate_id UUID NOT NULL UNIQUE REFERENCES shortlisted_candidates(id) ON DELETE CASCADE,
+    selected_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    start_date DATE,
+
+    -- Offer & onboarding
+    offer_accepted BOOLEAN DEFAULT FALSE,
+    offer_accepted_at TIMESTAMP WITH TIME ZONE,
+    onboarding_initiated BOOLEAN DEFAULT FALSE,
+    onboarding_initiated_at TIMESTAMP WITH TIME ZONE,
+    onboarding_completed BOOLEAN DEFAULT FALSE,
+    onboarding_completed_at TIMESTAMP WITH TIME ZONE,
+
+    selected_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_selected_candidates_org_id ON selected_candidates(organization_id);
+
+ALTER TABLE job_openings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE applications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shortlisted_candidates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shortlisted_interviewers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE selected_candidates ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_job_openings_updated_at ON job_openings;
+CREATE TRIGGER update_job_openings_updated_at BEFORE UPDATE ON job_openings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,163 @@
+-- ==========================================
+-- RESOLUTIONS AND VOTING
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-agenda-tables.sql
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS resolutions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+
+    -- Raised in a meeting, or circulated in writing between meetings
+    type TEXT NOT NULL DEFAULT 'meeting' CHECK (type IN ('meeting', 'written')),
+    meeting_id UUID REFERENCES meetings(id) ON DELETE SET NULL,
+    agenda_item_id UUID REFERENCES agenda_items(id) ON DELETE SET NULL,
+
+    title TEXT NOT NULL,
+    motion TEXT NOT NULL,
+    proposer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    seconder_id UUID REFERENCES users(id) ON DELETE SET NULL,
+
+    -- Voting rules
+    pass_threshold TEXT NOT NULL DEFAULT 'simple_majority'
+        CHECK (pass_threshold IN ('simple_majority', 'two_thirds', 'unanimous')),
+    quorum_percent INTEGER NOT NULL DEFAULT 50 CHECK (quorum_percent BETWEEN 1 AND 100),
+
+    status TEXT NOT NULL DEFAULT 'draft'
+        CHECK (status IN ('draft', 'open', 'passed', 'failed', 'withdrawn')),
+    -- Current trustees when voting opened
+    eligible_voter_ids UUID[] NOT NULL DEFAULT '{}',
+    voting_opens_at TIMESTAMP WITH TIME ZONE,
+    voting_closes_at TIMESTAMP WITH TIME ZONE,
+    withdrawn_reason TEXT,
+
+    -- Outcome (conflicted members excluded)
+    votes_for INTEGER,
+    votes_against INTEGER,
+    abstentions INTEGER,
+    quorum_required INTEGER,
+    quorum_met BOOLEAN,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    -- NULL when closed automatically
+    closed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    outcome_audit_log_id UUID REFERENCES audit_logs(id),
+
+    created_by UUID REFERENCES users(id),
+
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_resolutions_org_id ON resolutions(organization_id);
+CREATE INDEX IF NOT EXISTS idx_resolutions_meeting_id ON resolutions(meeting_id);
+CREATE INDEX IF NOT EXISTS idx_resolutions_open_written ON resolutions(voting_closes_at)
+    WHERE status = 'open' AND type = 'written';
+
+CREATE TABLE IF NOT EXISTS resolution_votes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    resolution_id UUID NOT NULL REFERENCES resolutions(id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    vote TEXT NOT NULL CHECK (vote IN ('for', 'against', 'abstain')),
+    voted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(resolution_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS resolution_conflicts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    resolution_id UUID NOT NULL REFERENCES resolutions(id) ON DELETE CASCADE,
+    organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    reason TEXT NOT NULL,
+    recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    declared_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    UNIQUE(resolution_id, user_id)
+);
+
+-- Votes can only be cast or changed while voting is open
+CREATE OR REPLACE FUNCTION check_resolution_open_for_votes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (SELECT status FROM resolutions WHERE id = NEW.resolution_id) <> 'open' THEN
+        RAISE EXCEPTION 'voting is closed for this resolution';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS resolution_votes_open_only ON resolution_votes;
+CREATE TRIGGER resolution_votes_open_only BEFORE INSERT OR UPDATE ON resolution_votes
+    FOR EACH ROW EXECUTE FUNCTION check_resolution_open_for_votes();
+
+-- A closed resolution's motion and outcome are final once the outcome has been recorded.
+-- References to users and meetings may still be cleared (ON DELETE SET NULL).
+CREATE OR REPLACE FUNCTION prevent_closed_resolution_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.status IN ('passed', 'failed') AND OLD.outcome_audit_log_id IS NOT NULL AND (
+        NEW.status IS DISTINCT FROM OLD.status
+        OR NEW.title IS DISTINCT FROM OLD.title
+        OR NEW.motion IS DISTINCT FROM OLD.motion
+        OR NEW.pass_threshold IS DISTINCT FROM OLD.pass_threshold
+        OR NEW.quorum_percent IS DISTINCT FROM OLD.quorum_percent
+        OR NEW.eligible_voter_ids IS DISTINCT FROM OLD.eligible_voter_ids
+        OR NEW.votes_for IS DISTINCT FROM OLD.votes_for
+        OR NEW.votes_against IS DISTINCT FROM OLD.votes_against
+        OR NEW.abstentions IS DISTINCT FROM OLD.abstentions
+        OR NEW.quorum_required IS DISTINCT FROM OLD.quorum_required
+        OR NEW.quorum_met IS DISTINCT FROM OLD.quorum_met
+        OR NEW.closed_at IS DISTINCT FROM OLD.closed_at
+        OR NEW.outcome_audit_log_id IS DISTINCT FROM OLD.outcome_audit_log_id
+    ) THEN
+        RAISE EXCEPTION 'closed resolutions cannot be changed';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS resolutions_final ON resolutions;
+CREATE TRIGGER resolutions_final BEFORE UPDATE ON resolutions
+    FOR EACH ROW EXECUTE FUNCTION prevent_closed_resolution_change();
+
+-- Resolution outcome records in the audit log can't be altered or removed.
+-- Only the links to the user, organization and request context may change
+-- (ON DELETE SET NULL and personal-data erasure).
+CREATE OR REPLACE FUNCTION protect_resolution_outcome_log()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.action = 'resolution_outcome' THEN
+        IF TG_OP = 'DELETE'
+            OR NEW.action IS DISTINCT FROM OLD.action
+            OR NEW.resource_type IS DISTINCT FROM OLD.resource_type
+            OR NEW.resource_id IS DISTINCT FROM OLD.resource_id
+            OR NEW.details IS DISTINCT FROM OLD.details
+            OR NEW.created_at IS DISTINCT FROM OLD.created_at THEN
+            RAISE EXCEPTION 'resolution outcome records are immutable';
+        END IF;
+    END IF;
+    IF TG_OP = 'DELETE' THEN
+        RETURN OLD;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_logs_resolution_outcome_immutable ON audit_logs;
+CREATE TRIGGER audit_logs_resolution_outcome_immutable BEFORE UPDATE OR DELETE ON audit_logs
+    FOR EACH ROW EXECUTE FUNCTION protect_resolution_outcome_log();
+
+ALTER TABLE resolutions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE resolution_votes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE resolution_conflicts ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_resolutions_updated_at ON resolutions;
+CREATE TRIGGER update_resolutions_updated_at BEFORE UPDATE ON resolutions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
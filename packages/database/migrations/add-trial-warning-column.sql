@@ -0,0 +1,13 @@
+-- ==========================================
+-- TRIAL ENDING WARNINGS
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-billing-tables.sql
+-- ==========================================
+
+-- When billing managers were last warned that the trial is ending
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS trial_warning_sent_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN organizations.trial_warning_sent_at IS 'When the last trial-ending warning was sent (one per threshold: 7, 3 and 1 days before)';
+
+CREATE INDEX IF NOT EXISTS idx_organizations_trial_ends_at ON organizations(trial_ends_at) WHERE subscription_status = 'trial';
@@ -0,0 +1,55 @@
+-- ==========================================
+-- USER SESSIONS
+-- Trustee Portal v2.0 - TypeScript Backend
+-- Run this in Supabase SQL Editor after add-organization-slug-history.sql
+-- ==========================================
+
+-- One row per sign-in (refresh token family)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Organization the session last worked in
+    organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL,
+
+    -- Device
+    device_name TEXT NOT NULL,
+    user_agent TEXT,
+    ip_address TEXT,
+
+    -- Lifetime (expiry slides forward on every refresh)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason TEXT CHECK (revoked_reason IN (
+        'logout', 'logout_all', 'revoked', 'password_change', 'password_reset', 'token_reuse'
+    ))
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions(expires_at);
+
+-- Every refresh token a session has been issued. Only the newest is unrotated;
+-- presenting a rotated one again means it was copied, and the session is revoked.
+CREATE TABLE IF NOT EXISTS session_refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    rotated_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_refresh_tokens_session ON session_refresh_tokens(session_id);
+
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE session_refresh_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Refresh tokens now live in sessions; everyone signs in again once
+DROP INDEX IF EXISTS idx_users_refresh_token;
+ALTER TABLE users
+    DROP COLUMN IF EXISTS refresh_token,
+    DROP COLUMN IF EXISTS refresh_token_hash,
+    DROP COLUMN IF EXISTS refresh_token_expires_at;